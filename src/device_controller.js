@@ -12,14 +12,17 @@ var async = require('async');
 var dict = require('dict');
 var q = require('q');
 var ljmmm = require('./ljmmm');
-var labjack_nodejs = require('labjack-nodejs');
+var driver_backend = require('./helper_scripts/driver_backend');
+var labjack_nodejs = driver_backend.getDriverLibrary();
 var device_selector_view_gen = require('./device_selector_view_gen');
 var device_flash_operations = require('./helper_scripts/device_functions/device_flash_and_cal_operations');
+var device_stream_operations = require('./helper_scripts/device_functions/device_stream_operations');
 var labjack_driver = new labjack_nodejs.driver();
 var LJM_DT_T7 = labjack_nodejs.driver_const.LJM_DT_T7.toString();
 device_flash_operations.setDriverConst(labjack_nodejs.driver_const);
 
 exports.device_flash_operations_lib = device_flash_operations;
+exports.device_stream_operations_lib = device_stream_operations;
 
 var DEVICE_TYPE_NAMES = dict({
     '3': 'U3',
@@ -193,6 +196,7 @@ var Device = function (device, serial, connectionType, deviceType)
     this.cachedName = null;
     this.cachedFirmware = null;
     this.cachedCalibrationValidity = null;
+    this.stream = null;
 
     this.getSubclass = GET_SUBCLASS_FUNCTIONS[DEVICE_TYPE_NAMES.get(deviceType.toString())](this);
 
@@ -806,6 +810,85 @@ var Device = function (device, serial, connectionType, deviceType)
         }
         return rqControlDeferred.promise;
     };
+    /**
+     * Start streaming data from the device.
+     *
+     * Writes the stream resolution and settling time and starts a stream of
+     * the given registers. Scans are delivered to options.onScans and emitted
+     * as 'scans' events by the returned DeviceStream until stopStream is
+     * called. Each delivery has scans (Array of {time, values} objects where
+     * values follow the scan list), scanList, deviceBacklog, ljmBacklog and
+     * numSkippedScans attributes. Scans the device had to skip because it
+     * was not read fast enough are counted in numSkippedScans, not returned.
+     *
+     * @param {Object} options Stream configuration with attributes:
+     *      scanList (Array of register names or addresses), scanRate (scans
+     *      per second, default 1000), scansPerRead (default a tenth of a
+     *      second of scans), resolutionIndex (default 0 for auto), settlingUS
+     *      (default 0 for auto), onScans (optional function called with the
+     *      scans of each read) and onError (optional function called if the
+     *      stream fails, after which the stream is stopped). Exceptions thrown
+     *      by onScans or 'scans' listeners are passed to onError and the
+     *      'error' event but do not stop the stream.
+     * @return {q.promise} Promise that resolves to the DeviceStream once the
+     *      device is streaming. Rejects if the options are invalid, a stream
+     *      is already running or on error from a lower layer.
+    **/
+    this.startStream = function (options) {
+        var deferred = q.defer();
+        var device = this;
+        var streamOptions;
+        if (this.isStreaming()) {
+            deferred.reject('A stream is already running on this device');
+            return deferred.promise;
+        }
+        try {
+            streamOptions = device_stream_operations.resolveStreamOptions(options);
+        } catch (err) {
+            deferred.reject(err);
+            return deferred.promise;
+        }
+        var stream = new device_stream_operations.DeviceStream(
+            this,
+            streamOptions
+        );
+        this.stream = stream;
+        stream.start()
+        .then(deferred.resolve, function (err) {
+            device.stream = null;
+            deferred.reject(err);
+        });
+        return deferred.promise;
+    };
+
+    /**
+     * Stop the stream started by startStream.
+     *
+     * @return {q.promise} Promise that resolves to the stream's statistics
+     *      (see DeviceStream.getStats) once the device has stopped streaming.
+     *      Rejects if no stream is running.
+    **/
+    this.stopStream = function () {
+        var device = this;
+        if (this.stream === null) {
+            return q.reject('No stream is running on this device');
+        }
+        return this.stream.stop()
+        .then(function (stats) {
+            device.stream = null;
+            return stats;
+        });
+    };
+
+    /**
+     * Determine if a stream started by startStream is running.
+     *
+     * @return {Boolean} True if this device is streaming.
+    **/
+    this.isStreaming = function () {
+        return this.stream !== null && this.stream.isRunning;
+    };
+
     /**
      * Release the device handle for this device.
      *
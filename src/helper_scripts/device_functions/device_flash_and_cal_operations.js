@@ -332,6 +332,7 @@ var T7_NominalCalValues = [
     {"name": "IS 200uA", "nominal": 0.000200, "variance": 0.05},
     {"name": "I Bias", "nominal": 0.000000015, "variance": 3.0}
 ];
+exports.T7_NominalCalValues = T7_NominalCalValues;
 
 var T7_HIGH_RESOLUTION_START_INDEX = 16;
 
@@ -0,0 +1,324 @@
+/**
+ * Stream mode acquisition for Device objects.
+ *
+ * Configures and runs a T7 stream through labjack-nodejs and delivers the
+ * resulting scans through a callback and / or events so that modules and
+ * tasks can collect data at rates that command-response reads can not reach.
+**/
+
+var events = require('events');
+var util = require('util');
+var q = require('q');
+
+// Value LJM fills the samples of skipped scans with when auto-recovering.
+var STREAM_DUMMY_VALUE = -9999;
+exports.STREAM_DUMMY_VALUE = STREAM_DUMMY_VALUE;
+
+var MAX_STREAM_SAMPLE_RATE = 100000;
+exports.MAX_STREAM_SAMPLE_RATE = MAX_STREAM_SAMPLE_RATE;
+
+var MAX_STREAM_RESOLUTION_INDEX = 8;
+exports.MAX_STREAM_RESOLUTION_INDEX = MAX_STREAM_RESOLUTION_INDEX;
+
+var DEFAULT_STREAM_OPTIONS = {
+    'scanList': [],
+    'scanRate': 1000,
+    'scansPerRead': null,
+    'resolutionIndex': 0,
+    'settlingUS': 0,
+    'onScans': null,
+    'onError': null
+};
+exports.DEFAULT_STREAM_OPTIONS = DEFAULT_STREAM_OPTIONS;
+
+
+/**
+ * Fill in defaults and check the options given to startStream.
+ *
+ * By default each read returns about a tenth of a second's worth of scans.
+ *
+ * @param {Object} options The options to check. See Device.startStream.
+ * @return {Object} The options with defaults filled in.
+ * @throws {String} A description of the first invalid option.
+**/
+var resolveStreamOptions = function (options) {
+    var resolvedOptions = {};
+    var key;
+    for (key in DEFAULT_STREAM_OPTIONS) {
+        resolvedOptions[key] = DEFAULT_STREAM_OPTIONS[key];
+    }
+    for (key in options) {
+        if (DEFAULT_STREAM_OPTIONS[key] === undefined) {
+            throw 'Unknown stream option: ' + key;
+        }
+        resolvedOptions[key] = options[key];
+    }
+
+    var scanList = resolvedOptions.scanList;
+    var scanRate = Number(resolvedOptions.scanRate);
+    if (!Array.isArray(scanList) || scanList.length === 0) {
+        throw 'The stream scan list must contain at least one register';
+    }
+    if (isNaN(scanRate) || scanRate <= 0) {
+        throw 'The stream scan rate must be a positive number';
+    }
+    if (scanRate * scanList.length > MAX_STREAM_SAMPLE_RATE) {
+        throw 'The stream scan rate times the number of registers may not ' +
+            'exceed ' + MAX_STREAM_SAMPLE_RATE.toString() + ' samples per second';
+    }
+    resolvedOptions.scanRate = scanRate;
+
+    if (resolvedOptions.scansPerRead === null) {
+        resolvedOptions.scansPerRead = Math.max(1, Math.floor(scanRate / 10));
+    }
+    var scansPerRead = Number(resolvedOptions.scansPerRead);
+    if (isNaN(scansPerRead) || scansPerRead < 1 ||
+        Math.floor(scansPerRead) !== scansPerRead) {
+        throw 'The number of scans per read must be a positive integer';
+    }
+    resolvedOptions.scansPerRead = scansPerRead;
+
+    var resolutionIndex = Number(resolvedOptions.resolutionIndex);
+    if (isNaN(resolutionIndex) || resolutionIndex < 0 ||
+        resolutionIndex > MAX_STREAM_RESOLUTION_INDEX ||
+        Math.floor(resolutionIndex) !== resolutionIndex) {
+        throw 'The stream resolution index must be an integer from 0 to ' +
+            MAX_STREAM_RESOLUTION_INDEX.toString();
+    }
+    resolvedOptions.resolutionIndex = resolutionIndex;
+
+    var settlingUS = Number(resolvedOptions.settlingUS);
+    if (isNaN(settlingUS) || settlingUS < 0) {
+        throw 'The stream settling time must be zero (auto) or positive';
+    }
+    resolvedOptions.settlingUS = settlingUS;
+
+    return resolvedOptions;
+};
+exports.resolveStreamOptions = resolveStreamOptions;
+
+
+/**
+ * Split the raw data of a labjack-nodejs streamRead into scans.
+ *
+ * Scans the device had to skip (every sample set to STREAM_DUMMY_VALUE) are
+ * counted instead of returned. The time of each scan is calculated from the
+ * time of the read and the scan rate so gaps from skipped scans are kept.
+ *
+ * @param {Object} streamData The object streamRead resolved with.
+ * @return {Object} Object with scans (an Array of {time, values} objects) and
+ *      numSkippedScans attributes.
+**/
+var parseStreamData = function (streamData) {
+    var scans = [];
+    var numSkippedScans = 0;
+    var numAddresses = streamData.numAddresses;
+    var offset = 0;
+    for (var i = 0; i < streamData.scansPerRead; i++) {
+        var values = [];
+        var isSkipped = true;
+        for (var j = 0; j < numAddresses; j++) {
+            var value = streamData.rawData.readDoubleLE(offset);
+            offset += 8;
+            isSkipped = isSkipped && value === STREAM_DUMMY_VALUE;
+            values.push(value);
+        }
+        if (isSkipped) {
+            numSkippedScans += 1;
+        } else {
+            scans.push({
+                'time': streamData.time + i * streamData.timeIncrement,
+                'values': values
+            });
+        }
+    }
+    return {'scans': scans, 'numSkippedScans': numSkippedScans};
+};
+exports.parseStreamData = parseStreamData;
+
+
+/**
+ * A stream running on a device.
+ *
+ * Emits 'scans' with an object containing scans (Array of {time, values}),
+ * scanList, deviceBacklog, ljmBacklog and numSkippedScans attributes after
+ * every read, 'error' if the stream fails (only if there are listeners) and
+ * 'stop' with the stream's statistics once it has stopped.
+ *
+ * @param {Device} device The device_controller Device to stream from.
+ * @param {Object} options Options already checked by resolveStreamOptions.
+**/
+function DeviceStream (device, options)
+{
+    events.EventEmitter.call(this);
+
+    this.device = device;
+    this.options = options;
+    this.scanList = options.scanList;
+    this.actualScanRate = null;
+    this.isRunning = false;
+    this.stopRequested = false;
+    this.stopDeferred = null;
+    this.lastError = null;
+    this.numReads = 0;
+    this.numScans = 0;
+    this.numSkippedScans = 0;
+    this.deviceBacklog = 0;
+    this.ljmBacklog = 0;
+    this.maxDeviceBacklog = 0;
+    this.maxLJMBacklog = 0;
+
+    /**
+     * Get information about the stream so far.
+     *
+     * @return {Object} The scan list and rate, whether the stream is running,
+     *      the number of reads, scans and skipped scans, the last and maximum
+     *      backlogs and the last error (null if there was none).
+    **/
+    this.getStats = function () {
+        return {
+            'scanList': self.scanList,
+            'scanRate': self.options.scanRate,
+            'actualScanRate': self.actualScanRate,
+            'isRunning': self.isRunning,
+            'numReads': self.numReads,
+            'numScans': self.numScans,
+            'numSkippedScans': self.numSkippedScans,
+            'deviceBacklog': self.deviceBacklog,
+            'ljmBacklog': self.ljmBacklog,
+            'maxDeviceBacklog': self.maxDeviceBacklog,
+            'maxLJMBacklog': self.maxLJMBacklog,
+            'lastError': self.lastError
+        };
+    };
+
+    /**
+     * Write the stream resolution and settling time and start the stream.
+     *
+     * @return {q.promise} Promise that resolves to this DeviceStream once the
+     *      device is streaming. Rejects on error from a lower layer.
+    **/
+    this.start = function () {
+        var deferred = q.defer();
+        self.device.writeMany(
+            ['STREAM_RESOLUTION_INDEX', 'STREAM_SETTLING_US'],
+            [self.options.resolutionIndex, self.options.settlingUS]
+        )
+        .then(function () {
+            self.device.device.streamStart(
+                self.options.scansPerRead,
+                self.scanList,
+                self.options.scanRate,
+                deferred.reject,
+                function (settings) {
+                    self.actualScanRate = settings.actualScanRate;
+                    self.isRunning = true;
+                    readLoop();
+                    deferred.resolve(self);
+                }
+            );
+        }, deferred.reject);
+        return deferred.promise;
+    };
+
+    /**
+     * Stop the stream after the read in progress finishes.
+     *
+     * @return {q.promise} Promise that resolves to the stream's statistics
+     *      once the device has stopped streaming.
+    **/
+    this.stop = function () {
+        if (self.stopDeferred === null) {
+            self.stopDeferred = q.defer();
+        }
+        if (!self.isRunning) {
+            self.stopDeferred.resolve(self.getStats());
+        }
+        self.stopRequested = true;
+        return self.stopDeferred.promise;
+    };
+
+    var reportError = function (err) {
+        self.lastError = err;
+        if (self.options.onError) {
+            self.options.onError(err);
+        }
+        if (self.listeners('error').length > 0) {
+            self.emit('error', err);
+        }
+    };
+
+    var finishStop = function () {
+        self.isRunning = false;
+        var stats = self.getStats();
+        if (self.stopDeferred === null) {
+            self.stopDeferred = q.defer();
+        }
+        self.stopDeferred.resolve(stats);
+        self.emit('stop', stats);
+    };
+
+    var stopDevice = function () {
+        self.device.device.streamStop(
+            function (err) {
+                if (self.lastError === null) {
+                    reportError(err);
+                }
+                finishStop();
+            },
+            finishStop
+        );
+    };
+
+    var onRead = function (streamData) {
+        var result = parseStreamData(streamData);
+        self.numReads += 1;
+        self.numScans += result.scans.length;
+        self.numSkippedScans += result.numSkippedScans;
+        self.deviceBacklog = streamData.deviceBacklog;
+        self.ljmBacklog = streamData.ljmBacklog;
+        self.maxDeviceBacklog = Math.max(
+            self.maxDeviceBacklog,
+            streamData.deviceBacklog
+        );
+        self.maxLJMBacklog = Math.max(self.maxLJMBacklog, streamData.ljmBacklog);
+
+        var scanData = {
+            'scans': result.scans,
+            'scanList': self.scanList,
+            'deviceBacklog': streamData.deviceBacklog,
+            'ljmBacklog': streamData.ljmBacklog,
+            'numSkippedScans': result.numSkippedScans
+        };
+        // An exception from the user's callbacks is reported without
+        // stopping the stream so that stop() can still finish it.
+        try {
+            if (self.options.onScans) {
+                self.options.onScans(scanData);
+            }
+            self.emit('scans', scanData);
+        } catch (err) {
+            reportError(err);
+        } finally {
+            readLoop();
+        }
+    };
+
+    var readLoop = function () {
+        if (self.stopRequested) {
+            stopDevice();
+            return;
+        }
+        self.device.device.streamRead(
+            function (err) {
+                reportError(err);
+                stopDevice();
+            },
+            onRead
+        );
+    };
+
+    var self = this;
+}
+util.inherits(DeviceStream, events.EventEmitter);
+exports.DeviceStream = DeviceStream;
@@ -0,0 +1,599 @@
+/**
+ * Device configuration profiles.
+ *
+ * A profile is the complete configuration of a device (analog input and
+ * extended feature settings, DIO directions and extended features, power-up
+ * defaults like the DAC, Ethernet and WiFi settings, the device name and the
+ * Lua startup script) saved as versioned JSON so that it can be applied to
+ * other devices, optionally committing it as their power-up defaults.
+**/
+
+var q = require('q');
+
+var lua_script_upload = require('./lua_script_upload');
+var register_snapshots = require('./register_snapshots');
+var register_watchlists = require('./register_watchlists');
+
+var PROFILE_FILE_TYPE = 'kipling-device-profile';
+exports.PROFILE_FILE_TYPE = PROFILE_FILE_TYPE;
+
+var PROFILE_FILE_VERSION = 1;
+exports.PROFILE_FILE_VERSION = PROFILE_FILE_VERSION;
+
+// Writing 1 to this register saves the current configuration as the power-up
+// defaults, like the set_defaults module does.
+var DEFAULTS_REGISTER = 'IO_CONFIG_SET_DEFAULT_TO_CURRENT';
+exports.DEFAULTS_REGISTER = DEFAULTS_REGISTER;
+
+// Error returned while the device's flash is busy (for example while the WiFi
+// module is initializing).
+var FLASH_NOT_READY_ERR = 2358;
+exports.FLASH_NOT_READY_ERR = FLASH_NOT_READY_ERR;
+
+var FLASH_RETRY_DELAY_MS = 3000;
+exports.FLASH_RETRY_DELAY_MS = FLASH_RETRY_DELAY_MS;
+
+var MAX_FLASH_RETRIES = 5;
+exports.MAX_FLASH_RETRIES = MAX_FLASH_RETRIES;
+
+// Number of registers written by each writeMany call.
+var WRITE_MANY_BATCH_SIZE = 64;
+exports.WRITE_MANY_BATCH_SIZE = WRITE_MANY_BATCH_SIZE;
+
+// The longest saved Lua script that is read back from a device.
+var MAX_LUA_SCRIPT_BYTES = 65536;
+exports.MAX_LUA_SCRIPT_BYTES = MAX_LUA_SCRIPT_BYTES;
+
+// Settings that identify a single unit on a network. These are not copied to
+// other devices when keepUnitSettings is set.
+var UNIT_SPECIFIC_REGISTERS = ['ETHERNET_IP_DEFAULT', 'WIFI_IP_DEFAULT'];
+exports.UNIT_SPECIFIC_REGISTERS = UNIT_SPECIFIC_REGISTERS;
+
+// Serial communication buffers are not configuration that can be cloned.
+var EXCLUDED_PROFILE_TAGS = ['ASYNCH'];
+exports.EXCLUDED_PROFILE_TAGS = EXCLUDED_PROFILE_TAGS;
+
+// Registers that set many channels at once, extended feature results, live
+// port states and the Lua VM controls (the script itself is kept separately).
+var EXCLUDED_PROFILE_NAME_PATTERNS = [
+    /_ALL_/,
+    /_EF_READ_[A-Z]$/,
+    /^(FIO_EIO|EIO_CIO|CIO_MIO)_STATE$/,
+    /^WAIT_US_BLOCKING$/,
+    /^LUA_(?!\w*_DEFAULT$)/
+];
+exports.EXCLUDED_PROFILE_NAME_PATTERNS = EXCLUDED_PROFILE_NAME_PATTERNS;
+
+var EF_INDEX_PATTERN = /_EF_INDEX$/;
+var EF_CLOCK_ENABLE_PATTERN = /^DIO_EF_CLOCK\d+_ENABLE$/;
+var DIO_EF_ENABLE_PATTERN = /^DIO\d+_EF_ENABLE$/;
+
+var DEFAULT_APPLY_OPTIONS = {
+    'keepUnitSettings': true,
+    'setDefaults': false
+};
+exports.DEFAULT_APPLY_OPTIONS = DEFAULT_APPLY_OPTIONS;
+
+
+var describeError = function (err) {
+    if (err !== null && typeof(err) === 'object' && err.retError !== undefined) {
+        return describeError(err.retError);
+    }
+    if (typeof(err) === 'number') {
+        return 'LJM error ' + err.toString();
+    }
+    return String(err);
+};
+
+
+/**
+ * Select the registers saved in a profile of a device.
+ *
+ * @param {Array} registers Register information Objects (with name,
+ *      readwrite, devices and optionally tags attributes) with LJMMM names
+ *      already expanded.
+ * @param {String} deviceType The device type, like 'T7'.
+ * @param {Number} firmwareVersion The firmware version of the device.
+ * @return {Array} The register information Objects of the configuration
+ *      registers that can be both read from and written to the device.
+**/
+var selectProfileRegisters = function (registers, deviceType,
+    firmwareVersion) {
+    return register_snapshots.selectSnapshotRegisters(
+        registers,
+        deviceType,
+        firmwareVersion
+    ).filter(function (register) {
+        if (register.readwrite.indexOf('W') < 0) {
+            return false;
+        }
+        var tags = register.tags || [];
+        var hasExcludedTag = tags.some(function (tag) {
+            return EXCLUDED_PROFILE_TAGS.indexOf(tag) >= 0;
+        });
+        if (hasExcludedTag) {
+            return false;
+        }
+        return !EXCLUDED_PROFILE_NAME_PATTERNS.some(function (pattern) {
+            return pattern.test(register.name);
+        });
+    });
+};
+exports.selectProfileRegisters = selectProfileRegisters;
+
+
+var readRegister = function (device, register) {
+    var deferred = q.defer();
+    device.readAsync(register, deferred.reject, deferred.resolve);
+    return deferred.promise;
+};
+
+
+/**
+ * Read the Lua script saved to a device's flash.
+ *
+ * @param {Device} device The device_controller Device to read from.
+ * @return {q.promise} Promise that resolves to the script or null if no
+ *      script is saved.
+**/
+var readSavedLuaScript = function (device) {
+    var bytes = [];
+    var readWord = function () {
+        return readRegister(device, 'LUA_SAVED_READ')
+        .then(function (word) {
+            // Each read returns the next four bytes, big endian.
+            for (var shift = 24; shift >= 0; shift -= 8) {
+                var byteVal = Math.floor(word / Math.pow(2, shift)) & 0xFF;
+                if (byteVal === 0) {
+                    return true;
+                }
+                bytes.push(byteVal);
+            }
+            return bytes.length >= MAX_LUA_SCRIPT_BYTES;
+        })
+        .then(function (isFinished) {
+            return isFinished ? null : readWord();
+        });
+    };
+
+    return device.writeAsync('LUA_SAVED_READ_POINTER', 0)
+    .then(readWord)
+    .then(function () {
+        if (bytes.length === 0) {
+            return null;
+        }
+        return String.fromCharCode.apply(null, bytes);
+    });
+};
+exports.readSavedLuaScript = readSavedLuaScript;
+
+
+/**
+ * Read the configuration of a device into a new profile.
+ *
+ * @param {Device} device The device_controller Device to read.
+ * @param {Array} registers The register information Objects from
+ *      selectProfileRegisters.
+ * @param {String} name The name of the profile.
+ * @return {q.promise} Promise that resolves to an Object with profile and
+ *      errors (descriptions of the registers that could not be read indexed
+ *      by register name) attributes. Registers that could not be read are
+ *      left out of the profile.
+**/
+var captureProfile = function (device, registers, name) {
+    var snapshot;
+    var errors;
+    return register_snapshots.takeSnapshot(device, registers)
+    .then(function (newSnapshot) {
+        snapshot = newSnapshot;
+        errors = snapshot.errors;
+        return readSavedLuaScript(device)
+        .fail(function (err) {
+            errors.LUA_SAVED_READ = describeError(err);
+            return null;
+        });
+    })
+    .then(function (luaScript) {
+        return {
+            'profile': {
+                'name': name,
+                'createdTime': snapshot.time,
+                'source': {
+                    'serial': snapshot.serial,
+                    'deviceType': snapshot.deviceType,
+                    'firmwareVersion': snapshot.firmwareVersion,
+                    'deviceName': snapshot.deviceName
+                },
+                'registers': snapshot.values,
+                'luaScript': luaScript
+            },
+            'errors': errors
+        };
+    });
+};
+exports.captureProfile = captureProfile;
+
+
+/**
+ * Check which of a profile's registers can be written to a device.
+ *
+ * @param {Object} profile The profile to check.
+ * @param {Object} registerInfoByName Register information Objects indexed by
+ *      name.
+ * @param {String} deviceType The type of the target device, like 'T7'.
+ * @param {Number} firmwareVersion The firmware version of the target device.
+ * @return {Object} Object with applicable (Array of register names) and
+ *      unsupported (Array of {name, reason} Objects) attributes.
+**/
+var checkProfile = function (profile, registerInfoByName, deviceType,
+    firmwareVersion) {
+    var entries = Object.keys(profile.registers).map(function (name) {
+        return {'name': name};
+    });
+    var support = register_watchlists.checkDeviceSupport(
+        {'entries': entries},
+        registerInfoByName,
+        deviceType,
+        firmwareVersion
+    );
+    var applicable = [];
+    var unsupported = support.unsupported;
+    support.supported.forEach(function (entry) {
+        if (registerInfoByName[entry.name].readwrite.indexOf('W') < 0) {
+            unsupported.push({'name': entry.name, 'reason': 'read only'});
+        } else {
+            applicable.push(entry.name);
+        }
+    });
+    return {'applicable': applicable, 'unsupported': unsupported};
+};
+exports.checkProfile = checkProfile;
+
+
+/**
+ * Order the writes that apply a profile.
+ *
+ * Extended features are disabled first, then the extended feature indexes
+ * are written (writing an index resets that feature's configuration), then
+ * the rest of the registers and finally the clocks and extended features are
+ * enabled again.
+ *
+ * @param {Object} values The values to write indexed by register name.
+ * @return {Array} Array of {name, value} Objects in the order to write them.
+ *      The writes that disable extended features before they are configured
+ *      also have an isDisable attribute set to true.
+**/
+var planProfileWrites = function (values) {
+    var disables = [];
+    var indexes = [];
+    var others = [];
+    var clockEnables = [];
+    var featureEnables = [];
+    Object.keys(values).forEach(function (name) {
+        var write = {'name': name, 'value': values[name]};
+        if (EF_CLOCK_ENABLE_PATTERN.test(name)) {
+            disables.push({'name': name, 'value': 0, 'isDisable': true});
+            clockEnables.push(write);
+        } else if (DIO_EF_ENABLE_PATTERN.test(name)) {
+            disables.push({'name': name, 'value': 0, 'isDisable': true});
+            featureEnables.push(write);
+        } else if (EF_INDEX_PATTERN.test(name)) {
+            indexes.push(write);
+        } else {
+            others.push(write);
+        }
+    });
+    return disables.concat(indexes, others, clockEnables, featureEnables);
+};
+exports.planProfileWrites = planProfileWrites;
+
+
+/**
+ * Write a register, retrying while the device's flash is not ready.
+**/
+var writeWithFlashRetry = function (device, register, value, numRetries) {
+    if (numRetries === undefined) {
+        numRetries = 0;
+    }
+    return device.writeAsync(register, value)
+    .fail(function (err) {
+        var errorCode = err;
+        if (err !== null && typeof(err) === 'object' && err.retError !== undefined) {
+            errorCode = err.retError;
+        }
+        if (errorCode !== FLASH_NOT_READY_ERR || numRetries >= MAX_FLASH_RETRIES) {
+            throw err;
+        }
+        return q.delay(FLASH_RETRY_DELAY_MS).then(function () {
+            return writeWithFlashRetry(device, register, value, numRetries + 1);
+        });
+    });
+};
+
+
+/**
+ * Load a Lua script onto a device and save it to flash so that it is the
+ * device's startup script.
+ *
+ * @param {Device} device The device_controller Device to write to.
+ * @param {String} luaScript The script source.
+ * @return {q.promise} Promise that resolves once the script is saved.
+**/
+var writeLuaScript = function (device, luaScript) {
+    return lua_script_upload.stopScript(device)
+    .then(function () {
+        return lua_script_upload.uploadScript(device, luaScript + '\0');
+    })
+    .then(function () {
+        return writeWithFlashRetry(device, 'LUA_SAVE_TO_FLASH', 1);
+    });
+};
+exports.writeLuaScript = writeLuaScript;
+
+
+/**
+ * Apply a profile to a device.
+ *
+ * Registers the device does not support are skipped and reported. A register
+ * that fails to be written is reported without stopping the rest of the
+ * profile from being applied but the power-up defaults are only saved if
+ * every write succeeded.
+ *
+ * @param {Device} device The device_controller Device to configure.
+ * @param {Object} profile The profile to apply.
+ * @param {Object} registerInfoByName Register information Objects indexed by
+ *      name.
+ * @param {Object} options Optional, see DEFAULT_APPLY_OPTIONS.
+ * @return {q.promise} Promise that resolves to an Object with serial,
+ *      numWritten, unsupported (Array of {name, reason}), errors (Array of
+ *      {name, message}), luaScriptWritten, defaultsSaved and success
+ *      attributes.
+**/
+var applyProfile = function (device, profile, registerInfoByName, options) {
+    var applyOptions = {};
+    var key;
+    for (key in DEFAULT_APPLY_OPTIONS) {
+        applyOptions[key] = DEFAULT_APPLY_OPTIONS[key];
+    }
+    for (key in options) {
+        applyOptions[key] = options[key];
+    }
+
+    var check = checkProfile(
+        profile,
+        registerInfoByName,
+        device.getDeviceType(),
+        device.getFirmwareVersion()
+    );
+    var result = {
+        'serial': device.getSerial(),
+        'numWritten': 0,
+        'unsupported': check.unsupported,
+        'errors': [],
+        'luaScriptWritten': false,
+        'defaultsSaved': false,
+        'success': false
+    };
+    var addError = function (name, err) {
+        result.errors.push({'name': name, 'message': describeError(err)});
+    };
+
+    var values = {};
+    check.applicable.forEach(function (name) {
+        var isUnitSpecific = UNIT_SPECIFIC_REGISTERS.indexOf(name) >= 0;
+        if (!(applyOptions.keepUnitSettings && isUnitSpecific)) {
+            values[name] = profile.registers[name];
+        }
+    });
+
+    var countWritten = function (writes) {
+        result.numWritten += writes.filter(function (write) {
+            return !write.isDisable;
+        }).length;
+    };
+    var writeSingle = function (write) {
+        return device.writeAsync(write.name, write.value)
+        .then(function () {
+            countWritten([write]);
+        }, function (err) {
+            addError(write.name, err);
+        });
+    };
+    var writeEachSingle = function (writes) {
+        return writes.reduce(function (promise, write) {
+            return promise.then(function () {
+                return writeSingle(write);
+            });
+        }, q.resolve());
+    };
+    var writeBatch = function (writes) {
+        return device.dwriteMany(
+            writes.map(function (write) {
+                return write.name;
+            }),
+            writes.map(function (write) {
+                return write.value;
+            })
+        )
+        .then(function () {
+            countWritten(writes);
+        }, function () {
+            return writeEachSingle(writes);
+        });
+    };
+
+    // Strings can not be written with writeMany and consecutive numeric
+    // writes are batched without changing the planned order.
+    var groups = [];
+    planProfileWrites(values).forEach(function (write) {
+        var lastGroup = groups[groups.length - 1];
+        var isString = typeof(write.value) === 'string';
+        if (!isString && lastGroup !== undefined && !lastGroup.isString &&
+            lastGroup.writes.length < WRITE_MANY_BATCH_SIZE) {
+            lastGroup.writes.push(write);
+        } else {
+            groups.push({'isString': isString, 'writes': [write]});
+        }
+    });
+
+    return groups.reduce(function (promise, group) {
+        return promise.then(function () {
+            if (group.isString) {
+                return writeEachSingle(group.writes);
+            }
+            return writeBatch(group.writes);
+        });
+    }, q.resolve())
+    .then(function () {
+        if (typeof(profile.luaScript) !== 'string') {
+            return;
+        }
+        return writeLuaScript(device, profile.luaScript)
+        .then(function () {
+            result.luaScriptWritten = true;
+        }, function (err) {
+            addError('LUA_SOURCE_WRITE', err);
+        });
+    })
+    .then(function () {
+        if (!applyOptions.setDefaults) {
+            return;
+        }
+        if (result.errors.length > 0) {
+            addError(
+                DEFAULTS_REGISTER,
+                'not saved because the profile was not fully applied'
+            );
+            return;
+        }
+        return writeWithFlashRetry(device, DEFAULTS_REGISTER, 1)
+        .then(function () {
+            result.defaultsSaved = true;
+        }, function (err) {
+            addError(DEFAULTS_REGISTER, err);
+        });
+    })
+    .then(function () {
+        result.success = result.errors.length === 0;
+        return result;
+    });
+};
+exports.applyProfile = applyProfile;
+
+
+/**
+ * Apply a profile to several devices at the same time.
+ *
+ * @param {Array} devices The device_controller Devices to configure.
+ * @param {Object} profile The profile to apply.
+ * @param {Object} registerInfoByName Register information Objects indexed by
+ *      name.
+ * @param {Object} options Optional, see DEFAULT_APPLY_OPTIONS.
+ * @return {q.promise} Promise that resolves to an Array with the result of
+ *      applyProfile for each device.
+**/
+var applyProfileToDevices = function (devices, profile, registerInfoByName,
+    options) {
+    return q.all(devices.map(function (device) {
+        return applyProfile(device, profile, registerInfoByName, options);
+    }));
+};
+exports.applyProfileToDevices = applyProfileToDevices;
+
+
+/**
+ * Describe the results of applying a profile as text.
+ *
+ * @param {Array} results The results from applyProfileToDevices.
+ * @return {String} A summary line for each device followed by the registers
+ *      that were skipped or could not be written.
+**/
+var formatApplyReport = function (results) {
+    var lines = [];
+    results.forEach(function (result) {
+        var summary = result.numWritten.toString() + ' registers written';
+        if (result.luaScriptWritten) {
+            summary += ', Lua script saved';
+        }
+        if (result.defaultsSaved) {
+            summary += ', power-up defaults saved';
+        }
+        lines.push(
+            'Device ' + String(result.serial) + ': ' +
+            (result.success ? 'OK' : 'FAILED') + ', ' + summary
+        );
+        result.unsupported.forEach(function (info) {
+            lines.push('  skipped ' + info.name + ' (' + info.reason + ')');
+        });
+        result.errors.forEach(function (error) {
+            lines.push('  error ' + error.name + ': ' + error.message);
+        });
+    });
+    return lines.join('\n');
+};
+exports.formatApplyReport = formatApplyReport;
+
+
+/**
+ * Convert a profile to the JSON saved to profile files.
+ *
+ * @param {Object} profile The profile from captureProfile.
+ * @return {String} The JSON text.
+**/
+var exportProfile = function (profile) {
+    var data = {
+        'type': PROFILE_FILE_TYPE,
+        'version': PROFILE_FILE_VERSION
+    };
+    for (var key in profile) {
+        data[key] = profile[key];
+    }
+    return JSON.stringify(data, null, 2);
+};
+exports.exportProfile = exportProfile;
+
+
+/**
+ * Read a profile saved by exportProfile.
+ *
+ * @param {String} contents The contents of the profile file.
+ * @return {Object} The profile.
+ * @throws {String} A description of the problem if the file is not a valid
+ *      profile.
+**/
+var importProfile = function (contents) {
+    var data;
+    try {
+        data = JSON.parse(contents);
+    } catch (err) {
+        throw 'The profile file is not valid JSON';
+    }
+    if (data === null || data.type !== PROFILE_FILE_TYPE) {
+        throw 'The file is not a device profile';
+    }
+    if (data.version > PROFILE_FILE_VERSION) {
+        throw 'The profile was saved by a newer version of Kipling';
+    }
+    if (typeof(data.registers) !== 'object' || data.registers === null) {
+        throw 'The profile file does not contain any registers';
+    }
+    var invalidNames = Object.keys(data.registers).filter(function (name) {
+        var valueType = typeof(data.registers[name]);
+        return valueType !== 'number' && valueType !== 'string';
+    });
+    if (invalidNames.length > 0) {
+        throw 'Invalid values in the profile for ' + invalidNames.join(', ');
+    }
+    if (data.luaScript !== undefined && data.luaScript !== null &&
+        typeof(data.luaScript) !== 'string') {
+        throw 'The Lua script in the profile is not text';
+    }
+    return {
+        'name': String(data.name || ''),
+        'createdTime': data.createdTime,
+        'source': data.source || {},
+        'registers': data.registers,
+        'luaScript': typeof(data.luaScript) === 'string' ? data.luaScript : null
+    };
+};
+exports.importProfile = importProfile;
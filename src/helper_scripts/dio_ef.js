@@ -0,0 +1,582 @@
+/**
+ * Digital I/O extended feature (DIO_EF) definitions and configuration.
+ *
+ * Describes the extended features of the T7 DIO lines (PWM out, pulse out,
+ * frequency and pulse width in, counters and quadrature in), which lines
+ * support each of them and the DIO_EF clock sources that the timer based
+ * features run from. Also plans the register writes that configure a feature
+ * and finds configurations that can not work together.
+**/
+
+var q = require('q');
+
+var dio_multi_device = require('./dio_multi_device');
+
+// Frequency of the core clock that the DIO_EF clocks divide down.
+var CORE_FREQUENCY_HZ = 80000000;
+exports.CORE_FREQUENCY_HZ = CORE_FREQUENCY_HZ;
+
+// Values accepted by DIO_EF_CLOCK#_DIVISOR.
+var CLOCK_DIVISORS = [1, 2, 4, 8, 16, 32, 64, 256];
+exports.CLOCK_DIVISORS = CLOCK_DIVISORS;
+
+// The DIO_EF clock sources. Clock0 is 32 bit and is built from the hardware
+// of the 16 bit Clock1 and Clock2, so it can not run at the same time as
+// either of them.
+var CLOCKS = [
+    {'index': 0, 'bits': 32, 'sharesHardwareWith': [1, 2]},
+    {'index': 1, 'bits': 16, 'sharesHardwareWith': [0]},
+    {'index': 2, 'bits': 16, 'sharesHardwareWith': [0]}
+];
+exports.CLOCKS = CLOCKS;
+
+// The high-speed counters on DIO16 and DIO17 use the hardware of Clock1 and
+// Clock2.
+var COUNTER_CLOCK_HARDWARE = {'16': 1, '17': 2};
+exports.COUNTER_CLOCK_HARDWARE = COUNTER_CLOCK_HARDWARE;
+
+// Bits of DIO#_EF_OPTIONS that select the clock source.
+var CLOCK_SOURCE_MASK = 0x7;
+exports.CLOCK_SOURCE_MASK = CLOCK_SOURCE_MASK;
+
+var CONTINUOUS_OPTIONS = [
+    {'name': 'Continuous', 'value': 1},
+    {'name': 'One-shot', 'value': 0}
+];
+
+var PWM_LINES = [0, 2, 3, 4, 5];
+var TIMER_IN_LINES = [0, 1];
+var INTERRUPT_LINES = [0, 1, 2, 3, 6, 7];
+
+// The extended features, by DIO#_EF_INDEX. configs are the DIO#_EF_CONFIG_#
+// registers a feature uses and reads the registers with its results.
+var EF_TYPES = [
+    {
+        'index': 0,
+        'name': 'PWM Out',
+        'lines': PWM_LINES,
+        'usesClock': true,
+        'isInput': false,
+        'configs': [
+            {'register': '_EF_CONFIG_A', 'humanName': 'High Time (ticks)', 'defaultVal': 0,
+                'description': 'Clock tick at which the output goes low, sets the duty cycle'}
+        ],
+        'reads': []
+    },
+    {
+        'index': 1,
+        'name': 'PWM Out with Phase',
+        'lines': PWM_LINES,
+        'usesClock': true,
+        'isInput': false,
+        'configs': [
+            {'register': '_EF_CONFIG_A', 'humanName': 'High to Low (tick)', 'defaultVal': 0,
+                'description': 'Clock tick at which the output goes low'},
+            {'register': '_EF_CONFIG_B', 'humanName': 'Low to High (tick)', 'defaultVal': 0,
+                'description': 'Clock tick at which the output goes high, sets the phase'}
+        ],
+        'reads': []
+    },
+    {
+        'index': 2,
+        'name': 'Pulse Out',
+        'lines': PWM_LINES,
+        'usesClock': true,
+        'isInput': false,
+        'configs': [
+            {'register': '_EF_CONFIG_A', 'humanName': 'High to Low (tick)', 'defaultVal': 0,
+                'description': 'Clock tick at which the output goes low'},
+            {'register': '_EF_CONFIG_B', 'humanName': 'Low to High (tick)', 'defaultVal': 0,
+                'description': 'Clock tick at which the output goes high'},
+            {'register': '_EF_CONFIG_C', 'humanName': 'Number of Pulses', 'defaultVal': 1,
+                'description': 'Number of pulses to output'}
+        ],
+        'reads': [
+            {'register': '_EF_READ_A', 'humanName': 'Pulses Completed', 'unit': ''},
+            {'register': '_EF_READ_B', 'humanName': 'Pulses Requested', 'unit': ''}
+        ]
+    },
+    {
+        'index': 3,
+        'name': 'Frequency In (Rising Edges)',
+        'lines': TIMER_IN_LINES,
+        'usesClock': true,
+        'isInput': true,
+        'configs': [
+            {'register': '_EF_CONFIG_A', 'humanName': 'Mode', 'defaultVal': 1,
+                'description': 'Measure continuously or only once', 'options': CONTINUOUS_OPTIONS}
+        ],
+        'reads': [
+            {'register': '_EF_READ_A_F', 'humanName': 'Period', 'unit': 's'},
+            {'register': '_EF_READ_B_F', 'humanName': 'Frequency', 'unit': 'Hz'}
+        ]
+    },
+    {
+        'index': 4,
+        'name': 'Frequency In (Falling Edges)',
+        'lines': TIMER_IN_LINES,
+        'usesClock': true,
+        'isInput': true,
+        'configs': [
+            {'register': '_EF_CONFIG_A', 'humanName': 'Mode', 'defaultVal': 1,
+                'description': 'Measure continuously or only once', 'options': CONTINUOUS_OPTIONS}
+        ],
+        'reads': [
+            {'register': '_EF_READ_A_F', 'humanName': 'Period', 'unit': 's'},
+            {'register': '_EF_READ_B_F', 'humanName': 'Frequency', 'unit': 'Hz'}
+        ]
+    },
+    {
+        'index': 5,
+        'name': 'Pulse Width In',
+        'lines': TIMER_IN_LINES,
+        'usesClock': true,
+        'isInput': true,
+        'configs': [
+            {'register': '_EF_CONFIG_A', 'humanName': 'Mode', 'defaultVal': 1,
+                'description': 'Measure continuously or only once', 'options': CONTINUOUS_OPTIONS}
+        ],
+        'reads': [
+            {'register': '_EF_READ_A_F', 'humanName': 'High Time', 'unit': 's'},
+            {'register': '_EF_READ_B_F', 'humanName': 'Low Time', 'unit': 's'}
+        ]
+    },
+    {
+        'index': 7,
+        'name': 'High-Speed Counter',
+        'lines': [16, 17, 18, 19],
+        'usesClock': false,
+        'isInput': true,
+        'configs': [],
+        'reads': [
+            {'register': '_EF_READ_A', 'humanName': 'Count', 'unit': ''}
+        ]
+    },
+    {
+        'index': 8,
+        'name': 'Interrupt Counter',
+        'lines': INTERRUPT_LINES,
+        'usesClock': false,
+        'isInput': true,
+        'configs': [],
+        'reads': [
+            {'register': '_EF_READ_A', 'humanName': 'Count', 'unit': ''}
+        ]
+    },
+    {
+        'index': 9,
+        'name': 'Interrupt Counter with Debounce',
+        'lines': INTERRUPT_LINES,
+        'usesClock': false,
+        'isInput': true,
+        'configs': [
+            {'register': '_EF_CONFIG_A', 'humanName': 'Debounce Time (us)', 'defaultVal': 1000,
+                'description': 'Time after an edge during which further edges are ignored'},
+            {'register': '_EF_CONFIG_B', 'humanName': 'Debounce Mode', 'defaultVal': 0,
+                'description': 'Edges counted and how the debounce timer restarts, see the T7 datasheet'}
+        ],
+        'reads': [
+            {'register': '_EF_READ_A', 'humanName': 'Count', 'unit': ''}
+        ]
+    },
+    {
+        'index': 10,
+        'name': 'Quadrature In',
+        'lines': [0, 1, 2, 3, 6, 7],
+        'usesClock': false,
+        'isInput': true,
+        // Phase A is on the even line and phase B on the odd line after it,
+        // both lines have to be configured.
+        'pairedLines': true,
+        'configs': [],
+        'reads': [
+            {'register': '_EF_READ_A', 'humanName': 'Count', 'unit': '', 'isSigned': true}
+        ]
+    }
+];
+exports.EF_TYPES = EF_TYPES;
+
+
+var getLineName = function (lineIndex) {
+    return 'DIO' + lineIndex.toString();
+};
+exports.getLineName = getLineName;
+
+
+/**
+ * Get the extended feature with the given DIO#_EF_INDEX.
+ *
+ * @param {Number} efIndex The DIO#_EF_INDEX value.
+ * @return {Object} The feature from EF_TYPES or undefined if there is none.
+**/
+var getEFType = function (efIndex) {
+    var found;
+    EF_TYPES.forEach(function (efType) {
+        if (efType.index === efIndex) {
+            found = efType;
+        }
+    });
+    return found;
+};
+exports.getEFType = getEFType;
+
+
+/**
+ * Get the extended features that a DIO line supports.
+ *
+ * @param {Number} lineIndex The DIO number of the line.
+ * @return {Array} The features from EF_TYPES available on the line.
+**/
+var getLineEFTypes = function (lineIndex) {
+    return EF_TYPES.filter(function (efType) {
+        return efType.lines.indexOf(lineIndex) >= 0;
+    });
+};
+exports.getLineEFTypes = getLineEFTypes;
+
+
+/**
+ * Get the DIO numbers of the lines that support at least one feature.
+ *
+ * @return {Array} Sorted DIO numbers.
+**/
+var getEFLines = function () {
+    var lines = [];
+    EF_TYPES.forEach(function (efType) {
+        efType.lines.forEach(function (lineIndex) {
+            if (lines.indexOf(lineIndex) < 0) {
+                lines.push(lineIndex);
+            }
+        });
+    });
+    return lines.sort(function (a, b) {
+        return a - b;
+    });
+};
+exports.getEFLines = getEFLines;
+
+
+/**
+ * Get the other line of a quadrature pair.
+ *
+ * @param {Number} lineIndex The DIO number of either line of the pair.
+ * @return {Number} The DIO number of the other line.
+**/
+var getPairedLine = function (lineIndex) {
+    return lineIndex % 2 === 0 ? lineIndex + 1 : lineIndex - 1;
+};
+exports.getPairedLine = getPairedLine;
+
+
+/**
+ * Calculate the rate of a clock source.
+ *
+ * @param {Number} clockIndex The clock number.
+ * @param {Object} clock The clock settings, with divisor and rollValue. A
+ *      rollValue of 0 is the largest roll value the clock supports.
+ * @return {Object} Object with the tick frequency (tickHz) and the rate at
+ *      which the clock rolls over (rollHz), both in Hz.
+**/
+var getClockRates = function (clockIndex, clock) {
+    var divisor = Number(clock.divisor) || 1;
+    var rollValue = Number(clock.rollValue);
+    if (rollValue === 0) {
+        rollValue = Math.pow(2, CLOCKS[clockIndex].bits);
+    }
+    var tickHz = CORE_FREQUENCY_HZ / divisor;
+    return {'tickHz': tickHz, 'rollHz': tickHz / rollValue};
+};
+exports.getClockRates = getClockRates;
+
+
+/**
+ * Plan the writes that configure a clock source.
+ *
+ * The clock is disabled while its divisor and roll value change.
+ *
+ * @param {Number} clockIndex The clock number.
+ * @param {Object} clock The clock settings, with enabled, divisor and
+ *      rollValue.
+ * @return {Array} Array of {name, value} Objects to write in order.
+**/
+var planClockWrites = function (clockIndex, clock) {
+    var prefix = 'DIO_EF_CLOCK' + clockIndex.toString();
+    var writes = [
+        {'name': prefix + '_ENABLE', 'value': 0},
+        {'name': prefix + '_DIVISOR', 'value': Number(clock.divisor)},
+        {'name': prefix + '_ROLL_VALUE', 'value': Number(clock.rollValue)}
+    ];
+    if (clock.enabled) {
+        writes.push({'name': prefix + '_ENABLE', 'value': 1});
+    }
+    return writes;
+};
+exports.planClockWrites = planClockWrites;
+
+
+/**
+ * Plan the writes that configure the extended feature of a line.
+ *
+ * The feature is disabled before it is changed. Configuring a quadrature
+ * input configures both lines of the pair.
+ *
+ * @param {Number} lineIndex The DIO number of the line.
+ * @param {Object} efConfig The feature to configure, with index (the
+ *      DIO#_EF_INDEX or null to disable the line), clockSource and a configs
+ *      Object mapping config register suffixes like '_EF_CONFIG_A' to values.
+ *      Missing configs are written with their default values.
+ * @return {Array} Array of {name, value} Objects to write in order.
+ * @throws {String} If the line does not support the feature.
+**/
+var planEFWrites = function (lineIndex, efConfig) {
+    var efType = efConfig.index === null ? null : getEFType(efConfig.index);
+    if (efType === undefined || (efType !== null &&
+        efType.lines.indexOf(lineIndex) < 0)) {
+        throw getLineName(lineIndex) + ' does not support extended feature ' +
+            String(efConfig.index);
+    }
+
+    var lines = [lineIndex];
+    if (efType !== null && efType.pairedLines) {
+        lines = [lineIndex - lineIndex % 2, lineIndex - lineIndex % 2 + 1];
+    }
+
+    var writes = [];
+    lines.forEach(function (line) {
+        writes.push({'name': getLineName(line) + '_EF_ENABLE', 'value': 0});
+    });
+    if (efType === null) {
+        return writes;
+    }
+
+    var configs = efConfig.configs || {};
+    lines.forEach(function (line) {
+        var lineName = getLineName(line);
+        writes.push({'name': lineName + '_EF_INDEX', 'value': efType.index});
+        if (efType.usesClock) {
+            writes.push({
+                'name': lineName + '_EF_OPTIONS',
+                'value': Number(efConfig.clockSource) & CLOCK_SOURCE_MASK
+            });
+        }
+        efType.configs.forEach(function (config) {
+            var value = configs[config.register];
+            writes.push({
+                'name': lineName + config.register,
+                'value': value === undefined ? config.defaultVal : Number(value)
+            });
+        });
+    });
+    lines.forEach(function (line) {
+        writes.push({'name': getLineName(line) + '_EF_ENABLE', 'value': 1});
+    });
+    return writes;
+};
+exports.planEFWrites = planEFWrites;
+
+
+/**
+ * Find extended feature configurations that can not work together.
+ *
+ * @param {Object} efConfigs Object mapping DIO numbers of enabled lines to
+ *      {index, clockSource}.
+ * @param {Array} clocks The settings of each clock source, with enabled.
+ * @param {Object} dioConfig Optional line configuration, as from
+ *      dio_multi_device.decodeDIO, to check for input features on lines
+ *      that are configured as outputs.
+ * @return {Array} Array of {lines, message} Objects where lines are the DIO
+ *      numbers involved.
+**/
+var findConflicts = function (efConfigs, clocks, dioConfig) {
+    var conflicts = [];
+    var addConflict = function (lines, message) {
+        conflicts.push({'lines': lines, 'message': message});
+    };
+    var isClockEnabled = function (clockIndex) {
+        return Boolean(clocks[clockIndex] && clocks[clockIndex].enabled);
+    };
+
+    CLOCKS.forEach(function (clock) {
+        clock.sharesHardwareWith.forEach(function (otherIndex) {
+            if (clock.index < otherIndex && isClockEnabled(clock.index) &&
+                isClockEnabled(otherIndex)) {
+                addConflict([], 'DIO_EF_CLOCK' + clock.index.toString() +
+                    ' and DIO_EF_CLOCK' + otherIndex.toString() +
+                    ' share hardware and can not both be enabled');
+            }
+        });
+    });
+
+    Object.keys(efConfigs).forEach(function (key) {
+        var lineIndex = Number(key);
+        var lineName = getLineName(lineIndex);
+        var efConfig = efConfigs[key];
+        var efType = getEFType(efConfig.index);
+        if (efType === undefined || efType.lines.indexOf(lineIndex) < 0) {
+            addConflict([lineIndex], lineName + ' does not support extended feature ' +
+                String(efConfig.index));
+            return;
+        }
+
+        if (efType.usesClock) {
+            var clockIndex = Number(efConfig.clockSource) & CLOCK_SOURCE_MASK;
+            if (!isClockEnabled(clockIndex)) {
+                addConflict([lineIndex], lineName + ' (' + efType.name +
+                    ') uses DIO_EF_CLOCK' + clockIndex.toString() +
+                    ', which is not enabled');
+            }
+        }
+
+        var counterClock = COUNTER_CLOCK_HARDWARE[key];
+        if (efType.index === 7 && counterClock !== undefined) {
+            [0, counterClock].forEach(function (clockIndex) {
+                if (isClockEnabled(clockIndex)) {
+                    addConflict([lineIndex], lineName + ' (' + efType.name +
+                        ') shares hardware with DIO_EF_CLOCK' +
+                        clockIndex.toString() + ', which is enabled');
+                }
+            });
+        }
+
+        if (efType.pairedLines) {
+            var paired = efConfigs[getPairedLine(lineIndex)];
+            if (paired === undefined || paired.index !== efType.index) {
+                var pair = [lineIndex - lineIndex % 2, lineIndex - lineIndex % 2 + 1];
+                addConflict(pair, getLineName(pair[0]) + ' and ' +
+                    getLineName(pair[1]) + ' must both be set to ' + efType.name);
+            }
+        }
+
+        if (dioConfig !== undefined && efType.isInput) {
+            var dioLine = dio_multi_device.DIO_LINES[lineIndex];
+            var setting = dioConfig[dioLine.name];
+            if (setting !== undefined &&
+                setting.direction === dio_multi_device.OUTPUT) {
+                addConflict([lineIndex], dioLine.name + ' is configured as an ' +
+                    'output but ' + lineName + ' is used by ' + efType.name);
+            }
+        }
+    });
+    return conflicts;
+};
+exports.findConflicts = findConflicts;
+
+
+/**
+ * Write planned register writes to a device.
+ *
+ * @param {Object} device The device to write to.
+ * @param {Array} writes Array of {name, value} Objects to write in order.
+ * @return {q.promise} Promise that resolves after the writes or rejects with
+ *      the error of the first write that failed.
+**/
+var writePlan = function (device, writes) {
+    if (writes.length === 0) {
+        return q.resolve();
+    }
+    return device.dwriteMany(
+        writes.map(function (write) { return write.name; }),
+        writes.map(function (write) { return write.value; })
+    );
+};
+exports.writePlan = writePlan;
+
+
+/**
+ * Read the extended feature configuration of a device.
+ *
+ * @param {Object} device The device to read from.
+ * @return {q.promise} Promise that resolves to an Object with lines (mapping
+ *      the DIO numbers of the lines that support features to {enabled,
+ *      index, clockSource, configs}) and clocks (Array of {enabled, divisor,
+ *      rollValue}).
+**/
+var readEFConfig = function (device) {
+    var configRegisters = ['_EF_CONFIG_A', '_EF_CONFIG_B', '_EF_CONFIG_C', '_EF_CONFIG_D'];
+    var lineRegisters = ['_EF_ENABLE', '_EF_INDEX', '_EF_OPTIONS'].concat(configRegisters);
+    var clockRegisters = ['_ENABLE', '_DIVISOR', '_ROLL_VALUE'];
+    var efLines = getEFLines();
+
+    var names = [];
+    efLines.forEach(function (lineIndex) {
+        lineRegisters.forEach(function (register) {
+            names.push(getLineName(lineIndex) + register);
+        });
+    });
+    CLOCKS.forEach(function (clock) {
+        clockRegisters.forEach(function (register) {
+            names.push('DIO_EF_CLOCK' + clock.index.toString() + register);
+        });
+    });
+
+    return device.dreadMany(names)
+    .then(function (values) {
+        var result = {'lines': {}, 'clocks': []};
+        var i = 0;
+        efLines.forEach(function (lineIndex) {
+            var configs = {};
+            configRegisters.forEach(function (register, j) {
+                configs[register] = values[i + 3 + j];
+            });
+            result.lines[lineIndex] = {
+                'enabled': values[i] !== 0,
+                'index': values[i + 1],
+                'clockSource': values[i + 2] & CLOCK_SOURCE_MASK,
+                'configs': configs
+            };
+            i += lineRegisters.length;
+        });
+        CLOCKS.forEach(function () {
+            result.clocks.push({
+                'enabled': values[i] !== 0,
+                'divisor': values[i + 1],
+                'rollValue': values[i + 2]
+            });
+            i += clockRegisters.length;
+        });
+        return result;
+    });
+};
+exports.readEFConfig = readEFConfig;
+
+
+/**
+ * Read which lines of a device have an extended feature enabled.
+ *
+ * @param {Object} device The device to read from.
+ * @return {q.promise} Promise that resolves to the sorted DIO numbers of the
+ *      lines with a feature enabled.
+**/
+var readEnabledLines = function (device) {
+    var efLines = getEFLines();
+    return device.dreadMany(efLines.map(function (lineIndex) {
+        return getLineName(lineIndex) + '_EF_ENABLE';
+    }))
+    .then(function (values) {
+        return efLines.filter(function (lineIndex, i) {
+            return values[i] !== 0;
+        });
+    });
+};
+exports.readEnabledLines = readEnabledLines;
+
+
+/**
+ * Format a DIO_EF reading for display.
+ *
+ * @param {Object} read The read register description from EF_TYPES.
+ * @param {Number} value The value read.
+ * @return {String} The value with its unit.
+**/
+var formatReading = function (read, value) {
+    var valueStr;
+    if (read.register.indexOf('_F') === read.register.length - 2) {
+        valueStr = Number(value).toPrecision(6);
+    } else if (read.isSigned) {
+        valueStr = (value | 0).toString();
+    } else {
+        valueStr = String(value);
+    }
+    return read.unit === '' ? valueStr : valueStr + ' ' + read.unit;
+};
+exports.formatReading = formatReading;
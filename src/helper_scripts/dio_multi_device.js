@@ -0,0 +1,300 @@
+/**
+ * Configure the digital I/O lines of several devices at once.
+ *
+ * The direction and state of the FIO, EIO, CIO and MIO lines are written
+ * with the DIO_DIRECTION and DIO_STATE registers, which hold one bit per line
+ * (bit 0 is FIO0, bit 22 is MIO2). DIO_INHIBIT, with the same bits, keeps the
+ * lines that are not being configured as they are. After writing, the lines
+ * are read back from each device so that lines that did not take the
+ * requested configuration can be shown.
+**/
+
+var q = require('q');
+
+var DIRECTION_REGISTER = 'DIO_DIRECTION';
+exports.DIRECTION_REGISTER = DIRECTION_REGISTER;
+
+var STATE_REGISTER = 'DIO_STATE';
+exports.STATE_REGISTER = STATE_REGISTER;
+
+var INHIBIT_REGISTER = 'DIO_INHIBIT';
+exports.INHIBIT_REGISTER = INHIBIT_REGISTER;
+
+var INPUT = 0;
+exports.INPUT = INPUT;
+
+var OUTPUT = 1;
+exports.OUTPUT = OUTPUT;
+
+// LJM errors reading the DIO_EF registers of a device whose firmware does not
+// have them: LJME_MBE2_ILLEGAL_DATA_ADDRESS, LJME_INVALID_ADDRESS,
+// LJME_INVALID_NAME and LJME_OLD_FIRMWARE.
+var EF_UNSUPPORTED_ERRORS = [1202, 1250, 1294, 1307];
+exports.EF_UNSUPPORTED_ERRORS = EF_UNSUPPORTED_ERRORS;
+
+// Name prefix and number of lines of each DIO port, in bit order.
+var DIO_PORTS = [
+    {'name': 'FIO', 'numLines': 8},
+    {'name': 'EIO', 'numLines': 8},
+    {'name': 'CIO', 'numLines': 4},
+    {'name': 'MIO', 'numLines': 3}
+];
+exports.DIO_PORTS = DIO_PORTS;
+
+// Name, port and bit index of every DIO line.
+var DIO_LINES = [];
+DIO_PORTS.forEach(function (port) {
+    for (var i = 0; i < port.numLines; i++) {
+        DIO_LINES.push({
+            'name': port.name + i.toString(),
+            'port': port.name,
+            'index': DIO_LINES.length
+        });
+    }
+});
+exports.DIO_LINES = DIO_LINES;
+
+
+/**
+ * Decode the DIO_DIRECTION and DIO_STATE bit masks into per-line settings.
+ *
+ * @param {Number} directionMask The value of DIO_DIRECTION.
+ * @param {Number} stateMask The value of DIO_STATE.
+ * @return {Object} Object mapping line names to {direction, state} where
+ *      direction is INPUT or OUTPUT and state is 0 or 1.
+**/
+var decodeDIO = function (directionMask, stateMask) {
+    var lines = {};
+    DIO_LINES.forEach(function (line) {
+        var bit = Math.pow(2, line.index);
+        lines[line.name] = {
+            'direction': Math.floor(directionMask / bit) % 2,
+            'state': Math.floor(stateMask / bit) % 2
+        };
+    });
+    return lines;
+};
+exports.decodeDIO = decodeDIO;
+
+
+/**
+ * Encode per-line settings into DIO_DIRECTION, DIO_STATE and DIO_INHIBIT bit
+ * masks.
+ *
+ * @param {Object} config Object mapping line names to {direction, state}.
+ *      Lines that are missing are set in the inhibit mask.
+ * @return {Object} Object with the direction, state and inhibit masks.
+**/
+var encodeDIO = function (config) {
+    var masks = {'direction': 0, 'state': 0, 'inhibit': 0};
+    DIO_LINES.forEach(function (line) {
+        var setting = config[line.name];
+        var bit = Math.pow(2, line.index);
+        if (setting === undefined) {
+            masks.inhibit += bit;
+            return;
+        }
+        if (Number(setting.direction) === OUTPUT) {
+            masks.direction += bit;
+        }
+        if (Number(setting.state) === 1) {
+            masks.state += bit;
+        }
+    });
+    return masks;
+};
+exports.encodeDIO = encodeDIO;
+
+
+/**
+ * Compare the configuration read back from a device to the requested one.
+ *
+ * The state of an input is set by whatever drives the line, so only the
+ * state of lines configured as outputs is compared.
+ *
+ * @param {Object} config The requested configuration, as from decodeDIO.
+ * @param {Object} readBack The configuration read from the device.
+ * @return {Array} Array of {name, attribute, expected, actual} Objects, one
+ *      per attribute that does not match, in line order.
+**/
+var findMismatches = function (config, readBack) {
+    var mismatches = [];
+    DIO_LINES.forEach(function (line) {
+        var expected = config[line.name];
+        var actual = readBack[line.name];
+        if (expected === undefined) {
+            return;
+        }
+        var expectedDirection = Number(expected.direction);
+        if (expectedDirection !== actual.direction) {
+            mismatches.push({
+                'name': line.name,
+                'attribute': 'direction',
+                'expected': expectedDirection,
+                'actual': actual.direction
+            });
+        } else if (expectedDirection === OUTPUT &&
+            Number(expected.state) !== actual.state) {
+            mismatches.push({
+                'name': line.name,
+                'attribute': 'state',
+                'expected': Number(expected.state),
+                'actual': actual.state
+            });
+        }
+    });
+    return mismatches;
+};
+exports.findMismatches = findMismatches;
+
+
+/**
+ * Read the direction and state of every DIO line of a device.
+ *
+ * @param {Object} device The device to read from.
+ * @return {q.promise} Promise that resolves to the decoded configuration (see
+ *      decodeDIO) or rejects with the error of the read.
+**/
+var readDeviceDIO = function (device) {
+    return device.dreadMany([DIRECTION_REGISTER, STATE_REGISTER])
+    .then(function (values) {
+        return decodeDIO(values[0], values[1]);
+    });
+};
+exports.readDeviceDIO = readDeviceDIO;
+
+
+/**
+ * Read the DIO lines of several devices.
+ *
+ * @param {Array} devices The devices to read from.
+ * @return {q.promise} Promise that resolves to one {serial, readBack, error}
+ *      Object per device, in the order of devices. readBack is null and error
+ *      is set if the device could not be read.
+**/
+var readDevicesDIO = function (devices) {
+    return q.all(devices.map(function (device) {
+        return readDeviceDIO(device)
+        .then(function (readBack) {
+            return {
+                'serial': String(device.getSerial()),
+                'readBack': readBack,
+                'error': null
+            };
+        }, function (err) {
+            return {
+                'serial': String(device.getSerial()),
+                'readBack': null,
+                'error': err
+            };
+        });
+    }));
+};
+exports.readDevicesDIO = readDevicesDIO;
+
+
+/**
+ * Read the names of the lines of a device that have an extended feature
+ * enabled. Devices with old firmware do not have the DIO_EF registers, so
+ * none of their lines are reported. Other errors, like a lost connection,
+ * reject so that lines the features control are not written.
+**/
+var readEFLineNames = function (device) {
+    // dio_ef requires this module.
+    var dio_ef = require('./dio_ef');
+    return q.fcall(dio_ef.readEnabledLines, device)
+    .then(function (lineIndexes) {
+        return lineIndexes.map(function (lineIndex) {
+            return DIO_LINES[lineIndex].name;
+        });
+    }, function (err) {
+        var errorCode = err;
+        if (err !== null && typeof(err) === 'object' && err.retError !== undefined) {
+            errorCode = err.retError;
+        }
+        if (EF_UNSUPPORTED_ERRORS.indexOf(errorCode) < 0) {
+            throw err;
+        }
+        return [];
+    });
+};
+
+
+/**
+ * Configure the DIO lines of a device and read them back.
+ *
+ * Only the lines in config are written, the others keep their direction and
+ * state. Lines with an extended feature enabled on the device are skipped as
+ * the feature controls them.
+ *
+ * DIO_STATE is written before DIO_DIRECTION so that lines switching to output
+ * start at the requested state instead of briefly driving the old one.
+ *
+ * @param {Object} device The device to configure.
+ * @param {Object} config Object mapping line names to {direction, state}.
+ * @return {q.promise} Promise that resolves to a {serial, readBack,
+ *      mismatches, skippedLines, error} Object. skippedLines has the names of
+ *      the lines in config that were not written because of an extended
+ *      feature. If writing or reading fails, error is set, readBack is null
+ *      and mismatches is empty. Never rejects.
+**/
+var applyDIOConfig = function (device, config) {
+    var writtenConfig = {};
+    var result = {
+        'serial': String(device.getSerial()),
+        'readBack': null,
+        'mismatches': [],
+        'skippedLines': [],
+        'error': null
+    };
+
+    return readEFLineNames(device)
+    .then(function (efLineNames) {
+        DIO_LINES.forEach(function (line) {
+            if (config[line.name] === undefined) {
+                return;
+            }
+            if (efLineNames.indexOf(line.name) >= 0) {
+                result.skippedLines.push(line.name);
+            } else {
+                writtenConfig[line.name] = config[line.name];
+            }
+        });
+        var masks = encodeDIO(writtenConfig);
+
+        // DIO_INHIBIT is cleared again after the lines are written so that
+        // later writes to DIO_STATE and DIO_DIRECTION affect every line.
+        return device.dwriteMany(
+            [INHIBIT_REGISTER, STATE_REGISTER, DIRECTION_REGISTER, INHIBIT_REGISTER],
+            [masks.inhibit, masks.state, masks.direction, 0]
+        );
+    })
+    .then(function () {
+        return readDeviceDIO(device);
+    })
+    .then(function (readBack) {
+        result.readBack = readBack;
+        result.mismatches = findMismatches(writtenConfig, readBack);
+        return result;
+    }, function (err) {
+        result.error = err;
+        return result;
+    });
+};
+exports.applyDIOConfig = applyDIOConfig;
+
+
+/**
+ * Configure the DIO lines of several devices at once.
+ *
+ * @param {Array} devices The devices to configure.
+ * @param {Object} config Object mapping line names to {direction, state}.
+ * @return {q.promise} Promise that resolves to the results of applyDIOConfig
+ *      for each device, in the order of devices.
+**/
+var applyDIOConfigToDevices = function (devices, config) {
+    return q.all(devices.map(function (device) {
+        return applyDIOConfig(device, config);
+    }));
+};
+exports.applyDIOConfigToDevices = applyDIOConfigToDevices;
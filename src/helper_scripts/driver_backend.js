@@ -0,0 +1,95 @@
+/**
+ * Selects the library that device_controller uses to talk to devices.
+ *
+ * By default this is labjack-nodejs (and therefore LJM and real hardware).
+ * Setting the KIPLING_DRIVER_BACKEND environment variable to "simulated", or
+ * calling selectBackend('simulated') before device_controller is first
+ * required, swaps in the simulated driver so Kipling can be used without any
+ * LabJack hardware attached.
+**/
+
+var traffic_recorder = require('./traffic_replay/traffic_recorder');
+
+var LABJACK_NODEJS = 'labjack-nodejs';
+var SIMULATED = 'simulated';
+var REPLAY = 'replay';
+exports.LABJACK_NODEJS = LABJACK_NODEJS;
+exports.SIMULATED = SIMULATED;
+exports.REPLAY = REPLAY;
+
+var BACKEND_LOCATIONS = {
+    'labjack-nodejs': 'labjack-nodejs',
+    'simulated': './simulated_driver/simulated_labjack_nodejs',
+    'replay': './traffic_replay/replay_labjack_nodejs'
+};
+
+var selectedBackend = process.env.KIPLING_DRIVER_BACKEND || LABJACK_NODEJS;
+var recordFile = process.env.KIPLING_DRIVER_RECORD || null;
+
+
+/**
+ * Choose the driver backend.
+ *
+ * @param {String} backendName LABJACK_NODEJS, SIMULATED or REPLAY.
+ * @throws {Error} If the backend name is not recognized.
+**/
+exports.selectBackend = function (backendName) {
+    if (BACKEND_LOCATIONS[backendName] === undefined) {
+        throw new Error('Unknown driver backend: ' + backendName);
+    }
+    selectedBackend = backendName;
+};
+
+/**
+ * @return {String} The name of the selected driver backend.
+**/
+exports.getSelectedBackend = function () {
+    return selectedBackend;
+};
+
+/**
+ * @return {Boolean} True if the simulated driver is selected.
+**/
+exports.isSimulated = function () {
+    return selectedBackend === SIMULATED;
+};
+
+/**
+ * Record the device traffic of libraries loaded after this call.
+ *
+ * @param {String} fileLocation The trace file to append records to or null
+ *      to stop recording.
+**/
+exports.setRecordFile = function (fileLocation) {
+    recordFile = fileLocation;
+};
+
+/**
+ * @return {String} The trace file device traffic is recorded to or null if
+ *      traffic is not being recorded.
+**/
+exports.getRecordFile = function () {
+    return recordFile;
+};
+
+/**
+ * Load the selected driver library. The returned object has the same
+ * driver(), device() and driver_const members as labjack-nodejs. If a record
+ * file is set, the library records all device traffic to it.
+ *
+ * @return {Object} The labjack-nodejs compatible library.
+**/
+exports.getDriverLibrary = function () {
+    var location = BACKEND_LOCATIONS[selectedBackend];
+    if (location === undefined) {
+        throw new Error('Unknown driver backend: ' + selectedBackend);
+    }
+    var library = require(location);
+    if (recordFile !== null) {
+        return traffic_recorder.wrapLibrary(
+            library,
+            new traffic_recorder.TrafficRecorder(recordFile)
+        );
+    }
+    return library;
+};
@@ -207,17 +207,22 @@ function globalDataManager() {
             self.pErr('fs_facade getModules err',err);
             defered.reject();
         }, function(modules) {
-            modules.forEach(function(module) {
-                if(module.active) {
-                    fs_facade.getModuleInfo(module.name,function(err) {
-                        self.pErr('fs_facade getInfo err',err);
-                    }, function(moduleData){
-                        addActiveModule(moduleData);
-                    });
-                    
-                }
+            var activeModules = modules.filter(function(module) {
+                return module.active;
+            });
+            // Wait for every module's info so that none of their data files
+            // are skipped by the rest of the initialization.
+            async.each(activeModules, function(module, callback) {
+                fs_facade.getModuleInfo(module.name,function(err) {
+                    self.pErr('fs_facade getInfo err',err);
+                    callback();
+                }, function(moduleData){
+                    addActiveModule(moduleData);
+                    callback();
+                });
+            }, function() {
+                defered.resolve();
             });
-            defered.resolve();
         });
         return defered.promise;
     };
@@ -393,7 +398,6 @@ function globalDataManager() {
         // Initialize K3 folder structure
         var initFuncs = [
             // Get a list of the installed modules
-            self.clearData,
             self.getInstalledModules,
             self.initializeFolderStructure,
             self.initializeGDMFile,
@@ -501,6 +505,107 @@ function globalDataManager() {
         return defered.promise;
     };
 
+    var getModuleFolderPath = function(moduleName) {
+        return K3_MODULES_DATA_FILE_PATH + PATH_TXT + moduleName;
+    };
+    var getModuleDataPath = function(moduleName) {
+        return getModuleFolderPath(moduleName) + PATH_TXT + moduleName + '.json';
+    };
+
+    var isModuleDataObject = function(data) {
+        return data !== null && typeof(data) === 'object' && !Array.isArray(data);
+    };
+
+    /**
+     * getModuleData returns the data a module saved with saveModuleData.  If
+     * the data hasn't been loaded by initializeData yet it is read from the
+     * module's .json file.  Saved data that can't be parsed or isn't an
+     * object is replaced by the defaults, it is overwritten the next time the
+     * module saves its data.
+     * @param  {String} moduleName The name of the module.
+     * @param  {Object} defaultData Optional, the data to use if the module has
+     *      not saved anything or its data is corrupt.  Defaults to {}.
+     * @return {q.promise} Resolves to the module's data.
+     */
+    this.getModuleData = function(moduleName, defaultData) {
+        var defered = q.defer();
+        var resolveData = function(data) {
+            var dataObj = data;
+            if(!isModuleDataObject(data)) {
+                self.pErr('Invalid module data, using defaults',moduleName);
+                dataObj = {};
+            }
+            if(Object.keys(dataObj).length === 0 && isModuleDataObject(defaultData)) {
+                dataObj = JSON.parse(JSON.stringify(defaultData));
+            }
+            self.addNonVolatileData(
+                getModuleDataPath(moduleName),
+                moduleName,
+                dataObj
+            );
+            defered.resolve(dataObj);
+        };
+        if(self.nonVolatileData.has(moduleName)) {
+            resolveData(self.nonVolatileData.get(moduleName));
+            return defered.promise;
+        }
+        fs.readFile(getModuleDataPath(moduleName), function(err, data) {
+            var dataObj = {};
+            if(!err) {
+                try {
+                    dataObj = JSON.parse(data);
+                } catch (error) {
+                    self.pErr('Corrupt .json file',moduleName);
+                }
+            }
+            resolveData(dataObj);
+        });
+        return defered.promise;
+    };
+
+    /**
+     * saveModuleData saves a module's data so that it is available after the
+     * module is re-loaded and after kipling restarts.
+     * @param  {String} moduleName The name of the module.
+     * @param  {Object} data The data to save, must be JSON serializable.
+     * @return {q.promise} Resolves once the data has been written.
+     */
+    this.saveModuleData = function(moduleName, data) {
+        var defered = q.defer();
+        var dataPath = getModuleDataPath(moduleName);
+        var folders = [
+            K3_TEMPORARY_FILE_PATH,
+            K3_DATA_FILE_PATH,
+            K3_MODULES_DATA_FILE_PATH,
+            getModuleFolderPath(moduleName)
+        ];
+        self.addNonVolatileData(dataPath, moduleName, data);
+        async.eachSeries(folders, function(folder, callback) {
+            fs.mkdir(folder, function(err) {
+                if (err && err.code !== 'EEXIST') {
+                    callback(err);
+                } else {
+                    callback();
+                }
+            });
+        }, function(err) {
+            if(err) {
+                self.pErr('Error creating module data folder',err);
+                defered.reject(err);
+                return;
+            }
+            fs.writeFile(dataPath, JSON.stringify(data), function(err) {
+                if(err) {
+                    self.pErr('Error saving module data',err);
+                    defered.reject(err);
+                } else {
+                    defered.resolve();
+                }
+            });
+        });
+        return defered.promise;
+    };
+
 
     var self = this;
 }
@@ -0,0 +1,178 @@
+/**
+ * Deploy one Lua script to several devices at once for the Lua script
+ * debugger module.
+ *
+ * Each device is sent the same lua_script_upload steps as a single device in
+ * the module: the running script is stopped, the source is written through
+ * LUA_SOURCE_WRITE, debugging is enabled and the script is started. The script can also be
+ * saved to flash and set to run at startup. A short time after starting,
+ * LUA_RUN is read back to check that the script is still running as scripts
+ * that fail at run time stop themselves.
+**/
+
+var q = require('q');
+var lua_script_upload = require('./lua_script_upload');
+
+var DEFAULT_DEPLOY_OPTIONS = {
+    // Save the script to flash with LUA_SAVE_TO_FLASH.
+    'saveToFlash': true,
+    // Set LUA_RUN_DEFAULT and LUA_DEBUG_ENABLE_DEFAULT so the saved script
+    // runs, with debugging, when the device powers up.
+    'runAtStartup': true,
+    // Time to let the script run before checking LUA_RUN.
+    'verifyDelayMs': 1000
+};
+exports.DEFAULT_DEPLOY_OPTIONS = DEFAULT_DEPLOY_OPTIONS;
+
+// Names of the deploy steps, in the order they are made.
+var STEPS = ['stop', 'upload', 'debug', 'saveToFlash', 'runAtStartup', 'start',
+    'verify'];
+exports.STEPS = STEPS;
+
+
+var describeError = function (err) {
+    if (err !== null && typeof(err) === 'object' && err.retError !== undefined) {
+        return describeError(err.retError);
+    }
+    if (typeof(err) === 'number') {
+        return 'LJM error ' + err.toString();
+    }
+    return String(err);
+};
+
+
+/**
+ * Fill in the missing deploy options and check them.
+ *
+ * @param {Object} options Optional, the options to use instead of
+ *      DEFAULT_DEPLOY_OPTIONS.
+ * @return {Object} The deploy options.
+ * @throws {String} Description of invalid options.
+**/
+var getDeployOptions = function (options) {
+    var deployOptions = {};
+    var key;
+    for (key in DEFAULT_DEPLOY_OPTIONS) {
+        deployOptions[key] = DEFAULT_DEPLOY_OPTIONS[key];
+    }
+    for (key in options) {
+        deployOptions[key] = options[key];
+    }
+    if (deployOptions.runAtStartup && !deployOptions.saveToFlash) {
+        throw 'The script must be saved to flash to run at startup';
+    }
+    if (typeof(deployOptions.verifyDelayMs) !== 'number' ||
+        deployOptions.verifyDelayMs < 0) {
+        throw 'Invalid verify delay: ' + String(deployOptions.verifyDelayMs);
+    }
+    return deployOptions;
+};
+exports.getDeployOptions = getDeployOptions;
+
+
+/**
+ * Deploy a Lua script to a device.
+ *
+ * @param {Device} device The device_controller Device to deploy to.
+ * @param {String} source The script source, as written to the device.
+ * @param {Object} options Optional, see DEFAULT_DEPLOY_OPTIONS.
+ * @return {q.promise} Promise that resolves to a {serial, name, completed,
+ *      isRunning, failedStep, error, success} Object. completed lists the
+ *      names of the steps that were made, failedStep and error are set if a
+ *      step failed or the script was not running when checked. Never rejects.
+ * @throws {String} Description of invalid options.
+**/
+var deployScript = function (device, source, options) {
+    var deployOptions = getDeployOptions(options);
+    var result = {
+        'serial': String(device.getSerial()),
+        'name': device.getName(),
+        'completed': [],
+        'isRunning': false,
+        'failedStep': null,
+        'error': null,
+        'success': false
+    };
+
+    var runStep = function (name, operation) {
+        return function () {
+            result.failedStep = name;
+            return operation().then(function () {
+                result.completed.push(name);
+                result.failedStep = null;
+            });
+        };
+    };
+    var onDevice = function (operation) {
+        return function () {
+            return operation(device);
+        };
+    };
+
+    var steps = [
+        runStep('stop', onDevice(lua_script_upload.stopScript)),
+        runStep('upload', function () {
+            return lua_script_upload.uploadScript(device, source);
+        }),
+        runStep('debug', onDevice(lua_script_upload.enableDebugging))
+    ];
+    if (deployOptions.saveToFlash) {
+        steps.push(runStep('saveToFlash', onDevice(lua_script_upload.saveToFlash)));
+    }
+    if (deployOptions.runAtStartup) {
+        steps.push(runStep('runAtStartup', function () {
+            return lua_script_upload.enableRunAtStartup(device)
+            .then(function () {
+                return lua_script_upload.enableDebuggingAtStartup(device);
+            });
+        }));
+    }
+    steps.push(runStep('start', onDevice(lua_script_upload.startScript)));
+    steps.push(runStep('verify', function () {
+        return q.delay(deployOptions.verifyDelayMs)
+        .then(function () {
+            return device.dreadMany(['LUA_RUN']);
+        })
+        .then(function (values) {
+            result.isRunning = values[0] === 1;
+            if (!result.isRunning) {
+                throw 'The script stopped running';
+            }
+        });
+    }));
+
+    return steps.reduce(function (promise, step) {
+        return promise.then(step);
+    }, q.resolve())
+    .then(function () {
+        result.success = true;
+        return result;
+    }, function (err) {
+        result.error = describeError(err);
+        return result;
+    });
+};
+exports.deployScript = deployScript;
+
+
+/**
+ * Deploy a Lua script to several devices at once.
+ *
+ * @param {Array} devices The devices to deploy to.
+ * @param {String} source The script source, as written to each device.
+ * @param {Object} options Optional, see DEFAULT_DEPLOY_OPTIONS.
+ * @return {q.promise} Promise that resolves to the results of deployScript
+ *      for each device, in the order of devices. Rejects with a String if the
+ *      options are invalid.
+**/
+var deployScriptToDevices = function (devices, source, options) {
+    try {
+        getDeployOptions(options);
+    } catch (err) {
+        return q.reject(err);
+    }
+    return q.all(devices.map(function (device) {
+        return deployScript(device, source, options);
+    }));
+};
+exports.deployScriptToDevices = deployScriptToDevices;
@@ -0,0 +1,1202 @@
+/**
+ * Static checks for Lua scripts before they are uploaded to a device.
+ *
+ * Parses a script with the Lua 5.2 grammar used by the T7 and reports
+ * syntax errors the way the Lua compiler words them, reads of global
+ * variables that are never assigned and aren't part of the device's Lua
+ * environment, MB.R, MB.W, MB.RA and MB.WA calls whose address, name or
+ * dataType doesn't match the LJM register constants, and scripts that are too
+ * large for the device's Lua source memory.
+ *
+ * Checks return diagnostic Objects:
+ *   {line: 1 based, column: 1 based, type: 'error' or 'warning', message}
+ * Errors stop a script from compiling on the device, warnings point at code
+ * that is probably wrong but will still be uploaded.
+**/
+
+// Bytes each type of device sets aside for the source of a Lua script, by
+// the name that the device_controller Device's getDeviceType returns.
+var LUA_MAX_SOURCE_SIZES = {
+    'T7': 32768
+};
+exports.LUA_MAX_SOURCE_SIZES = LUA_MAX_SOURCE_SIZES;
+
+// Limit used when the device isn't known.
+var LUA_MAX_SOURCE_SIZE = LUA_MAX_SOURCE_SIZES.T7;
+exports.LUA_MAX_SOURCE_SIZE = LUA_MAX_SOURCE_SIZE;
+
+// dataType argument of the MB functions and the register types they access.
+var DATA_TYPES = {
+    0: 'UINT16',
+    1: 'UINT32',
+    2: 'INT32',
+    3: 'FLOAT32',
+    98: 'STRING',
+    99: 'BYTE'
+};
+exports.DATA_TYPES = DATA_TYPES;
+
+// Number of 16 bit Modbus registers each register type spans.
+var TYPE_SIZES = {
+    'UINT16': 1,
+    'UINT32': 2,
+    'INT32': 2,
+    'FLOAT32': 2,
+    'UINT64': 4,
+    'STRING': 25,
+    'BYTE': 1
+};
+
+// Globals available to scripts running on the device.
+var KNOWN_GLOBALS = [
+    '_G', '_VERSION', 'assert', 'collectgarbage', 'error', 'getmetatable',
+    'ipairs', 'load', 'next', 'pairs', 'pcall', 'print', 'rawequal', 'rawget',
+    'rawlen', 'rawset', 'select', 'setmetatable', 'tonumber', 'tostring',
+    'type', 'unpack', 'xpcall', 'bit', 'coroutine', 'io', 'math', 'os',
+    'string', 'table', 'LJ', 'MB'
+];
+exports.KNOWN_GLOBALS = KNOWN_GLOBALS;
+
+// Arguments of the Modbus functions, the first two are always the address
+// and the dataType.
+var MB_FUNCTIONS = {
+    'R': ['address', 'dataType'],
+    'W': ['address', 'dataType', 'value'],
+    'RA': ['address', 'dataType', 'nValues'],
+    'WA': ['address', 'dataType', 'nValues', 'table']
+};
+
+var KEYWORDS = [
+    'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for',
+    'function', 'goto', 'if', 'in', 'local', 'nil', 'not', 'or', 'repeat',
+    'return', 'then', 'true', 'until', 'while'
+];
+
+var LONG_SYMBOLS = ['...', '..', '==', '~=', '<=', '>=', '::'];
+
+// Left and right priority of the binary operators, see lparser.c.
+var BINARY_PRIORITY = {
+    '+': [6, 6], '-': [6, 6],
+    '*': [7, 7], '/': [7, 7], '%': [7, 7],
+    '^': [10, 9],
+    '..': [5, 4],
+    '==': [3, 3], '~=': [3, 3],
+    '<': [3, 3], '<=': [3, 3], '>': [3, 3], '>=': [3, 3],
+    'and': [2, 2],
+    'or': [1, 1]
+};
+var UNARY_PRIORITY = 8;
+
+var ESCAPES = {
+    'a': '\x07', 'b': '\b', 'f': '\f', 'n': '\n', 'r': '\r', 't': '\t',
+    'v': '\v', '\\': '\\', '"': '"', '\'': '\''
+};
+
+var isNewline = function (c) {
+    return c === '\n' || c === '\r';
+};
+
+var isSpace = function (c) {
+    return c === ' ' || c === '\t' || c === '\v' || c === '\f';
+};
+
+var isDigit = function (c) {
+    return c >= '0' && c <= '9';
+};
+
+var isHexDigit = function (c) {
+    return isDigit(c) || (c >= 'a' && c <= 'f') || (c >= 'A' && c <= 'F');
+};
+
+var isNameStart = function (c) {
+    return (c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z') || c === '_';
+};
+
+var isNameChar = function (c) {
+    return isNameStart(c) || isDigit(c);
+};
+
+
+/**
+ * Convert the text of a numeral to its value.
+ *
+ * @param {String} text The numeral as read by the lexer.
+ * @return {Number} The value or NaN if the numeral is malformed.
+**/
+var parseNumeral = function (text) {
+    var hex = /^0[xX]([0-9a-fA-F]*)(?:\.([0-9a-fA-F]*))?(?:[pP]([+\-]?\d+))?$/;
+    var match = hex.exec(text);
+    if (match !== null) {
+        var fraction = match[2] || '';
+        var digits = match[1] + fraction;
+        if (digits.length === 0) {
+            return NaN;
+        }
+        var value = 0;
+        digits.split('').forEach(function (digit) {
+            value = value * 16 + parseInt(digit, 16);
+        });
+        value = value / Math.pow(16, fraction.length);
+        if (match[3] !== undefined) {
+            value = value * Math.pow(2, Number(match[3]));
+        }
+        return value;
+    }
+    if (/^(\d+\.?\d*|\.\d+)([eE][+\-]?\d+)?$/.test(text)) {
+        return Number(text);
+    }
+    return NaN;
+};
+
+
+/**
+ * Lexer that splits Lua source into tokens one at a time.
+ *
+ * Tokens are {type, value, text, line, column} Objects where type is 'name',
+ * 'keyword', 'symbol', 'number', 'string' or 'eof'. Errors are thrown as
+ * {line, column, message} Objects.
+ *
+ * @param {String} source The Lua source.
+**/
+function LuaLexer(source) {
+    var pos = 0;
+    var line = 1;
+    var lineStart = 0;
+    // Position of the token being read.
+    var tokenLine = 1;
+    var tokenColumn = 1;
+
+    var current = function () {
+        return source.charAt(pos);
+    };
+
+    var peek = function (offset) {
+        return source.charAt(pos + offset);
+    };
+
+    var error = function (message, near) {
+        throw {
+            'line': line,
+            'column': pos - lineStart + 1,
+            'message': message + ' near ' + near
+        };
+    };
+
+    var readNewline = function () {
+        var first = current();
+        pos += 1;
+        if (isNewline(current()) && current() !== first) {
+            pos += 1;
+        }
+        line += 1;
+        lineStart = pos;
+    };
+
+    // Count the '=' of a long bracket starting at the current '[' or ']'.
+    // Returns the count if the bracket is complete, otherwise -1 - count.
+    var readSeparator = function () {
+        var bracket = current();
+        var count = 0;
+        var offset = 1;
+        while (peek(offset) === '=') {
+            count += 1;
+            offset += 1;
+        }
+        return peek(offset) === bracket ? count : -1 - count;
+    };
+
+    var readLongString = function (separator, isComment) {
+        var start = pos;
+        pos += separator + 2;
+        if (isNewline(current())) {
+            readNewline();
+        }
+        var contentStart = pos;
+        while (true) {
+            var c = current();
+            if (c === '') {
+                error(
+                    isComment ? 'unfinished long comment' : 'unfinished long string',
+                    '<eof>'
+                );
+            } else if (c === ']' && readSeparator() === separator) {
+                var value = source.slice(contentStart, pos);
+                pos += separator + 2;
+                return {
+                    'value': value,
+                    'text': source.slice(start, pos)
+                };
+            } else if (isNewline(c)) {
+                readNewline();
+            } else {
+                pos += 1;
+            }
+        }
+    };
+
+    var readString = function () {
+        var start = pos;
+        var delimiter = current();
+        var value = '';
+        pos += 1;
+        var near = function () {
+            return '\'' + source.slice(start, pos) + '\'';
+        };
+        while (current() !== delimiter) {
+            var c = current();
+            if (c === '') {
+                error('unfinished string', '<eof>');
+            } else if (isNewline(c)) {
+                error('unfinished string', near());
+            } else if (c === '\\') {
+                pos += 1;
+                var escape = current();
+                if (ESCAPES[escape] !== undefined) {
+                    value += ESCAPES[escape];
+                    pos += 1;
+                } else if (isNewline(escape)) {
+                    value += '\n';
+                    readNewline();
+                } else if (escape === 'x') {
+                    pos += 1;
+                    var hex = '';
+                    while (hex.length < 2) {
+                        if (!isHexDigit(current())) {
+                            pos += 1;
+                            error('hexadecimal digit expected', near());
+                        }
+                        hex += current();
+                        pos += 1;
+                    }
+                    value += String.fromCharCode(parseInt(hex, 16));
+                } else if (escape === 'z') {
+                    pos += 1;
+                    while (isSpace(current()) || isNewline(current())) {
+                        if (isNewline(current())) {
+                            readNewline();
+                        } else {
+                            pos += 1;
+                        }
+                    }
+                } else if (isDigit(escape)) {
+                    var decimal = '';
+                    while (decimal.length < 3 && isDigit(current())) {
+                        decimal += current();
+                        pos += 1;
+                    }
+                    if (Number(decimal) > 255) {
+                        error('decimal escape too large', near());
+                    }
+                    value += String.fromCharCode(Number(decimal));
+                } else if (escape === '') {
+                    error('unfinished string', '<eof>');
+                } else {
+                    pos += 1;
+                    error('invalid escape sequence', near());
+                }
+            } else {
+                value += c;
+                pos += 1;
+            }
+        }
+        pos += 1;
+        return {'value': value, 'text': source.slice(start, pos)};
+    };
+
+    var readNumeral = function () {
+        var start = pos;
+        var exponents = 'Ee';
+        if (current() === '0' && (peek(1) === 'x' || peek(1) === 'X')) {
+            exponents = 'Pp';
+            pos += 2;
+        }
+        while (true) {
+            var c = current();
+            if (c !== '' && exponents.indexOf(c) >= 0) {
+                pos += 1;
+                if (current() === '+' || current() === '-') {
+                    pos += 1;
+                }
+            } else if (isHexDigit(c) || c === '.') {
+                pos += 1;
+            } else {
+                break;
+            }
+        }
+        var text = source.slice(start, pos);
+        var value = parseNumeral(text);
+        if (isNaN(value)) {
+            error('malformed number', '\'' + text + '\'');
+        }
+        return {'value': value, 'text': text};
+    };
+
+    var token = function (type, value, text) {
+        return {
+            'type': type,
+            'value': value,
+            'text': text,
+            'line': tokenLine,
+            'column': tokenColumn
+        };
+    };
+
+    /**
+     * Read the next token.
+     *
+     * @return {Object} The token, an 'eof' token at the end of the source.
+    **/
+    this.next = function () {
+        while (true) {
+            var c = current();
+            var read;
+            tokenLine = line;
+            tokenColumn = pos - lineStart + 1;
+
+            if (c === '') {
+                return token('eof', '<eof>', '<eof>');
+            } else if (isNewline(c)) {
+                readNewline();
+            } else if (isSpace(c)) {
+                pos += 1;
+            } else if (c === '-' && peek(1) === '-') {
+                pos += 2;
+                var separator = current() === '[' ? readSeparator() : -1;
+                if (separator >= 0) {
+                    readLongString(separator, true);
+                } else {
+                    while (current() !== '' && !isNewline(current())) {
+                        pos += 1;
+                    }
+                }
+            } else if (c === '[') {
+                var stringSeparator = readSeparator();
+                if (stringSeparator >= 0) {
+                    read = readLongString(stringSeparator, false);
+                    return token('string', read.value, read.text);
+                } else if (stringSeparator !== -1) {
+                    error('invalid long string delimiter', '\'[=\'');
+                }
+                pos += 1;
+                return token('symbol', '[', '[');
+            } else if (c === '"' || c === '\'') {
+                read = readString();
+                return token('string', read.value, read.text);
+            } else if (isDigit(c) || (c === '.' && isDigit(peek(1)))) {
+                read = readNumeral();
+                return token('number', read.value, read.text);
+            } else if (isNameStart(c)) {
+                var start = pos;
+                while (isNameChar(current())) {
+                    pos += 1;
+                }
+                var name = source.slice(start, pos);
+                if (KEYWORDS.indexOf(name) >= 0) {
+                    return token('keyword', name, name);
+                }
+                return token('name', name, name);
+            } else {
+                var symbol = c;
+                for (var i = 0; i < LONG_SYMBOLS.length; i++) {
+                    var longSymbol = LONG_SYMBOLS[i];
+                    if (source.substr(pos, longSymbol.length) === longSymbol) {
+                        symbol = longSymbol;
+                        break;
+                    }
+                }
+                pos += symbol.length;
+                return token('symbol', symbol, symbol);
+            }
+        }
+    };
+}
+
+
+/**
+ * Index expanded register information Objects for the MB function checks.
+ *
+ * @param {Array} registers Register information Objects with names that are
+ *      already expanded, like the result of ljmmm.expandLJMMMEntrySync.
+ * @return {Object} {byName, byAddress} where the first register at an
+ *      address wins.
+**/
+var indexRegisters = function (registers) {
+    var index = {'byName': {}, 'byAddress': {}};
+    registers.forEach(function (register) {
+        index.byName[register.name] = register;
+        if (index.byAddress[register.address] === undefined) {
+            index.byAddress[register.address] = register;
+        }
+    });
+    return index;
+};
+exports.indexRegisters = indexRegisters;
+
+
+var describeDataType = function (dataType) {
+    return dataType.toString() + ' (' + DATA_TYPES[dataType] + ')';
+};
+
+
+// Find the register whose value spans an address after its first one, like
+// the low word of a UINT32.
+var findContainingRegister = function (registerIndex, address) {
+    for (var offset = 1; offset < TYPE_SIZES.STRING; offset++) {
+        var register = registerIndex.byAddress[address - offset];
+        if (register !== undefined) {
+            return TYPE_SIZES[register.type] > offset ? register : undefined;
+        }
+    }
+    return undefined;
+};
+
+
+/**
+ * Check if a dataType reads or writes a register the way it is stored.
+ * Accessing part of a larger register, like the words of a UINT32 as
+ * UINT16s, and the bytes of BYTE registers as any integer type is allowed.
+ *
+ * @param {Object} register The register information.
+ * @param {Number} dataType A known dataType.
+ * @return {Boolean} true if the dataType fits the register.
+**/
+var isDataTypeCompatible = function (register, dataType) {
+    var typeName = DATA_TYPES[dataType];
+    if ((register.type === 'FLOAT32') !== (typeName === 'FLOAT32')) {
+        return false;
+    }
+    if ((register.type === 'STRING') !== (typeName === 'STRING')) {
+        return false;
+    }
+    if (register.type === 'BYTE' || typeName === 'BYTE') {
+        return true;
+    }
+    return TYPE_SIZES[typeName] <= TYPE_SIZES[register.type];
+};
+
+
+/**
+ * Recursive descent parser for Lua 5.2 that records the uses of globals and
+ * the calls of the MB functions while it checks the syntax.
+ *
+ * @param {String} source The Lua source.
+ * @param {Object} registerIndex Optional result of indexRegisters used to
+ *      check register addresses and names.
+**/
+function LuaParser(source, registerIndex) {
+    var lexer = new LuaLexer(source);
+    var token = null;
+    var aheadToken = null;
+    // Blocks that are open, innermost last: {locals, isFunction, isVararg,
+    // isLoop}.
+    var blocks = [];
+
+    this.globalReads = [];
+    this.assignedGlobals = {};
+    this.warnings = [];
+
+    var nextToken = function () {
+        if (aheadToken !== null) {
+            token = aheadToken;
+            aheadToken = null;
+        } else {
+            token = lexer.next();
+        }
+    };
+
+    var lookahead = function () {
+        if (aheadToken === null) {
+            aheadToken = lexer.next();
+        }
+        return aheadToken;
+    };
+
+    var near = function (nearToken) {
+        if (nearToken.type === 'eof') {
+            return '<eof>';
+        }
+        return '\'' + nearToken.text + '\'';
+    };
+
+    var error = function (message) {
+        throw {
+            'line': token.line,
+            'column': token.column,
+            'message': message + ' near ' + near(token)
+        };
+    };
+
+    var is = function (value) {
+        return (token.type === 'keyword' || token.type === 'symbol') &&
+            token.value === value;
+    };
+
+    var testNext = function (value) {
+        if (is(value)) {
+            nextToken();
+            return true;
+        }
+        return false;
+    };
+
+    var check = function (value) {
+        if (!is(value)) {
+            error('\'' + value + '\' expected');
+        }
+    };
+
+    var checkNext = function (value) {
+        check(value);
+        nextToken();
+    };
+
+    var checkMatch = function (what, who, whereLine) {
+        if (!testNext(what)) {
+            if (whereLine === token.line) {
+                error('\'' + what + '\' expected');
+            }
+            error('\'' + what + '\' expected (to close \'' + who +
+                '\' at line ' + whereLine.toString() + ')');
+        }
+    };
+
+    var checkName = function () {
+        if (token.type !== 'name') {
+            error('<name> expected');
+        }
+        var nameToken = token;
+        nextToken();
+        return nameToken;
+    };
+
+    var isBlockFollow = function () {
+        if (token.type === 'eof') {
+            return true;
+        }
+        return token.type === 'keyword' &&
+            ['else', 'elseif', 'end', 'until'].indexOf(token.value) >= 0;
+    };
+
+    var openBlock = function (options) {
+        var block = {
+            'locals': {},
+            'isFunction': false,
+            'isVararg': false,
+            'isLoop': false
+        };
+        Object.keys(options || {}).forEach(function (key) {
+            block[key] = options[key];
+        });
+        blocks.push(block);
+    };
+
+    var closeBlock = function () {
+        blocks.pop();
+    };
+
+    var declareLocal = function (name) {
+        blocks[blocks.length - 1].locals[name] = true;
+    };
+
+    var isLocal = function (name) {
+        for (var i = blocks.length - 1; i >= 0; i--) {
+            if (blocks[i].locals[name]) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    var getFunctionBlock = function () {
+        for (var i = blocks.length - 1; i >= 0; i--) {
+            if (blocks[i].isFunction) {
+                return blocks[i];
+            }
+        }
+        return blocks[0];
+    };
+
+    var isInLoop = function () {
+        for (var i = blocks.length - 1; i >= 0; i--) {
+            if (blocks[i].isLoop) {
+                return true;
+            }
+            if (blocks[i].isFunction) {
+                return false;
+            }
+        }
+        return false;
+    };
+
+    // A global that is read, recorded once it is known the name isn't the
+    // target of an assignment.
+    var recordRead = function (expression) {
+        if (expression.globalName !== undefined) {
+            self.globalReads.push({
+                'name': expression.globalName.value,
+                'line': expression.globalName.line,
+                'column': expression.globalName.column
+            });
+            expression.globalName = undefined;
+        }
+    };
+
+    var warn = function (warnToken, message) {
+        self.warnings.push({
+            'line': warnToken.line,
+            'column': warnToken.column,
+            'type': 'warning',
+            'message': message
+        });
+    };
+
+    var checkRegisterCall = function (functionName, args, callToken) {
+        var usage = MB_FUNCTIONS[functionName];
+        var fullName = 'MB.' + functionName;
+        var last = args[args.length - 1];
+        var isMultipleResults = last !== undefined && last.isMultipleResults;
+        if (args.length < usage.length && !isMultipleResults) {
+            warn(callToken, fullName + ' expects ' + usage.length.toString() +
+                ' arguments (' + usage.join(', ') + ')');
+        }
+
+        var dataType = args.length > 1 ? args[1].constant : undefined;
+        if (typeof(dataType) === 'number' && DATA_TYPES[dataType] === undefined) {
+            warn(args[1].token, 'Unknown dataType ' + dataType.toString() +
+                ' for ' + fullName + ', expected ' +
+                Object.keys(DATA_TYPES).map(describeDataType).join(', '));
+            dataType = undefined;
+        }
+
+        var address = args.length > 0 ? args[0].constant : undefined;
+        if (registerIndex === undefined || address === undefined) {
+            return;
+        }
+        var register;
+        if (typeof(address) === 'string') {
+            register = registerIndex.byName[address];
+            if (register === undefined) {
+                warn(args[0].token, 'Unknown register name \'' + address +
+                    '\' for ' + fullName);
+                return;
+            }
+        } else {
+            register = registerIndex.byAddress[address];
+            if (register === undefined) {
+                var container = findContainingRegister(registerIndex, address);
+                if (container === undefined) {
+                    warn(args[0].token, 'Unknown register address ' +
+                        address.toString() + ' for ' + fullName);
+                } else if (dataType !== 0) {
+                    warn(args[0].token, 'Address ' + address.toString() +
+                        ' is inside ' + container.name + ' (address ' +
+                        container.address.toString() + ')');
+                }
+                return;
+            }
+        }
+
+        var registerName = register.name + ' (address ' +
+            register.address.toString() + ')';
+        var isWrite = functionName.charAt(0) === 'W';
+        var access = register.readwrite || 'RW';
+        if (isWrite && access.indexOf('W') < 0) {
+            warn(args[0].token, registerName + ' is read only');
+        } else if (!isWrite && access.indexOf('R') < 0) {
+            warn(args[0].token, registerName + ' is write only');
+        }
+        if (typeof(dataType) === 'number' &&
+            !isDataTypeCompatible(register, dataType)) {
+            warn(args[1].token, registerName + ' is a ' + register.type +
+                ' register, not dataType ' + describeDataType(dataType));
+        }
+    };
+
+    // Expressions are described by {constant, token, globalName, isCall,
+    // isVariable, isMultipleResults}. constant is set for literal numbers
+    // and strings.
+
+    var functionBody = function (isMethod, startLine) {
+        openBlock({'isFunction': true});
+        if (isMethod) {
+            declareLocal('self');
+        }
+        checkNext('(');
+        if (!is(')')) {
+            do {
+                if (token.type === 'name') {
+                    declareLocal(checkName().value);
+                } else if (testNext('...')) {
+                    blocks[blocks.length - 1].isVararg = true;
+                    break;
+                } else {
+                    error('<name> expected');
+                }
+            } while (testNext(','));
+        }
+        checkNext(')');
+        statementList();
+        checkMatch('end', 'function', startLine);
+        closeBlock();
+    };
+
+    var expressionList = function () {
+        var expressions = [expression()];
+        while (testNext(',')) {
+            expressions.push(expression());
+        }
+        return expressions;
+    };
+
+    var tableConstructor = function () {
+        var startLine = token.line;
+        checkNext('{');
+        while (!is('}')) {
+            if (token.type === 'name' && lookahead().type === 'symbol' &&
+                lookahead().value === '=') {
+                nextToken();
+                checkNext('=');
+                expression();
+            } else if (testNext('[')) {
+                expression();
+                checkNext(']');
+                checkNext('=');
+                expression();
+            } else {
+                expression();
+            }
+            if (!testNext(',') && !testNext(';')) {
+                break;
+            }
+        }
+        checkMatch('}', '{', startLine);
+    };
+
+    var functionArguments = function () {
+        var startLine = token.line;
+        var args = [];
+        if (token.type === 'string') {
+            args.push({'constant': token.value, 'token': token});
+            nextToken();
+        } else if (is('{')) {
+            var tableToken = token;
+            tableConstructor();
+            args.push({'token': tableToken});
+        } else {
+            checkNext('(');
+            if (!is(')')) {
+                args = expressionList();
+            }
+            checkMatch(')', '(', startLine);
+        }
+        return args;
+    };
+
+    var primaryExpression = function () {
+        if (token.type === 'name') {
+            var nameToken = checkName();
+            var primary = {'token': nameToken, 'isVariable': true};
+            if (!isLocal(nameToken.value)) {
+                primary.globalName = nameToken;
+            }
+            return primary;
+        }
+        if (is('(')) {
+            var startLine = token.line;
+            var startToken = token;
+            nextToken();
+            expression();
+            checkMatch(')', '(', startLine);
+            return {'token': startToken};
+        }
+        error('unexpected symbol');
+    };
+
+    var suffixedExpression = function () {
+        var result = primaryExpression();
+        var isMB = result.globalName !== undefined &&
+            result.globalName.value === 'MB';
+        var mbFunction;
+        while (true) {
+            var suffixToken = token;
+            if (is('.') || is('[') || is(':') || is('(') || is('{') ||
+                token.type === 'string') {
+                recordRead(result);
+            }
+            if (testNext('.')) {
+                var field = checkName();
+                mbFunction = isMB ? field.value : undefined;
+                isMB = false;
+                result = {'token': suffixToken, 'isVariable': true};
+            } else if (testNext('[')) {
+                subExpression(0);
+                checkNext(']');
+                mbFunction = undefined;
+                isMB = false;
+                result = {'token': suffixToken, 'isVariable': true};
+            } else if (testNext(':')) {
+                checkName();
+                functionArguments();
+                mbFunction = undefined;
+                isMB = false;
+                result = {'token': suffixToken, 'isCall': true};
+            } else if (is('(') || is('{') || token.type === 'string') {
+                var args = functionArguments();
+                if (MB_FUNCTIONS.hasOwnProperty(mbFunction)) {
+                    checkRegisterCall(mbFunction, args, suffixToken);
+                }
+                mbFunction = undefined;
+                isMB = false;
+                result = {'token': suffixToken, 'isCall': true};
+            } else {
+                return result;
+            }
+        }
+    };
+
+    var simpleExpression = function () {
+        var simple = {'token': token};
+        if (token.type === 'number' || token.type === 'string') {
+            simple.constant = token.value;
+            nextToken();
+        } else if (is('nil') || is('true') || is('false')) {
+            nextToken();
+        } else if (is('...')) {
+            if (!getFunctionBlock().isVararg) {
+                error('cannot use \'...\' outside a vararg function');
+            }
+            simple.isMultipleResults = true;
+            nextToken();
+        } else if (is('{')) {
+            tableConstructor();
+        } else if (is('function')) {
+            var startLine = token.line;
+            nextToken();
+            functionBody(false, startLine);
+        } else {
+            simple = suffixedExpression();
+            recordRead(simple);
+            simple.isMultipleResults = simple.isCall === true;
+        }
+        return simple;
+    };
+
+    var subExpression = function (limit) {
+        var result;
+        if (is('not') || is('-') || is('#')) {
+            var operator = token.value;
+            var operatorToken = token;
+            nextToken();
+            var operand = subExpression(UNARY_PRIORITY);
+            result = {'token': operatorToken};
+            if (operator === '-' && typeof(operand.constant) === 'number') {
+                result.constant = -operand.constant;
+            }
+        } else {
+            result = simpleExpression();
+        }
+        while ((token.type === 'symbol' || token.type === 'keyword') &&
+            BINARY_PRIORITY.hasOwnProperty(token.value) &&
+            BINARY_PRIORITY[token.value][0] > limit) {
+            var priority = BINARY_PRIORITY[token.value];
+            nextToken();
+            subExpression(priority[1]);
+            result = {'token': result.token};
+        }
+        return result;
+    };
+
+    var expression = function () {
+        return subExpression(0);
+    };
+
+    var block = function (options) {
+        openBlock(options);
+        statementList();
+        closeBlock();
+    };
+
+    var expressionStatement = function () {
+        var target = suffixedExpression();
+        if (is('=') || is(',')) {
+            var targets = [target];
+            while (testNext(',')) {
+                targets.push(suffixedExpression());
+            }
+            targets.forEach(function (assigned) {
+                if (!assigned.isVariable) {
+                    error('syntax error');
+                }
+            });
+            checkNext('=');
+            expressionList();
+            targets.forEach(function (assigned) {
+                if (assigned.globalName !== undefined) {
+                    self.assignedGlobals[assigned.globalName.value] = true;
+                }
+            });
+        } else if (!target.isCall) {
+            error('syntax error');
+        }
+    };
+
+    var forStatement = function (startLine) {
+        nextToken();
+        var names = [checkName().value];
+        if (testNext('=')) {
+            expression();
+            checkNext(',');
+            expression();
+            if (testNext(',')) {
+                expression();
+            }
+        } else if (is(',') || is('in')) {
+            while (testNext(',')) {
+                names.push(checkName().value);
+            }
+            checkNext('in');
+            expressionList();
+        } else {
+            error('\'=\' or \'in\' expected');
+        }
+        checkNext('do');
+        openBlock({'isLoop': true});
+        names.forEach(declareLocal);
+        statementList();
+        closeBlock();
+        checkMatch('end', 'for', startLine);
+    };
+
+    var functionStatement = function (startLine) {
+        nextToken();
+        var nameToken = checkName();
+        var isNameOnly = true;
+        var isMethod = false;
+        while (is('.') || is(':')) {
+            isMethod = is(':');
+            isNameOnly = false;
+            nextToken();
+            checkName();
+            if (isMethod) {
+                break;
+            }
+        }
+        if (!isLocal(nameToken.value)) {
+            if (isNameOnly) {
+                self.assignedGlobals[nameToken.value] = true;
+            } else {
+                recordRead({'globalName': nameToken});
+            }
+        }
+        functionBody(isMethod, startLine);
+    };
+
+    var localStatement = function () {
+        nextToken();
+        if (testNext('function')) {
+            var nameToken = checkName();
+            declareLocal(nameToken.value);
+            functionBody(false, nameToken.line);
+            return;
+        }
+        var names = [checkName().value];
+        while (testNext(',')) {
+            names.push(checkName().value);
+        }
+        if (testNext('=')) {
+            expressionList();
+        }
+        names.forEach(declareLocal);
+    };
+
+    var statement = function () {
+        var startLine = token.line;
+        if (testNext(';')) {
+            return;
+        } else if (is('if')) {
+            nextToken();
+            expression();
+            checkNext('then');
+            block();
+            while (is('elseif')) {
+                nextToken();
+                expression();
+                checkNext('then');
+                block();
+            }
+            if (testNext('else')) {
+                block();
+            }
+            checkMatch('end', 'if', startLine);
+        } else if (is('while')) {
+            nextToken();
+            expression();
+            checkNext('do');
+            block({'isLoop': true});
+            checkMatch('end', 'while', startLine);
+        } else if (is('do')) {
+            nextToken();
+            block();
+            checkMatch('end', 'do', startLine);
+        } else if (is('for')) {
+            forStatement(startLine);
+        } else if (is('repeat')) {
+            nextToken();
+            // The condition can use the locals of the loop's block.
+            openBlock({'isLoop': true});
+            statementList();
+            checkMatch('until', 'repeat', startLine);
+            expression();
+            closeBlock();
+        } else if (is('function')) {
+            functionStatement(startLine);
+        } else if (is('local')) {
+            localStatement();
+        } else if (testNext('::')) {
+            checkName();
+            checkNext('::');
+        } else if (is('break')) {
+            if (!isInLoop()) {
+                throw {
+                    'line': token.line,
+                    'column': token.column,
+                    'message': '<break> at line ' + startLine.toString() +
+                        ' not inside a loop'
+                };
+            }
+            nextToken();
+        } else if (is('goto')) {
+            nextToken();
+            checkName();
+        } else {
+            expressionStatement();
+        }
+    };
+
+    var statementList = function () {
+        while (!isBlockFollow()) {
+            if (is('return')) {
+                nextToken();
+                if (!isBlockFollow() && !is(';')) {
+                    expressionList();
+                }
+                testNext(';');
+                return;
+            }
+            statement();
+        }
+    };
+
+    /**
+     * Parse the whole source.
+     *
+     * @throws {Object} {line, column, message} for the first syntax error.
+    **/
+    this.parse = function () {
+        nextToken();
+        openBlock({'isFunction': true, 'isVararg': true});
+        statementList();
+        if (token.type !== 'eof') {
+            error('\'<eof>\' expected');
+        }
+        closeBlock();
+    };
+
+    var self = this;
+}
+
+
+/**
+ * Get the number of bytes of Lua source a device has room for.
+ *
+ * @param {Device} device The device_controller Device the script is for.
+ * @return {Number} The limit for the device's type or LUA_MAX_SOURCE_SIZE if
+ *      the type isn't known.
+**/
+var getMaxSourceSize = function (device) {
+    var maxSourceSize = LUA_MAX_SOURCE_SIZES[device.getDeviceType()];
+    if (maxSourceSize === undefined) {
+        return LUA_MAX_SOURCE_SIZE;
+    }
+    return maxSourceSize;
+};
+exports.getMaxSourceSize = getMaxSourceSize;
+
+
+/**
+ * Check a Lua script.
+ *
+ * @param {String} source The Lua source.
+ * @param {Object} options Optional {registerIndex, globals, maxSourceSize}:
+ *      the result of indexRegisters to check MB function addresses and names
+ *      against, extra global names the script may use and the size limit
+ *      in bytes, see getMaxSourceSize. LUA_MAX_SOURCE_SIZE by default.
+ * @return {Array} The diagnostics ordered by position. Once a syntax error
+ *      is found the rest of the script isn't checked.
+**/
+var checkScript = function (source, options) {
+    options = options || {};
+    var maxSourceSize = options.maxSourceSize || LUA_MAX_SOURCE_SIZE;
+    var knownGlobals = KNOWN_GLOBALS.concat(options.globals || []);
+    var diagnostics = [];
+
+    var sourceSize = Buffer.byteLength(source);
+    if (sourceSize > maxSourceSize) {
+        diagnostics.push({
+            'line': 1,
+            'column': 1,
+            'type': 'error',
+            'message': 'The script is ' + sourceSize.toString() +
+                ' bytes, the device has room for ' + maxSourceSize.toString() +
+                ' bytes of Lua source'
+        });
+    }
+
+    var parser = new LuaParser(source, options.registerIndex);
+    try {
+        parser.parse();
+    } catch (err) {
+        if (err.message === undefined || err.line === undefined) {
+            throw err;
+        }
+        diagnostics.push({
+            'line': err.line,
+            'column': err.column,
+            'type': 'error',
+            'message': err.message
+        });
+        return diagnostics;
+    }
+
+    parser.globalReads.forEach(function (read) {
+        if (!parser.assignedGlobals[read.name] &&
+            knownGlobals.indexOf(read.name) < 0) {
+            diagnostics.push({
+                'line': read.line,
+                'column': read.column,
+                'type': 'warning',
+                'message': 'Undefined global \'' + read.name + '\''
+            });
+        }
+    });
+    diagnostics = diagnostics.concat(parser.warnings);
+    diagnostics.sort(function (a, b) {
+        return a.line - b.line || a.column - b.column;
+    });
+    return diagnostics;
+};
+exports.checkScript = checkScript;
+
+
+/**
+ * Find the errors in a list of diagnostics.
+ *
+ * @param {Array} diagnostics Diagnostics from checkScript.
+ * @return {Array} The diagnostics that stop the script from running.
+**/
+var getErrors = function (diagnostics) {
+    return diagnostics.filter(function (diagnostic) {
+        return diagnostic.type === 'error';
+    });
+};
+exports.getErrors = getErrors;
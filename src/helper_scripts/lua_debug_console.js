@@ -0,0 +1,271 @@
+/**
+ * Debug output of Lua scripts for the Lua script debugger module.
+ *
+ * The bytes read from LUA_DEBUG_DATA are split into lines that are time
+ * stamped by the host when they arrive. Lines can be filtered, colored by
+ * rules that match patterns like "ERROR" and saved to a file, or written to
+ * a file as they arrive ("tee") so long running scripts can be diagnosed.
+**/
+
+var fs = require('fs');
+
+var DEFAULT_MAX_LINES = 1000;
+exports.DEFAULT_MAX_LINES = DEFAULT_MAX_LINES;
+
+// Colors that lines can be shown in, the console's style sheet defines a
+// class for each.
+var COLORS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple'];
+exports.COLORS = COLORS;
+
+var DEFAULT_COLOR_RULES = [
+    {'pattern': 'ERROR', 'isRegex': false, 'color': 'red'},
+    {'pattern': 'WARN', 'isRegex': false, 'color': 'orange'}
+];
+exports.DEFAULT_COLOR_RULES = DEFAULT_COLOR_RULES;
+
+
+var padNumber = function (value, length) {
+    var text = value.toString();
+    while (text.length < length) {
+        text = '0' + text;
+    }
+    return text;
+};
+
+
+/**
+ * Format a time like "2014-11-04 02:35:36.123" in the computer's time zone.
+ *
+ * @param {Number} time The time in ms since the epoch.
+ * @return {String} The formatted time.
+**/
+var formatTimestamp = function (time) {
+    var date = new Date(time);
+    return date.getFullYear().toString() + '-' +
+        padNumber(date.getMonth() + 1, 2) + '-' +
+        padNumber(date.getDate(), 2) + ' ' +
+        padNumber(date.getHours(), 2) + ':' +
+        padNumber(date.getMinutes(), 2) + ':' +
+        padNumber(date.getSeconds(), 2) + '.' +
+        padNumber(date.getMilliseconds(), 3);
+};
+exports.formatTimestamp = formatTimestamp;
+
+
+/**
+ * Format a console line for showing or saving.
+ *
+ * @param {Object} line The line, {number, time, text}.
+ * @param {Boolean} showTimestamp Optional, false to leave out the time.
+ * @return {String} The line's text, after its time unless showTimestamp is
+ *      false.
+**/
+var formatLine = function (line, showTimestamp) {
+    if (showTimestamp === false) {
+        return line.text;
+    }
+    return formatTimestamp(line.time) + '  ' + line.text;
+};
+exports.formatLine = formatLine;
+
+
+/**
+ * Create a function that tests if text matches a search.
+ *
+ * @param {String} pattern The text to find or a regular expression. An empty
+ *      pattern matches everything.
+ * @param {Boolean} isRegex True if pattern is a regular expression.
+ * @param {Boolean} isCaseSensitive True to match case.
+ * @return {Function} Function that takes text and returns true if it matches.
+ * @throws {String} Description of an invalid regular expression.
+**/
+var createMatcher = function (pattern, isRegex, isCaseSensitive) {
+    if (isRegex) {
+        var regex;
+        try {
+            regex = new RegExp(pattern, isCaseSensitive ? '' : 'i');
+        } catch (err) {
+            throw 'Invalid regular expression: ' + err.message;
+        }
+        return function (text) {
+            return regex.test(text);
+        };
+    }
+    if (!isCaseSensitive) {
+        pattern = pattern.toLowerCase();
+    }
+    return function (text) {
+        if (!isCaseSensitive) {
+            text = text.toLowerCase();
+        }
+        return text.indexOf(pattern) >= 0;
+    };
+};
+exports.createMatcher = createMatcher;
+
+
+/**
+ * Check a color rule, {pattern, isRegex, color}. Patterns are case
+ * sensitive so "ERROR" doesn't color every line that mentions an error.
+ *
+ * @param {Object} rule The rule to check.
+ * @return {String} Description of the first problem or null if the rule is
+ *      valid.
+**/
+var validateColorRule = function (rule) {
+    if (typeof(rule.pattern) !== 'string' || rule.pattern === '') {
+        return 'A color rule needs a pattern';
+    }
+    if (COLORS.indexOf(rule.color) < 0) {
+        return 'Unknown color ' + String(rule.color) + ', expected one of: ' +
+            COLORS.join(', ');
+    }
+    try {
+        createMatcher(rule.pattern, rule.isRegex, true);
+    } catch (err) {
+        return err;
+    }
+    return null;
+};
+exports.validateColorRule = validateColorRule;
+
+
+/**
+ * Find the color of a line.
+ *
+ * @param {Array} rules The color rules, invalid rules are skipped.
+ * @param {String} text The line's text.
+ * @return {String} The color of the first rule that matches or null.
+**/
+var getLineColor = function (rules, text) {
+    var color = null;
+    rules.some(function (rule) {
+        if (validateColorRule(rule) !== null) {
+            return false;
+        }
+        if (createMatcher(rule.pattern, rule.isRegex, true)(text)) {
+            color = rule.color;
+            return true;
+        }
+        return false;
+    });
+    return color;
+};
+exports.getLineColor = getLineColor;
+
+
+/**
+ * The lines printed by a Lua script.
+ *
+ * Only the last maxLines lines are kept, lines written to the tee file are
+ * not limited.
+ *
+ * @param {Number} maxLines Optional, the number of lines to keep. Defaults to
+ *      DEFAULT_MAX_LINES.
+**/
+function LuaDebugConsole(maxLines) {
+    this.maxLines = maxLines === undefined ? DEFAULT_MAX_LINES : maxLines;
+    this.lines = [];
+    this.numLines = 0;
+    this.teeFilePath = null;
+    this.teeError = null;
+
+    // Text received after the last new line and the time it arrived.
+    var partialLine = '';
+    var partialTime = null;
+
+    var writeToTee = function (lines) {
+        if (self.teeFilePath === null || lines.length === 0) {
+            return;
+        }
+        var text = lines.map(function (line) {
+            return formatLine(line) + '\n';
+        }).join('');
+        try {
+            fs.appendFileSync(self.teeFilePath, text);
+        } catch (err) {
+            self.teeError = 'Stopped writing to ' + self.teeFilePath + ': ' +
+                err.toString();
+            self.teeFilePath = null;
+        }
+    };
+
+    /**
+     * Add debug output.
+     *
+     * @param {String} text The text read from the device.
+     * @param {Number} time The time the text arrived in ms since the epoch.
+     * @return {Array} The lines completed by the text, {number, time, text}.
+     *      A line's time is when its first character arrived.
+    **/
+    this.addData = function (text, time) {
+        if (partialLine === '') {
+            partialTime = time;
+        }
+        var pieces = (partialLine + text).split('\n');
+        partialLine = pieces.pop();
+
+        var newLines = pieces.map(function (piece, i) {
+            self.numLines += 1;
+            return {
+                'number': self.numLines,
+                'time': i === 0 ? partialTime : time,
+                'text': piece.replace(/\r$/, '')
+            };
+        });
+        if (newLines.length > 0) {
+            partialTime = time;
+        }
+        self.lines = self.lines.concat(newLines).slice(-self.maxLines);
+        writeToTee(newLines);
+        return newLines;
+    };
+
+    /**
+     * Remove the kept lines. Line numbers keep counting up.
+    **/
+    this.clear = function () {
+        self.lines = [];
+        partialLine = '';
+    };
+
+    /**
+     * Start appending each new line to a file.
+     *
+     * @param {String} filePath The file, created if it doesn't exist.
+     * @throws {Error} If the file can't be written.
+    **/
+    this.startTee = function (filePath) {
+        fs.appendFileSync(filePath, '');
+        self.teeFilePath = filePath;
+        self.teeError = null;
+    };
+
+    this.stopTee = function () {
+        self.teeFilePath = null;
+    };
+
+    /**
+     * Get the kept lines as text, each after its time.
+     *
+     * @return {String} The lines, each ending with a new line.
+    **/
+    this.getText = function () {
+        return self.lines.map(function (line) {
+            return formatLine(line) + '\n';
+        }).join('');
+    };
+
+    /**
+     * Save the kept lines to a file.
+     *
+     * @param {String} filePath The file to write.
+     * @throws {Error} If the file can't be written.
+    **/
+    this.saveToFile = function (filePath) {
+        fs.writeFileSync(filePath, self.getText());
+    };
+
+    var self = this;
+}
+exports.LuaDebugConsole = LuaDebugConsole;
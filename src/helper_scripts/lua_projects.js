@@ -0,0 +1,645 @@
+/**
+ * Lua script projects for the Lua script debugger module.
+ *
+ * A project is a folder of Lua files with a kipling_lua_project.json file
+ * naming the main script, the helper files that are uploaded ahead of it, the
+ * files open in the editor's tabs and the deployments of the project to
+ * devices. Saving a file that changed keeps a copy of it in the project's
+ * .kipling_history folder so old revisions can be compared and restored.
+ *
+ * File paths in a project are relative to the project folder and use "/"
+ * separators. Problems are thrown as Strings describing them.
+**/
+
+var fs = require('fs');
+var path = require('path');
+
+var PROJECT_FILE_NAME = 'kipling_lua_project.json';
+exports.PROJECT_FILE_NAME = PROJECT_FILE_NAME;
+
+var PROJECT_FILE_TYPE = 'kipling-lua-project';
+var PROJECT_FILE_VERSION = 1;
+
+var HISTORY_FOLDER_NAME = '.kipling_history';
+exports.HISTORY_FOLDER_NAME = HISTORY_FOLDER_NAME;
+
+var LUA_FILE_ENDING = '.lua';
+
+// The oldest revisions of a file and deployments are deleted past these.
+var MAX_REVISIONS = 100;
+exports.MAX_REVISIONS = MAX_REVISIONS;
+var MAX_DEPLOYMENTS = 100;
+exports.MAX_DEPLOYMENTS = MAX_DEPLOYMENTS;
+
+var DEFAULT_MAIN_FILE = 'main.lua';
+
+
+/**
+ * Clean up a project file path.
+ *
+ * @param {String} filePath A path relative to the project folder, "/" or "\"
+ *      separated.
+ * @return {String} The path with "/" separators.
+ * @throws {String} If the path is empty, absolute or leaves the project
+ *      folder.
+**/
+var normalizeFilePath = function (filePath) {
+    if (typeof(filePath) !== 'string' || /^([\\\/]|[a-zA-Z]:)/.test(filePath)) {
+        throw 'Invalid project file path: ' + filePath;
+    }
+    var parts = filePath.split(/[\\\/]/).filter(function (part) {
+        return part !== '' && part !== '.';
+    });
+    if (parts.length === 0 || parts.indexOf('..') >= 0) {
+        throw 'Invalid project file path: ' + filePath;
+    }
+    return parts.join('/');
+};
+exports.normalizeFilePath = normalizeFilePath;
+
+
+var resolveFilePath = function (project, filePath) {
+    var parts = normalizeFilePath(filePath).split('/');
+    return path.join.apply(path, [project.dir].concat(parts));
+};
+exports.resolveFilePath = resolveFilePath;
+
+
+var isLuaFile = function (filePath) {
+    return path.extname(filePath).toLowerCase() === LUA_FILE_ENDING;
+};
+
+
+var makeFolders = function (folder) {
+    if (!fs.existsSync(folder)) {
+        makeFolders(path.dirname(folder));
+        fs.mkdirSync(folder);
+    }
+};
+
+
+/**
+ * Check the settings of a project.
+ *
+ * @param {Object} project The project.
+ * @return {String} Description of the first problem or null if the project is
+ *      valid.
+**/
+var validateProject = function (project) {
+    if (typeof(project.name) !== 'string' || project.name.trim() === '') {
+        return 'The project needs a name';
+    }
+    var files = [project.main].concat(project.includes);
+    var error = null;
+    files.forEach(function (filePath, i) {
+        if (error !== null) {
+            return;
+        }
+        try {
+            if (normalizeFilePath(filePath) !== filePath) {
+                error = 'Invalid project file path: ' + filePath;
+            } else if (!isLuaFile(filePath)) {
+                error = 'Only Lua files can be uploaded: ' + filePath;
+            } else if (files.indexOf(filePath) !== i) {
+                error = filePath + ' is included more than once';
+            }
+        } catch (err) {
+            error = err;
+        }
+    });
+    return error;
+};
+exports.validateProject = validateProject;
+
+
+/**
+ * Save a project's settings to its project file.
+ *
+ * @param {Object} project The project.
+ * @throws {String} If the project is invalid.
+**/
+var saveProject = function (project) {
+    var projectError = validateProject(project);
+    if (projectError !== null) {
+        throw projectError;
+    }
+    var data = {
+        'type': PROJECT_FILE_TYPE,
+        'version': PROJECT_FILE_VERSION,
+        'name': project.name,
+        'main': project.main,
+        'includes': project.includes,
+        'openFiles': project.openFiles,
+        'activeFile': project.activeFile,
+        'deployments': project.deployments
+    };
+    fs.writeFileSync(
+        path.join(project.dir, PROJECT_FILE_NAME),
+        JSON.stringify(data, null, 2)
+    );
+};
+exports.saveProject = saveProject;
+
+
+/**
+ * Find the Lua files and folders of a project.
+ *
+ * @param {Object} project The project.
+ * @return {Array} {name, path, isFolder, children} Objects, folders first and
+ *      then in alphabetical order. children is only set for folders. The
+ *      history folder and hidden files are skipped.
+**/
+var listFiles = function (project) {
+    var listFolder = function (folder, prefix) {
+        var entries = [];
+        fs.readdirSync(folder).sort().forEach(function (name) {
+            if (name.charAt(0) === '.') {
+                return;
+            }
+            var filePath = prefix + name;
+            var stats = fs.statSync(path.join(folder, name));
+            if (stats.isDirectory()) {
+                entries.push({
+                    'name': name,
+                    'path': filePath,
+                    'isFolder': true,
+                    'children': listFolder(path.join(folder, name), filePath + '/')
+                });
+            } else if (isLuaFile(name)) {
+                entries.push({'name': name, 'path': filePath, 'isFolder': false});
+            }
+        });
+        return entries.filter(function (entry) {
+            return entry.isFolder;
+        }).concat(entries.filter(function (entry) {
+            return !entry.isFolder;
+        }));
+    };
+    return listFolder(project.dir, '');
+};
+exports.listFiles = listFiles;
+
+
+/**
+ * Open the project in a folder, making the folder a project if it isn't one
+ * yet. New projects use main.lua as their main script, which is created if
+ * the folder has no Lua files.
+ *
+ * @param {String} dir The project folder.
+ * @return {Object} The project: {dir, name, main, includes, openFiles,
+ *      activeFile, deployments}.
+ * @throws {String} If the project file can't be read or is invalid.
+**/
+var openProject = function (dir) {
+    var projectFilePath = path.join(dir, PROJECT_FILE_NAME);
+    var project;
+    if (fs.existsSync(projectFilePath)) {
+        var data;
+        try {
+            data = JSON.parse(fs.readFileSync(projectFilePath, 'utf8'));
+        } catch (err) {
+            throw 'The project file is not valid JSON';
+        }
+        if (data === null || data.type !== PROJECT_FILE_TYPE) {
+            throw 'The folder\'s ' + PROJECT_FILE_NAME + ' is not a Lua project';
+        }
+        if (data.version > PROJECT_FILE_VERSION) {
+            throw 'The project was saved by a newer version of Kipling';
+        }
+        project = {
+            'dir': dir,
+            'name': data.name,
+            'main': data.main,
+            'includes': data.includes || [],
+            'openFiles': data.openFiles || [],
+            'activeFile': data.activeFile || null,
+            'deployments': data.deployments || []
+        };
+        var projectError = validateProject(project);
+        if (projectError !== null) {
+            throw projectError;
+        }
+        return project;
+    }
+
+    makeFolders(dir);
+    project = {
+        'dir': dir,
+        'name': path.basename(dir),
+        'main': DEFAULT_MAIN_FILE,
+        'includes': [],
+        'openFiles': [],
+        'activeFile': null,
+        'deployments': []
+    };
+    var luaFiles = listFiles(project).filter(function (entry) {
+        return !entry.isFolder;
+    }).map(function (entry) {
+        return entry.path;
+    });
+    if (luaFiles.length === 0) {
+        fs.writeFileSync(resolveFilePath(project, DEFAULT_MAIN_FILE), '');
+    } else if (luaFiles.indexOf(DEFAULT_MAIN_FILE) < 0) {
+        project.main = luaFiles[0];
+    }
+    project.openFiles = [project.main];
+    project.activeFile = project.main;
+    saveProject(project);
+    return project;
+};
+exports.openProject = openProject;
+
+
+/**
+ * Read one of a project's files.
+ *
+ * @param {Object} project The project.
+ * @param {String} filePath The file's path in the project.
+ * @return {String} The file's contents.
+**/
+var readFile = function (project, filePath) {
+    return fs.readFileSync(resolveFilePath(project, filePath), 'utf8');
+};
+exports.readFile = readFile;
+
+
+var getHistoryFolder = function (project, filePath) {
+    var parts = normalizeFilePath(filePath).split('/');
+    return path.join.apply(path, [project.dir, HISTORY_FOLDER_NAME].concat(parts));
+};
+
+
+/**
+ * Get the saved revisions of a file.
+ *
+ * @param {Object} project The project.
+ * @param {String} filePath The file's path in the project.
+ * @return {Array} {id, time, size} Objects, newest first. time is in ms since
+ *      the epoch and size in bytes.
+**/
+var getRevisions = function (project, filePath) {
+    var folder = getHistoryFolder(project, filePath);
+    if (!fs.existsSync(folder)) {
+        return [];
+    }
+    return fs.readdirSync(folder).filter(function (name) {
+        return /^\d+\.lua$/.test(name);
+    }).map(function (name) {
+        return {
+            'id': path.basename(name, LUA_FILE_ENDING),
+            'time': parseInt(name, 10),
+            'size': fs.statSync(path.join(folder, name)).size
+        };
+    }).sort(function (a, b) {
+        return b.time - a.time;
+    });
+};
+exports.getRevisions = getRevisions;
+
+
+/**
+ * Read a saved revision of a file.
+ *
+ * @param {Object} project The project.
+ * @param {String} filePath The file's path in the project.
+ * @param {String} id The revision's id from getRevisions.
+ * @return {String} The file's contents at that revision.
+**/
+var readRevision = function (project, filePath, id) {
+    if (!/^\d+$/.test(id)) {
+        throw 'Invalid revision: ' + id;
+    }
+    return fs.readFileSync(
+        path.join(getHistoryFolder(project, filePath), id + LUA_FILE_ENDING),
+        'utf8'
+    );
+};
+exports.readRevision = readRevision;
+
+
+/**
+ * Save one of a project's files. If the contents differ from the newest
+ * revision a new revision is added to the file's history.
+ *
+ * @param {Object} project The project.
+ * @param {String} filePath The file's path in the project, folders are
+ *      created as needed.
+ * @param {String} contents The file's new contents.
+ * @param {Number} time Optional time of the save in ms since the epoch.
+ * @return {Object} The new revision or null if the contents didn't change.
+**/
+var saveFile = function (project, filePath, contents, time) {
+    var fullPath = resolveFilePath(project, filePath);
+    makeFolders(path.dirname(fullPath));
+    fs.writeFileSync(fullPath, contents);
+
+    var revisions = getRevisions(project, filePath);
+    if (revisions.length > 0 &&
+        readRevision(project, filePath, revisions[0].id) === contents) {
+        return null;
+    }
+    var folder = getHistoryFolder(project, filePath);
+    makeFolders(folder);
+    var revisionTime = time === undefined ? Date.now() : time;
+    // Keep revisions in order when saves happen within a millisecond.
+    if (revisions.length > 0 && revisionTime <= revisions[0].time) {
+        revisionTime = revisions[0].time + 1;
+    }
+    var id = revisionTime.toString();
+    fs.writeFileSync(path.join(folder, id + LUA_FILE_ENDING), contents);
+    revisions.slice(MAX_REVISIONS - 1).forEach(function (oldRevision) {
+        fs.unlinkSync(path.join(folder, oldRevision.id + LUA_FILE_ENDING));
+    });
+    return {
+        'id': id,
+        'time': revisionTime,
+        'size': Buffer.byteLength(contents)
+    };
+};
+exports.saveFile = saveFile;
+
+
+var splitLines = function (text) {
+    if (text === '') {
+        return [];
+    }
+    return text.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+};
+
+
+/**
+ * Compare two versions of a file line by line.
+ *
+ * @param {String} oldText The old contents.
+ * @param {String} newText The new contents.
+ * @return {Array} {type, text, oldLine, newLine} Objects for each line where
+ *      type is 'same', 'removed' or 'added'. oldLine and newLine are the 1
+ *      based line numbers, null for lines missing from that version.
+**/
+var diffLines = function (oldText, newText) {
+    var oldLines = splitLines(oldText);
+    var newLines = splitLines(newText);
+
+    // Only the middle that differs needs the longest common subsequence.
+    var start = 0;
+    while (start < oldLines.length && start < newLines.length &&
+        oldLines[start] === newLines[start]) {
+        start += 1;
+    }
+    var oldEnd = oldLines.length;
+    var newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start &&
+        oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd -= 1;
+        newEnd -= 1;
+    }
+
+    // lengths[i][j] is the length of the common subsequence of the old
+    // lines from start + i and the new lines from start + j.
+    var numOld = oldEnd - start;
+    var numNew = newEnd - start;
+    var lengths = [];
+    var i;
+    var j;
+    for (i = numOld; i >= 0; i--) {
+        lengths[i] = [];
+        for (j = numNew; j >= 0; j--) {
+            if (i === numOld || j === numNew) {
+                lengths[i][j] = 0;
+            } else if (oldLines[start + i] === newLines[start + j]) {
+                lengths[i][j] = lengths[i + 1][j + 1] + 1;
+            } else {
+                lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+    }
+
+    var changes = [];
+    var addSame = function (oldIndex, newIndex) {
+        changes.push({
+            'type': 'same',
+            'text': oldLines[oldIndex],
+            'oldLine': oldIndex + 1,
+            'newLine': newIndex + 1
+        });
+    };
+    for (i = 0; i < start; i++) {
+        addSame(i, i);
+    }
+    i = 0;
+    j = 0;
+    while (i < numOld || j < numNew) {
+        if (i < numOld && j < numNew &&
+            oldLines[start + i] === newLines[start + j]) {
+            addSame(start + i, start + j);
+            i += 1;
+            j += 1;
+        } else if (j === numNew ||
+            (i < numOld && lengths[i + 1][j] >= lengths[i][j + 1])) {
+            changes.push({
+                'type': 'removed',
+                'text': oldLines[start + i],
+                'oldLine': start + i + 1,
+                'newLine': null
+            });
+            i += 1;
+        } else {
+            changes.push({
+                'type': 'added',
+                'text': newLines[start + j],
+                'oldLine': null,
+                'newLine': start + j + 1
+            });
+            j += 1;
+        }
+    }
+    for (i = oldEnd; i < oldLines.length; i++) {
+        addSame(i, newEnd + i - oldEnd);
+    }
+    return changes;
+};
+exports.diffLines = diffLines;
+
+
+/**
+ * Format the changes from diffLines as a unified diff.
+ *
+ * @param {Array} changes The result of diffLines.
+ * @param {Number} contextLines Unchanged lines shown around each change,
+ *      3 if not given.
+ * @return {String} The diff, an empty String if nothing changed.
+**/
+var formatDiff = function (changes, contextLines) {
+    if (contextLines === undefined) {
+        contextLines = 3;
+    }
+    // Mark the lines within contextLines of a change.
+    var isShown = changes.map(function () {
+        return false;
+    });
+    changes.forEach(function (change, index) {
+        if (change.type !== 'same') {
+            var first = Math.max(0, index - contextLines);
+            var last = Math.min(changes.length - 1, index + contextLines);
+            for (var k = first; k <= last; k++) {
+                isShown[k] = true;
+            }
+        }
+    });
+
+    var lines = [];
+    var index = 0;
+    // Lines of each version before the current change.
+    var oldBefore = 0;
+    var newBefore = 0;
+    var countLines = function (change) {
+        if (change.type !== 'added') {
+            oldBefore += 1;
+        }
+        if (change.type !== 'removed') {
+            newBefore += 1;
+        }
+    };
+    while (index < changes.length) {
+        if (!isShown[index]) {
+            countLines(changes[index]);
+            index += 1;
+            continue;
+        }
+        // Hunks without lines of a version start at the line before them,
+        // like diff -u.
+        var oldStart = oldBefore;
+        var newStart = newBefore;
+        var hunkLines = [];
+        while (index < changes.length && isShown[index]) {
+            var change = changes[index];
+            var prefix = {'same': ' ', 'removed': '-', 'added': '+'}[change.type];
+            hunkLines.push(prefix + change.text);
+            countLines(change);
+            index += 1;
+        }
+        var oldCount = oldBefore - oldStart;
+        var newCount = newBefore - newStart;
+        if (oldCount > 0) {
+            oldStart += 1;
+        }
+        if (newCount > 0) {
+            newStart += 1;
+        }
+        lines.push(
+            '@@ -' + oldStart.toString() + ',' + oldCount.toString() +
+            ' +' + newStart.toString() + ',' + newCount.toString() + ' @@'
+        );
+        lines.push.apply(lines, hunkLines);
+    }
+    return lines.join('\n');
+};
+exports.formatDiff = formatDiff;
+
+
+/**
+ * Build the source uploaded to a device: the included helper files in order
+ * followed by the main script.
+ *
+ * @param {Object} project The project.
+ * @param {Object} openContents Optional contents to use instead of the saved
+ *      files, indexed by file path. Used to check unsaved editor tabs.
+ * @return {Object} {source, sections} where sections lists {path, firstLine,
+ *      numLines} for each file so lines of the source can be traced back to
+ *      the files with findSourceLine.
+**/
+var buildSource = function (project, openContents) {
+    var source = '';
+    var sections = [];
+    var lineNumber = 1;
+    project.includes.concat([project.main]).forEach(function (filePath) {
+        var contents;
+        if (openContents && openContents.hasOwnProperty(filePath)) {
+            contents = openContents[filePath];
+        } else {
+            contents = readFile(project, filePath);
+        }
+        if (contents !== '' && contents.charAt(contents.length - 1) !== '\n') {
+            contents += '\n';
+        }
+        var numLines = splitLines(contents).length;
+        sections.push({
+            'path': filePath,
+            'firstLine': lineNumber,
+            'numLines': numLines
+        });
+        source += contents;
+        lineNumber += numLines;
+    });
+    return {'source': source, 'sections': sections};
+};
+exports.buildSource = buildSource;
+
+
+/**
+ * Find the file a line of a built source came from.
+ *
+ * @param {Array} sections The sections from buildSource.
+ * @param {Number} line A 1 based line of the built source.
+ * @return {Object} {path, line} with the line in the file or null if the line
+ *      is past the end of the source.
+**/
+var findSourceLine = function (sections, line) {
+    var found = null;
+    sections.forEach(function (section) {
+        if (line >= section.firstLine &&
+            line < section.firstLine + section.numLines) {
+            found = {'path': section.path, 'line': line - section.firstLine + 1};
+        }
+    });
+    return found;
+};
+exports.findSourceLine = findSourceLine;
+
+
+/**
+ * Record that a project was uploaded to a device and save the project.
+ *
+ * @param {Object} project The project.
+ * @param {String} serial The device's serial number.
+ * @param {Object} build The result of buildSource that was uploaded.
+ * @param {Number} time Optional time of the upload in ms since the epoch.
+ * @return {Object} The deployment: {serial, time, size, files} where files
+ *      lists the {path, revision} of each uploaded file, revision is null for
+ *      files that were never saved through the project.
+**/
+var recordDeployment = function (project, serial, build, time) {
+    var deployment = {
+        'serial': serial.toString(),
+        'time': time === undefined ? Date.now() : time,
+        'size': build.source.length,
+        'files': build.sections.map(function (section) {
+            var revisions = getRevisions(project, section.path);
+            return {
+                'path': section.path,
+                'revision': revisions.length > 0 ? revisions[0].id : null
+            };
+        })
+    };
+    project.deployments.push(deployment);
+    project.deployments = project.deployments.slice(-MAX_DEPLOYMENTS);
+    saveProject(project);
+    return deployment;
+};
+exports.recordDeployment = recordDeployment;
+
+
+/**
+ * Get a project's deployments.
+ *
+ * @param {Object} project The project.
+ * @param {String} serial Optional serial number to only get the deployments
+ *      to one device.
+ * @return {Array} The deployments, newest first.
+**/
+var getDeployments = function (project, serial) {
+    return project.deployments.filter(function (deployment) {
+        return serial === undefined || deployment.serial === serial.toString();
+    }).reverse();
+};
+exports.getDeployments = getDeployments;
@@ -0,0 +1,89 @@
+/**
+ * Read back the Lua script saved in a device's flash for the Lua script
+ * debugger module.
+ *
+ * The script written with LUA_SAVE_TO_FLASH is read four bytes at a time
+ * through LUA_SAVED_READ, starting at the byte set in LUA_SAVED_READ_POINTER.
+ * The saved source ends at its first null byte or at erased (0xFF) flash.
+**/
+
+var q = require('q');
+
+var lua_checker = require('./lua_checker');
+
+var SAVED_READ_POINTER_REGISTER = 'LUA_SAVED_READ_POINTER';
+var SAVED_READ_REGISTER = 'LUA_SAVED_READ';
+
+// Number of LUA_SAVED_READ reads made by each readMany call.
+var SAVED_READ_BATCH_SIZE = 32;
+exports.SAVED_READ_BATCH_SIZE = SAVED_READ_BATCH_SIZE;
+
+var BYTES_PER_READ = 4;
+var ERASED_FLASH_BYTE = 0xFF;
+
+
+/**
+ * Decode values read from LUA_SAVED_READ into text.
+ *
+ * @param {Array} words The UINT32 values read, each holding four bytes of the
+ *      script with the first byte in the most significant position.
+ * @return {Object} {text, isComplete} where isComplete is true if the end of
+ *      the saved script was found in the words.
+**/
+var decodeSavedWords = function (words) {
+    var text = '';
+    for (var i = 0; i < words.length; i++) {
+        for (var shift = 24; shift >= 0; shift -= 8) {
+            var byteVal = Math.floor(words[i] / Math.pow(2, shift)) % 256;
+            if (byteVal === 0 || byteVal === ERASED_FLASH_BYTE) {
+                return {'text': text, 'isComplete': true};
+            }
+            text += String.fromCharCode(byteVal);
+        }
+    }
+    return {'text': text, 'isComplete': false};
+};
+exports.decodeSavedWords = decodeSavedWords;
+
+
+/**
+ * Read the Lua script saved in a device's flash.
+ *
+ * @param {Device} device The device_controller Device to read.
+ * @param {Number} maxSize Optional, the most bytes to read. Defaults to
+ *      lua_checker.LUA_MAX_SOURCE_SIZE.
+ * @return {q.promise} Promise that resolves to the saved source, an empty
+ *      String if no script is saved. Rejects with the LJM error of a failed
+ *      read.
+**/
+var readSavedScript = function (device, maxSize) {
+    if (maxSize === undefined) {
+        maxSize = lua_checker.LUA_MAX_SOURCE_SIZE;
+    }
+    var deferred = q.defer();
+    var source = '';
+
+    var readBatch = function () {
+        var numReads = Math.ceil((maxSize - source.length) / BYTES_PER_READ);
+        numReads = Math.min(numReads, SAVED_READ_BATCH_SIZE);
+        var names = [];
+        for (var i = 0; i < numReads; i++) {
+            names.push(SAVED_READ_REGISTER);
+        }
+        device.dreadMany(names)
+        .then(function (words) {
+            var decoded = decodeSavedWords(words);
+            source += decoded.text;
+            if (decoded.isComplete || source.length >= maxSize) {
+                deferred.resolve(source.slice(0, maxSize));
+            } else {
+                readBatch();
+            }
+        }, deferred.reject);
+    };
+
+    device.writeAsync(SAVED_READ_POINTER_REGISTER, 0)
+    .then(readBatch, deferred.reject);
+    return deferred.promise;
+};
+exports.readSavedScript = readSavedScript;
@@ -0,0 +1,170 @@
+/**
+ * Register writes that load a Lua script onto one device, shared by the Lua
+ * script debugger's single device upload and lua_bulk_deploy.
+ *
+ * A script is loaded by stopping the running script, writing the source
+ * size to LUA_SOURCE_SIZE and then the source to LUA_SOURCE_WRITE in
+ * packets. It can then be started, saved to flash and set to run at startup.
+ *
+ * Registers are written with writeAsync and drwMany, which reject on LJM
+ * errors, so a failed write stops the steps that follow it.
+**/
+
+var q = require('q');
+
+// Number of bytes written to LUA_SOURCE_WRITE at a time.
+var SOURCE_PACKET_SIZE = 32;
+exports.SOURCE_PACKET_SIZE = SOURCE_PACKET_SIZE;
+
+
+/**
+ * Split a script's source into the byte packets written to LUA_SOURCE_WRITE.
+ *
+ * @param {String} source The script source.
+ * @return {Array} Arrays of at most SOURCE_PACKET_SIZE character codes.
+**/
+var splitSource = function (source) {
+    var packets = [];
+    for (var i = 0; i < source.length; i += SOURCE_PACKET_SIZE) {
+        var packet = [];
+        var packetText = source.slice(i, i + SOURCE_PACKET_SIZE);
+        for (var j = 0; j < packetText.length; j++) {
+            packet.push(packetText.charCodeAt(j));
+        }
+        packets.push(packet);
+    }
+    return packets;
+};
+exports.splitSource = splitSource;
+
+
+/**
+ * Stop the script running on a device.
+ *
+ * @param {Device} device The device_controller Device to write to.
+ * @return {q.promise} Promise that resolves once LUA_RUN is written.
+**/
+var stopScript = function (device) {
+    return device.writeAsync('LUA_RUN', 0);
+};
+exports.stopScript = stopScript;
+
+
+/**
+ * Start the script loaded on a device.
+ *
+ * @param {Device} device The device_controller Device to write to.
+ * @return {q.promise} Promise that resolves once LUA_RUN is written.
+**/
+var startScript = function (device) {
+    return device.writeAsync('LUA_RUN', 1);
+};
+exports.startScript = startScript;
+
+
+/**
+ * Tell a device the size of the source about to be written.
+ *
+ * @param {Device} device The device_controller Device to write to.
+ * @param {Number} sourceSize The number of bytes that will be written.
+ * @return {q.promise} Promise that resolves once LUA_SOURCE_SIZE is written.
+**/
+var writeSourceSize = function (device, sourceSize) {
+    return device.writeAsync('LUA_SOURCE_SIZE', sourceSize);
+};
+exports.writeSourceSize = writeSourceSize;
+
+
+/**
+ * Write a script's source to LUA_SOURCE_WRITE, one packet at a time.
+ *
+ * @param {Device} device The device_controller Device to write to.
+ * @param {String} source The script source.
+ * @return {q.promise} Promise that resolves to the packets written, see
+ *      splitSource. Rejects on the first packet that fails.
+**/
+var writeSource = function (device, source) {
+    var packets = splitSource(source);
+    return packets.reduce(function (promise, packet) {
+        return promise.then(function () {
+            return device.drwMany(
+                ['LUA_SOURCE_WRITE'],
+                [1],
+                [packet.length],
+                packet
+            );
+        });
+    }, q.resolve())
+    .then(function () {
+        return packets;
+    });
+};
+exports.writeSource = writeSource;
+
+
+/**
+ * Load a script onto a device without starting it.
+ *
+ * The device's script should be stopped first, see stopScript.
+ *
+ * @param {Device} device The device_controller Device to write to.
+ * @param {String} source The script source, written as is.
+ * @return {q.promise} Promise that resolves to the packets written.
+**/
+var uploadScript = function (device, source) {
+    return writeSourceSize(device, source.length)
+    .then(function () {
+        return writeSource(device, source);
+    });
+};
+exports.uploadScript = uploadScript;
+
+
+/**
+ * Send the running script's print output to the debug buffer.
+ *
+ * @param {Device} device The device_controller Device to write to.
+ * @return {q.promise} Promise that resolves once LUA_DEBUG_ENABLE is written.
+**/
+var enableDebugging = function (device) {
+    return device.writeAsync('LUA_DEBUG_ENABLE', 1);
+};
+exports.enableDebugging = enableDebugging;
+
+
+/**
+ * Save the loaded script to the device's flash.
+ *
+ * @param {Device} device The device_controller Device to write to.
+ * @return {q.promise} Promise that resolves once LUA_SAVE_TO_FLASH is written.
+**/
+var saveToFlash = function (device) {
+    return device.writeAsync('LUA_SAVE_TO_FLASH', 1);
+};
+exports.saveToFlash = saveToFlash;
+
+
+/**
+ * Run the script saved in flash when the device powers up.
+ *
+ * @param {Device} device The device_controller Device to write to.
+ * @return {q.promise} Promise that resolves once LUA_RUN_DEFAULT is written.
+ *      Rejects if no script is saved.
+**/
+var enableRunAtStartup = function (device) {
+    return device.writeAsync('LUA_RUN_DEFAULT', 1);
+};
+exports.enableRunAtStartup = enableRunAtStartup;
+
+
+/**
+ * Send the print output of the script run at startup to the debug buffer.
+ *
+ * @param {Device} device The device_controller Device to write to.
+ * @return {q.promise} Promise that resolves once LUA_DEBUG_ENABLE_DEFAULT is
+ *      written.
+**/
+var enableDebuggingAtStartup = function (device) {
+    return device.writeAsync('LUA_DEBUG_ENABLE_DEFAULT', 1);
+};
+exports.enableDebuggingAtStartup = enableDebuggingAtStartup;
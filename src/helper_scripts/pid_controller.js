@@ -0,0 +1,338 @@
+/**
+ * PID control loop used by the PID control module.
+ *
+ * Computes the output of a P, PI or PID loop from readings of the process
+ * variable. The output is kept between its limits without letting the
+ * integral wind up, the derivative acts on the process variable so setpoint
+ * changes do not kick the output, and switching from manual to automatic or
+ * changing the gains does not make the output jump (bumpless transfer).
+ * Also plans the register writes that drive a DAC or a DIO_EF PWM output.
+**/
+
+var dio_ef = require('./dio_ef');
+
+var MODES = ['P', 'PI', 'PID'];
+exports.MODES = MODES;
+
+var DEFAULT_SETTINGS = {
+    'mode': 'PI',
+    'setpoint': 0,
+    'kp': 1,
+    'ki': 0.1,
+    'kd': 0,
+    'outputMin': 0,
+    'outputMax': 5,
+    'reverseActing': false
+};
+exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+// DIO#_EF_INDEX of PWM Out.
+var PWM_EF_INDEX = 0;
+
+// The outputs a loop can drive. DAC outputs are in volts, PWM outputs are a
+// duty cycle in percent.
+var OUTPUT_TYPES = [
+    {'type': 'dac', 'name': 'DAC', 'min': 0, 'max': 5, 'unit': 'V',
+        'registers': ['DAC0', 'DAC1']},
+    {'type': 'pwm', 'name': 'PWM', 'min': 0, 'max': 100, 'unit': '%',
+        'lines': dio_ef.getEFType(PWM_EF_INDEX).lines,
+        'minFrequency': 1, 'maxFrequency': 250000}
+];
+exports.OUTPUT_TYPES = OUTPUT_TYPES;
+
+var isNumber = function (value) {
+    return typeof(value) === 'number' && isFinite(value);
+};
+
+
+var getOutputType = function (output) {
+    var found;
+    OUTPUT_TYPES.forEach(function (outputType) {
+        if (outputType.type === output.type) {
+            found = outputType;
+        }
+    });
+    return found;
+};
+exports.getOutputType = getOutputType;
+
+
+/**
+ * Check the settings of a control loop.
+ *
+ * @param {Object} settings The settings, see DEFAULT_SETTINGS. kp, ki and kd
+ *      are the proportional gain, the integral gain per second and the
+ *      derivative gain in seconds. reverseActing loops lower the output when
+ *      the process variable is below the setpoint, like a cooling loop.
+ * @return {String} Description of the first problem or null if the settings
+ *      are valid.
+**/
+var validateSettings = function (settings) {
+    if (MODES.indexOf(settings.mode) < 0) {
+        return 'Invalid control mode: ' + settings.mode;
+    }
+    var error = null;
+    ['setpoint', 'kp', 'ki', 'kd', 'outputMin', 'outputMax'].forEach(
+        function (key) {
+            if (error === null && !isNumber(settings[key])) {
+                error = 'Invalid ' + key + ': ' + settings[key];
+            }
+        }
+    );
+    if (error !== null) {
+        return error;
+    }
+    if (settings.kp < 0 || settings.ki < 0 || settings.kd < 0) {
+        return 'Gains can not be negative, use reverse acting instead';
+    }
+    if (settings.outputMin >= settings.outputMax) {
+        return 'The output minimum must be less than the output maximum';
+    }
+    return null;
+};
+exports.validateSettings = validateSettings;
+
+
+/**
+ * Check the output a loop drives.
+ *
+ * @param {Object} output {type: 'dac', register: 'DAC0'} or {type: 'pwm',
+ *      line: DIO number, frequency: Hz, clock: DIO_EF clock number}.
+ * @param {Object} settings Optional loop settings whose output limits must
+ *      fit the output's range.
+ * @return {String} Description of the first problem or null if the output
+ *      is valid.
+**/
+var validateOutput = function (output, settings) {
+    var outputType = getOutputType(output);
+    if (outputType === undefined) {
+        return 'Invalid output type: ' + output.type;
+    }
+    if (outputType.type === 'dac') {
+        if (outputType.registers.indexOf(output.register) < 0) {
+            return 'Invalid DAC: ' + output.register;
+        }
+    } else {
+        if (outputType.lines.indexOf(output.line) < 0) {
+            return 'PWM is not available on ' + dio_ef.getLineName(output.line);
+        }
+        if (!isNumber(output.frequency) ||
+            output.frequency < outputType.minFrequency ||
+            output.frequency > outputType.maxFrequency) {
+            return 'Invalid PWM frequency: ' + output.frequency;
+        }
+        if (dio_ef.CLOCKS[output.clock] === undefined) {
+            return 'Invalid DIO_EF clock: ' + output.clock;
+        }
+    }
+    if (settings !== undefined) {
+        if (settings.outputMin < outputType.min ||
+            settings.outputMax > outputType.max) {
+            return 'The output limits must be between ' +
+                outputType.min.toString() + ' and ' +
+                outputType.max.toString() + ' ' + outputType.unit;
+        }
+    }
+    return null;
+};
+exports.validateOutput = validateOutput;
+
+
+/**
+ * Pick the clock settings for a PWM output.
+ *
+ * @param {Object} output A valid PWM output.
+ * @return {Object} {enabled, divisor, rollValue} for the output's clock,
+ *      using the smallest divisor that gives the best duty cycle resolution.
+**/
+var getPWMClock = function (output) {
+    var maxRollValue = Math.pow(2, dio_ef.CLOCKS[output.clock].bits) - 1;
+    var divisor = dio_ef.CLOCK_DIVISORS[dio_ef.CLOCK_DIVISORS.length - 1];
+    dio_ef.CLOCK_DIVISORS.slice().reverse().forEach(function (candidate) {
+        var rollValue = dio_ef.CORE_FREQUENCY_HZ / candidate / output.frequency;
+        if (rollValue <= maxRollValue) {
+            divisor = candidate;
+        }
+    });
+    var rollValue = Math.round(
+        dio_ef.CORE_FREQUENCY_HZ / divisor / output.frequency
+    );
+    return {
+        'enabled': true,
+        'divisor': divisor,
+        'rollValue': Math.max(1, Math.min(maxRollValue, rollValue))
+    };
+};
+exports.getPWMClock = getPWMClock;
+
+
+/**
+ * Plan the writes that prepare an output before the loop starts: PWM outputs
+ * get their clock and extended feature configured, with a 0% duty cycle.
+ *
+ * @param {Object} output A valid output.
+ * @return {Array} Array of {name, value} Objects to write in order.
+**/
+var planOutputSetup = function (output) {
+    if (output.type !== 'pwm') {
+        return [];
+    }
+    return dio_ef.planClockWrites(output.clock, getPWMClock(output)).concat(
+        dio_ef.planEFWrites(output.line, {
+            'index': PWM_EF_INDEX,
+            'clockSource': output.clock,
+            'configs': {'_EF_CONFIG_A': 0}
+        })
+    );
+};
+exports.planOutputSetup = planOutputSetup;
+
+
+/**
+ * Plan the writes that set an output.
+ *
+ * @param {Object} output A valid output.
+ * @param {Number} value The output value in volts for DACs or the duty cycle
+ *      in percent for PWM outputs, limited to the output's range.
+ * @return {Array} Array of {name, value} Objects to write in order.
+**/
+var planOutputWrites = function (output, value) {
+    var outputType = getOutputType(output);
+    var limited = Math.max(outputType.min, Math.min(outputType.max, value));
+    if (output.type === 'dac') {
+        return [{'name': output.register, 'value': limited}];
+    }
+    var highTicks = Math.round(getPWMClock(output).rollValue * limited / 100);
+    return [{
+        'name': dio_ef.getLineName(output.line) + '_EF_CONFIG_A',
+        'value': highTicks
+    }];
+};
+exports.planOutputWrites = planOutputWrites;
+
+
+/**
+ * A control loop.
+ *
+ * The loop starts in automatic mode with its integral and output at 0, or
+ * the closest output limit if 0 is out of range. In P mode the integral is
+ * held and acts as a manual reset (bias), so it only changes through
+ * bumpless transfers.
+ *
+ * @param {Object} settings Valid settings, see validateSettings.
+**/
+function PIDController(settings) {
+    this.settings = JSON.parse(JSON.stringify(settings));
+    this.isAuto = true;
+    this.integral = Math.max(settings.outputMin, Math.min(settings.outputMax, 0));
+    this.output = this.integral;
+    this.lastPV = null;
+    this.lastTime = null;
+    // Contributions of each term to the last output.
+    this.terms = {'p': 0, 'i': 0, 'd': 0};
+
+    var limit = function (value) {
+        var s = self.settings;
+        return Math.max(s.outputMin, Math.min(s.outputMax, value));
+    };
+
+    var getError = function (settings, pv) {
+        var error = settings.setpoint - pv;
+        return settings.reverseActing ? -error : error;
+    };
+
+    /**
+     * Calculate the output for a reading of the process variable.
+     *
+     * @param {Number} pv The process variable.
+     * @param {Number} time The time of the reading in ms.
+     * @return {Number} The new output, which is held in manual mode.
+    **/
+    this.update = function (pv, time) {
+        var s = self.settings;
+        var dt = 0;
+        if (self.lastTime !== null && time > self.lastTime) {
+            dt = (time - self.lastTime) / 1000;
+        }
+        var lastPV = self.lastPV;
+        self.lastPV = pv;
+        self.lastTime = time;
+        if (!self.isAuto) {
+            return self.output;
+        }
+
+        var error = getError(s, pv);
+        var p = s.kp * error;
+        var d = 0;
+        if (s.mode === 'PID' && dt > 0 && lastPV !== null) {
+            var slope = (pv - lastPV) / dt;
+            d = -s.kd * (s.reverseActing ? -slope : slope);
+        }
+        if (s.mode !== 'P' && dt > 0) {
+            // Only integrate while the output isn't pushed past a limit in
+            // the direction the integral would move it (anti-windup).
+            var unlimited = p + self.integral + d;
+            var isWindingUp = (unlimited >= s.outputMax && error > 0) ||
+                (unlimited <= s.outputMin && error < 0);
+            if (!isWindingUp) {
+                self.integral = limit(self.integral + s.ki * error * dt);
+            }
+        }
+        self.output = limit(p + self.integral + d);
+        self.terms = {'p': p, 'i': self.integral, 'd': d};
+        return self.output;
+    };
+
+    /**
+     * Switch to manual mode and set the output.
+     *
+     * @param {Number} output The output, limited to the output limits.
+     * @return {Number} The output.
+    **/
+    this.setManual = function (output) {
+        self.isAuto = false;
+        self.output = limit(output);
+        return self.output;
+    };
+
+    /**
+     * Switch to automatic mode starting from the current output.
+    **/
+    this.setAuto = function () {
+        if (self.isAuto) {
+            return;
+        }
+        self.isAuto = true;
+        var p = 0;
+        if (self.lastPV !== null) {
+            p = self.settings.kp * getError(self.settings, self.lastPV);
+        }
+        self.integral = self.output - p;
+        self.terms = {'p': p, 'i': self.integral, 'd': 0};
+    };
+
+    /**
+     * Change the settings. Gain, mode and limit changes do not make the
+     * output jump, a new setpoint takes effect with the next update.
+     *
+     * @param {Object} settings Valid settings, see validateSettings.
+    **/
+    this.setSettings = function (settings) {
+        var oldSettings = self.settings;
+        self.settings = JSON.parse(JSON.stringify(settings));
+        if (self.lastPV !== null) {
+            var held = JSON.parse(JSON.stringify(settings));
+            held.setpoint = oldSettings.setpoint;
+            self.integral += oldSettings.kp * getError(oldSettings, self.lastPV) -
+                held.kp * getError(held, self.lastPV);
+        }
+        self.integral = limit(self.integral);
+        self.output = limit(self.output);
+    };
+
+    var self = this;
+}
+
+exports.createPIDController = function (settings) {
+    return new PIDController(settings);
+};
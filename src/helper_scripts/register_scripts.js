@@ -0,0 +1,371 @@
+/**
+ * Register scripts for the register matrix module.
+ *
+ * A register script is a list of writes, reads, waits and expected value
+ * checks like "write DAC0 2.5; wait 10ms; expect AIN0 2.5±0.05". Scripts are
+ * run against one or more devices and produce a pass / fail transcript so
+ * that bench checks can be written once and repeated on every unit.
+ *
+ * Statements are separated by semicolons or new lines and "#" starts a
+ * comment. Supported statements:
+ *   write <register> <value>
+ *   read <register>
+ *   wait <duration>[ms|s]            (milliseconds if no unit is given)
+ *   expect <register> <value>[±<tolerance>]   (+/- can be used for ±)
+ * String values are given in double quotes.
+**/
+
+var q = require('q');
+
+var STEP_TYPES = ['write', 'read', 'wait', 'expect'];
+exports.STEP_TYPES = STEP_TYPES;
+
+// The longest wait a script may contain.
+var MAX_WAIT_MS = 60000;
+exports.MAX_WAIT_MS = MAX_WAIT_MS;
+
+var DEFAULT_RUN_OPTIONS = {
+    'stopOnFailure': false
+};
+exports.DEFAULT_RUN_OPTIONS = DEFAULT_RUN_OPTIONS;
+
+
+/**
+ * Parse a value given in a script.
+ *
+ * @param {String} valueStr The value as written in the script.
+ * @return {Object} The value (a Number or String) or undefined if the value
+ *      could not be parsed.
+**/
+var parseValue = function (valueStr) {
+    if (valueStr.length >= 2 && valueStr.charAt(0) === '"' &&
+        valueStr.charAt(valueStr.length - 1) === '"') {
+        return valueStr.slice(1, -1);
+    }
+    if (valueStr === '' || isNaN(Number(valueStr))) {
+        return undefined;
+    }
+    return Number(valueStr);
+};
+
+
+/**
+ * Parse a single statement.
+ *
+ * @param {String} text The statement without comments or separators.
+ * @return {Object} The step or a String describing why it is invalid.
+**/
+var parseStatement = function (text) {
+    var match = /^(\S+)\s*(.*)$/.exec(text);
+    var type = match[1].toLowerCase();
+    var args = match[2].trim();
+    var argMatch;
+    var value;
+
+    if (STEP_TYPES.indexOf(type) < 0) {
+        return 'Unknown statement: ' + match[1];
+    }
+
+    if (type === 'wait') {
+        argMatch = /^(\d+(?:\.\d+)?)\s*(ms|s)?$/i.exec(args);
+        if (argMatch === null) {
+            return 'wait needs a duration like 10ms or 2s';
+        }
+        var duration = Number(argMatch[1]);
+        if (argMatch[2] && argMatch[2].toLowerCase() === 's') {
+            duration *= 1000;
+        }
+        if (duration > MAX_WAIT_MS) {
+            return 'wait may not be longer than ' +
+                (MAX_WAIT_MS / 1000).toString() + 's';
+        }
+        return {'type': type, 'duration': duration};
+    }
+
+    argMatch = /^([A-Za-z_][A-Za-z0-9_#]*)\s*(.*)$/.exec(args);
+    if (argMatch === null) {
+        return type + ' needs a register name';
+    }
+    var register = argMatch[1].toUpperCase();
+    var valueStr = argMatch[2].trim();
+
+    if (type === 'read') {
+        if (valueStr !== '') {
+            return 'Unexpected value after read ' + register;
+        }
+        return {'type': type, 'register': register};
+    }
+
+    var tolerance = 0;
+    if (type === 'expect' && valueStr.charAt(0) !== '"') {
+        var toleranceMatch = /^(.*?)\s*(?:±|\+\/-)\s*(.*)$/.exec(valueStr);
+        if (toleranceMatch !== null) {
+            valueStr = toleranceMatch[1];
+            tolerance = Number(toleranceMatch[2]);
+            if (toleranceMatch[2] === '' || isNaN(tolerance) || tolerance < 0) {
+                return 'Invalid tolerance for ' + register + ': ' +
+                    toleranceMatch[2];
+            }
+        }
+    }
+    value = parseValue(valueStr);
+    if (value === undefined) {
+        return type + ' ' + register + ' needs a number or a "string" value';
+    }
+    if (type === 'write') {
+        return {'type': type, 'register': register, 'value': value};
+    }
+    return {
+        'type': type,
+        'register': register,
+        'value': value,
+        'tolerance': tolerance
+    };
+};
+
+
+/**
+ * Split a line of a script into statements, dropping any comment.
+ *
+ * Semicolons and "#" inside double quoted strings are kept and only a "#" at
+ * the start of a word starts a comment.
+ *
+ * @param {String} lineText The line to split.
+ * @return {Array} The statements as Strings.
+**/
+var splitStatements = function (lineText) {
+    var statements = [];
+    var current = '';
+    var inQuotes = false;
+    for (var i = 0; i < lineText.length; i++) {
+        var character = lineText.charAt(i);
+        if (character === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && character === ';') {
+            statements.push(current);
+            current = '';
+            continue;
+        } else if (!inQuotes && character === '#' &&
+            !/\w/.test(lineText.charAt(i - 1))) {
+            break;
+        }
+        current += character;
+    }
+    statements.push(current);
+    return statements;
+};
+
+
+/**
+ * Parse a register script.
+ *
+ * @param {String} script The text of the script.
+ * @return {Object} Object with steps (Array of step Objects with type, text
+ *      and line attributes plus the attributes of that type of step) and
+ *      errors (Array of {line, message} Objects, empty if the script is
+ *      valid) attributes.
+**/
+var parseScript = function (script) {
+    var steps = [];
+    var errors = [];
+    script.split(/\r?\n/).forEach(function (lineText, lineIndex) {
+        splitStatements(lineText).forEach(function (statement) {
+            var text = statement.trim();
+            if (text === '') {
+                return;
+            }
+            var step = parseStatement(text);
+            if (typeof(step) === 'string') {
+                errors.push({'line': lineIndex + 1, 'message': step});
+            } else {
+                step.text = text;
+                step.line = lineIndex + 1;
+                steps.push(step);
+            }
+        });
+    });
+    return {'steps': steps, 'errors': errors};
+};
+exports.parseScript = parseScript;
+
+
+/**
+ * Check a value read by an expect step.
+ *
+ * @param {Object} step The expect step.
+ * @param {Object} value The value read from the device.
+ * @return {Boolean} True if the value is the expected one.
+**/
+var checkExpectation = function (step, value) {
+    if (typeof(step.value) === 'string') {
+        return String(value) === step.value;
+    }
+    return Math.abs(Number(value) - step.value) <= step.tolerance;
+};
+exports.checkExpectation = checkExpectation;
+
+
+// Device.qRead resolves to the error code on most errors so read through
+// readAsync instead.
+var readRegister = function (device, register) {
+    var deferred = q.defer();
+    device.readAsync(register, deferred.reject, deferred.resolve);
+    return deferred.promise;
+};
+
+
+var describeError = function (err) {
+    if (err !== null && typeof(err) === 'object' && err.retError !== undefined) {
+        return String(err.retError);
+    }
+    if (typeof(err) === 'number') {
+        return 'LJM error ' + err.toString();
+    }
+    return String(err);
+};
+
+
+/**
+ * Run a parsed script on a device.
+ *
+ * A failed expectation is recorded and the script continues unless the
+ * stopOnFailure option is set. An error communicating with the device stops
+ * the script.
+ *
+ * @param {Device} device The device_controller Device to run the script on.
+ * @param {Array} steps The steps from parseScript.
+ * @param {Object} options Optional, see DEFAULT_RUN_OPTIONS.
+ * @return {q.promise} Promise that resolves to an Object with serial,
+ *      startTime, passed, numFailed, aborted and log attributes. The log is an
+ *      Array of {line, text, status, message} Objects, status being one of
+ *      'ok', 'pass', 'fail', 'error' or 'skipped'.
+**/
+var runScript = function (device, steps, options) {
+    var runOptions = {};
+    var key;
+    for (key in DEFAULT_RUN_OPTIONS) {
+        runOptions[key] = DEFAULT_RUN_OPTIONS[key];
+    }
+    for (key in options) {
+        runOptions[key] = options[key];
+    }
+
+    var result = {
+        'serial': device.getSerial(),
+        'startTime': new Date(),
+        'passed': true,
+        'numFailed': 0,
+        'aborted': false,
+        'log': []
+    };
+    var addLogEntry = function (step, status, message) {
+        result.log.push({
+            'line': step.line,
+            'text': step.text,
+            'status': status,
+            'message': message
+        });
+    };
+
+    var runStep = function (step) {
+        if (result.aborted) {
+            addLogEntry(step, 'skipped', '');
+            return q.resolve();
+        }
+        var onError = function (err) {
+            result.passed = false;
+            result.aborted = true;
+            addLogEntry(step, 'error', describeError(err));
+        };
+
+        if (step.type === 'wait') {
+            var deferred = q.defer();
+            setTimeout(function () {
+                addLogEntry(step, 'ok', '');
+                deferred.resolve();
+            }, step.duration);
+            return deferred.promise;
+        } else if (step.type === 'write') {
+            return device.writeAsync(step.register, step.value)
+            .then(function () {
+                addLogEntry(step, 'ok', '');
+            }, onError);
+        } else if (step.type === 'read') {
+            return readRegister(device, step.register)
+            .then(function (value) {
+                addLogEntry(step, 'ok', 'read ' + String(value));
+            }, onError);
+        } else {
+            return readRegister(device, step.register)
+            .then(function (value) {
+                if (checkExpectation(step, value)) {
+                    addLogEntry(step, 'pass', 'read ' + String(value));
+                } else {
+                    result.passed = false;
+                    result.numFailed += 1;
+                    result.aborted = runOptions.stopOnFailure;
+                    addLogEntry(step, 'fail', 'read ' + String(value));
+                }
+            }, onError);
+        }
+    };
+
+    return steps.reduce(function (promise, step) {
+        return promise.then(function () {
+            return runStep(step);
+        });
+    }, q.resolve())
+    .then(function () {
+        return result;
+    });
+};
+exports.runScript = runScript;
+
+
+/**
+ * Run a parsed script on several devices at the same time.
+ *
+ * @param {Array} devices The device_controller Devices to run the script on.
+ * @param {Array} steps The steps from parseScript.
+ * @param {Object} options Optional, see DEFAULT_RUN_OPTIONS.
+ * @return {q.promise} Promise that resolves to an Array with the result of
+ *      runScript for each device.
+**/
+var runScriptOnDevices = function (devices, steps, options) {
+    return q.all(devices.map(function (device) {
+        return runScript(device, steps, options);
+    }));
+};
+exports.runScriptOnDevices = runScriptOnDevices;
+
+
+/**
+ * Describe the results of a script run as text.
+ *
+ * @param {Array} results The results from runScriptOnDevices.
+ * @return {String} The transcript with a PASS / FAIL line for each device
+ *      followed by the outcome of each step.
+**/
+var formatTranscript = function (results) {
+    var lines = [];
+    results.forEach(function (result) {
+        var verdict = result.passed ? 'PASS' : 'FAIL';
+        if (result.aborted) {
+            verdict += ' (stopped early)';
+        }
+        lines.push(
+            'Device ' + String(result.serial) + ': ' + verdict + ', ' +
+            result.startTime.toISOString()
+        );
+        result.log.forEach(function (entry) {
+            var line = '  line ' + entry.line.toString() + ': ' + entry.text +
+                ' ... ' + entry.status;
+            if (entry.message !== '') {
+                line += ' (' + entry.message + ')';
+            }
+            lines.push(line);
+        });
+    });
+    return lines.join('\n');
+};
+exports.formatTranscript = formatTranscript;
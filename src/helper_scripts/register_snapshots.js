@@ -0,0 +1,357 @@
+/**
+ * Register snapshots for the register matrix module.
+ *
+ * A snapshot is the value of every readable configuration register of a
+ * device at one point in time. Snapshots can be saved to JSON files and two
+ * snapshots (of different devices or of the same device at different times)
+ * can be compared to see how a unit's configuration differs from a known-good
+ * one.
+**/
+
+var q = require('q');
+
+var register_watchlists = require('./register_watchlists');
+
+var SNAPSHOT_FILE_TYPE = 'kipling-register-snapshot';
+exports.SNAPSHOT_FILE_TYPE = SNAPSHOT_FILE_TYPE;
+
+var SNAPSHOT_FILE_VERSION = 1;
+exports.SNAPSHOT_FILE_VERSION = SNAPSHOT_FILE_VERSION;
+
+// Number of registers read by each readMany call.
+var READ_MANY_BATCH_SIZE = 64;
+exports.READ_MANY_BATCH_SIZE = READ_MANY_BATCH_SIZE;
+
+// Read-only registers that identify the device and are included in snapshots
+// even though they are not configuration.
+var IDENTITY_REGISTERS = [
+    'PRODUCT_ID',
+    'HARDWARE_VERSION',
+    'FIRMWARE_VERSION',
+    'BOOTLOADER_VERSION',
+    'WIFI_VERSION',
+    'HARDWARE_INSTALLED',
+    'SERIAL_NUMBER',
+    'ETHERNET_MAC',
+    'WIFI_MAC'
+];
+exports.IDENTITY_REGISTERS = IDENTITY_REGISTERS;
+
+// Registers with these tags are data buffers or transfer settings rather than
+// configuration.
+var EXCLUDED_TAGS = ['STREAM', 'SPI', 'I2C', 'INTFLASH'];
+exports.EXCLUDED_TAGS = EXCLUDED_TAGS;
+
+// Live I/O values, test registers and flash pointers.
+var EXCLUDED_NAME_PATTERNS = [
+    /^(DAC|FIO|EIO|CIO|MIO)\d+$/,
+    /^(FIO|EIO|CIO|MIO|DIO)_STATE$/,
+    /^TEST_/,
+    /_pREAD$/
+];
+exports.EXCLUDED_NAME_PATTERNS = EXCLUDED_NAME_PATTERNS;
+
+
+/**
+ * Select the registers to include in a snapshot of a device.
+ *
+ * @param {Array} registers Register information Objects (with name,
+ *      readwrite, devices and optionally tags attributes) with LJMMM names
+ *      already expanded.
+ * @param {String} deviceType The device type, like 'T7'.
+ * @param {Number} firmwareVersion The firmware version of the device.
+ * @return {Array} The register information Objects of the readable
+ *      configuration and identity registers available on the device.
+**/
+var selectSnapshotRegisters = function (registers, deviceType, firmwareVersion) {
+    return registers.filter(function (register) {
+        if (register.readwrite.indexOf('R') < 0) {
+            return false;
+        }
+        var fwmin = register_watchlists.getRegisterFwmin(register, deviceType);
+        if (fwmin === null || firmwareVersion < fwmin) {
+            return false;
+        }
+        if (IDENTITY_REGISTERS.indexOf(register.name) >= 0) {
+            return true;
+        }
+        if (register.readwrite.indexOf('W') < 0) {
+            return false;
+        }
+        var tags = register.tags || [];
+        var hasExcludedTag = tags.some(function (tag) {
+            return EXCLUDED_TAGS.indexOf(tag) >= 0;
+        });
+        if (hasExcludedTag) {
+            return false;
+        }
+        return !EXCLUDED_NAME_PATTERNS.some(function (pattern) {
+            return pattern.test(register.name);
+        });
+    });
+};
+exports.selectSnapshotRegisters = selectSnapshotRegisters;
+
+
+var describeError = function (err) {
+    if (typeof(err) === 'number') {
+        return 'LJM error ' + err.toString();
+    }
+    return String(err);
+};
+
+
+/**
+ * Read the given registers from a device and record their values.
+ *
+ * Numeric registers are read in batches. If a batch fails its registers are
+ * read one at a time so that one unreadable register does not keep the rest
+ * out of the snapshot.
+ *
+ * @param {Device} device The device_controller Device to read.
+ * @param {Array} registers The register information Objects from
+ *      selectSnapshotRegisters.
+ * @return {q.promise} Promise that resolves to the snapshot, an Object with
+ *      serial, deviceType, firmwareVersion, deviceName, time (ISO 8601),
+ *      values (indexed by register name) and errors (descriptions of the
+ *      registers that could not be read indexed by register name) attributes.
+**/
+var takeSnapshot = function (device, registers) {
+    var deviceName = '';
+    try {
+        deviceName = device.getName();
+    } catch (err) {
+        deviceName = '';
+    }
+    var snapshot = {
+        'serial': device.getSerial(),
+        'deviceType': device.getDeviceType(),
+        'firmwareVersion': device.getFirmwareVersion(),
+        'deviceName': deviceName,
+        'time': new Date().toISOString(),
+        'values': {},
+        'errors': {}
+    };
+
+    var readSingle = function (name) {
+        var deferred = q.defer();
+        device.readAsync(
+            name,
+            function (err) {
+                snapshot.errors[name] = describeError(err);
+                deferred.resolve();
+            },
+            function (value) {
+                snapshot.values[name] = value;
+                deferred.resolve();
+            }
+        );
+        return deferred.promise;
+    };
+    var readEachSingle = function (names) {
+        return names.reduce(function (promise, name) {
+            return promise.then(function () {
+                return readSingle(name);
+            });
+        }, q.resolve());
+    };
+    var readBatch = function (names) {
+        return device.dreadMany(names)
+        .then(function (values) {
+            names.forEach(function (name, i) {
+                snapshot.values[name] = values[i];
+            });
+        }, function () {
+            return readEachSingle(names);
+        });
+    };
+
+    var numberNames = [];
+    var stringNames = [];
+    registers.forEach(function (register) {
+        if (register.type === 'STRING') {
+            stringNames.push(register.name);
+        } else {
+            numberNames.push(register.name);
+        }
+    });
+    var batches = [];
+    for (var i = 0; i < numberNames.length; i += READ_MANY_BATCH_SIZE) {
+        batches.push(numberNames.slice(i, i + READ_MANY_BATCH_SIZE));
+    }
+
+    return batches.reduce(function (promise, batch) {
+        return promise.then(function () {
+            return readBatch(batch);
+        });
+    }, q.resolve())
+    .then(function () {
+        return readEachSingle(stringNames);
+    })
+    .then(function () {
+        return snapshot;
+    });
+};
+exports.takeSnapshot = takeSnapshot;
+
+
+/**
+ * Describe a snapshot in a single line, like "T7 470010001 (Bench), firmware
+ * 1.0150, 2014-11-04T02:35:36.123Z".
+**/
+var describeSnapshot = function (snapshot) {
+    var description = snapshot.deviceType + ' ' + String(snapshot.serial);
+    if (snapshot.deviceName) {
+        description += ' (' + snapshot.deviceName + ')';
+    }
+    description += ', firmware ' + Number(snapshot.firmwareVersion).toFixed(4);
+    return description + ', ' + snapshot.time;
+};
+exports.describeSnapshot = describeSnapshot;
+
+
+/**
+ * Compare two snapshots.
+ *
+ * @param {Object} snapshotA The first snapshot, like a known-good unit.
+ * @param {Object} snapshotB The second snapshot.
+ * @param {Object} registerInfoByName Register information Objects indexed by
+ *      name, used for the addresses and descriptions of the registers.
+ * @param {Number} tolerance Optional, the largest difference between two
+ *      numbers that are considered equal. Defaults to 0.
+ * @return {Object} Object with numCompared (the number of registers in
+ *      either snapshot) and differences attributes. differences is an Array,
+ *      in address order, of Objects with name, address, description, valueA,
+ *      valueB and status attributes. Status is 'changed', 'onlyA' or 'onlyB'.
+ *      Values that could not be read are given as their error descriptions.
+**/
+var diffSnapshots = function (snapshotA, snapshotB, registerInfoByName,
+    tolerance) {
+    if (tolerance === undefined) {
+        tolerance = 0;
+    }
+    var getValue = function (snapshot, name) {
+        if (snapshot.values[name] !== undefined) {
+            return {'isRead': true, 'value': snapshot.values[name]};
+        }
+        if (snapshot.errors[name] !== undefined) {
+            return {'isRead': true, 'value': 'Error: ' + snapshot.errors[name]};
+        }
+        return {'isRead': false, 'value': null};
+    };
+    var isEqual = function (valueA, valueB) {
+        if (typeof(valueA) === 'number' && typeof(valueB) === 'number') {
+            return Math.abs(valueA - valueB) <= tolerance;
+        }
+        return valueA === valueB;
+    };
+
+    var names = [];
+    [snapshotA, snapshotB].forEach(function (snapshot) {
+        Object.keys(snapshot.values).concat(Object.keys(snapshot.errors))
+        .forEach(function (name) {
+            if (names.indexOf(name) < 0) {
+                names.push(name);
+            }
+        });
+    });
+
+    var differences = [];
+    names.forEach(function (name) {
+        var a = getValue(snapshotA, name);
+        var b = getValue(snapshotB, name);
+        var status;
+        if (!a.isRead) {
+            status = 'onlyB';
+        } else if (!b.isRead) {
+            status = 'onlyA';
+        } else if (!isEqual(a.value, b.value)) {
+            status = 'changed';
+        } else {
+            return;
+        }
+        var info = registerInfoByName[name] || {};
+        differences.push({
+            'name': name,
+            'address': info.address === undefined ? null : info.address,
+            'description': info.description || '',
+            'valueA': a.value,
+            'valueB': b.value,
+            'status': status
+        });
+    });
+    differences.sort(function (a, b) {
+        if (a.address === b.address) {
+            return a.name < b.name ? -1 : 1;
+        }
+        if (a.address === null) {
+            return 1;
+        }
+        if (b.address === null) {
+            return -1;
+        }
+        return a.address - b.address;
+    });
+
+    return {'numCompared': names.length, 'differences': differences};
+};
+exports.diffSnapshots = diffSnapshots;
+
+
+/**
+ * Convert a snapshot to the JSON saved to snapshot files.
+ *
+ * @param {Object} snapshot The snapshot from takeSnapshot.
+ * @return {String} The JSON text.
+**/
+var exportSnapshot = function (snapshot) {
+    var data = {
+        'type': SNAPSHOT_FILE_TYPE,
+        'version': SNAPSHOT_FILE_VERSION
+    };
+    for (var key in snapshot) {
+        data[key] = snapshot[key];
+    }
+    return JSON.stringify(data, null, 2);
+};
+exports.exportSnapshot = exportSnapshot;
+
+
+/**
+ * Read a snapshot saved by exportSnapshot.
+ *
+ * @param {String} contents The contents of the snapshot file.
+ * @return {Object} The snapshot.
+ * @throws {String} A description of the problem if the file is not a valid
+ *      snapshot.
+**/
+var importSnapshot = function (contents) {
+    var data;
+    try {
+        data = JSON.parse(contents);
+    } catch (err) {
+        throw 'The snapshot file is not valid JSON';
+    }
+    if (data === null || data.type !== SNAPSHOT_FILE_TYPE) {
+        throw 'The file is not a register snapshot';
+    }
+    if (data.version > SNAPSHOT_FILE_VERSION) {
+        throw 'The snapshot was saved by a newer version of Kipling';
+    }
+    var isObject = function (value) {
+        return typeof(value) === 'object' && value !== null;
+    };
+    if (!isObject(data.values) || !isObject(data.errors)) {
+        throw 'The snapshot file does not contain any register values';
+    }
+    return {
+        'serial': data.serial,
+        'deviceType': data.deviceType,
+        'firmwareVersion': data.firmwareVersion,
+        'deviceName': data.deviceName,
+        'time': data.time,
+        'values': data.values,
+        'errors': data.errors
+    };
+};
+exports.importSnapshot = importSnapshot;
@@ -0,0 +1,402 @@
+/**
+ * Named register watchlists for the register matrix module.
+ *
+ * Watchlists are stored per user in the module's global_data_manager data
+ * and can be exported to / imported from JSON files so that a list of
+ * registers only has to be put together once. Each watchlist entry keeps its
+ * own display format and refresh rate.
+**/
+
+var WATCHLIST_FILE_TYPE = 'kipling-register-watchlist';
+exports.WATCHLIST_FILE_TYPE = WATCHLIST_FILE_TYPE;
+
+var WATCHLIST_FILE_VERSION = 1;
+exports.WATCHLIST_FILE_VERSION = WATCHLIST_FILE_VERSION;
+
+var DISPLAY_FORMATS = ['decimal', 'scientific', 'hex', 'binary'];
+exports.DISPLAY_FORMATS = DISPLAY_FORMATS;
+
+var MAX_PRECISION = 10;
+exports.MAX_PRECISION = MAX_PRECISION;
+
+var REFRESH_RATES_MS = [100, 250, 500, 1000, 2000, 5000, 10000];
+exports.REFRESH_RATES_MS = REFRESH_RATES_MS;
+
+var DEFAULT_ENTRY_SETTINGS = {
+    'format': 'decimal',
+    'precision': 6,
+    'refreshRate': 1000
+};
+exports.DEFAULT_ENTRY_SETTINGS = DEFAULT_ENTRY_SETTINGS;
+
+
+/**
+ * Get the name of the user running Kipling.
+ *
+ * @return {String} The user's login name or 'default' if it isn't known.
+**/
+var getUserName = function () {
+    return process.env.USER || process.env.USERNAME || 'default';
+};
+exports.getUserName = getUserName;
+
+
+/**
+ * Create a watchlist entry for a register.
+ *
+ * @param {String} name The name of the register.
+ * @param {Object} settings Optional format, precision and refreshRate values
+ *      to use instead of the defaults in DEFAULT_ENTRY_SETTINGS.
+ * @return {Object} The new entry.
+**/
+var createEntry = function (name, settings) {
+    var entry = {'name': name};
+    var key;
+    for (key in DEFAULT_ENTRY_SETTINGS) {
+        entry[key] = DEFAULT_ENTRY_SETTINGS[key];
+    }
+    if (settings) {
+        for (key in DEFAULT_ENTRY_SETTINGS) {
+            if (settings[key] !== undefined) {
+                entry[key] = settings[key];
+            }
+        }
+    }
+    return entry;
+};
+exports.createEntry = createEntry;
+
+
+/**
+ * Check a watchlist entry.
+ *
+ * @param {Object} entry The entry to check.
+ * @return {String} A description of the problem or null if the entry is
+ *      valid.
+**/
+var validateEntry = function (entry) {
+    if (typeof(entry) !== 'object' || entry === null) {
+        return 'Watchlist entries must be objects';
+    }
+    if (typeof(entry.name) !== 'string' || entry.name === '') {
+        return 'Watchlist entries must have a register name';
+    }
+    if (DISPLAY_FORMATS.indexOf(entry.format) < 0) {
+        return 'Unknown display format for ' + entry.name + ': ' +
+            String(entry.format);
+    }
+    var precision = entry.precision;
+    if (typeof(precision) !== 'number' || Math.floor(precision) !== precision ||
+        precision < 0 || precision > MAX_PRECISION) {
+        return 'The precision of ' + entry.name + ' must be an integer from ' +
+            '0 to ' + MAX_PRECISION.toString();
+    }
+    if (REFRESH_RATES_MS.indexOf(entry.refreshRate) < 0) {
+        return 'Unsupported refresh rate for ' + entry.name + ': ' +
+            String(entry.refreshRate);
+    }
+    return null;
+};
+exports.validateEntry = validateEntry;
+
+
+/**
+ * Check a watchlist.
+ *
+ * @param {Object} watchlist Object with name and entries attributes.
+ * @return {String} A description of the first problem found or null if the
+ *      watchlist is valid.
+**/
+var validateWatchlist = function (watchlist) {
+    if (typeof(watchlist) !== 'object' || watchlist === null) {
+        return 'The watchlist must be an object';
+    }
+    if (typeof(watchlist.name) !== 'string' || watchlist.name.trim() === '') {
+        return 'The watchlist must have a name';
+    }
+    if (!Array.isArray(watchlist.entries)) {
+        return 'The watchlist must have a list of entries';
+    }
+    var names = [];
+    for (var i = 0; i < watchlist.entries.length; i++) {
+        var entryError = validateEntry(watchlist.entries[i]);
+        if (entryError !== null) {
+            return entryError;
+        }
+        if (names.indexOf(watchlist.entries[i].name) >= 0) {
+            return watchlist.entries[i].name + ' is in the watchlist twice';
+        }
+        names.push(watchlist.entries[i].name);
+    }
+    return null;
+};
+exports.validateWatchlist = validateWatchlist;
+
+
+/**
+ * Format a value read from a register for display.
+ *
+ * Strings are shown as they are. Hex and binary show the integer part of the
+ * value (as an unsigned 32 bit number for negative values).
+ *
+ * @param {Number} value The value to format.
+ * @param {Object} entry The watchlist entry of the register.
+ * @return {String} The formatted value.
+**/
+var formatValue = function (value, entry) {
+    if (typeof(value) === 'string') {
+        return value;
+    }
+    var toUnsigned = function (num) {
+        return Math.floor(num) >>> 0;
+    };
+    if (entry.format === 'scientific') {
+        return value.toExponential(entry.precision);
+    } else if (entry.format === 'hex') {
+        return '0x' + toUnsigned(value).toString(16).toUpperCase();
+    } else if (entry.format === 'binary') {
+        return '0b' + toUnsigned(value).toString(2);
+    } else {
+        return value.toFixed(entry.precision);
+    }
+};
+exports.formatValue = formatValue;
+
+
+/**
+ * Get the data of a user from the module's saved data, adding it if needed.
+ *
+ * @param {Object} moduleData The register matrix module's global_data_manager
+ *      data.
+ * @param {String} userName The name of the user.
+ * @return {Object} The user's data with watchlists (indexed by name),
+ *      activeWatchlist (name of the last saved or loaded watchlist) and
+ *      currentEntries (the entries being watched) attributes.
+**/
+var getUserData = function (moduleData, userName) {
+    if (moduleData.users === undefined) {
+        moduleData.users = {};
+    }
+    if (moduleData.users[userName] === undefined) {
+        moduleData.users[userName] = {
+            'watchlists': {},
+            'activeWatchlist': null,
+            'currentEntries': []
+        };
+    }
+    return moduleData.users[userName];
+};
+exports.getUserData = getUserData;
+
+
+/**
+ * Get the names of the watchlists a user has saved.
+ *
+ * @param {Object} userData The user's data from getUserData.
+ * @return {Array} The names of the watchlists in alphabetical order.
+**/
+var getWatchlistNames = function (userData) {
+    return Object.keys(userData.watchlists).sort();
+};
+exports.getWatchlistNames = getWatchlistNames;
+
+
+/**
+ * Save a watchlist for a user, replacing any watchlist with the same name.
+ *
+ * @param {Object} userData The user's data from getUserData.
+ * @param {Object} watchlist The watchlist to save.
+ * @throws {String} A description of the problem if the watchlist is invalid.
+**/
+var saveWatchlist = function (userData, watchlist) {
+    var watchlistError = validateWatchlist(watchlist);
+    if (watchlistError !== null) {
+        throw watchlistError;
+    }
+    userData.watchlists[watchlist.name] = {
+        'name': watchlist.name,
+        'entries': watchlist.entries.map(function (entry) {
+            return createEntry(entry.name, entry);
+        })
+    };
+    userData.activeWatchlist = watchlist.name;
+};
+exports.saveWatchlist = saveWatchlist;
+
+
+/**
+ * Delete one of a user's watchlists.
+ *
+ * @param {Object} userData The user's data from getUserData.
+ * @param {String} name The name of the watchlist to delete.
+ * @return {Boolean} True if the watchlist existed.
+**/
+var deleteWatchlist = function (userData, name) {
+    if (userData.watchlists[name] === undefined) {
+        return false;
+    }
+    delete userData.watchlists[name];
+    if (userData.activeWatchlist === name) {
+        userData.activeWatchlist = null;
+    }
+    return true;
+};
+exports.deleteWatchlist = deleteWatchlist;
+
+
+/**
+ * Convert a watchlist to the JSON saved by the export button.
+ *
+ * @param {Object} watchlist The watchlist to export.
+ * @return {String} The JSON text.
+**/
+var exportWatchlist = function (watchlist) {
+    return JSON.stringify({
+        'type': WATCHLIST_FILE_TYPE,
+        'version': WATCHLIST_FILE_VERSION,
+        'name': watchlist.name,
+        'entries': watchlist.entries.map(function (entry) {
+            return createEntry(entry.name, entry);
+        })
+    }, null, 2);
+};
+exports.exportWatchlist = exportWatchlist;
+
+
+/**
+ * Read a watchlist exported by exportWatchlist.
+ *
+ * Settings missing from an entry are filled in with the defaults.
+ *
+ * @param {String} contents The contents of the exported file.
+ * @return {Object} The watchlist.
+ * @throws {String} A description of the problem if the file is not a valid
+ *      watchlist.
+**/
+var importWatchlist = function (contents) {
+    var data;
+    try {
+        data = JSON.parse(contents);
+    } catch (err) {
+        throw 'The watchlist file is not valid JSON';
+    }
+    if (data === null || data.type !== WATCHLIST_FILE_TYPE) {
+        throw 'The file is not a register watchlist';
+    }
+    if (data.version > WATCHLIST_FILE_VERSION) {
+        throw 'The watchlist was saved by a newer version of Kipling';
+    }
+    if (!Array.isArray(data.entries)) {
+        throw 'The watchlist must have a list of entries';
+    }
+    var watchlist = {
+        'name': data.name,
+        'entries': data.entries.map(function (entry) {
+            return createEntry(entry.name, entry);
+        })
+    };
+    var watchlistError = validateWatchlist(watchlist);
+    if (watchlistError !== null) {
+        throw watchlistError;
+    }
+    return watchlist;
+};
+exports.importWatchlist = importWatchlist;
+
+
+/**
+ * Get the first firmware version a register is available in on a device type.
+ *
+ * @param {Object} registerInfo The register's entry from the LJM constants
+ *      file (with the devices attribute).
+ * @param {String} deviceType The device type, like 'T7'.
+ * @return {Number} The minimum firmware version (0 if the constants file
+ *      doesn't give one) or null if the device type doesn't have the
+ *      register.
+**/
+var getRegisterFwmin = function (registerInfo, deviceType) {
+    var devices = registerInfo.devices;
+    if (typeof(devices) === 'string') {
+        devices = [devices];
+    }
+    if (!Array.isArray(devices)) {
+        return null;
+    }
+    for (var i = 0; i < devices.length; i++) {
+        var device = devices[i];
+        if (device === deviceType) {
+            return 0;
+        }
+        if (device.device === deviceType) {
+            return device.fwmin === undefined ? 0 : device.fwmin;
+        }
+    }
+    return null;
+};
+exports.getRegisterFwmin = getRegisterFwmin;
+
+
+/**
+ * Split a watchlist's entries by whether or not a device can read them.
+ *
+ * @param {Object} watchlist The watchlist to load onto the device.
+ * @param {Object} registerInfoByName Register information from the LJM
+ *      constants file indexed by register name.
+ * @param {String} deviceType The type of the device, like 'T7'.
+ * @param {Number} firmwareVersion The device's firmware version.
+ * @return {Object} Object with supported (Array of entries) and unsupported
+ *      (Array of {name, reason} objects) attributes.
+**/
+var checkDeviceSupport = function (watchlist, registerInfoByName, deviceType,
+    firmwareVersion) {
+    var supported = [];
+    var unsupported = [];
+    watchlist.entries.forEach(function (entry) {
+        var registerInfo = registerInfoByName[entry.name];
+        if (registerInfo === undefined) {
+            unsupported.push({
+                'name': entry.name,
+                'reason': 'unknown register'
+            });
+            return;
+        }
+        var fwmin = getRegisterFwmin(registerInfo, deviceType);
+        if (fwmin === null) {
+            unsupported.push({
+                'name': entry.name,
+                'reason': 'not available on the ' + deviceType
+            });
+        } else if (firmwareVersion < fwmin) {
+            unsupported.push({
+                'name': entry.name,
+                'reason': 'requires firmware ' + fwmin.toFixed(4) +
+                    ' or newer'
+            });
+        } else {
+            supported.push(entry);
+        }
+    });
+    return {'supported': supported, 'unsupported': unsupported};
+};
+exports.checkDeviceSupport = checkDeviceSupport;
+
+
+/**
+ * Get the entries that are due to be read again.
+ *
+ * @param {Array} entries The watchlist entries.
+ * @param {Object} lastReadTimes The time (in ms) each register was last read
+ *      indexed by register name. Registers that haven't been read are due.
+ * @param {Number} now The current time in ms.
+ * @return {Array} The entries whose refresh period has passed.
+**/
+var getDueEntries = function (entries, lastReadTimes, now) {
+    return entries.filter(function (entry) {
+        var lastReadTime = lastReadTimes[entry.name];
+        if (lastReadTime === undefined) {
+            return true;
+        }
+        return now - lastReadTime >= entry.refreshRate;
+    });
+};
+exports.getDueEntries = getDueEntries;
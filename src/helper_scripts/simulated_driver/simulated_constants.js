@@ -0,0 +1,174 @@
+/**
+ * Register information used by the simulated LJM driver.
+ *
+ * Loads an ljm_constants.json file (the one installed with LJM if present,
+ * otherwise the copy shipped with the register_matrix module) and builds the
+ * name and address lookups that the simulated driver and devices need.
+**/
+
+var fs = require('fs');
+var path = require('path');
+var dict = require('dict');
+var ljmmm = require('./../../ljmmm');
+
+var CONSTANTS_FILE_LOCATIONS = [
+    '/usr/local/share/LabJack/LJM/ljm_constants.json',
+    'C:\\ProgramData\\LabJack\\LJM\\ljm_constants.json',
+    path.join(
+        __dirname,
+        '..', '..', '..',
+        'switchboard_modules', 'register_matrix', 'ljm_constants.json'
+    )
+];
+
+var LJM_TYPES = {
+    'UINT16': {'type': 0, 'size': 2},
+    'UINT32': {'type': 1, 'size': 4},
+    'INT32': {'type': 2, 'size': 4},
+    'FLOAT32': {'type': 3, 'size': 4},
+    'UINT64': {'type': 4, 'size': 8},
+    'STRING': {'type': 98, 'size': 50},
+    'BYTE': {'type': 99, 'size': 1}
+};
+exports.LJM_TYPES = LJM_TYPES;
+
+/**
+ * Find the first ljm_constants.json file that exists on this computer.
+ *
+ * @return {String} Path to the constants file or null if none were found.
+**/
+var findConstantsFile = function () {
+    var foundPath = null;
+    CONSTANTS_FILE_LOCATIONS.some(function (location) {
+        if (fs.existsSync(location)) {
+            foundPath = location;
+            return true;
+        }
+        return false;
+    });
+    return foundPath;
+};
+
+
+/**
+ * Object holding the expanded register map of an ljm_constants.json file.
+ *
+ * Exposes the same "origConstants" and "getAddressInfo" members that the
+ * labjack-nodejs driver provides so that code in device_controller can not
+ * tell the difference.
+ *
+ * @param {Object} origConstants The parsed contents of ljm_constants.json.
+**/
+function SimulatedConstants (origConstants)
+{
+    this.origConstants = origConstants;
+    this.constantsByName = dict();
+    this.constantsByAddress = dict();
+    this.errorsByNumber = dict();
+
+    /**
+     * Get information about a register by name or address.
+     *
+     * @param {String/Number} address The name or address of the register.
+     * @param {String} direction 'R' or 'W', the direction of the access.
+     * @return {Object} Register information with address, type, typeString,
+     *      size and data (the original entry) attributes. The type attribute
+     *      is -1 if the register is unknown and directionValid is false if the
+     *      register can not be accessed in the requested direction.
+    **/
+    this.getAddressInfo = function (address, direction) {
+        var entry;
+        if (isNaN(address)) {
+            entry = self.constantsByName.get(address);
+        } else {
+            entry = self.constantsByAddress.get(String(Number(address)));
+        }
+        if (entry === undefined) {
+            return {
+                'address': isNaN(address) ? -1 : Number(address),
+                'type': -1,
+                'typeString': 'NA',
+                'size': 0,
+                'directionValid': false,
+                'data': {'name': String(address)}
+            };
+        }
+        var typeInfo = LJM_TYPES[entry.type];
+        var directionValid = true;
+        if (direction) {
+            directionValid = entry.readwrite.indexOf(direction) >= 0;
+        }
+        return {
+            'address': entry.address,
+            'type': typeInfo.type,
+            'typeString': entry.type,
+            'size': typeInfo.size,
+            'directionValid': directionValid,
+            'data': entry
+        };
+    };
+
+    /**
+     * Get the name of an LJM error code.
+     *
+     * @param {Number} errorNumber The error code to look up.
+     * @return {String} The name of the error or "Unknown error" if the
+     *      constants file does not define it.
+    **/
+    this.errToStr = function (errorNumber) {
+        return self.errorsByNumber.get(
+            String(Number(errorNumber)),
+            'Unknown error'
+        );
+    };
+
+    var self = this;
+
+    var addEntry = function (entry) {
+        ljmmm.expandLJMMMEntrySync(entry).forEach(function (expandedEntry) {
+            self.constantsByName.set(expandedEntry.name, expandedEntry);
+            if (!self.constantsByAddress.has(String(expandedEntry.address))) {
+                self.constantsByAddress.set(
+                    String(expandedEntry.address),
+                    expandedEntry
+                );
+            }
+        });
+    };
+    origConstants.registers.forEach(addEntry);
+    if (origConstants.registers_beta) {
+        origConstants.registers_beta.forEach(addEntry);
+    }
+    if (origConstants.errors) {
+        origConstants.errors.forEach(function (error) {
+            self.errorsByNumber.set(String(error.error), error.string);
+        });
+    }
+}
+exports.SimulatedConstants = SimulatedConstants;
+
+
+var cachedConstants = null;
+
+/**
+ * Load (once) and return the constants used by the simulated driver.
+ *
+ * @param {String} fileLocation Optional path of the ljm_constants.json file to
+ *      use. Defaults to the first file found in CONSTANTS_FILE_LOCATIONS.
+ * @return {SimulatedConstants} The loaded constants.
+ * @throws {Error} If no constants file could be found or parsed.
+**/
+exports.getConstants = function (fileLocation) {
+    if (cachedConstants !== null && fileLocation === undefined) {
+        return cachedConstants;
+    }
+    var location = fileLocation || findConstantsFile();
+    if (location === null) {
+        throw new Error(
+            'Simulated driver could not find an ljm_constants.json file'
+        );
+    }
+    var origConstants = JSON.parse(fs.readFileSync(location, 'utf8'));
+    cachedConstants = new SimulatedConstants(origConstants);
+    return cachedConstants;
+};
@@ -0,0 +1,878 @@
+/**
+ * Simulated stand-in for the labjack-nodejs library.
+ *
+ * Provides driver(), device() and driver_const with the same interface that
+ * device_controller uses from labjack-nodejs, backed by virtual T7, T7-Pro and
+ * Digit devices instead of LJM. Lets Kipling and its modules run on computers
+ * that have no LabJack hardware (or LJM) attached. Select it through
+ * helper_scripts/driver_backend.js.
+**/
+
+var dict = require('dict');
+var simulated_constants = require('./simulated_constants');
+var simulated_register_store = require('./simulated_register_store');
+var device_flash_operations = require('./../device_functions/device_flash_and_cal_operations');
+
+var LJM_DT_ANY = 0;
+var LJM_DT_T7 = 7;
+var LJM_DT_DIGIT = 200;
+var LJM_CT_ANY = 0;
+var LJM_CT_USB = 1;
+var LJM_CT_TCP = 2;
+var LJM_CT_ETHERNET = 3;
+var LJM_CT_WIFI = 4;
+var LJME_DEVICE_NOT_OPEN = 1224;
+var LJME_DEVICE_NOT_FOUND = 1227;
+var LJME_INVALID_PARAMETER = 1255;
+var LJME_STREAM_NOT_RUNNING = 1303;
+var STREAM_SCAN_RATE_INVALID = 2608;
+
+// Value LJM puts in place of the samples of scans the device had to skip.
+var STREAM_DUMMY_VALUE = -9999;
+// Max total sample rate and buffer size (in samples) of a simulated T7 stream.
+var MAX_STREAM_SAMPLE_RATE = 100000;
+var STREAM_DEVICE_BUFFER_SAMPLES = 16384;
+
+var SIMULATED_LJM_VERSION = 1.0703;
+
+/**
+ * Subset of the labjack-nodejs driver constants used by Kipling.
+**/
+var driver_const = {
+    'LJM_DT_ANY': LJM_DT_ANY,
+    'LJM_DT_T7': LJM_DT_T7,
+    'LJM_DT_DIGIT': LJM_DT_DIGIT,
+    'LJM_CT_ANY': LJM_CT_ANY,
+    'LJM_CT_USB': LJM_CT_USB,
+    'LJM_CT_TCP': LJM_CT_TCP,
+    'LJM_CT_ETHERNET': LJM_CT_ETHERNET,
+    'LJM_CT_WIFI': LJM_CT_WIFI,
+    'LJM_READ': 0,
+    'LJM_WRITE': 1,
+    'LJM_UINT16': 0,
+    'LJM_UINT32': 1,
+    'LJM_INT32': 2,
+    'LJM_FLOAT32': 3,
+    'LJM_STRING': 98,
+    'LJM_BYTE': 99,
+    'LJM_BYTES_PER_REGISTER': 2,
+    'deviceTypes': {
+        'LJM_dtANY': LJM_DT_ANY,
+        'LJM_dtT7': LJM_DT_T7,
+        'LJM_dtDIGIT': LJM_DT_DIGIT,
+        'ANY': LJM_DT_ANY,
+        'T7': LJM_DT_T7,
+        'DIGIT': LJM_DT_DIGIT
+    },
+    'connectionTypes': {
+        'LJM_ctANY': LJM_CT_ANY,
+        'LJM_ctUSB': LJM_CT_USB,
+        'LJM_ctTCP': LJM_CT_TCP,
+        'LJM_ctETHERNET': LJM_CT_ETHERNET,
+        'LJM_ctWIFI': LJM_CT_WIFI,
+        'ANY': LJM_CT_ANY,
+        'USB': LJM_CT_USB,
+        'TCP': LJM_CT_TCP,
+        'ETHERNET': LJM_CT_ETHERNET,
+        'WIFI': LJM_CT_WIFI
+    },
+    'T7_MA_EXF_KEY': 61800,
+    'T7_MA_EXF_pREAD': 61810,
+    'T7_MA_EXF_READ': 61812,
+    'T7_MA_EXF_ERASE': 61820,
+    'T7_MA_EXF_pWRITE': 61830,
+    'T7_MA_EXF_WRITE': 61832,
+    'T7_FLASH_PAGE_SIZE': 4096,
+    'T7_FLASH_BLOCK_WRITE_SIZE': 8,
+    'T7_EFAdd_CalValues': 0x3C4000,
+    'T7_EFAdd_ExtFirmwareImage': 0x200000,
+    'T7_EFAdd_ExtFirmwareImgInfo': 0x380000,
+    'T7_EFAdd_UserAndWebSpace': 0x000000,
+    'T7_EFAdd_StartupSettings': 0x3C0000,
+    'T7_EFAdd_DeviceConfig': 0x3C1000,
+    'T7_EFAdd_CommSettings': 0x3C2000,
+    'T7_EFAdd_DeviceInfo': 0x3C3000
+};
+exports.driver_const = driver_const;
+
+var getNominalCalValues = function () {
+    return device_flash_operations.T7_NominalCalValues.map(function (cal) {
+        return cal.nominal;
+    });
+};
+
+/**
+ * The virtual devices that are "connected" by default. Mirrors the set of
+ * devices that test_device_controller.js lists.
+**/
+var DEFAULT_SIMULATED_DEVICES = [
+    {
+        'deviceType': LJM_DT_T7,
+        'subclass': 'Pro',
+        'serialNumber': 470010001,
+        'name': 'SIM-T7-PRO',
+        'connectionTypes': [LJM_CT_USB, LJM_CT_ETHERNET, LJM_CT_WIFI],
+        'ethernetIP': '192.168.1.201',
+        'wifiIP': '192.168.1.202',
+        'wifiRSSI': -45
+    },
+    {
+        'deviceType': LJM_DT_T7,
+        'subclass': '',
+        'serialNumber': 470010002,
+        'name': 'SIM-T7',
+        'connectionTypes': [LJM_CT_USB, LJM_CT_ETHERNET],
+        'ethernetIP': '192.168.1.203'
+    },
+    {
+        'deviceType': LJM_DT_T7,
+        'subclass': '',
+        'serialNumber': 470010003,
+        'name': 'SIM-T7-ETH',
+        'connectionTypes': [LJM_CT_ETHERNET],
+        'ethernetIP': '192.168.1.204'
+    },
+    {
+        'deviceType': LJM_DT_DIGIT,
+        'subclass': 'TLH',
+        'serialNumber': 200010001,
+        'name': 'SIM-DIGIT-TLH',
+        'connectionTypes': [LJM_CT_USB],
+        'installedOptions': 3
+    }
+];
+exports.DEFAULT_SIMULATED_DEVICES = DEFAULT_SIMULATED_DEVICES;
+
+var DEVICE_INFO_DEFAULTS = {
+    'subclass': '',
+    'ethernetIP': null,
+    'wifiIP': null,
+    'wifiRSSI': -200,
+    'installedOptions': 0,
+    'hardwareVersion': 1.3,
+    'firmwareVersion': 1.0146,
+    'bootloaderVersion': 0.94,
+    'wifiFirmwareVersion': 3.12
+};
+
+// Virtual devices currently "connected", keyed by serial number.
+var simulatedDevices = null;
+// Name of the constants file to use, null for the default search order.
+var constantsFileLocation;
+
+
+/**
+ * Error thrown by the synchronous driver and device functions.
+ *
+ * @param {Number} code The LJM error code.
+ * @param {String} description Description of the failed operation.
+**/
+function DriverOperationError (code, description)
+{
+    this.code = code;
+    this.description = description;
+    this.message = description + ': ' + code;
+}
+exports.DriverOperationError = DriverOperationError;
+
+
+var getConstants = function () {
+    return simulated_constants.getConstants(constantsFileLocation);
+};
+
+var createSimulatedDevice = function (deviceInfo) {
+    var info = {};
+    var key;
+    for (key in DEVICE_INFO_DEFAULTS) {
+        info[key] = DEVICE_INFO_DEFAULTS[key];
+    }
+    for (key in deviceInfo) {
+        info[key] = deviceInfo[key];
+    }
+    if (info.deviceType === LJM_DT_T7 && info.calibrationValues === undefined) {
+        info.calibrationValues = getNominalCalValues();
+    }
+    return {
+        'info': info,
+        'store': new simulated_register_store.SimulatedRegisterStore(
+            info,
+            getConstants()
+        )
+    };
+};
+
+var getSimulatedDeviceDict = function () {
+    if (simulatedDevices === null) {
+        exports.setSimulatedDevices(DEFAULT_SIMULATED_DEVICES);
+    }
+    return simulatedDevices;
+};
+
+/**
+ * Replace the set of virtual devices that the simulated driver can find.
+ *
+ * @param {Array} deviceInfoList Array of device descriptions. Each needs at
+ *      least deviceType, serialNumber, name and connectionTypes attributes;
+ *      see DEFAULT_SIMULATED_DEVICES and DEVICE_INFO_DEFAULTS for the rest.
+**/
+exports.setSimulatedDevices = function (deviceInfoList) {
+    simulatedDevices = dict();
+    deviceInfoList.forEach(function (deviceInfo) {
+        simulatedDevices.set(
+            String(deviceInfo.serialNumber),
+            createSimulatedDevice(deviceInfo)
+        );
+    });
+};
+
+/**
+ * Get the register store of a virtual device, useful for inspecting or
+ * manipulating a device's state from tests.
+ *
+ * @param {Number/String} serialNumber The serial number of the device.
+ * @return {SimulatedRegisterStore} The store or undefined if there is no such
+ *      virtual device.
+**/
+exports.getSimulatedDeviceStore = function (serialNumber) {
+    var simDevice = getSimulatedDeviceDict().get(String(serialNumber));
+    if (simDevice === undefined) {
+        return undefined;
+    }
+    return simDevice.store;
+};
+
+/**
+ * Use a specific ljm_constants.json file for the register map.
+ *
+ * @param {String} fileLocation Path to the constants file.
+**/
+exports.setConstantsFile = function (fileLocation) {
+    constantsFileLocation = fileLocation;
+    simulatedDevices = null;
+};
+
+
+var parseType = function (value, typeMap) {
+    if (isNaN(value)) {
+        var parsed = typeMap[value];
+        return parsed === undefined ? null : parsed;
+    }
+    return Number(value);
+};
+
+var connectionMatches = function (requested, actual) {
+    if (requested === LJM_CT_ANY) {
+        return true;
+    }
+    if (requested === LJM_CT_TCP) {
+        return actual === LJM_CT_ETHERNET || actual === LJM_CT_WIFI;
+    }
+    return requested === actual;
+};
+
+var getConnectionIP = function (info, connectionType) {
+    if (connectionType === LJM_CT_ETHERNET) {
+        return info.ethernetIP;
+    } else if (connectionType === LJM_CT_WIFI) {
+        return info.wifiIP;
+    }
+    return '0.0.0.0';
+};
+
+/**
+ * Find every (device, connection) pair matching a device and connection type.
+**/
+var findConnections = function (deviceType, connectionType) {
+    var found = [];
+    getSimulatedDeviceDict().forEach(function (simDevice) {
+        var info = simDevice.info;
+        if (deviceType !== LJM_DT_ANY && deviceType !== info.deviceType) {
+            return;
+        }
+        info.connectionTypes.forEach(function (simConnectionType) {
+            if (connectionMatches(connectionType, simConnectionType)) {
+                found.push({
+                    'simDevice': simDevice,
+                    'deviceType': info.deviceType,
+                    'connectionType': simConnectionType,
+                    'serialNumber': info.serialNumber,
+                    'ipAddress': getConnectionIP(info, simConnectionType)
+                });
+            }
+        });
+    });
+    return found;
+};
+
+var identifierMatches = function (identifier, connection) {
+    var info = connection.simDevice.info;
+    if (identifier === undefined || identifier === null) {
+        return true;
+    }
+    identifier = String(identifier);
+    if (identifier === 'LJM_idANY' || identifier === 'ANY' || identifier === '') {
+        return true;
+    }
+    return identifier === String(info.serialNumber) ||
+        identifier === connection.ipAddress ||
+        identifier === info.name;
+};
+
+/**
+ * Call a callback asynchronously like the labjack-nodejs async functions do.
+**/
+var defer = function (callback, arg) {
+    setImmediate(function () { callback(arg); });
+};
+
+
+/**
+ * Simulated version of the labjack-nodejs driver object.
+**/
+function driver ()
+{
+    var libraryConfig = dict({
+        'LJM_LIBRARY_VERSION': SIMULATED_LJM_VERSION,
+        'LJM_SEND_RECEIVE_TIMEOUT_MS': 20000,
+        'LJM_OPEN_TCP_DEVICE_TIMEOUT_MS': 20000,
+        'LJM_OLD_FIRMWARE_CHECK': 1,
+        'LJM_DEBUG_LOG_MODE': 1,
+        'LJM_DEBUG_LOG_LEVEL': 10,
+        'LJM_DEBUG_LOG_FILE': 'simulated_ljm_log.txt'
+    });
+
+    this.constants = getConstants();
+    this.isSimulated = true;
+
+    /**
+     * List the virtual devices matching a device type and connection type,
+     * reading the requested registers from each one.
+     *
+     * @param {String/Number} deviceType e.g. 'LJM_dtT7' or 7.
+     * @param {String/Number} connectionType e.g. 'LJM_ctANY' or 0.
+     * @param {Array} registers Names or addresses of registers to read.
+     * @param {function} onError Called with an LJM error code.
+     * @param {function} onSuccess Called with an array of objects with
+     *      deviceType, connectionType, serialNumber, ipAddress and data
+     *      (array of {register, name, address, val}) attributes.
+    **/
+    this.listAllExtended = function (deviceType, connectionType, registers,
+        onError, onSuccess) {
+        var devT = parseType(deviceType, driver_const.deviceTypes);
+        var conT = parseType(connectionType, driver_const.connectionTypes);
+        if (devT === null || conT === null) {
+            return defer(onError, LJME_INVALID_PARAMETER);
+        }
+
+        var listing;
+        try {
+            listing = findConnections(devT, conT).map(function (connection) {
+                var data = registers.map(function (reg) {
+                    var info = self.constants.getAddressInfo(reg, 'R');
+                    return {
+                        'register': reg,
+                        'name': info.data.name,
+                        'address': info.address,
+                        'val': connection.simDevice.store.read(reg)
+                    };
+                });
+                return {
+                    'deviceType': connection.deviceType,
+                    'connectionType': connection.connectionType,
+                    'serialNumber': connection.serialNumber,
+                    'ipAddress': connection.ipAddress,
+                    'data': data,
+                    'registers': registers,
+                    'values': data.map(function (item) { return item.val; })
+                };
+            });
+        } catch (err) {
+            return defer(onError, err);
+        }
+        defer(onSuccess, listing);
+    };
+
+    this.listAll = function (deviceType, connectionType, onError, onSuccess) {
+        self.listAllExtended(deviceType, connectionType, [], onError, onSuccess);
+    };
+
+    this.closeAll = function (onError, onSuccess) {
+        defer(onSuccess);
+    };
+    this.closeAllSync = function () {
+    };
+
+    this.readLibrarySync = function (parameter) {
+        return libraryConfig.get(parameter, 0);
+    };
+    this.readLibrary = function (parameter, onError, onSuccess) {
+        defer(onSuccess, self.readLibrarySync(parameter));
+    };
+    this.readLibrarySSync = this.readLibrarySync;
+    this.readLibraryS = this.readLibrary;
+
+    this.writeLibrarySync = function (parameter, value) {
+        libraryConfig.set(parameter, value);
+    };
+    this.writeLibrary = function (parameter, value, onError, onSuccess) {
+        self.writeLibrarySync(parameter, value);
+        defer(onSuccess);
+    };
+
+    this.errToStrSync = function (errNum) {
+        return self.constants.errToStr(errNum);
+    };
+    this.errToStr = function (errNum, onError, onSuccess) {
+        defer(onSuccess, self.errToStrSync(errNum));
+    };
+
+    this.logSSync = function (level, str) {
+    };
+    this.logS = function (level, str, onError, onSuccess) {
+        defer(onSuccess);
+    };
+
+    this.installedDriverVersion = SIMULATED_LJM_VERSION;
+
+    var self = this;
+}
+exports.driver = driver;
+
+
+/**
+ * Simulated version of the labjack-nodejs device object.
+**/
+function device ()
+{
+    var simDevice = null;
+    var streamState = null;
+
+    this.constants = getConstants();
+    this.streamSettings = {};
+    this.handle = null;
+    this.isHandleValid = false;
+    this.deviceType = null;
+    this.connectionType = null;
+    this.serialNumber = null;
+    this.ipAddress = null;
+
+    /**
+     * Run a register operation, reporting a thrown LJM error code through
+     * onError instead.
+    **/
+    var execute = function (operation, onError, onSuccess) {
+        if (!self.isHandleValid) {
+            return defer(onError, LJME_DEVICE_NOT_OPEN);
+        }
+        var result;
+        try {
+            result = operation();
+        } catch (err) {
+            return defer(onError, err);
+        }
+        defer(onSuccess, result);
+    };
+
+    var executeSync = function (operation, description) {
+        if (!self.isHandleValid) {
+            throw new DriverOperationError(LJME_DEVICE_NOT_OPEN, description);
+        }
+        try {
+            return operation();
+        } catch (err) {
+            throw new DriverOperationError(err, description);
+        }
+    };
+
+    /**
+     * Open a virtual device.
+     *
+     * @param {String/Number} deviceType e.g. 'LJM_dtT7' or 7.
+     * @param {String/Number} connectionType e.g. 'LJM_ctUSB' or 1.
+     * @param {String} identifier Serial number, IP address, device name or
+     *      'LJM_idANY'.
+     * @param {function} onError Called with an LJM error code.
+     * @param {function} onSuccess Called once the device is open.
+    **/
+    this.open = function (deviceType, connectionType, identifier, onError,
+        onSuccess) {
+        try {
+            self.openSync(deviceType, connectionType, identifier);
+        } catch (err) {
+            return defer(onError, err.code);
+        }
+        defer(onSuccess);
+    };
+
+    this.openSync = function (deviceType, connectionType, identifier) {
+        var devT = parseType(
+            deviceType === undefined ? LJM_DT_ANY : deviceType,
+            driver_const.deviceTypes
+        );
+        var conT = parseType(
+            connectionType === undefined ? LJM_CT_ANY : connectionType,
+            driver_const.connectionTypes
+        );
+        if (devT === null || conT === null) {
+            throw new DriverOperationError(LJME_INVALID_PARAMETER, 'open');
+        }
+        var matches = findConnections(devT, conT).filter(function (connection) {
+            return identifierMatches(identifier, connection);
+        });
+        if (matches.length === 0) {
+            throw new DriverOperationError(LJME_DEVICE_NOT_FOUND, 'open');
+        }
+        var connection = matches[0];
+        simDevice = connection.simDevice;
+        self.handle = connection.serialNumber;
+        self.isHandleValid = true;
+        self.deviceType = connection.deviceType;
+        self.connectionType = connection.connectionType;
+        self.serialNumber = connection.serialNumber;
+        self.ipAddress = connection.ipAddress;
+    };
+
+    this.getHandleInfoSync = function () {
+        return executeSync(function () {
+            return {
+                'deviceType': self.deviceType,
+                'connectionType': self.connectionType,
+                'serialNumber': self.serialNumber,
+                'ipAddress': self.ipAddress,
+                'port': self.connectionType === LJM_CT_USB ? 0 : 502,
+                'maxBytesPerMB': self.connectionType === LJM_CT_USB ? 64 : 1040
+            };
+        }, 'getHandleInfo');
+    };
+    this.getHandleInfo = function (onError, onSuccess) {
+        execute(self.getHandleInfoSync, onError, onSuccess);
+    };
+
+    this.read = function (address, onError, onSuccess) {
+        execute(function () {
+            return simDevice.store.read(address);
+        }, onError, onSuccess);
+    };
+    this.readSync = function (address) {
+        return executeSync(function () {
+            return simDevice.store.read(address);
+        }, 'read');
+    };
+
+    this.readArray = function (address, numReads, onError, onSuccess) {
+        execute(function () {
+            return simDevice.store.readArray(address, numReads);
+        }, onError, onSuccess);
+    };
+    this.readArraySync = function (address, numReads) {
+        return executeSync(function () {
+            return simDevice.store.readArray(address, numReads);
+        }, 'readArray');
+    };
+
+    var readMany = function (addresses) {
+        return addresses.map(function (address) {
+            return simDevice.store.read(address);
+        });
+    };
+    this.readMany = function (addresses, onError, onSuccess) {
+        execute(function () { return readMany(addresses); }, onError, onSuccess);
+    };
+    this.readManySync = function (addresses) {
+        return executeSync(function () { return readMany(addresses); }, 'readMany');
+    };
+
+    this.write = function (address, value, onError, onSuccess) {
+        execute(function () {
+            simDevice.store.write(address, value);
+        }, onError, onSuccess);
+    };
+    this.writeSync = function (address, value) {
+        return executeSync(function () {
+            simDevice.store.write(address, value);
+        }, 'write');
+    };
+
+    this.writeArray = function (address, writeData, onError, onSuccess) {
+        execute(function () {
+            simDevice.store.writeArray(address, writeData);
+        }, onError, onSuccess);
+    };
+    this.writeArraySync = function (address, writeData) {
+        return executeSync(function () {
+            simDevice.store.writeArray(address, writeData);
+        }, 'writeArray');
+    };
+
+    var writeMany = function (addresses, values) {
+        addresses.forEach(function (address, i) {
+            simDevice.store.write(address, values[i]);
+        });
+    };
+    this.writeMany = function (addresses, values, onError, onSuccess) {
+        execute(function () { writeMany(addresses, values); }, onError, onSuccess);
+    };
+    this.writeManySync = function (addresses, values) {
+        return executeSync(function () {
+            writeMany(addresses, values);
+        }, 'writeMany');
+    };
+
+    /**
+     * Perform a series of read and write frames. Frames with more than one
+     * value are treated as array (buffer register) accesses, like LJM does.
+     * Returns the values read, in order.
+    **/
+    var rwMany = function (addresses, directions, numValues, values) {
+        var results = [];
+        var valueOffset = 0;
+        addresses.forEach(function (address, i) {
+            var num = numValues[i];
+            var frameValues = values.slice(valueOffset, valueOffset + num);
+            if (directions[i] === driver_const.LJM_READ) {
+                if (num === 1) {
+                    results.push(simDevice.store.read(address));
+                } else {
+                    results.push.apply(
+                        results,
+                        simDevice.store.readArray(address, num)
+                    );
+                }
+            } else {
+                if (num === 1) {
+                    simDevice.store.write(address, frameValues[0]);
+                } else {
+                    simDevice.store.writeArray(address, frameValues);
+                }
+            }
+            valueOffset += num;
+        });
+        return results;
+    };
+    this.rwMany = function (addresses, directions, numValues, values, onError,
+        onSuccess) {
+        execute(function () {
+            return rwMany(addresses, directions, numValues, values);
+        }, onError, onSuccess);
+    };
+    this.rwManySync = function (addresses, directions, numValues, values) {
+        return executeSync(function () {
+            return rwMany(addresses, directions, numValues, values);
+        }, 'rwMany');
+    };
+
+    /**
+     * Read the ethernet or WiFi MAC address of the device.
+     *
+     * @param {String} type 'ethernet' or 'wifi'.
+    **/
+    var readMAC = function (type) {
+        var macBytes = [0x00, 0x80, 0x2F];
+        var serial = self.serialNumber;
+        if (String(type).toLowerCase().indexOf('wifi') >= 0) {
+            serial += 1;
+        }
+        macBytes.push((serial >> 16) & 0xFF, (serial >> 8) & 0xFF, serial & 0xFF);
+        return macBytes.map(function (macByte) {
+            var str = macByte.toString(16);
+            return str.length < 2 ? '0' + str : str;
+        }).join(':');
+    };
+    this.readUINT64 = function (type, onError, onSuccess) {
+        execute(function () { return readMAC(type); }, onError, onSuccess);
+    };
+    this.readUINT64Sync = function (type) {
+        return executeSync(function () { return readMAC(type); }, 'readUINT64');
+    };
+
+    /**
+     * Start streaming from the virtual device.
+     *
+     * Like the labjack-nodejs function this resolves the register names in
+     * scanList and fails if any of them are not streamable. Scans are
+     * generated from the simulated register values at the requested rate as
+     * they are read. If they are not read fast enough to fit in the device's
+     * stream buffer, the oldest scans are skipped and read back as
+     * STREAM_DUMMY_VALUE samples the way LJM's auto-recovery reports them.
+     *
+     * @param {Number} scansPerRead The number of scans each streamRead returns.
+     * @param {Array} scanList Names or addresses of the registers to stream.
+     * @param {Number} scanRate The number of scans per second.
+     * @param {function} onError Called with an LJM error code or an object
+     *      describing the unstreamable registers.
+     * @param {function} onSuccess Called with the stream settings.
+    **/
+    this.streamStart = function (scansPerRead, scanList, scanRate, onError,
+        onSuccess) {
+        if (!self.isHandleValid) {
+            return defer(onError, LJME_DEVICE_NOT_OPEN);
+        }
+        if (Object.keys(self.streamSettings).length > 0) {
+            return defer(onError, 'streamStart: stream already running');
+        }
+        var invalidRegisters = [];
+        var addresses = scanList.map(function (register) {
+            var info = self.constants.getAddressInfo(register, 'R');
+            if (!info.data.streamable) {
+                invalidRegisters.push({
+                    'address': info.address,
+                    'name': info.data.name
+                });
+            }
+            return info.address;
+        });
+        if (invalidRegisters.length > 0) {
+            return defer(onError, {
+                'message': 'Not all registers are streamable',
+                'info': invalidRegisters
+            });
+        }
+        if (scanList.length === 0 || scansPerRead < 1 || scanRate <= 0 ||
+            scanRate * scanList.length > MAX_STREAM_SAMPLE_RATE) {
+            return defer(onError, STREAM_SCAN_RATE_INVALID);
+        }
+
+        var startTime = Date.now();
+        var timeIncrement = 1 / scanRate * 1000;
+        streamState = {
+            'addresses': addresses,
+            'startTime': startTime,
+            'numScansRead': 0,
+            'skippedUntilScan': 0,
+            'bufferScans': Math.floor(
+                STREAM_DEVICE_BUFFER_SAMPLES / scanList.length
+            )
+        };
+        self.streamSettings = {
+            'scanRate': scanRate,
+            'scansPerRead': scansPerRead,
+            'numValues': scansPerRead * scanList.length,
+            'readBufferSize': scansPerRead * scanList.length * 8,
+            'scanList': scanList,
+            'aScanList': addresses,
+            'numAddresses': scanList.length,
+            'actualScanRate': scanRate,
+            'streamActive': true,
+            'startingDate': new Date(startTime),
+            'startingTime': startTime,
+            'timeIncrement': timeIncrement,
+            'blockTimeIncrement': timeIncrement * scansPerRead,
+            'calculatedStartTime': startTime,
+            'numReads': 0,
+            'currentReadTime': startTime
+        };
+        defer(onSuccess, self.streamSettings);
+    };
+
+    /**
+     * Wait for and read the next scansPerRead scans of a running stream.
+     *
+     * @param {function} onError Called with an LJM error code.
+     * @param {function} onSuccess Called with an object in the same format
+     *      that labjack-nodejs uses: rawData (a Buffer of little endian
+     *      doubles), deviceBacklog, ljmBacklog, numVals, scansPerRead,
+     *      dataOffset, time, timeIncrement, numAddresses and scanList.
+    **/
+    this.streamRead = function (onError, onSuccess) {
+        if (!self.isHandleValid) {
+            return defer(onError, LJME_DEVICE_NOT_OPEN);
+        }
+        if (streamState === null) {
+            return defer(onError, LJME_STREAM_NOT_RUNNING);
+        }
+        var settings = self.streamSettings;
+        var state = streamState;
+        var elapsedTime = Date.now() - state.startTime;
+        var numScansGenerated = Math.floor(elapsedTime * settings.scanRate / 1000);
+        var backlog = numScansGenerated - state.numScansRead;
+        if (backlog < settings.scansPerRead) {
+            var waitScans = settings.scansPerRead - backlog;
+            setTimeout(function () {
+                if (streamState === state) {
+                    self.streamRead(onError, onSuccess);
+                } else {
+                    onError(LJME_STREAM_NOT_RUNNING);
+                }
+            }, Math.ceil(waitScans * settings.timeIncrement));
+            return;
+        }
+
+        // Scans that did not fit in the device buffer were skipped.
+        var overflow = backlog - state.bufferScans;
+        if (overflow > 0) {
+            state.skippedUntilScan = state.numScansRead + overflow;
+        }
+
+        var rawData = new Buffer(settings.readBufferSize);
+        var offset = 0;
+        for (var i = 0; i < settings.scansPerRead; i++) {
+            var isSkipped = state.numScansRead + i < state.skippedUntilScan;
+            for (var j = 0; j < state.addresses.length; j++) {
+                var value = STREAM_DUMMY_VALUE;
+                if (!isSkipped) {
+                    value = Number(simDevice.store.read(state.addresses[j]));
+                }
+                rawData.writeDoubleLE(value, offset);
+                offset += 8;
+            }
+        }
+        state.numScansRead += settings.scansPerRead;
+
+        var readTime = settings.currentReadTime;
+        var dataOffset = settings.numReads;
+        settings.currentReadTime += settings.blockTimeIncrement;
+        settings.numReads += 1;
+        defer(onSuccess, {
+            'rawData': rawData,
+            'deviceBacklog': Math.min(
+                backlog - settings.scansPerRead,
+                state.bufferScans
+            ),
+            'ljmBacklog': 0,
+            'numVals': settings.numValues,
+            'scansPerRead': settings.scansPerRead,
+            'dataOffset': dataOffset,
+            'time': readTime,
+            'timeIncrement': settings.timeIncrement,
+            'numAddresses': settings.numAddresses,
+            'scanList': settings.scanList
+        });
+    };
+
+    /**
+     * Stop a running stream.
+     *
+     * @param {function} onError Called with an LJM error code.
+     * @param {function} onSuccess Called with the final stream settings.
+    **/
+    this.streamStop = function (onError, onSuccess) {
+        if (!self.isHandleValid) {
+            return defer(onError, LJME_DEVICE_NOT_OPEN);
+        }
+        if (streamState === null) {
+            return defer(onError, LJME_STREAM_NOT_RUNNING);
+        }
+        var finalSettings = self.streamSettings;
+        finalSettings.streamActive = false;
+        streamState = null;
+        self.streamSettings = {};
+        defer(onSuccess, finalSettings);
+    };
+
+    this.close = function (onError, onSuccess) {
+        if (!self.isHandleValid) {
+            return defer(onError, LJME_DEVICE_NOT_OPEN);
+        }
+        self.closeSync();
+        defer(onSuccess);
+    };
+    this.closeSync = function () {
+        streamState = null;
+        self.streamSettings = {};
+        self.isHandleValid = false;
+        self.handle = null;
+    };
+
+    var self = this;
+}
+exports.device = device;
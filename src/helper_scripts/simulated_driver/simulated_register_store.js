@@ -0,0 +1,660 @@
+/**
+ * Register store for a single simulated LabJack device.
+ *
+ * Holds the register values of a virtual T7, T7-Pro or Digit and models the
+ * behavior of the registers that Kipling's modules depend on:
+ *   - AIN channels read back the DACs (AIN0 = DAC0, AIN1 = DAC1) or 0V with
+ *     noise that depends on the channel's range and resolution index.
+ *   - DIO lines are looped back in pairs (FIO0 <-> FIO1, FIO2 <-> FIO3, ...).
+ *   - DACs echo the last value written.
+ *   - Lua registers accept, run, save and read back scripts and produce
+ *     debug output for print statements.
+ *   - Internal flash is available through the T7_MA_EXF_* registers and is
+ *     seeded with nominal calibration constants.
+ * Every other register in ljm_constants.json simply stores what is written.
+ *
+ * Errors are thrown as LJM error numbers.
+**/
+
+var dict = require('dict');
+
+var LJM_DT_T7 = 7;
+var LJM_DT_DIGIT = 200;
+
+var LJME_INVALID_ADDRESS = 1250;
+var LJME_INVALID_DIRECTION = 1252;
+var INTFLASH_KEY_INVALID = 2354;
+var AIN_RANGE_INVALID = 2370;
+var LUA_IS_RUNNING = 2385;
+var LUA_CODE_BUFFER_EMPTY = 2386;
+var LUA_DEBUG_IS_DISABLED = 2387;
+exports.errors = {
+    'LJME_INVALID_ADDRESS': LJME_INVALID_ADDRESS,
+    'LJME_INVALID_DIRECTION': LJME_INVALID_DIRECTION,
+    'INTFLASH_KEY_INVALID': INTFLASH_KEY_INVALID,
+    'AIN_RANGE_INVALID': AIN_RANGE_INVALID,
+    'LUA_IS_RUNNING': LUA_IS_RUNNING,
+    'LUA_CODE_BUFFER_EMPTY': LUA_CODE_BUFFER_EMPTY,
+    'LUA_DEBUG_IS_DISABLED': LUA_DEBUG_IS_DISABLED
+};
+
+// Register addresses with simulated behavior
+var AIN_START = 0;
+var NUM_AIN = 255;
+var AIN_RANGE_START = 40000;
+var AIN_RESOLUTION_START = 41500;
+var DAC0 = 1000;
+var DAC1 = 1002;
+var DIO_START = 2000;
+var NUM_DIO = 23;
+var DIO_PORT_STATE_REGISTERS = {
+    '2500': {'shift': 0, 'mask': 0xFF},     // FIO_STATE
+    '2501': {'shift': 8, 'mask': 0xFF},     // EIO_STATE
+    '2502': {'shift': 16, 'mask': 0x0F},    // CIO_STATE
+    '2503': {'shift': 20, 'mask': 0x07},    // MIO_STATE
+    '2580': {'shift': 0, 'mask': 0xFFFF},   // FIO_EIO_STATE
+    '2581': {'shift': 8, 'mask': 0x0FFF},   // EIO_CIO_STATE
+    '2800': {'shift': 0, 'mask': 0x7FFFFF}  // DIO_STATE
+};
+// Bits of DIO lines that port _STATE and _DIRECTION writes leave as they are.
+var DIO_INHIBIT = 2900;
+var DIO_PORT_DIRECTION_REGISTERS = {
+    '2600': {'shift': 0, 'mask': 0xFF},     // FIO_DIRECTION
+    '2601': {'shift': 8, 'mask': 0xFF},     // EIO_DIRECTION
+    '2602': {'shift': 16, 'mask': 0x0F},    // CIO_DIRECTION
+    '2603': {'shift': 20, 'mask': 0x07},    // MIO_DIRECTION
+    '2850': {'shift': 0, 'mask': 0x7FFFFF}  // DIO_DIRECTION
+};
+
+var LUA_RUN = 6000;
+var LUA_SOURCE_SIZE = 6012;
+var LUA_SOURCE_WRITE = 6014;
+var LUA_DEBUG_ENABLE = 6020;
+var LUA_DEBUG_NUM_BYTES = 6022;
+var LUA_DEBUG_DATA = 6024;
+var LUA_SAVE_TO_FLASH = 6032;
+var LUA_LOAD_SAVED = 6034;
+var LUA_SAVED_READ_POINTER = 6036;
+var LUA_SAVED_READ = 6038;
+
+var T7_MA_EXF_KEY = 61800;
+var T7_MA_EXF_pREAD = 61810;
+var T7_MA_EXF_READ = 61812;
+var T7_MA_EXF_ERASE = 61820;
+var T7_MA_EXF_pWRITE = 61830;
+var T7_MA_EXF_WRITE = 61832;
+var T7_FLASH_PAGE_SIZE = 4096;
+var T7_EFAdd_CalValues = 0x3C4000;
+var ERASED_FLASH_VALUE = 0xFFFFFFFF;
+
+var IO_CONFIG_SET_DEFAULT_TO_CURRENT = 49002;
+var IO_CONFIG_SET_DEFAULT_TO_FACTORY = 49004;
+var IO_CONFIG_SET_CURRENT_TO_FACTORY = 61990;
+var IO_CONFIG_SET_CURRENT_TO_DEFAULT = 61991;
+
+var DEVICE_NAME_DEFAULT = 60500;
+var CORE_TIMER = 61520;
+var SYSTEM_TIMER_20HZ = 61522;
+var TEMPERATURE_AIR_K = 60050;
+var TEMPERATURE_DEVICE_K = 60052;
+
+// Typical noise (volts RMS) at resolution index 8 for each T7 AIN range.
+var AIN_NOISE_BY_RANGE = {
+    '10': 0.000150,
+    '1': 0.000015,
+    '0.1': 0.000003,
+    '0.01': 0.0000015
+};
+var AIN_OVER_RANGE_FACTOR = 1.06;
+var DAC_MAX_VOLTS = 5;
+var INTERNAL_TEMP_SENSOR_CHANNEL = 14;
+var SIMULATED_DEVICE_TEMP_K = 299.5;
+var T7_TEMP_SENSOR_SLOPE = -92.379;
+var T7_TEMP_SENSOR_OFFSET = 465.129215;
+
+
+/**
+ * Produce a normally distributed random number (Box-Muller).
+**/
+var gaussianNoise = function (sigma) {
+    var u = 1 - Math.random();
+    var v = Math.random();
+    return sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Convert a dotted IP address string into the UINT32 a device reports.
+**/
+var ipToNumber = function (ipAddress) {
+    if (!ipAddress) {
+        return 0;
+    }
+    return ipAddress.split('.').reduce(function (total, octet) {
+        return total * 256 + Number(octet);
+    }, 0);
+};
+
+/**
+ * Convert a float to the UINT32 that represents it in (big endian) flash.
+**/
+var floatToFlashInt = function (value) {
+    var buf = new Buffer(4);
+    buf.writeFloatBE(value, 0);
+    return buf.readUInt32BE(0);
+};
+
+
+/**
+ * Register store for one virtual device.
+ *
+ * @param {Object} deviceInfo Description of the virtual device (see
+ *      simulated_labjack_nodejs.DEFAULT_SIMULATED_DEVICES).
+ * @param {SimulatedConstants} constants The register map to validate
+ *      accesses against.
+**/
+function SimulatedRegisterStore (deviceInfo, constants)
+{
+    this.deviceInfo = deviceInfo;
+    this.constants = constants;
+
+    var values = dict();
+    var defaultValues = dict();
+    var flash = dict();
+    var dioState = 0;
+    var dioDirection = 0;
+    var flashState = {'key': null, 'readPointer': 0, 'writePointer': 0};
+    var luaState = {
+        'running': false,
+        'sourceSize': 0,
+        'source': [],
+        'saved': [],
+        'savedReadPointer': 0,
+        'debugData': []
+    };
+    var startTime = Date.now();
+    var isPro = deviceInfo.subclass === 'Pro';
+
+    /**
+     * Look up a register and make sure it may be accessed in the requested
+     * direction. Like LJM, the device family listed in the constants file is
+     * not enforced.
+     *
+     * @return {Object} Register information from the constants.
+     * @throws {Number} LJME_INVALID_ADDRESS or LJME_INVALID_DIRECTION.
+    **/
+    this.getRegister = function (address, direction) {
+        var info = self.constants.getAddressInfo(address, direction);
+        if (info.type === -1) {
+            throw LJME_INVALID_ADDRESS;
+        }
+        if (!info.directionValid) {
+            throw LJME_INVALID_DIRECTION;
+        }
+        return info;
+    };
+
+    var getStored = function (address, defaultValue) {
+        return values.get(String(address), defaultValue);
+    };
+
+    var setStored = function (address, value) {
+        values.set(String(address), value);
+    };
+
+    var getAINRange = function (channel) {
+        var range = getStored(AIN_RANGE_START + channel * 2, 10);
+        if (range === 0) {
+            range = 10;
+        }
+        return range;
+    };
+
+    var getAINResolutionIndex = function (channel) {
+        var resolutionIndex = getStored(AIN_RESOLUTION_START + channel, 0);
+        if (resolutionIndex === 0) {
+            resolutionIndex = isPro ? 9 : 8;
+        }
+        return resolutionIndex;
+    };
+
+    /**
+     * Simulated analog input reading in volts.
+    **/
+    var readAIN = function (channel) {
+        var signal = 0;
+        if (channel === 0) {
+            signal = getStored(DAC0, 0);
+        } else if (channel === 1) {
+            signal = getStored(DAC1, 0);
+        } else if (channel === INTERNAL_TEMP_SENSOR_CHANNEL) {
+            signal = (SIMULATED_DEVICE_TEMP_K - T7_TEMP_SENSOR_OFFSET) /
+                T7_TEMP_SENSOR_SLOPE;
+        }
+
+        var range = getAINRange(channel);
+        var sigma = AIN_NOISE_BY_RANGE[String(range)] || AIN_NOISE_BY_RANGE['10'];
+        sigma = sigma * Math.pow(2, (8 - getAINResolutionIndex(channel)) / 2);
+
+        var reading = signal + gaussianNoise(sigma);
+        var limit = range * AIN_OVER_RANGE_FACTOR;
+        return Math.max(-limit, Math.min(limit, reading));
+    };
+
+    /**
+     * Read a single DIO line. Like a real T7 this makes the line an input.
+     * A line reads back the state of its loopback partner when the partner
+     * is an output and is pulled high otherwise.
+    **/
+    var readDIOLine = function (line) {
+        dioDirection &= ~(1 << line);
+        return getDIOInputState(line);
+    };
+
+    var getDIOInputState = function (line) {
+        var partner = line ^ 1;
+        if (partner < NUM_DIO && (dioDirection & (1 << partner))) {
+            return (dioState >> partner) & 1;
+        }
+        return 1;
+    };
+
+    var writeDIOLine = function (line, value) {
+        dioDirection |= (1 << line);
+        if (value) {
+            dioState |= (1 << line);
+        } else {
+            dioState &= ~(1 << line);
+        }
+    };
+
+    var getDIOStateBits = function () {
+        var bits = 0;
+        for (var line = 0; line < NUM_DIO; line++) {
+            var lineState;
+            if (dioDirection & (1 << line)) {
+                lineState = (dioState >> line) & 1;
+            } else {
+                lineState = getDIOInputState(line);
+            }
+            bits |= (lineState << line);
+        }
+        return bits;
+    };
+
+    var addLuaDebugText = function (text) {
+        if (!getStored(LUA_DEBUG_ENABLE, 0)) {
+            return;
+        }
+        for (var i = 0; i < text.length; i++) {
+            luaState.debugData.push(text.charCodeAt(i));
+        }
+    };
+
+    /**
+     * "Run" the loaded Lua script: report that it started and emit the text
+     * of any print statements with literal string arguments.
+    **/
+    var startLuaScript = function () {
+        if (luaState.source.length === 0) {
+            throw LUA_CODE_BUFFER_EMPTY;
+        }
+        var source = String.fromCharCode.apply(null, luaState.source);
+        source = source.replace(/\0/g, '');
+        luaState.running = true;
+        addLuaDebugText(
+            'Simulated Lua VM: running script (' + source.length + ' bytes)\n'
+        );
+        var printRegex = /print\s*\(\s*(["'])(.*?)\1\s*\)/g;
+        var match = printRegex.exec(source);
+        while (match !== null) {
+            addLuaDebugText(match[2] + '\n');
+            match = printRegex.exec(source);
+        }
+    };
+
+    var writeLuaRegister = function (address, value) {
+        if (address === LUA_RUN) {
+            if (value && !luaState.running) {
+                startLuaScript();
+            } else if (!value) {
+                luaState.running = false;
+            }
+        } else if (address === LUA_SOURCE_SIZE) {
+            if (luaState.running) {
+                throw LUA_IS_RUNNING;
+            }
+            luaState.sourceSize = value;
+            luaState.source = [];
+        } else if (address === LUA_SAVE_TO_FLASH) {
+            if (value) {
+                luaState.saved = luaState.source.slice();
+            }
+        } else if (address === LUA_LOAD_SAVED) {
+            if (value) {
+                luaState.source = luaState.saved.slice();
+                luaState.sourceSize = luaState.saved.length;
+            }
+        } else if (address === LUA_SAVED_READ_POINTER) {
+            luaState.savedReadPointer = value;
+        }
+        setStored(address, value);
+    };
+
+    var readLuaRegister = function (address) {
+        if (address === LUA_RUN) {
+            return luaState.running ? 1 : 0;
+        } else if (address === LUA_SOURCE_SIZE) {
+            return luaState.sourceSize;
+        } else if (address === LUA_DEBUG_NUM_BYTES) {
+            return luaState.debugData.length;
+        } else if (address === LUA_SAVED_READ) {
+            // Four bytes of the saved script per read, big endian.
+            var word = 0;
+            for (var i = 0; i < 4; i++) {
+                var byteVal = luaState.saved[luaState.savedReadPointer + i];
+                word = word * 256 + (byteVal === undefined ? 0 : byteVal);
+            }
+            luaState.savedReadPointer += 4;
+            return word;
+        }
+        return getStored(address, 0);
+    };
+
+    var isLuaRegister = function (address) {
+        return address >= LUA_RUN && address <= LUA_SAVED_READ;
+    };
+
+    var readFlashInt = function () {
+        var address = String(flashState.readPointer);
+        var value = flash.get(address, ERASED_FLASH_VALUE);
+        flashState.readPointer += 4;
+        return value;
+    };
+
+    var consumeFlashKey = function () {
+        if (flashState.key === null) {
+            throw INTFLASH_KEY_INVALID;
+        }
+        flashState.key = null;
+    };
+
+    var writeFlashRegister = function (address, value) {
+        if (address === T7_MA_EXF_KEY) {
+            flashState.key = value;
+        } else if (address === T7_MA_EXF_pREAD) {
+            flashState.readPointer = value;
+        } else if (address === T7_MA_EXF_pWRITE) {
+            flashState.writePointer = value;
+        } else if (address === T7_MA_EXF_ERASE) {
+            consumeFlashKey();
+            var pageStart = value - (value % T7_FLASH_PAGE_SIZE);
+            for (var i = 0; i < T7_FLASH_PAGE_SIZE; i += 4) {
+                flash.delete(String(pageStart + i));
+            }
+        } else if (address === T7_MA_EXF_WRITE) {
+            flash.set(String(flashState.writePointer), value >>> 0);
+            flashState.writePointer += 4;
+        }
+    };
+
+    var isFlashRegister = function (address) {
+        return address >= T7_MA_EXF_KEY && address <= T7_MA_EXF_WRITE;
+    };
+
+    var handleIOConfig = function (address) {
+        if (address === IO_CONFIG_SET_DEFAULT_TO_CURRENT) {
+            defaultValues = dict();
+            values.forEach(function (value, key) {
+                defaultValues.set(key, value);
+            });
+            defaultValues.set(String(DIO_START), {
+                'state': dioState,
+                'direction': dioDirection
+            });
+            return true;
+        } else if (address === IO_CONFIG_SET_CURRENT_TO_DEFAULT) {
+            var savedDIO = defaultValues.get(String(DIO_START), {
+                'state': 0,
+                'direction': 0
+            });
+            values = dict();
+            defaultValues.forEach(function (value, key) {
+                if (key !== String(DIO_START)) {
+                    values.set(key, value);
+                }
+            });
+            dioState = savedDIO.state;
+            dioDirection = savedDIO.direction;
+            self.initializeIdentity();
+            return true;
+        } else if (address === IO_CONFIG_SET_DEFAULT_TO_FACTORY) {
+            defaultValues = dict();
+            return true;
+        } else if (address === IO_CONFIG_SET_CURRENT_TO_FACTORY) {
+            values = dict();
+            dioState = 0;
+            dioDirection = 0;
+            self.initializeIdentity();
+            return true;
+        }
+        return false;
+    };
+
+    /**
+     * Read a single value from the device.
+     *
+     * @param {String/Number} address The name or address of the register.
+     * @return {Number/String} The value of the register.
+     * @throws {Number} LJM error code if the register can not be read.
+    **/
+    this.read = function (address) {
+        if (!isNaN(address) && isFlashRegister(Number(address))) {
+            if (Number(address) === T7_MA_EXF_READ) {
+                return readFlashInt();
+            }
+            return 0;
+        }
+
+        var info = self.getRegister(address, 'R');
+        var addr = info.address;
+
+        if (addr >= AIN_START && addr < AIN_START + NUM_AIN * 2 &&
+            deviceInfo.deviceType === LJM_DT_T7) {
+            return readAIN((addr - AIN_START) / 2);
+        } else if (addr >= DIO_START && addr < DIO_START + NUM_DIO) {
+            return readDIOLine(addr - DIO_START);
+        } else if (DIO_PORT_STATE_REGISTERS[addr] !== undefined) {
+            var stateReg = DIO_PORT_STATE_REGISTERS[addr];
+            return (getDIOStateBits() >> stateReg.shift) & stateReg.mask;
+        } else if (DIO_PORT_DIRECTION_REGISTERS[addr] !== undefined) {
+            var dirReg = DIO_PORT_DIRECTION_REGISTERS[addr];
+            return (dioDirection >> dirReg.shift) & dirReg.mask;
+        } else if (isLuaRegister(addr)) {
+            return readLuaRegister(addr);
+        } else if (addr === CORE_TIMER) {
+            return ((Date.now() - startTime) * 20000) % 0x100000000;
+        } else if (addr === SYSTEM_TIMER_20HZ) {
+            return Math.floor((Date.now() - startTime) / 50);
+        } else if (addr === TEMPERATURE_DEVICE_K) {
+            return SIMULATED_DEVICE_TEMP_K + gaussianNoise(0.05);
+        } else if (addr === TEMPERATURE_AIR_K) {
+            return SIMULATED_DEVICE_TEMP_K - 2 + gaussianNoise(0.05);
+        }
+
+        if (info.typeString === 'STRING') {
+            return getStored(addr, '');
+        }
+        return getStored(addr, 0);
+    };
+
+    /**
+     * Write a single value to the device.
+     *
+     * @param {String/Number} address The name or address of the register.
+     * @param {Number/String} value The value to write.
+     * @throws {Number} LJM error code if the register can not be written.
+    **/
+    this.write = function (address, value) {
+        if (!isNaN(address) && isFlashRegister(Number(address))) {
+            writeFlashRegister(Number(address), value);
+            return;
+        }
+
+        var info = self.getRegister(address, 'W');
+        var addr = info.address;
+
+        if (handleIOConfig(addr)) {
+            return;
+        } else if (addr === DAC0 || addr === DAC1) {
+            value = Math.max(0, Math.min(DAC_MAX_VOLTS, value));
+        } else if (addr >= AIN_RANGE_START &&
+            addr < AIN_RANGE_START + NUM_AIN * 2) {
+            if (AIN_NOISE_BY_RANGE[String(value)] === undefined &&
+                value !== 0) {
+                throw AIN_RANGE_INVALID;
+            }
+        } else if (addr >= DIO_START && addr < DIO_START + NUM_DIO) {
+            writeDIOLine(addr - DIO_START, value);
+            return;
+        } else if (DIO_PORT_STATE_REGISTERS[addr] !== undefined) {
+            var stateReg = DIO_PORT_STATE_REGISTERS[addr];
+            var stateMask = (stateReg.mask << stateReg.shift) &
+                ~getStored(DIO_INHIBIT, 0);
+            dioState = (dioState & ~stateMask) |
+                ((value << stateReg.shift) & stateMask);
+            return;
+        } else if (DIO_PORT_DIRECTION_REGISTERS[addr] !== undefined) {
+            var dirReg = DIO_PORT_DIRECTION_REGISTERS[addr];
+            var dirMask = (dirReg.mask << dirReg.shift) &
+                ~getStored(DIO_INHIBIT, 0);
+            dioDirection = (dioDirection & ~dirMask) |
+                ((value << dirReg.shift) & dirMask);
+            return;
+        } else if (isLuaRegister(addr)) {
+            writeLuaRegister(addr, value);
+            return;
+        }
+        setStored(addr, value);
+    };
+
+    /**
+     * Read several consecutive values from a buffer register (BYTE registers
+     * like LUA_DEBUG_DATA or the flash read register).
+     *
+     * @param {String/Number} address The name or address of the register.
+     * @param {Number} numValues The number of values to read.
+     * @return {Array} The values read.
+    **/
+    this.readArray = function (address, numValues) {
+        var results = [];
+        var i;
+        if (!isNaN(address) && Number(address) === T7_MA_EXF_READ) {
+            for (i = 0; i < numValues; i++) {
+                results.push(readFlashInt());
+            }
+            return results;
+        }
+        var info = self.getRegister(address, 'R');
+        if (info.address === LUA_DEBUG_DATA) {
+            if (!getStored(LUA_DEBUG_ENABLE, 0)) {
+                throw LUA_DEBUG_IS_DISABLED;
+            }
+            for (i = 0; i < numValues; i++) {
+                var byteVal = luaState.debugData.shift();
+                results.push(byteVal === undefined ? 0 : byteVal);
+            }
+            return results;
+        }
+        for (i = 0; i < numValues; i++) {
+            results.push(self.read(info.address));
+        }
+        return results;
+    };
+
+    /**
+     * Write several consecutive values to a buffer register (BYTE registers
+     * like LUA_SOURCE_WRITE or the flash write register).
+     *
+     * @param {String/Number} address The name or address of the register.
+     * @param {Array} data The values to write.
+    **/
+    this.writeArray = function (address, data) {
+        if (!isNaN(address) && Number(address) === T7_MA_EXF_WRITE) {
+            consumeFlashKey();
+            data.forEach(function (value) {
+                writeFlashRegister(T7_MA_EXF_WRITE, value);
+            });
+            return;
+        }
+        var info = self.getRegister(address, 'W');
+        if (info.address === LUA_SOURCE_WRITE) {
+            if (luaState.running) {
+                throw LUA_IS_RUNNING;
+            }
+            data.forEach(function (value) {
+                luaState.source.push(value & 0xFF);
+            });
+            return;
+        }
+        data.forEach(function (value) {
+            self.write(info.address, value);
+        });
+    };
+
+    /**
+     * Get the Lua script currently loaded into the (simulated) Lua VM.
+     *
+     * @return {String} The script source.
+    **/
+    this.getLuaSource = function () {
+        return String.fromCharCode.apply(null, luaState.source);
+    };
+
+    /**
+     * (Re-)write the read-only identification registers from deviceInfo.
+    **/
+    this.initializeIdentity = function () {
+        var setIdentity = function (name, value) {
+            var info = self.constants.getAddressInfo(name);
+            if (info.type !== -1) {
+                setStored(info.address, value);
+            }
+        };
+        var productID = deviceInfo.deviceType === LJM_DT_DIGIT ? 200 : 7;
+        setIdentity('PRODUCT_ID', productID);
+        setIdentity('HARDWARE_VERSION', deviceInfo.hardwareVersion);
+        setIdentity('FIRMWARE_VERSION', deviceInfo.firmwareVersion);
+        setIdentity('BOOTLOADER_VERSION', deviceInfo.bootloaderVersion);
+        setIdentity('SERIAL_NUMBER', deviceInfo.serialNumber);
+        if (!values.has(String(DEVICE_NAME_DEFAULT))) {
+            setStored(DEVICE_NAME_DEFAULT, deviceInfo.name);
+        }
+        if (deviceInfo.deviceType === LJM_DT_T7) {
+            var wifiRSSI = deviceInfo.wifiIP ? deviceInfo.wifiRSSI : -200;
+            setIdentity('WIFI_VERSION', deviceInfo.wifiFirmwareVersion);
+            setIdentity('HARDWARE_INSTALLED', isPro ? 15 : 0);
+            setIdentity('ETHERNET_IP', ipToNumber(deviceInfo.ethernetIP));
+            setIdentity('WIFI_IP', ipToNumber(deviceInfo.wifiIP));
+            setIdentity('WIFI_STATUS', deviceInfo.wifiIP ? 2900 : 2903);
+            setIdentity('WIFI_RSSI', wifiRSSI);
+            setIdentity('TEST', 0x00112233);
+        } else if (deviceInfo.deviceType === LJM_DT_DIGIT) {
+            setIdentity('DGT_INSTALLED_OPTIONS', deviceInfo.installedOptions);
+            setIdentity('DGT_TEMPERATURE_LATEST_RAW', 0x5A00);
+            setIdentity('DGT_HUMIDITY_RAW', 0x3F00);
+            setIdentity('DGT_LIGHT_RAW', 0x0800);
+        }
+    };
+
+    var self = this;
+
+    // Seed the calibration region with nominal values.
+    if (deviceInfo.calibrationValues) {
+        deviceInfo.calibrationValues.forEach(function (calValue, index) {
+            var flashAddress = T7_EFAdd_CalValues + index * 4;
+            flash.set(String(flashAddress), floatToFlashInt(calValue));
+        });
+    }
+    this.initializeIdentity();
+}
+exports.SimulatedRegisterStore = SimulatedRegisterStore;
@@ -142,7 +142,10 @@ function taskManager() {
             console.log('execPath',process.execPath,'cwd', process.cwd());
             var activePath = task.taskData.activePath;
             var basePath = path.dirname(activePath);
-            var taskLocation = path.join(basePath,'data_buffer.js');
+            var taskLocation = path.join(
+                basePath,
+                task.taskData.primary_file_name
+            );
             console.log('activePath', activePath, 'basePath', basePath);
             try {
                 // console.log('HERE', taskObject);
@@ -0,0 +1,283 @@
+/**
+ * Tests for the task_alarm_monitor task using simulated devices.
+**/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var q = require('q');
+var dict = require('dict');
+var async = require('async');
+var test_device_controller = require('./../../test_device_controller');
+var device_controller = test_device_controller.useSimulatedDriver();
+
+var alarm_monitor = require('./../../../switchboard_modules/task_alarm_monitor/alarm_monitor');
+
+var LOG_FILE = path.join(os.tmpdir(), 'kipling_alarm_monitor_test.csv');
+
+var fakeTaskManager = {
+	'task_state_options': ['included', 'initialized', 'idle', 'active'],
+	'getTask': function(taskName) {
+		return alarm_monitor;
+	}
+};
+var sharedLibs = {
+	'q': q,
+	'dict': dict,
+	'async': async,
+	'task_manager': fakeTaskManager,
+	'device_controller': device_controller
+};
+
+var pressureRule = {
+	'name': 'Pressure',
+	'serial': '470010001',
+	'type': 'high',
+	'register': 'AIN0',
+	'limit': 2,
+	'deadband': 0.5,
+	'output': {'register': 'DAC1', 'activeValue': 3.3, 'inactiveValue': 0}
+};
+var doorRule = {
+	'name': 'Door',
+	'serial': '470010001',
+	'type': 'dioState',
+	'register': 'FIO2',
+	'state': 0
+};
+var lostRule = {
+	'name': 'Lost',
+	'serial': '470010002',
+	'type': 'disconnected'
+};
+var unknownRegisterRule = {
+	'name': 'Unknown',
+	'serial': '470010001',
+	'type': 'high',
+	'register': 'NOT_A_REGISTER',
+	'limit': 1
+};
+var unpluggedRule = {
+	'name': 'Unplugged',
+	'serial': '470010001',
+	'type': 'disconnected'
+};
+
+var openDevice = function(serial) {
+	return test_device_controller.qOpenDevice(serial)
+	.then(function(device) {
+		device_controller.getDeviceKeeper().addDevice(device);
+		return device;
+	});
+};
+
+var reportError = test_device_controller.reportError;
+
+module.exports = {
+	setUp: function(callback) {
+		if(fs.existsSync(LOG_FILE)) {
+			fs.unlinkSync(LOG_FILE);
+		}
+		alarm_monitor.includeTask(sharedLibs);
+		callback();
+	},
+	tearDown: function(callback) {
+		test_device_controller.closeOpenedDevices();
+		device_controller.getDeviceKeeper().clearRecord();
+		if(fs.existsSync(LOG_FILE)) {
+			fs.unlinkSync(LOG_FILE);
+		}
+		callback();
+	},
+	startTask: function(test) {
+		alarm_monitor.initTask()
+		.then(function() {
+			test.ok(alarm_monitor.isInitialized());
+			return alarm_monitor.startTask();
+		})
+		.then(function() {
+			test.strictEqual(alarm_monitor.getTaskState(), 'idle');
+			return alarm_monitor.setRules([pressureRule, pressureRule]);
+		})
+		.then(function() {
+			test.ok(false, 'Duplicate rules were accepted');
+		}, function(err) {
+			test.ok(typeof(err) === 'string');
+			return alarm_monitor.startMonitoring({'pollPeriod': 10});
+		})
+		.then(function() {
+			test.ok(false, 'A too short poll period was accepted');
+		}, function(err) {
+			test.ok(!alarm_monitor.isMonitoring());
+			return alarm_monitor.stopTask();
+		})
+		.then(function() {
+			test.done();
+		}, reportError(test));
+	},
+	raiseAndClearAlarms: function(test) {
+		var device;
+		var events = [];
+		alarm_monitor.addAlarmListener('test', function(event) {
+			events.push(event.name + ' ' + event.kind);
+		});
+		openDevice('470010001')
+		.then(function(openedDevice) {
+			device = openedDevice;
+			return device.qWrite('DAC0', 3);
+		})
+		.then(function() {
+			// FIO3 is looped back to FIO2.
+			return device.qWrite('FIO3', 0);
+		})
+		.then(alarm_monitor.initTask)
+		.then(alarm_monitor.startTask)
+		.then(function() {
+			return alarm_monitor.setRules([pressureRule, doorRule, lostRule]);
+		})
+		.then(function() {
+			return alarm_monitor.startMonitoring({
+				'pollPeriod': 60000,
+				'logFile': LOG_FILE
+			});
+		})
+		.then(function(status) {
+			test.strictEqual(alarm_monitor.getTaskState(), 'active');
+			test.deepEqual(status.activeAlarms, ['Pressure', 'Door', 'Lost']);
+			// Devices that aren't open are checked without waiting for a read.
+			test.deepEqual(events, ['Lost raised', 'Pressure raised', 'Door raised']);
+			return device.readMany(['DAC1']);
+		})
+		.then(function(values) {
+			test.strictEqual(values[0], 3.3);
+			return device.qWrite('DAC0', 1);
+		})
+		.then(function() {
+			return device.qWrite('FIO3', 1);
+		})
+		.then(alarm_monitor.checkRules)
+		.then(function() {
+			test.deepEqual(alarm_monitor.getStatus().activeAlarms, ['Lost']);
+			return device.readMany(['DAC1']);
+		})
+		.then(function(values) {
+			test.strictEqual(values[0], 0);
+			return alarm_monitor.stopMonitoring();
+		})
+		.then(function(status) {
+			test.ok(!status.isMonitoring);
+			test.strictEqual(status.events.length, 5);
+			test.strictEqual(status.events[4].message, 'Cleared: FIO2 of device 470010001 is low');
+			var lines = fs.readFileSync(LOG_FILE, 'utf8').trim().split('\r\n');
+			test.strictEqual(lines[0], 'time,kind,name,serial,register,value,message');
+			test.strictEqual(lines.length, 6);
+			test.ok(lines[1].indexOf(',raised,Lost,470010002,,,') > 0);
+			test.ok(lines[4].indexOf(',cleared,Pressure,470010001,AIN0,') > 0);
+			alarm_monitor.removeAlarmListener('test');
+			return alarm_monitor.stopTask();
+		})
+		.then(function() {
+			test.done();
+		}, reportError(test));
+	},
+	releaseRemovedRuleOutput: function(test) {
+		var device;
+		openDevice('470010001')
+		.then(function(openedDevice) {
+			device = openedDevice;
+			return device.qWrite('DAC0', 3);
+		})
+		.then(alarm_monitor.initTask)
+		.then(alarm_monitor.startTask)
+		.then(function() {
+			return alarm_monitor.setRules([pressureRule]);
+		})
+		.then(function() {
+			return alarm_monitor.startMonitoring({'pollPeriod': 60000});
+		})
+		.then(function(status) {
+			test.deepEqual(status.activeAlarms, ['Pressure']);
+			// Unchanged rules keep their state.
+			return alarm_monitor.setRules([pressureRule, lostRule]);
+		})
+		.then(function() {
+			test.deepEqual(alarm_monitor.getStatus().activeAlarms, ['Pressure']);
+			return alarm_monitor.setRules([lostRule]);
+		})
+		.then(function() {
+			return device.readMany(['DAC1']);
+		})
+		.then(function(values) {
+			test.strictEqual(values[0], 0);
+			test.deepEqual(alarm_monitor.getRules(), [lostRule]);
+			return alarm_monitor.stopTask();
+		})
+		.then(function() {
+			test.strictEqual(alarm_monitor.getTaskState(), 'initialized');
+			test.done();
+		}, reportError(test));
+	},
+	unreadableRegister: function(test) {
+		var device;
+		openDevice('470010001')
+		.then(function(openedDevice) {
+			device = openedDevice;
+			return device.qWrite('DAC0', 3);
+		})
+		.then(alarm_monitor.initTask)
+		.then(alarm_monitor.startTask)
+		.then(function() {
+			return alarm_monitor.setRules([pressureRule, unknownRegisterRule, unpluggedRule]);
+		})
+		.then(function() {
+			return alarm_monitor.startMonitoring({'pollPeriod': 60000});
+		})
+		.then(function(status) {
+			// Only the rule of the register that can't be read is affected.
+			test.deepEqual(status.activeAlarms, ['Pressure']);
+			var readErrors = status.rules.map(function(ruleStatus) {
+				return ruleStatus.readError;
+			});
+			test.strictEqual(readErrors[0], null);
+			test.ok(readErrors[1].indexOf('Failed to read NOT_A_REGISTER') === 0, readErrors[1]);
+			test.strictEqual(readErrors[2], null);
+			return alarm_monitor.stopTask();
+		})
+		.then(function() {
+			test.done();
+		}, reportError(test));
+	},
+	failedCheck: function(test) {
+		var readMany;
+		var device;
+		openDevice('470010001')
+		.then(function(openedDevice) {
+			device = openedDevice;
+			readMany = device.readMany;
+			device.readMany = function() {
+				throw new Error('Unexpected failure');
+			};
+			return alarm_monitor.initTask();
+		})
+		.then(alarm_monitor.startTask)
+		.then(function() {
+			return alarm_monitor.setRules([pressureRule]);
+		})
+		.then(function() {
+			return alarm_monitor.checkRules();
+		})
+		.then(function() {
+			// The next check isn't blocked by the failed one.
+			device.readMany = readMany;
+			return device.qWrite('DAC0', 3);
+		})
+		.then(alarm_monitor.checkRules)
+		.then(function() {
+			test.deepEqual(alarm_monitor.getStatus().activeAlarms, ['Pressure']);
+			return alarm_monitor.stopTask();
+		})
+		.then(function() {
+			test.done();
+		}, reportError(test));
+	}
+};
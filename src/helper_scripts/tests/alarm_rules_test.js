@@ -0,0 +1,150 @@
+/**
+ * Tests for the alarm rules checked by the task_alarm_monitor task.
+**/
+
+var alarm_rules = require('./../../../switchboard_modules/task_alarm_monitor/alarm_rules');
+
+var START_TIME = 1415068536000;
+
+var highRule = {
+	'name': 'Tank pressure',
+	'serial': '470010001',
+	'type': 'high',
+	'register': 'AIN0',
+	'limit': 4.5,
+	'deadband': 0.5
+};
+
+/**
+ * Check a rule against a list of readings taken every second and return the
+ * kinds of the events, null for readings that didn't raise or clear the alarm.
+**/
+var checkValues = function(alarmRule, values) {
+	return values.map(function(value, i) {
+		var event = alarmRule.check({
+			'time': START_TIME + i * 1000,
+			'connected': value !== null,
+			'value': value
+		});
+		return event === null ? null : event.kind;
+	});
+};
+
+module.exports = {
+	validateRule: function(test) {
+		var invalid = function(changes) {
+			var rule = JSON.parse(JSON.stringify(highRule));
+			Object.keys(changes).forEach(function(key) {
+				rule[key] = changes[key];
+			});
+			return alarm_rules.validateRule(rule) !== null;
+		};
+		test.strictEqual(alarm_rules.validateRule(highRule), null);
+		test.strictEqual(alarm_rules.validateRule({
+			'name': 'Lost', 'serial': 470010001, 'type': 'disconnected'
+		}), null);
+		test.ok(invalid({'name': ' '}));
+		test.ok(invalid({'type': 'above'}));
+		test.ok(invalid({'serial': ''}));
+		test.ok(invalid({'register': ''}));
+		test.ok(invalid({'limit': '4.5'}));
+		test.ok(invalid({'deadband': -1}));
+		test.ok(invalid({'type': 'rateOfChange', 'limit': -1}));
+		test.ok(invalid({'type': 'dioState', 'state': 2}));
+		test.ok(invalid({'output': {'register': 'FIO3', 'activeValue': 1}}));
+		test.ok(!invalid({'output': {'register': 'FIO3', 'activeValue': 1, 'inactiveValue': 0}}));
+		test.done();
+	},
+	validateRules: function(test) {
+		test.strictEqual(alarm_rules.validateRules([highRule]), null);
+		test.notStrictEqual(alarm_rules.validateRules(highRule), null);
+		test.notStrictEqual(alarm_rules.validateRules([highRule, highRule]), null);
+		test.ok(alarm_rules.isEnabled(highRule));
+		test.ok(!alarm_rules.isEnabled({'enabled': false}));
+		test.done();
+	},
+	highLimit: function(test) {
+		var alarmRule = alarm_rules.createAlarmRule(highRule);
+		test.deepEqual(
+			checkValues(alarmRule, [4, 4.6, 4.2, 3.9, 4.5, 5, null, 3]),
+			[null, 'raised', null, 'cleared', null, 'raised', null, 'cleared']
+		);
+		test.strictEqual(alarmRule.lastValue, 3);
+		test.done();
+	},
+	lowLimit: function(test) {
+		var alarmRule = alarm_rules.createAlarmRule({
+			'name': 'Low', 'serial': '470010001', 'type': 'low',
+			'register': 'AIN1', 'limit': 1
+		});
+		test.deepEqual(
+			checkValues(alarmRule, [2, 0.5, 0.9, 1, 1.5]),
+			[null, 'raised', null, 'cleared', null]
+		);
+		test.done();
+	},
+	rateOfChange: function(test) {
+		var alarmRule = alarm_rules.createAlarmRule({
+			'name': 'Rate', 'serial': '470010001', 'type': 'rateOfChange',
+			'register': 'AIN0', 'limit': 0.5
+		});
+		test.deepEqual(
+			checkValues(alarmRule, [0, 0.2, 1, 0.3, 0.4, 0.4]),
+			[null, null, 'raised', null, 'cleared', null]
+		);
+		test.done();
+	},
+	dioStateAndDisconnected: function(test) {
+		var dioRule = alarm_rules.createAlarmRule({
+			'name': 'Door', 'serial': '470010001', 'type': 'dioState',
+			'register': 'FIO2', 'state': 0
+		});
+		test.deepEqual(
+			checkValues(dioRule, [1, 0, 0, 1]),
+			[null, 'raised', null, 'cleared']
+		);
+		var lostRule = alarm_rules.createAlarmRule({
+			'name': 'Lost', 'serial': '470010002', 'type': 'disconnected'
+		});
+		test.deepEqual(
+			checkValues(lostRule, [0, null, null, 0]),
+			[null, 'raised', null, 'cleared']
+		);
+		test.done();
+	},
+	events: function(test) {
+		var alarmRule = alarm_rules.createAlarmRule(highRule);
+		var event = alarmRule.check({'time': START_TIME, 'connected': true, 'value': 5});
+		test.deepEqual(event, {
+			'kind': 'raised',
+			'name': 'Tank pressure',
+			'type': 'high',
+			'serial': '470010001',
+			'register': 'AIN0',
+			'value': 5,
+			'time': START_TIME,
+			'message': 'AIN0 of device 470010001 is above 4.5'
+		});
+		test.strictEqual(alarmRule.changeTime, START_TIME);
+		event = alarmRule.check({'time': START_TIME + 1000, 'connected': true, 'value': 1});
+		test.strictEqual(event.message, 'Cleared: AIN0 of device 470010001 is above 4.5');
+		test.done();
+	},
+	formatLogLine: function(test) {
+		test.strictEqual(
+			alarm_rules.getLogHeader(),
+			'time,kind,name,serial,register,value,message\r\n'
+		);
+		test.strictEqual(alarm_rules.formatLogLine({
+			'kind': 'raised',
+			'name': 'Pressure, "tank"',
+			'serial': '470010002',
+			'register': '',
+			'value': null,
+			'time': START_TIME,
+			'message': 'device 470010002 is disconnected'
+		}), '2014-11-04T02:35:36.000Z,raised,"Pressure, ""tank""",470010002,,,' +
+			'device 470010002 is disconnected\r\n');
+		test.done();
+	}
+};
@@ -0,0 +1,175 @@
+/**
+ * Tests for the binary log format of the task_data_output_buffer task.
+**/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var q = require('q');
+var dict = require('dict');
+var async = require('async');
+
+var TASK_DIR = './../../../switchboard_modules/task_data_output_buffer';
+var binary_log = require(TASK_DIR + '/binary_log');
+var data_buffer = require(TASK_DIR + '/data_buffer');
+
+var LOG_DIR = os.tmpdir();
+var LOG_NAME = 'kipling_binary_log_test';
+var LOG_PATH = path.join(LOG_DIR, LOG_NAME + '.klog');
+var CSV_PATH = path.join(LOG_DIR, LOG_NAME + '.csv');
+var START_TIME = 1415068536000;
+var NUM_RECORDS = 2500;
+
+/**
+ * Write a log with one record every 10ms where AIN0 is the record number and
+ * FIO0 alternates between 0 & missing.
+**/
+var writeTestLog = function(isClosed) {
+	var encoder = new binary_log.BinaryLogEncoder(['AIN0', 'FIO0'], {
+		'columnTypes': {'FIO0': 'uint8'},
+		'indexInterval': 100
+	});
+	var buffers = [encoder.createHeader({'deviceSerial': 470010001})];
+	for(var i = 0; i < NUM_RECORDS; i++) {
+		buffers.push(encoder.encodeRecord({
+			'AIN0': i * 0.5,
+			'FIO0': (i % 2 === 0) ? '0' : undefined
+		}, START_TIME + i * 10));
+	}
+	if(isClosed) {
+		buffers.push(encoder.createTrailer());
+	}
+	fs.writeFileSync(LOG_PATH, Buffer.concat(buffers));
+};
+
+var removeLogFiles = function() {
+	fs.readdirSync(LOG_DIR).forEach(function(fileName) {
+		if(fileName.indexOf(LOG_NAME) >= 0) {
+			fs.unlinkSync(path.join(LOG_DIR, fileName));
+		}
+	});
+};
+
+module.exports = {
+	tearDown: function(callback) {
+		removeLogFiles();
+		callback();
+	},
+	readHeader: function(test) {
+		writeTestLog(true);
+		var reader = new binary_log.BinaryLogReader(LOG_PATH);
+		test.ok(reader.isIndexed);
+		test.strictEqual(reader.numRecords, NUM_RECORDS);
+		test.strictEqual(reader.index.length, NUM_RECORDS / 100);
+		test.deepEqual(reader.columns, [
+			{'name': 'AIN0', 'type': 'float64'},
+			{'name': 'FIO0', 'type': 'uint8'}
+		]);
+		test.deepEqual(reader.metadata, {'deviceSerial': 470010001});
+		reader.close();
+		test.done();
+	},
+	readTimeRange: function(test) {
+		writeTestLog(true);
+		var reader = new binary_log.BinaryLogReader(LOG_PATH);
+		var records = reader.readRange(START_TIME + 12345, START_TIME + 12400);
+		test.strictEqual(records.length, 6);
+		test.strictEqual(records[0].time, START_TIME + 12350);
+		test.strictEqual(records[0].values.AIN0, 617.5);
+		test.strictEqual(records[0].values.FIO0, null);
+		test.strictEqual(records[1].values.AIN0, 618);
+		test.strictEqual(records[1].values.FIO0, 0);
+		test.strictEqual(reader.findRecord(START_TIME - 1), 0);
+		test.strictEqual(reader.findRecord(START_TIME + NUM_RECORDS * 10), NUM_RECORDS);
+		reader.close();
+		test.done();
+	},
+	readUnclosedLog: function(test) {
+		writeTestLog(false);
+		var reader = new binary_log.BinaryLogReader(LOG_PATH);
+		test.ok(!reader.isIndexed);
+		test.strictEqual(reader.numRecords, NUM_RECORDS);
+		var records = reader.readRange(START_TIME + 24980);
+		test.strictEqual(records.length, 2);
+		test.strictEqual(records[1].values.AIN0, (NUM_RECORDS - 1) * 0.5);
+		reader.close();
+		test.done();
+	},
+	rejectTextFile: function(test) {
+		fs.writeFileSync(LOG_PATH, 'AIN0\r\n1.0\r\n');
+		test.throws(function() {
+			var reader = new binary_log.BinaryLogReader(LOG_PATH);
+		});
+		test.done();
+	},
+	convertToCSV: function(test) {
+		writeTestLog(true);
+		var reader = new binary_log.BinaryLogReader(LOG_PATH);
+		var numRows = reader.convertToText(CSV_PATH, {
+			'startTime': START_TIME,
+			'endTime': START_TIME + 10,
+			'formatting': {'lineEnding': '\n'}
+		});
+		reader.close();
+		test.strictEqual(numRows, 2);
+		test.strictEqual(fs.readFileSync(CSV_PATH, 'utf8'), [
+			'timestamp,AIN0,FIO0',
+			'2014-11-04T02:35:36.000000Z,0,0',
+			'2014-11-04T02:35:36.010000Z,0.5,NaN',
+			''
+		].join('\n'));
+		test.done();
+	},
+	writeBinaryLog: function(test) {
+		data_buffer.includeTask({
+			'q': q,
+			'dict': dict,
+			'async': async,
+			'task_manager': {
+				'task_state_options': ['included', 'initialized', 'idle', 'active']
+			}
+		});
+		data_buffer.initTask()
+		.then(data_buffer.startTask)
+		.then(function() {
+			return data_buffer.addOutputBuffer({
+				'key': LOG_NAME,
+				'type': 'localFile',
+				'location': LOG_DIR,
+				'fileName': LOG_NAME,
+				'fileEnding': '.klog',
+				'dataKeys': ['AIN0', 'AIN1'],
+				'maxNumRows': 2,
+				'metadata': {'deviceSerial': 470010001},
+				'formatting': {'format': 'binary', 'columnTypes': {'AIN1': 'float32'}}
+			});
+		})
+		.then(function(dataBuffer) {
+			dataBuffer.write('single', {'AIN0': 0, 'AIN1': 1.5});
+			dataBuffer.writeArray('multiple', [{'AIN0': [1, 2, 3]}]);
+			return data_buffer.removeOutputBuffer(LOG_NAME);
+		})
+		.then(data_buffer.stopTask)
+		.then(function() {
+			var reader = new binary_log.BinaryLogReader(
+				path.join(LOG_DIR, LOG_NAME + '_0.klog')
+			);
+			var records = reader.readRange();
+			reader.close();
+			test.ok(reader.isIndexed);
+			test.strictEqual(reader.metadata.deviceSerial, 470010001);
+			test.strictEqual(reader.metadata.format, 'binary');
+			test.deepEqual(records.map(function(record) {
+				return record.values.AIN0;
+			}), [0, 1, 2, 3]);
+			test.deepEqual(records.map(function(record) {
+				return String(record.values.AIN1);
+			}), ['1.5', 'null', 'null', 'null']);
+			test.ok(records[0].time <= records[1].time);
+			test.done();
+		}, function(err) {
+			test.ok(false, 'Error writing binary log: ' + err);
+			test.done();
+		});
+	}
+};
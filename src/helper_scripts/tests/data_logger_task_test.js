@@ -0,0 +1,291 @@
+/**
+ * Tests for the task_data_logger task using simulated devices.
+**/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var q = require('q');
+var dict = require('dict');
+var async = require('async');
+var test_device_controller = require('./../../test_device_controller');
+var device_controller = test_device_controller.useSimulatedDriver();
+
+var data_buffer = require('./../../../switchboard_modules/task_data_output_buffer/data_buffer');
+var data_logger = require('./../../../switchboard_modules/task_data_logger/data_logger');
+
+var LOG_DIR = path.join(os.tmpdir(), 'kipling_data_logger_test');
+var DEVICE_SERIALS = ['470010001', '470010002'];
+
+var tasks = {
+	'task_data_output_buffer': data_buffer,
+	'task_data_logger': data_logger
+};
+var fakeTaskManager = {
+	'task_state_options': ['included', 'initialized', 'idle', 'active'],
+	'getTask': function(taskName) {
+		return tasks[taskName];
+	}
+};
+var sharedLibs = {
+	'q': q,
+	'dict': dict,
+	'async': async,
+	'task_manager': fakeTaskManager,
+	'device_controller': device_controller
+};
+
+var openDevice = function(serial) {
+	return test_device_controller.qOpenDevice(serial)
+	.then(function(device) {
+		device_controller.getDeviceKeeper().addDevice(device);
+		return device;
+	});
+};
+
+var wait = function(ms) {
+	return function(result) {
+		var defered = q.defer();
+		setTimeout(function() {
+			defered.resolve(result);
+		}, ms);
+		return defered.promise;
+	};
+};
+
+var reportError = test_device_controller.reportError;
+
+module.exports = {
+	setUp: function(callback) {
+		if(fs.existsSync(LOG_DIR)) {
+			fs.readdirSync(LOG_DIR).forEach(function(fileName) {
+				fs.unlinkSync(path.join(LOG_DIR, fileName));
+			});
+		} else {
+			fs.mkdirSync(LOG_DIR);
+		}
+		data_buffer.includeTask(sharedLibs);
+		data_logger.includeTask(sharedLibs);
+		callback();
+	},
+	tearDown: function(callback) {
+		test_device_controller.closeOpenedDevices();
+		device_controller.getDeviceKeeper().clearRecord();
+		callback();
+	},
+	validateConfig: function(test) {
+		var config = {
+			'location': LOG_DIR,
+			'name': 'log',
+			'format': 'csv',
+			'sampleRate': 10,
+			'devices': [{'serial': '470010001', 'channels': ['AIN0']}]
+		};
+		test.strictEqual(data_logger.validateConfig(config), null);
+		config.sampleRate = data_logger.MAX_SAMPLE_RATE + 1;
+		test.notStrictEqual(data_logger.validateConfig(config), null);
+		// Streamed rates are shared by the registers of a device.
+		config.sampleRate = data_logger.MAX_SAMPLE_RATE;
+		test.strictEqual(data_logger.validateConfig(config), null);
+		config.devices[0].channels = ['AIN0', 'AIN1'];
+		test.notStrictEqual(data_logger.validateConfig(config), null);
+		config.devices[0].channels = ['AIN0'];
+		config.sampleRate = 10;
+		config.name = '../log';
+		test.notStrictEqual(data_logger.validateConfig(config), null);
+		config.name = 'log';
+		config.virtualChannels = [{'name': 'PRESSURE', 'source': 'AIN0', 'scale': Number}];
+		test.strictEqual(data_logger.validateConfig(config), null);
+		config.virtualChannels.push({'name': 'PRESSURE', 'source': 'AIN1', 'scale': Number});
+		test.notStrictEqual(data_logger.validateConfig(config), null);
+		config.virtualChannels = [{'name': 'PRESSURE', 'source': 'AIN0'}];
+		test.notStrictEqual(data_logger.validateConfig(config), null);
+		delete config.virtualChannels;
+		config.devices.push({'serial': '470010001', 'channels': ['AIN1']});
+		test.notStrictEqual(data_logger.validateConfig(config), null);
+		test.done();
+	},
+	rejectClosedDevice: function(test) {
+		data_logger.initTask()
+		.then(data_logger.startTask)
+		.then(function() {
+			return data_logger.startLogging({
+				'location': LOG_DIR,
+				'devices': [{'serial': '470010009', 'channels': ['AIN0']}]
+			});
+		})
+		.then(function() {
+			test.ok(false, 'Logging started without an open device');
+			test.done();
+		}, function(err) {
+			test.ok(String(err).indexOf('470010009') >= 0);
+			test.ok(!data_logger.isLogging());
+			data_logger.stopTask().then(function() {
+				test.done();
+			});
+		});
+	},
+	logMultipleDevices: function(test) {
+		openDevice(DEVICE_SERIALS[0])
+		.then(function() {
+			return openDevice(DEVICE_SERIALS[1]);
+		})
+		.then(data_logger.initTask)
+		.then(data_logger.startTask)
+		.then(function() {
+			return data_logger.startLogging({
+				'location': LOG_DIR,
+				'name': 'multiDevice',
+				'sampleRate': 20,
+				'devices': [
+					{'serial': DEVICE_SERIALS[0], 'channels': ['AIN0', 'AIN1']},
+					{'serial': DEVICE_SERIALS[1], 'channels': ['FIO0']}
+				]
+			});
+		})
+		.then(function(status) {
+			test.ok(status.isLogging);
+			test.strictEqual(data_logger.getTaskState(), 'active');
+		})
+		.then(wait(1500))
+		.then(function() {
+			// Rows are written to files while logging.
+			var status = data_logger.getStatus();
+			test.ok(status.devices[0].numRowsWritten > 0);
+			test.deepEqual(status.devices[0].fileNames, ['multiDevice_470010001_0.csv']);
+			return data_logger.stopLogging();
+		})
+		.then(function(status) {
+			test.ok(!status.isLogging);
+			test.strictEqual(data_logger.getTaskState(), 'idle');
+			status.devices.forEach(function(deviceStatus) {
+				test.strictEqual(deviceStatus.numReadErrors, 0);
+				test.strictEqual(deviceStatus.numRowsWritten, deviceStatus.numSamples);
+				test.ok(deviceStatus.numSamples >= 20);
+				var contents = fs.readFileSync(deviceStatus.filePaths[0], 'utf8');
+				var lines = contents.trim().split('\r\n');
+				var columns = ['timestamp'].concat(deviceStatus.channels).join(',');
+				test.ok(contents.indexOf('# deviceSerial: ' + deviceStatus.serial) >= 0);
+				test.ok(lines.indexOf(columns) >= 0);
+				test.strictEqual(
+					lines.length - lines.indexOf(columns) - 1,
+					deviceStatus.numRowsWritten
+				);
+			});
+			return data_logger.stopTask();
+		})
+		.then(data_buffer.stopTask)
+		.then(function() {
+			test.done();
+		}, reportError(test));
+	},
+	logStreamed: function(test) {
+		var sampleRate = 1000;
+		openDevice(DEVICE_SERIALS[0])
+		.then(data_logger.initTask)
+		.then(data_logger.startTask)
+		.then(function() {
+			test.ok(sampleRate > data_logger.MAX_POLLED_SAMPLE_RATE);
+			return data_logger.startLogging({
+				'location': LOG_DIR,
+				'name': 'streamed',
+				'sampleRate': sampleRate,
+				'timestamp': 'epochMs',
+				'devices': [{'serial': DEVICE_SERIALS[0], 'channels': ['AIN0', 'SCALED']}],
+				'virtualChannels': [{
+					'name': 'SCALED',
+					'source': 'AIN0',
+					'scale': function(raw) {
+						return raw * 10;
+					}
+				}]
+			});
+		})
+		.then(function(status) {
+			test.ok(status.isStreamed);
+			test.ok(device_controller.getDeviceKeeper().getDevice(DEVICE_SERIALS[0]).isStreaming());
+		})
+		.then(wait(1000))
+		.then(data_logger.stopLogging)
+		.then(function(status) {
+			var deviceStatus = status.devices[0];
+			test.ok(!device_controller.getDeviceKeeper().getDevice(DEVICE_SERIALS[0]).isStreaming());
+			test.strictEqual(deviceStatus.numReadErrors, 0);
+			// Far more rows than polling at MAX_POLLED_SAMPLE_RATE would give.
+			test.ok(deviceStatus.numSamples >= 500, String(deviceStatus.numSamples));
+			test.strictEqual(deviceStatus.numRowsWritten, deviceStatus.numSamples);
+			var contents = fs.readFileSync(deviceStatus.filePaths[0], 'utf8');
+			var lines = contents.trim().split('\r\n');
+			var headerIndex = lines.indexOf('timestamp,AIN0,SCALED');
+			test.ok(headerIndex >= 0);
+			var rows = lines.slice(headerIndex + 1).map(function(line) {
+				return line.split(',').map(Number);
+			});
+			test.strictEqual(rows.length, deviceStatus.numSamples);
+			// Each row has the time of its scan.
+			test.ok(rows.slice(1).every(function(row, i) {
+				return Math.abs(row[0] - rows[i][0] - 1000 / sampleRate) < 0.5;
+			}));
+			test.ok(rows.every(function(row) {
+				return Math.abs(row[2] - row[1] * 10) < 0.000001;
+			}));
+			return data_logger.stopTask();
+		})
+		.then(data_buffer.stopTask)
+		.then(function() {
+			test.done();
+		}, reportError(test));
+	},
+	logVirtualChannels: function(test) {
+		openDevice(DEVICE_SERIALS[0])
+		.then(data_logger.initTask)
+		.then(data_logger.startTask)
+		.then(function() {
+			return data_logger.startLogging({
+				'location': LOG_DIR,
+				'name': 'virtual',
+				'sampleRate': 20,
+				'devices': [
+					{'serial': DEVICE_SERIALS[0], 'channels': ['AIN0', 'PRESSURE', 'OFFSET']}
+				],
+				'virtualChannels': [{
+					'name': 'PRESSURE',
+					'source': 'AIN0',
+					'unit': 'psi',
+					'scale': function(raw) {
+						return raw * 2 + 1;
+					}
+				}, {
+					'name': 'OFFSET',
+					'source': 'AIN0',
+					'scale': function(raw) {
+						return raw - 1;
+					}
+				}]
+			});
+		})
+		.then(wait(500))
+		.then(data_logger.stopLogging)
+		.then(function(status) {
+			var deviceStatus = status.devices[0];
+			test.strictEqual(deviceStatus.numReadErrors, 0);
+			test.ok(deviceStatus.numRowsWritten > 0);
+			var contents = fs.readFileSync(deviceStatus.filePaths[0], 'utf8');
+			var lines = contents.trim().split('\r\n');
+			var headerIndex = lines.indexOf('timestamp,AIN0,PRESSURE,OFFSET');
+			test.ok(headerIndex >= 0);
+			test.ok(contents.indexOf('# virtualChannels.PRESSURE.source: AIN0') >= 0);
+			test.ok(contents.indexOf('# virtualChannels.PRESSURE.unit: psi') >= 0);
+			lines.slice(headerIndex + 1).forEach(function(line) {
+				var values = line.split(',').map(Number);
+				test.ok(Math.abs(values[2] - (values[1] * 2 + 1)) < 0.000001);
+				test.ok(Math.abs(values[3] - (values[1] - 1)) < 0.000001);
+			});
+			return data_logger.stopTask();
+		})
+		.then(data_buffer.stopTask)
+		.then(function() {
+			test.done();
+		}, reportError(test));
+	}
+};
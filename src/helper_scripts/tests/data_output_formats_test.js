@@ -0,0 +1,170 @@
+/**
+ * Tests for the log file formats of the task_data_output_buffer task.
+**/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var q = require('q');
+var dict = require('dict');
+var async = require('async');
+
+var TASK_DIR = './../../../switchboard_modules/task_data_output_buffer';
+var output_formats = require(TASK_DIR + '/output_formats');
+var data_buffer = require(TASK_DIR + '/data_buffer');
+
+var LOG_DIR = os.tmpdir();
+var LOG_NAME = 'kipling_data_output_formats_test';
+// Tue, 04 Nov 2014 02:35:36.123456 GMT
+var TEST_TIME = 1415068536123.456;
+
+var createFormatter = function(formatting, dataKeys) {
+	return new output_formats.Formatter(
+		output_formats.resolveFormatting(formatting),
+		dataKeys
+	);
+};
+
+var removeLogFiles = function() {
+	fs.readdirSync(LOG_DIR).forEach(function(fileName) {
+		if(fileName.indexOf(LOG_NAME) >= 0) {
+			fs.unlinkSync(path.join(LOG_DIR, fileName));
+		}
+	});
+};
+
+module.exports = {
+	formatTimestamps: function(test) {
+		test.strictEqual(
+			output_formats.formatTimestamp(TEST_TIME, 'iso8601'),
+			'2014-11-04T02:35:36.123456Z'
+		);
+		test.strictEqual(
+			output_formats.formatTimestamp(TEST_TIME, 'epoch'),
+			'1415068536.123456'
+		);
+		test.strictEqual(
+			output_formats.formatTimestamp(TEST_TIME, 'epochMs'),
+			'1415068536123.456'
+		);
+		var clock = new output_formats.Clock();
+		test.ok(Math.abs(clock.now() - Date.now()) < 1000);
+		test.done();
+	},
+	validateFormatting: function(test) {
+		test.strictEqual(output_formats.validateFormatting(undefined), null);
+		test.strictEqual(output_formats.validateFormatting({'format': 'tsv'}), null);
+		test.notStrictEqual(output_formats.validateFormatting({'format': 'xls'}), null);
+		test.notStrictEqual(output_formats.validateFormatting({'timestamp': 'minutes'}), null);
+		test.done();
+	},
+	csvRows: function(test) {
+		var formatter = createFormatter(
+			{'timestamp': 'epoch'},
+			['AIN0', 'AIN1', 'NAME']
+		);
+		test.strictEqual(formatter.formatColumnHeader(), 'timestamp,AIN0,AIN1,NAME\r\n');
+		test.strictEqual(
+			formatter.formatRow({'AIN0': 0, 'AIN1': NaN, 'NAME': 'a,"b"'}, TEST_TIME),
+			'1415068536.123456,0,NaN,"a,""b"""'
+		);
+		test.done();
+	},
+	tsvRowsWithMissingValues: function(test) {
+		var formatter = createFormatter(
+			{'format': 'tsv', 'missingValue': 'empty', 'lineEnding': '\n'},
+			['AIN0', 'AIN1']
+		);
+		test.strictEqual(formatter.formatColumnHeader(), 'AIN0\tAIN1\n');
+		test.strictEqual(formatter.formatRow({'AIN0': 1.5}, TEST_TIME), '1.5\t');
+		test.done();
+	},
+	legacyMissingValue: function(test) {
+		var formatter = createFormatter({'misingValue': '-9999'}, ['AIN0']);
+		test.strictEqual(formatter.formatRow({}, TEST_TIME), '-9999');
+		test.done();
+	},
+	jsonLines: function(test) {
+		var formatter = createFormatter(
+			{'format': 'ndjson', 'timestamp': 'iso8601', 'timestampKey': 'time'},
+			['AIN0', 'AIN1']
+		);
+		test.strictEqual(formatter.formatColumnHeader(), '');
+		test.deepEqual(JSON.parse(formatter.formatRow({'AIN0': 2}, TEST_TIME)), {
+			'time': '2014-11-04T02:35:36.123456Z',
+			'AIN0': 2,
+			'AIN1': null
+		});
+		test.deepEqual(JSON.parse(formatter.formatMetadata({'deviceSerial': 470010001})), {
+			'metadata': {'deviceSerial': 470010001}
+		});
+		test.done();
+	},
+	metadataBlock: function(test) {
+		var formatter = createFormatter({}, ['AIN0']);
+		test.strictEqual(formatter.formatMetadata({
+			'deviceSerial': 470010001,
+			'channels': {'AIN0': {'range': 10}},
+			'columns': ['AIN0', 'AIN1']
+		}), [
+			'# deviceSerial: 470010001',
+			'# channels.AIN0.range: 10',
+			'# columns: AIN0, AIN1',
+			''
+		].join('\r\n'));
+		test.done();
+	},
+	writeLogFile: function(test) {
+		removeLogFiles();
+		data_buffer.includeTask({
+			'q': q,
+			'dict': dict,
+			'async': async,
+			'task_manager': {
+				'task_state_options': ['included', 'initialized', 'idle', 'active']
+			}
+		});
+		data_buffer.initTask()
+		.then(data_buffer.startTask)
+		.then(function() {
+			return data_buffer.addOutputBuffer({
+				'key': LOG_NAME,
+				'type': 'localFile',
+				'location': LOG_DIR,
+				'fileName': LOG_NAME,
+				'fileEnding': '.csv',
+				'dataKeys': ['AIN0', 'AIN1'],
+				'includeHeaderInfo': true,
+				'metadata': {'deviceSerial': 470010001},
+				'formatting': {'timestamp': 'iso8601', 'lineEnding': '\n'}
+			});
+		})
+		.then(function(dataBuffer) {
+			dataBuffer.write('single', {'AIN0': 0, 'AIN1': 1.2});
+			dataBuffer.writeArray('multiple', [{'AIN0': [1, 2]}]);
+			return data_buffer.removeOutputBuffer(LOG_NAME);
+		})
+		.then(data_buffer.stopTask)
+		.then(function() {
+			var logFile = path.join(LOG_DIR, LOG_NAME + '_0.csv');
+			var lines = fs.readFileSync(logFile, 'utf8').split('\n');
+			var comments = lines.filter(function(line) {
+				return line.indexOf('# ') === 0;
+			});
+			var rows = lines.filter(function(line) {
+				return line !== '' && line.indexOf('# ') !== 0;
+			});
+			test.ok(comments.indexOf('# deviceSerial: 470010001') >= 0);
+			test.ok(comments.indexOf('# format: csv') >= 0);
+			test.strictEqual(rows[0], 'timestamp,AIN0,AIN1');
+			test.ok((/^\d{4}-\d\d-\d\dT[\d:]+\.\d{6}Z,0,1\.2$/).test(rows[1]), rows[1]);
+			test.ok((/,1,NaN$/).test(rows[2]), rows[2]);
+			test.ok((/,2,NaN$/).test(rows[3]), rows[3]);
+			removeLogFiles();
+			test.done();
+		}, function(err) {
+			test.ok(false, 'Error writing log file: ' + err);
+			test.done();
+		});
+	}
+};
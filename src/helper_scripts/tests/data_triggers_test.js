@@ -0,0 +1,165 @@
+/**
+ * Tests for trigger-based logging in the task_data_output_buffer task.
+**/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var q = require('q');
+var dict = require('dict');
+var async = require('async');
+
+var TASK_DIR = './../../../switchboard_modules/task_data_output_buffer';
+var triggers = require(TASK_DIR + '/triggers');
+var data_buffer = require(TASK_DIR + '/data_buffer');
+
+var LOG_DIR = os.tmpdir();
+var LOG_NAME = 'kipling_data_triggers_test';
+var START_TIME = 1415068536000;
+
+/**
+ * Create "single" data points for a channel's values, one every 10ms.
+**/
+var createDataPoints = function(channel, values) {
+	return values.map(function(value, i) {
+		var row = {};
+		row[channel] = value;
+		return {'dataType': 'single', 'data': row, 'time': START_TIME + i * 10};
+	});
+};
+
+var getValues = function(channel, dataPoints) {
+	return dataPoints.map(function(dataPoint) {
+		return dataPoint.data[channel];
+	});
+};
+
+module.exports = {
+	tearDown: function(callback) {
+		fs.readdirSync(LOG_DIR).forEach(function(fileName) {
+			if(fileName.indexOf(LOG_NAME) >= 0) {
+				fs.unlinkSync(path.join(LOG_DIR, fileName));
+			}
+		});
+		callback();
+	},
+	validateTriggering: function(test) {
+		test.strictEqual(triggers.validateTriggering({
+			'start': {'type': 'threshold', 'channel': 'AIN0', 'level': 1},
+			'stop': [{'type': 'duration', 'duration': 1000}],
+			'preTriggerTime': 500
+		}), null);
+		test.notStrictEqual(triggers.validateTriggering({
+			'start': {'type': 'duration', 'duration': 1000}
+		}), null);
+		test.notStrictEqual(triggers.validateTriggering({
+			'start': {'type': 'threshold', 'channel': 'AIN0', 'level': 1, 'edge': 'up'}
+		}), null);
+		test.notStrictEqual(triggers.validateTriggering({
+			'start': {'type': 'schedule', 'time': 'not a date'}
+		}), null);
+		test.notStrictEqual(triggers.validateTriggering({'preTriggerRows': -1}), null);
+		test.ok(!triggers.hasConditions({'preTriggerRows': 10}));
+		test.done();
+	},
+	thresholdWithHysteresis: function(test) {
+		var gate = new triggers.TriggerGate({
+			'start': {'type': 'threshold', 'channel': 'AIN0', 'level': 2, 'hysteresis': 0.5},
+			'stop': {'type': 'threshold', 'channel': 'AIN0', 'level': 1, 'edge': 'falling'}
+		}, ['AIN0']);
+		// Already above the level when logging starts, then noise around the
+		// level that doesn't cross the hysteresis band.
+		var values = [3, 2.5, 1.6, 2.1, 1.4, 2.2, 1.8, 0.9, 1.9, 2.4];
+		var recorded = gate.filter(createDataPoints('AIN0', values));
+		// Stops when falling through 1 & starts again once re-armed.
+		test.deepEqual(getValues('AIN0', recorded), [2.2, 1.8, 0.9, 2.4]);
+		test.strictEqual(gate.numEvents, 2);
+		test.ok(gate.isRecording);
+		test.done();
+	},
+	preTriggerWindow: function(test) {
+		var gate = new triggers.TriggerGate({
+			'start': {'type': 'dioChange', 'channel': 'FIO0', 'state': 'high'},
+			'stop': {'type': 'duration', 'duration': 20},
+			'preTriggerRows': 2
+		}, ['FIO0']);
+		var values = [0, 0, 0, 0, 1, 1, 1, 1, 0, 0, 0, 1, 1];
+		var recorded = gate.filter(createDataPoints('FIO0', values));
+		// Each event logs the 2 preceding rows & the rows until 20ms later.
+		test.deepEqual(recorded.map(function(dataPoint) {
+			return (dataPoint.time - START_TIME) / 10;
+		}), [2, 3, 4, 5, 6, 9, 10, 11, 12]);
+		test.strictEqual(gate.numEvents, 2);
+		test.done();
+	},
+	preTriggerTime: function(test) {
+		var ringBuffer = new triggers.RingBuffer(25, 0);
+		createDataPoints('AIN0', [0, 1, 2, 3, 4, 5]).forEach(ringBuffer.push);
+		test.deepEqual(getValues('AIN0', ringBuffer.drain()), [3, 4, 5]);
+		test.strictEqual(ringBuffer.getNumRows(), 0);
+		test.done();
+	},
+	scheduleAndMultipleRows: function(test) {
+		var gate = new triggers.TriggerGate({
+			'start': {'type': 'schedule', 'time': START_TIME + 15, 'interval': 1000},
+			'stop': {'type': 'threshold', 'channel': 'AIN1', 'level': 5}
+		}, ['AIN0', 'AIN1']);
+		var dataPoint = {
+			'dataType': 'multiple',
+			'data': {'AIN0': [0, 1, 2], 'AIN1': [4, 6, 4]},
+			'time': START_TIME + 20
+		};
+		test.deepEqual(gate.filter(createDataPoints('AIN0', [0, 1])), []);
+		var recorded = gate.filter([dataPoint]);
+		test.deepEqual(recorded.map(function(recordedPoint) {
+			return recordedPoint.data;
+		}), [{'AIN0': 0, 'AIN1': 4}, {'AIN0': 1, 'AIN1': 6}]);
+		test.strictEqual(recorded[0].dataType, 'single');
+		test.done();
+	},
+	logTriggeredRows: function(test) {
+		data_buffer.includeTask({
+			'q': q,
+			'dict': dict,
+			'async': async,
+			'task_manager': {
+				'task_state_options': ['included', 'initialized', 'idle', 'active']
+			}
+		});
+		data_buffer.initTask()
+		.then(data_buffer.startTask)
+		.then(function() {
+			return data_buffer.addOutputBuffer({
+				'key': LOG_NAME,
+				'type': 'localFile',
+				'location': LOG_DIR,
+				'fileName': LOG_NAME,
+				'fileEnding': '.csv',
+				'dataKeys': ['AIN0'],
+				'formatting': {'lineEnding': '\n'},
+				'triggering': {
+					'start': {'type': 'threshold', 'channel': 'AIN0', 'level': 1},
+					'preTriggerRows': 1
+				}
+			});
+		})
+		.then(function(dataBuffer) {
+			dataBuffer.writeArray('single', [0, 0.5, 1.5, 0.2].map(function(value) {
+				return {'AIN0': value};
+			}));
+			return data_buffer.removeOutputBuffer(LOG_NAME);
+		})
+		.then(data_buffer.stopTask)
+		.then(function() {
+			var filePath = path.join(LOG_DIR, LOG_NAME + '_0.csv');
+			test.strictEqual(
+				fs.readFileSync(filePath, 'utf8'),
+				'AIN0\n0.5\n1.5\n0.2\n'
+			);
+			test.done();
+		}, function(err) {
+			test.ok(false, 'Error writing triggered log: ' + err);
+			test.done();
+		});
+	}
+};
@@ -0,0 +1,234 @@
+/**
+ * Tests for device configuration profiles, using the simulated driver.
+**/
+
+var q = require('q');
+var test_device_controller = require('./../../test_device_controller');
+test_device_controller.useSimulatedDriver();
+var device_profiles = require('./../device_profiles');
+
+var SERIALS = ['470010001', '470010002'];
+
+var registerInfo = test_device_controller.getRegisterInfo();
+var expandedRegisters = registerInfo.expandedRegisters;
+var registerInfoByName = registerInfo.registerInfoByName;
+
+var openDevice = test_device_controller.qOpenDevice;
+
+var readRegister = function(device, register) {
+	var defered = q.defer();
+	device.readAsync(register, defered.reject, defered.resolve);
+	return defered.promise;
+};
+
+var getNames = function(registers) {
+	return registers.map(function(register) {
+		return register.name;
+	});
+};
+
+var createProfile = function(registers, luaScript) {
+	return {
+		'name': 'Bench',
+		'createdTime': '2014-11-04T02:35:36.123Z',
+		'source': {'serial': 470010001, 'deviceType': 'T7', 'firmwareVersion': 1.0150},
+		'registers': registers,
+		'luaScript': luaScript === undefined ? null : luaScript
+	};
+};
+
+var reportError = test_device_controller.reportError;
+
+module.exports = {
+	tearDown: test_device_controller.closeOpenedDevices,
+	selectProfileRegisters: function(test) {
+		var names = getNames(device_profiles.selectProfileRegisters(
+			expandedRegisters,
+			'T7',
+			1.0150
+		));
+		['AIN0_RANGE', 'AIN0_EF_INDEX', 'AIN0_EF_CONFIG_A', 'FIO_DIRECTION', 'DIO0_EF_ENABLE',
+			'DIO_EF_CLOCK0_DIVISOR', 'ETHERNET_IP_DEFAULT', 'WIFI_SSID_DEFAULT', 'DEVICE_NAME_DEFAULT',
+			'WATCHDOG_DAC0_DEFAULT', 'LUA_RUN_DEFAULT'].forEach(function(name) {
+			test.ok(names.indexOf(name) >= 0, name + ' should be in profiles');
+		});
+		['SERIAL_NUMBER', 'AIN0', 'DAC0', 'AIN_ALL_RANGE', 'AIN0_EF_READ_B', 'ASYNCH_BAUD',
+			'LUA_RUN', 'LUA_SOURCE_WRITE', 'FIO_EIO_STATE', 'WIFI_PASSWORD_DEFAULT'].forEach(function(name) {
+			test.ok(names.indexOf(name) < 0, name + ' should not be in profiles');
+		});
+		test.done();
+	},
+	planProfileWrites: function(test) {
+		var writes = device_profiles.planProfileWrites({
+			'DIO0_EF_ENABLE': 1,
+			'DIO0_EF_CONFIG_A': 500,
+			'DIO0_EF_INDEX': 0,
+			'AIN0_RANGE': 1,
+			'DIO_EF_CLOCK0_ENABLE': 1,
+			'DIO_EF_CLOCK0_DIVISOR': 8
+		});
+		test.deepEqual(writes, [
+			{'name': 'DIO0_EF_ENABLE', 'value': 0, 'isDisable': true},
+			{'name': 'DIO_EF_CLOCK0_ENABLE', 'value': 0, 'isDisable': true},
+			{'name': 'DIO0_EF_INDEX', 'value': 0},
+			{'name': 'DIO0_EF_CONFIG_A', 'value': 500},
+			{'name': 'AIN0_RANGE', 'value': 1},
+			{'name': 'DIO_EF_CLOCK0_DIVISOR', 'value': 8},
+			{'name': 'DIO_EF_CLOCK0_ENABLE', 'value': 1},
+			{'name': 'DIO0_EF_ENABLE', 'value': 1}
+		]);
+		test.done();
+	},
+	checkProfile: function(test) {
+		var fwmin = registerInfoByName.FIO_DIRECTION.devices[0].fwmin;
+		var profile = createProfile({
+			'AIN0_RANGE': 1,
+			'FIO_DIRECTION': 255,
+			'SERIAL_NUMBER': 470010001,
+			'NOT_A_REGISTER': 2
+		});
+		var result = device_profiles.checkProfile(profile, registerInfoByName, 'T7', fwmin - 0.01);
+		test.deepEqual(result.applicable, ['AIN0_RANGE']);
+		test.deepEqual(getNames(result.unsupported).sort(), ['FIO_DIRECTION', 'NOT_A_REGISTER', 'SERIAL_NUMBER']);
+		result = device_profiles.checkProfile(profile, registerInfoByName, 'T7', fwmin);
+		test.deepEqual(result.applicable, ['AIN0_RANGE', 'FIO_DIRECTION']);
+		test.done();
+	},
+	exportAndImport: function(test) {
+		var profile = createProfile({'AIN0_RANGE': 1, 'DEVICE_NAME_DEFAULT': 'Bench'}, 'print("hi")');
+		test.deepEqual(device_profiles.importProfile(device_profiles.exportProfile(profile)), profile);
+		test.throws(function() {
+			device_profiles.importProfile('not json');
+		});
+		test.throws(function() {
+			device_profiles.importProfile(JSON.stringify({'registers': {}}));
+		});
+		test.throws(function() {
+			device_profiles.importProfile(JSON.stringify({
+				'type': device_profiles.PROFILE_FILE_TYPE,
+				'version': device_profiles.PROFILE_FILE_VERSION + 1,
+				'registers': {}
+			}));
+		});
+		test.throws(function() {
+			device_profiles.importProfile(JSON.stringify({
+				'type': device_profiles.PROFILE_FILE_TYPE,
+				'version': device_profiles.PROFILE_FILE_VERSION,
+				'registers': {'AIN0_RANGE': [1]}
+			}));
+		});
+		test.done();
+	},
+	cloneToDevices: function(test) {
+		var source;
+		var targets;
+		var registers;
+		var profile;
+		q.all([
+			openDevice(SERIALS[0]),
+			openDevice(SERIALS[1]),
+			openDevice('470010003', 'ETHERNET')
+		])
+		.then(function(devices) {
+			source = devices[0];
+			targets = devices.slice(1);
+			registers = device_profiles.selectProfileRegisters(
+				expandedRegisters,
+				source.getDeviceType(),
+				source.getFirmwareVersion()
+			);
+			return source.dwriteMany(
+				['AIN2_RANGE', 'FIO_DIRECTION', 'ETHERNET_IP_DEFAULT'],
+				[0.1, 5, 3232235777]
+			);
+		})
+		.then(function() {
+			return source.writeAsync('DEVICE_NAME_DEFAULT', 'Bench');
+		})
+		.then(function() {
+			return device_profiles.writeLuaScript(source, 'print("Hello")');
+		})
+		.then(function() {
+			return device_profiles.captureProfile(source, registers, 'Bench setup');
+		})
+		.then(function(captured) {
+			profile = captured.profile;
+			test.deepEqual(captured.errors, {});
+			test.strictEqual(profile.name, 'Bench setup');
+			test.strictEqual(String(profile.source.serial), SERIALS[0]);
+			test.strictEqual(Object.keys(profile.registers).length, registers.length);
+			test.strictEqual(profile.luaScript, 'print("Hello")');
+			return device_profiles.applyProfileToDevices(targets, profile, registerInfoByName, {
+				'setDefaults': true
+			});
+		})
+		.then(function(results) {
+			results.forEach(function(result) {
+				test.ok(result.success, device_profiles.formatApplyReport([result]));
+				test.strictEqual(result.numWritten, registers.length - device_profiles.UNIT_SPECIFIC_REGISTERS.length);
+				test.ok(result.luaScriptWritten);
+				test.ok(result.defaultsSaved);
+			});
+			test.ok(device_profiles.formatApplyReport(results).indexOf('Device 470010002: OK') === 0);
+			return q.all(targets.map(function(device) {
+				return device.dreadMany(['AIN2_RANGE', 'FIO_DIRECTION', 'ETHERNET_IP_DEFAULT']);
+			}));
+		})
+		.then(function(values) {
+			values.forEach(function(deviceValues) {
+				test.strictEqual(deviceValues[0], 0.1);
+				test.strictEqual(deviceValues[1], 5);
+				// Each unit keeps its own IP address.
+				test.notStrictEqual(deviceValues[2], 3232235777);
+			});
+			return readRegister(targets[0], 'DEVICE_NAME_DEFAULT');
+		})
+		.then(function(name) {
+			test.strictEqual(name, 'Bench');
+			return device_profiles.readSavedLuaScript(targets[1]);
+		})
+		.then(function(luaScript) {
+			test.strictEqual(luaScript, 'print("Hello")');
+
+			// The profile was committed as the power-up defaults.
+			return targets[0].writeAsync('AIN2_RANGE', 10);
+		})
+		.then(function() {
+			return targets[0].writeAsync('IO_CONFIG_SET_CURRENT_TO_DEFAULT', 1);
+		})
+		.then(function() {
+			return readRegister(targets[0], 'AIN2_RANGE');
+		})
+		.then(function(range) {
+			test.strictEqual(range, 0.1);
+			test.done();
+		}, reportError(test));
+	},
+	applyReportsErrors: function(test) {
+		var profile = createProfile({
+			'AIN0_RANGE': 1,
+			'AIN1_RANGE': 3,
+			'SERIAL_NUMBER': 1,
+			'ETHERNET_IP_DEFAULT': 3232235777
+		});
+		openDevice(SERIALS[1])
+		.then(function(device) {
+			return device_profiles.applyProfile(device, profile, registerInfoByName, {
+				'keepUnitSettings': false,
+				'setDefaults': true
+			});
+		})
+		.then(function(result) {
+			test.ok(!result.success);
+			test.strictEqual(result.numWritten, 2);
+			test.deepEqual(getNames(result.unsupported), ['SERIAL_NUMBER']);
+			test.deepEqual(getNames(result.errors), ['AIN1_RANGE', device_profiles.DEFAULTS_REGISTER]);
+			test.ok(!result.defaultsSaved);
+			test.ok(!result.luaScriptWritten);
+			var report = device_profiles.formatApplyReport([result]);
+			test.ok(report.indexOf('Device 470010002: FAILED') === 0);
+			test.ok(report.indexOf('skipped SERIAL_NUMBER (read only)') >= 0);
+			test.done();
+		}, reportError(test));
+	}
+};
@@ -0,0 +1,270 @@
+/**
+ * Tests for stream mode acquisition on device_controller devices using the
+ * simulated driver.
+**/
+
+var q = require('q');
+var test_device_controller = require('./../../test_device_controller');
+var device_controller = test_device_controller.useSimulatedDriver();
+var device_stream_operations = device_controller.device_stream_operations_lib;
+
+var T7_SERIAL = '470010002';
+
+var openDevice = test_device_controller.qOpenDevice;
+
+var wait = function(ms) {
+	return function(result) {
+		var defered = q.defer();
+		setTimeout(function() {
+			defered.resolve(result);
+		}, ms);
+		return defered.promise;
+	};
+};
+
+var reportError = test_device_controller.reportError;
+
+var expectRejection = function(test, promise, message) {
+	return promise.then(function() {
+		test.ok(false, message);
+	}, function(err) {
+		test.ok(err !== undefined, message);
+	});
+};
+
+module.exports = {
+	tearDown: test_device_controller.closeOpenedDevices,
+	resolveStreamOptions: function(test) {
+		var options = device_stream_operations.resolveStreamOptions({
+			'scanList': ['AIN0', 'AIN1'],
+			'scanRate': 2000
+		});
+		test.strictEqual(options.scansPerRead, 200);
+		test.strictEqual(options.resolutionIndex, 0);
+		test.strictEqual(options.settlingUS, 0);
+		test.throws(function() {
+			device_stream_operations.resolveStreamOptions({'scanList': []});
+		});
+		test.throws(function() {
+			device_stream_operations.resolveStreamOptions({
+				'scanList': ['AIN0', 'AIN1'],
+				'scanRate': 60000
+			});
+		});
+		test.throws(function() {
+			device_stream_operations.resolveStreamOptions({
+				'scanList': ['AIN0'],
+				'resolutionIndex': 9
+			});
+		});
+		test.throws(function() {
+			device_stream_operations.resolveStreamOptions({
+				'scanList': ['AIN0'],
+				'scanrate': 10
+			});
+		});
+		test.done();
+	},
+	parseSkippedScans: function(test) {
+		var dummy = device_stream_operations.STREAM_DUMMY_VALUE;
+		var values = [1, 2, dummy, dummy, 5, dummy];
+		var rawData = new Buffer(values.length * 8);
+		values.forEach(function(value, i) {
+			rawData.writeDoubleLE(value, i * 8);
+		});
+		var result = device_stream_operations.parseStreamData({
+			'rawData': rawData,
+			'numAddresses': 2,
+			'scansPerRead': 3,
+			'time': 1000,
+			'timeIncrement': 10
+		});
+		test.strictEqual(result.numSkippedScans, 1);
+		test.strictEqual(result.scans.length, 2);
+		test.strictEqual(result.scans[0].time, 1000);
+		test.deepEqual(result.scans[0].values, [1, 2]);
+		// A single dummy sample is not a skipped scan.
+		test.strictEqual(result.scans[1].time, 1020);
+		test.deepEqual(result.scans[1].values, [5, dummy]);
+		test.done();
+	},
+	streamScans: function(test) {
+		var device;
+		var callbackScans = [];
+		var numEventScans = 0;
+		openDevice(T7_SERIAL)
+		.then(function(openedDevice) {
+			device = openedDevice;
+			return device.qWrite('DAC0', 2.5);
+		})
+		.then(function() {
+			return device.startStream({
+				'scanList': ['AIN0', 'FIO_STATE'],
+				'scanRate': 1000,
+				'scansPerRead': 100,
+				'resolutionIndex': 1,
+				'onScans': function(scanData) {
+					test.deepEqual(scanData.scanList, ['AIN0', 'FIO_STATE']);
+					test.strictEqual(scanData.numSkippedScans, 0);
+					callbackScans.push.apply(callbackScans, scanData.scans);
+				}
+			});
+		})
+		.then(function(stream) {
+			test.ok(device.isStreaming());
+			test.strictEqual(stream.actualScanRate, 1000);
+			stream.on('scans', function(scanData) {
+				numEventScans += scanData.scans.length;
+			});
+			return expectRejection(
+				test,
+				device.startStream({'scanList': ['AIN0']}),
+				'Started a second stream'
+			);
+		})
+		.then(function() {
+			return device.qRead('STREAM_RESOLUTION_INDEX');
+		})
+		.then(function(resolutionIndex) {
+			test.strictEqual(resolutionIndex, 1);
+		})
+		.then(wait(600))
+		.then(function() {
+			return device.stopStream();
+		})
+		.then(function(stats) {
+			test.ok(!device.isStreaming());
+			test.ok(stats.numScans >= 500);
+			test.strictEqual(stats.numScans, stats.numReads * 100);
+			test.strictEqual(stats.numScans, callbackScans.length);
+			test.strictEqual(stats.numScans, numEventScans);
+			test.strictEqual(stats.numSkippedScans, 0);
+			test.strictEqual(stats.lastError, null);
+			var isContinuous = true;
+			var isNearDAC = true;
+			callbackScans.forEach(function(scan, i) {
+				if(i > 0) {
+					isContinuous = isContinuous && Math.abs(scan.time - callbackScans[i - 1].time - 1) < 1e-6;
+				}
+				isNearDAC = isNearDAC && Math.abs(scan.values[0] - 2.5) < 0.1;
+			});
+			test.ok(isContinuous);
+			test.ok(isNearDAC);
+			return expectRejection(test, device.stopStream(), 'Stopped a stopped stream');
+		})
+		.then(function() {
+			test.done();
+		}, reportError(test));
+	},
+	rejectUnstreamableRegister: function(test) {
+		var device;
+		openDevice(T7_SERIAL)
+		.then(function(openedDevice) {
+			device = openedDevice;
+			return expectRejection(
+				test,
+				device.startStream({'scanList': ['AIN0', 'DEVICE_NAME_DEFAULT']}),
+				'Streamed an unstreamable register'
+			);
+		})
+		.then(function() {
+			test.ok(!device.isStreaming());
+			test.done();
+		}, reportError(test));
+	},
+	reportSkippedScans: function(test) {
+		var device;
+		var numReads = 0;
+		var maxDeviceBacklog = 0;
+		openDevice(T7_SERIAL)
+		.then(function(openedDevice) {
+			device = openedDevice;
+			return device.startStream({
+				'scanList': ['AIN0'],
+				'scanRate': 50000,
+				'scansPerRead': 5000,
+				'onScans': function(scanData) {
+					numReads += 1;
+					maxDeviceBacklog = Math.max(maxDeviceBacklog, scanData.deviceBacklog);
+					if(numReads === 1) {
+						// Fall behind for long enough to overflow the device's buffer.
+						var start = Date.now();
+						while(Date.now() - start < 500) {}
+					}
+				}
+			});
+		})
+		.then(wait(1000))
+		.then(function() {
+			return device.stopStream();
+		})
+		.then(function(stats) {
+			test.ok(stats.numSkippedScans > 0);
+			test.ok(maxDeviceBacklog > 0);
+			test.strictEqual(stats.maxDeviceBacklog, maxDeviceBacklog);
+			test.strictEqual(stats.numScans + stats.numSkippedScans, stats.numReads * 5000);
+			test.done();
+		}, reportError(test));
+	},
+	streamErrorStopsStream: function(test) {
+		var device;
+		var streamErrors = [];
+		openDevice(T7_SERIAL)
+		.then(function(openedDevice) {
+			device = openedDevice;
+			return device.startStream({
+				'scanList': ['AIN0'],
+				'scanRate': 100,
+				'scansPerRead': 10,
+				'onError': function(err) {
+					streamErrors.push(err);
+				}
+			});
+		})
+		.then(function(stream) {
+			var defered = q.defer();
+			stream.on('stop', defered.resolve);
+			device.device.closeSync();
+			return defered.promise;
+		})
+		.then(function(stats) {
+			test.strictEqual(streamErrors.length, 1);
+			test.strictEqual(stats.lastError, streamErrors[0]);
+			test.ok(!device.isStreaming());
+			test.done();
+		}, reportError(test));
+	},
+	callbackErrorKeepsStream: function(test) {
+		var device;
+		var numCalls = 0;
+		var streamErrors = [];
+		openDevice(T7_SERIAL)
+		.then(function(openedDevice) {
+			device = openedDevice;
+			return device.startStream({
+				'scanList': ['AIN0'],
+				'scanRate': 100,
+				'scansPerRead': 10,
+				'onScans': function(scanData) {
+					numCalls += 1;
+					throw 'Failed to handle scans';
+				},
+				'onError': function(err) {
+					streamErrors.push(err);
+				}
+			});
+		})
+		.then(wait(350))
+		.then(function() {
+			return device.stopStream();
+		})
+		.then(function(stats) {
+			test.ok(numCalls >= 2);
+			test.strictEqual(stats.numReads, numCalls);
+			test.strictEqual(streamErrors.length, numCalls);
+			test.strictEqual(stats.lastError, 'Failed to handle scans');
+			test.ok(!device.isStreaming());
+			test.done();
+		}, reportError(test));
+	}
+};
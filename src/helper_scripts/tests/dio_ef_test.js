@@ -0,0 +1,153 @@
+/**
+ * Tests for the DIO extended feature definitions and configuration, using the
+ * simulated driver.
+**/
+
+var test_device_controller = require('./../../test_device_controller');
+var dio_ef = require('./../dio_ef');
+var dio_multi_device = require('./../dio_multi_device');
+
+test_device_controller.useSimulatedDriver();
+
+var openDevice = test_device_controller.qOpenDevice;
+
+var getMessages = function(conflicts) {
+	return conflicts.map(function(conflict) {
+		return conflict.message;
+	});
+};
+
+var reportError = test_device_controller.reportError;
+
+module.exports = {
+	tearDown: test_device_controller.closeOpenedDevices,
+	lineEFTypes: function(test) {
+		var getIndexes = function(lineIndex) {
+			return dio_ef.getLineEFTypes(lineIndex).map(function(efType) {
+				return efType.index;
+			});
+		};
+		test.deepEqual(getIndexes(0), [0, 1, 2, 3, 4, 5, 8, 9, 10]);
+		test.deepEqual(getIndexes(1), [3, 4, 5, 8, 9, 10]);
+		test.deepEqual(getIndexes(4), [0, 1, 2]);
+		test.deepEqual(getIndexes(16), [7]);
+		test.deepEqual(getIndexes(8), []);
+		test.deepEqual(dio_ef.getEFLines(), [0, 1, 2, 3, 4, 5, 6, 7, 16, 17, 18, 19]);
+		test.strictEqual(dio_ef.getEFType(10).name, 'Quadrature In');
+		test.strictEqual(dio_ef.getEFType(6), undefined);
+		test.done();
+	},
+	clockRates: function(test) {
+		test.deepEqual(dio_ef.getClockRates(1, {'divisor': 8, 'rollValue': 10000}), {
+			'tickHz': 10000000,
+			'rollHz': 1000
+		});
+		test.deepEqual(dio_ef.getClockRates(1, {'divisor': 1, 'rollValue': 0}), {
+			'tickHz': 80000000,
+			'rollHz': 80000000 / 65536
+		});
+		test.deepEqual(dio_ef.planClockWrites(0, {'enabled': true, 'divisor': 8, 'rollValue': 10000}), [
+			{'name': 'DIO_EF_CLOCK0_ENABLE', 'value': 0},
+			{'name': 'DIO_EF_CLOCK0_DIVISOR', 'value': 8},
+			{'name': 'DIO_EF_CLOCK0_ROLL_VALUE', 'value': 10000},
+			{'name': 'DIO_EF_CLOCK0_ENABLE', 'value': 1}
+		]);
+		test.strictEqual(dio_ef.planClockWrites(2, {'enabled': false, 'divisor': 1, 'rollValue': 0}).length, 3);
+		test.done();
+	},
+	planEFWrites: function(test) {
+		test.deepEqual(dio_ef.planEFWrites(2, {
+			'index': 0,
+			'clockSource': 1,
+			'configs': {'_EF_CONFIG_A': '2500'}
+		}), [
+			{'name': 'DIO2_EF_ENABLE', 'value': 0},
+			{'name': 'DIO2_EF_INDEX', 'value': 0},
+			{'name': 'DIO2_EF_OPTIONS', 'value': 1},
+			{'name': 'DIO2_EF_CONFIG_A', 'value': 2500},
+			{'name': 'DIO2_EF_ENABLE', 'value': 1}
+		]);
+		test.deepEqual(dio_ef.planEFWrites(7, {'index': 10}), [
+			{'name': 'DIO6_EF_ENABLE', 'value': 0},
+			{'name': 'DIO7_EF_ENABLE', 'value': 0},
+			{'name': 'DIO6_EF_INDEX', 'value': 10},
+			{'name': 'DIO7_EF_INDEX', 'value': 10},
+			{'name': 'DIO6_EF_ENABLE', 'value': 1},
+			{'name': 'DIO7_EF_ENABLE', 'value': 1}
+		]);
+		test.deepEqual(dio_ef.planEFWrites(3, {'index': null}), [
+			{'name': 'DIO3_EF_ENABLE', 'value': 0}
+		]);
+		test.throws(function() {
+			dio_ef.planEFWrites(4, {'index': 3});
+		});
+		test.done();
+	},
+	findConflicts: function(test) {
+		var clocks = [{'enabled': true}, {'enabled': true}, {'enabled': false}];
+		var dioConfig = dio_multi_device.decodeDIO(0x2, 0);
+		var conflicts = dio_ef.findConflicts({
+			'0': {'index': 0, 'clockSource': 2},
+			'1': {'index': 3, 'clockSource': 0},
+			'2': {'index': 10},
+			'16': {'index': 7},
+			'18': {'index': 7}
+		}, clocks, dioConfig);
+		test.deepEqual(getMessages(conflicts), [
+			'DIO_EF_CLOCK0 and DIO_EF_CLOCK1 share hardware and can not both be enabled',
+			'DIO0 (PWM Out) uses DIO_EF_CLOCK2, which is not enabled',
+			'FIO1 is configured as an output but DIO1 is used by Frequency In (Rising Edges)',
+			'DIO2 and DIO3 must both be set to Quadrature In',
+			'DIO16 (High-Speed Counter) shares hardware with DIO_EF_CLOCK0, which is enabled',
+			'DIO16 (High-Speed Counter) shares hardware with DIO_EF_CLOCK1, which is enabled'
+		]);
+		test.deepEqual(conflicts[3].lines, [2, 3]);
+
+		conflicts = dio_ef.findConflicts({
+			'6': {'index': 10},
+			'7': {'index': 10},
+			'4': {'index': 3}
+		}, [{'enabled': false}, {'enabled': false}, {'enabled': false}]);
+		test.deepEqual(getMessages(conflicts), ['DIO4 does not support extended feature 3']);
+		test.done();
+	},
+	formatReading: function(test) {
+		test.strictEqual(dio_ef.formatReading({'register': '_EF_READ_B_F', 'unit': 'Hz'}, 1000.25), '1000.25 Hz');
+		test.strictEqual(dio_ef.formatReading({'register': '_EF_READ_A', 'unit': ''}, 12), '12');
+		test.strictEqual(dio_ef.formatReading({'register': '_EF_READ_A', 'unit': '', 'isSigned': true}, 4294967291), '-5');
+		test.done();
+	},
+	configureDevice: function(test) {
+		var device;
+		openDevice('470010001')
+		.then(function(openedDevice) {
+			device = openedDevice;
+			var writes = dio_ef.planClockWrites(1, {'enabled': true, 'divisor': 8, 'rollValue': 10000});
+			writes = writes.concat(dio_ef.planEFWrites(0, {
+				'index': 0,
+				'clockSource': 1,
+				'configs': {'_EF_CONFIG_A': 5000}
+			}));
+			writes = writes.concat(dio_ef.planEFWrites(6, {'index': 10}));
+			return dio_ef.writePlan(device, writes);
+		})
+		.then(function() {
+			return dio_ef.readEFConfig(device);
+		})
+		.then(function(efConfig) {
+			test.deepEqual(Object.keys(efConfig.lines).length, dio_ef.getEFLines().length);
+			test.deepEqual(efConfig.lines[0], {
+				'enabled': true,
+				'index': 0,
+				'clockSource': 1,
+				'configs': {'_EF_CONFIG_A': 5000, '_EF_CONFIG_B': 0, '_EF_CONFIG_C': 0, '_EF_CONFIG_D': 0}
+			});
+			test.ok(efConfig.lines[7].enabled);
+			test.strictEqual(efConfig.lines[7].index, 10);
+			test.ok(!efConfig.lines[2].enabled);
+			test.deepEqual(efConfig.clocks[1], {'enabled': true, 'divisor': 8, 'rollValue': 10000});
+			test.ok(!efConfig.clocks[0].enabled);
+			test.done();
+		}, reportError(test));
+	}
+};
@@ -0,0 +1,177 @@
+/**
+ * Tests for configuring the digital I/O lines of several devices, using the
+ * simulated driver.
+**/
+
+var q = require('q');
+var test_device_controller = require('./../../test_device_controller');
+var dio_multi_device = require('./../dio_multi_device');
+
+test_device_controller.useSimulatedDriver();
+
+var SERIALS = ['470010001', '470010002'];
+
+var openDevice = test_device_controller.qOpenDevice;
+
+var reportError = test_device_controller.reportError;
+
+module.exports = {
+	tearDown: test_device_controller.closeOpenedDevices,
+	dioLines: function(test) {
+		var lines = dio_multi_device.DIO_LINES;
+		test.strictEqual(lines.length, 23);
+		test.deepEqual(lines[0], {'name': 'FIO0', 'port': 'FIO', 'index': 0});
+		test.deepEqual(lines[8], {'name': 'EIO0', 'port': 'EIO', 'index': 8});
+		test.deepEqual(lines[16], {'name': 'CIO0', 'port': 'CIO', 'index': 16});
+		test.deepEqual(lines[22], {'name': 'MIO2', 'port': 'MIO', 'index': 22});
+		test.done();
+	},
+	encodeAndDecode: function(test) {
+		var config = {
+			'FIO0': {'direction': 1, 'state': 1},
+			'FIO1': {'direction': '1', 'state': '0'},
+			'EIO3': {'direction': 0, 'state': 1},
+			'MIO2': {'direction': 1, 'state': 1}
+		};
+		var masks = dio_multi_device.encodeDIO(config);
+		test.strictEqual(masks.direction, 0x400003);
+		test.strictEqual(masks.state, 0x400801);
+		test.strictEqual(masks.inhibit, 0x3FF7FC);
+
+		var decoded = dio_multi_device.decodeDIO(masks.direction, masks.state);
+		test.strictEqual(Object.keys(decoded).length, 23);
+		test.deepEqual(decoded.FIO0, {'direction': 1, 'state': 1});
+		test.deepEqual(decoded.FIO1, {'direction': 1, 'state': 0});
+		test.deepEqual(decoded.EIO3, {'direction': 0, 'state': 1});
+		test.deepEqual(decoded.CIO0, {'direction': 0, 'state': 0});
+		test.deepEqual(decoded.MIO2, {'direction': 1, 'state': 1});
+		test.done();
+	},
+	findMismatches: function(test) {
+		var readBack = dio_multi_device.decodeDIO(0x3, 0x6);
+		var mismatches = dio_multi_device.findMismatches({
+			'FIO0': {'direction': 1, 'state': 1},
+			'FIO1': {'direction': 1, 'state': 1},
+			'FIO2': {'direction': 1, 'state': 0},
+			'FIO3': {'direction': 0, 'state': 0}
+		}, readBack);
+		test.deepEqual(mismatches, [
+			{'name': 'FIO0', 'attribute': 'state', 'expected': 1, 'actual': 0},
+			{'name': 'FIO2', 'attribute': 'direction', 'expected': 1, 'actual': 0}
+		]);
+		test.done();
+	},
+	applyToDevices: function(test) {
+		var devices;
+		var config = {};
+		dio_multi_device.DIO_LINES.forEach(function(line) {
+			config[line.name] = {'direction': 0, 'state': 0};
+		});
+		config.FIO0 = {'direction': 1, 'state': 0};
+		config.FIO2 = {'direction': 1, 'state': 1};
+		config.CIO1 = {'direction': 1, 'state': 1};
+
+		q.all([openDevice(SERIALS[0]), openDevice(SERIALS[1])])
+		.then(function(openDevices) {
+			devices = openDevices;
+			return dio_multi_device.applyDIOConfigToDevices(devices, config);
+		})
+		.then(function(results) {
+			test.deepEqual(results.map(function(result) {
+				return result.serial;
+			}), SERIALS);
+			results.forEach(function(result) {
+				test.strictEqual(result.error, null);
+				test.deepEqual(result.mismatches, []);
+				test.deepEqual(result.readBack.FIO2, {'direction': 1, 'state': 1});
+				// FIO1 is an input looped back to the FIO0 output.
+				test.deepEqual(result.readBack.FIO1, {'direction': 0, 'state': 0});
+				test.deepEqual(result.readBack.EIO0, {'direction': 0, 'state': 1});
+			});
+			return devices[1].writeAsync('FIO2', 0);
+		})
+		.then(function() {
+			return dio_multi_device.readDevicesDIO(devices);
+		})
+		.then(function(results) {
+			test.deepEqual(dio_multi_device.findMismatches(config, results[0].readBack), []);
+			test.deepEqual(dio_multi_device.findMismatches(config, results[1].readBack), [
+				{'name': 'FIO2', 'attribute': 'state', 'expected': 1, 'actual': 0}
+			]);
+			test.done();
+		}, reportError(test));
+	},
+	applyChangedLinesOnly: function(test) {
+		var device;
+		openDevice(SERIALS[0])
+		.then(function(openedDevice) {
+			device = openedDevice;
+			return device.dwriteMany(['DIO_DIRECTION', 'DIO_STATE', 'DIO0_EF_ENABLE'], [0, 0, 1]);
+		})
+		.then(function() {
+			// Makes FIO3 an output, it isn't in the configuration below.
+			return device.writeAsync('FIO3', 1);
+		})
+		.then(function() {
+			return dio_multi_device.applyDIOConfig(device, {
+				'FIO0': {'direction': 1, 'state': 1},
+				'FIO2': {'direction': 1, 'state': 1}
+			});
+		})
+		.then(function(result) {
+			test.strictEqual(result.error, null);
+			test.deepEqual(result.skippedLines, ['FIO0']);
+			test.deepEqual(result.mismatches, []);
+			// The extended feature's line stays an input.
+			test.strictEqual(result.readBack.FIO0.direction, 0);
+			test.deepEqual(result.readBack.FIO2, {'direction': 1, 'state': 1});
+			test.deepEqual(result.readBack.FIO3, {'direction': 1, 'state': 1});
+			return device.dreadMany(['DIO_INHIBIT']);
+		})
+		.then(function(values) {
+			test.strictEqual(values[0], 0);
+			return device.dwriteMany(['DIO0_EF_ENABLE', 'DIO_DIRECTION', 'DIO_STATE'], [0, 0, 0]);
+		})
+		.then(function() {
+			test.done();
+		}, reportError(test));
+	},
+	applyReportsErrors: function(test) {
+		var writes = [];
+		var readError;
+		var device = {
+			'getSerial': function() {
+				return 470010009;
+			},
+			'dreadMany': function() {
+				return q.reject(readError);
+			},
+			'dwriteMany': function(names, values) {
+				writes.push(names);
+				return q.reject(1239);
+			}
+		};
+		var config = {'FIO0': {'direction': 1, 'state': 1}};
+		// Like a device without the DIO_EF registers.
+		readError = {'retError': 1202};
+		dio_multi_device.applyDIOConfig(device, config)
+		.then(function(result) {
+			test.strictEqual(writes.length, 1);
+			test.deepEqual(result, {
+				'serial': '470010009',
+				'readBack': null,
+				'mismatches': [],
+				'skippedLines': [],
+				'error': 1239
+			});
+			// Lines aren't written without knowing which features are enabled.
+			readError = 1239;
+			return dio_multi_device.applyDIOConfig(device, config);
+		})
+		.then(function(result) {
+			test.strictEqual(writes.length, 1);
+			test.strictEqual(result.error, 1239);
+			test.done();
+		}, reportError(test));
+	}
+};
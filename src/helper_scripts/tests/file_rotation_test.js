@@ -0,0 +1,169 @@
+/**
+ * Tests for log file rotation & retention in the task_data_output_buffer task.
+**/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var zlib = require('zlib');
+var q = require('q');
+var dict = require('dict');
+var async = require('async');
+var test_device_controller = require('./../../test_device_controller');
+
+var TASK_DIR = './../../../switchboard_modules/task_data_output_buffer';
+var file_rotation = require(TASK_DIR + '/file_rotation');
+var data_buffer = require(TASK_DIR + '/data_buffer');
+
+var LOG_DIR = path.join(os.tmpdir(), 'kipling_file_rotation_test');
+var LOG_NAME = 'rotationTest';
+var MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+var getLogFileNames = function() {
+	return fs.readdirSync(LOG_DIR).sort();
+};
+
+var readLogFile = function(fileName) {
+	return fs.readFileSync(path.join(LOG_DIR, fileName), 'utf8');
+};
+
+/**
+ * Log rows of AIN0 values with a new buffer, resolving once the buffer's files
+ * are closed.
+**/
+var logRows = function(values, options) {
+	var bufferInfo = {
+		'key': LOG_NAME,
+		'type': 'localFile',
+		'location': LOG_DIR,
+		'fileName': LOG_NAME,
+		'fileEnding': '.csv',
+		'dataKeys': ['AIN0']
+	};
+	Object.keys(options).forEach(function(key) {
+		bufferInfo[key] = options[key];
+	});
+	data_buffer.includeTask({
+		'q': q,
+		'dict': dict,
+		'async': async,
+		'task_manager': {
+			'task_state_options': ['included', 'initialized', 'idle', 'active']
+		}
+	});
+	return data_buffer.initTask()
+	.then(data_buffer.startTask)
+	.then(function() {
+		return data_buffer.addOutputBuffer(bufferInfo);
+	})
+	.then(function(dataBuffer) {
+		dataBuffer.writeArray('single', values.map(function(value) {
+			return {'AIN0': value};
+		}));
+		return data_buffer.removeOutputBuffer(LOG_NAME);
+	})
+	.then(data_buffer.stopTask);
+};
+
+var reportError = test_device_controller.reportError;
+
+module.exports = {
+	setUp: function(callback) {
+		if(fs.existsSync(LOG_DIR)) {
+			getLogFileNames().forEach(function(fileName) {
+				fs.unlinkSync(path.join(LOG_DIR, fileName));
+			});
+		} else {
+			fs.mkdirSync(LOG_DIR);
+		}
+		callback();
+	},
+	validateOptions: function(test) {
+		test.strictEqual(file_rotation.validateRotation({'interval': 'daily'}), null);
+		test.notStrictEqual(file_rotation.validateRotation({'interval': 'weekly'}), null);
+		test.notStrictEqual(file_rotation.validateRotation({'maxFileSize': -1}), null);
+		test.strictEqual(file_rotation.validateRetention({'maxFiles': 3}), null);
+		test.notStrictEqual(file_rotation.validateRetention({'maxAgeDays': '7'}), null);
+		test.done();
+	},
+	getPeriodKey: function(test) {
+		var time = new Date(2014, 10, 4, 13, 59, 59).valueOf();
+		test.strictEqual(file_rotation.getPeriodKey(time, 'none'), null);
+		test.strictEqual(file_rotation.getPeriodKey(time, 'daily'), '2014-11-4');
+		test.strictEqual(file_rotation.getPeriodKey(time, 'hourly'), '2014-11-4 13');
+		test.notStrictEqual(
+			file_rotation.getPeriodKey(time, 'hourly'),
+			file_rotation.getPeriodKey(time + 1000, 'hourly')
+		);
+		test.done();
+	},
+	selectExpiredFiles: function(test) {
+		var now = Date.now();
+		var logFiles = [0, 1, 2, 3].map(function(i) {
+			return {'path': 'log_' + i, 'mtime': now - (4 - i) * MS_PER_DAY};
+		});
+		test.deepEqual(
+			file_rotation.selectExpiredFiles(logFiles, {'maxFiles': 2}, now, []),
+			['log_0', 'log_1']
+		);
+		test.deepEqual(
+			file_rotation.selectExpiredFiles(logFiles, {'maxAgeDays': 2.5}, now, ['log_0']),
+			['log_1']
+		);
+		test.deepEqual(
+			file_rotation.selectExpiredFiles(logFiles, {}, now, []),
+			[]
+		);
+		test.done();
+	},
+	rotateBySize: function(test) {
+		// Each file holds the "AIN0\r\n" header & up to 2 "1.25\r\n" rows.
+		logRows([1.25, 1.25, 1.25, 1.25, 1.25], {'rotation': {'maxFileSize': 18}})
+		.then(function() {
+			test.deepEqual(getLogFileNames(), [
+				'rotationTest_0.csv',
+				'rotationTest_1.csv',
+				'rotationTest_2.csv'
+			]);
+			getLogFileNames().forEach(function(fileName) {
+				test.ok(fs.statSync(path.join(LOG_DIR, fileName)).size <= 18);
+			});
+			test.strictEqual(readLogFile('rotationTest_2.csv'), 'AIN0\r\n1.25\r\n');
+			test.done();
+		}, reportError(test));
+	},
+	retainAndCompress: function(test) {
+		var retention = {'maxFiles': 2, 'compress': true};
+		logRows([1, 2, 3, 4, 5], {'maxNumRows': 2, 'retention': retention})
+		.then(function() {
+			var fileNames = getLogFileNames();
+			test.deepEqual(fileNames, [
+				'rotationTest_3.csv.gz',
+				'rotationTest_4.csv.gz'
+			]);
+			var lastFile = fs.readFileSync(path.join(LOG_DIR, fileNames[1]));
+			test.strictEqual(zlib.gunzipSync(lastFile).toString(), 'AIN0\r\n5\r\n');
+			test.done();
+		}, reportError(test));
+	},
+	continuePreviousSession: function(test) {
+		var options = {'rotation': {'onSessionStart': false}};
+		logRows([1, 2], options)
+		.then(function() {
+			return logRows([3], options);
+		})
+		.then(function() {
+			test.deepEqual(getLogFileNames(), ['rotationTest_0.csv']);
+			test.strictEqual(readLogFile('rotationTest_0.csv'), 'AIN0\r\n1\r\n2\r\n3\r\n');
+			return logRows([4], {});
+		})
+		.then(function() {
+			// New sessions get unique file names.
+			test.deepEqual(getLogFileNames(), [
+				'*rotationTest_0.csv',
+				'rotationTest_0.csv'
+			]);
+			test.done();
+		}, reportError(test));
+	}
+};
@@ -0,0 +1,122 @@
+/**
+ * Tests for deploying a Lua script to several devices, using the simulated
+ * driver.
+**/
+
+var q = require('q');
+var test_device_controller = require('./../../test_device_controller');
+var lua_bulk_deploy = require('./../lua_bulk_deploy');
+var lua_saved_script = require('./../lua_saved_script');
+
+test_device_controller.useSimulatedDriver();
+
+var SERIALS = ['470010001', '470010002'];
+// Not deployed to by other tests so nothing is saved in its flash. It is
+// only connected over Ethernet.
+var UNSAVED_SERIAL = '470010003';
+var SOURCE = 'print("deployed")\n' + new Array(20).join('x = 1\n');
+
+var openDevice = test_device_controller.qOpenDevice;
+
+var openDevices = function() {
+	return q.all(SERIALS.map(function(serial) {
+		return openDevice(serial);
+	}));
+};
+
+var reportError = test_device_controller.reportError;
+
+module.exports = {
+	tearDown: test_device_controller.closeOpenedDevices,
+	getDeployOptions: function(test) {
+		test.deepEqual(lua_bulk_deploy.getDeployOptions({'verifyDelayMs': 0}), {
+			'saveToFlash': true,
+			'runAtStartup': true,
+			'verifyDelayMs': 0
+		});
+		test.throws(function() {
+			lua_bulk_deploy.getDeployOptions({'saveToFlash': false});
+		});
+		test.throws(function() {
+			lua_bulk_deploy.getDeployOptions({'verifyDelayMs': -1});
+		});
+		test.done();
+	},
+	deployScriptToDevices: function(test) {
+		var devices;
+		openDevices()
+		.then(function(openedDevices) {
+			devices = openedDevices;
+			return lua_bulk_deploy.deployScriptToDevices(devices, SOURCE, {'verifyDelayMs': 10});
+		})
+		.then(function(results) {
+			test.deepEqual(results.map(function(result) {
+				return result.serial;
+			}), SERIALS);
+			results.forEach(function(result) {
+				test.ok(result.success);
+				test.ok(result.isRunning);
+				test.strictEqual(result.error, null);
+				test.deepEqual(result.completed, lua_bulk_deploy.STEPS);
+			});
+			return q.all(devices.map(function(device) {
+				return device.dreadMany(['LUA_RUN_DEFAULT', 'LUA_DEBUG_ENABLE_DEFAULT']);
+			}));
+		})
+		.then(function(values) {
+			test.deepEqual(values, [[1, 1], [1, 1]]);
+			return lua_saved_script.readSavedScript(devices[1]);
+		})
+		.then(function(savedSource) {
+			test.strictEqual(savedSource, SOURCE);
+			test.done();
+		}, reportError(test));
+	},
+	deployWithoutSaving: function(test) {
+		var device;
+		openDevice(UNSAVED_SERIAL, 'ETHERNET')
+		.then(function(openedDevice) {
+			device = openedDevice;
+			return lua_bulk_deploy.deployScript(device, SOURCE, {
+				'saveToFlash': false,
+				'runAtStartup': false,
+				'verifyDelayMs': 0
+			});
+		})
+		.then(function(result) {
+			test.ok(result.success);
+			test.deepEqual(result.completed, ['stop', 'upload', 'debug', 'start', 'verify']);
+			return device.dreadMany(['LUA_DEBUG_ENABLE', 'LUA_DEBUG_ENABLE_DEFAULT']);
+		})
+		.then(function(values) {
+			test.deepEqual(values, [1, 0]);
+			return lua_saved_script.readSavedScript(device);
+		})
+		.then(function(savedSource) {
+			test.strictEqual(savedSource, '');
+			test.done();
+		}, reportError(test));
+	},
+	deployFailure: function(test) {
+		openDevice(SERIALS[0])
+		.then(function(device) {
+			// The device refuses to start an empty script.
+			return lua_bulk_deploy.deployScript(device, '', {'verifyDelayMs': 0});
+		})
+		.then(function(result) {
+			test.ok(!result.success);
+			test.ok(!result.isRunning);
+			test.strictEqual(result.failedStep, 'start');
+			test.deepEqual(result.completed, ['stop', 'upload', 'debug', 'saveToFlash', 'runAtStartup']);
+			test.ok(result.error.indexOf('LJM error') === 0, result.error);
+			return lua_bulk_deploy.deployScriptToDevices([], SOURCE, {'saveToFlash': false});
+		})
+		.then(function() {
+			test.ok(false, 'Expected the invalid options to be rejected');
+			test.done();
+		}, function(err) {
+			test.strictEqual(typeof(err), 'string');
+			test.done();
+		});
+	}
+};
@@ -0,0 +1,191 @@
+/**
+ * Tests for the static checks of the Lua script debugger module.
+**/
+
+var fs = require('fs');
+var path = require('path');
+var test_device_controller = require('./../../test_device_controller');
+test_device_controller.useSimulatedDriver();
+var lua_checker = require('./../lua_checker');
+
+var PREMADE_SCRIPTS_DIR = path.join(
+	__dirname, '..', '..', '..', 'switchboard_modules', 'lua_script_debugger', 'premade_scripts'
+);
+
+var registerIndex = lua_checker.indexRegisters(
+	test_device_controller.getRegisterInfo().expandedRegisters
+);
+
+var describe = function(diagnostics) {
+	return diagnostics.map(function(diagnostic) {
+		return diagnostic.line.toString() + ':' + diagnostic.column.toString() + ' ' +
+			diagnostic.type + ' ' + diagnostic.message;
+	});
+};
+
+var check = function(source) {
+	return describe(lua_checker.checkScript(source, {'registerIndex': registerIndex}));
+};
+
+var findScripts = function(dir) {
+	var scripts = [];
+	fs.readdirSync(dir).forEach(function(fileName) {
+		var filePath = path.join(dir, fileName);
+		if(fs.statSync(filePath).isDirectory()) {
+			scripts.push.apply(scripts, findScripts(filePath));
+		} else if(path.extname(fileName) === '.lua') {
+			scripts.push(filePath);
+		}
+	});
+	return scripts;
+};
+
+module.exports = {
+	syntaxErrors: function(test) {
+		test.deepEqual(check('x = = 1'), ['1:5 error unexpected symbol near \'=\'']);
+		test.deepEqual(check('if x then\n  y = 1\n'), [
+			'3:1 error \'end\' expected (to close \'if\' at line 1) near <eof>'
+		]);
+		test.deepEqual(check('while true do x = 1 ed'), [
+			'1:23 error syntax error near <eof>'
+		]);
+		test.deepEqual(check('print("abc)\n'), ['1:12 error unfinished string near \'"abc)\'']);
+		test.deepEqual(check('x = 0x'), ['1:7 error malformed number near \'0x\'']);
+		test.deepEqual(check('x = "\\q"'), ['1:8 error invalid escape sequence near \'"\\q\'']);
+		test.deepEqual(check('--[[ note\n'), ['2:1 error unfinished long comment near <eof>']);
+		test.deepEqual(check('x = 1\nbreak'), ['2:1 error <break> at line 2 not inside a loop']);
+		test.deepEqual(check('local function f()\n  return ...\nend'), [
+			'2:10 error cannot use \'...\' outside a vararg function near \'...\''
+		]);
+		test.deepEqual(check('f() = 1'), ['1:5 error syntax error near \'=\'']);
+		test.deepEqual(check('return 1\nx = 2'), ['2:1 error \'<eof>\' expected near \'x\'']);
+		test.deepEqual(check('x = a ! b'), ['1:7 error unexpected symbol near \'!\'']);
+		test.done();
+	},
+	validSyntax: function(test) {
+		var source = [
+			'local t = {1, 2; x = 3, ["y"] = 4, [5] = {}}',
+			'local s = [==[',
+			'long ]] string]==] .. \'\\x41\\65\\z',
+			'   \' .. "\\"" .. #t',
+			'local obj = {}',
+			'function obj:area(w, ...)',
+			'  local n = select("#", ...)',
+			'  return self.scale * w ^ -2 ^ 2, n',
+			'end',
+			'local a, b = obj:area(2), 1e3 + 0x1p4 + .5 % 3',
+			'for i = 10, 1, -1 do if i > 5 then break elseif i == 2 then goto done end end',
+			'::done::',
+			'for k, v in pairs(t) do print(k, v) end',
+			'repeat local again = false until not again',
+			'do print(s, a, b, math.floor(2.5), string.format("%d", 1)) end',
+			'print "one" print {two = 2}',
+			'return'
+		].join('\n');
+		test.deepEqual(check(source), []);
+		test.done();
+	},
+	undefinedGlobals: function(test) {
+		var source = [
+			'count = 0',
+			'local function add(value)',
+			'  count = count + value + offset',
+			'  total = count',
+			'end',
+			'for i = 1, 3 do add(i) end',
+			'repeat local done = true until done',
+			'print(total, i, Count)',
+			'function report() print(count) end',
+			'report()',
+			'config.rate = 2'
+		].join('\n');
+		test.deepEqual(check(source), [
+			'3:27 warning Undefined global \'offset\'',
+			'8:14 warning Undefined global \'i\'',
+			'8:17 warning Undefined global \'Count\'',
+			'11:1 warning Undefined global \'config\''
+		]);
+		test.deepEqual(describe(lua_checker.checkScript('print(offset)', {'globals': ['offset']})), []);
+		test.done();
+	},
+	registerCalls: function(test) {
+		var source = [
+			'local ain = MB.R(0, 3)',
+			'MB.W(1000, 3, ain)',
+			'MB.W(2000, 0, 1)',
+			'MB.R("AIN1", 3)',
+			'MB.R(0, 0)',
+			'MB.W(12345, 0, 1)',
+			'MB.R("AIN_1", 3)',
+			'MB.W(0, 3, 1)',
+			'MB.R(0, 7)',
+			'MB.W(1000, ain)',
+			'MB.W(1000, unpack({3, 1}))',
+			'local data = MB.RA(5320, 0, 4)',
+			'MB.W(5321, 1, 1)',
+			'local MB = {R = print}',
+			'MB.R(12345, 0)'
+		].join('\n');
+		test.deepEqual(check(source), [
+			'5:9 warning AIN0 (address 0) is a FLOAT32 register, not dataType 0 (UINT16)',
+			'6:6 warning Unknown register address 12345 for MB.W',
+			'7:6 warning Unknown register name \'AIN_1\' for MB.R',
+			'8:6 warning AIN0 (address 0) is read only',
+			'9:9 warning Unknown dataType 7 for MB.R, expected 0 (UINT16), 1 (UINT32), ' +
+				'2 (INT32), 3 (FLOAT32), 98 (STRING), 99 (BYTE)',
+			'10:5 warning MB.W expects 3 arguments (address, dataType, value)',
+			'13:6 warning Address 5321 is inside ONEWIRE_ROM_MATCH_H (address 5320)'
+		]);
+		// Without register information only the arguments are checked.
+		test.deepEqual(describe(lua_checker.checkScript('MB.W(12345, 5)')), [
+			'1:5 warning MB.W expects 3 arguments (address, dataType, value)',
+			'1:13 warning Unknown dataType 5 for MB.W, expected 0 (UINT16), 1 (UINT32), ' +
+				'2 (INT32), 3 (FLOAT32), 98 (STRING), 99 (BYTE)'
+		]);
+		test.done();
+	},
+	sourceSize: function(test) {
+		var source = 'print("' + new Array(41).join('x') + '")';
+		var diagnostics = lua_checker.checkScript(source, {'maxSourceSize': 32});
+		test.deepEqual(describe(diagnostics), [
+			'1:1 error The script is 49 bytes, the device has room for 32 bytes of Lua source'
+		]);
+		test.strictEqual(lua_checker.getErrors(diagnostics).length, 1);
+		test.deepEqual(lua_checker.checkScript(source), []);
+
+		// The limit is in bytes, not characters.
+		var encodedSource = '-- ' + new Array(16).join('\u00b0');
+		test.strictEqual(encodedSource.length, 18);
+		test.deepEqual(describe(lua_checker.checkScript(encodedSource, {'maxSourceSize': 32})), [
+			'1:1 error The script is 33 bytes, the device has room for 32 bytes of Lua source'
+		]);
+		test.done();
+	},
+	maxSourceSize: function(test) {
+		var deviceOfType = function(deviceType) {
+			return {
+				getDeviceType: function() {
+					return deviceType;
+				}
+			};
+		};
+		test.strictEqual(lua_checker.getMaxSourceSize(deviceOfType('T7')), lua_checker.LUA_MAX_SOURCE_SIZES.T7);
+		test.strictEqual(lua_checker.getMaxSourceSize(deviceOfType('Other')), lua_checker.LUA_MAX_SOURCE_SIZE);
+		test.done();
+	},
+	premadeScripts: function(test) {
+		// The old scripts folder also holds notes that aren't Lua.
+		var scripts = findScripts(PREMADE_SCRIPTS_DIR).filter(function(script) {
+			return script.indexOf('oldScripts') < 0;
+		});
+		test.ok(scripts.length > 0);
+		scripts.forEach(function(script) {
+			var source = fs.readFileSync(script, 'utf8');
+			var errors = lua_checker.getErrors(
+				lua_checker.checkScript(source, {'registerIndex': registerIndex})
+			);
+			test.deepEqual(describe(errors), [], path.basename(script));
+		});
+		test.done();
+	}
+};
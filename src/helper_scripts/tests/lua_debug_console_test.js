@@ -0,0 +1,121 @@
+/**
+ * Tests for the Lua debug console of the Lua script debugger module.
+**/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var lua_debug_console = require('./../lua_debug_console');
+
+var TEE_FILE_PATH = path.join(os.tmpdir(), 'kipling_lua_console_test.txt');
+var SAVE_FILE_PATH = path.join(os.tmpdir(), 'kipling_lua_console_save_test.txt');
+var START_TIME = new Date(2014, 10, 4, 2, 35, 36, 123).getTime();
+
+var removeFiles = function() {
+	[TEE_FILE_PATH, SAVE_FILE_PATH].forEach(function(filePath) {
+		if(fs.existsSync(filePath)) {
+			fs.unlinkSync(filePath);
+		}
+	});
+};
+
+var getTexts = function(lines) {
+	return lines.map(function(line) {
+		return line.text;
+	});
+};
+
+module.exports = {
+	setUp: function(callback) {
+		removeFiles();
+		callback();
+	},
+	tearDown: function(callback) {
+		removeFiles();
+		callback();
+	},
+	formatLine: function(test) {
+		test.strictEqual(lua_debug_console.formatTimestamp(START_TIME), '2014-11-04 02:35:36.123');
+		var line = {'number': 1, 'time': START_TIME, 'text': 'x = 1'};
+		test.strictEqual(lua_debug_console.formatLine(line), '2014-11-04 02:35:36.123  x = 1');
+		test.strictEqual(lua_debug_console.formatLine(line, false), 'x = 1');
+		test.done();
+	},
+	addData: function(test) {
+		var luaConsole = new lua_debug_console.LuaDebugConsole(3);
+		test.deepEqual(luaConsole.addData('Temp: ', START_TIME), []);
+		test.deepEqual(luaConsole.addData('21.5\r\nTemp: 2', START_TIME + 10), [
+			{'number': 1, 'time': START_TIME, 'text': 'Temp: 21.5'}
+		]);
+		test.deepEqual(luaConsole.addData('1.6\n\nA\nB\n', START_TIME + 20), [
+			{'number': 2, 'time': START_TIME + 10, 'text': 'Temp: 21.6'},
+			{'number': 3, 'time': START_TIME + 20, 'text': ''},
+			{'number': 4, 'time': START_TIME + 20, 'text': 'A'},
+			{'number': 5, 'time': START_TIME + 20, 'text': 'B'}
+		]);
+		// Only the last maxLines lines are kept.
+		test.deepEqual(getTexts(luaConsole.lines), ['', 'A', 'B']);
+
+		luaConsole.addData('C', START_TIME + 30);
+		luaConsole.clear();
+		test.deepEqual(luaConsole.lines, []);
+		test.deepEqual(luaConsole.addData('D\n', START_TIME + 40), [
+			{'number': 6, 'time': START_TIME + 40, 'text': 'D'}
+		]);
+		test.done();
+	},
+	createMatcher: function(test) {
+		var matcher = lua_debug_console.createMatcher('error', false, false);
+		test.ok(matcher('An ERROR occurred'));
+		test.ok(!matcher('All good'));
+		test.ok(!lua_debug_console.createMatcher('error', false, true)('ERROR'));
+		test.ok(lua_debug_console.createMatcher('', false, false)('anything'));
+
+		matcher = lua_debug_console.createMatcher('^AIN\\d+: -', true, false);
+		test.ok(matcher('ain3: -0.5'));
+		test.ok(!matcher('AIN3: 0.5'));
+		test.throws(function() {
+			lua_debug_console.createMatcher('(', true, false);
+		});
+		test.done();
+	},
+	colorRules: function(test) {
+		var rules = [
+			{'pattern': 'ERROR', 'isRegex': false, 'color': 'red'},
+			{'pattern': 'T=\\d{3}', 'isRegex': true, 'color': 'orange'},
+			{'pattern': '', 'isRegex': false, 'color': 'blue'}
+		];
+		test.strictEqual(lua_debug_console.validateColorRule(rules[0]), null);
+		test.notStrictEqual(lua_debug_console.validateColorRule(rules[2]), null);
+		test.notStrictEqual(lua_debug_console.validateColorRule(
+			{'pattern': 'x', 'isRegex': false, 'color': 'pink'}
+		), null);
+		test.notStrictEqual(lua_debug_console.validateColorRule(
+			{'pattern': '[', 'isRegex': true, 'color': 'red'}
+		), null);
+
+		test.strictEqual(lua_debug_console.getLineColor(rules, 'ERROR: T=100'), 'red');
+		test.strictEqual(lua_debug_console.getLineColor(rules, 'T=100'), 'orange');
+		test.strictEqual(lua_debug_console.getLineColor(rules, 'error: T=10'), null);
+		test.done();
+	},
+	files: function(test) {
+		var luaConsole = new lua_debug_console.LuaDebugConsole(1);
+		luaConsole.addData('before\n', START_TIME);
+		luaConsole.startTee(TEE_FILE_PATH);
+		luaConsole.addData('one\ntwo\n', START_TIME + 1000);
+		luaConsole.stopTee();
+		luaConsole.addData('after\n', START_TIME + 2000);
+		test.strictEqual(fs.readFileSync(TEE_FILE_PATH, 'utf8'),
+			'2014-11-04 02:35:37.123  one\n2014-11-04 02:35:37.123  two\n');
+
+		luaConsole.saveToFile(SAVE_FILE_PATH);
+		test.strictEqual(fs.readFileSync(SAVE_FILE_PATH, 'utf8'), '2014-11-04 02:35:38.123  after\n');
+
+		test.throws(function() {
+			luaConsole.startTee(path.join(TEE_FILE_PATH, 'not_a_folder', 'log.txt'));
+		});
+		test.strictEqual(luaConsole.teeFilePath, null);
+		test.done();
+	}
+};
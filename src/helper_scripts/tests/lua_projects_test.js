@@ -0,0 +1,174 @@
+/**
+ * Tests for the Lua script projects of the Lua script debugger module.
+**/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var lua_projects = require('./../lua_projects');
+
+var PROJECT_DIR = path.join(os.tmpdir(), 'kipling_lua_project_test');
+var START_TIME = 1415068536000;
+
+var removeFolder = function(folder) {
+	if(!fs.existsSync(folder)) {
+		return;
+	}
+	fs.readdirSync(folder).forEach(function(name) {
+		var entryPath = path.join(folder, name);
+		if(fs.statSync(entryPath).isDirectory()) {
+			removeFolder(entryPath);
+		} else {
+			fs.unlinkSync(entryPath);
+		}
+	});
+	fs.rmdirSync(folder);
+};
+
+module.exports = {
+	setUp: function(callback) {
+		removeFolder(PROJECT_DIR);
+		callback();
+	},
+	tearDown: function(callback) {
+		removeFolder(PROJECT_DIR);
+		callback();
+	},
+	normalizeFilePath: function(test) {
+		test.strictEqual(lua_projects.normalizeFilePath('lib\\util.lua'), 'lib/util.lua');
+		test.strictEqual(lua_projects.normalizeFilePath('./lib//util.lua'), 'lib/util.lua');
+		test.throws(function() { lua_projects.normalizeFilePath('../util.lua'); });
+		test.throws(function() { lua_projects.normalizeFilePath('/util.lua'); });
+		test.throws(function() { lua_projects.normalizeFilePath('C:\\util.lua'); });
+		test.done();
+	},
+	openProject: function(test) {
+		var project = lua_projects.openProject(PROJECT_DIR);
+		test.strictEqual(project.name, 'kipling_lua_project_test');
+		test.strictEqual(project.main, 'main.lua');
+		test.deepEqual(project.openFiles, ['main.lua']);
+		test.strictEqual(lua_projects.readFile(project, 'main.lua'), '');
+
+		lua_projects.saveFile(project, 'lib/util.lua', 'function twice(x) return 2 * x end\n');
+		lua_projects.saveFile(project, 'blink.lua', 'print(twice(2))\n');
+		project.includes = ['lib/util.lua'];
+		project.main = 'blink.lua';
+		lua_projects.saveProject(project);
+		test.deepEqual(lua_projects.listFiles(project), [
+			{'name': 'lib', 'path': 'lib', 'isFolder': true, 'children': [
+				{'name': 'util.lua', 'path': 'lib/util.lua', 'isFolder': false}
+			]},
+			{'name': 'blink.lua', 'path': 'blink.lua', 'isFolder': false},
+			{'name': 'main.lua', 'path': 'main.lua', 'isFolder': false}
+		]);
+
+		var reopened = lua_projects.openProject(PROJECT_DIR);
+		test.strictEqual(reopened.main, 'blink.lua');
+		test.deepEqual(reopened.includes, ['lib/util.lua']);
+
+		project.includes = ['blink.lua'];
+		test.notStrictEqual(lua_projects.validateProject(project), null);
+		project.includes = ['notes.txt'];
+		test.notStrictEqual(lua_projects.validateProject(project), null);
+		test.throws(function() { lua_projects.saveProject(project); });
+
+		fs.writeFileSync(path.join(PROJECT_DIR, lua_projects.PROJECT_FILE_NAME), '{"type": "other"}');
+		test.throws(function() { lua_projects.openProject(PROJECT_DIR); });
+		test.done();
+	},
+	revisions: function(test) {
+		var project = lua_projects.openProject(PROJECT_DIR);
+		var first = lua_projects.saveFile(project, 'main.lua', 'x = 1\n', START_TIME);
+		test.deepEqual(first, {'id': START_TIME.toString(), 'time': START_TIME, 'size': 6});
+		// Saving the same contents doesn't add a revision.
+		test.strictEqual(lua_projects.saveFile(project, 'main.lua', 'x = 1\n', START_TIME + 10), null);
+		var second = lua_projects.saveFile(project, 'main.lua', 'x = 2\n', START_TIME);
+		test.strictEqual(second.time, START_TIME + 1);
+
+		var revisions = lua_projects.getRevisions(project, 'main.lua');
+		test.deepEqual(revisions.map(function(revision) {
+			return revision.id;
+		}), [second.id, first.id]);
+		test.strictEqual(lua_projects.readRevision(project, 'main.lua', first.id), 'x = 1\n');
+		test.strictEqual(lua_projects.readFile(project, 'main.lua'), 'x = 2\n');
+		test.deepEqual(lua_projects.getRevisions(project, 'other.lua'), []);
+		test.throws(function() { lua_projects.readRevision(project, 'main.lua', '../x'); });
+
+		for(var i = 0; i < lua_projects.MAX_REVISIONS; i++) {
+			lua_projects.saveFile(project, 'main.lua', 'x = ' + i.toString() + '0\n', START_TIME + 100 + i);
+		}
+		revisions = lua_projects.getRevisions(project, 'main.lua');
+		test.strictEqual(revisions.length, lua_projects.MAX_REVISIONS);
+		test.strictEqual(revisions[revisions.length - 1].time, START_TIME + 100);
+		test.done();
+	},
+	diffLines: function(test) {
+		var oldText = 'a\nb\nc\nd\ne\nf\ng\nh\n';
+		var newText = 'a\nb\nC\nd\ne\nf\ng\nh\ni\n';
+		var changes = lua_projects.diffLines(oldText, newText);
+		test.deepEqual(changes.slice(1, 4), [
+			{'type': 'same', 'text': 'b', 'oldLine': 2, 'newLine': 2},
+			{'type': 'removed', 'text': 'c', 'oldLine': 3, 'newLine': null},
+			{'type': 'added', 'text': 'C', 'oldLine': null, 'newLine': 3}
+		]);
+		test.deepEqual(changes[changes.length - 1], {
+			'type': 'added', 'text': 'i', 'oldLine': null, 'newLine': 9
+		});
+		test.strictEqual(lua_projects.formatDiff(changes, 1), [
+			'@@ -2,3 +2,3 @@', ' b', '-c', '+C', ' d',
+			'@@ -8,1 +8,2 @@', ' h', '+i'
+		].join('\n'));
+		test.strictEqual(lua_projects.formatDiff(lua_projects.diffLines('', 'x\n')), '@@ -0,0 +1,1 @@\n+x');
+		test.strictEqual(lua_projects.formatDiff(lua_projects.diffLines(oldText, oldText)), '');
+
+		changes = lua_projects.diffLines('x\ny\nz', 'y\nx\nz\r\n');
+		test.deepEqual(changes.map(function(change) {
+			return change.type + ' ' + change.text;
+		}), ['removed x', 'same y', 'added x', 'same z']);
+		test.done();
+	},
+	buildSource: function(test) {
+		var project = lua_projects.openProject(PROJECT_DIR);
+		lua_projects.saveFile(project, 'lib/util.lua', 'function twice(x)\n  return 2 * x\nend', START_TIME);
+		lua_projects.saveFile(project, 'lib/log.lua', 'function log(x) print(x) end\n', START_TIME);
+		lua_projects.saveFile(project, 'main.lua', 'log(twice(2))\nlog(3)\n', START_TIME);
+		project.includes = ['lib/util.lua', 'lib/log.lua'];
+
+		var build = lua_projects.buildSource(project);
+		test.strictEqual(build.source, 'function twice(x)\n  return 2 * x\nend\n' +
+			'function log(x) print(x) end\nlog(twice(2))\nlog(3)\n');
+		test.deepEqual(build.sections, [
+			{'path': 'lib/util.lua', 'firstLine': 1, 'numLines': 3},
+			{'path': 'lib/log.lua', 'firstLine': 4, 'numLines': 1},
+			{'path': 'main.lua', 'firstLine': 5, 'numLines': 2}
+		]);
+		test.deepEqual(lua_projects.findSourceLine(build.sections, 2), {'path': 'lib/util.lua', 'line': 2});
+		test.deepEqual(lua_projects.findSourceLine(build.sections, 6), {'path': 'main.lua', 'line': 2});
+		test.strictEqual(lua_projects.findSourceLine(build.sections, 7), null);
+
+		build = lua_projects.buildSource(project, {'main.lua': 'log(1)'});
+		test.strictEqual(build.source.slice(-7), 'log(1)\n');
+		test.deepEqual(build.sections[2], {'path': 'main.lua', 'firstLine': 5, 'numLines': 1});
+		test.done();
+	},
+	deployments: function(test) {
+		var project = lua_projects.openProject(PROJECT_DIR);
+		lua_projects.saveFile(project, 'main.lua', 'print(1)\n', START_TIME);
+		var build = lua_projects.buildSource(project);
+		var deployment = lua_projects.recordDeployment(project, 470010001, build, START_TIME + 5);
+		test.deepEqual(deployment, {
+			'serial': '470010001',
+			'time': START_TIME + 5,
+			'size': 9,
+			'files': [{'path': 'main.lua', 'revision': START_TIME.toString()}]
+		});
+		lua_projects.recordDeployment(project, '470010002', build, START_TIME + 6);
+
+		var reopened = lua_projects.openProject(PROJECT_DIR);
+		test.deepEqual(lua_projects.getDeployments(reopened).map(function(saved) {
+			return saved.serial;
+		}), ['470010002', '470010001']);
+		test.deepEqual(lua_projects.getDeployments(reopened, 470010001), [deployment]);
+		test.done();
+	}
+};
@@ -0,0 +1,67 @@
+/**
+ * Tests for reading back the Lua script saved in a device's flash, using the
+ * simulated driver.
+**/
+
+var test_device_controller = require('./../../test_device_controller');
+var lua_saved_script = require('./../lua_saved_script');
+
+test_device_controller.useSimulatedDriver();
+
+var openDevice = test_device_controller.qOpenDevice;
+
+var saveScript = function(device, source) {
+	var bytes = [];
+	for (var i = 0; i < source.length; i++) {
+		bytes.push(source.charCodeAt(i));
+	}
+	device.device.writeSync('LUA_SOURCE_SIZE', source.length);
+	device.device.writeArraySync('LUA_SOURCE_WRITE', bytes);
+	device.device.writeSync('LUA_SAVE_TO_FLASH', 1);
+};
+
+var reportError = test_device_controller.reportError;
+
+module.exports = {
+	tearDown: test_device_controller.closeOpenedDevices,
+	decodeSavedWords: function(test) {
+		// "prin" and "t(1)" as big endian UINT32 values.
+		test.deepEqual(lua_saved_script.decodeSavedWords([0x7072696E, 0x74283129]), {
+			'text': 'print(1)',
+			'isComplete': false
+		});
+		test.deepEqual(lua_saved_script.decodeSavedWords([0x78203D20, 0x310A0000]), {
+			'text': 'x = 1\n',
+			'isComplete': true
+		});
+		test.deepEqual(lua_saved_script.decodeSavedWords([0xFFFFFFFF]), {
+			'text': '',
+			'isComplete': true
+		});
+		test.done();
+	},
+	readSavedScript: function(test) {
+		var device;
+		var source = 'print("saved")\n' + new Array(100).join('x = 1\n');
+		openDevice('470010001')
+		.then(function(openedDevice) {
+			device = openedDevice;
+			return lua_saved_script.readSavedScript(device);
+		})
+		.then(function(savedSource) {
+			test.strictEqual(savedSource, '');
+			// Longer than one batch of reads.
+			test.ok(source.length > lua_saved_script.SAVED_READ_BATCH_SIZE * 4);
+			saveScript(device, source);
+			return lua_saved_script.readSavedScript(device);
+		})
+		.then(function(savedSource) {
+			test.strictEqual(savedSource, source);
+			return lua_saved_script.readSavedScript(device, 10);
+		})
+		.then(function(savedSource) {
+			test.strictEqual(savedSource, 'print("sav');
+			test.done();
+		}, reportError(test));
+	}
+};
@@ -0,0 +1,62 @@
+/**
+ * Tests for loading a Lua script onto one device, using the simulated driver.
+**/
+
+var test_device_controller = require('./../../test_device_controller');
+var lua_script_upload = require('./../lua_script_upload');
+var lua_saved_script = require('./../lua_saved_script');
+
+test_device_controller.useSimulatedDriver();
+
+var T7_SERIAL = '470010002';
+var SOURCE = 'print("uploaded")\n' + new Array(10).join('x = 1\n');
+
+var reportError = test_device_controller.reportError;
+
+module.exports = {
+	tearDown: test_device_controller.closeOpenedDevices,
+	splitSource: function(test) {
+		var packets = lua_script_upload.splitSource(new Array(41).join('a') + 'bc');
+		test.deepEqual(packets.map(function(packet) {
+			return packet.length;
+		}), [32, 10]);
+		test.strictEqual(packets[1][9], 'c'.charCodeAt(0));
+		test.deepEqual(lua_script_upload.splitSource(''), []);
+		test.done();
+	},
+	uploadAndSave: function(test) {
+		var device;
+		test_device_controller.qOpenDevice(T7_SERIAL)
+		.then(function(openedDevice) {
+			device = openedDevice;
+			return lua_script_upload.stopScript(device);
+		})
+		.then(function() {
+			return lua_script_upload.uploadScript(device, SOURCE);
+		})
+		.then(function(packets) {
+			test.strictEqual(packets.length, Math.ceil(SOURCE.length / lua_script_upload.SOURCE_PACKET_SIZE));
+			return lua_script_upload.enableDebugging(device);
+		})
+		.then(function() {
+			return lua_script_upload.saveToFlash(device);
+		})
+		.then(function() {
+			return lua_script_upload.startScript(device);
+		})
+		.then(function() {
+			return device.dreadMany(['LUA_RUN', 'LUA_DEBUG_ENABLE', 'LUA_DEBUG_ENABLE_DEFAULT']);
+		})
+		.then(function(values) {
+			test.deepEqual(values, [1, 1, 0]);
+			return lua_saved_script.readSavedScript(device);
+		})
+		.then(function(savedSource) {
+			test.strictEqual(savedSource, SOURCE);
+			return lua_script_upload.stopScript(device);
+		})
+		.then(function() {
+			test.done();
+		}, reportError(test));
+	}
+};
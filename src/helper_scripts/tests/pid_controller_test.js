@@ -0,0 +1,155 @@
+/**
+ * Tests for the PID control loop used by the PID control module.
+**/
+
+var pid_controller = require('./../pid_controller');
+
+var createSettings = function(changes) {
+	var settings = JSON.parse(JSON.stringify(pid_controller.DEFAULT_SETTINGS));
+	Object.keys(changes).forEach(function(key) {
+		settings[key] = changes[key];
+	});
+	return settings;
+};
+
+var isClose = function(a, b) {
+	return Math.abs(a - b) < 0.000001;
+};
+
+module.exports = {
+	validateSettings: function(test) {
+		test.strictEqual(pid_controller.validateSettings(pid_controller.DEFAULT_SETTINGS), null);
+		test.notStrictEqual(pid_controller.validateSettings(createSettings({'mode': 'PD'})), null);
+		test.notStrictEqual(pid_controller.validateSettings(createSettings({'kp': '1'})), null);
+		test.notStrictEqual(pid_controller.validateSettings(createSettings({'ki': -1})), null);
+		test.notStrictEqual(pid_controller.validateSettings(createSettings({'setpoint': NaN})), null);
+		test.notStrictEqual(pid_controller.validateSettings(createSettings({'outputMin': 5})), null);
+		test.done();
+	},
+	validateOutput: function(test) {
+		var settings = createSettings({'outputMax': 100});
+		test.strictEqual(pid_controller.validateOutput({'type': 'dac', 'register': 'DAC1'}), null);
+		test.notStrictEqual(pid_controller.validateOutput({'type': 'dac', 'register': 'DAC2'}), null);
+		test.notStrictEqual(pid_controller.validateOutput({'type': 'dac', 'register': 'DAC0'}, settings), null);
+		var pwm = {'type': 'pwm', 'line': 0, 'frequency': 1000, 'clock': 0};
+		test.strictEqual(pid_controller.validateOutput(pwm, settings), null);
+		pwm.line = 1;
+		test.notStrictEqual(pid_controller.validateOutput(pwm), null);
+		pwm.line = 0;
+		pwm.frequency = 0;
+		test.notStrictEqual(pid_controller.validateOutput(pwm), null);
+		pwm.frequency = 1000;
+		pwm.clock = 3;
+		test.notStrictEqual(pid_controller.validateOutput(pwm), null);
+		test.notStrictEqual(pid_controller.validateOutput({'type': 'relay'}), null);
+		test.done();
+	},
+	proportional: function(test) {
+		var loop = pid_controller.createPIDController(createSettings({
+			'mode': 'P', 'setpoint': 2, 'kp': 2
+		}));
+		test.strictEqual(loop.update(1, 0), 2);
+		test.strictEqual(loop.update(1.5, 1000), 1);
+		// Limited to the output range.
+		test.strictEqual(loop.update(-2, 2000), 5);
+		test.strictEqual(loop.update(3, 3000), 0);
+		var reverse = pid_controller.createPIDController(createSettings({
+			'mode': 'P', 'setpoint': 2, 'kp': 2, 'reverseActing': true
+		}));
+		test.strictEqual(reverse.update(3, 0), 2);
+		test.done();
+	},
+	integral: function(test) {
+		var loop = pid_controller.createPIDController(createSettings({
+			'setpoint': 1, 'kp': 0.5, 'ki': 1
+		}));
+		test.strictEqual(loop.update(0, 0), 0.5);
+		test.strictEqual(loop.update(0, 1000), 1.5);
+		test.strictEqual(loop.update(0, 1500), 2);
+		test.strictEqual(loop.terms.i, 1.5);
+		test.strictEqual(loop.update(1, 2500), 1.5);
+		test.done();
+	},
+	antiWindup: function(test) {
+		var loop = pid_controller.createPIDController(createSettings({
+			'setpoint': 10, 'kp': 0.1, 'ki': 1
+		}));
+		var time = 0;
+		for (var i = 0; i < 100; i++) {
+			loop.update(0, time);
+			time += 1000;
+		}
+		test.strictEqual(loop.output, 5);
+		test.ok(loop.integral <= 5);
+		// Once the process variable passes the setpoint the output drops
+		// right away instead of waiting for a wound up integral to unwind.
+		loop.update(12, time);
+		test.ok(loop.output < 5);
+		test.done();
+	},
+	derivative: function(test) {
+		var loop = pid_controller.createPIDController(createSettings({
+			'mode': 'PID', 'setpoint': 1, 'kp': 1, 'ki': 0, 'kd': 2, 'outputMin': -5
+		}));
+		loop.update(0, 0);
+		test.ok(isClose(loop.update(0.5, 1000), 0.5 - 1));
+		test.ok(isClose(loop.terms.d, -1));
+		// Setpoint changes don't kick the output.
+		loop.setSettings(createSettings({
+			'mode': 'PID', 'setpoint': 3, 'kp': 1, 'ki': 0, 'kd': 2, 'outputMin': -5
+		}));
+		test.ok(isClose(loop.update(0.5, 2000), 2.5));
+		test.ok(isClose(loop.terms.d, 0));
+		test.done();
+	},
+	bumplessTransfer: function(test) {
+		var loop = pid_controller.createPIDController(createSettings({
+			'setpoint': 2, 'kp': 1, 'ki': 0.5
+		}));
+		loop.update(1, 0);
+		test.strictEqual(loop.setManual(3.5), 3.5);
+		test.ok(!loop.isAuto);
+		test.strictEqual(loop.update(1.5, 1000), 3.5);
+		test.strictEqual(loop.setManual(7), 5);
+		loop.setManual(3);
+		loop.setAuto();
+		test.ok(loop.isAuto);
+		test.strictEqual(loop.update(1.5, 1000), 3);
+		test.strictEqual(loop.update(1.5, 2000), 3.25);
+
+		// Changing the gains doesn't make the output jump either.
+		loop.setSettings(createSettings({'setpoint': 2, 'kp': 3, 'ki': 0.5}));
+		test.ok(isClose(loop.update(1.5, 2000), 3.25));
+		test.done();
+	},
+	outputWrites: function(test) {
+		var dac = {'type': 'dac', 'register': 'DAC0'};
+		test.deepEqual(pid_controller.planOutputSetup(dac), []);
+		test.deepEqual(pid_controller.planOutputWrites(dac, 2.5), [{'name': 'DAC0', 'value': 2.5}]);
+		test.deepEqual(pid_controller.planOutputWrites(dac, 6), [{'name': 'DAC0', 'value': 5}]);
+
+		var pwm = {'type': 'pwm', 'line': 3, 'frequency': 1000, 'clock': 1};
+		test.deepEqual(pid_controller.getPWMClock(pwm), {
+			'enabled': true, 'divisor': 2, 'rollValue': 40000
+		});
+		pwm.clock = 0;
+		test.deepEqual(pid_controller.getPWMClock(pwm), {
+			'enabled': true, 'divisor': 1, 'rollValue': 80000
+		});
+		test.deepEqual(pid_controller.planOutputSetup(pwm), [
+			{'name': 'DIO_EF_CLOCK0_ENABLE', 'value': 0},
+			{'name': 'DIO_EF_CLOCK0_DIVISOR', 'value': 1},
+			{'name': 'DIO_EF_CLOCK0_ROLL_VALUE', 'value': 80000},
+			{'name': 'DIO_EF_CLOCK0_ENABLE', 'value': 1},
+			{'name': 'DIO3_EF_ENABLE', 'value': 0},
+			{'name': 'DIO3_EF_INDEX', 'value': 0},
+			{'name': 'DIO3_EF_OPTIONS', 'value': 0},
+			{'name': 'DIO3_EF_CONFIG_A', 'value': 0},
+			{'name': 'DIO3_EF_ENABLE', 'value': 1}
+		]);
+		test.deepEqual(pid_controller.planOutputWrites(pwm, 25), [
+			{'name': 'DIO3_EF_CONFIG_A', 'value': 20000}
+		]);
+		test.done();
+	}
+};
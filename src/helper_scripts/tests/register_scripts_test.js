@@ -0,0 +1,136 @@
+/**
+ * Tests for the register scripts run by the register matrix module, using
+ * the simulated driver.
+**/
+
+var q = require('q');
+var test_device_controller = require('./../../test_device_controller');
+test_device_controller.useSimulatedDriver();
+var register_scripts = require('./../register_scripts');
+
+var SERIALS = ['470010001', '470010002'];
+
+var openDevice = test_device_controller.qOpenDevice;
+
+var parseSteps = function(test, script) {
+	var parsed = register_scripts.parseScript(script);
+	test.deepEqual(parsed.errors, []);
+	return parsed.steps;
+};
+
+var reportError = test_device_controller.reportError;
+
+module.exports = {
+	tearDown: test_device_controller.closeOpenedDevices,
+	parseScript: function(test) {
+		var parsed = register_scripts.parseScript([
+			'write dac0 2.5; wait 10ms # settle',
+			'expect AIN0 2.5±0.05; expect AIN1 0 +/- 0.1',
+			'',
+			'# A comment line',
+			'Wait 2s; read SERIAL_NUMBER',
+			'write DEVICE_NAME_DEFAULT "Bench #3"; expect DEVICE_NAME_DEFAULT "Bench #3"'
+		].join('\n'));
+		test.deepEqual(parsed.errors, []);
+		test.deepEqual(parsed.steps.map(function(step) {
+			return step.type;
+		}), ['write', 'wait', 'expect', 'expect', 'wait', 'read', 'write', 'expect']);
+		test.strictEqual(parsed.steps[0].register, 'DAC0');
+		test.strictEqual(parsed.steps[0].value, 2.5);
+		test.strictEqual(parsed.steps[1].duration, 10);
+		test.strictEqual(parsed.steps[1].text, 'wait 10ms');
+		test.strictEqual(parsed.steps[2].tolerance, 0.05);
+		test.strictEqual(parsed.steps[2].line, 2);
+		test.strictEqual(parsed.steps[3].tolerance, 0.1);
+		test.strictEqual(parsed.steps[4].duration, 2000);
+		test.strictEqual(parsed.steps[4].line, 5);
+		test.strictEqual(parsed.steps[6].value, 'Bench #3');
+		test.strictEqual(parsed.steps[7].tolerance, 0);
+		test.done();
+	},
+	parseErrors: function(test) {
+		var parsed = register_scripts.parseScript([
+			'jump AIN0',
+			'write DAC0; wait soon',
+			'expect AIN0 1±x; read AIN0 5',
+			'wait 61s; write DAC0 2.5'
+		].join('\n'));
+		test.strictEqual(parsed.steps.length, 1);
+		test.deepEqual(parsed.errors.map(function(error) {
+			return error.line;
+		}), [1, 2, 2, 3, 3, 4]);
+		test.done();
+	},
+	checkExpectation: function(test) {
+		var check = register_scripts.checkExpectation;
+		test.ok(check({'value': 2.5, 'tolerance': 0.05}, 2.54));
+		test.ok(!check({'value': 2.5, 'tolerance': 0.05}, 2.56));
+		test.ok(check({'value': 3, 'tolerance': 0}, 3));
+		test.ok(check({'value': 'My T7', 'tolerance': 0}, 'My T7'));
+		test.ok(!check({'value': 'My T7', 'tolerance': 0}, 'My T4'));
+		test.done();
+	},
+	runOnDevices: function(test) {
+		var steps = parseSteps(test, [
+			'write DAC0 2.5; wait 10ms; expect AIN0 2.5±0.05',
+			'read DAC0',
+			'expect AIN0 1±0.05',
+			'write DAC0 0; expect AIN0 0±0.05'
+		].join('\n'));
+		q.all(SERIALS.map(function(serial) {
+			return openDevice(serial);
+		}))
+		.then(function(devices) {
+			return register_scripts.runScriptOnDevices(devices, steps);
+		})
+		.then(function(results) {
+			test.deepEqual(results.map(function(result) {
+				return result.serial;
+			}), SERIALS.map(Number));
+			results.forEach(function(result) {
+				test.ok(!result.passed);
+				test.ok(!result.aborted);
+				test.strictEqual(result.numFailed, 1);
+				test.deepEqual(result.log.map(function(entry) {
+					return entry.status;
+				}), ['ok', 'ok', 'pass', 'ok', 'fail', 'ok', 'pass']);
+			});
+			var transcript = register_scripts.formatTranscript(results);
+			test.ok(transcript.indexOf('Device 470010001: FAIL') >= 0);
+			test.ok(transcript.indexOf('line 3: expect AIN0 1±0.05 ... fail') >= 0);
+			test.done();
+		}, reportError(test));
+	},
+	stopOnFailure: function(test) {
+		var steps = parseSteps(test, 'expect DAC0 1; write DAC0 1; expect DAC0 1');
+		openDevice(SERIALS[1])
+		.then(function(device) {
+			return register_scripts.runScript(device, steps, {'stopOnFailure': true});
+		})
+		.then(function(result) {
+			test.ok(!result.passed);
+			test.ok(result.aborted);
+			test.deepEqual(result.log.map(function(entry) {
+				return entry.status;
+			}), ['fail', 'skipped', 'skipped']);
+			test.ok(register_scripts.formatTranscript([result]).indexOf('stopped early') >= 0);
+			test.done();
+		}, reportError(test));
+	},
+	deviceErrorStopsScript: function(test) {
+		var steps = parseSteps(test, 'write DAC0 1; read NOT_A_REGISTER; expect DAC0 1');
+		openDevice(SERIALS[1])
+		.then(function(device) {
+			return register_scripts.runScript(device, steps);
+		})
+		.then(function(result) {
+			test.ok(!result.passed);
+			test.ok(result.aborted);
+			test.strictEqual(result.numFailed, 0);
+			test.deepEqual(result.log.map(function(entry) {
+				return entry.status;
+			}), ['ok', 'error', 'skipped']);
+			test.done();
+		}, reportError(test));
+	}
+};
@@ -0,0 +1,188 @@
+/**
+ * Tests for register snapshots and snapshot diffs, using the simulated
+ * driver.
+**/
+
+var q = require('q');
+var test_device_controller = require('./../../test_device_controller');
+test_device_controller.useSimulatedDriver();
+var register_snapshots = require('./../register_snapshots');
+
+var SERIALS = ['470010001', '470010002'];
+
+var registerInfo = test_device_controller.getRegisterInfo();
+var expandedRegisters = registerInfo.expandedRegisters;
+var registerInfoByName = registerInfo.registerInfoByName;
+
+var openDevice = test_device_controller.qOpenDevice;
+
+var getNames = function(registers) {
+	return registers.map(function(register) {
+		return register.name;
+	});
+};
+
+var createSnapshot = function(values, errors) {
+	return {
+		'serial': 470010001,
+		'deviceType': 'T7',
+		'firmwareVersion': 1.0150,
+		'deviceName': 'Bench',
+		'time': '2014-11-04T02:35:36.123Z',
+		'values': values,
+		'errors': errors || {}
+	};
+};
+
+var reportError = test_device_controller.reportError;
+
+module.exports = {
+	tearDown: test_device_controller.closeOpenedDevices,
+	selectSnapshotRegisters: function(test) {
+		var names = getNames(register_snapshots.selectSnapshotRegisters(
+			expandedRegisters,
+			'T7',
+			1.0150
+		));
+		['AIN0_RANGE', 'AIN13_RESOLUTION_INDEX', 'DEVICE_NAME_DEFAULT', 'SERIAL_NUMBER',
+			'FIRMWARE_VERSION', 'POWER_LED_DEFAULT', 'ETHERNET_IP_DEFAULT'].forEach(function(name) {
+			test.ok(names.indexOf(name) >= 0, name + ' should be in snapshots');
+		});
+		['AIN0', 'DAC0', 'FIO0', 'FIO_STATE', 'STREAM_SCANRATE_HZ', 'TEST_UINT16',
+			'IO_CONFIG_CURRENT_pREAD', 'I2C_DATA_RX', 'DGT_LOG_TEMPERATURE'].forEach(function(name) {
+			test.ok(names.indexOf(name) < 0, name + ' should not be in snapshots');
+		});
+
+		// Registers newer than the device's firmware are left out.
+		var fwmin = registerInfoByName.FIO_DIRECTION.devices[0].fwmin;
+		var oldNames = getNames(register_snapshots.selectSnapshotRegisters(
+			expandedRegisters,
+			'T7',
+			fwmin - 0.01
+		));
+		test.ok(names.indexOf('FIO_DIRECTION') >= 0);
+		test.ok(oldNames.indexOf('FIO_DIRECTION') < 0);
+		test.done();
+	},
+	diffSnapshots: function(test) {
+		var snapshotA = createSnapshot({
+			'AIN0_RANGE': 10,
+			'AIN1_RANGE': 10,
+			'DEVICE_NAME_DEFAULT': 'Bench',
+			'POWER_LED_DEFAULT': 1
+		});
+		var snapshotB = createSnapshot({
+			'AIN0_RANGE': 1,
+			'AIN1_RANGE': 10.0000001,
+			'DEVICE_NAME_DEFAULT': 'Field',
+			'ETHERNET_IP_DEFAULT': 3232235777
+		}, {
+			'POWER_LED_DEFAULT': 'LJM error 2373'
+		});
+		var result = register_snapshots.diffSnapshots(snapshotA, snapshotB, registerInfoByName);
+		test.strictEqual(result.numCompared, 5);
+		test.deepEqual(getNames(result.differences), [
+			'AIN0_RANGE',
+			'AIN1_RANGE',
+			'POWER_LED_DEFAULT',
+			'ETHERNET_IP_DEFAULT',
+			'DEVICE_NAME_DEFAULT'
+		].sort(function(a, b) {
+			return registerInfoByName[a].address - registerInfoByName[b].address;
+		}));
+		var ain0 = result.differences.filter(function(difference) {
+			return difference.name === 'AIN0_RANGE';
+		})[0];
+		test.strictEqual(ain0.status, 'changed');
+		test.strictEqual(ain0.valueA, 10);
+		test.strictEqual(ain0.valueB, 1);
+		test.strictEqual(ain0.address, registerInfoByName.AIN0_RANGE.address);
+		test.strictEqual(ain0.description, registerInfoByName.AIN0_RANGE.description);
+		var ip = result.differences.filter(function(difference) {
+			return difference.name === 'ETHERNET_IP_DEFAULT';
+		})[0];
+		test.strictEqual(ip.status, 'onlyB');
+		test.strictEqual(ip.valueA, null);
+
+		// A tolerance hides rounding differences.
+		result = register_snapshots.diffSnapshots(snapshotA, snapshotB, registerInfoByName, 0.001);
+		test.ok(getNames(result.differences).indexOf('AIN1_RANGE') < 0);
+		test.ok(getNames(result.differences).indexOf('AIN0_RANGE') >= 0);
+		test.done();
+	},
+	exportAndImport: function(test) {
+		var snapshot = createSnapshot({'AIN0_RANGE': 10}, {'WIFI_MAC': 'LJM error 1239'});
+		var contents = register_snapshots.exportSnapshot(snapshot);
+		test.deepEqual(register_snapshots.importSnapshot(contents), snapshot);
+		test.ok(register_snapshots.describeSnapshot(snapshot).indexOf('T7 470010001 (Bench), firmware 1.0150') === 0);
+		test.throws(function() {
+			register_snapshots.importSnapshot('not json');
+		});
+		test.throws(function() {
+			register_snapshots.importSnapshot(JSON.stringify({'values': {}, 'errors': {}}));
+		});
+		test.throws(function() {
+			register_snapshots.importSnapshot(JSON.stringify({
+				'type': register_snapshots.SNAPSHOT_FILE_TYPE,
+				'version': register_snapshots.SNAPSHOT_FILE_VERSION,
+				'values': {}
+			}));
+		});
+		test.done();
+	},
+	snapshotAndDiffDevices: function(test) {
+		var devices;
+		var registers;
+		q.all(SERIALS.map(function(serial) {
+			return openDevice(serial);
+		}))
+		.then(function(openedDevices) {
+			devices = openedDevices;
+			registers = register_snapshots.selectSnapshotRegisters(
+				expandedRegisters,
+				devices[0].getDeviceType(),
+				devices[0].getFirmwareVersion()
+			);
+			return devices[0].writeAsync('AIN3_RANGE', 10);
+		})
+		.then(function() {
+			// Misconfigure the second device.
+			return devices[1].writeAsync('AIN3_RANGE', 0.1);
+		})
+		.then(function() {
+			return q.all(devices.map(function(device) {
+				return register_snapshots.takeSnapshot(device, registers);
+			}));
+		})
+		.then(function(snapshots) {
+			test.strictEqual(String(snapshots[0].serial), SERIALS[0]);
+			test.deepEqual(snapshots[0].errors, {});
+			test.strictEqual(Object.keys(snapshots[0].values).length, registers.length);
+			test.strictEqual(snapshots[0].values.AIN3_RANGE, 10);
+			test.strictEqual(typeof(snapshots[0].values.DEVICE_NAME_DEFAULT), 'string');
+
+			var result = register_snapshots.diffSnapshots(snapshots[0], snapshots[1], registerInfoByName);
+			var changed = getNames(result.differences);
+			test.ok(changed.indexOf('AIN3_RANGE') >= 0);
+			test.ok(changed.indexOf('SERIAL_NUMBER') >= 0);
+			test.ok(changed.indexOf('AIN2_RANGE') < 0);
+			test.done();
+		}, reportError(test));
+	},
+	unreadableRegisters: function(test) {
+		var registers = [
+			registerInfoByName.AIN0_RANGE,
+			{'name': 'NOT_A_REGISTER', 'type': 'UINT16'},
+			registerInfoByName.AIN1_RANGE
+		];
+		openDevice(SERIALS[0])
+		.then(function(device) {
+			return register_snapshots.takeSnapshot(device, registers);
+		})
+		.then(function(snapshot) {
+			test.deepEqual(Object.keys(snapshot.values).sort(), ['AIN0_RANGE', 'AIN1_RANGE']);
+			test.deepEqual(Object.keys(snapshot.errors), ['NOT_A_REGISTER']);
+			test.done();
+		}, reportError(test));
+	}
+};
@@ -0,0 +1,206 @@
+/**
+ * Tests for the named register watchlists used by the register matrix module.
+**/
+
+var register_watchlists = require('./../register_watchlists');
+
+var createWatchlist = function(name, entries) {
+	return {
+		'name': name,
+		'entries': entries.map(function(entry) {
+			return register_watchlists.createEntry(entry.name, entry);
+		})
+	};
+};
+
+module.exports = {
+	createEntry: function(test) {
+		var entry = register_watchlists.createEntry('AIN0');
+		test.deepEqual(entry, {
+			'name': 'AIN0',
+			'format': 'decimal',
+			'precision': 6,
+			'refreshRate': 1000
+		});
+		entry = register_watchlists.createEntry('FIO_STATE', {'format': 'binary'});
+		test.strictEqual(entry.format, 'binary');
+		test.strictEqual(entry.refreshRate, 1000);
+		test.done();
+	},
+	validateWatchlist: function(test) {
+		var validate = register_watchlists.validateWatchlist;
+		test.strictEqual(validate(createWatchlist('Morning', [
+			{'name': 'AIN0'},
+			{'name': 'SERIAL_NUMBER', 'format': 'hex', 'refreshRate': 10000}
+		])), null);
+		test.notStrictEqual(validate(createWatchlist(' ', [])), null);
+		test.notStrictEqual(validate({'name': 'No entries'}), null);
+		test.notStrictEqual(validate(createWatchlist('Twice', [
+			{'name': 'AIN0'},
+			{'name': 'AIN0'}
+		])), null);
+		test.notStrictEqual(validate(createWatchlist('Format', [
+			{'name': 'AIN0', 'format': 'octal'}
+		])), null);
+		test.notStrictEqual(validate(createWatchlist('Precision', [
+			{'name': 'AIN0', 'precision': 2.5}
+		])), null);
+		test.notStrictEqual(validate(createWatchlist('Rate', [
+			{'name': 'AIN0', 'refreshRate': 123}
+		])), null);
+		test.done();
+	},
+	formatValue: function(test) {
+		var format = function(value, settings) {
+			return register_watchlists.formatValue(
+				value,
+				register_watchlists.createEntry('REG', settings)
+			);
+		};
+		test.strictEqual(format(1.5), '1.500000');
+		test.strictEqual(format(1.5, {'precision': 2}), '1.50');
+		test.strictEqual(format(1234.5, {'format': 'scientific', 'precision': 3}), '1.235e+3');
+		test.strictEqual(format(470010002, {'format': 'hex'}), '0x1C03C892');
+		test.strictEqual(format(-1, {'format': 'hex'}), '0xFFFFFFFF');
+		test.strictEqual(format(5, {'format': 'binary'}), '0b101');
+		test.strictEqual(format('My T7', {'format': 'hex'}), 'My T7');
+		test.done();
+	},
+	saveAndDeleteWatchlists: function(test) {
+		var moduleData = {};
+		var userData = register_watchlists.getUserData(moduleData, 'tech');
+		test.deepEqual(register_watchlists.getWatchlistNames(userData), []);
+
+		register_watchlists.saveWatchlist(userData, createWatchlist('Morning', [
+			{'name': 'AIN0'}
+		]));
+		register_watchlists.saveWatchlist(userData, createWatchlist('Evening', [
+			{'name': 'AIN1'}
+		]));
+		test.strictEqual(userData.activeWatchlist, 'Evening');
+		test.deepEqual(
+			register_watchlists.getWatchlistNames(userData),
+			['Evening', 'Morning']
+		);
+		// Other users have their own watchlists.
+		var otherUserData = register_watchlists.getUserData(moduleData, 'other');
+		test.deepEqual(register_watchlists.getWatchlistNames(otherUserData), []);
+		test.strictEqual(register_watchlists.getUserData(moduleData, 'tech'), userData);
+
+		test.throws(function() {
+			register_watchlists.saveWatchlist(userData, createWatchlist('', []));
+		});
+
+		test.ok(register_watchlists.deleteWatchlist(userData, 'Evening'));
+		test.ok(!register_watchlists.deleteWatchlist(userData, 'Evening'));
+		test.strictEqual(userData.activeWatchlist, null);
+		test.deepEqual(register_watchlists.getWatchlistNames(userData), ['Morning']);
+
+		// The saved data has to survive being written to disk.
+		var reloadedData = JSON.parse(JSON.stringify(moduleData));
+		test.deepEqual(
+			register_watchlists.getUserData(reloadedData, 'tech').watchlists.Morning,
+			createWatchlist('Morning', [{'name': 'AIN0'}])
+		);
+		test.done();
+	},
+	exportAndImport: function(test) {
+		var watchlist = createWatchlist('Morning', [
+			{'name': 'AIN0', 'precision': 3, 'refreshRate': 250},
+			{'name': 'FIO_STATE', 'format': 'binary'}
+		]);
+		var contents = register_watchlists.exportWatchlist(watchlist);
+		test.deepEqual(register_watchlists.importWatchlist(contents), watchlist);
+
+		// Missing settings fall back to the defaults.
+		var imported = register_watchlists.importWatchlist(JSON.stringify({
+			'type': register_watchlists.WATCHLIST_FILE_TYPE,
+			'version': 1,
+			'name': 'Short',
+			'entries': [{'name': 'AIN0'}]
+		}));
+		test.strictEqual(imported.entries[0].refreshRate, 1000);
+
+		test.throws(function() {
+			register_watchlists.importWatchlist('{not json');
+		});
+		test.throws(function() {
+			register_watchlists.importWatchlist(JSON.stringify({'name': 'x', 'entries': []}));
+		});
+		test.throws(function() {
+			register_watchlists.importWatchlist(JSON.stringify({
+				'type': register_watchlists.WATCHLIST_FILE_TYPE,
+				'version': register_watchlists.WATCHLIST_FILE_VERSION + 1,
+				'name': 'Future',
+				'entries': []
+			}));
+		});
+		test.throws(function() {
+			register_watchlists.importWatchlist(JSON.stringify({
+				'type': register_watchlists.WATCHLIST_FILE_TYPE,
+				'version': 1,
+				'name': 'Bad rate',
+				'entries': [{'name': 'AIN0', 'refreshRate': 3}]
+			}));
+		});
+		test.done();
+	},
+	checkDeviceSupport: function(test) {
+		var registerInfoByName = {
+			'AIN0': {'name': 'AIN0', 'devices': ['U3', 'U6', 'T7', 'UE9']},
+			'FIO_STATE': {'name': 'FIO_STATE', 'devices': [{'device': 'T7', 'fwmin': 1.0}]},
+			'DAC0': {'name': 'DAC0', 'devices': 'U6'}
+		};
+		var watchlist = createWatchlist('Mixed', [
+			{'name': 'AIN0'},
+			{'name': 'FIO_STATE'},
+			{'name': 'DAC0'},
+			{'name': 'NOT_A_REGISTER'}
+		]);
+
+		var result = register_watchlists.checkDeviceSupport(
+			watchlist,
+			registerInfoByName,
+			'T7',
+			1.0095
+		);
+		test.deepEqual(result.supported.map(function(entry) {
+			return entry.name;
+		}), ['AIN0', 'FIO_STATE']);
+		test.deepEqual(result.unsupported.map(function(entry) {
+			return entry.name;
+		}), ['DAC0', 'NOT_A_REGISTER']);
+
+		result = register_watchlists.checkDeviceSupport(
+			watchlist,
+			registerInfoByName,
+			'T7',
+			0.9402
+		);
+		test.deepEqual(result.supported.map(function(entry) {
+			return entry.name;
+		}), ['AIN0']);
+		test.strictEqual(result.unsupported[0].name, 'FIO_STATE');
+		test.ok(result.unsupported[0].reason.indexOf('1.0000') >= 0);
+		test.done();
+	},
+	getDueEntries: function(test) {
+		var entries = createWatchlist('Rates', [
+			{'name': 'FAST', 'refreshRate': 100},
+			{'name': 'SLOW', 'refreshRate': 5000}
+		]).entries;
+		var names = function(dueEntries) {
+			return dueEntries.map(function(entry) {
+				return entry.name;
+			});
+		};
+		var lastReadTimes = {};
+		test.deepEqual(names(register_watchlists.getDueEntries(entries, lastReadTimes, 0)), ['FAST', 'SLOW']);
+		lastReadTimes.FAST = 0;
+		lastReadTimes.SLOW = 0;
+		test.deepEqual(names(register_watchlists.getDueEntries(entries, lastReadTimes, 50)), []);
+		test.deepEqual(names(register_watchlists.getDueEntries(entries, lastReadTimes, 100)), ['FAST']);
+		test.deepEqual(names(register_watchlists.getDueEntries(entries, lastReadTimes, 5000)), ['FAST', 'SLOW']);
+		test.done();
+	}
+};
@@ -0,0 +1,158 @@
+/**
+ * Tests for the simulated LJM driver backend used to run Kipling without
+ * hardware.
+**/
+
+var test_device_controller = require('./../../test_device_controller');
+var device_controller = test_device_controller.useSimulatedDriver();
+var simulated_labjack_nodejs = require('./../simulated_driver/simulated_labjack_nodejs');
+
+var T7_PRO_SERIAL = '470010001';
+var T7_SERIAL = '470010002';
+
+var openDevice = test_device_controller.qOpenDevice;
+var reportError = test_device_controller.reportError;
+
+module.exports = {
+	setUp: function (callback) {
+		simulated_labjack_nodejs.setSimulatedDevices(
+			simulated_labjack_nodejs.DEFAULT_SIMULATED_DEVICES
+		);
+		callback();
+	},
+	tearDown: test_device_controller.closeOpenedDevices,
+	backendSelected: function (test) {
+		test.ok(device_controller.ljm_driver.isSimulated);
+		test.ok(device_controller.ljm_driver.constants.origConstants.registers.length > 0);
+		test.done();
+	},
+	getDevices: function (test) {
+		test_device_controller.getDevices(reportError(test), function (deviceTypes) {
+			var t7s = deviceTypes.filter(function (deviceType) {
+				return deviceType.name === 'T7';
+			})[0];
+			var digits = deviceTypes.filter(function (deviceType) {
+				return deviceType.name === 'Digit';
+			})[0];
+			test.strictEqual(t7s.devices.length, 3);
+			test.strictEqual(digits.devices.length, 1);
+
+			var t7Pro = t7s.devices.filter(function (device) {
+				return String(device.serial) === T7_PRO_SERIAL;
+			})[0];
+			test.strictEqual(t7Pro.specialText, ' Pro');
+			test.strictEqual(t7Pro.connections.length, 3);
+			test.strictEqual(t7Pro.wifiIPAddress, '192.168.1.202');
+			test.strictEqual(digits.devices[0].specialText, '-TLH');
+			test.done();
+		});
+	},
+	openUnknownDevice: function (test) {
+		openDevice('123', 'USB').then(function () {
+			test.ok(false, 'Opened a device that does not exist');
+			test.done();
+		}, function (err) {
+			test.strictEqual(err, 1227);
+			test.done();
+		});
+	},
+	deviceAttributes: function (test) {
+		openDevice(T7_PRO_SERIAL, 'WiFi').then(function (device) {
+			test.strictEqual(device.getName(), 'SIM-T7-PRO');
+			test.strictEqual(device.getDeviceType(), 'T7');
+			test.strictEqual(device.subclass, 'Pro');
+			test.strictEqual(device.getConnectionType(), 4);
+			test.ok(device.getFirmwareVersion() > 1);
+			test.done();
+		}, reportError(test));
+	},
+	dacLoopback: function (test) {
+		openDevice(T7_SERIAL, 'USB').then(function (device) {
+			return device.writeMany(['DAC0', 'DAC1'], [2.5, 1.2])
+			.then(function () {
+				return device.readMany(['DAC0', 'AIN0', 'AIN1', 'AIN2']);
+			});
+		}).then(function (results) {
+			test.strictEqual(results[0], 2.5);
+			test.ok(Math.abs(results[1] - 2.5) < 0.01, 'AIN0 follows DAC0');
+			test.ok(Math.abs(results[2] - 1.2) < 0.01, 'AIN1 follows DAC1');
+			test.ok(Math.abs(results[3]) < 0.01, 'AIN2 reads 0V');
+			test.done();
+		}, reportError(test));
+	},
+	dioLoopback: function (test) {
+		var device;
+		openDevice(T7_SERIAL, 'USB').then(function (newDevice) {
+			device = newDevice;
+			return device.qWrite('FIO1', 0);
+		}).then(function () {
+			return device.qRead('FIO0');
+		}).then(function (fio0) {
+			test.strictEqual(fio0, 0);
+			return device.qWrite('FIO1', 1);
+		}).then(function () {
+			return device.readMany(['FIO0', 'FIO_DIRECTION', 'FIO2']);
+		}).then(function (results) {
+			test.strictEqual(results[0], 1);
+			test.strictEqual(results[1], 0x02, 'Only FIO1 is an output');
+			test.strictEqual(results[2], 1, 'Inputs are pulled high');
+			test.done();
+		}, reportError(test));
+	},
+	luaScript: function (test) {
+		var device;
+		var script = 'print("Hello from Lua")\n';
+		var scriptBytes = script.split('').map(function (character) {
+			return character.charCodeAt(0);
+		});
+		openDevice(T7_PRO_SERIAL, 'USB').then(function (newDevice) {
+			device = newDevice;
+			return device.qWrite('LUA_RUN', 0);
+		}).then(function () {
+			return device.qWrite('LUA_SOURCE_SIZE', scriptBytes.length);
+		}).then(function () {
+			return device.qWriteArray('LUA_SOURCE_WRITE', scriptBytes);
+		}).then(function () {
+			return device.qWrite('LUA_DEBUG_ENABLE', 1);
+		}).then(function () {
+			return device.qWrite('LUA_RUN', 1);
+		}).then(function () {
+			return device.qRead('LUA_DEBUG_NUM_BYTES');
+		}).then(function (numBytes) {
+			test.ok(numBytes > 0);
+			return device.qReadArray('LUA_DEBUG_DATA', numBytes);
+		}).then(function (data) {
+			var text = String.fromCharCode.apply(null, data);
+			test.ok(text.indexOf('Hello from Lua\n') >= 0, text);
+			return device.qRead('LUA_RUN');
+		}).then(function (isRunning) {
+			test.strictEqual(isRunning, 1);
+			test.done();
+		}, reportError(test));
+	},
+	calibrationFromFlash: function (test) {
+		openDevice(T7_PRO_SERIAL, 'USB').then(function (device) {
+			device.getCalibrationStatus(function (isValid) {
+				test.strictEqual(isValid, true);
+				test.done();
+			});
+		}, reportError(test));
+	},
+	invalidRegister: function (test) {
+		var simDevice = new simulated_labjack_nodejs.device();
+		simDevice.openSync('LJM_dtT7', 'LJM_ctUSB', T7_SERIAL);
+		simDevice.read('NOT_A_REGISTER', function (err) {
+			test.strictEqual(err, 1250);
+			test.strictEqual(
+				device_controller.ljm_driver.errToStrSync(err),
+				'LJME_INVALID_ADDRESS'
+			);
+			simDevice.closeSync();
+			test.done();
+		}, function () {
+			test.ok(false, 'Read an invalid register');
+			simDevice.closeSync();
+			test.done();
+		});
+	}
+};
@@ -23,7 +23,9 @@ var taskManager = task_manager.getTaskManager({
 
 // Tasks to test:
 dataOutputBufferTaskName = 'task_data_output_buffer';
-validTasks = [dataOutputBufferTaskName];
+dataLoggerTaskName = 'task_data_logger';
+alarmMonitorTaskName = 'task_alarm_monitor';
+validTasks = [dataOutputBufferTaskName, dataLoggerTaskName, alarmMonitorTaskName];
 
 module.exports = {
 	setUp: function (callback) {
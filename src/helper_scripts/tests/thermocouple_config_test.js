@@ -0,0 +1,169 @@
+/**
+ * Tests for the thermocouple channel configuration, using the simulated
+ * driver.
+**/
+
+var test_device_controller = require('./../../test_device_controller');
+var thermocouple_config = require('./../thermocouple_config');
+
+test_device_controller.useSimulatedDriver();
+
+var openDevice = test_device_controller.qOpenDevice;
+
+var getMessages = function(conflicts) {
+	return conflicts.map(function(conflict) {
+		return conflict.message;
+	});
+};
+
+var reportError = test_device_controller.reportError;
+
+module.exports = {
+	tearDown: test_device_controller.closeOpenedDevices,
+	thermocoupleTypes: function(test) {
+		var letters = thermocouple_config.THERMOCOUPLE_TYPES.map(function(type) {
+			return type.letter;
+		});
+		test.deepEqual(letters, ['B', 'E', 'J', 'K', 'N', 'R', 'S', 'T', 'C']);
+		test.strictEqual(thermocouple_config.getThermocoupleType(22).letter, 'K');
+		test.strictEqual(thermocouple_config.getThermocoupleType(0), undefined);
+		test.strictEqual(thermocouple_config.getTemperatureUnit(2).name, 'F');
+		test.strictEqual(thermocouple_config.getTemperatureUnit(7).name, 'K');
+		test.strictEqual(thermocouple_config.getDifferentialPair(4), 5);
+		test.strictEqual(thermocouple_config.getDifferentialPair(5), null);
+		test.done();
+	},
+	cjcSources: function(test) {
+		test.deepEqual(thermocouple_config.encodeCJC({'source': 'device'}), {
+			'register': 60052, 'slope': 1, 'offset': 0
+		});
+		test.deepEqual(thermocouple_config.encodeCJC({'source': 'lm34', 'channel': 3}), {
+			'register': 6, 'slope': 55.56, 'offset': 255.37
+		});
+		test.deepEqual(thermocouple_config.encodeCJC({
+			'source': 'custom', 'register': '60050', 'slope': '1', 'offset': '-2'
+		}), {'register': 60050, 'slope': 1, 'offset': -2});
+		test.throws(function() {
+			thermocouple_config.encodeCJC({'source': 'lm34', 'channel': 14});
+		});
+		test.throws(function() {
+			thermocouple_config.encodeCJC({'source': 'custom', 'register': 'x', 'slope': 1, 'offset': 0});
+		});
+
+		test.deepEqual(thermocouple_config.decodeCJC(60052, 1, 0), {'source': 'device'});
+		test.deepEqual(thermocouple_config.decodeCJC(6, 55.560001, 255.369995), {'source': 'lm34', 'channel': 3});
+		test.deepEqual(thermocouple_config.decodeCJC(60050, 1, 0), {
+			'source': 'custom', 'register': 60050, 'slope': 1, 'offset': 0
+		});
+		test.done();
+	},
+	planChannelWrites: function(test) {
+		test.deepEqual(thermocouple_config.planChannelWrites(2, {
+			'type': 22,
+			'unit': 1,
+			'differential': true,
+			'cjc': {'source': 'lm34', 'channel': 8}
+		}), [
+			{'name': 'AIN2_EF_INDEX', 'value': 0},
+			{'name': 'AIN2_RANGE', 'value': 0.1},
+			{'name': 'AIN2_NEGATIVE_CH', 'value': 3},
+			{'name': 'AIN2_EF_INDEX', 'value': 22},
+			{'name': 'AIN2_EF_CONFIG_A', 'value': 1},
+			{'name': 'AIN2_EF_CONFIG_B', 'value': 16},
+			{'name': 'AIN2_EF_CONFIG_D', 'value': 55.56},
+			{'name': 'AIN2_EF_CONFIG_E', 'value': 255.37},
+			{'name': 'AIN8_RANGE', 'value': 10},
+			{'name': 'AIN8_NEGATIVE_CH', 'value': 199}
+		]);
+		var writes = thermocouple_config.planChannelWrites(5, {'type': 30, 'unit': 0});
+		test.deepEqual(writes[2], {'name': 'AIN5_NEGATIVE_CH', 'value': 199});
+		test.deepEqual(writes[5], {'name': 'AIN5_EF_CONFIG_B', 'value': 60052});
+		test.deepEqual(thermocouple_config.planChannelWrites(5, {'type': 0}), [
+			{'name': 'AIN5_EF_INDEX', 'value': 0}
+		]);
+		test.throws(function() {
+			thermocouple_config.planChannelWrites(5, {'type': 22, 'differential': true});
+		});
+		test.throws(function() {
+			thermocouple_config.planChannelWrites(0, {'type': 1});
+		});
+		test.throws(function() {
+			thermocouple_config.planChannelWrites(0, {
+				'type': 22, 'differential': true, 'cjc': {'source': 'lm34', 'channel': 1}
+			});
+		});
+		test.done();
+	},
+	findConflicts: function(test) {
+		var conflicts = thermocouple_config.findConflicts({
+			'0': {'type': 22, 'differential': true, 'cjc': {'source': 'lm34', 'channel': 3}},
+			'1': {'type': 22, 'cjc': {'source': 'device'}},
+			'2': {'type': 21, 'differential': true, 'cjc': {'source': 'device'}},
+			'5': {'type': 24, 'differential': true, 'cjc': {'source': 'lm34', 'channel': 1}}
+		});
+		test.deepEqual(getMessages(conflicts), [
+			'AIN1 is the negative channel of AIN0 and can not also read a thermocouple',
+			'AIN3 is the LM34 CJC of AIN0 and the negative channel of AIN2',
+			'AIN5 can not be differential, only even channels pair with the next channel',
+			'AIN1 is the LM34 CJC of AIN5 and can not also read a thermocouple',
+			'AIN1 is the LM34 CJC of AIN5 and the negative channel of AIN0'
+		]);
+		test.deepEqual(conflicts[1].channels, [0, 3]);
+		test.deepEqual(thermocouple_config.findConflicts({
+			'0': {'type': 22, 'differential': true, 'cjc': {'source': 'lm34', 'channel': 4}},
+			'2': {'type': 22, 'differential': false, 'cjc': {'source': 'lm34', 'channel': 4}}
+		}), []);
+		test.done();
+	},
+	openCircuit: function(test) {
+		test.ok(thermocouple_config.isOpenCircuit(-9999));
+		test.ok(thermocouple_config.isOpenCircuit(300.5, 0.1));
+		test.ok(!thermocouple_config.isOpenCircuit(300.5, 0.002));
+		test.ok(!thermocouple_config.isOpenCircuit(300.5));
+		test.strictEqual(thermocouple_config.formatTemperature(-9999, 1), 'Open circuit');
+		test.strictEqual(thermocouple_config.formatTemperature(21.456, 1, 0.0001), '21.46 C');
+		test.strictEqual(thermocouple_config.formatTemperature(294.6, 0), '294.60 K');
+		test.done();
+	},
+	configureDevice: function(test) {
+		var device;
+		openDevice('470010001')
+		.then(function(openedDevice) {
+			device = openedDevice;
+			var writes = thermocouple_config.planChannelWrites(0, {
+				'type': 27,
+				'unit': 2,
+				'differential': true,
+				'cjc': {'source': 'lm34', 'channel': 6}
+			});
+			writes = writes.concat(thermocouple_config.planChannelWrites(3, {
+				'type': 22,
+				'unit': 1,
+				'cjc': {'source': 'custom', 'register': 60050, 'slope': 1, 'offset': 0.5}
+			}));
+			return thermocouple_config.writePlan(device, writes);
+		})
+		.then(function() {
+			return thermocouple_config.readChannelConfigs(device);
+		})
+		.then(function(channelConfigs) {
+			test.strictEqual(channelConfigs.length, thermocouple_config.NUM_CHANNELS);
+			test.deepEqual(channelConfigs[0], {
+				'channel': 0,
+				'type': 27,
+				'unit': 2,
+				'cjc': {'source': 'lm34', 'channel': 6},
+				'differential': true,
+				'range': channelConfigs[0].range
+			});
+			test.ok(Math.abs(channelConfigs[0].range - 0.1) < 0.0001);
+			test.strictEqual(channelConfigs[6].range, 10);
+			test.strictEqual(channelConfigs[3].type, 22);
+			test.ok(!channelConfigs[3].differential);
+			test.strictEqual(channelConfigs[3].cjc.source, 'custom');
+			test.strictEqual(channelConfigs[3].cjc.register, 60050);
+			test.strictEqual(channelConfigs[1].type, null);
+			test.done();
+		}, reportError(test));
+	}
+};
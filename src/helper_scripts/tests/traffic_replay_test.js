@@ -0,0 +1,139 @@
+/**
+ * Tests for recording device traffic and replaying it from a trace.
+**/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var q = require('q');
+var test_device_controller = require('./../../test_device_controller');
+var simulated_labjack_nodejs = require('./../simulated_driver/simulated_labjack_nodejs');
+var traffic_recorder = require('./../traffic_replay/traffic_recorder');
+var replay_labjack_nodejs = require('./../traffic_replay/replay_labjack_nodejs');
+
+var T7_SERIAL = '470010002';
+var TRACE_LOC = path.join(os.tmpdir(), 'kipling_traffic_replay_test.jsonl');
+
+var call = function (device, operation, args) {
+	var deferred = q.defer();
+	device[operation].apply(device, args.concat([
+		deferred.reject,
+		deferred.resolve
+	]));
+	return deferred.promise;
+};
+
+/**
+ * Open the test T7, write the DACs and read them back through the analog
+ * inputs, the same session being used for recording and replaying.
+**/
+var runSession = function (library) {
+	var device = new library.device();
+	var results = {};
+	return call(device, 'open', ['LJM_dtT7', 'LJM_ctUSB', T7_SERIAL])
+	.then(function () {
+		return call(device, 'writeMany', [['DAC0', 'DAC1'], [2.5, 1.2]]);
+	}).then(function () {
+		return call(device, 'readMany', [['AIN0', 'AIN1']]);
+	}).then(function (values) {
+		results.readMany = values;
+		results.read = device.readSync('DAC0');
+		return call(device, 'read', ['NOT_A_REGISTER']).then(function () {
+			results.readError = null;
+		}, function (err) {
+			results.readError = err;
+		});
+	}).then(function () {
+		results.serialNumber = device.serialNumber;
+		return call(device, 'close', []);
+	}).then(function () {
+		return results;
+	});
+};
+
+var reportError = test_device_controller.reportError;
+
+var recordedResults;
+
+module.exports = {
+	setUp: function (callback) {
+		simulated_labjack_nodejs.setSimulatedDevices(
+			simulated_labjack_nodejs.DEFAULT_SIMULATED_DEVICES
+		);
+		if (fs.existsSync(TRACE_LOC)) {
+			fs.unlinkSync(TRACE_LOC);
+		}
+		var recorder = new traffic_recorder.TrafficRecorder(TRACE_LOC);
+		var library = traffic_recorder.wrapLibrary(
+			simulated_labjack_nodejs,
+			recorder
+		);
+		runSession(library).then(function (results) {
+			recordedResults = results;
+			callback();
+		}).done();
+	},
+	tearDown: function (callback) {
+		fs.unlinkSync(TRACE_LOC);
+		callback();
+	},
+	recordTrace: function (test) {
+		var records = traffic_recorder.readTrace(TRACE_LOC);
+		test.deepEqual(records.map(function (record) {
+			return record.operation;
+		}), ['open', 'writeMany', 'readMany', 'read', 'read', 'close']);
+
+		test.strictEqual(records[0].result.serialNumber, Number(T7_SERIAL));
+		test.deepEqual(records[2].args, [['AIN0', 'AIN1']]);
+		test.deepEqual(records[2].result, recordedResults.readMany);
+		test.strictEqual(records[3].isSync, true);
+		test.strictEqual(records[4].error, 1250);
+		test.ok(records.every(function (record) {
+			return record.serial === Number(T7_SERIAL) && record.time;
+		}));
+		test.done();
+	},
+	replayInOrder: function (test) {
+		replay_labjack_nodejs.loadTrace(
+			TRACE_LOC,
+			replay_labjack_nodejs.ORDER_MODE
+		);
+		runSession(replay_labjack_nodejs).then(function (results) {
+			test.deepEqual(results, recordedResults);
+			test.done();
+		}, reportError(test));
+	},
+	replayOutOfOrder: function (test) {
+		replay_labjack_nodejs.loadTrace(
+			TRACE_LOC,
+			replay_labjack_nodejs.ORDER_MODE
+		);
+		var device = new replay_labjack_nodejs.device();
+		device.openSync('LJM_dtT7', 'LJM_ctUSB', T7_SERIAL);
+		call(device, 'readMany', [['AIN0', 'AIN1']]).then(function () {
+			test.ok(false, 'Replayed a request out of order');
+			test.done();
+		}, function (err) {
+			test.strictEqual(err, replay_labjack_nodejs.LJME_REPLAY_MISMATCH);
+			test.done();
+		});
+	},
+	replayByAddress: function (test) {
+		replay_labjack_nodejs.loadTrace(
+			TRACE_LOC,
+			replay_labjack_nodejs.ADDRESS_MODE
+		);
+		var device = new replay_labjack_nodejs.device();
+		device.openSync('LJM_dtT7', 'LJM_ctUSB', T7_SERIAL);
+		test.strictEqual(device.readSync('DAC0'), recordedResults.read);
+		test.strictEqual(device.readSync('DAC0'), recordedResults.read);
+		test.deepEqual(
+			device.readManySync(['AIN0', 'AIN1']),
+			recordedResults.readMany
+		);
+		test.throws(function () {
+			device.readSync('AIN2');
+		});
+		test.done();
+	}
+};
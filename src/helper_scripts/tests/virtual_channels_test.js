@@ -0,0 +1,159 @@
+/**
+ * Tests for the user-defined virtual channels that scale register readings.
+**/
+
+var q = require('q');
+var test_device_controller = require('./../../test_device_controller');
+var virtual_channels = require('./../virtual_channels');
+
+var pressure = virtual_channels.createChannel({
+	'name': 'TANK_PRESSURE',
+	'label': 'Tank pressure',
+	'unit': 'psi',
+	'source': 'AIN0',
+	'precision': 1,
+	'scaling': {'type': 'linear', 'slope': 25, 'offset': -12.5}
+});
+var flow = virtual_channels.createChannel({
+	'name': 'FLOW',
+	'source': 'AIN1',
+	'scaling': {'type': 'polynomial', 'coefficients': [1, 2, 0.5]}
+});
+var strain = virtual_channels.createChannel({
+	'name': 'STRAIN',
+	'unit': 'ue',
+	'source': 'AIN0',
+	'precision': 0,
+	'scaling': {'type': 'lookup', 'table': [[0, 0], [1, 100], [3, 500]]}
+});
+
+var createFakeDataManager = function(savedData) {
+	return {
+		'saved': {},
+		'getModuleData': function(name) {
+			return q.resolve(savedData[name] || {});
+		},
+		'saveModuleData': function(name, data) {
+			this.saved[name] = JSON.parse(JSON.stringify(data));
+			return q.resolve();
+		}
+	};
+};
+
+module.exports = {
+	createChannel: function(test) {
+		test.deepEqual(flow, {
+			'name': 'FLOW',
+			'label': 'FLOW',
+			'unit': '',
+			'source': 'AIN1',
+			'precision': 3,
+			'scaling': {'type': 'polynomial', 'coefficients': [1, 2, 0.5]}
+		});
+		test.strictEqual(virtual_channels.validateChannel(pressure), null);
+		test.strictEqual(virtual_channels.validateChannel(flow), null);
+		test.strictEqual(virtual_channels.validateChannel(strain), null);
+		test.done();
+	},
+	validateChannel: function(test) {
+		var invalid = function(changes) {
+			var settings = JSON.parse(JSON.stringify(pressure));
+			Object.keys(changes).forEach(function(key) {
+				settings[key] = changes[key];
+			});
+			var channel = virtual_channels.createChannel(settings);
+			return virtual_channels.validateChannel(channel) !== null;
+		};
+		test.ok(invalid({'name': '1ST'}));
+		test.ok(invalid({'name': 'TANK PRESSURE'}));
+		test.ok(invalid({'source': ''}));
+		test.ok(invalid({'precision': 1.5}));
+		test.ok(invalid({'precision': 11}));
+		test.ok(invalid({'scaling': {'type': 'linear', 'slope': 2}}));
+		test.ok(invalid({'scaling': {'type': 'cubic'}}));
+		test.ok(invalid({'scaling': {'type': 'polynomial', 'coefficients': []}}));
+		test.ok(invalid({'scaling': {'type': 'lookup', 'table': [[0, 0]]}}));
+		test.ok(invalid({'scaling': {'type': 'lookup', 'table': [[1, 0], [1, 5]]}}));
+		test.ok(invalid({'scaling': {'type': 'lookup', 'table': [[0, 0], [1, 'a']]}}));
+		test.done();
+	},
+	scaleValue: function(test) {
+		test.strictEqual(virtual_channels.scaleChannel(pressure, 2.5), 50);
+		test.strictEqual(virtual_channels.scaleChannel(flow, 2), 7);
+		test.strictEqual(virtual_channels.scaleChannel(strain, 0.5), 50);
+		test.strictEqual(virtual_channels.scaleChannel(strain, 2), 300);
+		test.strictEqual(virtual_channels.scaleChannel(strain, 3), 500);
+		test.strictEqual(virtual_channels.scaleChannel(strain, -1), 0);
+		test.strictEqual(virtual_channels.scaleChannel(strain, 10), 500);
+		test.ok(isNaN(virtual_channels.scaleChannel(pressure, 'abc')));
+		test.done();
+	},
+	formatValue: function(test) {
+		test.strictEqual(virtual_channels.formatValue(pressure, 50), '50.0 psi');
+		test.strictEqual(virtual_channels.formatValue(flow, 7), '7.000');
+		test.strictEqual(virtual_channels.formatValue(strain, 299.6), '300 ue');
+		test.strictEqual(virtual_channels.formatValue(strain, NaN), 'N/A');
+		test.strictEqual(virtual_channels.describeScaling(pressure.scaling), 'y = 25x + -12.5');
+		test.strictEqual(virtual_channels.describeScaling(flow.scaling), 'y = 1 + 2x + 0.5x^2');
+		test.strictEqual(virtual_channels.describeScaling(strain.scaling), 'lookup table, 3 points');
+		test.done();
+	},
+	parse: function(test) {
+		test.deepEqual(virtual_channels.parseCoefficients('1, -2.5,3e2'), [1, -2.5, 300]);
+		test.throws(function() {
+			virtual_channels.parseCoefficients('1,,2');
+		});
+		test.deepEqual(virtual_channels.parseLookupTable('0, 0\n\n1.5, 10\r\n3,40\n'), [
+			[0, 0], [1.5, 10], [3, 40]
+		]);
+		test.throws(function() {
+			virtual_channels.parseLookupTable('0, 0\n1\n');
+		});
+		test.done();
+	},
+	saveAndDelete: function(test) {
+		var moduleData = {};
+		virtual_channels.saveChannel(moduleData, pressure);
+		virtual_channels.saveChannel(moduleData, flow);
+		var renamed = JSON.parse(JSON.stringify(pressure));
+		renamed.unit = 'kPa';
+		virtual_channels.saveChannel(moduleData, renamed);
+		test.strictEqual(moduleData.channels.length, 2);
+		test.strictEqual(moduleData.channels[0].unit, 'kPa');
+		test.throws(function() {
+			virtual_channels.saveChannel(moduleData, {'name': 'BAD', 'source': 'AIN0'});
+		});
+		test.ok(virtual_channels.deleteChannel(moduleData, 'FLOW'));
+		test.ok(!virtual_channels.deleteChannel(moduleData, 'FLOW'));
+		test.deepEqual(moduleData.channels.map(function(channel) {
+			return channel.name;
+		}), ['TANK_PRESSURE']);
+		test.done();
+	},
+	sources: function(test) {
+		var channels = [pressure, flow, strain];
+		test.deepEqual(virtual_channels.getSourceRegisters(channels), ['AIN0', 'AIN1']);
+		test.deepEqual(virtual_channels.getChannelsForSource(channels, 'AIN0'), [pressure, strain]);
+		test.deepEqual(virtual_channels.getChannelsForSource(channels, 'AIN2'), []);
+		test.done();
+	},
+	persistence: function(test) {
+		var dataManager = createFakeDataManager({
+			'virtual_channels': {'channels': [pressure, {'name': 'BROKEN'}]}
+		});
+		virtual_channels.loadModuleData(dataManager)
+		.then(function(moduleData) {
+			test.deepEqual(moduleData.channels, [pressure]);
+			virtual_channels.saveChannel(moduleData, strain);
+			return virtual_channels.saveModuleData(dataManager, moduleData);
+		})
+		.then(function() {
+			test.deepEqual(dataManager.saved.virtual_channels.channels, [pressure, strain]);
+			return virtual_channels.loadModuleData(undefined);
+		})
+		.then(function(moduleData) {
+			test.deepEqual(moduleData, {'channels': []});
+			test.done();
+		}, test_device_controller.reportError(test));
+	}
+};
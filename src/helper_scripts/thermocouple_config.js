@@ -0,0 +1,411 @@
+/**
+ * Thermocouple channel definitions and configuration using the AIN extended
+ * features (AIN_EF).
+ *
+ * Describes the thermocouple types and temperature units that AIN_EF
+ * supports and the cold junction compensation (CJC) sources a channel can
+ * use. Also plans the register writes that configure a channel, reads the
+ * configuration back, finds channel configurations that can not work
+ * together and detects open thermocouples.
+**/
+
+var q = require('q');
+
+// Number of analog inputs on the T7 that can read a thermocouple.
+var NUM_CHANNELS = 14;
+exports.NUM_CHANNELS = NUM_CHANNELS;
+
+// The thermocouple types, by AINx_EF_INDEX.
+var THERMOCOUPLE_TYPES = [
+    {'name': 'TypeB', 'letter': 'B', 'value': 28},
+    {'name': 'TypeE', 'letter': 'E', 'value': 20},
+    {'name': 'TypeJ', 'letter': 'J', 'value': 21},
+    {'name': 'TypeK', 'letter': 'K', 'value': 22},
+    {'name': 'TypeN', 'letter': 'N', 'value': 27},
+    {'name': 'TypeR', 'letter': 'R', 'value': 23},
+    {'name': 'TypeS', 'letter': 'S', 'value': 25},
+    {'name': 'TypeT', 'letter': 'T', 'value': 24},
+    {'name': 'TypeC', 'letter': 'C', 'value': 30}
+];
+exports.THERMOCOUPLE_TYPES = THERMOCOUPLE_TYPES;
+
+// Temperature units, by AINx_EF_CONFIG_A.
+var TEMPERATURE_UNITS = [
+    {'name': 'K', 'value': 0},
+    {'name': 'C', 'value': 1},
+    {'name': 'F', 'value': 2}
+];
+exports.TEMPERATURE_UNITS = TEMPERATURE_UNITS;
+
+// Thermocouple voltages are small, so channels are set to the +/-0.1 V range.
+var THERMOCOUPLE_RANGE = 0.1;
+exports.THERMOCOUPLE_RANGE = THERMOCOUPLE_RANGE;
+
+// An LM34 outputs 10 mV/F, so its channel is set to the +/-10 V range.
+var LM34_RANGE = 10;
+exports.LM34_RANGE = LM34_RANGE;
+
+// AINx_NEGATIVE_CH value of a single-ended channel.
+var SINGLE_ENDED_NEGATIVE_CH = 199;
+exports.SINGLE_ENDED_NEGATIVE_CH = SINGLE_ENDED_NEGATIVE_CH;
+
+// No thermocouple type puts out more than about 80 mV, so a larger voltage
+// means the input is floating.
+var OPEN_CIRCUIT_VOLTS = 0.09;
+exports.OPEN_CIRCUIT_VOLTS = OPEN_CIRCUIT_VOLTS;
+
+// Temperature the device reports when it could not compute one.
+var NOT_CONNECTED_VALUE = -9999;
+exports.NOT_CONNECTED_VALUE = NOT_CONNECTED_VALUE;
+
+var TEMPERATURE_DEVICE_K = 60052;
+
+// The CJC sources. AINx_EF_CONFIG_B is the modbus address of the CJC
+// reading and CONFIG_D and CONFIG_E are the slope and offset that convert
+// it to Kelvin.
+var CJC_SOURCES = [
+    {'name': 'device', 'humanName': 'Device temperature sensor',
+        'register': TEMPERATURE_DEVICE_K, 'slope': 1, 'offset': 0},
+    {'name': 'lm34', 'humanName': 'LM34 on a channel',
+        'slope': 55.56, 'offset': 255.37},
+    {'name': 'custom', 'humanName': 'Custom register'}
+];
+exports.CJC_SOURCES = CJC_SOURCES;
+
+
+/**
+ * Get the name of an analog input.
+ *
+ * @param {Number} channel The AIN number.
+ * @return {String} The name of the channel, like AIN0.
+**/
+var getChannelName = function (channel) {
+    return 'AIN' + channel.toString();
+};
+exports.getChannelName = getChannelName;
+
+
+/**
+ * Get a thermocouple type.
+ *
+ * @param {Number} value The AINx_EF_INDEX of the type.
+ * @return {Object} The type from THERMOCOUPLE_TYPES or undefined if the
+ *      index is not a thermocouple.
+**/
+var getThermocoupleType = function (value) {
+    var matches = THERMOCOUPLE_TYPES.filter(function (type) {
+        return type.value === Number(value);
+    });
+    return matches[0];
+};
+exports.getThermocoupleType = getThermocoupleType;
+
+
+/**
+ * Get a temperature unit.
+ *
+ * @param {Number} value The AINx_EF_CONFIG_A of the unit.
+ * @return {Object} The unit from TEMPERATURE_UNITS, Kelvin if the value is
+ *      not a known unit.
+**/
+var getTemperatureUnit = function (value) {
+    var matches = TEMPERATURE_UNITS.filter(function (unit) {
+        return unit.value === Number(value);
+    });
+    return matches.length > 0 ? matches[0] : TEMPERATURE_UNITS[0];
+};
+exports.getTemperatureUnit = getTemperatureUnit;
+
+
+/**
+ * Get the negative channel a channel pairs with when it is differential.
+ *
+ * @param {Number} channel The AIN number.
+ * @return {Number} The AIN number of the negative channel or null if the
+ *      channel can not be differential. Only even channels pair, with the
+ *      next odd channel.
+**/
+var getDifferentialPair = function (channel) {
+    if (channel % 2 !== 0 || channel + 1 >= NUM_CHANNELS) {
+        return null;
+    }
+    return channel + 1;
+};
+exports.getDifferentialPair = getDifferentialPair;
+
+
+/**
+ * Get the register, slope and offset of a CJC source.
+ *
+ * @param {Object} cjc The CJC settings with source (a name from CJC_SOURCES),
+ *      channel for an LM34 and register, slope and offset for a custom
+ *      source.
+ * @return {Object} Object with register, slope and offset.
+ * @throws {String} If the source is not known or its settings are not
+ *      numbers.
+**/
+var encodeCJC = function (cjc) {
+    var encoded;
+    if (cjc.source === 'device') {
+        encoded = {
+            'register': CJC_SOURCES[0].register,
+            'slope': CJC_SOURCES[0].slope,
+            'offset': CJC_SOURCES[0].offset
+        };
+    } else if (cjc.source === 'lm34') {
+        var channel = Number(cjc.channel);
+        if (isNaN(channel) || channel < 0 || channel >= NUM_CHANNELS ||
+            Math.floor(channel) !== channel) {
+            throw 'The LM34 must be on AIN0 to AIN' + (NUM_CHANNELS - 1).toString();
+        }
+        encoded = {
+            'register': channel * 2,
+            'slope': CJC_SOURCES[1].slope,
+            'offset': CJC_SOURCES[1].offset
+        };
+    } else if (cjc.source === 'custom') {
+        encoded = {
+            'register': Number(cjc.register),
+            'slope': Number(cjc.slope),
+            'offset': Number(cjc.offset)
+        };
+        if (isNaN(encoded.register) || isNaN(encoded.slope) || isNaN(encoded.offset)) {
+            throw 'The custom CJC register, slope and offset must be numbers';
+        }
+    } else {
+        throw 'Unknown CJC source ' + String(cjc.source);
+    }
+    return encoded;
+};
+exports.encodeCJC = encodeCJC;
+
+
+/**
+ * Find the CJC source that a register, slope and offset came from.
+ *
+ * @param {Number} register The AINx_EF_CONFIG_B value.
+ * @param {Number} slope The AINx_EF_CONFIG_D value.
+ * @param {Number} offset The AINx_EF_CONFIG_E value.
+ * @return {Object} The CJC settings, as taken by encodeCJC.
+**/
+var decodeCJC = function (register, slope, offset) {
+    var closeTo = function (a, b) {
+        return Math.abs(a - b) < 0.001;
+    };
+    if (register === TEMPERATURE_DEVICE_K && closeTo(slope, CJC_SOURCES[0].slope) &&
+        closeTo(offset, CJC_SOURCES[0].offset)) {
+        return {'source': 'device'};
+    }
+    if (register % 2 === 0 && register / 2 < NUM_CHANNELS &&
+        closeTo(slope, CJC_SOURCES[1].slope) && closeTo(offset, CJC_SOURCES[1].offset)) {
+        return {'source': 'lm34', 'channel': register / 2};
+    }
+    return {'source': 'custom', 'register': register, 'slope': slope, 'offset': offset};
+};
+exports.decodeCJC = decodeCJC;
+
+
+/**
+ * Plan the register writes that configure a channel.
+ *
+ * The channel's EF is reset first so the new type starts from its defaults,
+ * the range and negative channel are set for a thermocouple and an LM34 CJC
+ * channel is set to read single-ended on a range that fits it.
+ *
+ * @param {Number} channel The AIN number to configure.
+ * @param {Object} config The channel settings with type (an AINx_EF_INDEX
+ *      from THERMOCOUPLE_TYPES or 0 to disable), unit, differential and cjc
+ *      (as taken by encodeCJC).
+ * @return {Array} Array of {name, value} Objects to write in order.
+ * @throws {String} If the settings can not be used on the channel.
+**/
+var planChannelWrites = function (channel, config) {
+    var channelName = getChannelName(channel);
+    var writes = [{'name': channelName + '_EF_INDEX', 'value': 0}];
+    if (Number(config.type) === 0) {
+        return writes;
+    }
+
+    var type = getThermocoupleType(config.type);
+    if (type === undefined) {
+        throw String(config.type) + ' is not a thermocouple type';
+    }
+    var negativeChannel = SINGLE_ENDED_NEGATIVE_CH;
+    if (config.differential) {
+        negativeChannel = getDifferentialPair(channel);
+        if (negativeChannel === null) {
+            throw channelName + ' can not be differential, only even channels pair with the next channel';
+        }
+    }
+    var cjc = encodeCJC(config.cjc || {'source': 'device'});
+    if (config.cjc && config.cjc.source === 'lm34') {
+        var cjcChannel = Number(config.cjc.channel);
+        if (cjcChannel === channel || cjcChannel === negativeChannel) {
+            throw 'The LM34 for ' + channelName + ' must be on another channel';
+        }
+    }
+
+    writes.push({'name': channelName + '_RANGE', 'value': THERMOCOUPLE_RANGE});
+    writes.push({'name': channelName + '_NEGATIVE_CH', 'value': negativeChannel});
+    writes.push({'name': channelName + '_EF_INDEX', 'value': type.value});
+    writes.push({'name': channelName + '_EF_CONFIG_A', 'value': getTemperatureUnit(config.unit).value});
+    writes.push({'name': channelName + '_EF_CONFIG_B', 'value': cjc.register});
+    writes.push({'name': channelName + '_EF_CONFIG_D', 'value': cjc.slope});
+    writes.push({'name': channelName + '_EF_CONFIG_E', 'value': cjc.offset});
+    if (config.cjc && config.cjc.source === 'lm34') {
+        var lm34Name = getChannelName(Number(config.cjc.channel));
+        writes.push({'name': lm34Name + '_RANGE', 'value': LM34_RANGE});
+        writes.push({'name': lm34Name + '_NEGATIVE_CH', 'value': SINGLE_ENDED_NEGATIVE_CH});
+    }
+    return writes;
+};
+exports.planChannelWrites = planChannelWrites;
+
+
+/**
+ * Find channel configurations that can not work together.
+ *
+ * @param {Object} channelConfigs Object mapping the AIN numbers of the
+ *      thermocouple channels to {type, differential, cjc}.
+ * @return {Array} Array of {channels, message} Objects where channels are
+ *      the AIN numbers involved.
+**/
+var findConflicts = function (channelConfigs) {
+    var conflicts = [];
+    var addConflict = function (channels, message) {
+        conflicts.push({'channels': channels, 'message': message});
+    };
+
+    Object.keys(channelConfigs).forEach(function (key) {
+        var channel = Number(key);
+        var channelName = getChannelName(channel);
+        var config = channelConfigs[key];
+
+        if (config.differential) {
+            var pair = getDifferentialPair(channel);
+            if (pair === null) {
+                addConflict([channel], channelName +
+                    ' can not be differential, only even channels pair with the next channel');
+            } else if (channelConfigs[pair] !== undefined) {
+                addConflict([channel, pair], getChannelName(pair) + ' is the negative channel of ' +
+                    channelName + ' and can not also read a thermocouple');
+            }
+        }
+
+        if (config.cjc && config.cjc.source === 'lm34') {
+            var cjcChannel = Number(config.cjc.channel);
+            var cjcName = getChannelName(cjcChannel);
+            if (channelConfigs[cjcChannel] !== undefined) {
+                addConflict([channel, cjcChannel], cjcName + ' is the LM34 CJC of ' +
+                    channelName + ' and can not also read a thermocouple');
+            }
+            Object.keys(channelConfigs).forEach(function (otherKey) {
+                var other = channelConfigs[otherKey];
+                if (other.differential && getDifferentialPair(Number(otherKey)) === cjcChannel) {
+                    addConflict([channel, cjcChannel], cjcName + ' is the LM34 CJC of ' +
+                        channelName + ' and the negative channel of ' +
+                        getChannelName(Number(otherKey)));
+                }
+            });
+        }
+    });
+    return conflicts;
+};
+exports.findConflicts = findConflicts;
+
+
+/**
+ * Write planned register writes to a device.
+ *
+ * @param {Object} device The device to write to.
+ * @param {Array} writes Array of {name, value} Objects to write in order.
+ * @return {q.promise} Promise that resolves after the writes or rejects with
+ *      the error of the first write that failed.
+**/
+var writePlan = function (device, writes) {
+    if (writes.length === 0) {
+        return q.resolve();
+    }
+    return device.dwriteMany(
+        writes.map(function (write) { return write.name; }),
+        writes.map(function (write) { return write.value; })
+    );
+};
+exports.writePlan = writePlan;
+
+
+/**
+ * Read the thermocouple configuration of a device's channels.
+ *
+ * @param {Object} device The device to read from.
+ * @return {q.promise} Promise that resolves to an Array with an Object for
+ *      each channel with channel, type (null if the channel is not reading
+ *      a thermocouple), unit, differential, range and cjc.
+**/
+var readChannelConfigs = function (device) {
+    var registers = ['_EF_INDEX', '_EF_CONFIG_A', '_EF_CONFIG_B', '_EF_CONFIG_D',
+        '_EF_CONFIG_E', '_NEGATIVE_CH', '_RANGE'];
+    var channels = [];
+    var channel;
+    for (channel = 0; channel < NUM_CHANNELS; channel++) {
+        channels.push(channel);
+    }
+    var names = [];
+    channels.forEach(function (channel) {
+        registers.forEach(function (register) {
+            names.push(getChannelName(channel) + register);
+        });
+    });
+
+    return device.dreadMany(names)
+    .then(function (values) {
+        return channels.map(function (channel, i) {
+            var offset = i * registers.length;
+            var type = getThermocoupleType(values[offset]);
+            return {
+                'channel': channel,
+                'type': type === undefined ? null : type.value,
+                'unit': getTemperatureUnit(values[offset + 1]).value,
+                'cjc': decodeCJC(values[offset + 2], values[offset + 3], values[offset + 4]),
+                'differential': values[offset + 5] === getDifferentialPair(channel),
+                'range': values[offset + 6]
+            };
+        });
+    });
+};
+exports.readChannelConfigs = readChannelConfigs;
+
+
+/**
+ * Determine if a thermocouple reading came from an open thermocouple.
+ *
+ * @param {Number} temperature The AINx_EF_READ_A value.
+ * @param {Number} volts Optional AINx_EF_READ_B value, the thermocouple
+ *      voltage.
+ * @return {Boolean} True if the thermocouple is open or not connected.
+**/
+var isOpenCircuit = function (temperature, volts) {
+    if (Number(temperature) === NOT_CONNECTED_VALUE) {
+        return true;
+    }
+    return volts !== undefined && Math.abs(volts) > OPEN_CIRCUIT_VOLTS;
+};
+exports.isOpenCircuit = isOpenCircuit;
+
+
+/**
+ * Format a thermocouple reading for display.
+ *
+ * @param {Number} temperature The AINx_EF_READ_A value.
+ * @param {Number} unit The AINx_EF_CONFIG_A value.
+ * @param {Number} volts Optional AINx_EF_READ_B value.
+ * @return {String} The temperature with its unit or a note that the
+ *      thermocouple is open.
+**/
+var formatTemperature = function (temperature, unit, volts) {
+    if (isOpenCircuit(temperature, volts)) {
+        return 'Open circuit';
+    }
+    return Number(temperature).toFixed(2) + ' ' + getTemperatureUnit(unit).name;
+};
+exports.formatTemperature = formatTemperature;
@@ -0,0 +1,407 @@
+/**
+ * labjack-nodejs compatible driver that serves device traffic back from a
+ * trace recorded by traffic_recorder.js.
+ *
+ * Replays can match requests to recorded responses in one of two modes:
+ *
+ *  - 'order': each device must make the same requests (same operation on the
+ *    same registers) in the same order as the recorded session. Any other
+ *    request, or a request after the trace has run out, fails with
+ *    LJME_REPLAY_MISMATCH. Useful to reproduce a customer's session exactly.
+ *  - 'address': each request is served the next recorded response to the
+ *    same operation on the same registers, repeating the last one once they
+ *    run out. Useful for regression tests of modules that poll registers.
+ *
+ * The trace is loaded with loadTrace or from the KIPLING_REPLAY_TRACE and
+ * KIPLING_REPLAY_MODE environment variables. Constants and library
+ * configuration come from the simulated driver. Select this backend through
+ * helper_scripts/driver_backend.js.
+**/
+
+var dict = require('dict');
+var simulated_labjack_nodejs = require('./../simulated_driver/simulated_labjack_nodejs');
+var traffic_recorder = require('./traffic_recorder');
+
+var ORDER_MODE = 'order';
+var ADDRESS_MODE = 'address';
+var REPLAY_MODES = [ORDER_MODE, ADDRESS_MODE];
+exports.ORDER_MODE = ORDER_MODE;
+exports.ADDRESS_MODE = ADDRESS_MODE;
+
+var LJME_DEVICE_NOT_OPEN = 1224;
+var LJME_DEVICE_NOT_FOUND = 1227;
+var LJME_REPLAY_MISMATCH = 'LJME_REPLAY_MISMATCH';
+exports.LJME_REPLAY_MISMATCH = LJME_REPLAY_MISMATCH;
+
+var DEVICE_OPERATIONS = traffic_recorder.DEVICE_OPERATIONS;
+var DRIVER_OPERATIONS = traffic_recorder.DRIVER_OPERATIONS;
+var SYNC_SUFFIX = traffic_recorder.SYNC_SUFFIX;
+// Operations that change whether a device is open instead of being served
+// from the trace.
+var SESSION_OPERATIONS = ['open', 'close'];
+
+var DriverOperationError = simulated_labjack_nodejs.DriverOperationError;
+exports.driver_const = simulated_labjack_nodejs.driver_const;
+exports.DriverOperationError = DriverOperationError;
+
+var loadedTrace = null;
+
+
+/**
+ * Recorded responses from a trace along with how far each device has been
+ * replayed.
+ *
+ * @param {Array} records The records read from the trace file.
+ * @param {String} mode ORDER_MODE or ADDRESS_MODE.
+**/
+function ReplayTrace (records, mode)
+{
+    this.records = records;
+    this.mode = mode;
+
+    // serial number -> records for that device in the order they were made
+    var recordsBySerial = dict({});
+    // serial number -> index of the next record to serve in ORDER_MODE
+    var cursors = dict({});
+    // serial number and address key -> records for those registers
+    var recordsByAddress = dict({});
+    // serial number and address key -> number of records already served
+    var addressCursors = dict({});
+
+    var getAddressQueueKey = function (serial, addressKey) {
+        return String(serial) + '/' + addressKey;
+    };
+
+    /**
+     * Find the recorded open matching the arguments of an open request.
+     *
+     * @param {Array} args The device type, connection type and identifier
+     *      given to open.
+     * @return {Object} The matching open record or null if the identifier was
+     *      never opened in the trace.
+    **/
+    this.findOpen = function (args) {
+        var identifier = String(args[2]);
+        var opens = self.records.filter(function (record) {
+            return record.operation === 'open';
+        });
+        var sameRequest = opens.filter(function (record) {
+            return String(record.args[2]) === identifier;
+        });
+        if (sameRequest.length > 0) {
+            return sameRequest[0];
+        }
+        var sameDevice = opens.filter(function (record) {
+            if (record.error !== undefined) {
+                return false;
+            }
+            return identifier === String(record.result.serialNumber) ||
+                identifier === record.result.ipAddress;
+        });
+        return sameDevice.length > 0 ? sameDevice[0] : null;
+    };
+
+    /**
+     * Find the recorded response for a request.
+     *
+     * @param {Object} serial The serial number of the device (null for driver
+     *      operations).
+     * @param {String} operation The name of the operation without the Sync
+     *      suffix.
+     * @param {Array} args The arguments of the request before its callbacks.
+     * @param {Object} operations DEVICE_OPERATIONS or DRIVER_OPERATIONS.
+     * @return {Object} The record to respond with or null if the trace has no
+     *      response for this request.
+     * @throws {DriverOperationError} With code LJME_REPLAY_MISMATCH if, in
+     *      ORDER_MODE, the request is not the next one in the trace.
+    **/
+    this.getResponse = function (serial, operation, args, operations) {
+        var addressKey = traffic_recorder.getAddressKey(
+            operation,
+            args,
+            operations
+        );
+
+        if (self.mode === ORDER_MODE && serial !== null) {
+            var deviceRecords = recordsBySerial.get(String(serial), []);
+            var index = cursors.get(String(serial), 0);
+            var expected = deviceRecords[index];
+            if (expected === undefined) {
+                throw new DriverOperationError(
+                    LJME_REPLAY_MISMATCH,
+                    'Trace has no more requests for ' + serial +
+                        ', got ' + addressKey
+                );
+            }
+            var expectedKey = traffic_recorder.getAddressKey(
+                expected.operation,
+                expected.args,
+                operations
+            );
+            if (expectedKey !== addressKey) {
+                throw new DriverOperationError(
+                    LJME_REPLAY_MISMATCH,
+                    'Expected ' + expectedKey + ', got ' + addressKey
+                );
+            }
+            cursors.set(String(serial), index + 1);
+            return expected;
+        }
+
+        var queueKey = getAddressQueueKey(serial, addressKey);
+        var queue = recordsByAddress.get(queueKey, []);
+        if (queue.length === 0) {
+            return null;
+        }
+        var numServed = addressCursors.get(queueKey, 0);
+        addressCursors.set(queueKey, numServed + 1);
+        return queue[Math.min(numServed, queue.length - 1)];
+    };
+
+    /**
+     * Start serving every device's responses from the start of the trace.
+    **/
+    this.rewind = function () {
+        cursors.clear();
+        addressCursors.clear();
+    };
+
+    records.forEach(function (record) {
+        if (SESSION_OPERATIONS.indexOf(record.operation) >= 0) {
+            return;
+        }
+
+        var operations = record.serial === null ?
+            DRIVER_OPERATIONS : DEVICE_OPERATIONS;
+        if (operations[record.operation] === undefined) {
+            return;
+        }
+
+        var serialKey = String(record.serial);
+        if (record.serial !== null) {
+            if (!recordsBySerial.has(serialKey)) {
+                recordsBySerial.set(serialKey, []);
+            }
+            recordsBySerial.get(serialKey).push(record);
+        }
+
+        var queueKey = getAddressQueueKey(
+            record.serial,
+            traffic_recorder.getAddressKey(
+                record.operation,
+                record.args,
+                operations
+            )
+        );
+        if (!recordsByAddress.has(queueKey)) {
+            recordsByAddress.set(queueKey, []);
+        }
+        recordsByAddress.get(queueKey).push(record);
+    });
+
+    var self = this;
+}
+exports.ReplayTrace = ReplayTrace;
+
+
+/**
+ * Load the trace that devices and drivers created after this call replay.
+ *
+ * @param {String} fileLocation The trace file written by traffic_recorder.js.
+ * @param {String} mode ORDER_MODE (default) or ADDRESS_MODE.
+ * @return {ReplayTrace} The loaded trace.
+ * @throws {Error} If the mode is not recognized.
+**/
+exports.loadTrace = function (fileLocation, mode) {
+    if (mode === undefined) {
+        mode = ORDER_MODE;
+    }
+    if (REPLAY_MODES.indexOf(mode) < 0) {
+        throw new Error('Unknown replay mode: ' + mode);
+    }
+    loadedTrace = new ReplayTrace(traffic_recorder.readTrace(fileLocation), mode);
+    return loadedTrace;
+};
+
+/**
+ * Get the trace being replayed, loading it from the KIPLING_REPLAY_TRACE and
+ * KIPLING_REPLAY_MODE environment variables if loadTrace was not called.
+ *
+ * @return {ReplayTrace} The trace being replayed.
+ * @throws {Error} If no trace was loaded or given through the environment.
+**/
+var getTrace = function () {
+    if (loadedTrace === null) {
+        if (!process.env.KIPLING_REPLAY_TRACE) {
+            throw new Error('No trace to replay. Set KIPLING_REPLAY_TRACE.');
+        }
+        exports.loadTrace(
+            process.env.KIPLING_REPLAY_TRACE,
+            process.env.KIPLING_REPLAY_MODE
+        );
+    }
+    return loadedTrace;
+};
+exports.getTrace = getTrace;
+
+/**
+ * Call a callback asynchronously like the labjack-nodejs async functions do.
+**/
+var defer = function (callback, arg) {
+    setImmediate(function () { callback(arg); });
+};
+
+/**
+ * Add async and Sync versions of operations that respond from the trace.
+ *
+ * @param {Object} target The driver or device to add the operations to.
+ * @param {Object} operations DEVICE_OPERATIONS or DRIVER_OPERATIONS.
+ * @param {function} respond Function taking an operation name and its
+ *      arguments that returns the result or throws a DriverOperationError.
+**/
+var addReplayOperations = function (target, operations, respond) {
+    Object.keys(operations).forEach(function (operation) {
+        var numArgs = operations[operation].numArgs;
+        if (SESSION_OPERATIONS.indexOf(operation) >= 0) {
+            return;
+        }
+
+        target[operation + SYNC_SUFFIX] = function () {
+            var args = Array.prototype.slice.call(arguments, 0, numArgs);
+            return respond(operation, args);
+        };
+
+        target[operation] = function () {
+            var args = Array.prototype.slice.call(arguments, 0, numArgs);
+            var onError = arguments[numArgs];
+            var onSuccess = arguments[numArgs + 1];
+            var result;
+            try {
+                result = respond(operation, args);
+            } catch (err) {
+                return defer(onError, traffic_recorder.getErrorCode(err));
+            }
+            defer(onSuccess, result);
+        };
+    });
+};
+
+/**
+ * Turn a recorded response into a result, throwing recorded errors.
+**/
+var getRecordedResult = function (record, description) {
+    if (record.error !== undefined) {
+        throw new DriverOperationError(record.error, description);
+    }
+    return record.result;
+};
+
+
+/**
+ * Replaying version of the labjack-nodejs driver object. Device listings are
+ * served from the trace and everything else behaves like the simulated
+ * driver.
+**/
+function driver ()
+{
+    simulated_labjack_nodejs.driver.call(this);
+    this.isSimulated = false;
+    this.isReplay = true;
+
+    addReplayOperations(this, DRIVER_OPERATIONS, function (operation, args) {
+        var record = getTrace().getResponse(
+            null,
+            operation,
+            args,
+            DRIVER_OPERATIONS
+        );
+        if (record === null) {
+            return [];
+        }
+        return getRecordedResult(record, operation);
+    });
+}
+exports.driver = driver;
+
+
+/**
+ * Replaying version of the labjack-nodejs device object.
+**/
+function device ()
+{
+    this.handle = null;
+    this.isHandleValid = false;
+    this.deviceType = null;
+    this.connectionType = null;
+    this.serialNumber = null;
+    this.ipAddress = null;
+
+    /**
+     * Open a device that was opened in the trace.
+     *
+     * @param {String/Number} deviceType e.g. 'LJM_dtT7' or 7.
+     * @param {String/Number} connectionType e.g. 'LJM_ctUSB' or 1.
+     * @param {String} identifier Serial number or IP address of the recorded
+     *      device or the identifier it was opened with.
+     * @param {function} onError Called with an LJM error code.
+     * @param {function} onSuccess Called once the device is open.
+    **/
+    this.open = function (deviceType, connectionType, identifier, onError,
+        onSuccess) {
+        try {
+            self.openSync(deviceType, connectionType, identifier);
+        } catch (err) {
+            return defer(onError, err.code);
+        }
+        defer(onSuccess);
+    };
+
+    this.openSync = function (deviceType, connectionType, identifier) {
+        var record = getTrace().findOpen(
+            [deviceType, connectionType, identifier]
+        );
+        if (record === null) {
+            throw new DriverOperationError(LJME_DEVICE_NOT_FOUND, 'open');
+        }
+        var attributes = getRecordedResult(record, 'open');
+        self.handle = attributes.serialNumber;
+        self.isHandleValid = true;
+        self.deviceType = attributes.deviceType;
+        self.connectionType = attributes.connectionType;
+        self.serialNumber = attributes.serialNumber;
+        self.ipAddress = attributes.ipAddress;
+    };
+
+    this.close = function (onError, onSuccess) {
+        self.closeSync();
+        defer(onSuccess);
+    };
+
+    this.closeSync = function () {
+        self.handle = null;
+        self.isHandleValid = false;
+    };
+
+    addReplayOperations(this, DEVICE_OPERATIONS, function (operation, args) {
+        if (!self.isHandleValid) {
+            throw new DriverOperationError(LJME_DEVICE_NOT_OPEN, operation);
+        }
+        var record = getTrace().getResponse(
+            self.serialNumber,
+            operation,
+            args,
+            DEVICE_OPERATIONS
+        );
+        if (record === null) {
+            throw new DriverOperationError(
+                LJME_REPLAY_MISMATCH,
+                'Trace has no response for ' + operation + ' ' +
+                    JSON.stringify(args)
+            );
+        }
+        return getRecordedResult(record, operation);
+    });
+
+    var self = this;
+}
+exports.device = device;
@@ -0,0 +1,274 @@
+/**
+ * Records the register traffic between Kipling and its devices.
+ *
+ * Wraps a labjack-nodejs compatible library so that every device operation
+ * (open, read, readMany, write, writeMany, rwMany, ...) and device listing is
+ * appended to a trace file along with its result and timestamps. Traces are
+ * written as one JSON object per line:
+ *
+ *  {"time": "2014-06-02T17:25:01.123Z", "duration": 3, "serial": 470010001,
+ *   "operation": "readMany", "isSync": false, "args": [["AIN0"]],
+ *   "result": [0.0012]}
+ *
+ * Failed operations have an "error" attribute (the LJM error code) instead of
+ * "result". The traces can be served back to a fresh session by
+ * replay_labjack_nodejs.js. Enable recording through
+ * helper_scripts/driver_backend.js.
+**/
+
+var fs = require('fs');
+
+/**
+ * Device operations that are recorded. numArgs is the number of arguments
+ * before the onError and onSuccess callbacks and numAddressArgs is the number
+ * of those arguments that identify which registers are accessed (as opposed
+ * to the values written).
+**/
+var DEVICE_OPERATIONS = {
+    'open': {'numArgs': 3, 'numAddressArgs': 3},
+    'getHandleInfo': {'numArgs': 0, 'numAddressArgs': 0},
+    'read': {'numArgs': 1, 'numAddressArgs': 1},
+    'readArray': {'numArgs': 2, 'numAddressArgs': 2},
+    'readMany': {'numArgs': 1, 'numAddressArgs': 1},
+    'write': {'numArgs': 2, 'numAddressArgs': 1},
+    'writeArray': {'numArgs': 2, 'numAddressArgs': 1},
+    'writeMany': {'numArgs': 2, 'numAddressArgs': 1},
+    'rwMany': {'numArgs': 4, 'numAddressArgs': 3},
+    'readUINT64': {'numArgs': 1, 'numAddressArgs': 1},
+    'close': {'numArgs': 0, 'numAddressArgs': 0}
+};
+exports.DEVICE_OPERATIONS = DEVICE_OPERATIONS;
+
+var DRIVER_OPERATIONS = {
+    'listAll': {'numArgs': 2, 'numAddressArgs': 2},
+    'listAllExtended': {'numArgs': 3, 'numAddressArgs': 3}
+};
+exports.DRIVER_OPERATIONS = DRIVER_OPERATIONS;
+
+var SYNC_SUFFIX = 'Sync';
+exports.SYNC_SUFFIX = SYNC_SUFFIX;
+
+
+/**
+ * Get the LJM error code out of an error reported by labjack-nodejs.
+ *
+ * @param {Object} err Error code or DriverOperationError (which has a code
+ *      attribute).
+ * @return {Object} The error code.
+**/
+var getErrorCode = function (err) {
+    if (err !== null && typeof(err) === 'object' && err.code !== undefined) {
+        return err.code;
+    }
+    return err;
+};
+exports.getErrorCode = getErrorCode;
+
+
+/**
+ * Get the key used to match an operation by the registers it accesses.
+ *
+ * @param {String} operation The name of the operation (without Sync suffix).
+ * @param {Array} args The arguments given to the operation.
+ * @param {Object} operations DEVICE_OPERATIONS or DRIVER_OPERATIONS.
+ * @return {String} Key that is the same for operations on the same registers.
+**/
+exports.getAddressKey = function (operation, args, operations) {
+    var numAddressArgs = operations[operation].numAddressArgs;
+    return operation + ':' + JSON.stringify(args.slice(0, numAddressArgs));
+};
+
+
+/**
+ * Appends records of device traffic to a trace file.
+ *
+ * @param {String} fileLocation The trace file to append records to.
+**/
+function TrafficRecorder (fileLocation)
+{
+    this.fileLocation = fileLocation;
+    this.numRecords = 0;
+
+    /**
+     * Save a single operation to the trace.
+     *
+     * @param {Object} record Object with serial, operation, isSync, args and
+     *      either a result or error attribute.
+     * @param {Date} requestTime When the operation was requested.
+    **/
+    this.record = function (record, requestTime) {
+        var responseTime = new Date();
+        var line = {
+            'time': requestTime.toISOString(),
+            'duration': responseTime.valueOf() - requestTime.valueOf(),
+            'serial': record.serial,
+            'operation': record.operation,
+            'isSync': record.isSync,
+            'args': record.args
+        };
+        if (record.error !== undefined) {
+            line.error = record.error;
+        } else {
+            line.result = record.result;
+        }
+        fs.appendFileSync(self.fileLocation, JSON.stringify(line) + '\n');
+        self.numRecords += 1;
+    };
+
+    var self = this;
+}
+exports.TrafficRecorder = TrafficRecorder;
+
+
+/**
+ * Read all of the records in a trace file.
+ *
+ * @param {String} fileLocation The trace file to read.
+ * @return {Array} The records in the order they were recorded.
+**/
+exports.readTrace = function (fileLocation) {
+    return fs.readFileSync(fileLocation, 'utf8').split('\n').filter(
+        function (line) { return line.trim() !== ''; }
+    ).map(function (line) { return JSON.parse(line); });
+};
+
+
+/**
+ * Get the attributes that an open sets on a device. These are saved as the
+ * result of open operations so that replayed devices describe themselves the
+ * same way that the recorded ones did.
+ *
+ * @param {Object} device The labjack-nodejs device that was opened.
+ * @return {Object} Object with deviceType, connectionType, serialNumber and
+ *      ipAddress attributes.
+**/
+var getOpenedAttributes = function (device) {
+    return {
+        'deviceType': device.deviceType,
+        'connectionType': device.connectionType,
+        'serialNumber': device.serialNumber,
+        'ipAddress': device.ipAddress
+    };
+};
+exports.getOpenedAttributes = getOpenedAttributes;
+
+
+/**
+ * Replace the operations of a driver or device object with versions that
+ * report to a recorder.
+ *
+ * @param {Object} wrapper The object to add the recording operations to. Its
+ *      prototype should be the inner object.
+ * @param {Object} inner The labjack-nodejs driver or device being recorded.
+ * @param {Object} operations DEVICE_OPERATIONS or DRIVER_OPERATIONS.
+ * @param {function} getSerial Function returning the serial number to save
+ *      with each record.
+ * @param {TrafficRecorder} recorder The recorder to report operations to.
+**/
+var addRecordingOperations = function (wrapper, inner, operations, getSerial,
+    recorder) {
+    Object.keys(operations).forEach(function (operation) {
+        var numArgs = operations[operation].numArgs;
+        var syncOperation = operation + SYNC_SUFFIX;
+        var describeResult = function (result) {
+            return operation === 'open' ? getOpenedAttributes(inner) : result;
+        };
+
+        if (typeof(inner[operation]) === 'function') {
+            wrapper[operation] = function () {
+                var args = Array.prototype.slice.call(arguments, 0, numArgs);
+                var onError = arguments[numArgs];
+                var onSuccess = arguments[numArgs + 1];
+                var requestTime = new Date();
+                var save = function (record) {
+                    record.serial = getSerial();
+                    record.operation = operation;
+                    record.isSync = false;
+                    record.args = args;
+                    recorder.record(record, requestTime);
+                };
+
+                inner[operation].apply(inner, args.concat([
+                    function (err) {
+                        save({'error': getErrorCode(err)});
+                        onError(err);
+                    },
+                    function (result) {
+                        save({'result': describeResult(result)});
+                        onSuccess(result);
+                    }
+                ]));
+            };
+        }
+
+        if (typeof(inner[syncOperation]) === 'function') {
+            wrapper[syncOperation] = function () {
+                var args = Array.prototype.slice.call(arguments, 0, numArgs);
+                var requestTime = new Date();
+                var record = {
+                    'operation': operation,
+                    'isSync': true,
+                    'args': args
+                };
+                var result;
+                try {
+                    result = inner[syncOperation].apply(inner, args);
+                } catch (err) {
+                    record.error = getErrorCode(err);
+                    record.serial = getSerial();
+                    recorder.record(record, requestTime);
+                    throw err;
+                }
+                record.result = describeResult(result);
+                record.serial = getSerial();
+                recorder.record(record, requestTime);
+                return result;
+            };
+        }
+    });
+};
+
+
+/**
+ * Wrap a labjack-nodejs compatible library so all device traffic is recorded.
+ *
+ * The returned library's driver and device objects inherit everything from
+ * the wrapped library's objects and only add recording to the operations in
+ * DRIVER_OPERATIONS and DEVICE_OPERATIONS.
+ *
+ * @param {Object} library The labjack-nodejs compatible library to wrap.
+ * @param {TrafficRecorder} recorder The recorder to save operations with.
+ * @return {Object} New library with driver(), device() and driver_const.
+**/
+exports.wrapLibrary = function (library, recorder) {
+    var recordingLibrary = Object.create(library);
+
+    recordingLibrary.driver = function () {
+        var inner = new library.driver();
+        var recordingDriver = Object.create(inner);
+        addRecordingOperations(
+            recordingDriver,
+            inner,
+            DRIVER_OPERATIONS,
+            function () { return null; },
+            recorder
+        );
+        return recordingDriver;
+    };
+
+    recordingLibrary.device = function () {
+        var inner = new library.device();
+        var recordingDevice = Object.create(inner);
+        addRecordingOperations(
+            recordingDevice,
+            inner,
+            DEVICE_OPERATIONS,
+            function () { return inner.serialNumber; },
+            recorder
+        );
+        return recordingDevice;
+    };
+
+    recordingLibrary.recorder = recorder;
+    return recordingLibrary;
+};
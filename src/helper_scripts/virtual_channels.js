@@ -0,0 +1,427 @@
+/**
+ * User-defined virtual channels that scale a register reading into
+ * engineering units.
+ *
+ * A virtual channel reads one source register (like AIN0) and applies a
+ * linear, polynomial or lookup table scaling to it, for example to show a
+ * pressure transducer's volts as psi. Channels are shared by every module and
+ * saved in the global_data_manager data of the virtual_channels module.
+**/
+
+var q = require('q');
+
+var MODULE_DATA_NAME = 'virtual_channels';
+exports.MODULE_DATA_NAME = MODULE_DATA_NAME;
+
+var SCALING_TYPES = ['linear', 'polynomial', 'lookup'];
+exports.SCALING_TYPES = SCALING_TYPES;
+
+var DEFAULT_PRECISION = 3;
+exports.DEFAULT_PRECISION = DEFAULT_PRECISION;
+
+var MAX_PRECISION = 10;
+exports.MAX_PRECISION = MAX_PRECISION;
+
+// Channel names are used as log file columns and element IDs.
+var NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+
+var isFiniteNumber = function (value) {
+    return typeof(value) === 'number' && isFinite(value);
+};
+
+
+/**
+ * Create a virtual channel.
+ *
+ * @param {Object} settings Object with name, source (the register to scale),
+ *      scaling and the optional label (defaults to the name), unit and
+ *      precision (digits shown after the decimal point) attributes.
+ * @return {Object} The new channel.
+**/
+var createChannel = function (settings) {
+    var scaling = settings.scaling || {};
+    var channel = {
+        'name': settings.name,
+        'label': settings.label || settings.name,
+        'unit': settings.unit || '',
+        'source': settings.source,
+        'precision': settings.precision === undefined ?
+            DEFAULT_PRECISION : settings.precision,
+        'scaling': {'type': scaling.type}
+    };
+    if (scaling.type === 'linear') {
+        channel.scaling.slope = scaling.slope;
+        channel.scaling.offset = scaling.offset;
+    } else if (scaling.type === 'polynomial') {
+        channel.scaling.coefficients = (scaling.coefficients || []).slice();
+    } else if (scaling.type === 'lookup') {
+        channel.scaling.table = (scaling.table || []).map(function (point) {
+            return point.slice();
+        });
+    }
+    return channel;
+};
+exports.createChannel = createChannel;
+
+
+/**
+ * Check the scaling of a virtual channel.
+ *
+ * Linear scaling has a slope and offset, polynomial scaling has coefficients
+ * starting with the constant term and lookup scaling has a table of at least
+ * two [raw, scaled] points with increasing raw values.
+ *
+ * @param {Object} scaling The scaling to check.
+ * @return {String} A description of the problem or null if the scaling is
+ *      valid.
+**/
+var validateScaling = function (scaling) {
+    if (typeof(scaling) !== 'object' || scaling === null) {
+        return 'The scaling must be an object';
+    }
+    if (scaling.type === 'linear') {
+        if (!isFiniteNumber(scaling.slope) || !isFiniteNumber(scaling.offset)) {
+            return 'Linear scaling needs a numeric slope and offset';
+        }
+    } else if (scaling.type === 'polynomial') {
+        var coefficients = scaling.coefficients;
+        if (!Array.isArray(coefficients) || coefficients.length === 0 ||
+            !coefficients.every(isFiniteNumber)) {
+            return 'Polynomial scaling needs at least one numeric coefficient';
+        }
+    } else if (scaling.type === 'lookup') {
+        var table = scaling.table;
+        if (!Array.isArray(table) || table.length < 2) {
+            return 'A lookup table needs at least two points';
+        }
+        for (var i = 0; i < table.length; i++) {
+            var point = table[i];
+            if (!Array.isArray(point) || point.length !== 2 ||
+                !isFiniteNumber(point[0]) || !isFiniteNumber(point[1])) {
+                return 'Lookup table points must be pairs of numbers';
+            }
+            if (i > 0 && point[0] <= table[i - 1][0]) {
+                return 'Lookup table raw values must increase';
+            }
+        }
+    } else {
+        return 'Unknown scaling type: ' + String(scaling.type);
+    }
+    return null;
+};
+exports.validateScaling = validateScaling;
+
+
+/**
+ * Check a virtual channel.
+ *
+ * @param {Object} channel The channel to check.
+ * @return {String} A description of the problem or null if the channel is
+ *      valid.
+**/
+var validateChannel = function (channel) {
+    if (typeof(channel) !== 'object' || channel === null) {
+        return 'Virtual channels must be objects';
+    }
+    if (typeof(channel.name) !== 'string' || !NAME_PATTERN.test(channel.name)) {
+        return 'Invalid virtual channel name: ' + String(channel.name) +
+            ', names start with a letter and contain letters, numbers and _';
+    }
+    if (typeof(channel.source) !== 'string' || channel.source === '') {
+        return channel.name + ' needs a source register';
+    }
+    if (typeof(channel.label) !== 'string' || typeof(channel.unit) !== 'string') {
+        return 'The label and unit of ' + channel.name + ' must be text';
+    }
+    var precision = channel.precision;
+    if (typeof(precision) !== 'number' || Math.floor(precision) !== precision ||
+        precision < 0 || precision > MAX_PRECISION) {
+        return 'The precision of ' + channel.name + ' must be an integer from ' +
+            '0 to ' + MAX_PRECISION.toString();
+    }
+    var scalingError = validateScaling(channel.scaling);
+    if (scalingError !== null) {
+        return channel.name + ': ' + scalingError;
+    }
+    return null;
+};
+exports.validateChannel = validateChannel;
+
+
+/**
+ * Scale a raw reading.
+ *
+ * Lookup tables interpolate linearly between points and hold the first or
+ * last scaled value outside of the table.
+ *
+ * @param {Object} scaling A valid scaling.
+ * @param {Number} raw The reading to scale.
+ * @return {Number} The scaled value, NaN if the reading is not a number.
+**/
+var scaleValue = function (scaling, raw) {
+    if (typeof(raw) !== 'number') {
+        return NaN;
+    }
+    if (scaling.type === 'linear') {
+        return raw * scaling.slope + scaling.offset;
+    } else if (scaling.type === 'polynomial') {
+        // Horner's method, coefficients start with the constant term.
+        var result = 0;
+        for (var i = scaling.coefficients.length - 1; i >= 0; i--) {
+            result = result * raw + scaling.coefficients[i];
+        }
+        return result;
+    }
+    var table = scaling.table;
+    if (raw <= table[0][0]) {
+        return table[0][1];
+    }
+    var last = table[table.length - 1];
+    if (raw >= last[0]) {
+        return last[1];
+    }
+    var j = 1;
+    while (table[j][0] < raw) {
+        j++;
+    }
+    var low = table[j - 1];
+    var high = table[j];
+    return low[1] + (raw - low[0]) * (high[1] - low[1]) / (high[0] - low[0]);
+};
+exports.scaleValue = scaleValue;
+
+
+/**
+ * Scale a raw reading of a channel's source register.
+ *
+ * @param {Object} channel The virtual channel.
+ * @param {Number} raw The value read from the channel's source register.
+ * @return {Number} The value in the channel's units.
+**/
+var scaleChannel = function (channel, raw) {
+    return scaleValue(channel.scaling, raw);
+};
+exports.scaleChannel = scaleChannel;
+
+
+/**
+ * Format a scaled value for display.
+ *
+ * @param {Object} channel The virtual channel.
+ * @param {Number} value The scaled value.
+ * @return {String} The value with the channel's precision and unit.
+**/
+var formatValue = function (channel, value) {
+    if (typeof(value) !== 'number' || isNaN(value)) {
+        return 'N/A';
+    }
+    var valueStr = value.toFixed(channel.precision);
+    return channel.unit === '' ? valueStr : valueStr + ' ' + channel.unit;
+};
+exports.formatValue = formatValue;
+
+
+/**
+ * Describe a scaling, like "y = 2x + 1".
+ *
+ * @param {Object} scaling A valid scaling.
+ * @return {String} The description.
+**/
+var describeScaling = function (scaling) {
+    if (scaling.type === 'linear') {
+        return 'y = ' + String(scaling.slope) + 'x + ' + String(scaling.offset);
+    } else if (scaling.type === 'polynomial') {
+        var terms = scaling.coefficients.map(function (coefficient, power) {
+            if (power === 0) {
+                return String(coefficient);
+            } else if (power === 1) {
+                return String(coefficient) + 'x';
+            }
+            return String(coefficient) + 'x^' + power.toString();
+        });
+        return 'y = ' + terms.join(' + ');
+    }
+    return 'lookup table, ' + scaling.table.length.toString() + ' points';
+};
+exports.describeScaling = describeScaling;
+
+
+/**
+ * Read polynomial coefficients typed as a comma separated list.
+ *
+ * @param {String} text The coefficients, starting with the constant term.
+ * @return {Array} The coefficients.
+ * @throws {String} If a coefficient is not a number.
+**/
+var parseCoefficients = function (text) {
+    return text.split(',').map(function (part) {
+        var coefficient = Number(part.trim());
+        if (part.trim() === '' || isNaN(coefficient)) {
+            throw 'Invalid coefficient: "' + part.trim() + '"';
+        }
+        return coefficient;
+    });
+};
+exports.parseCoefficients = parseCoefficients;
+
+
+/**
+ * Read a lookup table typed as one "raw, scaled" point per line.
+ *
+ * @param {String} text The table, blank lines are ignored.
+ * @return {Array} Array of [raw, scaled] points.
+ * @throws {String} If a line is not a pair of numbers.
+**/
+var parseLookupTable = function (text) {
+    var table = [];
+    text.split(/\r?\n/).forEach(function (line, i) {
+        if (line.trim() === '') {
+            return;
+        }
+        var parts = line.split(',');
+        var point = parts.map(function (part) {
+            return part.trim() === '' ? NaN : Number(part.trim());
+        });
+        if (point.length !== 2 || isNaN(point[0]) || isNaN(point[1])) {
+            throw 'Line ' + (i + 1).toString() + ' of the lookup table is ' +
+                'not a "raw, scaled" pair';
+        }
+        table.push(point);
+    });
+    return table;
+};
+exports.parseLookupTable = parseLookupTable;
+
+
+/**
+ * Get the virtual channels from the module's saved data, adding the list if
+ * needed.
+ *
+ * @param {Object} moduleData The virtual_channels module's
+ *      global_data_manager data.
+ * @return {Array} The channels.
+**/
+var getChannels = function (moduleData) {
+    if (!Array.isArray(moduleData.channels)) {
+        moduleData.channels = [];
+    }
+    return moduleData.channels;
+};
+exports.getChannels = getChannels;
+
+
+/**
+ * Save a virtual channel, replacing any channel with the same name.
+ *
+ * @param {Object} moduleData The virtual_channels module's data.
+ * @param {Object} channel The channel to save.
+ * @throws {String} A description of the problem if the channel is invalid.
+**/
+var saveChannel = function (moduleData, channel) {
+    var newChannel = createChannel(channel);
+    var channelError = validateChannel(newChannel);
+    if (channelError !== null) {
+        throw channelError;
+    }
+    var channels = getChannels(moduleData);
+    for (var i = 0; i < channels.length; i++) {
+        if (channels[i].name === newChannel.name) {
+            channels[i] = newChannel;
+            return;
+        }
+    }
+    channels.push(newChannel);
+};
+exports.saveChannel = saveChannel;
+
+
+/**
+ * Delete a virtual channel.
+ *
+ * @param {Object} moduleData The virtual_channels module's data.
+ * @param {String} name The name of the channel to delete.
+ * @return {Boolean} True if the channel existed.
+**/
+var deleteChannel = function (moduleData, name) {
+    var channels = getChannels(moduleData);
+    var remaining = channels.filter(function (channel) {
+        return channel.name !== name;
+    });
+    moduleData.channels = remaining;
+    return remaining.length !== channels.length;
+};
+exports.deleteChannel = deleteChannel;
+
+
+/**
+ * Load the saved virtual channels.
+ *
+ * @param {Object} globalDataManager The global data manager or undefined
+ *      when it is not available (like in tests).
+ * @return {q.promise} Promise that resolves to the module's data. Saved
+ *      channels that are not valid are left out.
+**/
+var loadModuleData = function (globalDataManager) {
+    if (globalDataManager === undefined) {
+        return q.resolve({'channels': []});
+    }
+    return globalDataManager.getModuleData(MODULE_DATA_NAME)
+    .then(function (moduleData) {
+        moduleData.channels = getChannels(moduleData).filter(function (channel) {
+            return validateChannel(channel) === null;
+        });
+        return moduleData;
+    });
+};
+exports.loadModuleData = loadModuleData;
+
+
+/**
+ * Save the virtual channels so every module sees them.
+ *
+ * @param {Object} globalDataManager The global data manager or undefined.
+ * @param {Object} moduleData The virtual_channels module's data.
+ * @return {q.promise} Promise that resolves once the data has been saved.
+**/
+var saveModuleData = function (globalDataManager, moduleData) {
+    if (globalDataManager === undefined) {
+        return q.resolve();
+    }
+    return globalDataManager.saveModuleData(MODULE_DATA_NAME, moduleData);
+};
+exports.saveModuleData = saveModuleData;
+
+
+/**
+ * Get the virtual channels that scale a register.
+ *
+ * @param {Array} channels The virtual channels.
+ * @param {String} source The name of the register.
+ * @return {Array} The channels whose source is the register.
+**/
+var getChannelsForSource = function (channels, source) {
+    return channels.filter(function (channel) {
+        return channel.source === source;
+    });
+};
+exports.getChannelsForSource = getChannelsForSource;
+
+
+/**
+ * Get the registers that have to be read for a set of virtual channels.
+ *
+ * @param {Array} channels The virtual channels.
+ * @return {Array} The source register names, each listed once.
+**/
+var getSourceRegisters = function (channels) {
+    var sources = [];
+    channels.forEach(function (channel) {
+        if (sources.indexOf(channel.source) < 0) {
+            sources.push(channel.source);
+        }
+    });
+    return sources;
+};
+exports.getSourceRegisters = getSourceRegisters;
+
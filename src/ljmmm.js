@@ -102,3 +102,57 @@ exports.expandLJMMMEntry = function(entry, onSuccess)
 
     });
 };
+
+
+/**
+ * Synchronous version of expandLJMMMName.
+ *
+ * @param {String} name The field to interpret as an LJMMM string.
+ * @return {Array} Array of String resulting from the interpretation of the
+ *      LJMMM field.
+**/
+exports.expandLJMMMNameSync = function(name)
+{
+    var ljmmmRegex = /^(.*)\#\((\d+)\:(\d+)\:?(\d+)?\)(.*)$/;
+    var values = name.match(ljmmmRegex);
+
+    if(values === null)
+        return [name];
+
+    var before = values[1];
+    var startNum = Number(values[2]);
+    var endNum = Number(values[3]);
+    var after = values[5];
+
+    var fullyQualifiedNames = [];
+    for(var regNum = startNum; regNum <= endNum; regNum++)
+    {
+        fullyQualifiedNames.push(
+            sprintf.sprintf('%s%d%s', before, regNum, after)
+        );
+    }
+    return fullyQualifiedNames;
+};
+
+
+/**
+ * Synchronous version of expandLJMMMEntry.
+ *
+ * @param {Object} entry An Object containing information about a register or
+ *      set of registers.
+ * @return {Array} An Array of Object that results from interpreting the name
+ *      of the provided entry as an LJMMM field.
+**/
+exports.expandLJMMMEntrySync = function(entry)
+{
+    var address = entry.address;
+    var regTypeSize = getTypeRegSize(entry.type);
+
+    return exports.expandLJMMMNameSync(entry.name).map(function(name){
+        var newEntry = extend({}, entry);
+        newEntry.name = name;
+        newEntry.address = address;
+        address += regTypeSize;
+        return newEntry;
+    });
+};
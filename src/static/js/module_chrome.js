@@ -16,6 +16,7 @@
 // Include module_manager that handles searching through switchboard_modules 
 // file for code.
 var module_manager = require('./module_manager');
+var path = require('path');
 
 var MODULE_CONTENTS_PLACEHOLDER_ELEMENT = '#module-chrome-contents';
 var MODULE_TAB_CONTAINER = '#module-list';
@@ -52,6 +53,14 @@ var MODULE_CONTENT_BOTTOM_BORDER_HEIGHT = 20+10;
 
 var MODULE_WINDOW_RESIZE_LISTNERS = [];
 
+// Alarm monitor constants, the rules are edited in the Alarms module.
+var ALARM_MONITOR_TASK_NAME = 'task_alarm_monitor';
+var ALARM_MODULE_DATA_NAME = 'alarms';
+var ALARM_LOG_FILE_NAME = 'kipling_alarm_log.csv';
+var ALARM_MONITOR_DEFAULT_POLL_PERIOD = 1000;
+var ALARM_MONITOR_RETRY_MS = 500;
+var ALARM_MONITOR_MAX_RETRIES = 20;
+
 /**
  * Switch the view to the given module.
  *
@@ -552,6 +561,147 @@ function closeAlert()
 }
 
 
+/**
+ * Get the task_alarm_monitor task, initializing & starting it if necessary.
+ *
+ * @return {q.promise} A promise that resolves to the task.
+**/
+function getAlarmMonitorTask()
+{
+    var deferred = q.defer();
+    var alarmTask;
+    if (typeof(TASK_MANAGER) !== 'undefined') {
+        alarmTask = TASK_MANAGER.getTask(ALARM_MONITOR_TASK_NAME);
+    }
+    if (typeof(alarmTask) === 'undefined' || alarmTask.getTaskState() === '') {
+        // The task manager is still including the tasks.
+        var retries = 0;
+        var retryTimer = setInterval(function () {
+            retries += 1;
+            alarmTask = TASK_MANAGER.getTask(ALARM_MONITOR_TASK_NAME);
+            if (typeof(alarmTask) !== 'undefined' && alarmTask.getTaskState() !== '') {
+                clearInterval(retryTimer);
+                getAlarmMonitorTask().then(deferred.resolve, deferred.reject);
+            } else if (retries >= ALARM_MONITOR_MAX_RETRIES) {
+                clearInterval(retryTimer);
+                deferred.reject('The alarm monitor task is not available');
+            }
+        }, ALARM_MONITOR_RETRY_MS);
+        return deferred.promise;
+    }
+
+    var taskStates = TASK_MANAGER.task_state_options;
+    var taskState = alarmTask.getTaskState();
+    var startTask = function () {
+        alarmTask.startTask()
+        .then(function () {
+            deferred.resolve(alarmTask);
+        }, deferred.reject);
+    };
+    if (taskState === taskStates[0]) {
+        alarmTask.initTask().then(startTask, deferred.reject);
+    } else if (taskState === taskStates[1]) {
+        startTask();
+    } else {
+        deferred.resolve(alarmTask);
+    }
+    return deferred.promise;
+}
+
+
+/**
+ * Load the alarm settings saved by the Alarms module.
+ *
+ * @return {q.promise} A promise that resolves to an object with rules,
+ *      pollPeriod & logToFile attributes.
+**/
+function loadAlarmSettings()
+{
+    var defaultSettings = {
+        'rules': [],
+        'pollPeriod': ALARM_MONITOR_DEFAULT_POLL_PERIOD,
+        'logToFile': true
+    };
+    if (typeof(GLOBAL_DATA_MANAGER) === 'undefined') {
+        return q.resolve(defaultSettings);
+    }
+    return GLOBAL_DATA_MANAGER.getModuleData(
+        ALARM_MODULE_DATA_NAME,
+        defaultSettings
+    )
+    .then(function (data) {
+        return {
+            'rules': data.rules || [],
+            'pollPeriod': data.pollPeriod || ALARM_MONITOR_DEFAULT_POLL_PERIOD,
+            'logToFile': data.logToFile !== false
+        };
+    });
+}
+
+
+/**
+ * (Re)start checking the saved alarm rules in the background, showing an
+ * alert at the top of the screen whenever an alarm is raised.
+ *
+ * @param {Object} alarmSettings Optional, the settings to use instead of the
+ *      saved ones, see loadAlarmSettings.
+ * @return {q.promise} A promise that resolves to the alarm monitor's status.
+**/
+function startAlarmMonitor(alarmSettings)
+{
+    var alarmTask;
+    var settings;
+    return getAlarmMonitorTask()
+    .then(function (task) {
+        alarmTask = task;
+        if (alarmSettings !== undefined) {
+            return alarmSettings;
+        }
+        return loadAlarmSettings();
+    })
+    .then(function (savedSettings) {
+        settings = savedSettings;
+        return alarmTask.stopMonitoring();
+    })
+    .then(function () {
+        return alarmTask.setRules(settings.rules);
+    })
+    .then(function () {
+        alarmTask.addAlarmListener('module_chrome', function (event) {
+            if (event.kind === 'raised') {
+                showMinAlert('Alarm "' + event.name + '": ' + event.message);
+            }
+        });
+        var logFile = null;
+        if (settings.logToFile) {
+            logFile = path.join(
+                fs_facade.getDefaultFilePath(),
+                ALARM_LOG_FILE_NAME
+            );
+        }
+        return alarmTask.startMonitoring({
+            'pollPeriod': settings.pollPeriod,
+            'logFile': logFile
+        });
+    });
+}
+
+
+/**
+ * Stop checking the alarm rules, the devices are about to be closed.
+**/
+function stopAlarmMonitor()
+{
+    var alarmTask;
+    if (typeof(TASK_MANAGER) !== 'undefined') {
+        alarmTask = TASK_MANAGER.getTask(ALARM_MONITOR_TASK_NAME);
+    }
+    if (typeof(alarmTask) !== 'undefined' && alarmTask.getTaskState() !== '') {
+        alarmTask.stopMonitoring();
+    }
+}
+
+
 $('#module-chrome').ready(function(){
     var keeper = device_controller.getDeviceKeeper();
     $('#device-count-display').html(keeper.getNumDevices());
@@ -559,11 +709,17 @@ $('#module-chrome').ready(function(){
     $('.close-alert-button').click(closeAlert);
 
     $('#manage-link').click(function () {
+        stopAlarmMonitor();
         var keeper = device_controller.getDeviceKeeper();
         keeper.clearRecord();
         renderDeviceSelector();
     });
 
+    startAlarmMonitor()
+    .fail(function (err) {
+        console.error('Failed to start the alarm monitor', err);
+    });
+
     var updateModuleChromeHeight = function() {
         // var height = $('#system-navigation').height();
         // $('#module-chrome-block').css({'top':height.toString()+'px'});
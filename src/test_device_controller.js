@@ -8,6 +8,9 @@
 **/
 
 var dict = require('dict');
+var q = require('q');
+var driver_backend = require('./helper_scripts/driver_backend');
+var ljmmm = require('./ljmmm');
 
 
 /**
@@ -313,3 +316,153 @@ exports.closeDevice = function(device, onSuccess, onError)
 {
      window.setTimeout(function(){onSuccess(device);}, 2000);
 };
+
+
+// The simulated device_controller once useSimulatedDriver is called, the
+// devices opened by qOpenDevice and the cached result of getRegisterInfo.
+var simulatedController = null;
+var openedDevices = [];
+var registerInfo = null;
+
+
+/**
+ * Switch this controller over to the real device_controller running on top of
+ * the simulated LJM driver.
+ *
+ * After this call getDevices, openDevice, closeDevice and getDeviceKeeper use
+ * virtual devices with simulated register behavior instead of the canned
+ * test devices above. Must be called before anything else requires
+ * device_controller.
+ *
+ * @return {Object} The device_controller module using the simulated driver.
+**/
+exports.useSimulatedDriver = function()
+{
+    driver_backend.selectBackend(driver_backend.SIMULATED);
+    var device_controller = require('./device_controller');
+    simulatedController = device_controller;
+    var driver_const = device_controller.driver_const;
+
+    var parseConstant = function(value, constantMap) {
+        if(!isNaN(value))
+            return Number(value);
+        return constantMap[String(value).toUpperCase().split('-')[0]];
+    };
+
+    exports.getDeviceKeeper = device_controller.getDeviceKeeper;
+    exports.getDevices = device_controller.getDevices;
+    exports.closeDevice = device_controller.closeDevice;
+    exports.openDevice = function(serial, connType, deviceType, onError,
+        onSuccess)
+    {
+        device_controller.openDevice(
+            serial,
+            serial,
+            parseConstant(connType, driver_const.connectionTypes),
+            parseConstant(deviceType, driver_const.deviceTypes),
+            onError,
+            onSuccess
+        );
+    };
+    return device_controller;
+};
+
+
+/**
+ * Open a device with openDevice and remember it for closeOpenedDevices.
+ *
+ * @param {String} serial The serial number of the device to open.
+ * @param {String} connType Optional, the type of connection to open. Defaults
+ *      to "USB".
+ * @param {String} deviceType Optional, the type of device to open. Defaults to
+ *      "T7".
+ * @return {q.promise} Promise that resolves to the opened device. Rejects if
+ *      the device could not be opened.
+**/
+exports.qOpenDevice = function(serial, connType, deviceType)
+{
+    var deferred = q.defer();
+    exports.openDevice(
+        serial,
+        connType || 'USB',
+        deviceType || 'T7',
+        deferred.reject,
+        function(device) {
+            openedDevices.push(device);
+            deferred.resolve(device);
+        }
+    );
+    return deferred.promise;
+};
+
+
+/**
+ * Close the simulated devices opened by qOpenDevice.
+ *
+ * Can be used as a nodeunit tearDown.
+ *
+ * @param {function} callback Optional function to call after the devices are
+ *      closed.
+**/
+exports.closeOpenedDevices = function(callback)
+{
+    openedDevices.forEach(function(device) {
+        device.device.closeSync();
+    });
+    openedDevices = [];
+    if(callback)
+        callback();
+};
+
+
+/**
+ * Create an error handler for a promise chain in a nodeunit test.
+ *
+ * @param {Object} test The nodeunit test to fail and finish on error.
+ * @return {function} Function that takes the error, fails the test with a
+ *      description of it and ends the test.
+**/
+exports.reportError = function(test)
+{
+    return function(err) {
+        var description = String(err);
+        if(err !== null && typeof(err) === 'object' && !(err instanceof Error))
+            description = JSON.stringify(err);
+        test.ok(false, 'Unexpected error: ' + description);
+        test.done();
+    };
+};
+
+
+/**
+ * Get information about every register from the simulated device_controller.
+ *
+ * Only available after useSimulatedDriver.
+ *
+ * @return {Object} Object with the keys "expandedRegisters", an Array of the
+ *      register list's LJMMM entries expanded into individual registers, and
+ *      "registerInfoByName", an Object with those registers by name.
+**/
+exports.getRegisterInfo = function()
+{
+    if(registerInfo !== null)
+        return registerInfo;
+
+    simulatedController.finishInit(function() {});
+    var expandedRegisters = [];
+    simulatedController.fullRegisterList.forEach(function(entry) {
+        expandedRegisters.push.apply(
+            expandedRegisters,
+            ljmmm.expandLJMMMEntrySync(entry)
+        );
+    });
+    var registerInfoByName = {};
+    expandedRegisters.forEach(function(register) {
+        registerInfoByName[register.name] = register;
+    });
+    registerInfo = {
+        'expandedRegisters': expandedRegisters,
+        'registerInfoByName': registerInfoByName
+    };
+    return registerInfo;
+};
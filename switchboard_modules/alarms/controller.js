@@ -0,0 +1,332 @@
+/**
+ * Logic for the Alarms module.
+ *
+ * Lets the user define alarm rules and saves them.  The rules are checked by
+ * the task_alarm_monitor task, which module_chrome.js starts once the devices
+ * are selected, so this module only edits the rules and shows their state.
+**/
+
+var STATUS_UPDATE_PERIOD_MS = 1000;
+
+// Saved settings, see loadAlarmSettings in module_chrome.js.
+var alarmSettings = {
+    'rules': [],
+    'pollPeriod': ALARM_MONITOR_DEFAULT_POLL_PERIOD,
+    'logToFile': true
+};
+
+
+function getAlarmTask()
+{
+    return TASK_MANAGER.getTask(ALARM_MONITOR_TASK_NAME);
+}
+
+
+/**
+ * Show a message about the alarms or hide the message.
+ *
+ * @param {String} message The message to show or null to hide it.
+**/
+function showAlarmMessage(message)
+{
+    if (message === null) {
+        $('#alarm-message').hide();
+    } else {
+        $('#alarm-message').text(String(message));
+        $('#alarm-message').show();
+    }
+}
+
+
+/**
+ * Save the settings and restart the alarm monitor with them.  Without the
+ * global data manager the settings are not saved.
+**/
+function applyAlarmSettings()
+{
+    var saveSettings = q.resolve();
+    if (typeof(GLOBAL_DATA_MANAGER) !== 'undefined') {
+        saveSettings = GLOBAL_DATA_MANAGER.saveModuleData(
+            ALARM_MODULE_DATA_NAME,
+            alarmSettings
+        );
+    }
+    return saveSettings
+    .then(function () {
+        return startAlarmMonitor(alarmSettings);
+    })
+    .then(function (status) {
+        showAlarmMessage(null);
+        renderStatus(status);
+    }, function (err) {
+        showAlarmMessage('Failed to apply the alarms: ' + err);
+    });
+}
+
+
+function describeOutput(rule)
+{
+    if (typeof(rule.output) === 'undefined' || rule.output === null) {
+        return '';
+    }
+    return rule.output.register + ' = ' + rule.output.activeValue.toString();
+}
+
+
+/**
+ * Show the saved rules, one row per rule.
+**/
+function renderRules()
+{
+    var rows = $('#alarm-rows');
+    rows.empty();
+    if (alarmSettings.rules.length === 0) {
+        rows.append($('<tr>').append(
+            $('<td colspan="6">').text('No alarms defined.')
+        ));
+        return;
+    }
+    var alarmTask = getAlarmTask();
+    alarmSettings.rules.forEach(function (rule, index) {
+        var enableBox = $('<input type="checkbox">');
+        enableBox.prop('checked', rule.enabled !== false);
+        enableBox.change(function () {
+            rule.enabled = enableBox.prop('checked');
+            applyAlarmSettings();
+        });
+        var editButton = $('<button class="btn btn-small" type="button">');
+        editButton.text('Edit');
+        editButton.click(function () {
+            editRule(rule);
+        });
+        var deleteButton = $('<button class="btn btn-small" type="button">');
+        deleteButton.text('Delete');
+        deleteButton.click(function () {
+            alarmSettings.rules.splice(index, 1);
+            renderRules();
+            applyAlarmSettings();
+        });
+        rows.append($('<tr>').append(
+            $('<td>').text(rule.name),
+            $('<td>').text(alarmTask.describeRule(rule)),
+            $('<td>').text(describeOutput(rule)),
+            $('<td>').append(enableBox),
+            $('<td class="alarm-state">').attr('data-name', rule.name).text('-'),
+            $('<td>').append(editButton, ' ', deleteButton)
+        ));
+    });
+}
+
+
+/**
+ * Show the state of each alarm and the recent events.
+ *
+ * @param {Object} status The alarm monitor's status, see the task's getStatus.
+**/
+function renderStatus(status)
+{
+    status.rules.forEach(function (ruleStatus) {
+        var cell = $('.alarm-state[data-name="' + ruleStatus.name + '"]');
+        var state = 'OK';
+        if (!ruleStatus.enabled) {
+            state = 'disabled';
+        } else if (ruleStatus.isActive) {
+            state = 'ALARM';
+        } else if (ruleStatus.readError) {
+            state = 'read error';
+        }
+        cell.text(state);
+        cell.attr('title', ruleStatus.readError || '');
+        cell.toggleClass('alarm-active', ruleStatus.enabled && ruleStatus.isActive);
+    });
+
+    var rows = $('#alarm-event-rows');
+    rows.empty();
+    status.events.slice().reverse().forEach(function (event) {
+        var value = '';
+        if (event.value !== null) {
+            value = String(event.value);
+        }
+        rows.append($('<tr>').append(
+            $('<td>').text(new Date(event.time).toLocaleString()),
+            $('<td>').text(event.name),
+            $('<td>').text(event.message),
+            $('<td>').text(value)
+        ));
+    });
+}
+
+
+/**
+ * Periodically show the state of the alarms while this module is loaded.
+**/
+function updateStatus()
+{
+    if (LOADED_MODULE_INFO_OBJECT.name !== 'alarms') {
+        return;
+    }
+    var alarmTask = getAlarmTask();
+    if (typeof(alarmTask) !== 'undefined' && alarmTask.getTaskState() !== '') {
+        renderStatus(alarmTask.getStatus());
+    }
+    setTimeout(updateStatus, STATUS_UPDATE_PERIOD_MS);
+}
+
+
+function showTypeOptions()
+{
+    var type = $('#alarm-type-select').val();
+    $('.alarm-type-options').hide();
+    $('.alarm-register-option').toggle(type !== 'disconnected');
+    if (type === 'dioState') {
+        $('#alarm-state-options').show();
+    } else if (type !== 'disconnected') {
+        $('#alarm-limit-options').show();
+    }
+}
+
+
+/**
+ * Fill the form with a rule so that it can be changed.
+ *
+ * @param {Object} rule The rule to edit.
+**/
+function editRule(rule)
+{
+    $('#alarm-name-input').val(rule.name);
+    $('#alarm-device-select').val(String(rule.serial));
+    $('#alarm-type-select').val(rule.type);
+    $('#alarm-register-input').val(rule.register || '');
+    $('#alarm-limit-input').val(rule.limit || 0);
+    $('#alarm-deadband-input').val(rule.deadband || 0);
+    $('#alarm-state-select').val(String(rule.state === 0 ? 0 : 1));
+    var hasOutput = typeof(rule.output) !== 'undefined' && rule.output !== null;
+    $('#alarm-output-enable').prop('checked', hasOutput);
+    if (hasOutput) {
+        $('#alarm-output-register-input').val(rule.output.register);
+        $('#alarm-output-active-input').val(rule.output.activeValue);
+        $('#alarm-output-inactive-input').val(rule.output.inactiveValue);
+    }
+    showTypeOptions();
+    showAlarmMessage(null);
+}
+
+
+function clearForm()
+{
+    $('#alarm-name-input').val('');
+    $('#alarm-type-select').val('high');
+    $('#alarm-register-input').val('');
+    $('#alarm-limit-input').val(0);
+    $('#alarm-deadband-input').val(0);
+    $('#alarm-state-select').val('1');
+    $('#alarm-output-enable').prop('checked', false);
+    $('#alarm-output-register-input').val('');
+    $('#alarm-output-active-input').val(1);
+    $('#alarm-output-inactive-input').val(0);
+    showTypeOptions();
+    showAlarmMessage(null);
+}
+
+
+/**
+ * Read the rule described by the form.
+ *
+ * @return {Object} The rule.
+ * @throws {String} A description of the problem if the rule is invalid.
+**/
+function readForm()
+{
+    var rule = {
+        'name': $('#alarm-name-input').val().trim(),
+        'serial': $('#alarm-device-select').val(),
+        'type': $('#alarm-type-select').val()
+    };
+    if (rule.type !== 'disconnected') {
+        rule.register = $('#alarm-register-input').val().trim().toUpperCase();
+    }
+    if (rule.type === 'dioState') {
+        rule.state = Number($('#alarm-state-select').val());
+    } else if (rule.type !== 'disconnected') {
+        rule.limit = Number($('#alarm-limit-input').val());
+        rule.deadband = Number($('#alarm-deadband-input').val());
+    }
+    if ($('#alarm-output-enable').prop('checked')) {
+        rule.output = {
+            'register': $('#alarm-output-register-input').val().trim().toUpperCase(),
+            'activeValue': Number($('#alarm-output-active-input').val()),
+            'inactiveValue': Number($('#alarm-output-inactive-input').val())
+        };
+    }
+    var ruleError = getAlarmTask().validateRule(rule);
+    if (ruleError !== null) {
+        throw ruleError;
+    }
+    return rule;
+}
+
+
+function saveFormRule()
+{
+    var rule;
+    try {
+        rule = readForm();
+    } catch (ruleError) {
+        showAlarmMessage(ruleError);
+        return;
+    }
+    var replaced = false;
+    alarmSettings.rules = alarmSettings.rules.map(function (savedRule) {
+        if (savedRule.name === rule.name) {
+            replaced = true;
+            rule.enabled = savedRule.enabled;
+            return rule;
+        }
+        return savedRule;
+    });
+    if (!replaced) {
+        alarmSettings.rules.push(rule);
+    }
+    renderRules();
+    applyAlarmSettings();
+}
+
+
+function saveMonitorSettings()
+{
+    var minPollPeriod = getAlarmTask().MIN_POLL_PERIOD;
+    var pollPeriod = Number($('#alarm-poll-period-input').val());
+    if (isNaN(pollPeriod) || pollPeriod < minPollPeriod) {
+        showAlarmMessage(
+            'The alarms can be checked at most every ' +
+            minPollPeriod.toString() + ' ms'
+        );
+        return;
+    }
+    alarmSettings.pollPeriod = pollPeriod;
+    alarmSettings.logToFile = $('#alarm-log-enable').prop('checked');
+    applyAlarmSettings();
+}
+
+
+$('#alarms-module').ready(function () {
+    $('#alarm-log-file').text(
+        path.join(fs_facade.getDefaultFilePath(), ALARM_LOG_FILE_NAME)
+    );
+    clearForm();
+    $('#alarm-type-select').change(showTypeOptions);
+    $('#alarm-save-button').click(saveFormRule);
+    $('#alarm-clear-button').click(clearForm);
+    $('#alarm-apply-settings-button').click(saveMonitorSettings);
+
+    loadAlarmSettings()
+    .then(function (savedSettings) {
+        alarmSettings = savedSettings;
+        $('#alarm-poll-period-input').val(alarmSettings.pollPeriod);
+        $('#alarm-log-enable').prop('checked', alarmSettings.logToFile);
+        renderRules();
+        updateStatus();
+    }, function (err) {
+        showAlarmMessage('Failed to load the alarms: ' + err);
+    });
+});
@@ -24,6 +24,8 @@ var MODULE_UPDATE_PERIOD_MS = 1000;
 // Constant that can be set to disable auto-linking the module to the framework
 var DISABLE_AUTOMATIC_FRAMEWORK_LINKAGE = false;
 
+var virtual_channels = require('./helper_scripts/virtual_channels');
+
 /**
  * Module object that gets automatically instantiated & linked to the appropriate framework.
  * When using the 'singleDevice' framework it is instantiated as sdModule.
@@ -49,6 +51,8 @@ function module() {
 
     this.deviceDashboardController = undefined;
 
+    this.virtualChannels = [];
+
     this.spinnerController;
     
     this.roundReadings = function(reading) {
@@ -83,6 +87,7 @@ function module() {
         var genericConfigCallback = function(data, onSuccess) {
             onSuccess();
         };
+        self.genericConfigCallback = genericConfigCallback;
         var genericPeriodicCallback = function(data, onSuccess) {
             var name = data.binding.binding;
             var value = data.value;
@@ -94,6 +99,7 @@ function module() {
             }
             onSuccess();
         };
+        self.genericPeriodicCallback = genericPeriodicCallback;
 
         // console.log('moduleConstants', self.moduleConstants);
         var smartBindings = [];
@@ -125,6 +131,71 @@ function module() {
         // onSuccess();
     };
 
+    /**
+     * Load the user's virtual channels and read the registers they scale.
+     *
+     * Source registers that the dashboard does not already read are added as
+     * extra readRegister smart bindings so that their values end up in
+     * currentValues with the rest of the readings.
+     *
+     * @param {Object} framework The active framework instance.
+     * @return {q.promise} Promise that resolves once the channels are loaded.
+    **/
+    this.loadVirtualChannels = function(framework) {
+        var globalDataManager;
+        if (typeof(GLOBAL_DATA_MANAGER) !== 'undefined') {
+            globalDataManager = GLOBAL_DATA_MANAGER;
+        }
+        return virtual_channels.loadModuleData(globalDataManager)
+        .then(function(moduleData) {
+            return moduleData.channels;
+        }, function(err) {
+            console.error('Dashboard-loadVirtualChannels', err);
+            return [];
+        })
+        .then(function(channels) {
+            var readRegisters = [];
+            self.startupRegList.forEach(function(regInfo) {
+                readRegisters = readRegisters.concat(
+                    self.expandLJMMMNameSync(regInfo.name)
+                );
+            });
+            var smartBindings = virtual_channels.getSourceRegisters(channels)
+            .filter(function(source) {
+                return readRegisters.indexOf(source) < 0;
+            }).map(function(source) {
+                return {
+                    bindingName: source,
+                    smartName: 'readRegister',
+                    periodicCallback: self.genericPeriodicCallback,
+                    configCallback: self.genericConfigCallback
+                };
+            });
+            framework.putSmartBindings(smartBindings);
+
+            self.virtualChannels = channels;
+            framework.setCustomContext({
+                hasVirtualChannels: channels.length > 0,
+                virtualChannels: channels
+            });
+        });
+    };
+
+    /**
+     * Show the scaled value of every virtual channel.
+    **/
+    this.updateVirtualChannels = function() {
+        self.virtualChannels.forEach(function(channel) {
+            var value = virtual_channels.scaleChannel(
+                channel,
+                self.currentValues.get(channel.source)
+            );
+            $('#' + channel.name + '-virtual-value').text(
+                virtual_channels.formatValue(channel, value)
+            );
+        });
+    };
+
     this.expandLJMMMNameSync = function (name) {
         return ljmmm_parse.expandLJMMMEntrySync(
             {name: name, address: 0, type: 'FLOAT32'}
@@ -252,12 +323,15 @@ function module() {
         framework.clearConfigBindings();
         framework.setStartupMessage('Reading Device Configuration');
 
-        // Get new deviceDashboardController instance
-        self.deviceDashboardController = new getDeviceDashboardController(self.deviceInfo);
-        // Load file resources required for deviceDashboardController
-        self.deviceDashboardController.loadResources(onSuccess);
+        self.loadVirtualChannels(framework)
+        .then(function() {
+            // Get new deviceDashboardController instance
+            self.deviceDashboardController = new getDeviceDashboardController(self.deviceInfo);
+            // Load file resources required for deviceDashboardController
+            self.deviceDashboardController.loadResources(onSuccess);
 
-        onSuccess();
+            onSuccess();
+        });
     };
     this.onDeviceConfigured = function(framework, device, setupBindings, onError, onSuccess) {
         setupBindings.forEach(function(setupBinding){
@@ -412,6 +486,7 @@ function module() {
                 self.spinnerController.writeDisplayedVoltage(reg,setV);
             });
             self.attachDIOListners();
+            self.updateVirtualChannels();
             onSuccess();
         });
         KEYBOARD_EVENT_HANDLER.initInputListeners();
@@ -466,6 +541,7 @@ function module() {
                     self.currentValues.set(name,value);
                     self.newBufferedValues.delete(name);
                 });
+                self.updateVirtualChannels();
             }
             onSuccess();
         });
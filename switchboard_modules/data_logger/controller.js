@@ -1,128 +1,337 @@
 /**
- * Goals for the Lua Script Debugger module.
- * This is a Lua script intro-app that performs a minimal number of scripting
- * operations.  It is simply capable of detecting whether or not a Lua script
- * is running and then prints out the debugging log to the window.  
+ * Logic for the Data Logger module.
  *
- * @author Chris Johnson (LabJack Corp, 2013)
- *
- * Configuration:
- * No configuration of the device is required
- *
- * Periodic Processes:
- *     1. Read from "LUA_RUN" register to determine if a Lua script is running.
- *     2. Read from "LUA_DEBUG_NUM_BYTES" register to determine how much data is
- *         available in the debugging info buffer.
- *     3. If there is data available in the debugging buffer then get it from
- *         the device. 
+ * Lets the user pick channels on any of the connected devices, a sample rate,
+ * an output folder and a file format and then start & stop logging.  The
+ * logging itself is done by the task_data_logger task so it keeps running
+ * when another module is selected, this module only configures it and shows
+ * its progress.
 **/
 
-// Constant that determines device polling rate.  Use an increased rate to aid
-// in user experience.
-var MODULE_UPDATE_PERIOD_MS = 1000;
+var q = require('q');
+
+var virtual_channels = require('./helper_scripts/virtual_channels');
+
+var DATA_LOGGER_TASK_NAME = 'task_data_logger';
+var STATUS_TABLE_TEMPLATE_SRC = 'data_logger/status_table.html';
+var STATUS_UPDATE_PERIOD_MS = 1000;
+
+// Channels offered in each device's channel list, anything else can be typed
+// into the "Other registers" box.
+var COMMON_CHANNELS = (function () {
+    var channels = [];
+    var addChannels = function (prefix, num) {
+        for (var i = 0; i < num; i++) {
+            channels.push(prefix + i.toString());
+        }
+    };
+    addChannels('AIN', 14);
+    addChannels('FIO', 8);
+    addChannels('EIO', 8);
+    addChannels('CIO', 4);
+    addChannels('MIO', 3);
+    addChannels('DAC', 2);
+    channels.push('TEMPERATURE_DEVICE_K');
+    return channels;
+}());
+
+// Virtual channels defined in the Virtual Channels module.
+var virtualChannels = [];
 
-// Constant that can be set to disable auto-linking the module to the framework
-var DISABLE_AUTOMATIC_FRAMEWORK_LINKAGE = false;
 
 /**
- * Module object that gets automatically instantiated & linked to the appropriate framework.
- * When using the 'singleDevice' framework it is instantiated as sdModule.
- */
-function module() {
-    var aceEditor;
-    var moduleContext = {};
-
-    /**
-     * Function is called once every time the module tab is selected, loads the module.
-     * @param  {[type]} framework   The active framework instance.
-     * @param  {[type]} onError     Function to be called if an error occurs.
-     * @param  {[type]} onSuccess   Function to be called when complete.
-    **/
-    this.onModuleLoaded = function(framework, onError, onSuccess) {
-        /**
-         * Format for a single binding,
-         * bindingClass: The string constant made available in the handlebars template. ex: {{AIN0.direction}}
-         * template: The string constant that must be present as the id, 
-         *     ex: <p id="AIN0">0.000</p>
-         *     in the module's 'view.html' file to serve as the location to get automatically 
-         *     updated by the framework.
-         * binding: The string constant representing the register to be read. ex: 'AIN0'
-         * direction:
-         * format: 
-        **/
-        var moduleBindings = [
-            {bindingClass: 'LUA_RUN', template: 'LUA_RUN',   binding: 'LUA_RUN',    direction: 'read',  format: '%d'},
-            {bindingClass: 'LUA_DEBUG_ENABLE', template: 'LUA_DEBUG_ENABLE',   binding: 'LUA_DEBUG_ENABLE',    direction: 'read',  format: '%d'},
-            {bindingClass: 'LUA_DEBUG_NUM_BYTES', template: 'LUA_DEBUG_NUM_BYTES',   binding: 'LUA_DEBUG_NUM_BYTES',    direction: 'read',  format: 'customFormat'},
-        ];
-
-        // Save the bindings to the framework instance.
-        framework.putConfigBindings(moduleBindings);
-        onSuccess();
+ * Get the task_data_logger task, initializing & starting it if necessary.
+ *
+ * @return {q.promise} A promise that resolves to the task.
+**/
+function getDataLoggerTask()
+{
+    var deferred = q.defer();
+    var dataLoggerTask = TASK_MANAGER.getTask(DATA_LOGGER_TASK_NAME);
+    if (typeof(dataLoggerTask) === 'undefined') {
+        deferred.reject('The data logger task is not available');
+        return deferred.promise;
     }
-    
-    /**
-     * Function is called once every time a user selects a new device.  
-     * @param  {[type]} framework   The active framework instance.
-     * @param  {[type]} device      The active framework instance.
-     * @param  {[type]} onError     Function to be called if an error occurs.
-     * @param  {[type]} onSuccess   Function to be called when complete.
-    **/
-    this.onDeviceSelected = function(framework, device, onError, onSuccess) {
-
-        // While configuring the device build a dict to be used for generating the
-        // module's template.
-        moduleContext['debugData'] = [];
-
-        // save the custom context to the framework so it can be used when
-        // rendering the module's template.
-        framework.setCustomContext(moduleContext);
-        onSuccess();
+
+    var taskStates = TASK_MANAGER.task_state_options;
+    var taskState = dataLoggerTask.getTaskState();
+    var startTask = function () {
+        dataLoggerTask.startTask()
+        .then(function () {
+            deferred.resolve(dataLoggerTask);
+        }, deferred.reject);
+    };
+    if (taskState === taskStates[0]) {
+        dataLoggerTask.initTask().then(startTask, deferred.reject);
+    } else if (taskState === taskStates[1]) {
+        startTask();
+    } else {
+        deferred.resolve(dataLoggerTask);
     }
+    return deferred.promise;
+}
 
-    this.onTemplateLoaded = function(framework, onError, onSuccess) {
-        //Initialize ace editor:
-        aceEditor = ace.edit("editor");
-        aceEditor.setTheme("ace/theme/monokai");
-        aceEditor.getSession().setMode("ace/mode/javascript");
 
-        onSuccess();
-    }
-    this.onRegisterWrite = function(framework, binding, value, onError, onSuccess) {
-        onSuccess();
-    }
-    this.onRegisterWritten = function(framework, registerName, value, onError, onSuccess) {
-        onSuccess();
-    }
-    this.onRefresh = function(framework, registerNames, onError, onSuccess) {
-        onSuccess();
+/**
+ * Show an error message below the start / stop buttons.
+ *
+ * @param {String} message The message to show or null to hide the message.
+**/
+function showLoggerError(message)
+{
+    if (message === null) {
+        $('#data-logger-error').hide();
+    } else {
+        $('#data-logger-error').html(String(message));
+        $('#data-logger-error').show();
     }
-    this.onRefreshed = function(framework, results, onError, onSuccess) {
-        // console.log('in onRefreshed',results);
-        results.forEach(function(key, value){
-            // console.log('results['+value+']:',key)
+}
+
+
+/**
+ * Build the logging configuration from the module's controls.
+ *
+ * @return {Object} Configuration for the task's startLogging function.
+**/
+function getLoggerConfig()
+{
+    var devices = [];
+    $('.data-logger-device-row').each(function () {
+        var row = $(this);
+        if (!row.find('.data-logger-device-enable').prop('checked')) {
+            return;
+        }
+        var channels = row.find('.data-logger-channel-select').val() || [];
+        row.find('.data-logger-extra-channels').val().split(',').forEach(
+            function (channel) {
+                var trimmedChannel = channel.trim().toUpperCase();
+                if (trimmedChannel !== '') {
+                    if (channels.indexOf(trimmedChannel) < 0) {
+                        channels.push(trimmedChannel);
+                    }
+                }
+            }
+        );
+        devices.push({
+            'serial': String(row.data('serial')),
+            'channels': channels
         });
-        onSuccess();
-    }
-    this.onCloseDevice = function(framework, device, onError, onSuccess) {
-        onSuccess();
+    });
+
+    return {
+        'devices': devices,
+        'virtualChannels': virtualChannels.map(function (channel) {
+            return {
+                'name': channel.name,
+                'source': channel.source,
+                'label': channel.label,
+                'unit': channel.unit,
+                'scale': function (raw) {
+                    return virtual_channels.scaleChannel(channel, raw);
+                }
+            };
+        }),
+        'sampleRate': Number($('#data-logger-sample-rate').val()),
+        'name': $('#data-logger-name').val().trim(),
+        'format': $('#data-logger-format').val(),
+        'location': $('#data-logger-location').val().trim()
+    };
+}
+
+
+/**
+ * Enable or disable the configuration controls depending on whether or not
+ * data is being logged.
+ *
+ * @param {Boolean} isLogging True if a logging session is running.
+**/
+function setControlsLocked(isLogging)
+{
+    $('#data-logger input, #data-logger select').prop('disabled', isLogging);
+    $('#data-logger-browse-button').prop('disabled', isLogging);
+    $('#data-logger-start-button').prop('disabled', isLogging);
+    $('#data-logger-stop-button').prop('disabled', !isLogging);
+}
+
+
+/**
+ * Format a number of milliseconds as hours:minutes:seconds.
+**/
+function formatElapsedTime(elapsedTime)
+{
+    var totalSeconds = Math.floor(elapsedTime / 1000);
+    var pad = function (num) {
+        return (num < 10 ? '0' : '') + num.toString();
+    };
+    var hours = Math.floor(totalSeconds / 3600);
+    var minutes = Math.floor(totalSeconds / 60) % 60;
+    var seconds = totalSeconds % 60;
+    return hours.toString() + ':' + pad(minutes) + ':' + pad(seconds);
+}
+
+
+/**
+ * Render the status of the current or last logging session.
+ *
+ * @param {Object} status The status reported by the task's getStatus
+ *      function, may be null if nothing has been logged yet.
+**/
+function renderStatus(status)
+{
+    if (status === null) {
+        setControlsLocked(false);
+        $('#data-logger-elapsed-time').html('');
+        $('#data-logger-status').html('');
+        return;
     }
-    this.onUnloadModule = function(framework, onError, onSuccess) {
-        aceEditor = undefined;
-        onSuccess();
+    setControlsLocked(status.isLogging);
+    var timeStr = formatElapsedTime(status.elapsedTime);
+    if (status.isStreamed) {
+        timeStr += ' in stream mode';
     }
-    this.onLoadError = function(framework, description, onHandle) {
-        console.log('in onLoadError', description);
-        onHandle(true);
+    if (status.isLogging) {
+        $('#data-logger-elapsed-time').html('Logging for ' + timeStr);
+    } else {
+        $('#data-logger-elapsed-time').html('Logged for ' + timeStr);
     }
-    this.onWriteError = function(framework, registerName, value, description, onHandle) {
-        console.log('in onConfigError', description);
-        onHandle(true);
+
+    var location = fs_facade.getExternalURI(STATUS_TABLE_TEMPLATE_SRC);
+    fs_facade.renderTemplate(
+        location,
+        status,
+        genericErrorHandler,
+        function (renderedHTML) {
+            $('#data-logger-status').html(renderedHTML);
+        }
+    );
+}
+
+
+/**
+ * Periodically show the task's progress while this module is loaded.
+**/
+function updateStatus()
+{
+    if (LOADED_MODULE_INFO_OBJECT.name !== 'data_logger') {
+        return;
     }
-    this.onRefreshError = function(framework, registerNames, description, onHandle) {
-        console.log('in onRefreshError', description);
-        onHandle(true);
+    var dataLoggerTask = TASK_MANAGER.getTask(DATA_LOGGER_TASK_NAME);
+    if (typeof(dataLoggerTask) !== 'undefined') {
+        renderStatus(dataLoggerTask.getStatus());
     }
+    setTimeout(updateStatus, STATUS_UPDATE_PERIOD_MS);
+}
+
+
+function startLogging()
+{
+    showLoggerError(null);
+    $('#data-logger-start-button').prop('disabled', true);
+    getDataLoggerTask()
+    .then(function (dataLoggerTask) {
+        var config = getLoggerConfig();
+        var configError = dataLoggerTask.validateConfig(config);
+        if (configError !== null) {
+            return q.reject(configError);
+        }
+        return dataLoggerTask.startLogging(config);
+    })
+    .then(renderStatus, function (err) {
+        showLoggerError(err);
+        $('#data-logger-start-button').prop('disabled', false);
+    });
+}
+
+
+function stopLogging()
+{
+    $('#data-logger-stop-button').prop('disabled', true);
+    getDataLoggerTask()
+    .then(function (dataLoggerTask) {
+        return dataLoggerTask.stopLogging();
+    })
+    .then(renderStatus, showLoggerError);
+}
+
 
-    var self = this;
+function chooseOutputFolder()
+{
+    var chooser = $('#data-logger-folder-dialog');
+    chooser.attr('nwworkingdir', $('#data-logger-location').val());
+    chooser.unbind('change');
+    chooser.change(function () {
+        var folder = chooser.val();
+        if (folder !== '') {
+            $('#data-logger-location').val(folder);
+        }
+        // Allow the same folder to be chosen again.
+        chooser.val('');
+    });
+    chooser.trigger('click');
 }
+
+
+/**
+ * Fill in the channel & format options and the default output folder.
+**/
+function initializeControls(dataLoggerTask)
+{
+    var channelOptions = COMMON_CHANNELS.map(function (channel) {
+        return '<option value="' + channel + '">' + channel + '</option>';
+    }).join('');
+    channelOptions += virtualChannels.map(function (channel) {
+        var text = channel.name + ' (' + channel.source + ' in ' +
+            (channel.unit || 'scaled units') + ')';
+        return $('<option>').val(channel.name).text(text)[0].outerHTML;
+    }).join('');
+    $('.data-logger-channel-select').html(channelOptions);
+
+    // Start with the first device's first analog input selected.
+    var firstRow = $('.data-logger-device-row').first();
+    firstRow.find('.data-logger-device-enable').prop('checked', true);
+    firstRow.find('.data-logger-channel-select').val(['AIN0']);
+
+    var formatOptions = dataLoggerTask.FORMATS.map(function (format) {
+        return '<option value="' + format + '">' + format + '</option>';
+    }).join('');
+    $('#data-logger-format').html(formatOptions);
+    $('#data-logger-format').val(dataLoggerTask.DEFAULT_CONFIG.format);
+
+    var homeDir = process.env.HOME || process.env.USERPROFILE || '';
+    $('#data-logger-location').val(homeDir);
+
+    $('#data-logger-start-button').click(startLogging);
+    $('#data-logger-stop-button').click(stopLogging);
+    $('#data-logger-browse-button').click(chooseOutputFolder);
+}
+
+
+/**
+ * Load the virtual channels so they can be logged like registers.
+ *
+ * @return {q.promise} Promise that resolves once the channels are loaded.
+**/
+function loadVirtualChannels()
+{
+    var globalDataManager;
+    if (typeof(GLOBAL_DATA_MANAGER) !== 'undefined') {
+        globalDataManager = GLOBAL_DATA_MANAGER;
+    }
+    return virtual_channels.loadModuleData(globalDataManager)
+    .then(function (moduleData) {
+        virtualChannels = moduleData.channels;
+    }, function (err) {
+        showLoggerError('Failed to load the virtual channels: ' + err);
+    });
+}
+
+
+$('#data-logger').ready(function () {
+    loadVirtualChannels()
+    .then(getDataLoggerTask)
+    .then(function (dataLoggerTask) {
+        initializeControls(dataLoggerTask);
+        updateStatus();
+    }, showLoggerError)
+    .done();
+});
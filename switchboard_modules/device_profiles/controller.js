@@ -0,0 +1,350 @@
+/**
+ * Logic for the configuration profiles module.
+ *
+ * Reads the configuration of a device into a profile, saves and loads
+ * profiles and applies a profile to several devices at once.
+**/
+
+var fs = require('fs');
+
+var ljmmm = require('./ljmmm');
+var device_profiles = require('./helper_scripts/device_profiles');
+
+var PROFILE_FILE_NAME = 'device_profile.json';
+
+var expandedRegisters = [];
+var registerInfoByName = {};
+var currentProfile = null;
+
+
+/**
+ * Expand the LJMMM names of all registers and index them by name.
+**/
+function buildRegisterInfo()
+{
+    expandedRegisters = [];
+    registerInfoByName = {};
+    device_controller.fullRegisterList.forEach(function (entry) {
+        ljmmm.expandLJMMMEntrySync(entry).forEach(function (register) {
+            expandedRegisters.push(register);
+            registerInfoByName[register.name] = register;
+        });
+    });
+}
+
+
+function getDevicesBySerial(serials)
+{
+    var devices = device_controller.getDeviceKeeper().getDevices();
+    return devices.filter(function (device) {
+        return serials.indexOf(String(device.getSerial())) >= 0;
+    });
+}
+
+
+/**
+ * Show a message about profiles or hide the message.
+ *
+ * @param {String} message The message to show or null to hide it.
+**/
+function showProfileMessage(message)
+{
+    if (message === null) {
+        $('#profile-message').hide();
+    } else {
+        $('#profile-message').text(String(message));
+        $('#profile-message').show();
+    }
+}
+
+
+/**
+ * Show the outcome of checking or applying a profile.
+ *
+ * @param {String} text The report.
+ * @param {Boolean} passed True / false to mark the report as passed or
+ *      failed, null for reports that are neither.
+**/
+function showProfileReport(text, passed)
+{
+    var report = $('#profile-report');
+    report.removeClass('profile-passed profile-failed');
+    if (passed === true) {
+        report.addClass('profile-passed');
+    } else if (passed === false) {
+        report.addClass('profile-failed');
+    }
+    report.text(text);
+    report.show();
+}
+
+
+/**
+ * Describe the current profile and enable the buttons that need a profile.
+**/
+function renderProfileSummary()
+{
+    var hasProfile = currentProfile !== null;
+    $('#profile-save-button').prop('disabled', !hasProfile);
+    $('#profile-attach-lua-button').prop('disabled', !hasProfile);
+    $('#profile-check-button').prop('disabled', !hasProfile);
+    $('#profile-apply-button').prop('disabled', !hasProfile);
+    $('#profile-remove-lua-button').prop(
+        'disabled',
+        !hasProfile || currentProfile.luaScript === null
+    );
+    if (!hasProfile) {
+        $('#profile-summary').text('No profile loaded.');
+        return;
+    }
+
+    var source = currentProfile.source;
+    var summary = '"' + currentProfile.name + '", ' +
+        Object.keys(currentProfile.registers).length.toString() +
+        ' registers read from ' + source.deviceType + ' ' +
+        String(source.serial) + ' (firmware ' +
+        Number(source.firmwareVersion).toFixed(4) + ') at ' +
+        currentProfile.createdTime + '. ';
+    if (currentProfile.luaScript === null) {
+        summary += 'No Lua script.';
+    } else {
+        summary += 'Lua script of ' +
+            currentProfile.luaScript.length.toString() + ' characters.';
+    }
+    $('#profile-summary').text(summary);
+}
+
+
+/**
+ * Read the configuration of the device picked as the source into a new
+ * profile.
+**/
+function readProfile()
+{
+    var device = getDevicesBySerial([$('#profile-source-device').val()])[0];
+    if (device === undefined) {
+        showProfileMessage('Select a device to read the profile from.');
+        return;
+    }
+    var name = $('#profile-name-input').val().trim();
+    if (name === '') {
+        name = device.getDeviceType() + ' ' + String(device.getSerial());
+    }
+
+    var registers = device_profiles.selectProfileRegisters(
+        expandedRegisters,
+        device.getDeviceType(),
+        device.getFirmwareVersion()
+    );
+    $('#profile-read-button').prop('disabled', true);
+    showProfileMessage('Reading ' + registers.length.toString() + ' registers...');
+    device_profiles.captureProfile(device, registers, name)
+    .then(function (captured) {
+        var unreadable = Object.keys(captured.errors);
+        if (unreadable.length > 0) {
+            showProfileMessage(
+                'Left out of the profile because they could not be read: ' +
+                unreadable.join(', ')
+            );
+        } else {
+            showProfileMessage(null);
+        }
+        currentProfile = captured.profile;
+        renderProfileSummary();
+    }, function (err) {
+        showProfileMessage('Failed to read the profile: ' + err);
+    })
+    .fin(function () {
+        $('#profile-read-button').prop('disabled', false);
+    });
+}
+
+
+function saveProfile()
+{
+    if (currentProfile === null) {
+        return;
+    }
+    var contents = device_profiles.exportProfile(currentProfile);
+
+    var chooser = $(fs_facade.getFileSaveAsID());
+    chooser.attr('nwsaveas', PROFILE_FILE_NAME);
+    chooser.attr('accept', '.json');
+    chooser.attr('nwworkingdir', fs_facade.getDefaultFilePath());
+    chooser.unbind('change');
+    chooser.bind('change', function () {
+        var fileLoc = chooser.val();
+        chooser.val('');
+        if (fileLoc === '') {
+            return;
+        }
+        fs_facade.saveDataToFile(
+            fileLoc,
+            contents,
+            function (err) {
+                showProfileMessage('Failed to save the profile: ' + err);
+            },
+            function () {
+                showProfileMessage(null);
+            }
+        );
+    });
+    chooser.trigger('click');
+}
+
+
+/**
+ * Let the user pick a file and pass its contents to onLoad.
+ *
+ * @param {String} accept The file types to offer, like '.json'.
+ * @param {function} onLoad Function called with the contents of the file.
+**/
+function chooseFile(accept, onLoad)
+{
+    var chooser = $(fs_facade.getFileLoadID());
+    chooser.val('');
+    chooser.attr('accept', accept);
+    chooser.unbind('change');
+    chooser.bind('change', function () {
+        var fileLoc = chooser.val();
+        chooser.val('');
+        if (fileLoc === '') {
+            return;
+        }
+        fs.readFile(fileLoc, 'utf8', function (err, contents) {
+            if (err) {
+                showProfileMessage('Failed to read ' + fileLoc + ': ' + err);
+                return;
+            }
+            onLoad(contents);
+        });
+    });
+    chooser.trigger('click');
+}
+
+
+function loadProfile()
+{
+    chooseFile('.json', function (contents) {
+        try {
+            currentProfile = device_profiles.importProfile(contents);
+        } catch (importError) {
+            showProfileMessage(importError);
+            return;
+        }
+        showProfileMessage(null);
+        renderProfileSummary();
+    });
+}
+
+
+function attachLuaScript()
+{
+    chooseFile('.lua', function (contents) {
+        currentProfile.luaScript = contents;
+        showProfileMessage(null);
+        renderProfileSummary();
+    });
+}
+
+
+function removeLuaScript()
+{
+    currentProfile.luaScript = null;
+    renderProfileSummary();
+}
+
+
+function getTargetDevices()
+{
+    var serials = $('.profile-target-checkbox:checked').map(function () {
+        return $(this).val();
+    }).get();
+    return getDevicesBySerial(serials);
+}
+
+
+/**
+ * Report which of the profile's registers each selected device supports.
+**/
+function checkTargets()
+{
+    var devices = getTargetDevices();
+    if (devices.length === 0) {
+        showProfileMessage('Select at least one device to check.');
+        return;
+    }
+    showProfileMessage(null);
+
+    var numRegisters = Object.keys(currentProfile.registers).length;
+    var allSupported = true;
+    var lines = [];
+    devices.forEach(function (device) {
+        var check = device_profiles.checkProfile(
+            currentProfile,
+            registerInfoByName,
+            device.getDeviceType(),
+            device.getFirmwareVersion()
+        );
+        allSupported = allSupported && check.unsupported.length === 0;
+        lines.push(
+            'Device ' + String(device.getSerial()) + ': ' +
+            check.applicable.length.toString() + ' of ' +
+            numRegisters.toString() + ' registers can be applied'
+        );
+        check.unsupported.forEach(function (info) {
+            lines.push('  skipped ' + info.name + ' (' + info.reason + ')');
+        });
+    });
+    showProfileReport(lines.join('\n'), allSupported);
+}
+
+
+/**
+ * Apply the profile to every selected device and show the results.
+**/
+function applyToTargets()
+{
+    var devices = getTargetDevices();
+    if (devices.length === 0) {
+        showProfileMessage('Select at least one device to apply the profile to.');
+        return;
+    }
+    showProfileMessage(null);
+
+    $('#profile-apply-button').prop('disabled', true);
+    showProfileReport('Applying...', null);
+    device_profiles.applyProfileToDevices(
+        devices,
+        currentProfile,
+        registerInfoByName,
+        {
+            'keepUnitSettings': $('#profile-keep-unit-settings').prop('checked'),
+            'setDefaults': $('#profile-set-defaults').prop('checked')
+        }
+    )
+    .then(function (results) {
+        var passed = results.every(function (result) {
+            return result.success;
+        });
+        showProfileReport(device_profiles.formatApplyReport(results), passed);
+    }, function (err) {
+        showProfileReport('Failed to apply the profile: ' + err, false);
+    })
+    .fin(function () {
+        $('#profile-apply-button').prop('disabled', false);
+    });
+}
+
+
+$('#device-profiles-module').ready(function () {
+    buildRegisterInfo();
+    renderProfileSummary();
+    $('#profile-read-button').click(readProfile);
+    $('#profile-load-button').click(loadProfile);
+    $('#profile-save-button').click(saveProfile);
+    $('#profile-attach-lua-button').click(attachLuaScript);
+    $('#profile-remove-lua-button').click(removeLuaScript);
+    $('#profile-check-button').click(checkTargets);
+    $('#profile-apply-button').click(applyToTargets);
+});
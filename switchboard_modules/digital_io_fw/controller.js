@@ -1,31 +1,33 @@
 /**
- * Logic for the Analog Input Control Module.
+ * Logic for the Digital I/O Control Module.
  *
  * @author A. Samuel Pottinger (LabJack Corp, 2013)
  * @author Chris Johnson (LabJack Corp, 2013)
  *
  * Module Outline:
  *  1. Read Device Information
- *  2. Periodically Refresh Device Information
- *  3. Accept user input to Configure AINx Channels
- *  
+ *  2. Accept user input to configure the DIO lines
+ *  3. Configure the selected devices and show what they read back
+ *
  * Read Device Information:
- *  1. Read AINx_EF_TYPE register to determine if configuring a channel will 
- *     potentially have negative effects elsewhere.
- *  2. Read AINx_RANGE
- *  3. Read AINx_RESOLUTION_INDEX
- *  4. Read AINx_SETTLING_US
+ *  1. Read DIO_DIRECTION and DIO_STATE of the selected device to fill in the
+ *     configuration grid.
  *
- * Periodically Sample:
- *  1. AINx to get reported voltage value
- *  2. AINx_BINARY to get reported binary voltage value
+ * Configure Devices:
+ *  1. Write the direction and state of every FIO, EIO, CIO and MIO line to
+ *     each device checked in the device list.
+ *  2. Read the lines back from each device and highlight the lines that do
+ *     not match the grid.
  *
- * Configure AINx Channel:
- *  1. Accept input to change AINx_RANGE
- *  2. Accept input to change AINx_RESOLUTION_INDEX
- *  3. Accept input to change AINx_SETTLING_US
+ * Configure Extended Features:
+ *  1. Read the DIO_EF configuration and clock sources of the selected device.
+ *  2. Accept input to configure the DIO_EF clock sources and the extended
+ *     feature of each line that supports one.
+ *  3. Periodically read the results of the enabled extended features.
+ *  4. Warn about extended features that share lines or clock hardware.
 **/
-var sprintf = require('sprintf').sprintf;
+var dio_multi_device = require('./helper_scripts/dio_multi_device');
+var dio_ef = require('./helper_scripts/dio_ef');
 
 // Constant that determines device polling rate.
 var MODULE_UPDATE_PERIOD_MS = 1000;
@@ -33,94 +35,394 @@ var MODULE_UPDATE_PERIOD_MS = 1000;
 // Constant that can be set to disable auto-linking the module to the framework
 var DISABLE_AUTOMATIC_FRAMEWORK_LINKAGE = false;
 
+// Value of the "Configure All" menus that leaves the lines unchanged.
+var UNSELECTED_VALUE = -9999;
+
 /**
  * Module object that gets automatically instantiated & linked to the appropriate framework.
  * When using the 'singleDevice' framework it is instantiated as sdModule.
  */
 function module() {
-    //Define nop (do-nothing) function
-    var nop = function(){};
+    var dioLines = dio_multi_device.DIO_LINES;
+
+    var directionOptions = [
+        {name: 'Input', value: dio_multi_device.INPUT},
+        {name: 'Output', value: dio_multi_device.OUTPUT}
+    ];
+
+    var stateOptions = [
+        {name: 'Low', value: 0},
+        {name: 'High', value: 1}
+    ];
+
+    var populateMenuArray = function(origArray, selectedValue) {
+        return origArray.map(function(option) {
+            return {
+                name: option.name,
+                value: option.value,
+                selected: option.value === selectedValue ? 'selected' : ''
+            };
+        });
+    };
 
-    // Base-Register Variable for Configuring multiple thermocouples.
-    var baseReg = 'AIN#(0:13)';
+    var getConnectedDevices = function() {
+        return device_controller.getDeviceKeeper().getDevices();
+    };
 
-    // Expand baseReg & create baseRegister list using ljmmm.
-    // ex: ['AIN0', 'AIN1', ... 'AIN13']
-    var baseRegisters = ljmmm_parse.expandLJMMMName(baseReg);
+    /**
+     * Get the devices checked in the device list.
+     */
+    var getCheckedDevices = function() {
+        var serials = $('.dio-device-checkbox:checked').map(function() {
+            return $(this).val();
+        }).get();
+        return getConnectedDevices().filter(function(device) {
+            return serials.indexOf(String(device.getSerial())) >= 0;
+        });
+    };
 
-    // Define support analog input ef-types
-    var ain_ef_types = t7DeviceConstants.ainEFTypeOptions;
+    /**
+     * Get the configuration entered in the grid.
+     * @return {Object} Object mapping line names to {direction, state}.
+     */
+    var getGridConfig = function() {
+        var config = {};
+        dioLines.forEach(function(line) {
+            config[line.name] = {
+                direction: Number($('#' + line.name + '-direction-select').val()),
+                state: Number($('#' + line.name + '-state-select').val())
+            };
+        });
+        return config;
+    };
 
-    // Supported analog input range options.
-    var ainRangeOptions = t7DeviceConstants.ainRangeOptions;
+    var showMessage = function(message) {
+        if (message === null) {
+            $('#dio-message').hide();
+        } else {
+            $('#dio-message').text(String(message));
+            $('#dio-message').show();
+        }
+    };
 
-    // Supported analog input resolution options.
-    var ainResolutionOptions = t7DeviceConstants.ainResolutionOptions;
+    var describeLine = function(setting) {
+        var direction = setting.direction === dio_multi_device.OUTPUT ? 'Out' : 'In';
+        var state = setting.state === 1 ? 'High' : 'Low';
+        return direction + ' ' + state;
+    };
 
-    // Supported analog input resolution options.
-    var ainSettlingOptions = t7DeviceConstants.ainSettlingOptions;
+    /**
+     * Show the lines read back from each device in the device's column of
+     * the grid, highlighting the lines that do not match the grid.
+     * @param  {Array} results Results of dio_multi_device.applyDIOConfig or
+     *                         dio_multi_device.readDevicesDIO.
+     */
+    this.renderReadBack = function(results) {
+        var cells = $('.dio-readback');
+        cells.text('-');
+        cells.removeClass('dio-readback-mismatch dio-readback-error');
+
+        var config = getGridConfig();
+        var lines = [];
+        results.forEach(function(result) {
+            if (result.error !== null) {
+                cells.filter('.dio-readback-' + result.serial)
+                    .text('error')
+                    .addClass('dio-readback-error');
+                lines.push('Device ' + result.serial + ': failed, ' + result.error);
+                return;
+            }
 
-    // Supported analog input negative channel options
-    var ainNegativeCHOptions = [{
-        value: 199,
-        name: "GND",
-        selected:''
-    }];
+            // Lines an extended feature controls are reported separately.
+            var skippedLines = result.skippedLines || [];
+            var mismatches = dio_multi_device.findMismatches(
+                config,
+                result.readBack
+            ).filter(function(mismatch) {
+                return skippedLines.indexOf(mismatch.name) < 0;
+            });
+            var mismatchedLines = mismatches.map(function(mismatch) {
+                return mismatch.name;
+            });
+            dioLines.forEach(function(line) {
+                var cell = $('#' + line.name + '-' + result.serial + '-readback');
+                cell.text(describeLine(result.readBack[line.name]));
+                if (mismatchedLines.indexOf(line.name) >= 0) {
+                    cell.addClass('dio-readback-mismatch');
+                }
+            });
+            var summary = 'Device ' + result.serial + ': matches';
+            if (mismatches.length > 0) {
+                summary = 'Device ' + result.serial + ': ' +
+                    mismatches.length.toString() + ' mismatched (' +
+                    mismatchedLines.join(', ') + ')';
+            }
+            if (skippedLines.length > 0) {
+                summary += ', not written because of an extended feature (' +
+                    skippedLines.join(', ') + ')';
+            }
+            lines.push(summary);
+        });
+        showMessage(lines.length > 0 ? lines.join('\n') : null);
+        self.renderEFConflicts();
+    };
 
-    var overrideGraphRanges = false;
-    var minGraphRange;
-    var maxGraphRange;
+    // Extended feature configuration of the selected device, as read by
+    // dio_ef.readEFConfig, or null if the device could not be read.
+    this.efConfig = null;
+    this.framework = undefined;
+
+    // Read bindings of the enabled extended features, by DIO number.
+    this.efReadBindings = {};
+
+    // Value of the extended feature menus for a line without a feature.
+    var EF_DISABLED_VALUE = -1;
+
+    var efConfigsTemplate = handlebars.compile('' +
+        '{{#each configs}}' +
+        '<label class="dio-ef-config" title="{{description}}">{{humanName}}: ' +
+        '{{#if options}}' +
+        '<select id="{{id}}" class="input-medium">' +
+        '{{#each options}}<option value="{{value}}" {{selected}}>{{name}}</option>{{/each}}' +
+        '</select>' +
+        '{{else}}' +
+        '<input id="{{id}}" class="input-small" type="number" min="0" step="1" value="{{value}}">' +
+        '{{/if}}' +
+        '</label>' +
+        '{{/each}}'
+    );
+
+    var efReadingsTemplate = handlebars.compile('' +
+        '{{#each reads}}' +
+        '<span class="dio-ef-reading" title="{{registerName}}">{{humanName}}: <span id="{{registerName}}">-</span></span>' +
+        '{{/each}}'
+    );
+
+    var getEFLineIndex = function(template) {
+        return Number(template.split('-')[0].replace('DIO', ''));
+    };
+
+    var showEFMessage = function(message) {
+        if (message === null) {
+            $('#dio-ef-message').hide();
+        } else {
+            $('#dio-ef-message').text(String(message));
+            $('#dio-ef-message').show();
+        }
+    };
+
+    var getSelectedEFType = function(lineIndex) {
+        var efIndex = Number($('#DIO' + lineIndex.toString() + '-ef-type-select').val());
+        if (efIndex === EF_DISABLED_VALUE) {
+            return null;
+        }
+        return dio_ef.getEFType(efIndex);
+    };
 
     /**
-     * Function to handle ain reading formatting & updating the mini-graph.
+     * Get the extended feature entered for a line.
+     * @param  {Number} lineIndex The DIO number of the line.
+     * @return {Object} The feature, as taken by dio_ef.planEFWrites.
      */
-    this.ainResultUpdate = function(info) {
-        var ainReading = info.value;
-        var binding = info.binding.binding;
-        var rangeIdName = '#'+binding+'-analog-input-range-select';
-        var barIdName = '#'+binding+'-input-bar';
-        var minValIdName = '#'+binding+'-min-range-val';
-        var maxValIdName = '#'+binding+'-max-range-val';
-        var rangeVal = Number($(rangeIdName).val());
-        var minRangeText = $(minValIdName).text();
-        var maxRangeText = $(maxValIdName).text();
-        var tStr;
-        // console.log('binding',binding,'range: ',rangeVal);
-        
-        tStr = (-1 * rangeVal).toString();
-        if (minRangeText !== tStr) {
-            $(minValIdName).text(tStr);
+    var getEFForm = function(lineIndex) {
+        var lineName = dio_ef.getLineName(lineIndex);
+        var efType = getSelectedEFType(lineIndex);
+        var efForm = {
+            index: efType === null ? null : efType.index,
+            clockSource: Number($('#' + lineName + '-ef-clock-select').val()),
+            configs: {}
+        };
+        if (efType !== null) {
+            efType.configs.forEach(function(config) {
+                efForm.configs[config.register] = $('#' + lineName + config.register + '-input').val();
+            });
         }
-        tStr = '+'+(rangeVal.toString());
-        if (maxRangeText !== tStr) {
-            $(maxValIdName).text(tStr);
+        return efForm;
+    };
+
+    var getEnabledEFConfigs = function() {
+        var enabled = {};
+        Object.keys(self.efConfig.lines).forEach(function(key) {
+            var line = self.efConfig.lines[key];
+            if (line.enabled) {
+                enabled[key] = line;
+            }
+        });
+        return enabled;
+    };
+
+    /**
+     * Show the option form of the extended feature selected for a line.
+     * @param  {Number} lineIndex The DIO number of the line.
+     */
+    this.renderEFOptions = function(lineIndex) {
+        var lineName = dio_ef.getLineName(lineIndex);
+        var efType = getSelectedEFType(lineIndex);
+        var current = self.efConfig.lines[lineIndex];
+        var clockSelect = $('#' + lineName + '-ef-clock-select');
+        if (efType === null) {
+            $('#' + lineName + '-ef-options').empty();
+            clockSelect.hide();
+            return;
         }
-        
-        switch (rangeVal) {
-            case 10:
-                break;
-            case 1:
-                ainReading = ainReading * 10;
-                break;
-            case 0.1:
-                ainReading = ainReading * 100;
-                break;
-            case 0.01:
-                ainReading = ainReading * 1000;
-                break;
-            default:
-                break;
+
+        // Start from the configuration on the device if the feature is the
+        // one the line is running.
+        var useCurrent = current.enabled && current.index === efType.index;
+        var configs = efType.configs.map(function(config) {
+            var value = useCurrent ? current.configs[config.register] : config.defaultVal;
+            var configData = {
+                id: lineName + config.register + '-input',
+                humanName: config.humanName,
+                description: config.description,
+                value: value
+            };
+            if (config.options !== undefined) {
+                configData.options = config.options.map(function(option) {
+                    return {
+                        name: option.name,
+                        value: option.value,
+                        selected: option.value === value ? 'selected' : ''
+                    };
+                });
+            }
+            return configData;
+        });
+        $('#' + lineName + '-ef-options').html(efConfigsTemplate({configs: configs}));
+        if (efType.usesClock) {
+            clockSelect.show();
+        } else {
+            clockSelect.hide();
         }
-        var width = 100 * ((ainReading + 10) / 20);
-        if (width > 100){
-            width = 100;
+    };
+
+    /**
+     * Replace the read bindings of a line with ones for the extended feature
+     * that is enabled on it.
+     * @param  {Number} lineIndex The DIO number of the line.
+     */
+    this.updateEFReadBindings = function(lineIndex) {
+        var lineName = dio_ef.getLineName(lineIndex);
+        var oldBindings = self.efReadBindings[lineIndex] || [];
+        if (oldBindings.length > 0) {
+            self.framework.deleteConfigBindings(oldBindings);
         }
-        if (width < 0) {
-            width = 0;
+
+        var current = self.efConfig.lines[lineIndex];
+        var efType = current.enabled ? dio_ef.getEFType(current.index) : undefined;
+        var reads = efType === undefined ? [] : efType.reads;
+        var bindings = reads.map(function(read) {
+            var registerName = lineName + read.register;
+            return {
+                bindingClass: registerName,
+                template: registerName,
+                binding: registerName,
+                direction: 'read',
+                format: 'customFormat',
+                customFormatFunc: function(info) {
+                    return dio_ef.formatReading(read, info.value);
+                }
+            };
+        });
+        $('#' + lineName + '-ef-readings').html(efReadingsTemplate({
+            reads: reads.map(function(read) {
+                return {registerName: lineName + read.register, humanName: read.humanName};
+            })
+        }));
+        self.efReadBindings[lineIndex] = bindings;
+        if (bindings.length > 0) {
+            self.framework.putConfigBindings(bindings);
         }
-        $(barIdName).css('width', String(width) + '%');
+    };
+
+    /**
+     * List the extended features that can not work together and mark the
+     * lines that are used by extended features in the DIO grid.
+     */
+    this.renderEFConflicts = function() {
+        if (self.efConfig === null) {
+            return;
+        }
+        var enabled = getEnabledEFConfigs();
+        var conflicts = dio_ef.findConflicts(enabled, self.efConfig.clocks, getGridConfig());
+        var conflictLines = [];
+        var list = $('#dio-ef-conflicts');
+        list.empty();
+        conflicts.forEach(function(conflict) {
+            list.append($('<li>').text(conflict.message));
+            conflictLines.push.apply(conflictLines, conflict.lines);
+        });
+        if (conflicts.length > 0) {
+            list.show();
+        } else {
+            list.hide();
+        }
+
+        dio_ef.getEFLines().forEach(function(lineIndex) {
+            var row = $('#' + dio_ef.getLineName(lineIndex) + '-ef-row');
+            if (conflictLines.indexOf(lineIndex) >= 0) {
+                row.addClass('dio-ef-conflict');
+            } else {
+                row.removeClass('dio-ef-conflict');
+            }
+        });
+        dioLines.forEach(function(line) {
+            var icon = $('#' + line.name + '-ef-status-icon');
+            var efLine = enabled[line.index];
+            if (efLine === undefined) {
+                icon.hide();
+            } else {
+                var efType = dio_ef.getEFType(efLine.index);
+                var efName = efType === undefined ? String(efLine.index) : efType.name;
+                icon.attr('title', line.name + ' is used by the DIO_EF system (' + efName + ')');
+                icon.show();
+            }
+        });
+    };
+
+    var getClockForm = function(clockIndex) {
+        var prefix = '#dio-ef-clock' + clockIndex.toString();
+        return {
+            enabled: $(prefix + '-enable').prop('checked'),
+            divisor: Number($(prefix + '-divisor-select').val()),
+            rollValue: Number($(prefix + '-roll-value-input').val())
+        };
+    };
+
+    var formatHz = function(hz) {
+        if (hz >= 1000000) {
+            return (hz / 1000000).toPrecision(4) + ' MHz';
+        } else if (hz >= 1000) {
+            return (hz / 1000).toPrecision(4) + ' kHz';
+        }
+        return hz.toPrecision(4) + ' Hz';
+    };
 
-        return sprintf('%10.6f',info.value);
+    /**
+     * Show the tick and roll-over rates of the clock settings entered.
+     * @param  {Number} clockIndex The clock number.
+     */
+    this.renderClockRate = function(clockIndex) {
+        var rates = dio_ef.getClockRates(clockIndex, getClockForm(clockIndex));
+        $('#dio-ef-clock' + clockIndex.toString() + '-rate').text(
+            formatHz(rates.tickHz) + ' ticks, rolls over at ' + formatHz(rates.rollHz)
+        );
+    };
+
+    /**
+     * Re-read the extended feature configuration of a device and refresh the
+     * read bindings of the given lines.
+     * @param  {Object} device The selected device.
+     * @param  {Array} lineIndexes The DIO numbers of the lines to refresh.
+     * @return {q.promise} Promise that resolves after the refresh.
+     */
+    var refreshEFConfig = function(device, lineIndexes) {
+        return dio_ef.readEFConfig(device)
+        .then(function(efConfig) {
+            self.efConfig = efConfig;
+            lineIndexes.forEach(self.updateEFReadBindings);
+            self.renderEFConflicts();
+        });
     };
 
     /**
@@ -132,15 +434,8 @@ function module() {
     this.onModuleLoaded = function(framework, onError, onSuccess) {
         // Define the module's setupBindings
         var setupBindings = [
-            {bindingClass: baseReg+'_EF_TYPE', binding: baseReg+'_EF_TYPE', direction: 'read'},
-            {bindingClass: baseReg+'_RANGE', binding: baseReg+'_RANGE', direction: 'read'},
-            {bindingClass: baseReg+'_RESOLUTION_INDEX', binding: baseReg+'_RESOLUTION_INDEX', direction: 'read'},
-            {bindingClass: baseReg+'_SETTLING_US', binding: baseReg+'_SETTLING_US', direction: 'read'},
-            {bindingClass: baseReg+'_NEGATIVE_CH', binding: baseReg+'_NEGATIVE_CH', direction: 'read'},
-            {bindingClass: 'AIN_ALL_RANGE', binding: 'AIN_ALL_RANGE', direction: 'read'},
-            {bindingClass: 'AIN_ALL_RESOLUTION_INDEX', binding: 'AIN_ALL_RESOLUTION_INDEX', direction: 'read'},
-            {bindingClass: 'AIN_ALL_SETTLING_US', binding: 'AIN_ALL_SETTLING_US', direction: 'read'},
-            {bindingClass: 'AIN_ALL_NEGATIVE_CH', binding: 'AIN_ALL_NEGATIVE_CH', direction: 'read'},
+            {bindingClass: 'DIO_DIRECTION', binding: 'DIO_DIRECTION', direction: 'read'},
+            {bindingClass: 'DIO_STATE', binding: 'DIO_STATE', direction: 'read'}
         ];
 
         // Save the setupBindings to the framework instance.
@@ -148,9 +443,9 @@ function module() {
 
         onSuccess();
     };
-    
+
     /**
-     * Function is called once every time a user selects a new device.  
+     * Function is called once every time a user selects a new device.
      * @param  {[type]} framework   The active framework instance.
      * @param  {[type]} device      The active framework instance.
      * @param  {[type]} onError     Function to be called if an error occurs.
@@ -159,443 +454,375 @@ function module() {
     this.onDeviceSelected = function(framework, device, onError, onSuccess) {
         framework.clearConfigBindings();
         onSuccess();
-
     };
 
     this.onDeviceConfigured = function(framework, device, setupBindings, onError, onSuccess) {
         // Initialize variable where module config data will go.
         var moduleContext = {};
+        var directionMask = 0;
+        var stateMask = 0;
 
-        // While configuring the device build a dict to be used for generating the
-        // module's template.
-        moduleContext.analogInputs = [];
-        var configuredEFType = [];
-        var configuredRange = [];
-        var configuredResolution = [];
-        var configuredSettlingUS = [];
-        var configuredNegativeCH = [];
-        var configuredAllAinRange = -9999;
-        var configuredAllAinResolution = -9999;
-        var configuredAllAinSettlingUS = -9999;
-        var configuredAllAinNegativeCH = -9999;
-
-        //by default don't show the efSystemStatusWarning message
-        var showEFSystemStatusWarning = false;
-
-        //Loop through results and save them appropriately.  
-        setupBindings.forEach(function(binding, key){
-            // console.log('key',key,'Address',binding.address,', Result: ',binding.result);
-            if (key.search('_EF_TYPE') > 0) {
-                if (binding.status === 'success') {
-                    // Read was successful, save AINx_EF_TYPE state
-                    configuredEFType.push(binding.result);
-                } else {
-                    // Read was not successful, on old devices this means 
-                    // AINx_EF_TYPE is un-configured
-                    configuredEFType.push(0);
-                }
-            } else if (binding.status === 'success') {
-                if(key.search('AIN_ALL_RANGE') >= 0) {
-                    configuredAllAinRange = binding.result.toFixed(3);
-                } else if(key.search('AIN_ALL_RESOLUTION_INDEX') >= 0) {
-                    configuredAllAinResolution = binding.result;
-                } else if(key.search('AIN_ALL_SETTLING_US') >= 0) {
-                    configuredAllAinSettlingUS = binding.result;
-                } else if(key.search('AIN_ALL_NEGATIVE_CH') >= 0) {
-                    configuredAllAinNegativeCH = binding.result;
-                } else if (key.search('_RANGE') > 0) {
-                    configuredRange.push(binding.result.toFixed(3));
-                } else if (key.search('_RESOLUTION_INDEX') > 0) {
-                    configuredResolution.push(binding.result);
-                } else if (key.search('_SETTLING_US') > 0) {
-                    // console.log('settling: ',binding.result);
-                    configuredSettlingUS.push(binding.result);
-                } else if (key.search('_NEGATIVE_CH') > 0) {
-                    configuredNegativeCH.push(binding.result);
-                }
-            } else {
+        //Loop through results and save them appropriately.
+        setupBindings.forEach(function(binding, key) {
+            if (binding.status !== 'success') {
                 console.log(
                     'SetupBinding Read Fail',
-                    binding.address, 
+                    binding.address,
                     binding.result
                 );
+            } else if (key === 'DIO_DIRECTION') {
+                directionMask = binding.result;
+            } else if (key === 'DIO_STATE') {
+                stateMask = binding.result;
             }
         });
-    
-        var populateMenuArray = function(newArray, origArray) {
-            origArray.forEach(function(type){
-                newArray.push({
-                    name:type.name,
-                    value:type.value,
-                    selected:'',
-                    disp:true,
-                    style:''
-                });
-            });
-            return newArray;
-        }
-        var selectValue = function(array, value, debug) {
-            var i;
-            for(i = 0; i < array.length; i++) {
-                if(array[i].value == value){
-                    if(typeof(debug) === "boolean") {
-                        if(debug) {
-                            console.log('selecting...');
-                        }
-                    }
-                    array[i].selected = 'selected';
-                    return array;
-                }
-            }
-        }
+        var configured = dio_multi_device.decodeDIO(directionMask, stateMask);
+
+        var selectedSerial = String(device.getSerial());
+        var devices = getConnectedDevices().map(function(connectedDevice) {
+            var serial = String(connectedDevice.getSerial());
+            return {
+                serial: serial,
+                deviceType: connectedDevice.getDeviceType(),
+                name: connectedDevice.getName(),
+                checked: serial === selectedSerial ? 'checked' : ''
+            };
+        });
 
-        baseRegisters.forEach( function (reg, index) {
-            var efSystemStatusMessage = "Not Configured";
-            var style = "color:black";
-            var ainRangeMenuOptions = [];
-            var ainResolutionMenuOptions = [];
-            var ainSettlingMenuOptions = [];
-            var negativeCHMenuOptions = [];
-
-            var displayNegativeCh = false;
-            var efSystemStatus = {
-                message: 'Not Configured',
-                showWarning: false,
-                style: 'color:black',
-                class: ''
-            }
+        moduleContext.devices = devices;
+        moduleContext.dio = dioLines.map(function(line) {
+            var setting = configured[line.name];
+            return {
+                name: line.name,
+                port: line.port,
+                dioDirectionMenuOptions: populateMenuArray(directionOptions, setting.direction),
+                dioStateMenuOptions: populateMenuArray(stateOptions, setting.state),
+                readBackCells: devices.map(function(deviceInfo) {
+                    return {lineName: line.name, serial: deviceInfo.serial};
+                })
+            };
+        });
 
-            var efType = configuredEFType[index];
-            if (efType !== 0) {
-                var name = '';
-                ain_ef_types.forEach(function(type){
-                    if (type.value == efType) {
-                        name = type.name;
-                    }
-                });
-                if (name === '') {
-                    name = "Configured: " + efType.toString();
-                }
-                efSystemStatus.message = name+': ('+efType.toString()+')';
-                efSystemStatus.style = "color:red";
-                efSystemStatus.showWarning = true;
-                showEFSystemStatusWarning = true;
-                efSystemStatus.class = 'text-warning';
+        var selectOption = {name: 'Select', value: UNSELECTED_VALUE, selected: 'selected'};
+        moduleContext.dioDirectionMenuOptionsAll = [selectOption].concat(
+            populateMenuArray(directionOptions, null)
+        );
+        moduleContext.dioStateMenuOptionsAll = [selectOption].concat(
+            populateMenuArray(stateOptions, null)
+        );
+
+        // Read the extended feature configuration, devices with old firmware
+        // do not have the DIO_EF registers.
+        dio_ef.readEFConfig(device)
+        .then(function(efConfig) {
+            self.efConfig = efConfig;
+        }, function(err) {
+            console.log('Failed to read the DIO_EF configuration', err);
+            self.efConfig = null;
+        })
+        .then(function() {
+            moduleContext.hasEFSystem = self.efConfig !== null;
+            if (moduleContext.hasEFSystem) {
+                moduleContext.efLines = self.getEFLinesContext();
+                moduleContext.efClocks = self.getEFClocksContext();
             }
+            framework.setCustomContext(moduleContext);
+            onSuccess();
+        })
+        .done();
+    };
 
-            // Populate ainRangeMenuOptions
-            ainRangeMenuOptions = populateMenuArray(ainRangeMenuOptions, ainRangeOptions);
-
-            // Populate ainResolutionMenuOptions
-            ainResolutionMenuOptions = populateMenuArray(ainResolutionMenuOptions, ainResolutionOptions);
-
-            // Populate negativeCHMenuOptions
-            ainSettlingMenuOptions = populateMenuArray(ainSettlingMenuOptions, ainSettlingOptions);
-
-            // Populate negativeCHMenuOptions
-            negativeCHMenuOptions = populateMenuArray(negativeCHMenuOptions, ainNegativeCHOptions);
-
-            if ((index % 2) == 0) {
-                var displayNegativeCh = true;
-                negativeCHMenuOptions.push({
-                    value: index+1,
-                    name: "AIN"+(index+1).toString(),
-                    selected:''
+    /**
+     * Build the template data of the lines that support extended features.
+     * @return {Array} One Object per line.
+     */
+    this.getEFLinesContext = function() {
+        return dio_ef.getEFLines().map(function(lineIndex) {
+            var current = self.efConfig.lines[lineIndex];
+            var typeOptions = [{
+                name: 'Disabled',
+                value: EF_DISABLED_VALUE,
+                selected: current.enabled ? '' : 'selected'
+            }];
+            dio_ef.getLineEFTypes(lineIndex).forEach(function(efType) {
+                var isCurrent = current.enabled && current.index === efType.index;
+                typeOptions.push({
+                    name: efType.name,
+                    value: efType.index,
+                    selected: isCurrent ? 'selected' : ''
                 });
-            }
-
-            // Select configured menu option for: ainRangeMenuOptions
-            selectValue(ainRangeMenuOptions, configuredRange[index]);
-
-            // Select configured menu option for: ainResolutionMenuOptions
-            selectValue(ainResolutionMenuOptions, configuredResolution[index]);
-
-            // Select configured menu option for: ainSettlingMenuOptions
-            selectValue(ainSettlingMenuOptions, configuredResolution[index]);
-
-            // Select configured menu option for: negativeCHMenuOptions
-            selectValue(negativeCHMenuOptions, configuredNegativeCH[index]);
-
-            moduleContext.analogInputs.push({
-                "name": reg,
-                "style": style,
-                "efSystemStatus": efSystemStatus,
-                "ainRangeMenuOptions": ainRangeMenuOptions,
-                "ainResolutionMenuOptions": ainResolutionMenuOptions,
-                "ainSettlingMenuOptions": ainSettlingMenuOptions,
-                "displayNegativeCh": displayNegativeCh,
-                "negativeCHMenuOptions": negativeCHMenuOptions,
             });
-            
+            return {
+                lineName: dio_ef.getLineName(lineIndex),
+                dioName: dioLines[lineIndex].name,
+                efTypeMenuOptions: typeOptions,
+                clockMenuOptions: dio_ef.CLOCKS.map(function(clock) {
+                    return {
+                        name: 'DIO_EF_CLOCK' + clock.index.toString(),
+                        value: clock.index,
+                        selected: clock.index === current.clockSource ? 'selected' : ''
+                    };
+                })
+            };
         });
+    };
 
-        var ainRangeMenuOptionsAll = [];
-        var ainResolutionMenuOptionsAll = [];
-        var ainSettlingMenuOptionsAll = [];
-        var ainNegativeCHMenuOptionsAll = [];
-
-        //Populate Menu's with Select Option & default value:
-        ainRangeMenuOptionsAll.push({
-            name: 'Select',
-            value: -9999,
-            selected: '',
-            disp: false,
-        });
-        ainResolutionMenuOptionsAll.push({
-            name: 'Select',
-            value: -9999,
-            selected: '',
-            disp: false,
-        });
-        ainSettlingMenuOptionsAll.push({
-            name: 'Select',
-            value: -9999,
-            selected: '',
-            disp: false,
-        });
-        ainNegativeCHMenuOptionsAll.push({
-            name: 'Select',
-            value: -9999,
-            selected: '',
-            disp: false,
+    /**
+     * Build the template data of the DIO_EF clock sources.
+     * @return {Array} One Object per clock source.
+     */
+    this.getEFClocksContext = function() {
+        return dio_ef.CLOCKS.map(function(clock) {
+            var current = self.efConfig.clocks[clock.index];
+            return {
+                index: clock.index,
+                bits: clock.bits,
+                checked: current.enabled ? 'checked' : '',
+                rollValue: current.rollValue,
+                divisorMenuOptions: dio_ef.CLOCK_DIVISORS.map(function(divisor) {
+                    return {
+                        name: '/' + divisor.toString(),
+                        value: divisor,
+                        selected: divisor === (current.divisor || 1) ? 'selected' : ''
+                    };
+                })
+            };
         });
-
-        // Populate Menu's with remaining options
-        ainRangeOptions = populateMenuArray(ainRangeMenuOptionsAll, ainRangeOptions);
-        ainResolutionOptions = populateMenuArray(ainResolutionMenuOptionsAll, ainResolutionOptions);
-        ainSettlingOptions = populateMenuArray(ainSettlingMenuOptionsAll, ainSettlingOptions);
-        ainNegativeCHOptions = populateMenuArray(ainNegativeCHMenuOptionsAll, ainNegativeCHOptions);
-
-        // Select appropriate values
-        selectValue(ainRangeOptions, configuredAllAinRange);
-        selectValue(ainResolutionOptions, configuredAllAinResolution);
-        selectValue(ainSettlingOptions, configuredAllAinSettlingUS);
-        selectValue(ainNegativeCHOptions, configuredAllAinNegativeCH);
-
-        
-        moduleContext.ainRangeMenuOptionsAll = ainRangeMenuOptionsAll;
-        moduleContext.ainResolutionMenuOptionsAll = ainResolutionMenuOptionsAll;
-        moduleContext.ainSettlingMenuOptionsAll = ainSettlingMenuOptionsAll;
-        moduleContext.ainNegativeCHMenuOptionsAll = ainNegativeCHMenuOptionsAll;
-        moduleContext.showEFSystemStatusWarning = showEFSystemStatusWarning;
-        framework.setCustomContext(moduleContext);
-        onSuccess();
     };
 
     this.onTemplateLoaded = function(framework, onError, onSuccess) {
-        // Define device-global device-configuration event handler function.
-        var configDeviceGlobal = function(data, onSuccess) {
-            var handleConfigError = function(err) {
-                console.log('configError',err,binding,value);
-                sdFramework.manageError(err);
-                onSuccess();
-            }
-            console.log(data.binding.bindingClass,'!event!');
-            var framework = data.framework;
-            var device = data.device;
-            var binding = data.binding.binding.split('-callback')[0];
+        // Define "Configure All" event handler function, sets every line of
+        // the grid without touching the devices.
+        var configureAll = function(data, onSuccess) {
             var value = Number(data.value);
-            var className = data.binding.bindingClass.split('all-ain')[1];
-            className = '.analog-input' + className;
-
-            console.log('binding: ',binding,', value:',value, ', className: ',className);
-
-            if(value != -9999) {
-                // Update related selectors
-                $(className).val(value);
-
-                // Perform device I/O
-                device.qWrite(binding,value)
-                .then(onSuccess,handleConfigError)
-            } else {
-                onSuccess();
+            var className = data.binding.bindingClass.split('all-dio')[1];
+            if (value !== UNSELECTED_VALUE) {
+                $('.dio' + className).val(value);
             }
-        }
+            onSuccess();
+        };
 
-        // Define individual channel device-configuration event handler function.
-        var configDevice = function(data, onSuccess) {
-            var handleConfigError = function(err) {
-                console.log('configError',err,binding,value);
+        var applyToDevices = function(data, onSuccess) {
+            var devices = getCheckedDevices();
+            if (devices.length === 0) {
+                showMessage('Select at least one device to configure.');
                 onSuccess();
+                return;
             }
-            console.log(data.binding.bindingClass,'!event!');
-            var framework = data.framework;
-            var device = data.device;
-            var binding = data.binding.binding.split('-callback')[0];
-            var value = Number(data.value);
-            var className = data.binding.bindingClass.split('analog-input')[1];
-            className = '#all-ain' + className;
-
-            console.log('binding: ',binding,', value:',value);
-
-            // Update related selectors
-            $(className).val(-9999);
-
-            // Perform device I/O
-            device.qWrite(binding,value)
-            .then(onSuccess,handleConfigError)
+            showMessage('Configuring ' + devices.length.toString() + ' devices...');
+            dio_multi_device.applyDIOConfigToDevices(devices, getGridConfig())
+            .then(self.renderReadBack, function(err) {
+                showMessage('Failed to configure the devices: ' + err);
+            })
+            .fin(onSuccess);
         };
 
-        // Define Generic Options Button Callback
-        var optionsButtonHandler = function(data, onSuccess) {
-            var binding = data.binding;
-            var value = data.value;
-            console.log('OptionsButton-event');
-            var btnObj = $('#'+binding.template);
-            // Switch based off icon state
-            if(btnObj.hasClass('icon-plus'))  {
-                btnObj.removeClass('icon-plus');
-                btnObj.addClass('icon-minus');
-                $('#'+binding.template+'-options').fadeIn(
-                    FADE_DURATION,
-                    onSuccess
-                    );
-            } else if(btnObj.hasClass('icon-minus'))  {
-                btnObj.removeClass('icon-minus');
-                btnObj.addClass('icon-plus');
-                $('#'+binding.template+'-options').fadeOut(
-                    FADE_DURATION,
-                    onSuccess
-                    );
-            } else {
+        var readDevices = function(data, onSuccess) {
+            var devices = getCheckedDevices();
+            if (devices.length === 0) {
+                showMessage('Select at least one device to read.');
                 onSuccess();
+                return;
             }
+            dio_multi_device.readDevicesDIO(devices)
+            .then(self.renderReadBack, function(err) {
+                showMessage('Failed to read the devices: ' + err);
+            })
+            .fin(onSuccess);
         };
 
         // Define the module's run-time bindings:
         var moduleBindings = [
             {
-                // Define binding to automatically read AINx Registers.
-                bindingClass: baseReg, 
-                template: baseReg, 
-                binding: baseReg, 
-                direction: 'read', 
-                format: 'customFormat', 
-                customFormatFunc: self.ainResultUpdate
-            },
-            {
-                // Define binding to automatically read AINx_BINARY Registers.
-                bindingClass: baseReg+'_BINARY', 
-                template: baseReg+'_BINARY',   
-                binding: baseReg+'_BINARY',    
-                direction: 'read',  
-                format: '%d'
-            },
-            {
-                // Define binding to handle AIN_ALL_RANGE user inputs.
-                bindingClass: 'all-ain-range-select',  
-                template: 'all-ain-range-select', 
-                binding: 'AIN_ALL_RANGE-callback',  
-                direction: 'write', 
-                event: 'change',
-                writeCallback: configDeviceGlobal
-            },
-            {
-                // Define binding to handle AIN_ALL_RESOLUTION_INDEX user inputs.
-                bindingClass: 'all-ain-resolution-select',  
-                template: 'all-ain-resolution-select', 
-                binding: 'AIN_ALL_RESOLUTION_INDEX-callback',  
-                direction: 'write', 
-                event: 'change',
-                writeCallback: configDeviceGlobal
-            },
-            {
-                // Define binding to handle AIN_ALL_SETTLING_US user inputs.
-                bindingClass: 'all-ain-settling-select',  
-                template: 'all-ain-settling-select', 
-                binding: 'AIN_ALL_SETTLING_US-callback',  
-                direction: 'write', 
-                event: 'change',
-                writeCallback: configDeviceGlobal
-            },
-            {
-                // Define binding to handle AIN_ALL_NEGATIVE_CH user inputs.
-                bindingClass: 'all-ain-negative-channel-select',  
-                template: 'all-ain-negative-channel-select', 
-                binding: 'AIN_ALL_NEGATIVE_CH-callback',  
-                direction: 'write', 
-                event: 'change',
-                writeCallback: configDeviceGlobal
-            },
-            {
-                // Define binding to handle AINx_RANGE user inputs.
-                bindingClass: baseReg+'-analog-input-range-select',  
-                template: baseReg+'-analog-input-range-select', 
-                binding: baseReg+'_RANGE-callback',  
-                direction: 'write', 
-                event: 'change',
-                writeCallback: configDevice
-            },
-            {
-                // Define binding to handle AINx_RESOLUTION_INDEX user inputs.
-                bindingClass: baseReg+'-analog-input-resolution-select',  
-                template: baseReg+'-analog-input-resolution-select', 
-                binding: baseReg+'_RESOLUTION_INDEX-callback',  
-                direction: 'write', 
-                event: 'change',
-                writeCallback: configDevice
-            },
-            {
-                // Define binding to handle AINx_SETTLING_US user inputs.
-                bindingClass: baseReg+'-analog-input-settling-select',  
-                template: baseReg+'-analog-input-settling-select', 
-                binding: baseReg+'_SETTLING_US-callback',  
-                direction: 'write', 
-                event: 'change',
-                writeCallback: configDevice
-            },
-            {
-                // Define binding to handle AINx_NEGATIVE_CH user inputs.
-                bindingClass: baseReg+'-analog-input-negative-ch-select',  
-                template: baseReg+'-analog-input-negative-ch-select', 
-                binding: baseReg+'_NEGATIVE_CH-callback',  
-                direction: 'write', 
+                // Define binding to set the direction of every line.
+                bindingClass: 'all-dio-direction-select',
+                template: 'all-dio-direction-select',
+                binding: 'DIO_DIRECTION-callback',
+                direction: 'write',
                 event: 'change',
-                writeCallback: configDevice
+                execCallback: true,
+                callback: configureAll
             },
             {
-                // Define binding to handle graph button presses
-                bindingClass: 'Graph-Range-Options#(0:2)',
-                template: 'Graph-Range-Options#(0:2)',
-                binding: 'Graph-Range-Options#(0:2)-callback',
+                // Define binding to set the state of every line.
+                bindingClass: 'all-dio-state-select',
+                template: 'all-dio-state-select',
+                binding: 'DIO_STATE-callback',
                 direction: 'write',
                 event: 'change',
-                writeCallback: function(data, onSuccess) {
-                    console.log('data',data);
-                    onSuccess();
-                }
+                execCallback: true,
+                callback: configureAll
             },
             {
-                // Define binding to handle display/hide option-button presses.
-                bindingClass: 'module-options-toggle-button',  
-                template: 'module-options-toggle-button', 
-                binding: 'module-options-callback',  
-                direction: 'write', 
+                // Define binding to write the grid to the checked devices.
+                bindingClass: 'dio-apply-button',
+                template: 'dio-apply-button',
+                binding: 'dio-apply-callback',
+                direction: 'write',
                 event: 'click',
-                writeCallback: function(data, onSuccess) {
-                    //Use for reading checkbox:
-                    // $('').prop('checked',false) to set
-                    // $('').prop('checked') to read
-                    // for html:
-                    // <input type="checkbox" id="inlineCheckbox1" value="option1">
-                    optionsButtonHandler(data, onSuccess);
-                }
+                execCallback: true,
+                callback: applyToDevices
             },
             {
-                // Define binding to handle display/hide option-button presses.
-                bindingClass: baseReg+'-options-toggle-button',  
-                template: baseReg+'-options-toggle-button', 
-                binding: baseReg+'-callback',  
-                direction: 'write', 
+                // Define binding to read back the checked devices.
+                bindingClass: 'dio-read-button',
+                template: 'dio-read-button',
+                binding: 'dio-read-callback',
+                direction: 'write',
                 event: 'click',
-                writeCallback: function(data, onSuccess) {
-                    optionsButtonHandler(data, onSuccess);
-                }
-            },
+                execCallback: true,
+                callback: readDevices
+            }
         ];
 
+        // Define extended feature event handler functions, configure the
+        // selected device.
+        var efTypeChanged = function(data, onSuccess) {
+            self.renderEFOptions(getEFLineIndex(data.binding.template));
+            onSuccess();
+        };
+
+        var configureEF = function(data, onSuccess) {
+            var lineIndex = getEFLineIndex(data.binding.template);
+            var efForm = getEFForm(lineIndex);
+            var writes;
+            try {
+                writes = dio_ef.planEFWrites(lineIndex, efForm);
+            } catch (planError) {
+                showEFMessage(planError);
+                onSuccess();
+                return;
+            }
+            var lineIndexes = [lineIndex];
+            var efType = dio_ef.getEFType(efForm.index);
+            if (efType !== undefined && efType.pairedLines) {
+                lineIndexes.push(dio_ef.getPairedLine(lineIndex));
+            }
+            var lineName = dio_ef.getLineName(lineIndex);
+            dio_ef.writePlan(data.device, writes)
+            .then(function() {
+                return refreshEFConfig(data.device, lineIndexes);
+            })
+            .then(function() {
+                if (efType === undefined) {
+                    showEFMessage('Disabled the extended feature of ' + lineName + '.');
+                } else {
+                    showEFMessage('Configured ' + lineName + ' for ' + efType.name + '.');
+                }
+            }, function(err) {
+                showEFMessage('Failed to configure ' + lineName + ': ' + err);
+            })
+            .fin(onSuccess);
+        };
+
+        var clockChanged = function(data, onSuccess) {
+            self.renderClockRate(Number(data.binding.template.split('-')[2].replace('clock', '')));
+            onSuccess();
+        };
+
+        var configureClocks = function(data, onSuccess) {
+            // Disable clocks before enabling others so that clocks sharing
+            // hardware are never enabled together.
+            var disableWrites = [];
+            var enableWrites = [];
+            dio_ef.CLOCKS.forEach(function(clock) {
+                var clockForm = getClockForm(clock.index);
+                var writes = dio_ef.planClockWrites(clock.index, clockForm);
+                if (clockForm.enabled) {
+                    enableWrites = enableWrites.concat(writes);
+                } else {
+                    disableWrites = disableWrites.concat(writes);
+                }
+            });
+            dio_ef.writePlan(data.device, disableWrites.concat(enableWrites))
+            .then(function() {
+                return refreshEFConfig(data.device, []);
+            })
+            .then(function() {
+                showEFMessage('Configured the DIO_EF clock sources.');
+            }, function(err) {
+                showEFMessage('Failed to configure the DIO_EF clock sources: ' + err);
+            })
+            .fin(onSuccess);
+        };
+
+        if (self.efConfig !== null) {
+            dio_ef.getEFLines().forEach(function(lineIndex) {
+                var lineName = dio_ef.getLineName(lineIndex);
+                moduleBindings.push({
+                    // Define binding to show the options of the selected feature.
+                    bindingClass: lineName + '-ef-type-select',
+                    template: lineName + '-ef-type-select',
+                    binding: lineName + '-ef-type-callback',
+                    direction: 'write',
+                    event: 'change',
+                    execCallback: true,
+                    callback: efTypeChanged
+                });
+                moduleBindings.push({
+                    // Define binding to configure the feature of the line.
+                    bindingClass: lineName + '-ef-configure-button',
+                    template: lineName + '-ef-configure-button',
+                    binding: lineName + '-ef-configure-callback',
+                    direction: 'write',
+                    event: 'click',
+                    execCallback: true,
+                    callback: configureEF
+                });
+            });
+            dio_ef.CLOCKS.forEach(function(clock) {
+                var prefix = 'dio-ef-clock' + clock.index.toString();
+                moduleBindings.push({
+                    // Define binding to show the rate of the divisor entered.
+                    bindingClass: prefix + '-divisor-select',
+                    template: prefix + '-divisor-select',
+                    binding: prefix + '-divisor-callback',
+                    direction: 'write',
+                    event: 'change',
+                    execCallback: true,
+                    callback: clockChanged
+                });
+                moduleBindings.push({
+                    // Define binding to show the rate of the roll value entered.
+                    bindingClass: prefix + '-roll-value-input',
+                    template: prefix + '-roll-value-input',
+                    binding: prefix + '-roll-value-callback',
+                    direction: 'write',
+                    event: 'change',
+                    execCallback: true,
+                    callback: clockChanged
+                });
+            });
+            moduleBindings.push({
+                // Define binding to configure the clock sources.
+                bindingClass: 'dio-ef-clock-configure-button',
+                template: 'dio-ef-clock-configure-button',
+                binding: 'dio-ef-clock-configure-callback',
+                direction: 'write',
+                event: 'click',
+                execCallback: true,
+                callback: configureClocks
+            });
+        }
+
         // Save the bindings to the framework instance.
         framework.putConfigBindings(moduleBindings);
+        self.framework = framework;
+        self.efReadBindings = {};
+        onSuccess();
+    };
+
+    this.onTemplateDisplayed = function(framework, onError, onSuccess) {
+        if (self.efConfig !== null) {
+            dio_ef.getEFLines().forEach(function(lineIndex) {
+                self.renderEFOptions(lineIndex);
+                self.updateEFReadBindings(lineIndex);
+            });
+            dio_ef.CLOCKS.forEach(function(clock) {
+                self.renderClockRate(clock.index);
+            });
+            self.renderEFConflicts();
+        }
         onSuccess();
     };
     this.onRegisterWrite = function(framework, binding, value, onError, onSuccess) {
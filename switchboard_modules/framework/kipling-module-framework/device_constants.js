@@ -123,7 +123,11 @@ var globalDeviceConstants = {
             21: function() {return globalDeviceConstants.t7DeviceConstants.ainEFTypeOptions[3];},
             22: function() {return globalDeviceConstants.t7DeviceConstants.ainEFTypeOptions[4];},
             23: function() {return globalDeviceConstants.t7DeviceConstants.ainEFTypeOptions[5];},
-            24: function() {return globalDeviceConstants.t7DeviceConstants.ainEFTypeOptions[6];}
+            24: function() {return globalDeviceConstants.t7DeviceConstants.ainEFTypeOptions[6];},
+            25: function() {return globalDeviceConstants.t7DeviceConstants.ainEFTypeOptions[7];},
+            27: function() {return globalDeviceConstants.t7DeviceConstants.ainEFTypeOptions[8];},
+            28: function() {return globalDeviceConstants.t7DeviceConstants.ainEFTypeOptions[9];},
+            30: function() {return globalDeviceConstants.t7DeviceConstants.ainEFTypeOptions[10];}
         },
         ainEFTypeOptions:[
             {"name": "Disabled", "value": 0,
@@ -202,6 +206,50 @@ var globalDeviceConstants = {
                 "getConfigRegs": function() {
                     return globalDeviceConstants.t7DeviceConstants.efConfigOptions.thermocouples;
                 }
+            },
+            {"name": "TypeS Thermocouple","value": 25,
+                "getConfigRoutine": function() {
+                    return globalDeviceConstants.t7DeviceConstants.efConfigRoutine.thermocouples;
+                },
+                "getReadRegs": function() {
+                    return globalDeviceConstants.t7DeviceConstants.efReadOptions.thermocouples;
+                },
+                "getConfigRegs": function() {
+                    return globalDeviceConstants.t7DeviceConstants.efConfigOptions.thermocouples;
+                }
+            },
+            {"name": "TypeN Thermocouple","value": 27,
+                "getConfigRoutine": function() {
+                    return globalDeviceConstants.t7DeviceConstants.efConfigRoutine.thermocouples;
+                },
+                "getReadRegs": function() {
+                    return globalDeviceConstants.t7DeviceConstants.efReadOptions.thermocouples;
+                },
+                "getConfigRegs": function() {
+                    return globalDeviceConstants.t7DeviceConstants.efConfigOptions.thermocouples;
+                }
+            },
+            {"name": "TypeB Thermocouple","value": 28,
+                "getConfigRoutine": function() {
+                    return globalDeviceConstants.t7DeviceConstants.efConfigRoutine.thermocouples;
+                },
+                "getReadRegs": function() {
+                    return globalDeviceConstants.t7DeviceConstants.efReadOptions.thermocouples;
+                },
+                "getConfigRegs": function() {
+                    return globalDeviceConstants.t7DeviceConstants.efConfigOptions.thermocouples;
+                }
+            },
+            {"name": "TypeC Thermocouple","value": 30,
+                "getConfigRoutine": function() {
+                    return globalDeviceConstants.t7DeviceConstants.efConfigRoutine.thermocouples;
+                },
+                "getReadRegs": function() {
+                    return globalDeviceConstants.t7DeviceConstants.efReadOptions.thermocouples;
+                },
+                "getConfigRegs": function() {
+                    return globalDeviceConstants.t7DeviceConstants.efConfigOptions.thermocouples;
+                }
             }
         ],
         efConfigRoutine: {
@@ -433,7 +481,11 @@ var globalDeviceConstants = {
             {"name": "TypeJ","value": 21},
             {"name": "TypeK","value": 22},
             {"name": "TypeR","value": 23},
-            {"name": "TypeT","value": 24}
+            {"name": "TypeT","value": 24},
+            {"name": "TypeS","value": 25},
+            {"name": "TypeN","value": 27},
+            {"name": "TypeB","value": 28},
+            {"name": "TypeC","value": 30}
         ],
         thermocoupleTemperatureMetrics: [
             {"name": "K","value": 0},
@@ -1,13 +1,68 @@
+/**
+ * Headless runner for kipling-module-framework modules.
+ *
+ * Loads a module by name, opens a device by serial number, runs the
+ * presenter_framework DAQ loop and prints the values of the module's bound
+ * registers to stdout. Usage:
+ *
+ *  node framework_standalone.js <module name> <serial number> [options]
+ *
+ *  --format table|json     Print a table (default) or one JSON object per line.
+ *  --iterations N          Stop after N loop iterations (default runs until
+ *                          interrupted with ctrl-c).
+ *  --connection-type TYPE  USB, Ethernet, WiFi or Any (default).
+ *  --device-type TYPE      T7 (default) or Digit.
+ *  --simulated             Use the simulated driver instead of LJM.
+**/
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
 var handlebars = require('handlebars');
-var labjack = require('labjack-nodejs');
 var q = require('q');
 
 var framework_standalone_ui = require('./framework_standalone_ui');
 var fs_facade = require('./fs_facade');
-var presenter_framework = require('./presenter_framework');
+
+// presenter_framework expects a global device_controller when it is loaded so
+// it is required by prepareFramework after loadDeviceController runs.
+var presenter_framework = null;
 
 var JS_LOC_TEMPLATE = handlebars.compile('/{{ . }}/controller');
 
+var KIPLING_ROOT_DIR = path.join(__dirname, '..', '..', '..');
+// node-webkit resolves relative requires made by module controllers against
+// the directory of index.html.
+var KIPLING_SRC_DIR = path.join(KIPLING_ROOT_DIR, 'src');
+var DEVICE_CONTROLLER_LOC = path.join(KIPLING_ROOT_DIR, 'src',
+    'device_controller');
+var DRIVER_BACKEND_LOC = path.join(KIPLING_ROOT_DIR, 'src', 'helper_scripts',
+    'driver_backend');
+
+var DEFAULT_CONNECTION_TYPE = 'ANY';
+var DEFAULT_DEVICE_TYPE = 'T7';
+
+var CONTROLLER_WRAPPER_START =
+    '(function (exports, require, module, __filename, __dirname) {';
+var CONTROLLER_WRAPPER_END = '\nreturn {' +
+    'module: module, ' +
+    'MODULE_UPDATE_PERIOD_MS: typeof(MODULE_UPDATE_PERIOD_MS) === "number" ?' +
+    ' MODULE_UPDATE_PERIOD_MS : undefined' +
+    '};\n})';
+
+var USAGE = [
+    'Usage: node framework_standalone.js <module name> <serial number> ' +
+        '[options]',
+    '',
+    '  --format table|json     Output format (default table).',
+    '  --iterations N          Number of DAQ loop iterations to run ' +
+        '(default 0, run until interrupted).',
+    '  --connection-type TYPE  USB, Ethernet, WiFi or Any (default Any).',
+    '  --device-type TYPE      T7 or Digit (default T7).',
+    '  --simulated             Use the simulated driver instead of LJM.'
+].join('\n');
+
 
 /**
  * Fire an event listener and resolve a given deferred after it returns.
@@ -17,15 +72,109 @@ var JS_LOC_TEMPLATE = handlebars.compile('/{{ . }}/controller');
  *      this environment will be passed to the event listener.
  * @param {q.defer} deferred Deferred to resolve after the event listeners
  *      finish or to reject if the event listeners encounter an error.
+ * @param {Array} params Extra parameters to pass to the event listener after
+ *      the framework. Optional.
 **/
-function fireAndResolve (event, environment, deferred) {
-    environment.framework.fire(event, environment.framework).then(
-        function () { deferred.resolve(environment); },
-        deferred.reject
+function fireAndResolve (event, environment, deferred, params) {
+    environment.framework.fire(
+        event,
+        params || [],
+        deferred.reject,
+        function () { deferred.resolve(environment); }
     );
 }
 
 
+/**
+ * Parse the command line arguments given to the standalone runner.
+ *
+ * @param {Array} args The arguments after the script name.
+ * @return {Object} New environment information object with moduleName,
+ *      serial, outputFormat, iterations, connectionType, deviceType and
+ *      useSimulatedDriver attributes.
+ * @throws {Error} If the arguments are missing or invalid.
+**/
+function parseArguments (args) {
+    var environment = {
+        moduleName: null,
+        serial: null,
+        outputFormat: framework_standalone_ui.DEFAULT_OUTPUT_FORMAT,
+        iterations: 0,
+        connectionType: DEFAULT_CONNECTION_TYPE,
+        deviceType: DEFAULT_DEVICE_TYPE,
+        useSimulatedDriver: false
+    };
+    var positional = [];
+
+    var getValue = function (i) {
+        if (i >= args.length) {
+            throw new Error('Missing value for ' + args[i - 1]);
+        }
+        return args[i];
+    };
+
+    for (var i=0; i<args.length; i++) {
+        var arg = args[i];
+        if (arg === '--format') {
+            i += 1;
+            environment.outputFormat = getValue(i);
+        } else if (arg === '--iterations') {
+            i += 1;
+            environment.iterations = Number(getValue(i));
+            if (isNaN(environment.iterations) || environment.iterations < 0) {
+                throw new Error('Invalid number of iterations: ' + args[i]);
+            }
+        } else if (arg === '--connection-type') {
+            i += 1;
+            environment.connectionType = getValue(i);
+        } else if (arg === '--device-type') {
+            i += 1;
+            environment.deviceType = getValue(i);
+        } else if (arg === '--simulated') {
+            environment.useSimulatedDriver = true;
+        } else if (arg.indexOf('--') === 0) {
+            throw new Error('Unknown option: ' + arg);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    if (positional.length !== 2) {
+        throw new Error('Expected a module name and a serial number');
+    }
+    if (framework_standalone_ui.OUTPUT_FORMATS.indexOf(
+        environment.outputFormat) < 0) {
+        throw new Error('Unknown output format: ' + environment.outputFormat);
+    }
+
+    environment.moduleName = positional[0];
+    environment.serial = positional[1];
+    return environment;
+}
+
+
+/**
+ * Load Kipling's device_controller and make it available as a global.
+ *
+ * Module controllers and the presenter_framework use device_controller as a
+ * global so it has to be loaded before either of them.
+ *
+ * @param {Object} environment The environment to add the device controller to.
+ *      If its useSimulatedDriver attribute is true the simulated driver
+ *      is selected first.
+**/
+function loadDeviceController (environment) {
+    if (typeof(device_controller) === 'undefined') {
+        if (environment.useSimulatedDriver) {
+            var driver_backend = require(DRIVER_BACKEND_LOC);
+            driver_backend.selectBackend(driver_backend.SIMULATED);
+        }
+        global.device_controller = require(DEVICE_CONTROLLER_LOC);
+    }
+    environment.deviceController = device_controller;
+}
+
+
 /**
  * Add a presenter framework to the given environment.
  *
@@ -35,7 +184,14 @@ function fireAndResolve (event, environment, deferred) {
 **/
 function prepareFramework (environment) {
     var deferred = q.defer();
+
+    loadDeviceController(environment);
+    if (presenter_framework === null) {
+        presenter_framework = require('./presenter_framework');
+    }
+
     environment.framework = new presenter_framework.Framework();
+    environment.framework.ljmDriver = environment.deviceController.ljm_driver;
     deferred.resolve(environment);
     return deferred.promise;
 }
@@ -65,6 +221,73 @@ function loadModuleInfo (environment) {
 }
 
 
+/**
+ * Add the selected module's moduleConstants.json to the environment.
+ *
+ * @param {Object} environment The environment information object to add the
+ *      module constants to.
+ * @return {q.promise} Promise that resolves after the module constants have
+ *      been added to the environment.
+**/
+function loadModuleConstants (environment) {
+    var deferred = q.defer();
+
+    fs_facade.getModuleConstants(
+        environment.moduleName,
+        deferred.reject,
+        function (constants) {
+            environment.moduleConstants = constants;
+            deferred.resolve(environment);
+        }
+    );
+
+    return deferred.promise;
+}
+
+
+/**
+ * Run a module controller written for Kipling's <script> tag loading.
+ *
+ * Most controllers declare a global "module" constructor instead of using
+ * exports. The controller is run inside of a CommonJS style wrapper so that
+ * both styles work: a "module" function declared by the controller shadows
+ * the wrapper's module object.
+ *
+ * @param {String} location The full path to the controller's JavaScript file.
+ * @return {Object} The controller's exports or, if it declares a module
+ *      constructor, an object with that constructor as its module attribute
+ *      and the controller's MODULE_UPDATE_PERIOD_MS.
+**/
+function runControllerScript (location) {
+    var source = fs.readFileSync(location, 'utf8');
+    var controllerDir = path.dirname(location);
+    var wrapper = vm.runInThisContext(
+        CONTROLLER_WRAPPER_START + source + CONTROLLER_WRAPPER_END,
+        location
+    );
+
+    var controllerRequire = function (name) {
+        if (name.charAt(0) === '.') {
+            return require(path.resolve(KIPLING_SRC_DIR, name));
+        }
+        return require(name);
+    };
+    var commonJSModule = {exports: {}};
+    var result = wrapper(
+        commonJSModule.exports,
+        controllerRequire,
+        commonJSModule,
+        location,
+        controllerDir
+    );
+
+    if (typeof(result.module) === 'function') {
+        return result;
+    }
+    return commonJSModule.exports;
+}
+
+
 /**
  * Load the controller for a module.
  *
@@ -78,119 +301,175 @@ function loadModuleLogic (environment) {
 
     var moduleName = environment.moduleInfo['name'];
     var controllerLocalLoc = JS_LOC_TEMPLATE(moduleName);
-    var controllerGlobalLoc = fs_facade.getExternalURI(controllerLocalLoc)
-    var controller = require(controllerGlobalLoc);
+    var controllerGlobalLoc = fs_facade.getExternalURI(controllerLocalLoc);
+    var jsFiles = (environment.moduleInfo.jsFiles || []).concat(
+        (environment.moduleInfo.third_party_code || []).map(function (name) {
+            return '../third_party_code/' + name;
+        })
+    );
 
-    environment.module = controller;
-    deferred.resolve(environment);
+    try {
+        // Kipling adds a module's jsFiles and third party code to the page
+        // before its controller.
+        jsFiles.forEach(function (jsFile) {
+            var jsFileLoc = fs_facade.getExternalURI(moduleName + '/' + jsFile);
+            vm.runInThisContext(fs.readFileSync(jsFileLoc, 'utf8'), jsFileLoc);
+        });
+
+        var controllerLoc = require.resolve(controllerGlobalLoc);
+        if (path.extname(controllerLoc) === '.js') {
+            environment.module = runControllerScript(controllerLoc);
+        } else {
+            environment.module = require(controllerLoc);
+        }
+    } catch (err) {
+        deferred.reject(err);
+        return deferred.promise;
+    }
 
+    deferred.resolve(environment);
     return deferred.promise;
 }
 
 
 /**
- * Examine the module controller for standard event callbacks.
+ * Link the module controller's event listeners to the framework.
  *
- * Examine the loaded module's exports for standard event callbacks namely:
- *  - moduleLoad
- *  - loadTemplate
- *  - deviceSelection
- *  - configureDevice
- *  - deviceConfigured
- *  - refresh
- *  - closeDevice
- *  - unloadModule
- *  - loadError
- *  - configError
- *  - refreshError
+ * If the controller declares a module constructor it is instantiated (like
+ * framework_connector.js does in Kipling) and the instance's methods named
+ * after framework events (onModuleLoaded, onDeviceSelected, onRefresh, ...)
+ * are registered. Otherwise the controller's exports are examined for those
+ * methods. After linking, the onModuleLoaded event is fired.
  *
  * @param {Object} environment The environment infromation object with the
  *      module controller to examine.
- * @return {q.promise} Promise that resolves after the target module controller
- *      has been examined. Resolves to the environment.
+ * @return {q.promise} Promise that resolves after the module has been linked
+ *      to the framework. Resolves to the environment.
 **/
 function loadModuleCallbacks (environment) {
     var deferred = q.defer();
-    var module = environment.module;
-    var onModuleLoad = module.moduleLoad;
-    var onLoadTemplate = module.loadTemplate;
-    var onDeviceSelection = module.deviceSelection;
-    var onConfigureDevice = module.configureDevice;
-    var onDeviceConfigured = module.deviceConfigured;
-    var onRefresh = module.refresh;
-    var onCloseDevice = module.closeDevice;
-    var onUnloadModule = module.unloadModule;
-    var onLoadError = module.loadError;
-    var onConfigError = module.configError;
-    var onRefreshError = module.refreshError;
-
-    if (onModuleLoad) {
-        environment.framework.on('moduleLoad', onModuleLoad);
-    }
+    var framework = environment.framework;
+    var controller = environment.module;
+    var moduleInstance = controller;
 
-    if (onLoadTemplate) {
-        environment.framework.on('loadTemplate', onLoadTemplate);
+    try {
+        if (typeof(controller.module) === 'function') {
+            moduleInstance = new controller.module();
+        }
+    } catch (err) {
+        deferred.reject(err);
+        return deferred.promise;
     }
+    environment.moduleInstance = moduleInstance;
 
-    if (onDeviceSelection) {
-        environment.framework.on('deviceSelection', onDeviceSelection);
-    }
+    moduleInstance.deviceKeeper = environment.deviceController.getDeviceKeeper();
+    moduleInstance.ljmDriver = environment.deviceController.ljm_driver;
+    moduleInstance.sdFramework = framework;
+    framework.deviceKeeper = moduleInstance.deviceKeeper;
 
-    if (onConfigureDevice) {
-        environment.framework.on('configureDevice', onConfigureDevice);
-    }
+    framework.eventListener.forEach(function (listener, eventName) {
+        if (typeof(moduleInstance[eventName]) === 'function') {
+            framework.on(eventName, moduleInstance[eventName]);
+        }
+    });
 
-    if (onDeviceConfigured) {
-        environment.framework.on('deviceConfigured', onDeviceConfigured);
+    if (typeof(controller.MODULE_UPDATE_PERIOD_MS) === 'number') {
+        framework.setRefreshRate(controller.MODULE_UPDATE_PERIOD_MS);
     }
 
-    if (onRefresh) {
-        environment.framework.on('refresh', onRefresh);
-    }
+    framework.saveModuleInfo(
+        environment.moduleInfo,
+        environment.moduleConstants,
+        moduleInstance
+    );
 
-    if (onCloseDevice) {
-        environment.framework.on('closeDevice', onCloseDevice);
-    }
+    // Like framework_connector.js, continue on to device selection without
+    // waiting for onModuleLoaded. Some modules never call its onSuccess.
+    framework.qExecOnModuleLoaded().fail(function (err) {
+        environment.cli.printError('Error loading module: ' + err);
+    });
+    deferred.resolve(environment);
+    return deferred.promise;
+}
 
-    if (onUnloadModule) {
-        environment.framework.on('unloadModule', onUnloadModule);
-    }
 
-    if (onLoadError) {
-        environment.framework.on('loadError', onLoadError);
+/**
+ * Open the device with the serial number given in the environment.
+ *
+ * @param {Object} environment The standalone framework environment information
+ *      object to save the device to.
+ * @return {q.promise} Promise that resolves after the device is open and the
+ *      module has been told about it. Rejects if the device cannot be opened.
+**/
+function loadDevice (environment) {
+    var deferred = q.defer();
+    var deviceController = environment.deviceController;
+    var driverConst = deviceController.driver_const;
+
+    var connectionType = String(environment.connectionType ||
+        DEFAULT_CONNECTION_TYPE).toUpperCase();
+    var connectionTypeNum = driverConst.connectionTypes[connectionType];
+    if (connectionTypeNum === undefined) {
+        deferred.reject(
+            new Error('Unknown connection type: ' + environment.connectionType)
+        );
+        return deferred.promise;
     }
 
-    if (onConfigError) {
-        environment.framework.on('configError', onConfigError);
+    // Device types like Digit-TLH are opened as their base type.
+    var deviceType = String(environment.deviceType ||
+        DEFAULT_DEVICE_TYPE).toUpperCase().split('-')[0];
+    var deviceTypeNum = driverConst.deviceTypes[deviceType];
+    if (deviceTypeNum === undefined) {
+        deferred.reject(
+            new Error('Unknown device type: ' + environment.deviceType)
+        );
+        return deferred.promise;
     }
 
-    if (onRefreshError) {
-        environment.framework.on('refreshError', onRefreshError);
-    }
+    deviceController.openDevice(
+        environment.serial,
+        environment.serial,
+        connectionTypeNum,
+        deviceTypeNum,
+        deferred.reject,
+        function (device) {
+            environment.device = device;
+            deviceController.getDeviceKeeper().addDevice(device);
+            environment.framework._SetSelectedDevices([device]);
+            environment.framework.qExecOnDeviceSelected().then(
+                function () { deferred.resolve(environment); },
+                deferred.reject
+            );
+        }
+    );
 
-    fireAndResolve('onModuleLoad', environment, deferred);
     return deferred.promise;
 }
 
 
 /**
- * Open the first found device.
+ * Run the framework's device configuration steps for the selected device.
  *
- * @param {Object} environment The standalone framework environment information
- *      object to save the device to.
- * @return {q.promise} Promise that resolves after the device is open and
- *      rejects if the device cannot be opened.
+ * Mirrors presenter_framework's runFramework up until the module's template
+ * would be rendered: config bindings are cleared, smart bindings and setup
+ * bindings are executed and the onDeviceConfigured event is fired.
+ *
+ * @param {Object} environment The environment with the framework to configure.
+ * @return {q.promise} Promise that resolves to the environment after the
+ *      device has been configured.
 **/
-function loadDevice (environment) {
+function configureDevice (environment) {
     var deferred = q.defer();
-    
-    var newDevice = labjack.device();
-    newDevice.open(
-        deferred.reject,
-        function (newDevice) {
-            environment.device = newDevice;
-            fireAndResolve('onDeviceSelection', environment, deferred);
-        }
+    var framework = environment.framework;
+
+    framework.qClearConfigBindings()
+    .then(framework.qUpdateSmartBindings)
+    .then(framework.executeSetupBindings)
+    .then(framework.qExecOnDeviceConfigured)
+    .then(
+        function () { deferred.resolve(environment); },
+        deferred.reject
     );
 
     return deferred.promise;
@@ -202,18 +481,25 @@ function loadDevice (environment) {
  *
  * @param {Object} environment The environment infromation object that the UI
  *      should be attached to.
- * @return {q.promise} Promise that resolves after the target module controller
- *      has been examined. Resolves to the environment.
+ * @return {q.promise} Promise that resolves after the interface has been
+ *      attached to the environment's framework. Resolves to the environment.
 **/
 function createInterface (environment) {
     var deferred = q.defer();
     var newInterface = new framework_standalone_ui.CLInterface(environment);
     environment.cli = newInterface;
-    
-    var interfaceCreatePromise = newInterface.create();
-    interfaceCreatePromise.then(
-        deferred.reject,
-        function () { fireAndResolve('onLoadTemplate', environment, deferred); }
+
+    newInterface.create().then(
+        function () {
+            var framework = environment.framework;
+            var onRead = framework._OnRead;
+            framework._OnRead = function (valuesDict) {
+                onRead(valuesDict);
+                newInterface.printValues(valuesDict);
+            };
+            deferred.resolve(environment);
+        },
+        deferred.reject
     );
 
     return deferred.promise;
@@ -221,16 +507,54 @@ function createInterface (environment) {
 
 
 /**
- * Starts the refresh loop for the framework.
+ * Runs the refresh loop for the framework.
+ *
+ * Iterations are scheduled here instead of by the framework so the loop can
+ * stop after environment.iterations iterations (if non-zero).
  *
- * @param {Object} environment The environment with the framework to start the
+ * @param {Object} environment The environment with the framework to run the
  *      refresh loop for.
  * @return {q.promise} Promise that resolves after the framework loop has
- *      started.
+ *      stopped, either because the requested number of iterations finished or
+ *      because the loop was stopped. Resolves to the environment.
 **/
 function startFrameworkLoop (environment) {
     var deferred = q.defer();
-    environment.framework.startLoop();
+    var framework = environment.framework;
+    var numIterations = environment.iterations || 0;
+    var numCompleted = 0;
+
+    var finish = function () {
+        framework.stopLoop();
+        deferred.resolve(environment);
+    };
+
+    var runIteration = function () {
+        framework.loopIteration().then(
+            function () {
+                numCompleted += 1;
+                // Modules that read their registers themselves, like
+                // register_matrix, still show that the loop is running.
+                if (environment.cli && framework.readBindings.size === 0) {
+                    environment.cli.printIteration();
+                }
+                if (!framework.runLoop) {
+                    finish();
+                } else if (numIterations > 0 && numCompleted >= numIterations) {
+                    finish();
+                } else {
+                    setTimeout(runIteration, framework.refreshRate);
+                }
+            },
+            finish
+        );
+    };
+
+    // Avoid the framework reporting the time spent loading as a slow loop.
+    framework.iterationTime = new Date().valueOf() - framework.refreshRate;
+    framework.runLoop = true;
+    runIteration();
+
     return deferred.promise;
 }
 
@@ -246,18 +570,16 @@ function startFrameworkLoop (environment) {
  *      finished running.
 **/
 function onUserExit (environment) {
-    var deferred = q.defer;
-    
+    var deferred = q.defer();
+
     var alertDeviceClosing = function () {
         var innerDeferred = q.defer();
-        
-        environment.framework.fire(
+        fireAndResolve(
             'onCloseDevice',
-            environment.framework,
-            innerDeferred.reject,
-            innerDeferred.resolve
+            environment,
+            innerDeferred,
+            [environment.device]
         );
-
         return innerDeferred.promise;
     };
 
@@ -270,31 +592,127 @@ function onUserExit (environment) {
 
     var alertUnload = function () {
         var innerDeferred = q.defer();
+        fireAndResolve('onUnloadModule', environment, innerDeferred);
+        return innerDeferred.promise;
+    };
 
-        environment.framework.fire(
-            'onCloseDevice',
-            environment.framework,
-            innerDeferred.reject,
-            innerDeferred.resolve
-        );
-
+    var closeDevice = function () {
+        var innerDeferred = q.defer();
+        if (environment.device) {
+            environment.deviceController.closeDevice(
+                environment.device,
+                function () { innerDeferred.resolve(); },
+                innerDeferred.reject
+            );
+        } else {
+            innerDeferred.resolve();
+        }
         return innerDeferred.promise;
     };
 
-    alertDeviceClosing()
-    .then(alertUnload, deferred.reject)
-    .then(deferred.resolve, deferred.reject);
+    stopFrameworkLoop()
+    .then(alertDeviceClosing)
+    .then(alertUnload)
+    .then(closeDevice)
+    .then(function () { deferred.resolve(environment); }, deferred.reject);
+
+    return deferred.promise;
+}
+
+
+/**
+ * Load a module, open a device and run the module until it is stopped.
+ *
+ * @param {Object} environment Environment information object as returned by
+ *      parseArguments.
+ * @return {q.promise} Promise that resolves after the module has been unloaded
+ *      and the device closed. Rejects if any step fails.
+**/
+function runStandalone (environment) {
+    var deferred = q.defer();
+
+    var stopOnInterrupt = function () {
+        if (environment.framework) {
+            environment.framework.stopLoop();
+        }
+    };
+    process.once('SIGINT', stopOnInterrupt);
+
+    fs_facade.setParentDir(KIPLING_ROOT_DIR);
+
+    prepareFramework(environment)
+    .then(loadModuleInfo)
+    .then(loadModuleConstants)
+    // Controllers can use the browser globals when they are loaded.
+    .then(createInterface)
+    .then(loadModuleLogic)
+    .then(loadModuleCallbacks)
+    .then(loadDevice)
+    .then(configureDevice)
+    .then(startFrameworkLoop)
+    .then(onUserExit)
+    .then(
+        function () {
+            process.removeListener('SIGINT', stopOnInterrupt);
+            deferred.resolve(environment);
+        },
+        function (err) {
+            process.removeListener('SIGINT', stopOnInterrupt);
+            deferred.reject(err);
+        }
+    );
 
     return deferred.promise;
 }
 
 
 exports.fireAndResolve = fireAndResolve;
+exports.parseArguments = parseArguments;
+exports.loadDeviceController = loadDeviceController;
 exports.prepareFramework = prepareFramework;
 exports.loadModuleInfo = loadModuleInfo;
+exports.loadModuleConstants = loadModuleConstants;
 exports.loadModuleLogic = loadModuleLogic;
 exports.loadModuleCallbacks = loadModuleCallbacks;
 exports.loadDevice = loadDevice;
+exports.configureDevice = configureDevice;
 exports.createInterface = createInterface;
 exports.startFrameworkLoop = startFrameworkLoop;
 exports.onUserExit = onUserExit;
+exports.runStandalone = runStandalone;
+
+
+if (require.main === module) {
+    // The framework and device_controller log with console.log so keep stdout
+    // for the values read from the device.
+    console.log = console.error;
+
+    var environment;
+    try {
+        environment = parseArguments(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    var isFinished = false;
+    process.on('exit', function () {
+        if (!isFinished) {
+            console.error('Module stopped before the DAQ loop finished.');
+            process.exitCode = 1;
+        }
+    });
+
+    runStandalone(environment).then(
+        function () {
+            isFinished = true;
+            process.exit(0);
+        },
+        function (err) {
+            isFinished = true;
+            console.error('Error running module:', err);
+            process.exit(1);
+        }
+    );
+}
@@ -1,3 +1,7 @@
+// Run the module logic against the simulated driver instead of LJM.
+process.env.KIPLING_DRIVER_BACKEND = 'simulated';
+
+var dict = require('dict');
 var q = require('q');
 var rewire = require('rewire');
 
@@ -8,15 +12,14 @@ module.exports = {
 
     testFireAndResolve: function (test) {
         var testEvent = 'testEvent';
+        var testParams = ['param'];
         var eventFired = null;
-        var frameworkProvidedToEvent = null;
+        var paramsProvidedToEvent = null;
 
-        var fakeFire = function (event, framework) {
-            var innerDeferred = q.defer();
+        var fakeFire = function (event, params, onError, onSuccess) {
             eventFired = event;
-            frameworkProvidedToEvent = framework;
-            innerDeferred.resolve();
-            return innerDeferred.promise;
+            paramsProvidedToEvent = params;
+            onSuccess();
         };
         var testFramework = {
             fire: fakeFire
@@ -27,25 +30,55 @@ module.exports = {
         var testDeferred = q.defer();
         var testPromise = testDeferred.promise;
 
-        testPromise.then(function () {
+        testPromise.then(function (environment) {
             test.deepEqual(eventFired, testEvent);
-            test.deepEqual(frameworkProvidedToEvent, testFramework);
+            test.deepEqual(paramsProvidedToEvent, testParams);
+            test.equal(environment, testEnvironment);
             test.done();
         });
 
         framework_standalone.fireAndResolve(
             testEvent,
             testEnvironment,
-            testDeferred
+            testDeferred,
+            testParams
         );
     },
 
+    testParseArguments: function (test) {
+        var environment = framework_standalone.parseArguments([
+            'analog_inputs_fw',
+            '470010001',
+            '--format',
+            'json',
+            '--iterations',
+            '5',
+            '--simulated'
+        ]);
+        test.equal(environment.moduleName, 'analog_inputs_fw');
+        test.equal(environment.serial, '470010001');
+        test.equal(environment.outputFormat, 'json');
+        test.equal(environment.iterations, 5);
+        test.equal(environment.connectionType, 'ANY');
+        test.ok(environment.useSimulatedDriver);
+
+        test.throws(function () {
+            framework_standalone.parseArguments(['analog_inputs_fw']);
+        });
+        test.throws(function () {
+            framework_standalone.parseArguments(
+                ['analog_inputs_fw', '470010001', '--format', 'xml']
+            );
+        });
+        test.done();
+    },
+
     testPrepareFramework: function (test) {
         var testEnvironment = {};
         framework_standalone.prepareFramework(testEnvironment)
         .then(function (environment) {
-            test.notDeepEqual(environment.framework, null);
-            test.notDeepEqual(environment.framework, undefined);
+            test.notEqual(environment.framework, null);
+            test.notEqual(environment.framework, undefined);
             test.done();
         });
     },
@@ -92,7 +125,55 @@ module.exports = {
     },
 
     testLoadModuleCallbacks: function (test) {
-        test.done();
+        var registeredEvents = [];
+        var savedModule = null;
+        var refreshRate = null;
+        var moduleLoaded = false;
+
+        function testModule () {
+            this.onModuleLoaded = function () {};
+            this.onRefreshed = function () {};
+            this.notAnEvent = function () {};
+        }
+
+        var environment = {
+            module: {module: testModule, MODULE_UPDATE_PERIOD_MS: 250},
+            moduleInfo: {name: 'test-name'},
+            deviceController: {
+                getDeviceKeeper: function () { return {}; },
+                ljm_driver: {}
+            },
+            framework: {
+                eventListener: dict({
+                    onModuleLoaded: null,
+                    onRefreshed: null,
+                    onRefresh: null
+                }),
+                on: function (name, listener) {
+                    registeredEvents.push(name);
+                },
+                setRefreshRate: function (newRefreshRate) {
+                    refreshRate = newRefreshRate;
+                },
+                saveModuleInfo: function (infoObj, constantsObj, moduleObj) {
+                    savedModule = moduleObj;
+                },
+                qExecOnModuleLoaded: function () {
+                    moduleLoaded = true;
+                    return q.resolve();
+                }
+            }
+        };
+
+        framework_standalone.loadModuleCallbacks(environment)
+        .then(function (environment) {
+            test.ok(environment.moduleInstance instanceof testModule);
+            test.deepEqual(registeredEvents, ['onModuleLoaded', 'onRefreshed']);
+            test.equal(savedModule, environment.moduleInstance);
+            test.equal(refreshRate, 250);
+            test.ok(moduleLoaded);
+            test.done();
+        });
     },
 
     testLoadDevice: function (test) {
@@ -100,15 +181,132 @@ module.exports = {
     },
 
     testCreateInterface: function (test) {
-        test.done();
+        var output = [];
+        var environment = {
+            moduleName: 'test-name',
+            outputFormat: 'json',
+            output: {
+                write: function (line) { output.push(line); }
+            },
+            framework: {
+                _SetJQuery: function (newJQuery) {
+                    this.jquery = newJQuery;
+                },
+                _OnRead: function () {}
+            }
+        };
+
+        framework_standalone.createInterface(environment)
+        .then(function (environment) {
+            test.notEqual(environment.framework.jquery, undefined);
+            test.equal(getActiveTabID(), 'test-name');
+
+            environment.framework._OnRead(dict({'AIN0': '1.000'}));
+            test.equal(output.length, 1);
+            test.deepEqual(JSON.parse(output[0]).values, {'AIN0': '1.000'});
+            test.done();
+        }, function (err) {
+            test.ok(false, err);
+            test.done();
+        });
     },
 
     testStartFrameworkLoop: function (test) {
-        test.done();
+        var numIterations = 0;
+        var environment = {
+            iterations: 3,
+            framework: {
+                refreshRate: 0,
+                runLoop: false,
+                stopLoop: function () {
+                    this.runLoop = false;
+                },
+                loopIteration: function () {
+                    numIterations += 1;
+                    return q.resolve();
+                }
+            }
+        };
+
+        framework_standalone.startFrameworkLoop(environment)
+        .then(function (environment) {
+            test.equal(numIterations, 3);
+            test.ok(!environment.framework.runLoop);
+            test.done();
+        });
     },
 
     testOnUserExit: function (test) {
-        test.done();
+        var firedEvents = [];
+        var closedDevice = null;
+        var testDevice = {};
+        var environment = {
+            device: testDevice,
+            deviceController: {
+                closeDevice: function (device, onSuccess, onError) {
+                    closedDevice = device;
+                    onSuccess(device);
+                }
+            },
+            framework: {
+                runLoop: true,
+                stopLoop: function () {
+                    this.runLoop = false;
+                },
+                fire: function (name, params, onError, onSuccess) {
+                    firedEvents.push(name);
+                    onSuccess();
+                }
+            }
+        };
+
+        framework_standalone.onUserExit(environment)
+        .then(function (environment) {
+            test.ok(!environment.framework.runLoop);
+            test.deepEqual(firedEvents, ['onCloseDevice', 'onUnloadModule']);
+            test.equal(closedDevice, testDevice);
+            test.done();
+        });
+    },
+
+    testRunStandaloneRegisterMatrix: function (test) {
+        // Earlier tests replace fs_facade with stand-ins.
+        framework_standalone.__set__('fs_facade', require('./fs_facade'));
+
+        // register_matrix requires ./ljmmm and ./helper_scripts/... which
+        // Kipling resolves against src/.
+        var environment = framework_standalone.parseArguments([
+            'register_matrix',
+            '470010001',
+            '--simulated',
+            '--iterations',
+            '3',
+            '--format',
+            'json'
+        ]);
+        var rows = [];
+        environment.output = {write: function (text) {
+            rows.push(JSON.parse(text));
+        }};
+
+        framework_standalone.runStandalone(environment)
+        .then(function (environment) {
+            test.notEqual(environment.moduleInstance, undefined);
+            test.equal(String(environment.device.getSerial()), '470010001');
+            test.ok(!environment.framework.runLoop);
+            // register_matrix reads its own registers so each iteration's
+            // row has no framework values.
+            test.deepEqual(rows.map(function (row) {
+                return row.iteration;
+            }), [0, 1, 2]);
+            rows.forEach(function (row) {
+                test.deepEqual(row.values, {});
+            });
+            test.done();
+        }, function (err) {
+            test.ok(false, 'Failed to run register_matrix: ' + err);
+            test.done();
+        });
     }
 
-};
\ No newline at end of file
+};
@@ -0,0 +1,358 @@
+/**
+ * Command line interface and headless browser stand-ins used to run framework
+ * modules outside of node-webkit.
+**/
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var async = require('async');
+var dict = require('dict');
+var handlebars = require('handlebars');
+var q = require('q');
+var sprintf = require('sprintf').sprintf;
+
+var fs_facade = require('./fs_facade');
+
+var OUTPUT_FORMATS = ['table', 'json'];
+var DEFAULT_OUTPUT_FORMAT = 'table';
+var MIN_COLUMN_WIDTH = 10;
+var ITERATION_COLUMN = 'iteration';
+// jQuery methods that module controllers use which only change the page.
+var CHAINED_METHODS = [
+    'addClass', 'append', 'attr', 'bind', 'blur', 'bootstrapSwitch', 'change',
+    'click', 'css', 'data', 'each', 'empty', 'find', 'first', 'focus', 'hide',
+    'keypress', 'off', 'on', 'parent', 'prop', 'remove', 'removeAttr',
+    'removeClass', 'show', 'slider', 'trigger', 'typeahead', 'unbind'
+];
+// jQuery methods whose last argument is a callback to run when they finish.
+var ANIMATION_METHODS = ['fadeIn', 'fadeOut', 'slideDown', 'slideUp'];
+var DEVICE_CONSTANTS_LOC = path.join(__dirname, 'device_constants.js');
+
+exports.OUTPUT_FORMATS = OUTPUT_FORMATS;
+exports.DEFAULT_OUTPUT_FORMAT = DEFAULT_OUTPUT_FORMAT;
+
+
+/**
+ * Stand-in for a jQuery selection that remembers the values written to it.
+ *
+ * @param {String} selector The selector this element was found with.
+ * @param {dict} store Dictionary shared by all elements of a wrapper mapping
+ *      selector to the last html / val / text written to it.
+**/
+function HeadlessElement (selector, store)
+{
+    this.selector = selector;
+    this.length = 1;
+
+    var getOrSet = function (newValue) {
+        if (newValue === undefined) {
+            return store.get(selector, '');
+        }
+        store.set(selector, newValue);
+        return self;
+    };
+
+    var chain = function () {
+        return self;
+    };
+
+    var callCallback = function () {
+        var args = Array.prototype.slice.call(arguments);
+        var callback = args.pop();
+        if (typeof(callback) === 'function') {
+            callback();
+        }
+        return self;
+    };
+
+    this.html = getOrSet;
+    this.val = getOrSet;
+    this.text = getOrSet;
+
+    CHAINED_METHODS.forEach(function (name) {
+        this[name] = chain;
+    }, this);
+    ANIMATION_METHODS.forEach(function (name) {
+        this[name] = callCallback;
+    }, this);
+
+    this.ready = function (callback) {
+        callback();
+        return self;
+    };
+
+    this.is = function () {
+        return false;
+    };
+
+    var self = this;
+}
+
+
+/**
+ * Replacement for the presenter_framework JQueryWrapper without a DOM.
+ *
+ * Offers the same methods as the JQueryWrapper but, instead of changing
+ * the page, it records the values that the framework would have displayed.
+**/
+function HeadlessJQueryWrapper ()
+{
+    var store = dict({});
+    this.store = store;
+
+    this.get = function (selector) {
+        return new HeadlessElement(selector, store);
+    };
+    this.find = this.get;
+
+    this.html = function (selector, newHTML) {
+        return self.get(selector).html(newHTML);
+    };
+    this.val = function (selector, newValue) {
+        return self.get(selector).val(newValue);
+    };
+    this.text = function (selector, text) {
+        return self.get(selector).text(text);
+    };
+    this.bind = function (selector, event, listener) {};
+    this.unbind = function (selector, event) {};
+    this.on = function (selector, event, listener) {};
+    this.off = function (selector, event) {};
+    this.hide = function (selector) {
+        return self.get(selector);
+    };
+    this.show = function (selector) {
+        return self.get(selector);
+    };
+    this.fadeOut = function (selector, duration, callback) {
+        return self.get(selector).fadeOut(duration, callback);
+    };
+    this.fadeIn = function (selector, duration, callback) {
+        return self.get(selector).fadeIn(duration, callback);
+    };
+    this.checkFirstDeviceRadioButton = function () {
+        return self.get('.device-selection-radio');
+    };
+    this.is = function (selector, element) {
+        return false;
+    };
+
+    var self = this;
+}
+exports.HeadlessJQueryWrapper = HeadlessJQueryWrapper;
+
+
+/**
+ * Stand-in for typeahead.js's Bloodhound suggestion engine, which module
+ * controllers create for search boxes.
+**/
+function HeadlessBloodhound (options)
+{
+    this.options = options;
+    this.initialize = function () {};
+    this.ttAdapter = function () {
+        return function (query, callback) {
+            callback([]);
+        };
+    };
+}
+HeadlessBloodhound.tokenizers = {
+    whitespace: function (text) {
+        return String(text).split(/\s+/);
+    },
+    obj: {
+        whitespace: function (key) {
+            return function (datum) {
+                return String(datum[key]).split(/\s+/);
+            };
+        }
+    }
+};
+exports.HeadlessBloodhound = HeadlessBloodhound;
+
+
+/**
+ * Define the browser globals that presenter_framework and module controllers
+ * expect Kipling's window to provide.
+ *
+ * @param {Object} environment The standalone framework environment. Its
+ *      moduleName is reported as the active tab and its cli (if created) is
+ *      used to report alerts.
+ * @param {HeadlessJQueryWrapper} jquery The wrapper that the global $ should
+ *      find elements through.
+**/
+function installHeadlessGlobals (environment, jquery)
+{
+    var reportAlert = function (message) {
+        if (environment.cli) {
+            environment.cli.printError(message);
+        } else {
+            console.error(message);
+        }
+    };
+
+    // presenter_framework.js is loaded with a <script> tag in Kipling so the
+    // libraries it requires are visible to module controllers as globals.
+    global.async = async;
+    global.dict = dict;
+    global.fs_facade = fs_facade;
+    global.handlebars = handlebars;
+    global.ljmmm_parse = require('ljmmm-parse');
+    global.q = q;
+    global.sprintf = sprintf;
+
+    if (typeof(globalDeviceConstants) === 'undefined') {
+        vm.runInThisContext(
+            fs.readFileSync(DEVICE_CONSTANTS_LOC, 'utf8'),
+            DEVICE_CONSTANTS_LOC
+        );
+    }
+
+    global.$ = function (selector) {
+        return jquery.get(selector);
+    };
+    global.$.map = function (values, callback) {
+        return values.map(function (value, i) {
+            return callback(value, i);
+        });
+    };
+    // jQuery plugins loaded from a module's third party code add their
+    // methods to every headless element.
+    global.$.fn = HeadlessElement.prototype;
+    global.jQuery = global.$;
+    global.Bloodhound = HeadlessBloodhound;
+    global.getActiveTabID = function () {
+        return environment.moduleName;
+    };
+    global.currentTab = environment.moduleName;
+    global.LOADED_MODULE_INFO_OBJECT = environment.moduleInfo;
+    global.showAlert = reportAlert;
+    global.alert = reportAlert;
+    global.showCriticalAlert = reportAlert;
+    global.onResized = function () {};
+    // Modules that load without the framework tell Kipling they are ready.
+    global.unlockModuleLoader = function () {};
+    // Controllers force a redraw by hiding and showing the page's body.
+    if (typeof(document) === 'undefined') {
+        global.document = {
+            body: {
+                style: {},
+                offsetHeight: 0
+            }
+        };
+    }
+    global.KEYBOARD_EVENT_HANDLER = {
+        initInputListeners: function () {},
+        addListener: function () {},
+        deleteListener: function () {}
+    };
+}
+exports.installHeadlessGlobals = installHeadlessGlobals;
+
+
+/**
+ * Command line interface that prints the values read by the framework.
+ *
+ * @param {Object} environment The standalone framework environment to display.
+ *      Its outputFormat ('table' or 'json') selects how values are printed,
+ *      output and errorOutput are the streams to write to (stdout and stderr
+ *      by default).
+**/
+function CLInterface (environment)
+{
+    this.environment = environment;
+    this.jquery = new HeadlessJQueryWrapper();
+    this.outputFormat = environment.outputFormat || DEFAULT_OUTPUT_FORMAT;
+    this.output = environment.output || process.stdout;
+    this.errorOutput = environment.errorOutput || process.stderr;
+    this.numPrinted = 0;
+
+    var columns = [];
+
+    /**
+     * Attach the interface to the environment's framework.
+     *
+     * @return {q.promise} Promise that resolves after the framework has been
+     *      given the headless jQuery wrapper and the browser globals have been
+     *      defined. Rejects if the output format is not supported.
+    **/
+    this.create = function () {
+        var deferred = q.defer();
+
+        if (OUTPUT_FORMATS.indexOf(self.outputFormat) < 0) {
+            deferred.reject(
+                new Error('Unknown output format: ' + self.outputFormat)
+            );
+            return deferred.promise;
+        }
+
+        installHeadlessGlobals(environment, self.jquery);
+        environment.framework._SetJQuery(self.jquery);
+        deferred.resolve();
+        return deferred.promise;
+    };
+
+    /**
+     * Print the values read during one iteration of the framework DAQ loop.
+     *
+     * @param {dict} valuesDict Dictionary mapping register name to the
+     *      formatted value read by the framework.
+    **/
+    this.printValues = function (valuesDict) {
+        var names = [];
+        var values = {};
+        valuesDict.forEach(function (value, name) {
+            names.push(name);
+            values[name] = value;
+        });
+
+        if (self.outputFormat === 'json') {
+            self.output.write(JSON.stringify({
+                'iteration': self.numPrinted,
+                'time': new Date().toISOString(),
+                'values': values
+            }) + '\n');
+        } else {
+            var newColumns = [ITERATION_COLUMN].concat(names);
+            if (newColumns.join(',') !== columns.join(',')) {
+                columns = newColumns;
+                self.output.write(formatRow(columns) + '\n');
+            }
+            values[ITERATION_COLUMN] = String(self.numPrinted);
+            self.output.write(formatRow(columns.map(function (name) {
+                return values[name];
+            })) + '\n');
+        }
+
+        self.numPrinted += 1;
+    };
+
+    /**
+     * Print a row for a DAQ loop iteration that read no values, as happens
+     * for modules without read bindings.
+    **/
+    this.printIteration = function () {
+        self.printValues(dict({}));
+    };
+
+    /**
+     * Report an error or alert to the user.
+     *
+     * @param {Object} message The error or message to report.
+    **/
+    this.printError = function (message) {
+        self.errorOutput.write(String(message) + '\n');
+    };
+
+    var formatRow = function (cells) {
+        return cells.map(function (cell, i) {
+            var width = Math.max(columns[i].length, MIN_COLUMN_WIDTH);
+            return sprintf('%-' + width + 's', cell);
+        }).join(' | ');
+    };
+
+    var self = this;
+}
+exports.CLInterface = CLInterface;
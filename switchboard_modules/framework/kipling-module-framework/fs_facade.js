@@ -135,6 +135,22 @@ exports.getExternalURI = function(fullResourceName) {
 };
 
 
+var parentDirOverride = null;
+
+/**
+ * Use a specific directory instead of the one the executable is run out of.
+ *
+ * Used when modules are run outside of node-webkit (like by
+ * framework_standalone.js) where process.execPath points at node itself.
+ *
+ * @param {String} newParentDir The directory containing switchboard_modules
+ *      or null to go back to using the executable's directory.
+**/
+exports.setParentDir = function(newParentDir) {
+    parentDirOverride = newParentDir;
+};
+
+
 /**
  * Get the directory that the executable is being run out of.
  *
@@ -142,6 +158,10 @@ exports.getExternalURI = function(fullResourceName) {
  *      run out of.
 **/
 exports.getParentDir = function() {
+    if (parentDirOverride !== null) {
+        return parentDirOverride;
+    }
+
     var pathPieces = path.dirname(process.execPath).split(path.sep);
     
     var cutIndex;
@@ -24,6 +24,11 @@ var SECONDARY_UPDATE_RATE = 1000;
 // Constant that can be set to disable auto-linking the module to the framework
 var DISABLE_AUTOMATIC_FRAMEWORK_LINKAGE = false;
 
+var lua_debug_console = require('./helper_scripts/lua_debug_console');
+
+// Time to wait after the last key press before filtering the console.
+var CONSOLE_FILTER_DELAY_MS = 300;
+
 
 /**
  * Module object that gets automatically instantiated & linked to the appropriate framework.
@@ -188,6 +193,336 @@ function module() {
         self.moduleWindowResizeListener(moduleHeight);
     };
 
+    this.MODULE_DATA_NAME = 'lua_script_debugger';
+
+    /**
+     * Save the console's color rules & timestamp setting so they are used the
+     * next time the module is loaded.
+    **/
+    this.saveConsoleSettings = function() {
+        if (typeof(GLOBAL_DATA_MANAGER) === 'undefined') {
+            return;
+        }
+        var settings = self.luaController.consoleSettings;
+        GLOBAL_DATA_MANAGER.saveModuleData(self.MODULE_DATA_NAME, {
+            'consoleColorRules': settings.colorRules,
+            'consoleShowTimestamps': settings.showTimestamps
+        })
+        .fail(function(err) {
+            console.error('Failed to save the console settings', err);
+        });
+    };
+    this.loadConsoleSettings = function() {
+        if (typeof(GLOBAL_DATA_MANAGER) === 'undefined') {
+            return;
+        }
+        GLOBAL_DATA_MANAGER.getModuleData(self.MODULE_DATA_NAME)
+        .then(function(data) {
+            if (Array.isArray(data.consoleColorRules)) {
+                self.luaController.setConsoleColorRules(
+                    data.consoleColorRules.filter(function(rule) {
+                        return lua_debug_console.validateColorRule(rule) === null;
+                    })
+                );
+            }
+            if (typeof(data.consoleShowTimestamps) === 'boolean') {
+                self.luaController.setConsoleShowTimestamps(data.consoleShowTimestamps);
+                $('#lua-console-timestamps-button').toggleClass(
+                    'active',
+                    data.consoleShowTimestamps
+                );
+            }
+            self.renderColorRules();
+        }, function(err) {
+            console.error('Failed to load the console settings', err);
+        });
+    };
+    this.renderColorRules = function() {
+        var listEl = $('#lua-console-color-rules').empty();
+        self.luaController.consoleSettings.colorRules.forEach(function(rule, index) {
+            var item = $('<li>').attr('data-index', index);
+            item.append($('<span class="lua-console-swatch">')
+                .addClass('lua-console-swatch-' + rule.color));
+            item.append($('<span>').text(rule.pattern + (rule.isRegex ? ' (regex)' : '')));
+            item.append($('<a class="lua-console-remove-color-rule">').text('remove'));
+            listEl.append(item);
+        });
+    };
+
+    // Number of deployments listed in the project sidebar.
+    var NUM_DEPLOYMENTS_SHOWN = 10;
+    this.isHistoryShown = false;
+
+    /**
+     * Run an action on the open project, showing any problem to the user.
+     * @param  {Function} func   The action.
+    **/
+    this.runProjectAction = function(func) {
+        try {
+            func();
+        } catch(err) {
+            console.log('Lua project error', err);
+            showMinAlert(err.toString());
+        }
+    };
+    var formatTime = function(time) {
+        return new Date(time).toLocaleString();
+    };
+    var buildFileTree = function(entries) {
+        var luaController = self.luaController;
+        var project = luaController.project;
+        var list = $('<ul>');
+
+        // Files with errors are marked so problems in other tabs are found.
+        var errorPaths = {};
+        luaController.diagnostics.forEach(function(diagnostic) {
+            if(diagnostic.type === 'error') {
+                errorPaths[diagnostic.path] = true;
+            }
+        });
+
+        entries.forEach(function(entry) {
+            var item = $('<li>');
+            if(entry.isFolder) {
+                item.addClass('lua-project-folder');
+                item.append($('<span class="icon-folder">'));
+                item.append($('<span>').text(' ' + entry.name));
+                item.append(buildFileTree(entry.children));
+                list.append(item);
+                return;
+            }
+            item.addClass('lua-project-file');
+            item.attr('data-path', entry.path);
+
+            var link = $('<a class="lua-project-open-file">').text(entry.name);
+            if(luaController.activeTab !== null && luaController.activeTab.path === entry.path) {
+                link.css('font-weight', 'bold');
+            }
+            if(errorPaths[entry.path]) {
+                link.addClass('text-error');
+            }
+            item.append(link);
+
+            var includeIndex = project.includes.indexOf(entry.path);
+            if(entry.path === project.main) {
+                item.append($('<span class="label label-info">').text('main'));
+            } else {
+                var includeLabel = $('<span class="label lua-project-toggle-include">');
+                if(includeIndex >= 0) {
+                    includeLabel.addClass('label-success');
+                    includeLabel.text('include ' + (includeIndex + 1).toString());
+                    includeLabel.attr('title', 'Remove from the uploaded source');
+                } else {
+                    includeLabel.text('include');
+                    includeLabel.attr('title', 'Upload before the main file');
+                }
+                item.append(includeLabel);
+                item.append($('<span class="label lua-project-set-main">')
+                    .text('main')
+                    .attr('title', 'Upload as the main script'));
+            }
+            list.append(item);
+        });
+        return list;
+    };
+    this.renderHistory = function() {
+        var luaController = self.luaController;
+        var historyEl = $('#lua-script-history-view');
+        var diffEl = $('#lua-script-revision-diff');
+        if(!self.isHistoryShown || luaController.project === null) {
+            historyEl.hide();
+            return;
+        }
+        historyEl.show();
+
+        var select = $('#lua-script-revision-select');
+        var selectedID = select.val();
+        var revisions = luaController.getActiveFileRevisions();
+        select.empty();
+        revisions.forEach(function(revision) {
+            select.append($('<option>')
+                .val(revision.id)
+                .text(formatTime(revision.time) + ' (' + revision.size.toString() + ' bytes)'));
+        });
+        if(revisions.length === 0) {
+            diffEl.text('There are no saved revisions of ' + luaController.activeTab.path);
+            return;
+        }
+        var isStillListed = revisions.some(function(revision) {
+            return revision.id === selectedID;
+        });
+        if(isStillListed) {
+            select.val(selectedID);
+        }
+
+        // Show what changed between the revision and the editor's text.
+        var diff = luaController.getRevisionDiff(select.val());
+        if(diff === '') {
+            diff = 'No changes since this revision';
+        }
+        diffEl.text(diff);
+    };
+    this.renderDeviceScriptComparison = function() {
+        var deviceScript = self.luaController.deviceScript;
+        var device = 'device ' + deviceScript.serial.toString();
+        var summary;
+        var diff = '';
+        if(deviceScript.source === '') {
+            summary = 'No Lua script is saved on ' + device + '.';
+        } else {
+            diff = self.luaController.getDeviceScriptDiff();
+            if(diff === '') {
+                summary = 'The script saved on ' + device + ' matches the editor.';
+            } else {
+                summary = 'The script saved on ' + device + ' (' +
+                    deviceScript.source.length.toString() +
+                    ' bytes) differs from the editor:';
+            }
+        }
+        $('#lua-script-device-compare-summary').text(summary);
+        $('#lua-script-device-compare-diff').text(diff).toggle(diff !== '');
+        // Without a project the device's script replaces the editor's text.
+        var openButtonText = 'Open as New Script';
+        if(self.luaController.project !== null) {
+            openButtonText = 'Open in New Tab';
+        }
+        $('#open-device-lua-script-button')
+            .text(openButtonText)
+            .toggle(deviceScript.source !== '');
+        $('#lua-script-device-compare-view').show();
+    };
+
+    // Labels of the deploy steps shown in the deployment's result table.
+    var DEPLOY_RESULT_STEPS = ['upload', 'saveToFlash', 'runAtStartup', 'start', 'verify'];
+
+    this.renderDeployDevices = function() {
+        var listEl = $('#lua-script-deploy-devices').empty();
+        var activeSerial = String(self.activeDevice.getSerial());
+        device_controller.getDeviceKeeper().getDevices().forEach(function(device) {
+            var serial = String(device.getSerial());
+            var checkbox = $('<input type="checkbox" class="lua-script-deploy-device">')
+                .val(serial)
+                .prop('checked', serial === activeSerial);
+            listEl.append($('<li>').append(
+                $('<label class="checkbox">')
+                    .append(checkbox)
+                    .append(document.createTextNode(
+                        ' ' + device.getName() + ' (' + serial + ')'
+                    ))
+            ));
+        });
+    };
+    this.getDeployDevices = function() {
+        var serials = $('.lua-script-deploy-device:checked').map(function() {
+            return $(this).val();
+        }).get();
+        return device_controller.getDeviceKeeper().getDevices().filter(function(device) {
+            return serials.indexOf(String(device.getSerial())) >= 0;
+        });
+    };
+    this.renderDeployResults = function(results) {
+        var tableEl = $('#lua-script-deploy-results');
+        var bodyEl = tableEl.find('tbody').empty();
+        var numSucceeded = 0;
+        results.forEach(function(result) {
+            var row = $('<tr>');
+            row.append($('<td>').text(result.name + ' (' + result.serial + ')'));
+            DEPLOY_RESULT_STEPS.forEach(function(step) {
+                var text = '-';
+                if(result.completed.indexOf(step) >= 0) {
+                    text = 'Yes';
+                } else if(result.failedStep === step) {
+                    text = 'Failed';
+                }
+                row.append($('<td>').text(text));
+            });
+            var resultCell = $('<td>');
+            if(result.success) {
+                numSucceeded += 1;
+                resultCell.text('OK');
+            } else {
+                resultCell.text(result.error).addClass('lua-script-deploy-failed');
+            }
+            row.append(resultCell);
+            bodyEl.append(row);
+        });
+        $('#lua-script-deploy-status').text(
+            numSucceeded.toString() + ' of ' + results.length.toString() +
+            ' devices are running the script.'
+        );
+        tableEl.show();
+    };
+    this.renderProject = function() {
+        var luaController = self.luaController;
+        var project = luaController.project;
+        var projectViewEl = $('#lua-script-project-view');
+        var sidebarEl = $('#lua-script-project-sidebar');
+        var tabsEl = $('#lua-script-file-tabs');
+
+        if(project === null) {
+            projectViewEl.removeClass('lua-project-open');
+            sidebarEl.hide();
+            tabsEl.hide();
+            self.isHistoryShown = false;
+            self.renderHistory();
+            luaController.codeEditor.editor.resize();
+            return;
+        }
+        var wasHidden = !projectViewEl.hasClass('lua-project-open');
+        projectViewEl.addClass('lua-project-open');
+        sidebarEl.show();
+        tabsEl.show();
+        $('#lua-project-name').text(project.name);
+
+        $('#lua-project-file-tree').empty().append(
+            buildFileTree(luaController.getProjectFiles())
+        );
+
+        tabsEl.empty();
+        luaController.projectTabs.forEach(function(tab) {
+            var title = tab.path;
+            if(luaController.isProjectTabModified(tab)) {
+                title += ' *';
+            }
+            var link = $('<a class="lua-script-file-tab">')
+                .attr('data-path', tab.path)
+                .text(title);
+            if(luaController.projectTabs.length > 1) {
+                link.append($('<span class="lua-script-close-tab" title="Close">').text('x'));
+            }
+            var item = $('<li>').append(link);
+            if(tab === luaController.activeTab) {
+                item.addClass('active');
+            }
+            tabsEl.append(item);
+        });
+
+        var deploymentsEl = $('#lua-project-deployments').empty();
+        var deployments = luaController.getProjectDeployments();
+        deployments.slice(0, NUM_DEPLOYMENTS_SHOWN).forEach(function(deployment) {
+            var files = deployment.files.map(function(file) {
+                var revision = 'not saved';
+                if(file.revision !== null) {
+                    revision = formatTime(parseInt(file.revision, 10));
+                }
+                return file.path + ': ' + revision;
+            });
+            deploymentsEl.append($('<li>')
+                .text('Deployed to device ' + deployment.serial + ' at ' +
+                    formatTime(deployment.time))
+                .attr('title', files.join('\n')));
+        });
+        if(deployments.length === 0) {
+            deploymentsEl.append($('<li class="muted">').text('Not deployed yet'));
+        }
+
+        self.showActiveScriptInfo();
+        self.renderHistory();
+        if(wasHidden) {
+            luaController.codeEditor.editor.resize();
+        }
+    };
+
     this.getLuaScriptInfo = function(propertyValue, property) {
         var scriptInfo;
 
@@ -484,6 +819,7 @@ function module() {
                 onSuccess();
             };
         };
+        self.showActiveScriptInfo = setActiveScriptInfo(function() {});
         var saveCurrentLuaScript = function(onSuccess) {
             self.luaController.saveLoadedScript()
             .then(
@@ -685,13 +1021,241 @@ function module() {
                 onSuccess();
             }
         };
+        var openLuaProject = function(data, onSuccess) {
+            self.printUserDebugInfo('openLuaProject button pressed');
+
+            var chooser = $('#lua-project-folder-dialog');
+            chooser.val('');
+            chooser.attr('nwworkingdir', fs_facade.getDefaultFilePath());
+            var onChangedFolder = function(event) {
+                var dir = chooser.val();
+                if(dir === '') {
+                    onSuccess();
+                    return;
+                }
+                self.luaController.openProject(dir)
+                .then(
+                    self.handleIOSuccess(
+                        setActiveScriptInfo(onSuccess),
+                        'Lua Project Opened'
+                    ),
+                    function(err) {
+                        showMinAlert('Failed to open the project: ' + err.toString());
+                        setActiveScriptInfo(onSuccess)();
+                    }
+                );
+            };
+            chooser.unbind('change');
+            chooser.bind('change', onChangedFolder);
+            chooser.trigger('click');
+        };
+        var closeLuaProject = function(data, onSuccess) {
+            self.printUserDebugInfo('closeLuaProject button pressed');
+            self.runProjectAction(self.luaController.closeProject);
+            setActiveScriptInfo(onSuccess)();
+        };
+        var addLuaProjectFile = function(data, onSuccess) {
+            var filePathEl = $('#lua-project-new-file-path');
+            var filePath = filePathEl.val().trim();
+            if(filePath !== '') {
+                self.runProjectAction(function() {
+                    self.luaController.addProjectFile(filePath);
+                    filePathEl.val('');
+                });
+            }
+            onSuccess();
+        };
+        var showLuaScriptHistory = function(data, onSuccess) {
+            self.isHistoryShown = !self.isHistoryShown;
+            self.runProjectAction(self.renderHistory);
+            onSuccess();
+        };
+        var restoreLuaScriptRevision = function(data, onSuccess) {
+            var id = $('#lua-script-revision-select').val();
+            if(id) {
+                self.runProjectAction(function() {
+                    self.luaController.restoreRevision(id);
+                });
+            }
+            onSuccess();
+        };
+        var compareWithDeviceScript = function(data, onSuccess) {
+            self.printUserDebugInfo('compareWithDeviceScript button pressed');
+            $('#lua-script-device-compare-summary').text(
+                'Reading the script saved on the device...'
+            );
+            $('#lua-script-device-compare-diff').hide();
+            $('#open-device-lua-script-button').hide();
+            $('#lua-script-device-compare-view').show();
+
+            self.luaController.readDeviceScript()
+            .then(function() {
+                self.runProjectAction(self.renderDeviceScriptComparison);
+                onSuccess();
+            }, function(err) {
+                $('#lua-script-device-compare-summary').text(
+                    'Failed to read the script saved on the device.'
+                );
+                self.handleIOError(onSuccess, 'Err: Saved Script Not Read')(err);
+            });
+        };
+        var openDeviceScript = function(data, onSuccess) {
+            self.printUserDebugInfo('openDeviceScript button pressed');
+            self.runProjectAction(function() {
+                self.luaController.openDeviceScript();
+                self.renderDeviceScriptComparison();
+            });
+            setActiveScriptInfo(onSuccess)();
+        };
+        var closeDeviceScriptComparison = function(data, onSuccess) {
+            $('#lua-script-device-compare-view').hide();
+            onSuccess();
+        };
+        var showDeployView = function(data, onSuccess) {
+            self.renderDeployDevices();
+            $('#lua-script-deploy-status').text('');
+            $('#lua-script-deploy-results').hide();
+            $('#lua-script-deploy-view').show();
+            onSuccess();
+        };
+        var deployToDevices = function(data, onSuccess) {
+            self.printUserDebugInfo('deployToDevices button pressed');
+            var devices = self.getDeployDevices();
+            if(devices.length === 0) {
+                showMinAlert('Select at least one device to deploy to.');
+                onSuccess();
+                return;
+            }
+            var options = {
+                'saveToFlash': $('#lua-script-deploy-save-to-flash').is(':checked'),
+                'runAtStartup': $('#lua-script-deploy-run-at-startup').is(':checked')
+            };
+            $('#lua-script-deploy-status').text(
+                'Deploying to ' + devices.length.toString() + ' devices...'
+            );
+            $('#lua-script-deploy-results').hide();
+            self.luaController.deployToDevices(devices, options)
+            .then(function(results) {
+                self.renderDeployResults(results);
+                setActiveScriptInfo(onSuccess)();
+            }, function(err) {
+                $('#lua-script-deploy-status').text('');
+                if(err !== undefined) {
+                    showMinAlert('Failed to deploy the script: ' + err.toString());
+                }
+                onSuccess();
+            });
+        };
+        var closeDeployView = function(data, onSuccess) {
+            $('#lua-script-deploy-view').hide();
+            onSuccess();
+        };
         var moveCursorToBottomOfConsole = function(data, onSuccess) {
-            self.luaController.moveDebuggingCursorToEnd()
-            .then(
-                self.handleIOSuccess(onSuccess,'Cursor locked to bottom'),
-                self.handleIOError(onSuccess,'Err: Cursor not moved')
+            // Toggle keeping the newest console output in view
+            var autoScroll = !self.luaController.consoleSettings.autoScroll;
+            self.luaController.setConsoleAutoScroll(autoScroll);
+            $('#lua-script-move-cursor-to-bottom-button').toggleClass('active', autoScroll);
+            onSuccess();
+        };
+        var pauseConsole = function(data, onSuccess) {
+            var isPaused = !self.luaController.consoleSettings.isPaused;
+            self.luaController.setConsolePaused(isPaused);
+            var button = $('#lua-console-pause-button');
+            button.toggleClass('active', isPaused);
+            button.attr('title', isPaused ? 'Resume Console' : 'Pause Console');
+            button.children().attr('class', isPaused ? 'icon-play' : 'icon-pause');
+            onSuccess();
+        };
+        var toggleConsoleTimestamps = function(data, onSuccess) {
+            var showTimestamps = !self.luaController.consoleSettings.showTimestamps;
+            self.luaController.setConsoleShowTimestamps(showTimestamps);
+            $('#lua-console-timestamps-button').toggleClass('active', showTimestamps);
+            self.saveConsoleSettings();
+            onSuccess();
+        };
+        var clearConsole = function(data, onSuccess) {
+            self.luaController.clearConsole();
+            onSuccess();
+        };
+        var chooseConsoleFile = function(chooserID, onChosen) {
+            var chooser = $(chooserID);
+            chooser.val('');
+            chooser.attr('nwworkingdir', fs_facade.getDefaultFilePath());
+            chooser.unbind('change');
+            chooser.bind('change', function(event) {
+                var fileLoc = chooser.val();
+                if(fileLoc !== '') {
+                    onChosen(fileLoc);
+                }
+            });
+            chooser.trigger('click');
+        };
+        var saveConsoleToFile = function(data, onSuccess) {
+            self.printUserDebugInfo('saveConsoleToFile button pressed');
+            chooseConsoleFile('#lua-console-save-dialog', function(fileLoc) {
+                try {
+                    self.luaController.debugConsole.saveToFile(fileLoc);
+                } catch(err) {
+                    showAlert('Failed to save the console: ' + err.toString());
+                }
+            });
+            onSuccess();
+        };
+        var showTeeStatus = function() {
+            var teeFilePath = self.luaController.debugConsole.teeFilePath;
+            $('#lua-console-tee-button').toggleClass('active', teeFilePath !== null);
+            $('#lua-console-tee-status').text(
+                teeFilePath === null ? '' : 'Writing to ' + teeFilePath
             );
         };
+        var teeConsoleToFile = function(data, onSuccess) {
+            self.printUserDebugInfo('teeConsoleToFile button pressed');
+            if(self.luaController.debugConsole.teeFilePath !== null) {
+                self.luaController.debugConsole.stopTee();
+                showTeeStatus();
+            } else {
+                chooseConsoleFile('#lua-console-tee-dialog', function(fileLoc) {
+                    try {
+                        self.luaController.debugConsole.startTee(fileLoc);
+                    } catch(err) {
+                        showAlert('Failed to open ' + fileLoc + ': ' + err.toString());
+                    }
+                    showTeeStatus();
+                });
+            }
+            onSuccess();
+        };
+        self.luaController.onConsoleTeeError = function(message) {
+            showAlert(message);
+            showTeeStatus();
+        };
+        var showConsoleColorRules = function(data, onSuccess) {
+            $('#lua-console-color-rules-view').toggle();
+            $('#lua-console-colors-button').toggleClass(
+                'active',
+                $('#lua-console-color-rules-view').is(':visible')
+            );
+            onSuccess();
+        };
+        var addConsoleColorRule = function(data, onSuccess) {
+            var rule = {
+                'pattern': $('#lua-console-color-rule-pattern').val(),
+                'isRegex': $('#lua-console-color-rule-regex').is(':checked'),
+                'color': $('#lua-console-color-rule-color').val()
+            };
+            var problem = lua_debug_console.validateColorRule(rule);
+            if(problem !== null) {
+                showMinAlert(problem);
+            } else {
+                self.luaController.setConsoleColorRules(
+                    self.luaController.consoleSettings.colorRules.concat([rule])
+                );
+                $('#lua-console-color-rule-pattern').val('');
+                self.renderColorRules();
+                self.saveConsoleSettings();
+            }
+            onSuccess();
+        };
 
         // Register the SaveButtonhandler function to capture 'save' keypresses
         self.registerSaveButtonHandler(saveButtonHandler);
@@ -780,6 +1344,96 @@ function module() {
                 bindingName: 'lua-script-move-cursor-to-bottom-button',
                 smartName: 'clickHandler',
                 callback: moveCursorToBottomOfConsole
+            }, {
+                // Define binding to handle opening a Lua project folder.
+                bindingName: 'open-lua-project-button',
+                smartName: 'clickHandler',
+                callback: openLuaProject
+            }, {
+                // Define binding to handle closing the open Lua project.
+                bindingName: 'close-lua-project-button',
+                smartName: 'clickHandler',
+                callback: closeLuaProject
+            }, {
+                // Define binding to handle adding a file to the Lua project.
+                bindingName: 'add-lua-project-file-button',
+                smartName: 'clickHandler',
+                callback: addLuaProjectFile
+            }, {
+                // Define binding to show/hide the active file's revisions.
+                bindingName: 'lua-script-history-button',
+                smartName: 'clickHandler',
+                callback: showLuaScriptHistory
+            }, {
+                // Define binding to put a revision back in the editor.
+                bindingName: 'lua-script-restore-revision-button',
+                smartName: 'clickHandler',
+                callback: restoreLuaScriptRevision
+            }, {
+                // Define binding to compare the editor with the device's saved script.
+                bindingName: 'compare-lua-script-button',
+                smartName: 'clickHandler',
+                callback: compareWithDeviceScript
+            }, {
+                // Define binding to open the device's saved script for editing.
+                bindingName: 'open-device-lua-script-button',
+                smartName: 'clickHandler',
+                callback: openDeviceScript
+            }, {
+                // Define binding to hide the saved script comparison.
+                bindingName: 'close-device-lua-script-compare-button',
+                smartName: 'clickHandler',
+                callback: closeDeviceScriptComparison
+            }, {
+                // Define binding to choose devices to deploy the script to.
+                bindingName: 'deploy-lua-script-button',
+                smartName: 'clickHandler',
+                callback: showDeployView
+            }, {
+                // Define binding to deploy the script to the checked devices.
+                bindingName: 'start-lua-script-deploy-button',
+                smartName: 'clickHandler',
+                callback: deployToDevices
+            }, {
+                // Define binding to hide the deployment.
+                bindingName: 'close-lua-script-deploy-button',
+                smartName: 'clickHandler',
+                callback: closeDeployView
+            }, {
+                // Define binding to pause/resume showing console output.
+                bindingName: 'lua-console-pause-button',
+                smartName: 'clickHandler',
+                callback: pauseConsole
+            }, {
+                // Define binding to show/hide the console's timestamps.
+                bindingName: 'lua-console-timestamps-button',
+                smartName: 'clickHandler',
+                callback: toggleConsoleTimestamps
+            }, {
+                // Define binding to clear the console.
+                bindingName: 'lua-console-clear-button',
+                smartName: 'clickHandler',
+                callback: clearConsole
+            }, {
+                // Define binding to save the console's lines to a file.
+                bindingName: 'lua-console-save-button',
+                smartName: 'clickHandler',
+                callback: saveConsoleToFile
+            }, {
+                // Define binding to start/stop writing console output to a file.
+                bindingName: 'lua-console-tee-button',
+                smartName: 'clickHandler',
+                callback: teeConsoleToFile
+            }, {
+                // Define binding to show/hide the console's color rules.
+                bindingName: 'lua-console-colors-button',
+                smartName: 'clickHandler',
+                callback: showConsoleColorRules
+            }, {
+                // Define binding to add a console color rule.
+                bindingName: 'add-lua-console-color-rule-button',
+                smartName: 'clickHandler',
+                callback: addConsoleColorRule
             },
         ];
         
@@ -943,6 +1597,93 @@ function module() {
             self.luaController.setCodeEditor(self.luaEditor);
             self.luaController.setDebuggingLog(self.debuggingLog);
 
+            // The project's file tree and tabs are rebuilt as the project
+            // changes so their clicks are handled by their containers.
+            self.luaController.onProjectChanged = function() {
+                self.runProjectAction(self.renderProject);
+            };
+            var getPath = function(element) {
+                return $(element).closest('[data-path]').attr('data-path');
+            };
+            $('#lua-project-file-tree').on('click', '.lua-project-open-file', function() {
+                var filePath = getPath(this);
+                self.runProjectAction(function() {
+                    self.luaController.openProjectFile(filePath);
+                });
+            });
+            $('#lua-project-file-tree').on('click', '.lua-project-toggle-include', function() {
+                var filePath = getPath(this);
+                self.runProjectAction(function() {
+                    self.luaController.toggleProjectInclude(filePath);
+                });
+            });
+            $('#lua-project-file-tree').on('click', '.lua-project-set-main', function() {
+                var filePath = getPath(this);
+                self.runProjectAction(function() {
+                    self.luaController.setProjectMain(filePath);
+                });
+            });
+            $('#lua-script-file-tabs').on('click', '.lua-script-file-tab', function(event) {
+                var tab = self.luaController.getProjectTab(getPath(this));
+                var isClose = $(event.target).hasClass('lua-script-close-tab');
+                self.runProjectAction(function() {
+                    if(isClose) {
+                        self.luaController.closeProjectTab(tab);
+                    } else if(tab !== self.luaController.activeTab) {
+                        self.luaController.activateProjectTab(tab);
+                    }
+                });
+            });
+            $('#lua-script-revision-select').on('change', function() {
+                self.runProjectAction(self.renderHistory);
+            });
+
+            // Set up the debug console's filter & color rules.
+            self.luaController.debugConsole.maxLines = self.constants.console.maxNumLines;
+            var filterTimer = null;
+            var applyConsoleFilter = function() {
+                var filterEl = $('#lua-console-filter');
+                clearTimeout(filterTimer);
+                filterTimer = setTimeout(function() {
+                    try {
+                        self.luaController.setConsoleFilter(
+                            filterEl.val(),
+                            $('#lua-console-filter-regex').is(':checked')
+                        );
+                        filterEl.removeClass('lua-console-filter-error');
+                        filterEl.attr('title', '');
+                    } catch(err) {
+                        filterEl.addClass('lua-console-filter-error');
+                        filterEl.attr('title', err.toString());
+                    }
+                }, CONSOLE_FILTER_DELAY_MS);
+            };
+            $('#lua-console-filter').on('input', applyConsoleFilter);
+
+            // Scripts only run at startup once they are saved to flash.
+            $('#lua-script-deploy-save-to-flash').on('change', function() {
+                var saveToFlash = $(this).is(':checked');
+                $('#lua-script-deploy-run-at-startup')
+                    .prop('disabled', !saveToFlash)
+                    .prop('checked', saveToFlash);
+            });
+            $('#lua-console-filter-regex').on('change', applyConsoleFilter);
+
+            var colorSelect = $('#lua-console-color-rule-color');
+            lua_debug_console.COLORS.forEach(function(color) {
+                colorSelect.append($('<option>').val(color).text(color));
+            });
+            $('#lua-console-color-rules').on('click', '.lua-console-remove-color-rule', function() {
+                var index = parseInt($(this).closest('li').attr('data-index'), 10);
+                var colorRules = self.luaController.consoleSettings.colorRules.slice();
+                colorRules.splice(index, 1);
+                self.luaController.setConsoleColorRules(colorRules);
+                self.renderColorRules();
+                self.saveConsoleSettings();
+            });
+            self.renderColorRules();
+            self.loadConsoleSettings();
+
             onSuccess();
         } catch(err) {
             console.error('Caught Exception!!',err);
@@ -977,6 +1718,17 @@ function module() {
         removeModuleWindowResizeListner(
             framework.moduleName
         );
+        // Stop checking the script before the editor goes away and keep any
+        // unsaved project edits as revisions.
+        self.luaController.stopLinting();
+        self.luaController.debugConsole.stopTee();
+        self.luaController.onProjectChanged = function() {};
+        try {
+            self.luaController.closeProject();
+        } catch(err) {
+            console.error('Failed to close the Lua project',err);
+        }
+
         try {
             self.luaEditor.destroy();
             self.debuggingLog.destroy();
@@ -6,6 +6,15 @@
  *
 **/
 
+var lua_checker = require('./helper_scripts/lua_checker');
+var ljmmm = require('./ljmmm');
+var lua_projects = require('./helper_scripts/lua_projects');
+var lua_saved_script = require('./helper_scripts/lua_saved_script');
+var lua_debug_console = require('./helper_scripts/lua_debug_console');
+var lua_bulk_deploy = require('./helper_scripts/lua_bulk_deploy');
+var lua_script_upload = require('./helper_scripts/lua_script_upload');
+var fs = require('fs');
+var path = require('path');
 
 function luaDeviceController() {
     var device;
@@ -24,13 +33,48 @@ function luaDeviceController() {
 
     this.dataToAppendToSource = "";
     this.sourceSizeOffset = 0;
-    this.finalPacketSubtraction = 0;
 
     this.DEBUG_START_EXECUTIONS = true;
     this.DEBUG_HIGH_FREQ_START_EXECUTIONS = false;
     this.DEBUG_SCRIPT_LOADING_EXECUTIONS = true;
     var MAX_ARRAY_PACKET_SIZE = 32; //Set packet size to be 32 bytes
 
+    // Time to wait after the last edit before checking the script again.
+    var LINT_DELAY_MS = 500;
+    var lintTimer = null;
+    var registerIndex = null;
+    this.diagnostics = [];
+
+    // The open project and its editor tabs, {path, session, savedText}.  The
+    // session and script info shown before the project was opened are kept
+    // to be restored when it is closed.
+    this.project = null;
+    this.projectTabs = [];
+    this.activeTab = null;
+    this.lastBuild = null;
+    var scriptSession = null;
+    var scriptInfo = null;
+
+    // Function called when the project, its tabs or its files change.
+    this.onProjectChanged = function() {};
+
+    // The script last read back from a device's flash, {serial, source}.
+    this.deviceScript = null;
+
+    // The Lua debug output and how it is shown in the debuggingLog editor.
+    this.debugConsole = new lua_debug_console.LuaDebugConsole();
+    this.consoleSettings = {
+        'filter': null,
+        'isPaused': false,
+        'autoScroll': true,
+        'showTimestamps': true,
+        'colorRules': lua_debug_console.DEFAULT_COLOR_RULES
+    };
+    var consoleMarkers = [];
+
+    // Function called with a description of a failed write to the tee file.
+    this.onConsoleTeeError = function(message) {};
+
     this.catchError = function(err) {
         var errDeferred = q.defer();
         console.log('luaControllerErr:',err);
@@ -61,19 +105,125 @@ function luaDeviceController() {
             }
         }
     };
-    this.isLuaCodeError = function() {
-        var isError = false;
-        var errors = $('#lua-code-editor .ace_error');
-        if(errors.length > 0) {
-            isError = true;
+    this.getRegisterIndex = function() {
+        if(registerIndex === null) {
+            var registers = [];
+            device_controller.fullRegisterList.forEach(function(entry) {
+                registers.push.apply(registers, ljmmm.expandLJMMMEntrySync(entry));
+            });
+            registerIndex = lua_checker.indexRegisters(registers);
+        }
+        return registerIndex;
+    };
+    this.checkSource = function() {
+        // Room is also needed for the data appended to the source.
+        var maxSourceSize = lua_checker.LUA_MAX_SOURCE_SIZE;
+        if(self.device) {
+            maxSourceSize = lua_checker.getMaxSourceSize(self.device);
         }
-        return isError;
+        maxSourceSize -= self.dataToAppendToSource.length + self.sourceSizeOffset;
+        var options = {
+            'registerIndex': self.getRegisterIndex(),
+            'maxSourceSize': maxSourceSize
+        };
+        if(self.project === null) {
+            return lua_checker.checkScript(self.codeEditorDoc.getValue(), options);
+        }
+
+        // Check the whole uploaded source so globals defined in the included
+        // files are known, then point each problem at the file it is in.
+        var build;
+        try {
+            build = lua_projects.buildSource(self.project, self.getOpenContents());
+        } catch(err) {
+            return [{
+                'line': 1,
+                'column': 1,
+                'type': 'error',
+                'message': 'Failed to read the project files: ' + err.toString(),
+                'path': self.project.main
+            }];
+        }
+        var sections = build.sections;
+        var lastSection = sections[sections.length - 1];
+        return lua_checker.checkScript(build.source, options).map(function(diagnostic) {
+            var location = lua_projects.findSourceLine(sections, diagnostic.line);
+            if(location === null) {
+                // Problems at the end of the source belong to the main file.
+                location = {
+                    'path': lastSection.path,
+                    'line': diagnostic.line - lastSection.firstLine + 1
+                };
+            }
+            // Messages like "(to close 'if' at line 3)" also name lines.
+            var message = diagnostic.message.replace(/at line (\d+)/, function(text, line) {
+                var mentioned = lua_projects.findSourceLine(sections, parseInt(line, 10));
+                if(mentioned === null) {
+                    return text;
+                }
+                text = 'at line ' + mentioned.line.toString();
+                if(mentioned.path !== location.path) {
+                    text += ' of ' + mentioned.path;
+                }
+                return text;
+            });
+            return {
+                'line': location.line,
+                'column': diagnostic.column,
+                'type': diagnostic.type,
+                'message': message,
+                'path': location.path
+            };
+        });
+    };
+    this.lintScript = function() {
+        self.diagnostics = self.checkSource();
+
+        // Mark the problems in the editor's gutter, Ace rows are 0 based.
+        var activePath = self.activeTab === null ? undefined : self.activeTab.path;
+        self.codeEditorSession.setAnnotations(self.diagnostics.filter(
+            function(diagnostic) {
+                return diagnostic.path === activePath;
+            }
+        ).map(
+            function(diagnostic) {
+                return {
+                    'row': diagnostic.line - 1,
+                    'column': diagnostic.column - 1,
+                    'text': diagnostic.message,
+                    'type': diagnostic.type
+                };
+            }
+        ));
+        if(self.project !== null) {
+            self.onProjectChanged();
+        }
+        return self.diagnostics;
+    };
+    this.scheduleLint = function() {
+        self.stopLinting();
+        lintTimer = setTimeout(function() {
+            lintTimer = null;
+            self.lintScript();
+        }, LINT_DELAY_MS);
+    };
+    this.stopLinting = function() {
+        if(lintTimer !== null) {
+            clearTimeout(lintTimer);
+            lintTimer = null;
+        }
+    };
+    this.isLuaCodeError = function() {
+        return lua_checker.getErrors(self.lintScript()).length > 0;
     };
     this.getErrorLine = function() {
         var lineNum = '';
-        var errors = $('#lua-code-editor .ace_error');
+        var errors = lua_checker.getErrors(self.diagnostics);
         if(errors.length > 0) {
-            lineNum = errors.text();
+            lineNum = errors[0].line.toString() + ', ' + errors[0].message;
+            if(errors[0].path !== undefined) {
+                lineNum = errors[0].path + ' ' + lineNum;
+            }
         }
         return lineNum;
     };
@@ -81,16 +231,26 @@ function luaDeviceController() {
         self.print('disabling LUA_RUN');
         var innerDeferred = q.defer();
         // Disable the LUA script
-        self.device.qWrite('LUA_RUN',0)
+        lua_script_upload.stopScript(self.device)
 
         // Handle errors & return
         .then(innerDeferred.resolve, innerDeferred.reject);
         return innerDeferred.promise;
     };
+    this.getLuaSource = function() {
+        if(self.project === null) {
+            return self.codeEditorDoc.getValue();
+        }
+        self.lastBuild = lua_projects.buildSource(
+            self.project,
+            self.getOpenContents()
+        );
+        return self.lastBuild.source;
+    };
     this.writeLuaSourceSize = function() {
         self.print('setting LUA_SOURCE_SIZE');
         var innerDeferred = q.defer();
-        var sourceSize = self.codeEditorDoc.getValue().length;
+        var sourceSize = self.getLuaSource().length;
 
         // Add one for a null character
         sourceSize += self.dataToAppendToSource.length;
@@ -99,7 +259,7 @@ function luaDeviceController() {
 
         // Perform Device IO
         self.LUA_SOURCE_SIZE_written = sourceSize;
-        self.device.qWrite('LUA_SOURCE_SIZE',sourceSize)
+        lua_script_upload.writeSourceSize(self.device, sourceSize)
         .then(innerDeferred.resolve, innerDeferred.reject);
 
         return innerDeferred.promise;
@@ -110,95 +270,34 @@ function luaDeviceController() {
     
     this.writeLuaScript = function() {
         self.print('writing to LUA_SOURCE_WRITE');
-        self.lastDataWritten = [];
         var innerDeferred = q.defer();
-        var numPackets = 0;
-        var luaSource = self.codeEditorDoc.getValue();
+        var luaSource = self.getLuaSource();
         luaSource += self.dataToAppendToSource;
-        var luaSourceBuf = luaSource;
-        var luaSourceSize = luaSource.length;
-        var packetSize = MAX_ARRAY_PACKET_SIZE;
-
-        var packetData = [];
-        var i,j;
-
-        // Determine how many packets need to be sent
-        numPackets = (luaSourceSize - (luaSourceSize % packetSize));
-        numPackets = numPackets / packetSize;
-
-        // Determine if an extra packet of a smaller size should be sent
-        if ((luaSourceSize % packetSize) !== 0) {
-            numPackets += 1;
-        }
-
-        console.log('Num Packets', numPackets);
-        // Push data into packetData array
-        for (i = 0; i < numPackets; i++) {
-            var subPacketSize = 0;
-            var srcData = "";
-            var binaryData = [];
 
-            // Determine how much data to add to buffer, add at most the max
-            // packet size
-            if (luaSourceBuf.length >= packetSize) {
-                subPacketSize = packetSize;
-            } else {
-                subPacketSize = luaSourceBuf.length - self.finalPacketSubtraction;
-            }
-
-            // Get the data that should be sent
-            srcData = luaSourceBuf.slice(0,subPacketSize);
-            
-            // Parse the string data into bytes
-            for (j = 0; j < srcData.length; j++) {
-                binaryData.push(srcData.charCodeAt(j));
-            }
-            
-
-            // Modify the luaSourceBuf to only have what is remaining
-            luaSourceBuf = luaSourceBuf.slice(subPacketSize);
-
-            // Add the srcData to the packetData buffer
-            packetData.push(binaryData);
-        }
-
-        var resultingDataBytesWritten = 0;
-        var resultingPacketSizes = [];
-        packetData.forEach(function(data) {
-            resultingDataBytesWritten += data.length;
-            resultingPacketSizes.push(data.length);
+        // Perform Device IO
+        lua_script_upload.writeSource(self.device, luaSource)
+        .then(function(packetData) {
+            var resultingDataBytesWritten = 0;
+            var resultingPacketSizes = [];
+            packetData.forEach(function(data) {
+                resultingDataBytesWritten += data.length;
+                resultingPacketSizes.push(data.length);
+            });
+            self.lastScriptWrittenData = {
+                'numPackets': packetData.length,
+                'packetSizes': resultingPacketSizes,
+                'sourceSize': luaSource.length,
+                'numBytesWritten': resultingDataBytesWritten,
+                'editorSize': self.codeEditorDoc.getValue().length,
+                'LUA_SOURCE_SIZE': self.LUA_SOURCE_SIZE_written,
+                'data': packetData,
+            };
+            self.print('Finished writing to LUA_SOURCE_WRITE');
+            innerDeferred.resolve();
+        }, function(err) {
+            console.log('Error on SRC write',err);
+            innerDeferred.reject(err);
         });
-        self.lastScriptWrittenData = {
-            'numPackets': packetData.length,
-            'packetSizes': resultingPacketSizes,
-            'sourceSize': luaSourceSize,
-            'numBytesWritten': resultingDataBytesWritten,
-            'editorSize': self.codeEditorDoc.getValue().length,
-            'LUA_SOURCE_SIZE': self.LUA_SOURCE_SIZE_written,
-            'data': packetData,
-        };
-        // Synchronously write each packet of data to the device
-        async.eachSeries(
-            packetData,
-            function(data, callback) {
-                // Perform Device IO
-                self.device.qWriteArray('LUA_SOURCE_WRITE',data)
-                .then(
-                    function(data) {
-                        callback();
-                    },
-                    function(err) {
-                        console.log('Error on SRC write',err);
-                        console.log('Check .json for "type" of BYTE');
-                        callback(err);
-                    }
-                );
-            },
-            function(err) {
-                self.print('Finished writing to LUA_SOURCE_WRITE');
-                innerDeferred.resolve();
-            }
-        );
         return innerDeferred.promise;
     };
     this.getAndAddDebugData = function(numBytes) {
@@ -259,13 +358,7 @@ function luaDeviceController() {
                         });
 
                         // Insert data into debug-log window
-                        self.debuggingLogDoc.insert(
-                            {
-                                row: self.debuggingLogSession.getLength(),
-                                column:0
-                            },
-                            textData
-                        );
+                        self.addDebugText(textData);
 
                         // Force async to go to next loop iteration
                         callback();
@@ -287,12 +380,118 @@ function luaDeviceController() {
         );
         return innerDeferred.promise;
     };
+    var isConsoleLineShown = function(line) {
+        var filter = self.consoleSettings.filter;
+        return filter === null || filter(line.text);
+    };
+    var showConsoleLines = function(lines) {
+        var session = self.debuggingLogSession;
+        var Range = ace.require('ace/range').Range;
+
+        // The log always ends with an empty row that new lines start on.
+        var firstRow = session.getLength() - 1;
+        self.debuggingLogDoc.insert(
+            {
+                row: session.getLength(),
+                column:0
+            },
+            lines.map(function(line) {
+                return lua_debug_console.formatLine(
+                    line,
+                    self.consoleSettings.showTimestamps
+                ) + '\n';
+            }).join('')
+        );
+        lines.forEach(function(line, i) {
+            var color = lua_debug_console.getLineColor(
+                self.consoleSettings.colorRules,
+                line.text
+            );
+            if(color !== null) {
+                var row = firstRow + i;
+                consoleMarkers.push(session.addMarker(
+                    new Range(row, 0, row, 1),
+                    'lua-console-line-' + color,
+                    'fullLine'
+                ));
+            }
+        });
+        if(self.consoleSettings.autoScroll) {
+            self.debuggingLog.editor.navigateFileEnd();
+        }
+    };
+    this.refreshConsole = function() {
+        consoleMarkers.forEach(function(marker) {
+            self.debuggingLogSession.removeMarker(marker);
+        });
+        consoleMarkers = [];
+        self.debuggingLogDoc.setValue('');
+        showConsoleLines(self.debugConsole.lines.filter(isConsoleLineShown));
+    };
+    this.addDebugText = function(text) {
+        var lines = self.debugConsole.addData(text, Date.now());
+        if(self.debugConsole.teeError !== null) {
+            self.onConsoleTeeError(self.debugConsole.teeError);
+            self.debugConsole.teeError = null;
+        }
+        if(self.consoleSettings.isPaused) {
+            return;
+        }
+        lines = lines.filter(isConsoleLineShown);
+        if(lines.length === 0) {
+            return;
+        }
+        // Rebuild the log once it holds more lines than are kept.
+        var numRows = self.debuggingLogSession.getLength() + lines.length;
+        if(numRows > self.debugConsole.maxLines * 1.1) {
+            self.refreshConsole();
+        } else {
+            showConsoleLines(lines);
+        }
+    };
+    this.setConsoleFilter = function(pattern, isRegex) {
+        if(pattern === '') {
+            self.consoleSettings.filter = null;
+        } else {
+            self.consoleSettings.filter = lua_debug_console.createMatcher(
+                pattern,
+                isRegex,
+                false
+            );
+        }
+        self.refreshConsole();
+    };
+    this.setConsolePaused = function(isPaused) {
+        self.consoleSettings.isPaused = isPaused;
+        if(!isPaused) {
+            // Show the lines that arrived while paused.
+            self.refreshConsole();
+        }
+    };
+    this.setConsoleAutoScroll = function(autoScroll) {
+        self.consoleSettings.autoScroll = autoScroll;
+        if(autoScroll) {
+            self.debuggingLog.editor.navigateFileEnd();
+        }
+    };
+    this.setConsoleShowTimestamps = function(showTimestamps) {
+        self.consoleSettings.showTimestamps = showTimestamps;
+        self.refreshConsole();
+    };
+    this.setConsoleColorRules = function(colorRules) {
+        self.consoleSettings.colorRules = colorRules;
+        self.refreshConsole();
+    };
+    this.clearConsole = function() {
+        self.debugConsole.clear();
+        self.refreshConsole();
+    };
     this.enableLuaDebugging = function() {
         self.print('enabling LUA_DEBUG_ENABLE');
         var innerDeferred = q.defer();
 
         // Perform Device IO
-        self.device.qWrite('LUA_DEBUG_ENABLE',1)
+        lua_script_upload.enableDebugging(self.device)
         .then(innerDeferred.resolve, innerDeferred.reject);
         return innerDeferred.promise;
     };
@@ -301,7 +500,7 @@ function luaDeviceController() {
         var innerDeferred = q.defer();
 
         // Perform Device IO
-        self.device.qWrite('LUA_DEBUG_ENABLE_DEFAULT',1)
+        lua_script_upload.enableDebuggingAtStartup(self.device)
         .then(innerDeferred.resolve, innerDeferred.reject);
         return innerDeferred.promise;
     };
@@ -310,7 +509,7 @@ function luaDeviceController() {
         var innerDeferred = q.defer();
 
         // Perform Device IO
-        self.device.qWrite('LUA_RUN',1)
+        lua_script_upload.startScript(self.device)
         .then(innerDeferred.resolve, innerDeferred.reject);
         return innerDeferred.promise;
     };
@@ -328,7 +527,7 @@ function luaDeviceController() {
         var innerDeferred = q.defer();
 
         // Perform Device IO
-        self.device.qWrite('LUA_RUN_DEFAULT',1)
+        lua_script_upload.enableRunAtStartup(self.device)
         .then(function(){
             innerDeferred.resolve();
         }, self.handleNoScriptError)
@@ -351,7 +550,7 @@ function luaDeviceController() {
         var innerDeferred = q.defer();
 
         // Perform Device IO
-        self.device.qWrite('LUA_SAVE_TO_FLASH',1)
+        lua_script_upload.saveToFlash(self.device)
         .then(innerDeferred.resolve, innerDeferred.reject);
         return innerDeferred.promise;
     };
@@ -384,6 +583,9 @@ function luaDeviceController() {
         // Write the LUA script
         .then(self.writeLuaScript, self.catchError)
 
+        // Note which project files were written to the device
+        .then(self.recordProjectDeployment, self.catchError)
+
         // Configure LUA_SAVE_TO_FLASH register
         .then(self.saveEnableLuaSaveToFlash, self.catchError)
 
@@ -419,6 +621,24 @@ function luaDeviceController() {
         .then(ioDeferred.resolve, ioDeferred.reject);
         return ioDeferred.promise;
     };
+    this.recordProjectDeployment = function() {
+        var defered = q.defer();
+        if(self.project !== null && self.lastBuild !== null) {
+            try {
+                lua_projects.recordDeployment(
+                    self.project,
+                    self.device.getSerial(),
+                    self.lastBuild
+                );
+                self.onProjectChanged();
+            } catch(err) {
+                // The script is on the device, only the record is missing.
+                console.log('Failed to record the deployment', err);
+            }
+        }
+        defered.resolve();
+        return defered.promise;
+    };
     this.moveDebuggingCursorToEnd = function() {
         var defered = q.defer();
         self.debuggingLog.editor.navigateFileEnd();
@@ -444,13 +664,13 @@ function luaDeviceController() {
 
         // Write the LUA script
         .then(self.writeLuaScript, self.catchError)
+
+        // Note which project files were written to the device
+        .then(self.recordProjectDeployment, self.catchError)
         
         // Enable Debugging
         .then(self.enableLuaDebugging, self.catchError)
 
-        // Enable Debugging Default
-        .then(self.enableLuaDebuggingDefault, self.catchError)
-
         // Move debuggingLog cursor to the end of the file
         .then(self.moveDebuggingCursorToEnd, self.catchError)
 
@@ -479,12 +699,12 @@ function luaDeviceController() {
         // Write the LUA script
         .then(self.writeLuaScript, self.catchError)
 
+        // Note which project files were written to the device
+        .then(self.recordProjectDeployment, self.catchError)
+
         // Enable Debugging
         .then(self.enableLuaDebugging, self.catchError)
 
-        // Enable Debugging Default
-        .then(self.enableLuaDebuggingDefault, self.catchError)
-
         // Handle errors & return
         .then(ioDeferred.resolve, ioDeferred.reject);
 
@@ -508,6 +728,9 @@ function luaDeviceController() {
         self.print('creating new Lua Script');
         var ioDeferred = q.defer();
 
+        // Scripts are loaded outside of any open project
+        self.closeProject();
+
         // Update Internal Constants
         self.configureAsNewScript();
 
@@ -526,6 +749,9 @@ function luaDeviceController() {
         self.print('loading Lua Script from file');
         var ioDeferred = q.defer();
 
+        // Scripts are loaded outside of any open project
+        self.closeProject();
+
         // Update Internal Constants
         self.configureAsUserScript(filePath);
 
@@ -549,6 +775,9 @@ function luaDeviceController() {
         self.print('loading example script');
         var ioDeferred = q.defer();
 
+        // Scripts are loaded outside of any open project
+        self.closeProject();
+
         // Update Internal Constants
         self.configureAsExample(filePath);
 
@@ -607,6 +836,10 @@ function luaDeviceController() {
         return fileIODeferred.promise;
     };
     this.saveLoadedScriptHandler = function(saveType) {
+        // Project files are saved through the project to keep their history.
+        if(self.project !== null && saveType !== 'saveAs') {
+            return self.saveProjectFiles(saveType === 'onRun');
+        }
         var fileIODeferred = q.defer();
         var saveFileCommand = '';
 
@@ -660,7 +893,11 @@ function luaDeviceController() {
             chooser[0].files.append(new File("luaScript", ""));
             chooser.attr('nwsaveas', 'luaScript.lua');
             chooser.attr('accept', '.lua');
-            chooser.attr('nwworkingdir',fs_facade.getDefaultFilePath());
+            if(self.project !== null) {
+                chooser.attr('nwworkingdir',self.project.dir);
+            } else {
+                chooser.attr('nwworkingdir',fs_facade.getDefaultFilePath());
+            }
             var onChangedSaveToFile = function(event) {
                 var fileLoc = $(fs_facade.getFileSaveAsID()).val();
                 if(fileLoc === '') {
@@ -682,8 +919,14 @@ function luaDeviceController() {
                         // onSuccess function
                         self.print('Successfuly Saved Script to File');
 
-                        // Update Internal Constants
-                        self.configureAsUserScript(fileLoc);
+                        if(self.project !== null) {
+                            // Files saved into the project folder are added
+                            // to the project.
+                            self.addSavedProjectFile(fileLoc);
+                        } else {
+                            // Update Internal Constants
+                            self.configureAsUserScript(fileLoc);
+                        }
 
                         fileIODeferred.resolve();
                     }
@@ -717,6 +960,328 @@ function luaDeviceController() {
         self.curScriptOptions = self.scriptConstants[self.curScriptType];
         self.curScriptFilePath = "";
     };
+    this.configureAsProjectFile = function(filePath) {
+        self.curScriptType = self.scriptConstants.types[3];
+        self.curScriptOptions = self.scriptConstants[self.curScriptType];
+        self.curScriptFilePath = lua_projects.resolveFilePath(self.project, filePath);
+    };
+
+    this.getOpenContents = function() {
+        var contents = {};
+        self.projectTabs.forEach(function(tab) {
+            contents[tab.path] = tab.session.getValue();
+        });
+        return contents;
+    };
+    this.getProjectTab = function(filePath) {
+        var found = null;
+        self.projectTabs.forEach(function(tab) {
+            if(tab.path === filePath) {
+                found = tab;
+            }
+        });
+        return found;
+    };
+    this.isProjectTabModified = function(tab) {
+        return tab.session.getValue() !== tab.savedText;
+    };
+    var createProjectTab = function(filePath) {
+        var text = lua_projects.readFile(self.project, filePath);
+        var session = ace.createEditSession(text, 'ace/mode/lua');
+        session.setTabSize(2);
+        session.setUseSoftTabs(true);
+        session.setUseWrapMode(true);
+        session.setUseWorker(false);
+
+        var tab = {'path': filePath, 'session': session, 'savedText': text};
+        self.projectTabs.push(tab);
+        return tab;
+    };
+    var saveProjectState = function() {
+        self.project.openFiles = self.projectTabs.map(function(tab) {
+            return tab.path;
+        });
+        self.project.activeFile = self.activeTab.path;
+        try {
+            lua_projects.saveProject(self.project);
+        } catch(err) {
+            console.log('Failed to save the project', err);
+        }
+    };
+    var showSession = function(session) {
+        self.codeEditorSession.off('change', self.scheduleLint);
+        self.codeEditor.editor.setSession(session);
+        self.codeEditorSession = session;
+        self.codeEditorDoc = session.getDocument();
+        self.codeEditorSession.on('change', self.scheduleLint);
+    };
+    this.openProject = function(dir) {
+        self.print('opening Lua project');
+        var defered = q.defer();
+        var project;
+        try {
+            project = lua_projects.openProject(dir);
+        } catch(err) {
+            console.log('Failed to open the project', err);
+            defered.reject(err);
+            return defered.promise;
+        }
+
+        if(self.project !== null) {
+            self.closeProject();
+        }
+        scriptSession = self.codeEditorSession;
+        scriptInfo = {
+            'type': self.curScriptType,
+            'options': self.curScriptOptions,
+            'filePath': self.curScriptFilePath
+        };
+        self.project = project;
+
+        var files = project.openFiles.length > 0 ? project.openFiles : [project.main];
+        files.forEach(function(filePath) {
+            try {
+                createProjectTab(filePath);
+            } catch(err) {
+                console.log('Failed to open project file', filePath, err);
+            }
+        });
+        try {
+            if(self.projectTabs.length === 0) {
+                createProjectTab(project.main);
+            }
+        } catch(err) {
+            console.log('Failed to open the main file', err);
+            self.closeProject();
+            defered.reject(err);
+            return defered.promise;
+        }
+        var activeTab = self.getProjectTab(project.activeFile);
+        self.activateProjectTab(activeTab === null ? self.projectTabs[0] : activeTab);
+        defered.resolve(project);
+        return defered.promise;
+    };
+    this.openProjectFile = function(filePath) {
+        var tab = self.getProjectTab(filePath);
+        if(tab === null) {
+            tab = createProjectTab(filePath);
+        }
+        self.activateProjectTab(tab);
+    };
+    this.activateProjectTab = function(tab) {
+        showSession(tab.session);
+        self.activeTab = tab;
+        self.configureAsProjectFile(tab.path);
+        saveProjectState();
+        self.lintScript();
+    };
+    this.closeProjectTab = function(tab) {
+        // A project always keeps one file open.
+        if(self.projectTabs.length < 2) {
+            return;
+        }
+        if(self.isProjectTabModified(tab)) {
+            self.saveProjectTab(tab);
+        }
+        var index = self.projectTabs.indexOf(tab);
+        self.projectTabs.splice(index, 1);
+        if(tab === self.activeTab) {
+            index = Math.min(index, self.projectTabs.length - 1);
+            self.activateProjectTab(self.projectTabs[index]);
+        } else {
+            saveProjectState();
+            self.onProjectChanged();
+        }
+    };
+    this.closeProject = function() {
+        self.print('closing Lua project');
+        if(self.project === null) {
+            return;
+        }
+        // Edits are kept as revisions instead of being dropped.
+        self.projectTabs.forEach(function(tab) {
+            if(self.isProjectTabModified(tab)) {
+                try {
+                    self.saveProjectTab(tab);
+                } catch(err) {
+                    console.log('Failed to save project file', tab.path, err);
+                }
+            }
+        });
+        if(self.codeEditorSession !== scriptSession) {
+            showSession(scriptSession);
+        }
+        self.setScriptType(scriptInfo.type, scriptInfo.options, scriptInfo.filePath);
+        self.project = null;
+        self.projectTabs = [];
+        self.activeTab = null;
+        self.lastBuild = null;
+        self.lintScript();
+        self.onProjectChanged();
+    };
+    this.saveProjectTab = function(tab) {
+        var text = tab.session.getValue();
+        var revision = lua_projects.saveFile(self.project, tab.path, text);
+        tab.savedText = text;
+        return revision;
+    };
+    this.saveProjectFiles = function(saveAll) {
+        var fileIODeferred = q.defer();
+        var tabs = saveAll ? self.projectTabs : [self.activeTab];
+        try {
+            tabs.forEach(self.saveProjectTab);
+            self.onProjectChanged();
+            fileIODeferred.resolve();
+        } catch(err) {
+            console.log('Failed to Save Project file', err);
+            fileIODeferred.reject(err);
+        }
+        return fileIODeferred.promise;
+    };
+    this.addProjectFile = function(filePath) {
+        var normalizedPath = lua_projects.normalizeFilePath(filePath);
+        if(path.extname(normalizedPath) !== '.lua') {
+            throw 'Project files must end with .lua';
+        }
+        if(self.getProjectTab(normalizedPath) === null &&
+            !fs.existsSync(lua_projects.resolveFilePath(self.project, normalizedPath))) {
+            lua_projects.saveFile(self.project, normalizedPath, '');
+        }
+        self.openProjectFile(normalizedPath);
+    };
+    this.addSavedProjectFile = function(fileLoc) {
+        var filePath = path.relative(self.project.dir, fileLoc);
+        try {
+            filePath = lua_projects.normalizeFilePath(filePath);
+        } catch(err) {
+            // Saved outside of the project folder.
+            return;
+        }
+        if(path.extname(filePath) !== '.lua') {
+            return;
+        }
+        var tab = self.getProjectTab(filePath);
+        if(tab === null) {
+            // Add a revision for the new file and open it.
+            lua_projects.saveFile(self.project, filePath, self.codeEditorDoc.getValue());
+            self.openProjectFile(filePath);
+        } else {
+            tab.session.setValue(self.codeEditorDoc.getValue());
+            self.saveProjectTab(tab);
+            self.activateProjectTab(tab);
+        }
+    };
+    this.setProjectMain = function(filePath) {
+        self.project.main = filePath;
+        self.project.includes = self.project.includes.filter(function(include) {
+            return include !== filePath;
+        });
+        lua_projects.saveProject(self.project);
+        self.lintScript();
+    };
+    this.toggleProjectInclude = function(filePath) {
+        var includes = self.project.includes;
+        if(includes.indexOf(filePath) >= 0) {
+            self.project.includes = includes.filter(function(include) {
+                return include !== filePath;
+            });
+        } else if(filePath !== self.project.main) {
+            self.project.includes = includes.concat([filePath]);
+        }
+        lua_projects.saveProject(self.project);
+        self.lintScript();
+    };
+    this.readDeviceScript = function() {
+        self.print('reading the saved Lua script');
+        var ioDeferred = q.defer();
+        var serial = self.device.getSerial();
+        lua_saved_script.readSavedScript(self.device)
+        .then(function(source) {
+            self.deviceScript = {'serial': serial, 'source': source};
+            ioDeferred.resolve(self.deviceScript);
+        }, ioDeferred.reject);
+        return ioDeferred.promise;
+    };
+    this.getDeviceScriptDiff = function() {
+        // Compare against what would be written by saveScriptToFlash.
+        var source = self.getLuaSource() + self.dataToAppendToSource;
+        return lua_projects.formatDiff(
+            lua_projects.diffLines(self.deviceScript.source, source)
+        );
+    };
+    this.openDeviceScript = function() {
+        var source = self.deviceScript.source;
+        if(self.project === null) {
+            // Without a project the editor holds a single script.
+            self.configureAsNewScript();
+            self.codeEditorDoc.setValue(source);
+            return;
+        }
+        var name = 'device_' + self.deviceScript.serial.toString();
+        var filePath = name + '.lua';
+        for(var i = 2; fs.existsSync(lua_projects.resolveFilePath(self.project, filePath)); i++) {
+            filePath = name + '_' + i.toString() + '.lua';
+        }
+        lua_projects.saveFile(self.project, filePath, source);
+        self.openProjectFile(filePath);
+    };
+    this.deployToDevices = function(devices, options) {
+        self.print('deploying Lua script to ' + devices.length.toString() + ' devices');
+        var ioDeferred = q.defer();
+        var build = null;
+
+        // perform onRun save script operation
+        self.onRunSaveScript()
+
+        // Check LUA Script for Errors
+        .then(self.checkForCodeErrors, self.checkForCodeErrors)
+
+        // Write the same source as a single device upload to every device
+        .then(function() {
+            var source = self.getLuaSource() + self.dataToAppendToSource;
+            build = self.lastBuild;
+            return lua_bulk_deploy.deployScriptToDevices(devices, source, options);
+        })
+
+        // Note which project files were written to each device
+        .then(function(results) {
+            if(self.project !== null && build !== null) {
+                results.forEach(function(result) {
+                    if(result.completed.indexOf('upload') < 0) {
+                        return;
+                    }
+                    try {
+                        lua_projects.recordDeployment(self.project, result.serial, build);
+                    } catch(err) {
+                        console.log('Failed to record the deployment', err);
+                    }
+                });
+                self.onProjectChanged();
+            }
+            ioDeferred.resolve(results);
+        }, ioDeferred.reject);
+        return ioDeferred.promise;
+    };
+    this.getProjectFiles = function() {
+        return lua_projects.listFiles(self.project);
+    };
+    this.getProjectDeployments = function() {
+        return lua_projects.getDeployments(self.project);
+    };
+    this.getActiveFileRevisions = function() {
+        return lua_projects.getRevisions(self.project, self.activeTab.path);
+    };
+    this.getRevisionDiff = function(id) {
+        var revisionText = lua_projects.readRevision(self.project, self.activeTab.path, id);
+        return lua_projects.formatDiff(
+            lua_projects.diffLines(revisionText, self.codeEditorDoc.getValue())
+        );
+    };
+    this.restoreRevision = function(id) {
+        // Restoring is an edit that can be undone until the file is saved.
+        var revisionText = lua_projects.readRevision(self.project, self.activeTab.path, id);
+        self.codeEditorDoc.setValue(revisionText);
+    };
 
     this.setDevice = function(device) {
         self.device = device;
@@ -732,6 +1297,11 @@ function luaDeviceController() {
         self.codeEditorSession.setUseSoftTabs(true);
         self.codeEditorSession.setUseWrapMode(true);
 
+        // Check the script with lua_checker as it is edited instead of Ace's
+        // Lua worker so the markers match the checks made before uploading.
+        self.codeEditorSession.setUseWorker(false);
+        self.codeEditorSession.on('change', self.scheduleLint);
+        self.lintScript();
     };
     this.setDebuggingLog = function(debuggingLog) {
         self.debuggingLog = debuggingLog;
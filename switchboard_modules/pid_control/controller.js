@@ -0,0 +1,473 @@
+/**
+ * Goals for the PID Control module.
+ * Run a P, PI or PID control loop on the host: a register of the selected
+ * device is the process variable and a DAC or a DIO_EF PWM output is driven
+ * to bring it to the setpoint.
+ *
+ * Configuration:
+ * PWM outputs get their DIO_EF clock and PWM Out feature configured when the
+ * loop is started.
+ *
+ * Periodic Processes:
+ *     1. Read the process variable through a readRegister binding.
+ *     2. While the loop runs, calculate the new output & write it.
+ *     3. Save the setpoint, process variable & output in the strip chart and
+ *         redraw it.
+**/
+
+var ljmmm = require('./ljmmm');
+var pid_controller = require('./helper_scripts/pid_controller');
+var dio_ef = require('./helper_scripts/dio_ef');
+
+// Constant that determines device polling rate.
+var MODULE_UPDATE_PERIOD_MS = 500;
+
+// Constant that can be set to disable auto-linking the module to the framework
+var DISABLE_AUTOMATIC_FRAMEWORK_LINKAGE = false;
+
+/**
+ * Module object that gets automatically instantiated & linked to the appropriate framework.
+ * When using the 'singleDevice' framework it is instantiated as sdModule.
+ */
+function module() {
+    this.moduleConstants = {};
+    this.moduleContext = {};
+    this.activeDevice = undefined;
+    this.framework = undefined;
+    this.stripChart = undefined;
+
+    this.MODULE_DATA_NAME = 'pid_control';
+    this.SAMPLE_PERIODS_MS = [100, 250, 500, 1000, 2000];
+    this.VALUE_PRECISION = 4;
+
+    // Saved settings: the loop settings, the process variable register & the
+    // output.
+    this.settings = {
+        'loop': JSON.parse(JSON.stringify(pid_controller.DEFAULT_SETTINGS)),
+        'pv': 'AIN0',
+        'output': {'type': 'dac', 'register': 'DAC0', 'line': 0,
+            'frequency': 1000, 'clock': 0}
+    };
+
+    // Readable registers that can be the process variable.
+    this.registerNames = [];
+
+    // The running loop or null while stopped.
+    this.loop = null;
+    this.isWritingOutput = false;
+    this.newPV = null;
+
+    /**
+     * Build the list of registers that can be the process variable.
+    **/
+    this.buildRegisterNames = function() {
+        var names = [];
+        device_controller.fullRegisterList.forEach(function(entry) {
+            if (entry.readwrite.indexOf('R') < 0 || entry.type === 'STRING') {
+                return;
+            }
+            ljmmm.expandLJMMMNameSync(entry.name).forEach(function(name) {
+                names.push(name);
+            });
+        });
+        self.registerNames = names;
+    };
+
+    var getNewPVCallback = function(data, onSuccess) {
+        var value = Number(data.value);
+        if (!isNaN(value)) {
+            self.newPV = value;
+        }
+        onSuccess();
+    };
+
+    this.addPVBinding = function(register) {
+        self.framework.putSmartBindings([{
+            bindingName: register,
+            smartName: 'readRegister',
+            displayType: 'none',
+            periodicCallback: getNewPVCallback
+        }]);
+    };
+
+    this.showError = function(message) {
+        if (message === null) {
+            $('#pid-control-error').hide();
+        } else {
+            $('#pid-control-error').html(String(message));
+            $('#pid-control-error').show();
+        }
+    };
+
+    var formatValue = function(value) {
+        if (value === null || value === undefined) {
+            return '-';
+        }
+        return value.toFixed(self.VALUE_PRECISION);
+    };
+
+    this.saveSettings = function() {
+        if (typeof(GLOBAL_DATA_MANAGER) === 'undefined') {
+            return;
+        }
+        GLOBAL_DATA_MANAGER.saveModuleData(self.MODULE_DATA_NAME, self.settings)
+        .fail(function(err) {
+            console.error('Failed to save the PID settings', err);
+        });
+    };
+
+    this.loadSettings = function(onSuccess) {
+        if (typeof(GLOBAL_DATA_MANAGER) === 'undefined') {
+            onSuccess();
+            return;
+        }
+        GLOBAL_DATA_MANAGER.getModuleData(self.MODULE_DATA_NAME)
+        .then(function(data) {
+            if (data.loop !== undefined &&
+                pid_controller.validateSettings(data.loop) === null) {
+                self.settings.loop = data.loop;
+            }
+            if (typeof(data.pv) === 'string') {
+                self.settings.pv = data.pv;
+            }
+            if (data.output !== undefined &&
+                pid_controller.validateOutput(data.output) === null) {
+                self.settings.output = data.output;
+            }
+            onSuccess();
+        }, function(err) {
+            console.error('Failed to load the PID settings', err);
+            onSuccess();
+        });
+    };
+
+    /**
+     * Read the loop settings from the form.
+     *
+     * @return {Object} The settings, see pid_controller.validateSettings.
+    **/
+    this.readLoopSettings = function() {
+        return {
+            'mode': $('#pid-control-mode').val(),
+            'setpoint': Number($('#pid-control-setpoint').val()),
+            'kp': Number($('#pid-control-kp').val()),
+            'ki': Number($('#pid-control-ki').val()),
+            'kd': Number($('#pid-control-kd').val()),
+            'outputMin': Number($('#pid-control-output-min').val()),
+            'outputMax': Number($('#pid-control-output-max').val()),
+            'reverseActing': $('#pid-control-reverse').prop('checked')
+        };
+    };
+
+    this.readOutput = function() {
+        var outputTarget = $('#pid-control-output').val().split(':');
+        return {
+            'type': outputTarget[0],
+            'register': outputTarget[0] === 'dac' ? outputTarget[1] : 'DAC0',
+            'line': outputTarget[0] === 'pwm' ? Number(outputTarget[1]) : 0,
+            'frequency': Number($('#pid-control-pwm-frequency').val()),
+            'clock': Number($('#pid-control-pwm-clock').val())
+        };
+    };
+
+    this.fillForm = function() {
+        var loop = self.settings.loop;
+        var output = self.settings.output;
+        $('#pid-control-pv').val(self.settings.pv);
+        $('#pid-control-mode').val(loop.mode);
+        $('#pid-control-setpoint').val(loop.setpoint);
+        $('#pid-control-kp').val(loop.kp);
+        $('#pid-control-ki').val(loop.ki);
+        $('#pid-control-kd').val(loop.kd);
+        $('#pid-control-output-min').val(loop.outputMin);
+        $('#pid-control-output-max').val(loop.outputMax);
+        $('#pid-control-reverse').prop('checked', loop.reverseActing);
+        if (output.type === 'dac') {
+            $('#pid-control-output').val('dac:' + output.register);
+        } else {
+            $('#pid-control-output').val('pwm:' + output.line.toString());
+        }
+        $('#pid-control-pwm-frequency').val(output.frequency);
+        $('#pid-control-pwm-clock').val(output.clock.toString());
+        self.onOutputChanged();
+    };
+
+    this.onOutputChanged = function() {
+        var output = self.readOutput();
+        var outputType = pid_controller.getOutputType(output);
+        $('.pid-control-pwm-option').toggle(output.type === 'pwm');
+        $('.pid-control-output-unit').text(outputType.unit);
+    };
+
+    /**
+     * Show whether the loop is running and in which mode.
+    **/
+    this.renderState = function() {
+        var isRunning = self.loop !== null;
+        $('#pid-control-start-button').prop('disabled', isRunning);
+        $('#pid-control-stop-button').prop('disabled', !isRunning);
+        $('#pid-control-pv, #pid-control-output, .pid-control-pwm-option input, .pid-control-pwm-option select')
+        .prop('disabled', isRunning);
+        var isAuto = !isRunning || self.loop.isAuto;
+        $('#pid-control-auto-button').toggleClass('active', isAuto);
+        $('#pid-control-manual-button').toggleClass('active', !isAuto);
+        $('#pid-control-manual-output').prop('disabled', isAuto);
+        $('#pid-control-state').text(isRunning ? (isAuto ? 'Auto' : 'Manual') : 'Stopped');
+    };
+
+    this.renderReadouts = function(pv) {
+        var loop = self.loop;
+        $('#pid-control-pv-value').text(formatValue(pv));
+        $('#pid-control-output-value').text(loop === null ? '-' : formatValue(loop.output));
+        $('#pid-control-p-term').text(loop === null ? '-' : formatValue(loop.terms.p));
+        $('#pid-control-i-term').text(loop === null ? '-' : formatValue(loop.terms.i));
+        $('#pid-control-d-term').text(loop === null ? '-' : formatValue(loop.terms.d));
+    };
+
+    /**
+     * Write the loop's output to the device.
+     *
+     * @return {q.promise} Resolves after the write, rejections stop the loop.
+    **/
+    this.writeOutput = function(value) {
+        var writes = pid_controller.planOutputWrites(self.settings.output, value);
+        self.isWritingOutput = true;
+        return dio_ef.writePlan(self.activeDevice, writes)
+        .then(function() {
+            self.isWritingOutput = false;
+        }, function(err) {
+            self.isWritingOutput = false;
+            self.showError('Failed to write the output, the loop was stopped: ' + err);
+            self.loop = null;
+            self.renderState();
+        });
+    };
+
+    this.onStart = function() {
+        var loopSettings = self.readLoopSettings();
+        var output = self.readOutput();
+        var pv = $('#pid-control-pv').val().trim().toUpperCase();
+        var settingsError = pid_controller.validateSettings(loopSettings);
+        if (settingsError === null) {
+            settingsError = pid_controller.validateOutput(output, loopSettings);
+        }
+        if (settingsError === null && self.registerNames.indexOf(pv) < 0) {
+            settingsError = '"' + pv + '" is not a readable register';
+        }
+        if (settingsError !== null) {
+            self.showError(settingsError);
+            return;
+        }
+        self.showError(null);
+
+        if (pv !== self.settings.pv) {
+            self.framework.deleteConfigBindings([{bindingClass: self.settings.pv}]);
+            self.addPVBinding(pv);
+        }
+        self.settings.loop = loopSettings;
+        self.settings.pv = pv;
+        self.settings.output = output;
+        self.saveSettings();
+
+        $('#pid-control-start-button').prop('disabled', true);
+        dio_ef.writePlan(self.activeDevice, pid_controller.planOutputSetup(output))
+        .then(function() {
+            self.loop = pid_controller.createPIDController(loopSettings);
+            self.stripChart.clearData();
+            self.renderState();
+        }, function(err) {
+            self.showError('Failed to configure the output: ' + err);
+            self.renderState();
+        });
+    };
+
+    /**
+     * Stop the loop and set the output to its minimum.
+    **/
+    this.stopLoop = function() {
+        if (self.loop === null) {
+            return;
+        }
+        var outputMin = self.loop.settings.outputMin;
+        self.loop = null;
+        self.renderState();
+        self.writeOutput(outputMin);
+    };
+
+    this.onApplySettings = function() {
+        var loopSettings = self.readLoopSettings();
+        var settingsError = pid_controller.validateSettings(loopSettings);
+        if (settingsError === null) {
+            settingsError = pid_controller.validateOutput(
+                self.settings.output,
+                loopSettings
+            );
+        }
+        if (settingsError !== null) {
+            self.showError(settingsError);
+            return;
+        }
+        self.showError(null);
+        self.settings.loop = loopSettings;
+        self.saveSettings();
+        if (self.loop !== null) {
+            self.loop.setSettings(loopSettings);
+        }
+    };
+
+    this.onManual = function() {
+        if (self.loop === null || !self.loop.isAuto) {
+            return;
+        }
+        $('#pid-control-manual-output').val(self.loop.output);
+        self.loop.setManual(self.loop.output);
+        self.renderState();
+    };
+
+    this.onAuto = function() {
+        if (self.loop === null) {
+            return;
+        }
+        self.loop.setAuto();
+        self.renderState();
+    };
+
+    this.onManualOutputChanged = function() {
+        var value = Number($('#pid-control-manual-output').val());
+        if (self.loop === null || self.loop.isAuto || isNaN(value)) {
+            return;
+        }
+        self.writeOutput(self.loop.setManual(value));
+    };
+
+    this.attachListeners = function() {
+        $('#pid-control-start-button').click(self.onStart);
+        $('#pid-control-stop-button').click(self.stopLoop);
+        $('#pid-control-apply-button').click(self.onApplySettings);
+        $('#pid-control-auto-button').click(self.onAuto);
+        $('#pid-control-manual-button').click(self.onManual);
+        $('#pid-control-manual-output').change(self.onManualOutputChanged);
+        $('#pid-control-output').change(self.onOutputChanged);
+        $('#pid-control-sample-period').change(function() {
+            self.framework.setRefreshRate(Number($(this).val()));
+        });
+    };
+
+    /**
+     * Function is called once every time the module tab is selected, loads the module.
+     * @param  {[type]} framework   The active framework instance.
+     * @param  {[type]} onError     Function to be called if an error occurs.
+     * @param  {[type]} onSuccess   Function to be called when complete.
+    **/
+    this.onModuleLoaded = function(framework, onError, onSuccess) {
+        self.moduleConstants = framework.moduleConstants;
+        self.framework = framework;
+        self.buildRegisterNames();
+        framework.setRefreshRate(MODULE_UPDATE_PERIOD_MS);
+        self.loadSettings(onSuccess);
+    };
+
+    /**
+     * Function is called once every time a user selects a new device.
+     * @param  {[type]} framework   The active framework instance.
+     * @param  {[type]} device      The active framework instance.
+     * @param  {[type]} onError     Function to be called if an error occurs.
+     * @param  {[type]} onSuccess   Function to be called when complete.
+    **/
+    this.onDeviceSelected = function(framework, device, onError, onSuccess) {
+        self.activeDevice = device;
+        self.loop = null;
+        self.newPV = null;
+        framework.clearConfigBindings();
+        self.addPVBinding(self.settings.pv);
+        framework.setStartupMessage('Reading Device Configuration');
+        onSuccess();
+    };
+
+    this.onDeviceConfigured = function(framework, device, setupBindings, onError, onSuccess) {
+        var outputType = pid_controller.getOutputType({'type': 'dac'});
+        var pwmType = pid_controller.getOutputType({'type': 'pwm'});
+        self.moduleContext.modes = pid_controller.MODES;
+        self.moduleContext.dacs = outputType.registers;
+        self.moduleContext.pwmLines = pwmType.lines.map(function(line) {
+            return {'line': line, 'name': dio_ef.getLineName(line)};
+        });
+        self.moduleContext.clocks = dio_ef.CLOCKS;
+        self.moduleContext.samplePeriods = self.SAMPLE_PERIODS_MS;
+        framework.setCustomContext(self.moduleContext);
+        onSuccess();
+    };
+
+    this.onTemplateLoaded = function(framework, onError, onSuccess) {
+        onSuccess();
+    };
+
+    this.onTemplateDisplayed = function(framework, onError, onSuccess) {
+        self.stripChart = new StripChart('#pid-control-svg');
+        self.stripChart.addTrace('SETPOINT', 0);
+        self.stripChart.addTrace('PV', 0);
+        self.stripChart.addTrace('OUTPUT', 1);
+        $('#pid-control-sample-period').val(framework.refreshRate.toString());
+        self.fillForm();
+        self.attachListeners();
+        self.renderState();
+        self.renderReadouts(null);
+        self.stripChart.draw();
+        onSuccess();
+    };
+
+    this.onRegisterWrite = function(framework, binding, value, onError, onSuccess) {
+        onSuccess();
+    };
+    this.onRegisterWritten = function(framework, registerName, value, onError, onSuccess) {
+        onSuccess();
+    };
+    this.onRefresh = function(framework, registerNames, onError, onSuccess) {
+        onSuccess();
+    };
+    this.onRefreshed = function(framework, results, onError, onSuccess) {
+        var pv = self.newPV;
+        self.newPV = null;
+        if (pv === null || self.stripChart === undefined) {
+            onSuccess();
+            return;
+        }
+        var time = Date.now();
+        var values = {'SETPOINT': self.settings.loop.setpoint, 'PV': pv};
+        if (self.loop !== null) {
+            var output = self.loop.update(pv, time);
+            values.OUTPUT = output;
+            // Skip a write if the last one hasn't finished yet.
+            if (self.loop.isAuto && !self.isWritingOutput) {
+                self.writeOutput(output);
+            }
+        }
+        self.stripChart.addSample(time, values);
+        self.stripChart.draw();
+        self.renderReadouts(pv);
+        onSuccess();
+    };
+    this.onCloseDevice = function(framework, device, onError, onSuccess) {
+        self.stopLoop();
+        onSuccess();
+    };
+    this.onUnloadModule = function(framework, onError, onSuccess) {
+        self.stopLoop();
+        onSuccess();
+    };
+    this.onLoadError = function(framework, description, onHandle) {
+        console.log('in onLoadError', description);
+        onHandle(true);
+    };
+    this.onWriteError = function(framework, registerName, value, description, onHandle) {
+        console.log('in onConfigError', description);
+        onHandle(true);
+    };
+    this.onRefreshError = function(framework, registerNames, description, onHandle) {
+        console.log('in onRefreshError', description);
+        self.showError('Error reading the process variable: ' + JSON.stringify(description));
+        onHandle(true);
+    };
+
+    var self = this;
+}
@@ -0,0 +1,437 @@
+/**
+ * Goals for the Register Graph module.
+ * Plot any readable register of the selected device over time.
+ *
+ * Configuration:
+ * No configuration of the device is required
+ *
+ * Periodic Processes:
+ *     1. Read the registers being plotted. Each register gets its own
+ *         readRegister binding so the framework's DAQ loop reads all of them
+ *         with a single readMany call.
+ *     2. Save the values read in the strip chart and redraw it unless the
+ *         chart is paused.
+**/
+
+var ljmmm = require('./ljmmm');
+
+// Constant that determines device polling rate.
+var MODULE_UPDATE_PERIOD_MS = 250;
+
+// Constant that can be set to disable auto-linking the module to the framework
+var DISABLE_AUTOMATIC_FRAMEWORK_LINKAGE = false;
+
+/**
+ * Module object that gets automatically instantiated & linked to the appropriate framework.
+ * When using the 'singleDevice' framework it is instantiated as sdModule.
+ */
+function module() {
+    this.moduleConstants = {};
+    this.moduleContext = {};
+    this.activeDevice = undefined;
+    this.framework = undefined;
+    this.stripChart = undefined;
+
+    // Registers that can be graphed & the registers currently being graphed.
+    this.registerNames = [];
+    this.graphedRegisters = [{'register': 'AIN0', 'axis': 0}];
+
+    // Values read during the current DAQ loop iteration.
+    this.newValues = {};
+    this.numNewValues = 0;
+
+    this.SAMPLE_PERIODS_MS = [100, 250, 500, 1000, 2000];
+    this.TIME_WINDOWS = [
+        {'name': '10 s', 'ms': 10000},
+        {'name': '30 s', 'ms': 30000},
+        {'name': '1 min', 'ms': 60000},
+        {'name': '5 min', 'ms': 300000},
+        {'name': '10 min', 'ms': 600000}
+    ];
+    this.VALUE_PRECISION = 4;
+
+    var TRACE_TABLE_TEMPLATE = handlebars.compile(
+        '{{#each traces}}' +
+        '<tr>' +
+        '<td><span class="register-graph-swatch" style="background-color:{{color}}"></span>{{register}}</td>' +
+        '<td><select class="input-small register-graph-trace-axis" data-register="{{register}}">' +
+        '{{#each ../axes}}<option value="{{index}}">Axis {{number}}</option>{{/each}}' +
+        '</select></td>' +
+        '<td><button class="btn btn-mini register-graph-remove-trace" data-register="{{register}}" type="button">Remove</button></td>' +
+        '</tr>' +
+        '{{/each}}'
+    );
+    var STATISTICS_TABLE_TEMPLATE = handlebars.compile(
+        '{{#each stats}}' +
+        '<tr>' +
+        '<td><span class="register-graph-swatch" style="background-color:{{color}}"></span>{{register}}</td>' +
+        '<td>{{cursorA}}</td><td>{{cursorB}}</td>' +
+        '<td>{{min}}</td><td>{{max}}</td><td>{{mean}}</td><td>{{numSamples}}</td>' +
+        '</tr>' +
+        '{{/each}}'
+    );
+
+    /**
+     * Build the list of registers that can be graphed: every numeric register
+     * that can be read on a T7.
+    **/
+    this.buildRegisterNames = function() {
+        var names = [];
+        device_controller.fullRegisterList.forEach(function(entry) {
+            var devices = entry.devices || [];
+            var isT7Register = devices.some(function(device) {
+                return (device.device || device) === 'T7';
+            });
+            if (!isT7Register) {
+                return;
+            }
+            if (entry.readwrite.indexOf('R') < 0 || entry.type === 'STRING') {
+                return;
+            }
+            ljmmm.expandLJMMMNameSync(entry.name).forEach(function(name) {
+                names.push(name);
+            });
+        });
+        self.registerNames = names;
+    };
+
+    var getNewValueCallback = function(data, onSuccess) {
+        var value = Number(data.value);
+        if (!isNaN(value)) {
+            self.newValues[data.binding.binding] = value;
+            self.numNewValues += 1;
+        }
+        onSuccess();
+    };
+
+    /**
+     * Start reading a register through the framework's DAQ loop.
+    **/
+    this.addRegisterBinding = function(register) {
+        self.framework.putSmartBindings([{
+            bindingName: register,
+            smartName: 'readRegister',
+            displayType: 'none',
+            periodicCallback: getNewValueCallback
+        }]);
+    };
+
+    this.removeRegisterBinding = function(register) {
+        self.framework.deleteConfigBindings([{bindingClass: register}]);
+    };
+
+    this.showError = function(message) {
+        if (message === null) {
+            $('#register-graph-error').hide();
+        } else {
+            $('#register-graph-error').html(String(message));
+            $('#register-graph-error').show();
+        }
+    };
+
+    var formatValue = function(value) {
+        if (value === null) {
+            return '';
+        }
+        return value.toFixed(self.VALUE_PRECISION);
+    };
+
+    this.renderTraceTable = function() {
+        var axes = self.stripChart.axes.map(function(axis) {
+            return {'index': axis.index, 'number': axis.index + 1};
+        });
+        $('#register-graph-traces').html(TRACE_TABLE_TEMPLATE({
+            'traces': self.stripChart.traces,
+            'axes': axes
+        }));
+        self.stripChart.traces.forEach(function(trace) {
+            $('.register-graph-trace-axis[data-register="' + trace.register + '"]')
+            .val(trace.axis.toString());
+        });
+    };
+
+    this.renderStatistics = function() {
+        var stats = self.stripChart.getStatistics().map(function(traceStats) {
+            return {
+                'register': traceStats.register,
+                'color': traceStats.color,
+                'cursorA': formatValue(traceStats.cursorA),
+                'cursorB': formatValue(traceStats.cursorB),
+                'min': formatValue(traceStats.min),
+                'max': formatValue(traceStats.max),
+                'mean': formatValue(traceStats.mean),
+                'numSamples': traceStats.numSamples
+            };
+        });
+        $('#register-graph-statistics').html(STATISTICS_TABLE_TEMPLATE({
+            'stats': stats
+        }));
+        var rangeDescription = 'visible data';
+        if (self.stripChart.cursors.length === 2) {
+            rangeDescription = 'data between cursors A and B';
+        }
+        $('#register-graph-statistics-range').html(rangeDescription);
+    };
+
+    this.redraw = function() {
+        self.stripChart.draw();
+        self.renderStatistics();
+        $('#register-graph-pause-button').html(
+            self.stripChart.isPaused ? 'Resume' : 'Pause'
+        );
+    };
+
+    this.onAddTrace = function() {
+        var register = $('#register-graph-register-input').typeahead('val');
+        register = register.trim().toUpperCase();
+        var axisIndex = Number($('#register-graph-new-axis').val());
+        if (self.registerNames.indexOf(register) < 0) {
+            self.showError('"' + register + '" is not a readable register');
+            return;
+        }
+        if (!self.stripChart.addTrace(register, axisIndex)) {
+            self.showError(register + ' is already being graphed');
+            return;
+        }
+        self.showError(null);
+        self.addRegisterBinding(register);
+        $('#register-graph-register-input').typeahead('val', '');
+        self.renderTraceTable();
+        self.redraw();
+    };
+
+    this.onRemoveTrace = function(event) {
+        var register = $(event.target).attr('data-register');
+        self.stripChart.removeTrace(register);
+        self.removeRegisterBinding(register);
+        self.renderTraceTable();
+        self.redraw();
+    };
+
+    this.onTraceAxisChanged = function(event) {
+        var register = $(event.target).attr('data-register');
+        self.stripChart.setTraceAxis(register, Number($(event.target).val()));
+        self.redraw();
+    };
+
+    this.onAxisScalingChanged = function() {
+        self.stripChart.axes.forEach(function(axis) {
+            var row = $('#register-graph-axis-' + axis.index.toString());
+            var mode = row.find('.register-graph-axis-mode').val();
+            var min = Number(row.find('.register-graph-axis-min').val());
+            var max = Number(row.find('.register-graph-axis-max').val());
+            row.find('input').prop('disabled', mode !== 'fixed');
+            self.stripChart.setAxisScaling(axis.index, mode, min, max);
+        });
+        self.redraw();
+    };
+
+    this.onSavePressed = function() {
+        var chooser = $(fs_facade.getFileSaveAsID());
+        chooser.attr('nwsaveas', 'graph_data.csv');
+        chooser.attr('accept', '.csv');
+        chooser.attr('nwworkingdir', fs_facade.getDefaultFilePath());
+        chooser.unbind('change');
+        chooser.bind('change', function() {
+            var fileLoc = chooser.val();
+            chooser.val('');
+            if (fileLoc === '') {
+                return;
+            }
+            fs_facade.saveDataToFile(
+                fileLoc,
+                self.stripChart.getVisibleCSV(),
+                function(err) {
+                    self.showError('Failed to save graph data: ' + err);
+                },
+                function() {
+                    self.showError(null);
+                }
+            );
+        });
+        chooser.trigger('click');
+    };
+
+    this.attachListeners = function() {
+        $('#register-graph-add-button').click(self.onAddTrace);
+        $('#register-graph-traces').on(
+            'click',
+            '.register-graph-remove-trace',
+            self.onRemoveTrace
+        );
+        $('#register-graph-traces').on(
+            'change',
+            '.register-graph-trace-axis',
+            self.onTraceAxisChanged
+        );
+        $('.register-graph-axis-mode, .register-graph-axis-min, .register-graph-axis-max')
+        .change(self.onAxisScalingChanged);
+        $('#register-graph-pause-button').click(function() {
+            if (self.stripChart.isPaused) {
+                self.stripChart.resume();
+            } else {
+                self.stripChart.pause();
+            }
+            self.redraw();
+        });
+        $('#register-graph-back-button').click(function() {
+            self.stripChart.scroll(-0.5);
+            self.redraw();
+        });
+        $('#register-graph-forward-button').click(function() {
+            self.stripChart.scroll(0.5);
+            self.redraw();
+        });
+        $('#register-graph-zoom-in-button').click(function() {
+            self.stripChart.zoom(0.5);
+            self.redraw();
+        });
+        $('#register-graph-zoom-out-button').click(function() {
+            self.stripChart.zoom(2);
+            self.redraw();
+        });
+        $('#register-graph-time-window').change(function() {
+            self.stripChart.setTimeWindow(Number($(this).val()));
+            self.redraw();
+        });
+        $('#register-graph-sample-period').change(function() {
+            self.framework.setRefreshRate(Number($(this).val()));
+        });
+        $('#register-graph-clear-cursors-button').click(function() {
+            self.stripChart.clearCursors();
+            self.redraw();
+        });
+        $('#register-graph-save-button').click(self.onSavePressed);
+    };
+
+    this.initializeTypeahead = function() {
+        var registerList = new Bloodhound({
+            limit: 10,
+            datumTokenizer: Bloodhound.tokenizers.obj.whitespace('name'),
+            queryTokenizer: Bloodhound.tokenizers.whitespace,
+            local: self.registerNames.map(function(name) {
+                return {'name': name};
+            })
+        });
+        registerList.initialize();
+        $('#register-graph-register-input').typeahead({
+                hint: true,
+                highlight: true,
+                minLength: 1
+            },
+            {
+                name: 'registerNames',
+                displayKey: 'name',
+                source: registerList.ttAdapter()
+        });
+    };
+
+    /**
+     * Function is called once every time the module tab is selected, loads the module.
+     * @param  {[type]} framework   The active framework instance.
+     * @param  {[type]} onError     Function to be called if an error occurs.
+     * @param  {[type]} onSuccess   Function to be called when complete.
+    **/
+    this.onModuleLoaded = function(framework, onError, onSuccess) {
+        self.moduleConstants = framework.moduleConstants;
+        self.framework = framework;
+        self.buildRegisterNames();
+        onSuccess();
+    };
+
+    /**
+     * Function is called once every time a user selects a new device.
+     * @param  {[type]} framework   The active framework instance.
+     * @param  {[type]} device      The active framework instance.
+     * @param  {[type]} onError     Function to be called if an error occurs.
+     * @param  {[type]} onSuccess   Function to be called when complete.
+    **/
+    this.onDeviceSelected = function(framework, device, onError, onSuccess) {
+        self.activeDevice = device;
+        if (self.stripChart !== undefined) {
+            self.graphedRegisters = self.stripChart.traces.map(function(trace) {
+                return {'register': trace.register, 'axis': trace.axis};
+            });
+        }
+        framework.clearConfigBindings();
+        self.graphedRegisters.forEach(function(graphedRegister) {
+            self.addRegisterBinding(graphedRegister.register);
+        });
+        self.newValues = {};
+        self.numNewValues = 0;
+        framework.setStartupMessage('Reading Device Configuration');
+        onSuccess();
+    };
+
+    this.onDeviceConfigured = function(framework, device, setupBindings, onError, onSuccess) {
+        var axes = [];
+        for (var i = 0; i < STRIP_CHART_NUM_AXES; i++) {
+            axes.push({'index': i, 'number': i + 1});
+        }
+        self.moduleContext.axes = axes;
+        self.moduleContext.timeWindows = self.TIME_WINDOWS;
+        self.moduleContext.samplePeriods = self.SAMPLE_PERIODS_MS;
+        framework.setCustomContext(self.moduleContext);
+        onSuccess();
+    };
+
+    this.onTemplateLoaded = function(framework, onError, onSuccess) {
+        onSuccess();
+    };
+
+    this.onTemplateDisplayed = function(framework, onError, onSuccess) {
+        self.stripChart = new StripChart('#register-graph-svg', self.renderStatistics);
+        self.graphedRegisters.forEach(function(graphedRegister) {
+            self.stripChart.addTrace(graphedRegister.register, graphedRegister.axis);
+        });
+        $('#register-graph-time-window').val(self.stripChart.timeWindowMS.toString());
+        $('#register-graph-sample-period').val(framework.refreshRate.toString());
+        self.initializeTypeahead();
+        self.attachListeners();
+        self.renderTraceTable();
+        self.redraw();
+        onSuccess();
+    };
+
+    this.onRegisterWrite = function(framework, binding, value, onError, onSuccess) {
+        onSuccess();
+    };
+    this.onRegisterWritten = function(framework, registerName, value, onError, onSuccess) {
+        onSuccess();
+    };
+    this.onRefresh = function(framework, registerNames, onError, onSuccess) {
+        onSuccess();
+    };
+    this.onRefreshed = function(framework, results, onError, onSuccess) {
+        if (self.numNewValues > 0 && self.stripChart !== undefined) {
+            self.stripChart.addSample(Date.now(), self.newValues);
+            if (!self.stripChart.isPaused) {
+                self.redraw();
+            }
+        }
+        self.newValues = {};
+        self.numNewValues = 0;
+        onSuccess();
+    };
+    this.onCloseDevice = function(framework, device, onError, onSuccess) {
+        onSuccess();
+    };
+    this.onUnloadModule = function(framework, onError, onSuccess) {
+        onSuccess();
+    };
+    this.onLoadError = function(framework, description, onHandle) {
+        console.log('in onLoadError', description);
+        onHandle(true);
+    };
+    this.onWriteError = function(framework, registerName, value, description, onHandle) {
+        console.log('in onConfigError', description);
+        onHandle(true);
+    };
+    this.onRefreshError = function(framework, registerNames, description, onHandle) {
+        console.log('in onRefreshError', description);
+        self.showError('Error reading registers: ' + JSON.stringify(description));
+        onHandle(true);
+    };
+
+    var self = this;
+}
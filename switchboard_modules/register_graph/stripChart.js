@@ -0,0 +1,484 @@
+/**
+ * Strip chart used by the register graph module.
+ *
+ * Keeps a history of register readings and draws the selected part of it with
+ * D3. Traces can be assigned to one of several y-axes that are either scaled
+ * automatically to the visible data or to fixed limits. The chart can be
+ * paused, scrolled back through its history and zoomed in time. Two cursors
+ * can be placed on the chart to read values and the min / max / mean of each
+ * trace between them.
+**/
+
+var STRIP_CHART_NUM_AXES = 4;
+var STRIP_CHART_MAX_HISTORY_MS = 10 * 60 * 1000;
+var STRIP_CHART_MIN_WINDOW_MS = 1000;
+var STRIP_CHART_HEIGHT = 360;
+var STRIP_CHART_AXIS_WIDTH = 55;
+var STRIP_CHART_MARGIN = {top: 10, bottom: 30, left: 10, right: 10};
+var STRIP_CHART_COLORS = [
+    '#1f77b4', '#d62728', '#2ca02c', '#ff7f0e', '#9467bd',
+    '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'
+];
+
+/**
+ * Create a strip chart that draws into an svg element.
+ *
+ * @param {String} svgSelector jQuery / D3 selector of the svg element to draw
+ *      the chart in.
+ * @param {function} onCursorsChanged Optional function called after the user
+ *      moves or clears the cursors.
+**/
+function StripChart(svgSelector, onCursorsChanged) {
+    this.svgSelector = svgSelector;
+    this.samples = [];
+    this.traces = [];
+    this.axes = [];
+    this.timeWindowMS = 30000;
+    this.isPaused = false;
+    this.viewEndTime = null;
+    this.cursors = [];
+    this.nextColorIndex = 0;
+
+    for (var i = 0; i < STRIP_CHART_NUM_AXES; i++) {
+        this.axes.push({'index': i, 'mode': 'auto', 'min': 0, 'max': 10});
+    }
+
+    /**
+     * Start plotting a register.
+     *
+     * @param {String} register The name of the register.
+     * @param {Number} axisIndex The index of the y-axis to plot it on.
+     * @return {Boolean} False if the register is already being plotted.
+    **/
+    this.addTrace = function(register, axisIndex) {
+        if (self.getTrace(register) !== undefined) {
+            return false;
+        }
+        self.traces.push({
+            'register': register,
+            'axis': axisIndex,
+            'color': STRIP_CHART_COLORS[
+                self.nextColorIndex % STRIP_CHART_COLORS.length
+            ]
+        });
+        self.nextColorIndex += 1;
+        return true;
+    };
+
+    this.removeTrace = function(register) {
+        self.traces = self.traces.filter(function(trace) {
+            return trace.register !== register;
+        });
+    };
+
+    this.getTrace = function(register) {
+        var matches = self.traces.filter(function(trace) {
+            return trace.register === register;
+        });
+        return matches[0];
+    };
+
+    this.setTraceAxis = function(register, axisIndex) {
+        var trace = self.getTrace(register);
+        if (trace !== undefined) {
+            trace.axis = axisIndex;
+        }
+    };
+
+    /**
+     * Configure how a y-axis is scaled.
+     *
+     * @param {Number} axisIndex The index of the axis.
+     * @param {String} mode 'auto' to fit the visible data or 'fixed'.
+     * @param {Number} min The bottom of the axis in fixed mode.
+     * @param {Number} max The top of the axis in fixed mode.
+    **/
+    this.setAxisScaling = function(axisIndex, mode, min, max) {
+        var axis = self.axes[axisIndex];
+        axis.mode = mode;
+        if (!isNaN(min) && !isNaN(max) && min < max) {
+            axis.min = min;
+            axis.max = max;
+        }
+    };
+
+    /**
+     * Save the values read at one point in time.
+     *
+     * @param {Number} time The time of the readings in ms since the epoch.
+     * @param {Object} values Object with the value of each register read.
+    **/
+    this.addSample = function(time, values) {
+        self.samples.push({'time': time, 'values': values});
+        var oldestTime = time - STRIP_CHART_MAX_HISTORY_MS;
+        var numExpired = 0;
+        while (numExpired < self.samples.length &&
+            self.samples[numExpired].time < oldestTime) {
+            numExpired += 1;
+        }
+        if (numExpired > 0) {
+            self.samples.splice(0, numExpired);
+        }
+    };
+
+    this.clearData = function() {
+        self.samples = [];
+        self.cursors = [];
+        self.viewEndTime = null;
+    };
+
+    this.getLatestTime = function() {
+        if (self.samples.length === 0) {
+            return Date.now();
+        }
+        return self.samples[self.samples.length - 1].time;
+    };
+
+    this.getOldestTime = function() {
+        if (self.samples.length === 0) {
+            return Date.now();
+        }
+        return self.samples[0].time;
+    };
+
+    /**
+     * Get the time range currently shown.
+     *
+     * @return {Object} Object with start and end times in ms.
+    **/
+    this.getViewRange = function() {
+        var end = self.getLatestTime();
+        if (self.isPaused && self.viewEndTime !== null) {
+            end = self.viewEndTime;
+        }
+        return {'start': end - self.timeWindowMS, 'end': end};
+    };
+
+    this.pause = function() {
+        if (!self.isPaused) {
+            self.isPaused = true;
+            self.viewEndTime = self.getLatestTime();
+        }
+    };
+
+    this.resume = function() {
+        self.isPaused = false;
+        self.viewEndTime = null;
+    };
+
+    /**
+     * Move the view through the history, pausing the chart if it is live.
+     *
+     * @param {Number} numWindows How many view widths to move, negative to
+     *      move back in time.
+    **/
+    this.scroll = function(numWindows) {
+        self.pause();
+        var latestTime = self.getLatestTime();
+        var earliestEnd = Math.min(
+            latestTime,
+            self.getOldestTime() + self.timeWindowMS
+        );
+        var newEnd = self.viewEndTime + numWindows * self.timeWindowMS;
+        self.viewEndTime = Math.max(earliestEnd, Math.min(latestTime, newEnd));
+    };
+
+    /**
+     * Change the time span shown, keeping the right edge of the chart fixed.
+     *
+     * @param {Number} factor The factor to multiply the span with, less than
+     *      one to zoom in.
+    **/
+    this.zoom = function(factor) {
+        self.setTimeWindow(self.timeWindowMS * factor);
+    };
+
+    this.setTimeWindow = function(timeWindowMS) {
+        self.timeWindowMS = Math.max(
+            STRIP_CHART_MIN_WINDOW_MS,
+            Math.min(STRIP_CHART_MAX_HISTORY_MS, timeWindowMS)
+        );
+    };
+
+    /**
+     * Place a cursor. The first two clicks place cursors A & B, later clicks
+     * move whichever cursor is closer.
+     *
+     * @param {Number} time The time to put the cursor at.
+    **/
+    this.setCursor = function(time) {
+        if (self.cursors.length < 2) {
+            self.cursors.push(time);
+        } else {
+            var distA = Math.abs(self.cursors[0] - time);
+            var distB = Math.abs(self.cursors[1] - time);
+            self.cursors[distA <= distB ? 0 : 1] = time;
+        }
+    };
+
+    this.clearCursors = function() {
+        self.cursors = [];
+    };
+
+    var getSamplesBetween = function(start, end) {
+        return self.samples.filter(function(sample) {
+            return sample.time >= start && sample.time <= end;
+        });
+    };
+
+    this.getVisibleSamples = function() {
+        var range = self.getViewRange();
+        return getSamplesBetween(range.start, range.end);
+    };
+
+    /**
+     * Find the value of a register closest in time to the given time.
+    **/
+    var getValueAt = function(register, time) {
+        var bestValue = null;
+        var bestDistance = Infinity;
+        self.samples.forEach(function(sample) {
+            var value = sample.values[register];
+            var distance = Math.abs(sample.time - time);
+            if (value !== undefined && distance < bestDistance) {
+                bestValue = value;
+                bestDistance = distance;
+            }
+        });
+        return bestValue;
+    };
+
+    /**
+     * Calculate the min, max and mean of every trace between the cursors, or
+     * over the visible data if both cursors have not been placed.
+     *
+     * @return {Array} Object for each trace with register, color, min, max,
+     *      mean, numSamples, cursorA and cursorB (the values at the cursors,
+     *      null if not placed) attributes.
+    **/
+    this.getStatistics = function() {
+        var range = self.getViewRange();
+        if (self.cursors.length === 2) {
+            range = {
+                'start': Math.min(self.cursors[0], self.cursors[1]),
+                'end': Math.max(self.cursors[0], self.cursors[1])
+            };
+        }
+        var samples = getSamplesBetween(range.start, range.end);
+        return self.traces.map(function(trace) {
+            var stats = {
+                'register': trace.register,
+                'color': trace.color,
+                'min': null,
+                'max': null,
+                'mean': null,
+                'numSamples': 0,
+                'cursorA': null,
+                'cursorB': null
+            };
+            var sum = 0;
+            samples.forEach(function(sample) {
+                var value = sample.values[trace.register];
+                if (value === undefined) {
+                    return;
+                }
+                if (stats.numSamples === 0 || value < stats.min) {
+                    stats.min = value;
+                }
+                if (stats.numSamples === 0 || value > stats.max) {
+                    stats.max = value;
+                }
+                sum += value;
+                stats.numSamples += 1;
+            });
+            if (stats.numSamples > 0) {
+                stats.mean = sum / stats.numSamples;
+            }
+            if (self.cursors.length > 0) {
+                stats.cursorA = getValueAt(trace.register, self.cursors[0]);
+            }
+            if (self.cursors.length > 1) {
+                stats.cursorB = getValueAt(trace.register, self.cursors[1]);
+            }
+            return stats;
+        });
+    };
+
+    /**
+     * Get the visible data as CSV text.
+     *
+     * @return {String} A header row and a row per visible sample with the
+     *      time, the seconds since the first visible sample and the value of
+     *      each plotted register (empty if it was not read in that sample).
+    **/
+    this.getVisibleCSV = function() {
+        var samples = self.getVisibleSamples();
+        var registers = self.traces.map(function(trace) {
+            return trace.register;
+        });
+        var lines = [['time', 'seconds'].concat(registers).join(',')];
+        samples.forEach(function(sample) {
+            var row = [
+                new Date(sample.time).toISOString(),
+                ((sample.time - samples[0].time) / 1000).toFixed(3)
+            ];
+            registers.forEach(function(register) {
+                var value = sample.values[register];
+                row.push(value === undefined ? '' : value.toString());
+            });
+            lines.push(row.join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    };
+
+    /**
+     * Get the y-axes that have traces on them in the order they are drawn:
+     * alternating left and right of the plot.
+    **/
+    var getUsedAxes = function() {
+        return self.axes.filter(function(axis) {
+            return self.traces.some(function(trace) {
+                return trace.axis === axis.index;
+            });
+        });
+    };
+
+    var getAxisDomain = function(axis, samples) {
+        if (axis.mode === 'fixed') {
+            return [axis.min, axis.max];
+        }
+        var values = [];
+        self.traces.forEach(function(trace) {
+            if (trace.axis !== axis.index) {
+                return;
+            }
+            samples.forEach(function(sample) {
+                var value = sample.values[trace.register];
+                if (value !== undefined) {
+                    values.push(value);
+                }
+            });
+        });
+        if (values.length === 0) {
+            return [axis.min, axis.max];
+        }
+        var extent = d3.extent(values);
+        var padding = (extent[1] - extent[0]) * 0.05;
+        if (padding === 0) {
+            padding = Math.abs(extent[0]) * 0.05 || 1;
+        }
+        return [extent[0] - padding, extent[1] + padding];
+    };
+
+    /**
+     * Draw the chart.
+    **/
+    this.draw = function() {
+        var svg = d3.select(self.svgSelector);
+        var totalWidth = $(self.svgSelector).parent().width();
+        svg.attr('width', totalWidth).attr('height', STRIP_CHART_HEIGHT);
+        svg.selectAll('*').remove();
+
+        var usedAxes = getUsedAxes();
+        var numLeftAxes = Math.ceil(usedAxes.length / 2);
+        var numRightAxes = Math.floor(usedAxes.length / 2);
+        var marginLeft = STRIP_CHART_MARGIN.left +
+            Math.max(1, numLeftAxes) * STRIP_CHART_AXIS_WIDTH;
+        var marginRight = STRIP_CHART_MARGIN.right +
+            numRightAxes * STRIP_CHART_AXIS_WIDTH;
+        var plotWidth = Math.max(10, totalWidth - marginLeft - marginRight);
+        var plotHeight = STRIP_CHART_HEIGHT - STRIP_CHART_MARGIN.top -
+            STRIP_CHART_MARGIN.bottom;
+
+        var range = self.getViewRange();
+        var samples = self.getVisibleSamples();
+        var x = d3.time.scale()
+            .domain([new Date(range.start), new Date(range.end)])
+            .range([0, plotWidth]);
+
+        var plot = svg.append('g')
+            .attr('transform', 'translate(' + marginLeft + ',' +
+                STRIP_CHART_MARGIN.top + ')');
+        plot.append('defs').append('clipPath')
+            .attr('id', 'strip-chart-clip')
+            .append('rect')
+            .attr('width', plotWidth)
+            .attr('height', plotHeight);
+        plot.append('g')
+            .attr('class', 'strip-chart-axis')
+            .attr('transform', 'translate(0,' + plotHeight + ')')
+            .call(d3.svg.axis().scale(x).orient('bottom').ticks(6));
+
+        var yScales = {};
+        usedAxes.forEach(function(axis, i) {
+            var y = d3.scale.linear()
+                .domain(getAxisDomain(axis, samples))
+                .range([plotHeight, 0]);
+            yScales[axis.index] = y;
+            var isLeft = i % 2 === 0;
+            var offset = Math.floor(i / 2) * STRIP_CHART_AXIS_WIDTH;
+            var axisGroup = plot.append('g')
+                .attr('class', 'strip-chart-axis')
+                .attr('transform', 'translate(' +
+                    (isLeft ? -offset : plotWidth + offset) + ',0)')
+                .call(d3.svg.axis()
+                    .scale(y)
+                    .orient(isLeft ? 'left' : 'right')
+                    .ticks(6));
+            axisGroup.append('text')
+                .attr('class', 'strip-chart-axis-label')
+                .attr('x', isLeft ? -4 : 4)
+                .attr('y', -2)
+                .style('text-anchor', isLeft ? 'end' : 'start')
+                .text('Axis ' + (axis.index + 1).toString());
+        });
+
+        var lines = plot.append('g').attr('clip-path', 'url(#strip-chart-clip)');
+        self.traces.forEach(function(trace) {
+            var y = yScales[trace.axis];
+            var line = d3.svg.line()
+                .defined(function(sample) {
+                    return sample.values[trace.register] !== undefined;
+                })
+                .x(function(sample) { return x(new Date(sample.time)); })
+                .y(function(sample) { return y(sample.values[trace.register]); });
+            lines.append('path')
+                .datum(samples)
+                .attr('class', 'strip-chart-line')
+                .style('stroke', trace.color)
+                .attr('d', line);
+        });
+
+        self.cursors.forEach(function(time, i) {
+            if (time < range.start || time > range.end) {
+                return;
+            }
+            var cursorX = x(new Date(time));
+            plot.append('line')
+                .attr('class', 'strip-chart-cursor')
+                .attr('x1', cursorX).attr('x2', cursorX)
+                .attr('y1', 0).attr('y2', plotHeight);
+            plot.append('text')
+                .attr('class', 'strip-chart-cursor-label')
+                .attr('x', cursorX + 3)
+                .attr('y', 12)
+                .text(i === 0 ? 'A' : 'B');
+        });
+
+        // Clicking the plot places a cursor.
+        plot.append('rect')
+            .attr('class', 'strip-chart-overlay')
+            .attr('width', plotWidth)
+            .attr('height', plotHeight)
+            .on('click', function() {
+                var mouseX = d3.mouse(this)[0];
+                self.setCursor(x.invert(mouseX).getTime());
+                self.draw();
+                if (onCursorsChanged) {
+                    onCursorsChanged();
+                }
+            });
+    };
+
+    var self = this;
+}
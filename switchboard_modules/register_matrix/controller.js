@@ -37,14 +37,20 @@ function reportTime(data) {
 }
 reportTime('Initializing Module');
 
+var fs = require('fs');
 var simplesets = require('simplesets');
 
 var ljmmm = require('./ljmmm');
+var register_scripts = require('./helper_scripts/register_scripts');
+var register_snapshots = require('./helper_scripts/register_snapshots');
+var register_watchlists = require('./helper_scripts/register_watchlists');
+var virtual_channels = require('./helper_scripts/virtual_channels');
 
 var REGISTERS_DATA_SRC = 'register_matrix/ljm_constants.json';
 var REGISTERS_TABLE_TEMPLATE_SRC = 'register_matrix/matrix.html';
 var REGISTER_WATCH_LIST_TEMPLATE_SRC = 'register_matrix/watchlist.html';
 var REGISTER_TABLE_LIST_TEMPLATE_SRC = 'register_matrix/table_list.html';
+var REGISTER_SNAPSHOT_DIFF_TEMPLATE_SRC = 'register_matrix/diff.html';
 
 var REGISTER_MATRIX_SELECTOR = '#register-matrix';
 var REGISTER_MATRIX_SELECTOR_OBJ = null;
@@ -76,10 +82,26 @@ var TYPEAHEAD_CUSTOM_TEMPLATE = handlebars.compile(
     );
 var TYPEAHEAD_REGISTER_LIST_TT_ADAPTER;
 
-var REFRESH_DELAY = 1000;
+// The watch list is checked this often and each register is read once its
+// own refresh rate has passed.
+var REFRESH_DELAY = register_watchlists.REFRESH_RATES_MS[0];
+var MODULE_DATA_NAME = 'register_matrix';
+var WATCHLIST_FILE_NAME = 'watchlist.json';
+var SCRIPT_TRANSCRIPT_FILE_NAME = 'register_script_transcript.txt';
+var lastScriptTranscript = null;
+var SNAPSHOT_FILE_NAME = 'register_snapshot.json';
+var registerSnapshots = [];
+var virtualChannels = [];
 
 var selectedDevice;
 var registerWatchList = [];
+var lastReadTimes = {};
+var registerInfoByName = {};
+var watchlistData = {};
+var watchlistUserData = register_watchlists.getUserData(
+    watchlistData,
+    register_watchlists.getUserName()
+);
 var curTabID = getActiveTabID();
 
 var localRegistersList = [];
@@ -154,6 +176,7 @@ function expandLJMMMEntries(entries)
                 newEntries.forEach(function(entry){
                     registerNames.push(entry.name);
                     localRegistersList.push(entry);
+                    registerInfoByName[entry.name] = entry;
                 });
                 callback(null, newEntries);
             });
@@ -856,6 +879,27 @@ function addRWInfo(registers)
 }
 
 
+/**
+ * Describe a watch list refresh rate, like '250 ms' or '2 s'.
+**/
+function formatRefreshRate(refreshRate)
+{
+    if (refreshRate < 1000) {
+        return refreshRate.toString() + ' ms';
+    }
+    return (refreshRate / 1000).toString() + ' s';
+}
+
+
+/**
+ * Determine if a watch list display format uses the precision setting.
+**/
+function formatHasPrecision(format)
+{
+    return format === 'decimal' || format === 'scientific';
+}
+
+
 /**
  * Refresh / re-render the list of registers being watchted by this module.
 **/
@@ -866,12 +910,42 @@ function refreshWatchList()
         return a.address - b.address;
     });
 
+    var templateRegisters = registerWatchList.map(function (register) {
+        var templateRegister = $.extend({}, register);
+        templateRegister.formatOptions = register_watchlists.DISPLAY_FORMATS.map(
+            function (format) {
+                return {'value': format, 'selected': format === register.format};
+            }
+        );
+        templateRegister.refreshOptions = register_watchlists.REFRESH_RATES_MS.map(
+            function (refreshRate) {
+                return {
+                    'value': refreshRate,
+                    'label': formatRefreshRate(refreshRate),
+                    'selected': refreshRate === register.refreshRate
+                };
+            }
+        );
+        templateRegister.hasPrecision = formatHasPrecision(register.format);
+        templateRegister.virtualChannels = virtual_channels.getChannelsForSource(
+            virtualChannels,
+            register.name
+        ).map(function (channel) {
+            return {
+                'name': channel.name,
+                'label': channel.label,
+                'displayID': getVirtualDisplayID(register, channel)
+            };
+        });
+        return templateRegister;
+    });
+
     if(registerWatchList.length > 0)
     {
         $('#watch-config-tooltip').hide();
         fs_facade.renderTemplate(
             location,
-            {'registers': registerWatchList},
+            {'registers': templateRegisters},
             genericErrorHandler,
             function(renderedHTML)
             {
@@ -976,6 +1050,10 @@ function refreshWatchList()
 
                 $('.remove-from-list-button').click(removeFromWatchList);
 
+                $('.watch-format-select').change(changeWatchSettings);
+                $('.watch-precision-input').change(changeWatchSettings);
+                $('.watch-refresh-select').change(changeWatchSettings);
+
                 $('.edit-register-button').click(showRegiserEditControls);
 
                 $('.close-value-editor-button').click(hideRegisterEditControls);
@@ -1028,10 +1106,15 @@ function addToWatchList(event, registerInfoByAddress)
     var descriptor = ADD_TO_LIST_DESCRIPTOR_TEMPLATE({address: address});
     $(descriptor).hide();
 
-    var targetRegister = registerInfoByAddress[address];
+    var targetRegister = $.extend(
+        {},
+        registerInfoByAddress[address],
+        register_watchlists.createEntry(registerInfoByAddress[address].name)
+    );
     registerWatchList.push(targetRegister);
     console.log('Adding targetRegister to registerWatchList',targetRegister);
     refreshWatchList();
+    saveCurrentWatchList();
     runRedraw();
 }
 
@@ -1053,6 +1136,7 @@ function removeFromWatchList(event)
         function(e){ return e.address != address; }
     );
     refreshWatchList();
+    saveCurrentWatchList();
 
     var registersToRemoveLen = registersToRemove.length;
     for(var i=0; i<registersToRemoveLen; i++)
@@ -1068,16 +1152,732 @@ function removeFromWatchList(event)
 }
 
 
-function createUpdateReadNumberRegistersCallback (readAddresses)
+/**
+ * Event listener for the display format, precision and refresh rate controls
+ * of a register in the watch list.
+ *
+ * @param {Event} event jQuery event information.
+**/
+function changeWatchSettings(event)
+{
+    var address = Number(event.target.id.split('-')[0]);
+    var targetRegister = registerWatchList.filter(function (e) {
+        return e.address == address;
+    })[0];
+    if (targetRegister === undefined) {
+        return;
+    }
+
+    var newSettings = {
+        'format': $('#' + address + '-format-select').val(),
+        'precision': Number($('#' + address + '-precision-input').val()),
+        'refreshRate': Number($('#' + address + '-refresh-select').val())
+    };
+    var newEntry = register_watchlists.createEntry(
+        targetRegister.name,
+        newSettings
+    );
+    var entryError = register_watchlists.validateEntry(newEntry);
+    if (entryError !== null) {
+        showWatchlistMessage(entryError);
+        $('#' + address + '-precision-input').val(targetRegister.precision);
+        return;
+    }
+    showWatchlistMessage(null);
+
+    $.extend(targetRegister, newEntry);
+    $('#' + address + '-precision-input').prop(
+        'disabled',
+        !formatHasPrecision(targetRegister.format)
+    );
+    // Show the new format / rate right away.
+    delete lastReadTimes[targetRegister.name];
+    saveCurrentWatchList();
+}
+
+
+/**
+ * Show a message about the saved watch lists or hide the message.
+ *
+ * @param {String} message The message to show or null to hide the message.
+**/
+function showWatchlistMessage(message)
+{
+    if (message === null) {
+        $('#watchlist-message').hide();
+    } else {
+        $('#watchlist-message').html(String(message));
+        $('#watchlist-message').show();
+    }
+}
+
+
+/**
+ * Get the watch list as saveable entries.
+ *
+ * @return {Array} Array of register_watchlists entries.
+**/
+function getCurrentEntries()
+{
+    return registerWatchList.map(function (register) {
+        return register_watchlists.createEntry(register.name, register);
+    });
+}
+
+
+/**
+ * Save the watch lists of all users through the global data manager.
+ *
+ * @return {q.promise} Promise that resolves once the data has been saved.
+**/
+function saveWatchlistData()
+{
+    if (typeof(GLOBAL_DATA_MANAGER) === 'undefined') {
+        return q.resolve();
+    }
+    return GLOBAL_DATA_MANAGER.saveModuleData(MODULE_DATA_NAME, watchlistData)
+    .fail(function (err) {
+        showWatchlistMessage('Failed to save the watch lists: ' + err);
+    });
+}
+
+
+/**
+ * Remember the watch list so it is restored when this module is loaded again.
+**/
+function saveCurrentWatchList()
+{
+    watchlistUserData.currentEntries = getCurrentEntries();
+    saveWatchlistData();
+}
+
+
+/**
+ * Replace the watch list with the registers of a watchlist that the selected
+ * device supports, reporting the ones it does not.
+ *
+ * @param {Object} watchlist Object with name and entries attributes.
+**/
+function loadWatchlist(watchlist)
+{
+    var result = register_watchlists.checkDeviceSupport(
+        watchlist,
+        registerInfoByName,
+        selectedDevice.getDeviceType(),
+        selectedDevice.getFirmwareVersion()
+    );
+
+    registerWatchList.forEach(function (register) {
+        $(ADD_TO_LIST_DESCRIPTOR_TEMPLATE({address: register.address})).show();
+    });
+    registerWatchList = result.supported.map(function (entry) {
+        return $.extend({}, registerInfoByName[entry.name], entry);
+    });
+    registerWatchList.forEach(function (register) {
+        $(ADD_TO_LIST_DESCRIPTOR_TEMPLATE({address: register.address})).hide();
+    });
+    lastReadTimes = {};
+
+    if (result.unsupported.length > 0) {
+        var descriptions = result.unsupported.map(function (info) {
+            return info.name + ' (' + info.reason + ')';
+        });
+        showWatchlistMessage(
+            'Not watching on ' + selectedDevice.getSerial() + ': ' +
+            descriptions.join(', ')
+        );
+    } else {
+        showWatchlistMessage(null);
+    }
+
+    refreshWatchList();
+    saveCurrentWatchList();
+    runRedraw();
+}
+
+
+/**
+ * Render the names of the user's saved watch lists.
+**/
+function renderWatchlistSelect()
+{
+    var names = register_watchlists.getWatchlistNames(watchlistUserData);
+    var options = names.map(function (name) {
+        var option = $('<option></option>');
+        option.attr('value', name);
+        option.text(name);
+        return option;
+    });
+    $('#watchlist-select').empty().append(options);
+    $('#watchlist-select').val(watchlistUserData.activeWatchlist);
+    $('#watchlist-name-input').val(watchlistUserData.activeWatchlist || '');
+    var hasWatchlists = names.length > 0;
+    $('#watchlist-load-button').prop('disabled', !hasWatchlists);
+    $('#watchlist-delete-button').prop('disabled', !hasWatchlists);
+}
+
+
+function saveNamedWatchlist()
+{
+    var watchlist = {
+        'name': $('#watchlist-name-input').val().trim(),
+        'entries': getCurrentEntries()
+    };
+    try {
+        register_watchlists.saveWatchlist(watchlistUserData, watchlist);
+    } catch (err) {
+        showWatchlistMessage(err);
+        return;
+    }
+    showWatchlistMessage(null);
+    renderWatchlistSelect();
+    saveWatchlistData();
+}
+
+
+function loadNamedWatchlist()
+{
+    var watchlist = watchlistUserData.watchlists[$('#watchlist-select').val()];
+    if (watchlist === undefined) {
+        return;
+    }
+    watchlistUserData.activeWatchlist = watchlist.name;
+    renderWatchlistSelect();
+    loadWatchlist(watchlist);
+}
+
+
+function deleteNamedWatchlist()
+{
+    var name = $('#watchlist-select').val();
+    if (name === null) {
+        return;
+    }
+    register_watchlists.deleteWatchlist(watchlistUserData, name);
+    renderWatchlistSelect();
+    saveWatchlistData();
+}
+
+
+function exportWatchlist()
+{
+    var name = $('#watchlist-name-input').val().trim();
+    var contents = register_watchlists.exportWatchlist({
+        'name': name === '' ? 'watchlist' : name,
+        'entries': getCurrentEntries()
+    });
+
+    var chooser = $(fs_facade.getFileSaveAsID());
+    chooser.attr('nwsaveas', WATCHLIST_FILE_NAME);
+    chooser.attr('accept', '.json');
+    chooser.attr('nwworkingdir', fs_facade.getDefaultFilePath());
+    chooser.unbind('change');
+    chooser.bind('change', function () {
+        var fileLoc = chooser.val();
+        chooser.val('');
+        if (fileLoc === '') {
+            return;
+        }
+        fs_facade.saveDataToFile(
+            fileLoc,
+            contents,
+            function (err) {
+                showWatchlistMessage('Failed to export the watch list: ' + err);
+            },
+            function () {
+                showWatchlistMessage(null);
+            }
+        );
+    });
+    chooser.trigger('click');
+}
+
+
+/**
+ * Let the user pick an exported watch list, save it under its name and watch
+ * its registers on the selected device.
+**/
+function importWatchlist()
+{
+    var chooser = $(fs_facade.getFileLoadID());
+    chooser.val('');
+    chooser.attr('accept', '.json');
+    chooser.unbind('change');
+    chooser.bind('change', function () {
+        var fileLoc = chooser.val();
+        chooser.val('');
+        if (fileLoc === '') {
+            return;
+        }
+        fs.readFile(fileLoc, 'utf8', function (err, contents) {
+            if (err) {
+                showWatchlistMessage('Failed to read the watch list: ' + err);
+                return;
+            }
+            var watchlist;
+            try {
+                watchlist = register_watchlists.importWatchlist(contents);
+                register_watchlists.saveWatchlist(watchlistUserData, watchlist);
+            } catch (importError) {
+                showWatchlistMessage(importError);
+                return;
+            }
+            renderWatchlistSelect();
+            loadWatchlist(watchlist);
+        });
+    });
+    chooser.trigger('click');
+}
+
+
+/**
+ * Load the user's saved watch lists and restore the last watch list.
+ *
+ * @return {q.promise} Promise that resolves once the watch list is restored.
+**/
+function initializeWatchlists()
+{
+    var getModuleData;
+    if (typeof(GLOBAL_DATA_MANAGER) === 'undefined') {
+        getModuleData = q.resolve({});
+    } else {
+        getModuleData = GLOBAL_DATA_MANAGER.getModuleData(MODULE_DATA_NAME);
+    }
+
+    return getModuleData.then(function (moduleData) {
+        watchlistData = moduleData;
+        watchlistUserData = register_watchlists.getUserData(
+            watchlistData,
+            register_watchlists.getUserName()
+        );
+        renderWatchlistSelect();
+
+        $('#watchlist-save-button').click(saveNamedWatchlist);
+        $('#watchlist-load-button').click(loadNamedWatchlist);
+        $('#watchlist-delete-button').click(deleteNamedWatchlist);
+        $('#watchlist-import-button').click(importWatchlist);
+        $('#watchlist-export-button').click(exportWatchlist);
+
+        if (watchlistUserData.currentEntries.length > 0) {
+            loadWatchlist({
+                'name': watchlistUserData.activeWatchlist,
+                'entries': watchlistUserData.currentEntries
+            });
+        }
+    });
+}
+
+
+/**
+ * Show the outcome of a register script run or the problems with a script.
+ *
+ * @param {String} text The transcript or error message.
+ * @param {Boolean} passed True / false to mark the transcript as passed or
+ *      failed, null for messages that are not a transcript.
+**/
+function showScriptTranscript(text, passed)
+{
+    var transcript = $('#register-script-transcript');
+    transcript.removeClass('script-passed script-failed');
+    if (passed === true) {
+        transcript.addClass('script-passed');
+    } else if (passed === false) {
+        transcript.addClass('script-failed');
+    }
+    transcript.text(text);
+    transcript.show();
+}
+
+
+/**
+ * Run the register script on the devices checked in the register script
+ * panel and show the transcript.
+**/
+function runRegisterScript()
+{
+    var scriptText = $('#register-script-input').val();
+    watchlistUserData.registerScript = scriptText;
+    saveWatchlistData();
+
+    var parsed = register_scripts.parseScript(scriptText);
+    if (parsed.errors.length > 0) {
+        showScriptTranscript(parsed.errors.map(function (error) {
+            return 'line ' + error.line.toString() + ': ' + error.message;
+        }).join('\n'), null);
+        return;
+    }
+    if (parsed.steps.length === 0) {
+        showScriptTranscript('The script is empty.', null);
+        return;
+    }
+
+    var serials = $('.register-script-device:checked').map(function () {
+        return $(this).val();
+    }).get();
+    var devices = device_controller.getDeviceKeeper().getDevices().filter(
+        function (device) {
+            return serials.indexOf(String(device.getSerial())) >= 0;
+        }
+    );
+    if (devices.length === 0) {
+        showScriptTranscript('Select at least one device to run the script on.', null);
+        return;
+    }
+
+    $('#register-script-run-button').prop('disabled', true);
+    showScriptTranscript('Running...', null);
+    register_scripts.runScriptOnDevices(devices, parsed.steps, {
+        'stopOnFailure': $('#register-script-stop-on-failure').prop('checked')
+    })
+    .then(function (results) {
+        var passed = results.every(function (result) {
+            return result.passed;
+        });
+        lastScriptTranscript = register_scripts.formatTranscript(results);
+        showScriptTranscript(lastScriptTranscript, passed);
+        $('#register-script-save-button').prop('disabled', false);
+    }, function (err) {
+        showScriptTranscript('Failed to run the script: ' + err, false);
+    })
+    .fin(function () {
+        $('#register-script-run-button').prop('disabled', false);
+    });
+}
+
+
+function saveScriptTranscript()
+{
+    if (lastScriptTranscript === null) {
+        return;
+    }
+    var transcript = lastScriptTranscript;
+    var chooser = $(fs_facade.getFileSaveAsID());
+    chooser.attr('nwsaveas', SCRIPT_TRANSCRIPT_FILE_NAME);
+    chooser.attr('accept', '.txt');
+    chooser.attr('nwworkingdir', fs_facade.getDefaultFilePath());
+    chooser.unbind('change');
+    chooser.bind('change', function () {
+        var fileLoc = chooser.val();
+        chooser.val('');
+        if (fileLoc === '') {
+            return;
+        }
+        fs_facade.saveDataToFile(
+            fileLoc,
+            transcript,
+            function (err) {
+                showAlert('Failed to save the transcript: ' + err);
+            },
+            function () {}
+        );
+    });
+    chooser.trigger('click');
+}
+
+
+/**
+ * Restore the user's last register script and attach the panel's listeners.
+ * Scripts run on the first device unless other devices are checked.
+**/
+function initializeRegisterScripts()
+{
+    $('#register-script-input').val(watchlistUserData.registerScript || '');
+    $('.register-script-device').first().prop('checked', true);
+    $('#register-script-run-button').click(runRegisterScript);
+    $('#register-script-save-button').click(saveScriptTranscript);
+}
+
+
+/**
+ * Show a message about register snapshots or hide the message.
+ *
+ * @param {String} message The message to show or null to hide it.
+**/
+function showSnapshotMessage(message)
+{
+    if (message === null) {
+        $('#register-snapshot-message').hide();
+    } else {
+        $('#register-snapshot-message').text(String(message));
+        $('#register-snapshot-message').show();
+    }
+}
+
+
+/**
+ * Render the snapshots taken or loaded since the module was opened into the
+ * A and B selects, keeping the current selections where possible.
+**/
+function renderSnapshotSelects()
+{
+    ['#register-snapshot-a-select', '#register-snapshot-b-select'].forEach(
+        function (selector, selectIndex) {
+            var select = $(selector);
+            var selected = select.val();
+            var options = registerSnapshots.map(function (snapshot, i) {
+                var option = $('<option></option>');
+                option.attr('value', String(i));
+                option.text(register_snapshots.describeSnapshot(snapshot));
+                return option;
+            });
+            select.empty().append(options);
+            if (selected !== null && selected !== undefined) {
+                select.val(selected);
+            } else {
+                // Default to comparing the two most recent snapshots.
+                var defaultIndex = registerSnapshots.length - 2 + selectIndex;
+                select.val(String(Math.max(defaultIndex, 0)));
+            }
+        }
+    );
+    var hasSnapshots = registerSnapshots.length > 0;
+    $('#register-snapshot-compare-button').prop('disabled', !hasSnapshots);
+    $('#register-snapshot-save-button').prop('disabled', !hasSnapshots);
+}
+
+
+function addSnapshot(snapshot)
+{
+    registerSnapshots.push(snapshot);
+    renderSnapshotSelects();
+    // Select the new snapshot as B so that it is compared against A.
+    $('#register-snapshot-b-select').val(String(registerSnapshots.length - 1));
+}
+
+
+/**
+ * Take a snapshot of the readable configuration registers of the device
+ * picked in the snapshot panel.
+**/
+function takeRegisterSnapshot()
+{
+    var serial = $('#register-snapshot-device').val();
+    var device = device_controller.getDeviceKeeper().getDevices().filter(
+        function (device) {
+            return String(device.getSerial()) === serial;
+        }
+    )[0];
+    if (device === undefined) {
+        showSnapshotMessage('Select a device to take a snapshot of.');
+        return;
+    }
+
+    var registers = register_snapshots.selectSnapshotRegisters(
+        localRegistersList,
+        device.getDeviceType(),
+        device.getFirmwareVersion()
+    );
+    $('#register-snapshot-take-button').prop('disabled', true);
+    showSnapshotMessage('Reading ' + registers.length.toString() + ' registers...');
+    register_snapshots.takeSnapshot(device, registers)
+    .then(function (snapshot) {
+        var numErrors = Object.keys(snapshot.errors).length;
+        if (numErrors > 0) {
+            showSnapshotMessage(
+                numErrors.toString() + ' registers could not be read: ' +
+                Object.keys(snapshot.errors).join(', ')
+            );
+        } else {
+            showSnapshotMessage(null);
+        }
+        addSnapshot(snapshot);
+    }, function (err) {
+        showSnapshotMessage('Failed to take the snapshot: ' + err);
+    })
+    .fin(function () {
+        $('#register-snapshot-take-button').prop('disabled', false);
+    });
+}
+
+
+function formatSnapshotValue(value)
+{
+    if (value === null) {
+        return '-';
+    }
+    return String(value);
+}
+
+
+/**
+ * Compare the snapshots picked as A and B and render the registers that
+ * differ with their descriptions.
+**/
+function compareRegisterSnapshots()
+{
+    var snapshotA = registerSnapshots[Number($('#register-snapshot-a-select').val())];
+    var snapshotB = registerSnapshots[Number($('#register-snapshot-b-select').val())];
+    if (snapshotA === undefined || snapshotB === undefined) {
+        return;
+    }
+
+    var result = register_snapshots.diffSnapshots(
+        snapshotA,
+        snapshotB,
+        registerInfoByName
+    );
+    var differences = result.differences.map(function (difference) {
+        var templateDifference = $.extend({}, difference);
+        templateDifference.valueA = formatSnapshotValue(difference.valueA);
+        templateDifference.valueB = formatSnapshotValue(difference.valueB);
+        return templateDifference;
+    });
+    var location = fs_facade.getExternalURI(REGISTER_SNAPSHOT_DIFF_TEMPLATE_SRC);
+    fs_facade.renderTemplate(
+        location,
+        {
+            'numCompared': result.numCompared,
+            'numDifferences': differences.length,
+            'hasDifferences': differences.length > 0,
+            'differences': differences,
+            'descriptionA': register_snapshots.describeSnapshot(snapshotA),
+            'descriptionB': register_snapshots.describeSnapshot(snapshotB)
+        },
+        genericErrorHandler,
+        function (renderedHTML) {
+            $('#register-snapshot-diff').html(renderedHTML);
+            runRedraw();
+        }
+    );
+}
+
+
+function saveRegisterSnapshot()
+{
+    var snapshot = registerSnapshots[Number($('#register-snapshot-a-select').val())];
+    if (snapshot === undefined) {
+        return;
+    }
+    var contents = register_snapshots.exportSnapshot(snapshot);
+
+    var chooser = $(fs_facade.getFileSaveAsID());
+    chooser.attr('nwsaveas', SNAPSHOT_FILE_NAME);
+    chooser.attr('accept', '.json');
+    chooser.attr('nwworkingdir', fs_facade.getDefaultFilePath());
+    chooser.unbind('change');
+    chooser.bind('change', function () {
+        var fileLoc = chooser.val();
+        chooser.val('');
+        if (fileLoc === '') {
+            return;
+        }
+        fs_facade.saveDataToFile(
+            fileLoc,
+            contents,
+            function (err) {
+                showSnapshotMessage('Failed to save the snapshot: ' + err);
+            },
+            function () {
+                showSnapshotMessage(null);
+            }
+        );
+    });
+    chooser.trigger('click');
+}
+
+
+/**
+ * Let the user pick a saved snapshot, like one of a known-good unit, to
+ * compare against.
+**/
+function loadRegisterSnapshot()
+{
+    var chooser = $(fs_facade.getFileLoadID());
+    chooser.val('');
+    chooser.attr('accept', '.json');
+    chooser.unbind('change');
+    chooser.bind('change', function () {
+        var fileLoc = chooser.val();
+        chooser.val('');
+        if (fileLoc === '') {
+            return;
+        }
+        fs.readFile(fileLoc, 'utf8', function (err, contents) {
+            if (err) {
+                showSnapshotMessage('Failed to read the snapshot: ' + err);
+                return;
+            }
+            var snapshot;
+            try {
+                snapshot = register_snapshots.importSnapshot(contents);
+            } catch (importError) {
+                showSnapshotMessage(importError);
+                return;
+            }
+            showSnapshotMessage(null);
+            addSnapshot(snapshot);
+        });
+    });
+    chooser.trigger('click');
+}
+
+
+function initializeRegisterSnapshots()
+{
+    renderSnapshotSelects();
+    $('#register-snapshot-take-button').click(takeRegisterSnapshot);
+    $('#register-snapshot-load-button').click(loadRegisterSnapshot);
+    $('#register-snapshot-compare-button').click(compareRegisterSnapshots);
+    $('#register-snapshot-save-button').click(saveRegisterSnapshot);
+}
+
+
+function getVirtualDisplayID (register, channel)
+{
+    return String(register.address) + '-' + channel.name + '-virtual-display';
+}
+
+
+/**
+ * Load the virtual channels so that watched registers also show their
+ * scaled values.
+ *
+ * @return {q.promise} Promise that resolves once the channels are loaded.
+**/
+function initializeVirtualChannels()
+{
+    var globalDataManager;
+    if (typeof(GLOBAL_DATA_MANAGER) !== 'undefined') {
+        globalDataManager = GLOBAL_DATA_MANAGER;
+    }
+    return virtual_channels.loadModuleData(globalDataManager)
+    .then(function (moduleData) {
+        virtualChannels = moduleData.channels;
+    }, function (err) {
+        showWatchlistMessage('Failed to load the virtual channels: ' + err);
+    });
+}
+
+
+function updateVirtualChannelDisplays (register, value)
+{
+    var channels = virtual_channels.getChannelsForSource(
+        virtualChannels,
+        register.name
+    );
+    channels.forEach(function (channel) {
+        var displaySelector = '#' + getVirtualDisplayID(register, channel);
+        $(displaySelector).html(virtual_channels.formatValue(
+            channel,
+            virtual_channels.scaleChannel(channel, value)
+        ));
+    });
+}
+
+
+function createUpdateReadNumberRegistersCallback (readRegisters)
 {
     return function (results) {
         var deferred = q.defer();
         var numResults = results.length;
         for (var i=0; i<numResults; i++) {
-            var register = readAddresses[i];
+            var register = readRegisters[i];
             var value = results[i];
-            var displaySelector = '#' + String(register) + '-cur-val-display';
-            $(displaySelector).html(value.toFixed(6));
+            var displaySelector = '#' + String(register.address) + '-cur-val-display';
+            $(displaySelector).html(
+                register_watchlists.formatValue(value, register)
+            );
+            updateVirtualChannelDisplays(register, value);
         }
         deferred.resolve();
         return deferred.promise;
@@ -1126,8 +1926,16 @@ function updateReadRegisters ()
         return;
     }
 
-    var readRegisters = registerWatchList.filter(function (e) {
-        return !e.useAsWrite;
+    var now = Date.now();
+    var readRegisters = register_watchlists.getDueEntries(
+        registerWatchList.filter(function (e) {
+            return !e.useAsWrite;
+        }),
+        lastReadTimes,
+        now
+    );
+    readRegisters.forEach(function (e) {
+        lastReadTimes[e.name] = now;
     });
 
     var splitResult = splitByRetType(readRegisters);
@@ -1141,13 +1949,11 @@ function updateReadRegisters ()
         return e.address;
     });
 
+    // Chain every read so that an error only re-schedules this function once.
     var promise;
     if (numberReadAddresses.length > 0) {
-        promise = selectedDevice.readMany(numberReadAddresses);
-        promise.then(
-            createUpdateReadNumberRegistersCallback(numberReadAddresses),
-            onError
-        );
+        promise = selectedDevice.readMany(numberReadAddresses)
+        .then(createUpdateReadNumberRegistersCallback(numberReadRegisters));
     } else {
         var immediateDeferred = q.defer();
         promise = immediateDeferred.promise;
@@ -1155,18 +1961,18 @@ function updateReadRegisters ()
     }
 
     stringReadAddresses.forEach(function (address) {
-        promise.then(function () {
+        promise = promise.then(function () {
             var innerDeferred = q.defer();
             selectedDevice.readAsync(
                 address,
-                onError,
+                innerDeferred.reject,
                 function (val) {
                     updateStringRegisterCallback(address, val);
                     innerDeferred.resolve();
                 }
             );
             return innerDeferred.promise;
-        }, onError);
+        });
     });
 
     promise.then(
@@ -1207,6 +2013,11 @@ $('#register-matrix-holder').ready(function(){
         // $('#device-selector').fadeIn();
         var serialNum = $('input[name=deviceSelectionRadios]:checked').val();
         setSelectedDevice(serialNum);
+        // Keep watching the registers the newly selected device supports.
+        loadWatchlist({
+            'name': watchlistUserData.activeWatchlist,
+            'entries': getCurrentEntries()
+        });
     });
 
     getRegisterInfo()
@@ -1219,12 +2030,18 @@ $('#register-matrix-holder').ready(function(){
     .then(flattenEntries)
     .then(renderRegistersTable)
     .then(qRunRedraw)
+    .then(initializeVirtualChannels)
+    .then(function () {
+        var keeper = device_controller.getDeviceKeeper();
+        selectedDevice = keeper.getDevices()[0];
+        return initializeWatchlists();
+    })
+    .then(initializeRegisterScripts)
+    .then(initializeRegisterSnapshots)
     .done(function () {
         unlockModuleLoader();
         KEYBOARD_EVENT_HANDLER.initInputListeners();
         reportTime('Finished!');
-        var keeper = device_controller.getDeviceKeeper();
-        selectedDevice = keeper.getDevices()[0];
         setTimeout(updateReadRegisters, REFRESH_DELAY);
     });
 });
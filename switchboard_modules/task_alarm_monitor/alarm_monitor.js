@@ -0,0 +1,528 @@
+/**
+ * alarm_monitor.js is a task that keeps checking the alarm rules defined in
+ * the Alarms module while Kipling is open, no matter which module is
+ * selected.  When an alarm is raised or cleared the task logs the event to a
+ * file, writes the rule's hardware alarm output & tells its listeners so the
+ * user can be alerted.  See alarm_rules.js for the rules.
+ */
+
+var fs = require('fs');
+var alarm_rules = require('./alarm_rules');
+
+var DEFAULT_SETTINGS = {
+	'pollPeriod': 1000,
+	'logFile': null
+};
+exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+var MIN_POLL_PERIOD = 100;
+exports.MIN_POLL_PERIOD = MIN_POLL_PERIOD;
+
+// Number of events kept in memory for getStatus.
+var MAX_NUM_EVENTS = 100;
+exports.MAX_NUM_EVENTS = MAX_NUM_EVENTS;
+
+// Register read to check that devices with only "disconnected" rules respond.
+var CONNECTION_CHECK_REGISTER = 'PRODUCT_ID';
+
+exports.validateRule = alarm_rules.validateRule;
+exports.describeRule = alarm_rules.describeRule;
+
+var q;
+var dict;
+var async;
+var task_manager;
+var device_controller;
+
+var task_state = '';
+var pollIntervalHandler;
+var settings;
+var alarmRules;
+var events;
+var listeners;
+var pendingPoll;
+var pendingLogWrite;
+
+/**
+ * getTaskState makes it possible for the taskManager to know the status of
+ * each created task.
+ * @return {string} the state of the task.
+ */
+exports.getTaskState = function() {
+	return task_state;
+};
+
+var resetState = function() {
+	pollIntervalHandler = undefined;
+	settings = null;
+	alarmRules = [];
+	events = [];
+	pendingPoll = null;
+	pendingLogWrite = q.resolve();
+};
+
+/**
+ * includeTask is called by the task_manager to give the task the libraries it
+ * shares with Kipling.
+ */
+exports.includeTask = function(exposedLibs) {
+	q = exposedLibs.q;
+	dict = exposedLibs.dict;
+	async = exposedLibs.async;
+	task_manager = exposedLibs.task_manager;
+	device_controller = exposedLibs.device_controller;
+
+	// Set state to 'included'
+	task_state = task_manager.task_state_options[0];
+
+	listeners = dict();
+	resetState();
+};
+
+/**
+ * initTask is called by the task_manager when this task needs to be
+ * initialized.  Resets the task to its starting state, the rules are kept.
+ *
+ * @return {promise} q-promise
+ */
+var initTask = function() {
+	var defered = q.defer();
+	var rules = alarmRules.map(function(alarmRule) {
+		return alarmRule.rule;
+	});
+	resetState();
+	alarmRules = rules.map(alarm_rules.createAlarmRule);
+
+	// Set state to 'initialized'
+	task_state = task_manager.task_state_options[1];
+	defered.resolve();
+	return defered.promise;
+};
+exports.initTask = initTask;
+
+/**
+ * isInitialized is a function used specifically for testing.  It allows the
+ * task to report whether or not it was properly initialized.
+ *
+ * @return {Boolean} Boolean indicating if the task was initialized properly
+ */
+exports.isInitialized = function() {
+	var is_initialized = true;
+	if(typeof(q) === 'undefined' || typeof(dict) === 'undefined') {
+		is_initialized = false;
+	}
+	if(task_state === task_manager.task_state_options[0] || task_state === '') {
+		is_initialized = false;
+	}
+	if(typeof(pollIntervalHandler) !== 'undefined' || settings !== null) {
+		is_initialized = false;
+	}
+	return is_initialized;
+};
+
+exports.startTask = function() {
+	var defered = q.defer();
+	if(task_state === task_manager.task_state_options[1]) {
+		// Set state to 'idle', it becomes 'active' while monitoring.
+		task_state = task_manager.task_state_options[2];
+		defered.resolve();
+	} else {
+		defered.reject();
+	}
+	return defered.promise;
+};
+
+/**
+ * Listen for alarms being raised & cleared.
+ * @param {string}   key      Name of the listener, adding another listener
+ *                            with the same key replaces it.
+ * @param {function} listener Function called with each event, see
+ *                            alarm_rules.js' AlarmRule.check.
+ */
+exports.addAlarmListener = function(key, listener) {
+	listeners.set(key, listener);
+};
+
+exports.removeAlarmListener = function(key) {
+	if(listeners.has(key)) {
+		listeners.delete(key);
+	}
+};
+
+/**
+ * Replace the alarm rules.  Alarms of rules that are unchanged stay active,
+ * the outputs of active alarms whose rules were changed or removed are set
+ * back to their inactive values.
+ * @param  {array}   rules See alarm_rules.js.
+ * @return {promise}       q-promise rejecting with a description of the
+ *                         problem if the rules are invalid.
+ */
+exports.setRules = function(rules) {
+	var defered = q.defer();
+	var rulesError = alarm_rules.validateRules(rules);
+	if(rulesError !== null) {
+		defered.reject(rulesError);
+		return defered.promise;
+	}
+	var oldRules = alarmRules;
+	alarmRules = rules.map(function(rule) {
+		var ruleCopy = JSON.parse(JSON.stringify(rule));
+		var ruleStr = JSON.stringify(ruleCopy);
+		var unchangedRules = oldRules.filter(function(oldRule) {
+			return JSON.stringify(oldRule.rule) === ruleStr;
+		});
+		if(unchangedRules.length > 0) {
+			return unchangedRules[0];
+		}
+		return alarm_rules.createAlarmRule(ruleCopy);
+	});
+	var releasedOutputs = [];
+	oldRules.forEach(function(oldRule) {
+		if(oldRule.isActive && alarmRules.indexOf(oldRule) < 0) {
+			releasedOutputs.push(writeOutput(oldRule.rule, false));
+		}
+	});
+	q.allSettled(releasedOutputs)
+	.then(function() {
+		defered.resolve();
+	});
+	return defered.promise;
+};
+
+exports.getRules = function() {
+	return alarmRules.map(function(alarmRule) {
+		return JSON.parse(JSON.stringify(alarmRule.rule));
+	});
+};
+
+/**
+ * @return {boolean} True while the rules are being checked.
+ */
+var isMonitoring = function() {
+	return settings !== null;
+};
+exports.isMonitoring = isMonitoring;
+
+/**
+ * Write a rule's hardware alarm output.
+ */
+var writeOutput = function(rule, isActive) {
+	var output = rule.output;
+	if(typeof(output) === 'undefined' || output === null) {
+		return q.resolve();
+	}
+	var serial = String(output.serial || rule.serial);
+	var device = device_controller.getDeviceKeeper().getDevice(serial);
+	if(device === null) {
+		return q.reject('Alarm output device is not open: ' + serial);
+	}
+	var value = isActive ? output.activeValue : output.inactiveValue;
+	return device.qWrite(output.register, value);
+};
+
+var appendToLog = function(event) {
+	if(settings === null || settings.logFile === null) {
+		return;
+	}
+	var logFile = settings.logFile;
+	pendingLogWrite = pendingLogWrite.then(function() {
+		var defered = q.defer();
+		var line = alarm_rules.formatLogLine(event);
+		fs.exists(logFile, function(exists) {
+			if(!exists) {
+				line = alarm_rules.getLogHeader() + line;
+			}
+			fs.appendFile(logFile, line, function(err) {
+				if(err) {
+					console.error('Error writing the alarm log', logFile, err);
+				}
+				defered.resolve();
+			});
+		});
+		return defered.promise;
+	});
+};
+
+var handleEvent = function(alarmRule, event) {
+	events.push(event);
+	if(events.length > MAX_NUM_EVENTS) {
+		events.shift();
+	}
+	appendToLog(event);
+	listeners.forEach(function(listener, key) {
+		try {
+			listener(event);
+		} catch(err) {
+			console.error('Error in alarm listener', key, err);
+		}
+	});
+	return writeOutput(alarmRule.rule, event.kind === 'raised')
+	.then(undefined, function(err) {
+		console.error('Error writing alarm output', event.name, err);
+	});
+};
+
+/**
+ * Read registers of a device, rejecting with the LJM error code if they
+ * can't be read.  device.readMany resolves to the error code instead of
+ * rejecting for most errors.
+ */
+var readValues = function(device, registers) {
+	return device.readMany(registers)
+	.then(function(values) {
+		if(!Array.isArray(values)) {
+			throw values;
+		}
+		return values;
+	});
+};
+
+/**
+ * Read registers of a device.  If they can't be read together the device is
+ * only considered disconnected if CONNECTION_CHECK_REGISTER can't be read
+ * either, otherwise each register is read on its own so that a register the
+ * device doesn't have only affects its own rules.
+ * @return {promise} q-promise resolving to null if the device is
+ *                   disconnected, otherwise to {"values": [...], "errors":
+ *                   [...]} in the order of registers.  Errors are null for
+ *                   the registers that were read.
+ */
+var readDeviceRegisters = function(device, registers) {
+	return readValues(device, registers)
+	.then(function(values) {
+		return {
+			'values': values,
+			'errors': registers.map(function() {
+				return null;
+			})
+		};
+	}, function(err) {
+		return readValues(device, [CONNECTION_CHECK_REGISTER])
+		.then(function() {
+			return q.allSettled(registers.map(function(register) {
+				return readValues(device, [register]);
+			}));
+		}, function() {
+			return null;
+		})
+		.then(function(results) {
+			if(results === null) {
+				return null;
+			}
+			return {
+				'values': results.map(function(result) {
+					return result.state === 'fulfilled' ? result.value[0] : null;
+				}),
+				'errors': results.map(function(result, i) {
+					if(result.state === 'fulfilled') {
+						return null;
+					}
+					return 'Failed to read ' + registers[i] + ': ' + String(result.reason);
+				})
+			};
+		});
+	});
+};
+
+/**
+ * Read the registers of one device's rules & check the rules.
+ * @return {promise} q-promise resolving once the rules have been checked,
+ *                   never rejects.
+ */
+var checkDevice = function(serial, deviceRules, time) {
+	var defered = q.defer();
+	var registers = [];
+	deviceRules.forEach(function(alarmRule) {
+		var register = alarmRule.rule.register;
+		if(alarmRule.rule.type !== 'disconnected' && registers.indexOf(register) < 0) {
+			registers.push(register);
+		}
+	});
+	var readRegisters = registers.length > 0 ? registers : [CONNECTION_CHECK_REGISTER];
+	var checkRules = function(reading) {
+		var connected = reading !== null;
+		var outputWrites = [];
+		deviceRules.forEach(function(alarmRule) {
+			var value = null;
+			var error = null;
+			if(connected && alarmRule.rule.type !== 'disconnected') {
+				var index = registers.indexOf(alarmRule.rule.register);
+				value = reading.values[index];
+				error = reading.errors[index];
+			}
+			var event = alarmRule.check({
+				'time': time,
+				'connected': connected,
+				'value': value,
+				'error': error
+			});
+			if(event !== null) {
+				outputWrites.push(handleEvent(alarmRule, event));
+			}
+		});
+		return q.allSettled(outputWrites);
+	};
+	q.fcall(function() {
+		var device = device_controller.getDeviceKeeper().getDevice(serial);
+		if(device === null) {
+			return null;
+		}
+		return readDeviceRegisters(device, readRegisters);
+	})
+	.then(checkRules)
+	.fail(function(err) {
+		console.error('Error checking the alarms of device', serial, err);
+	})
+	.fin(function() {
+		defered.resolve();
+	});
+	return defered.promise;
+};
+
+/**
+ * Check every enabled rule once.  A check is skipped if the previous one
+ * hasn't finished yet.
+ * @return {promise} q-promise resolving once the rules have been checked.
+ */
+var checkRules = function() {
+	if(pendingPoll !== null) {
+		return pendingPoll;
+	}
+	var rulesBySerial = {};
+	alarmRules.forEach(function(alarmRule) {
+		if(!alarm_rules.isEnabled(alarmRule.rule)) {
+			return;
+		}
+		var serial = String(alarmRule.rule.serial);
+		if(typeof(rulesBySerial[serial]) === 'undefined') {
+			rulesBySerial[serial] = [];
+		}
+		rulesBySerial[serial].push(alarmRule);
+	});
+	var time = Date.now();
+	pendingPoll = q.all(Object.keys(rulesBySerial).map(function(serial) {
+		return checkDevice(serial, rulesBySerial[serial], time);
+	}))
+	.fail(function(err) {
+		console.error('Error checking the alarm rules', err);
+	})
+	.fin(function() {
+		pendingPoll = null;
+	});
+	return pendingPoll;
+};
+exports.checkRules = checkRules;
+
+/**
+ * Report the state of every rule and the recent events.
+ * @return {object} isMonitoring, pollPeriod, logFile, rules (each with name,
+ *                  type, serial, register, enabled, isActive, changeTime,
+ *                  lastValue, & readError), activeAlarms (names of the active alarms), &
+ *                  events (the last MAX_NUM_EVENTS events, oldest first).
+ */
+var getStatus = function() {
+	var currentSettings = settings || DEFAULT_SETTINGS;
+	return {
+		'isMonitoring': isMonitoring(),
+		'pollPeriod': currentSettings.pollPeriod,
+		'logFile': currentSettings.logFile,
+		'rules': alarmRules.map(function(alarmRule) {
+			return {
+				'name': alarmRule.rule.name,
+				'type': alarmRule.rule.type,
+				'serial': String(alarmRule.rule.serial),
+				'register': alarmRule.rule.register || '',
+				'message': alarm_rules.describeRule(alarmRule.rule),
+				'enabled': alarm_rules.isEnabled(alarmRule.rule),
+				'isActive': alarmRule.isActive,
+				'changeTime': alarmRule.changeTime,
+				'lastValue': alarmRule.lastValue,
+				'readError': alarmRule.readError
+			};
+		}),
+		'activeAlarms': alarmRules.filter(function(alarmRule) {
+			return alarmRule.isActive;
+		}).map(function(alarmRule) {
+			return alarmRule.rule.name;
+		}),
+		'events': events.slice()
+	};
+};
+exports.getStatus = getStatus;
+
+/**
+ * Start checking the rules.
+ * @param  {object}  newSettings Monitoring options:
+ *     "pollPeriod": ms between checks, at least MIN_POLL_PERIOD (default
+ *         1000).
+ *     "logFile": Path of the CSV file events are appended to, null to not
+ *         log events to a file (default null).
+ * @return {promise} q-promise resolving to the status (see getStatus) once
+ *                   the rules have been checked for the first time.
+ */
+exports.startMonitoring = function(newSettings) {
+	var defered = q.defer();
+	if(task_state !== task_manager.task_state_options[2]) {
+		defered.reject('The alarm monitor task is not started or is busy');
+		return defered.promise;
+	}
+	var resolvedSettings = {};
+	Object.keys(DEFAULT_SETTINGS).forEach(function(key) {
+		resolvedSettings[key] = DEFAULT_SETTINGS[key];
+	});
+	Object.keys(newSettings || {}).forEach(function(key) {
+		resolvedSettings[key] = newSettings[key];
+	});
+	var pollPeriod = resolvedSettings.pollPeriod;
+	if(typeof(pollPeriod) !== 'number' || isNaN(pollPeriod) || pollPeriod < MIN_POLL_PERIOD) {
+		defered.reject('Invalid poll period: ' + pollPeriod);
+		return defered.promise;
+	}
+
+	settings = resolvedSettings;
+	// Set state to 'active'
+	task_state = task_manager.task_state_options[3];
+	pollIntervalHandler = setInterval(checkRules, pollPeriod);
+	checkRules()
+	.then(function() {
+		defered.resolve(getStatus());
+	});
+	return defered.promise;
+};
+
+/**
+ * Stop checking the rules, waiting for a check in progress & for the events
+ * to be written to the log file.  Active alarms stay active.
+ * @return {promise} q-promise resolving to the final status, see getStatus.
+ */
+var stopMonitoring = function() {
+	var defered = q.defer();
+	if(!isMonitoring()) {
+		defered.resolve(getStatus());
+		return defered.promise;
+	}
+	clearInterval(pollIntervalHandler);
+	pollIntervalHandler = undefined;
+	q.resolve(pendingPoll)
+	.then(function() {
+		return pendingLogWrite;
+	})
+	.then(function() {
+		var status = getStatus();
+		status.isMonitoring = false;
+		settings = null;
+		// Set state to 'idle'
+		task_state = task_manager.task_state_options[2];
+		defered.resolve(status);
+	});
+	return defered.promise;
+};
+exports.stopMonitoring = stopMonitoring;
+
+exports.stopTask = function() {
+	var defered = q.defer();
+	stopMonitoring()
+	.then(initTask)
+	.then(defered.resolve, defered.reject);
+	return defered.promise;
+};
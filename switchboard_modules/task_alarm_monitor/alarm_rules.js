@@ -0,0 +1,270 @@
+/**
+ * alarm_rules.js decides when the alarms watched by the task_alarm_monitor
+ * task are raised and cleared.
+ *
+ * Rules:
+ *     {"name": "Tank pressure", "serial": "470010001", "type": "high",
+ *         "register": "AIN0", "limit": 4.5, "deadband": 0.1 (default 0)}
+ *         Raised while the register is above the limit, cleared once it
+ *         drops to the limit minus the deadband.  "low" rules work the same
+ *         way for readings below the limit.
+ *     {"type": "rateOfChange", "register": "AIN1", "limit": 0.5,
+ *         "deadband": 0 (default)}
+ *         Raised while the register changes faster than limit units per
+ *         second in either direction.
+ *     {"type": "dioState", "register": "FIO2", "state": 0 or 1}
+ *         Raised while the DIO line is in the given state.
+ *     {"type": "disconnected"}
+ *         Raised while the device can't be read.
+ *
+ * Every rule can also be given "enabled": false to ignore it and an "output":
+ * {"register": "FIO3" or "DAC0", "activeValue": 1, "inactiveValue": 0,
+ * "serial": device to write to (defaults to the rule's device)} that is
+ * written when the alarm is raised & cleared, for example to drive a beacon.
+ */
+
+var RULE_TYPES = ['high', 'low', 'rateOfChange', 'dioState', 'disconnected'];
+exports.RULE_TYPES = RULE_TYPES;
+
+var isNumber = function(value) {
+	return typeof(value) === 'number' && !isNaN(value);
+};
+
+var isNonNegativeNumber = function(value) {
+	return isNumber(value) && value >= 0;
+};
+
+var validateOutput = function(output) {
+	if(typeof(output.register) !== 'string' || output.register === '') {
+		return 'Invalid alarm output register: ' + output.register;
+	}
+	if(!isNumber(output.activeValue) || !isNumber(output.inactiveValue)) {
+		return 'Alarm outputs need a numeric activeValue and inactiveValue';
+	}
+	return null;
+};
+
+/**
+ * Check an alarm rule.
+ * @param  {object} rule The rule, see the description at the top of the file.
+ * @return {string}      Description of the first problem or null if the rule
+ *                       is valid.
+ */
+var validateRule = function(rule) {
+	if(typeof(rule.name) !== 'string' || rule.name.trim() === '') {
+		return 'Invalid alarm name: ' + rule.name;
+	}
+	var prefix = rule.name + ': ';
+	if(RULE_TYPES.indexOf(rule.type) < 0) {
+		return prefix + 'Invalid alarm type: ' + rule.type;
+	}
+	if(typeof(rule.serial) === 'undefined' || String(rule.serial) === '') {
+		return prefix + 'Missing device serial number';
+	}
+	if(rule.type !== 'disconnected') {
+		if(typeof(rule.register) !== 'string' || rule.register === '') {
+			return prefix + 'Invalid register: ' + rule.register;
+		}
+	}
+	if(rule.type === 'high' || rule.type === 'low') {
+		if(!isNumber(rule.limit)) {
+			return prefix + 'Invalid limit: ' + rule.limit;
+		}
+	} else if(rule.type === 'rateOfChange') {
+		if(!isNonNegativeNumber(rule.limit)) {
+			return prefix + 'Invalid rate limit: ' + rule.limit;
+		}
+	} else if(rule.type === 'dioState') {
+		if(rule.state !== 0 && rule.state !== 1) {
+			return prefix + 'Invalid DIO state: ' + rule.state;
+		}
+	}
+	if(typeof(rule.deadband) !== 'undefined') {
+		if(!isNonNegativeNumber(rule.deadband)) {
+			return prefix + 'Invalid deadband: ' + rule.deadband;
+		}
+	}
+	if(typeof(rule.output) !== 'undefined' && rule.output !== null) {
+		var outputError = validateOutput(rule.output);
+		if(outputError !== null) {
+			return prefix + outputError;
+		}
+	}
+	return null;
+};
+exports.validateRule = validateRule;
+
+/**
+ * Check a list of alarm rules.
+ * @param  {array}  rules The rules.
+ * @return {string}       Description of the first problem or null if all of
+ *                        the rules are valid & their names are unique.
+ */
+exports.validateRules = function(rules) {
+	if(!Array.isArray(rules)) {
+		return 'Alarm rules must be an array';
+	}
+	var error = null;
+	var names = [];
+	rules.forEach(function(rule) {
+		if(error !== null) {
+			return;
+		}
+		error = validateRule(rule);
+		if(error === null && names.indexOf(rule.name) >= 0) {
+			error = 'Alarm defined more than once: ' + rule.name;
+		}
+		names.push(rule.name);
+	});
+	return error;
+};
+
+/**
+ * @param  {object}  rule The rule.
+ * @return {boolean}      True if the rule should be checked.
+ */
+exports.isEnabled = function(rule) {
+	return rule.enabled !== false;
+};
+
+var describeRule = function(rule) {
+	var deviceStr = 'device ' + String(rule.serial);
+	if(rule.type === 'disconnected') {
+		return deviceStr + ' is disconnected';
+	}
+	var registerStr = rule.register + ' of ' + deviceStr;
+	if(rule.type === 'high') {
+		return registerStr + ' is above ' + rule.limit.toString();
+	} else if(rule.type === 'low') {
+		return registerStr + ' is below ' + rule.limit.toString();
+	} else if(rule.type === 'rateOfChange') {
+		return registerStr + ' is changing faster than ' +
+			rule.limit.toString() + '/s';
+	}
+	return registerStr + ' is ' + (rule.state === 1 ? 'high' : 'low');
+};
+exports.describeRule = describeRule;
+
+/**
+ * Tracks whether a rule's alarm is active.
+ * @param {object} rule A valid rule.
+ */
+function AlarmRule(rule) {
+	this.rule = rule;
+	this.isActive = false;
+	// Time the alarm was last raised or cleared.
+	this.changeTime = null;
+	this.lastValue = null;
+	this.lastTime = null;
+	this.lastRate = null;
+	// Why the rule's register couldn't be read by the last check, if it
+	// couldn't.
+	this.readError = null;
+
+	var deadband = rule.deadband || 0;
+
+	// Decide whether the alarm should be active for a reading, undefined
+	// means the reading doesn't change the alarm.
+	var getIsActive = function(sample) {
+		if(self.rule.type === 'disconnected') {
+			return !sample.connected;
+		}
+		if(!sample.connected || !isNumber(sample.value)) {
+			return undefined;
+		}
+		var value = sample.value;
+		var limit = self.rule.limit;
+		if(self.rule.type === 'high') {
+			return self.isActive ? value > limit - deadband : value > limit;
+		} else if(self.rule.type === 'low') {
+			return self.isActive ? value < limit + deadband : value < limit;
+		} else if(self.rule.type === 'dioState') {
+			return value === self.rule.state;
+		}
+		// rateOfChange needs a previous reading.
+		if(self.lastTime === null || sample.time <= self.lastTime) {
+			return undefined;
+		}
+		var seconds = (sample.time - self.lastTime) / 1000;
+		var rate = Math.abs(value - self.lastValue) / seconds;
+		self.lastRate = rate;
+		return self.isActive ? rate > limit - deadband : rate > limit;
+	};
+
+	/**
+	 * Check a reading of the rule's register.
+	 * @param  {object} sample {"time": ms since the epoch, "connected":
+	 *                         false if the device couldn't be read, "value":
+	 *                         the register's value, "error": optional
+	 *                         description of why the register couldn't be
+	 *                         read}.  A read error doesn't change the alarm.
+	 * @return {object}        An event if the alarm was raised or cleared,
+	 *                         otherwise null.  Events have kind ("raised" or
+	 *                         "cleared"), name, type, serial, register,
+	 *                         value, time, & message attributes.
+	 */
+	this.check = function(sample) {
+		self.readError = sample.error || null;
+		var isActive = getIsActive(sample);
+		if(sample.connected && isNumber(sample.value)) {
+			self.lastValue = sample.value;
+			self.lastTime = sample.time;
+		}
+		if(typeof(isActive) === 'undefined' || isActive === self.isActive) {
+			return null;
+		}
+		self.isActive = isActive;
+		self.changeTime = sample.time;
+		var event = {
+			'kind': isActive ? 'raised' : 'cleared',
+			'name': self.rule.name,
+			'type': self.rule.type,
+			'serial': String(self.rule.serial),
+			'register': self.rule.register || '',
+			'value': sample.connected ? sample.value : null,
+			'time': sample.time,
+			'message': describeRule(self.rule)
+		};
+		if(!isActive) {
+			event.message = 'Cleared: ' + event.message;
+		}
+		return event;
+	};
+
+	var self = this;
+}
+
+exports.createAlarmRule = function(rule) {
+	return new AlarmRule(rule);
+};
+
+var LOG_COLUMNS = ['time', 'kind', 'name', 'serial', 'register', 'value', 'message'];
+exports.LOG_COLUMNS = LOG_COLUMNS;
+
+// Quote a CSV field if it contains a separator, quote, or line break.
+var formatLogField = function(value) {
+	var str = (value === null || typeof(value) === 'undefined') ? '' : String(value);
+	if((/[",\r\n]/).test(str)) {
+		str = '"' + str.replace(/"/g, '""') + '"';
+	}
+	return str;
+};
+
+/**
+ * Format an alarm event as a line of the alarm log file.
+ * @param  {object} event An event returned by AlarmRule.check.
+ * @return {string}       The CSV line including its line ending.
+ */
+exports.formatLogLine = function(event) {
+	return LOG_COLUMNS.map(function(column) {
+		var value = event[column];
+		if(column === 'time') {
+			value = new Date(value).toISOString();
+		}
+		return formatLogField(value);
+	}).join(',') + '\r\n';
+};
+
+exports.getLogHeader = function() {
+	return LOG_COLUMNS.join(',') + '\r\n';
+};
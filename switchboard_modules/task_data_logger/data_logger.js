@@ -0,0 +1,676 @@
+/**
+ * data_logger.js is the task behind the Data Logger module.  It reads the
+ * selected channels of one or more connected devices at a fixed sample rate
+ * and hands each device's rows to its own buffer in the
+ * task_data_output_buffer task, which writes them to log files.  Channels
+ * are polled with command-response reads up to MAX_POLLED_SAMPLE_RATE, faster
+ * rates stream them with the device's startStream.
+ */
+
+var path = require('path');
+
+var OUTPUT_BUFFER_TASK_NAME = 'task_data_output_buffer';
+
+var FILE_ENDINGS = {
+	'csv': '.csv',
+	'tsv': '.tsv',
+	'jsonl': '.jsonl',
+	'ndjson': '.ndjson',
+	'binary': '.klog'
+};
+exports.FORMATS = Object.keys(FILE_ENDINGS);
+
+// Channels are polled with command-response reads up to this rate, faster
+// rates use stream mode.
+var MAX_POLLED_SAMPLE_RATE = 100;
+exports.MAX_POLLED_SAMPLE_RATE = MAX_POLLED_SAMPLE_RATE;
+
+// A T7 stream's maximum number of samples per second, shared by all of the
+// registers a device logs.
+var MAX_SAMPLE_RATE = 100000;
+exports.MAX_SAMPLE_RATE = MAX_SAMPLE_RATE;
+
+var DEFAULT_CONFIG = {
+	'name': 'data_log',
+	'format': 'csv',
+	'timestamp': 'iso8601',
+	'sampleRate': 1
+};
+exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+var q;
+var dict;
+var async;
+var task_manager;
+var device_controller;
+
+var task_state = '';
+var sampleIntervalHandler;
+// The active logging session or null when not logging.
+var session;
+
+/**
+ * getTaskState makes it possible for the taskManager to know the status of
+ * each created task.
+ * @return {string} the state of the task.
+ */
+exports.getTaskState = function() {
+	return task_state;
+};
+
+/**
+ * includeTask is called by the task_manager to give the task the libraries it
+ * shares with Kipling.
+ */
+exports.includeTask = function(exposedLibs) {
+	q = exposedLibs.q;
+	dict = exposedLibs.dict;
+	async = exposedLibs.async;
+	task_manager = exposedLibs.task_manager;
+	device_controller = exposedLibs.device_controller;
+
+	// Set state to 'included'
+	task_state = task_manager.task_state_options[0];
+
+	sampleIntervalHandler = undefined;
+	session = null;
+};
+
+/**
+ * initTask is called by the task_manager when this task needs to be
+ * initialized.  Resets the task to its starting state.
+ *
+ * @return {promise} q-promise
+ */
+var initTask = function() {
+	var defered = q.defer();
+	sampleIntervalHandler = undefined;
+	session = null;
+
+	// Set state to 'initialized'
+	task_state = task_manager.task_state_options[1];
+	defered.resolve();
+	return defered.promise;
+};
+exports.initTask = initTask;
+
+/**
+ * isInitialized is a function used specifically for testing.  It allows the
+ * task to report whether or not it was properly initialized.
+ *
+ * @return {Boolean} Boolean indicating if the task was initialized properly
+ */
+exports.isInitialized = function() {
+	var is_initialized = true;
+	if(typeof(q) === 'undefined' || typeof(dict) === 'undefined') {
+		is_initialized = false;
+	}
+	if(typeof(async) === 'undefined') {
+		is_initialized = false;
+	}
+	if(task_state === task_manager.task_state_options[0] || task_state === '') {
+		is_initialized = false;
+	}
+	if(typeof(sampleIntervalHandler) !== 'undefined' || session !== null) {
+		is_initialized = false;
+	}
+	return is_initialized;
+};
+
+exports.startTask = function() {
+	var defered = q.defer();
+	if(task_state === task_manager.task_state_options[1]) {
+		// Set state to 'idle', it becomes 'active' while logging.
+		task_state = task_manager.task_state_options[2];
+		defered.resolve();
+	} else {
+		defered.reject();
+	}
+	return defered.promise;
+};
+
+/**
+ * Check the configuration given to startLogging.
+ * @param  {object} config See startLogging.
+ * @return {string}        Description of the first problem or null if the
+ *                         configuration is valid.
+ */
+var validateConfig = function(config) {
+	if(typeof(config.location) !== 'string' || config.location === '') {
+		return 'Invalid output folder: ' + config.location;
+	}
+	if(typeof(config.name) !== 'string' || !(/^[\w\-]+$/).test(config.name)) {
+		return 'Invalid log name: ' + config.name;
+	}
+	if(typeof(FILE_ENDINGS[config.format]) === 'undefined') {
+		return 'Invalid format: ' + config.format;
+	}
+	var sampleRate = config.sampleRate;
+	if(typeof(sampleRate) !== 'number' || isNaN(sampleRate) || sampleRate <= 0) {
+		return 'Invalid sample rate: ' + sampleRate;
+	}
+	if(sampleRate > MAX_SAMPLE_RATE) {
+		return 'Sample rate is limited to ' + MAX_SAMPLE_RATE.toString() + 'Hz';
+	}
+	var isStreamed = sampleRate > MAX_POLLED_SAMPLE_RATE;
+	if(!Array.isArray(config.devices) || config.devices.length === 0) {
+		return 'No devices selected';
+	}
+	var error = null;
+	var virtualChannels = config.virtualChannels || [];
+	if(!Array.isArray(virtualChannels)) {
+		return 'Invalid virtual channels: ' + virtualChannels;
+	}
+	var virtualNames = [];
+	virtualChannels.forEach(function(virtualChannel) {
+		if(error !== null) {
+			return;
+		}
+		var name = virtualChannel.name;
+		if(typeof(name) !== 'string' || name === '') {
+			error = 'Missing virtual channel name';
+		} else if(virtualNames.indexOf(name) >= 0) {
+			error = 'Virtual channel defined more than once: ' + name;
+		} else if(typeof(virtualChannel.source) !== 'string' || virtualChannel.source === '') {
+			error = 'Missing source register for virtual channel: ' + name;
+		} else if(typeof(virtualChannel.scale) !== 'function') {
+			error = 'Missing scale function for virtual channel: ' + name;
+		}
+		virtualNames.push(name);
+	});
+	if(error !== null) {
+		return error;
+	}
+	var virtualChannelsByName = {};
+	virtualChannels.forEach(function(virtualChannel) {
+		virtualChannelsByName[virtualChannel.name] = virtualChannel;
+	});
+	var serials = [];
+	config.devices.forEach(function(deviceConfig) {
+		if(error !== null) {
+			return;
+		}
+		var serial = String(deviceConfig.serial);
+		var channels = deviceConfig.channels;
+		if(typeof(deviceConfig.serial) === 'undefined') {
+			error = 'Missing device serial number';
+		} else if(serials.indexOf(serial) >= 0) {
+			error = 'Device selected more than once: ' + serial;
+		} else if(!Array.isArray(channels) || channels.length === 0) {
+			error = 'No channels selected for device: ' + serial;
+		} else if(isStreamed) {
+			var numRegisters = getReadRegisters(channels, virtualChannelsByName).length;
+			if(sampleRate * numRegisters > MAX_SAMPLE_RATE) {
+				error = 'Sample rate times the number of registers is limited to ' +
+					MAX_SAMPLE_RATE.toString() + ' samples per second for device: ' +
+					serial;
+			}
+		}
+		serials.push(serial);
+	});
+	return error;
+};
+exports.validateConfig = validateConfig;
+
+var resolveConfig = function(config) {
+	var resolved = {};
+	Object.keys(DEFAULT_CONFIG).forEach(function(key) {
+		resolved[key] = DEFAULT_CONFIG[key];
+	});
+	Object.keys(config).forEach(function(key) {
+		resolved[key] = config[key];
+	});
+	return resolved;
+};
+
+// The task_data_output_buffer task has to be running before buffers can be
+// added to it.
+var getOutputBufferTask = function() {
+	var defered = q.defer();
+	var outputTask = task_manager.getTask(OUTPUT_BUFFER_TASK_NAME);
+	if(typeof(outputTask) === 'undefined' || outputTask === null) {
+		defered.reject('The ' + OUTPUT_BUFFER_TASK_NAME + ' task is not loaded');
+		return defered.promise;
+	}
+	var startOutputTask = function() {
+		outputTask.startTask()
+		.then(function() {
+			defered.resolve(outputTask);
+		}, defered.reject);
+	};
+	var outputTaskState = outputTask.getTaskState();
+	if(outputTaskState === task_manager.task_state_options[0]) {
+		outputTask.initTask().then(startOutputTask, defered.reject);
+	} else if(outputTaskState === task_manager.task_state_options[1]) {
+		startOutputTask();
+	} else {
+		defered.resolve(outputTask);
+	}
+	return defered.promise;
+};
+
+var getBufferKey = function(serial) {
+	return 'data_logger_' + serial;
+};
+
+/**
+ * Work out which registers have to be read for a device's channels.  Virtual
+ * channels are replaced by their source registers & each register is read
+ * once even if several channels use it.
+ */
+var getReadRegisters = function(channels, virtualChannels) {
+	var registers = [];
+	channels.forEach(function(channel) {
+		var register = channel;
+		if(typeof(virtualChannels[channel]) !== 'undefined') {
+			register = virtualChannels[channel].source;
+		}
+		if(registers.indexOf(register) < 0) {
+			registers.push(register);
+		}
+	});
+	return registers;
+};
+
+/**
+ * Describe the virtual channels logged for a device so that the log file
+ * records what the scaled columns mean.
+ */
+var getVirtualChannelMetadata = function(loggedDevice) {
+	var metadata = {};
+	loggedDevice.channels.forEach(function(channel) {
+		var virtualChannel = loggedDevice.virtualChannels[channel];
+		if(typeof(virtualChannel) !== 'undefined') {
+			metadata[channel] = {
+				'source': virtualChannel.source,
+				'label': virtualChannel.label || channel,
+				'unit': virtualChannel.unit || ''
+			};
+		}
+	});
+	return metadata;
+};
+
+/**
+ * Add an output buffer for one of the devices being logged.
+ */
+var addDeviceBuffer = function(outputTask, config, loggedDevice) {
+	var defered = q.defer();
+	var virtualChannelMetadata = getVirtualChannelMetadata(loggedDevice);
+	var createBuffer = function(metadata) {
+		if(Object.keys(virtualChannelMetadata).length > 0) {
+			metadata.virtualChannels = virtualChannelMetadata;
+		}
+		outputTask.addOutputBuffer({
+			'key': getBufferKey(loggedDevice.serial),
+			'type': 'localFile',
+			'location': config.location,
+			'fileName': config.name + '_' + loggedDevice.serial,
+			'fileEnding': FILE_ENDINGS[config.format],
+			'dataKeys': loggedDevice.channels,
+			'includeHeaderInfo': true,
+			'metadata': metadata,
+			'formatting': {
+				'format': config.format,
+				'timestamp': config.timestamp
+			}
+		})
+		.then(function(dataBuffer) {
+			loggedDevice.dataBuffer = dataBuffer;
+			defered.resolve(loggedDevice);
+		}, defered.reject);
+	};
+	outputTask.collectDeviceMetadata(loggedDevice.device, loggedDevice.readRegisters)
+	.then(createBuffer, function(err) {
+		console.error('Error collecting device metadata', loggedDevice.serial, err);
+		createBuffer({'deviceSerial': loggedDevice.serial});
+	});
+	return defered.promise;
+};
+
+/**
+ * Turn the values read from a device's readRegisters into a row of its
+ * channels, scaling the virtual channels.
+ */
+var createRow = function(loggedDevice, results) {
+	var row = {};
+	loggedDevice.channels.forEach(function(channel) {
+		var virtualChannel = loggedDevice.virtualChannels[channel];
+		var register = channel;
+		if(typeof(virtualChannel) !== 'undefined') {
+			register = virtualChannel.source;
+		}
+		var value = results[loggedDevice.readRegisters.indexOf(register)];
+		if(typeof(virtualChannel) !== 'undefined') {
+			value = virtualChannel.scale(value);
+		}
+		row[channel] = value;
+	});
+	return row;
+};
+
+/**
+ * Read the channels of a device & write them to its buffer.  A sample is
+ * skipped if the previous read hasn't finished yet.
+ */
+var sampleDevice = function(loggedDevice) {
+	if(loggedDevice.pendingRead !== null) {
+		loggedDevice.numSkippedSamples += 1;
+		return;
+	}
+	var defered = q.defer();
+	loggedDevice.pendingRead = defered.promise;
+	loggedDevice.device.readMany(loggedDevice.readRegisters)
+	.then(function(results) {
+		loggedDevice.dataBuffer.write('single', createRow(loggedDevice, results));
+		loggedDevice.numSamples += 1;
+		loggedDevice.pendingRead = null;
+		defered.resolve();
+	}, function(err) {
+		loggedDevice.numReadErrors += 1;
+		loggedDevice.lastError = err;
+		loggedDevice.pendingRead = null;
+		defered.resolve();
+	});
+};
+
+var sampleDevices = function() {
+	session.devices.forEach(sampleDevice);
+};
+
+/**
+ * Stream the channels of a device, writing each scan to its buffer with the
+ * time it was taken.  Scans the device had to skip are counted as skipped
+ * samples.  A failed stream stops & is reported as a read error.
+ */
+var startDeviceStream = function(loggedDevice, sampleRate) {
+	return loggedDevice.device.startStream({
+		'scanList': loggedDevice.readRegisters,
+		'scanRate': sampleRate,
+		'onScans': function(scanData) {
+			scanData.scans.forEach(function(scan) {
+				loggedDevice.dataBuffer.write(
+					'single',
+					createRow(loggedDevice, scan.values),
+					scan.time
+				);
+			});
+			loggedDevice.numSamples += scanData.scans.length;
+			loggedDevice.numSkippedSamples += scanData.numSkippedScans;
+		},
+		'onError': function(err) {
+			loggedDevice.numReadErrors += 1;
+			loggedDevice.lastError = err;
+		}
+	})
+	.then(function() {
+		loggedDevice.isStreaming = true;
+	});
+};
+
+/**
+ * Stop the streams started by startDeviceStream.
+ */
+var stopDeviceStreams = function(loggedDevices) {
+	return q.all(loggedDevices.filter(function(loggedDevice) {
+		return loggedDevice.isStreaming;
+	}).map(function(loggedDevice) {
+		loggedDevice.isStreaming = false;
+		return loggedDevice.device.stopStream()
+		.fail(function(err) {
+			console.error('Error stopping stream', loggedDevice.serial, err);
+		});
+	}));
+};
+
+var getDeviceStatus = function(loggedDevice) {
+	var bufferStatus = {
+		'numRowsWritten': 0,
+		'filePaths': [],
+		'isRecording': false
+	};
+	if(loggedDevice.dataBuffer !== null) {
+		bufferStatus = loggedDevice.dataBuffer.getStatus();
+	}
+	return {
+		'serial': loggedDevice.serial,
+		'channels': loggedDevice.channels.slice(),
+		'numSamples': loggedDevice.numSamples,
+		'numSkippedSamples': loggedDevice.numSkippedSamples,
+		'numReadErrors': loggedDevice.numReadErrors,
+		'lastError': loggedDevice.lastError,
+		'numRowsWritten': bufferStatus.numRowsWritten,
+		'filePaths': bufferStatus.filePaths,
+		'fileNames': bufferStatus.filePaths.map(function(filePath) {
+			return path.basename(filePath);
+		})
+	};
+};
+
+/**
+ * Report the progress of the current (or last) logging session.
+ * @return {object} isLogging, startTime & elapsedTime (ms), sampleRate,
+ *                  isStreamed (true if stream mode is used), and a list of
+ *                  devices each with serial, channels, numSamples,
+ *                  numSkippedSamples, numReadErrors, lastError,
+ *                  numRowsWritten, filePaths, & fileNames.  null if nothing
+ *                  has been logged.
+ */
+var getStatus = function() {
+	if(session === null) {
+		return null;
+	}
+	var endTime = session.stopTime || Date.now();
+	return {
+		'isLogging': session.stopTime === null,
+		'startTime': session.startTime,
+		'elapsedTime': endTime - session.startTime,
+		'sampleRate': session.config.sampleRate,
+		'isStreamed': session.isStreamed,
+		'location': session.config.location,
+		'devices': session.devices.map(getDeviceStatus)
+	};
+};
+exports.getStatus = getStatus;
+
+/**
+ * @return {boolean} True while a logging session is running.
+ */
+var isLogging = function() {
+	return session !== null && session.stopTime === null;
+};
+exports.isLogging = isLogging;
+
+/**
+ * Start logging.
+ * @param  {object} config Logging options:
+ *     "devices": Array of {"serial": ..., "channels": [register names]}, each
+ *         device must be open.  Channels may also be the names of virtual
+ *         channels.
+ *     "virtualChannels": Optional array of {"name": ..., "source": register
+ *         name, "scale": function(raw) returning the scaled value, "label":
+ *         ..., "unit": ...}.  A virtual channel logs the scaled reading of its
+ *         source register in its own column.
+ *     "sampleRate": Samples per second (default 1).  Rates above
+ *         MAX_POLLED_SAMPLE_RATE stream the channels, the rate times the
+ *         number of registers read from a device may not exceed
+ *         MAX_SAMPLE_RATE.
+ *     "location": The folder to save log files in.
+ *     "name": Log files are named name_serial_N.ending (default "data_log").
+ *     "format": One of FORMATS (default "csv").
+ *     "timestamp": Timestamp format, see task_data_output_buffer's
+ *         output_formats.js (default "iso8601").
+ * @return {promise} q-promise resolving to the status (see getStatus) once
+ *                   logging has started.
+ */
+exports.startLogging = function(config) {
+	var defered = q.defer();
+	if(task_state !== task_manager.task_state_options[2]) {
+		defered.reject('The data logger task is not started or is busy');
+		return defered.promise;
+	}
+	var resolvedConfig = resolveConfig(config);
+	var configError = validateConfig(resolvedConfig);
+	if(configError !== null) {
+		defered.reject(configError);
+		return defered.promise;
+	}
+	var deviceKeeper = device_controller.getDeviceKeeper();
+	var virtualChannels = {};
+	(resolvedConfig.virtualChannels || []).forEach(function(virtualChannel) {
+		virtualChannels[virtualChannel.name] = virtualChannel;
+	});
+	var loggedDevices = [];
+	resolvedConfig.devices.forEach(function(deviceConfig) {
+		var serial = String(deviceConfig.serial);
+		loggedDevices.push({
+			'serial': serial,
+			'channels': deviceConfig.channels.slice(),
+			'readRegisters': getReadRegisters(deviceConfig.channels, virtualChannels),
+			'virtualChannels': virtualChannels,
+			'device': deviceKeeper.getDevice(serial),
+			'dataBuffer': null,
+			'pendingRead': null,
+			'isStreaming': false,
+			'numSamples': 0,
+			'numSkippedSamples': 0,
+			'numReadErrors': 0,
+			'lastError': null
+		});
+	});
+	var closedDevices = loggedDevices.filter(function(loggedDevice) {
+		return loggedDevice.device === null;
+	});
+	if(closedDevices.length > 0) {
+		defered.reject('Device is not open: ' + closedDevices[0].serial);
+		return defered.promise;
+	}
+
+	var isStreamed = resolvedConfig.sampleRate > MAX_POLLED_SAMPLE_RATE;
+
+	// Set state to 'active'
+	task_state = task_manager.task_state_options[3];
+	getOutputBufferTask()
+	.then(function(outputTask) {
+		var innerDefered = q.defer();
+		async.eachSeries(
+			loggedDevices,
+			function(loggedDevice, callback) {
+				addDeviceBuffer(outputTask, resolvedConfig, loggedDevice)
+				.then(function() {
+					callback();
+				}, callback);
+			}, function(err) {
+				if(err) {
+					innerDefered.reject(err);
+				} else {
+					innerDefered.resolve();
+				}
+			});
+		return innerDefered.promise;
+	})
+	.then(function() {
+		if(!isStreamed) {
+			return;
+		}
+		// Wait for every device so that none are left streaming on error.
+		return q.allSettled(loggedDevices.map(function(loggedDevice) {
+			return startDeviceStream(loggedDevice, resolvedConfig.sampleRate);
+		}))
+		.then(function(results) {
+			results.forEach(function(result) {
+				if(result.state === 'rejected') {
+					throw result.reason;
+				}
+			});
+		});
+	})
+	.then(function() {
+		session = {
+			'config': resolvedConfig,
+			'devices': loggedDevices,
+			'isStreamed': isStreamed,
+			'startTime': Date.now(),
+			'stopTime': null
+		};
+		if(!isStreamed) {
+			sampleIntervalHandler = setInterval(
+				sampleDevices,
+				1000 / resolvedConfig.sampleRate
+			);
+			sampleDevices();
+		}
+		defered.resolve(getStatus());
+	}, function(err) {
+		// Don't leave the streams & buffers that were started behind.
+		stopDeviceStreams(loggedDevices)
+		.then(function() {
+			var outputTask = task_manager.getTask(OUTPUT_BUFFER_TASK_NAME);
+			loggedDevices.forEach(function(loggedDevice) {
+				if(loggedDevice.dataBuffer !== null) {
+					outputTask.removeOutputBuffer(getBufferKey(loggedDevice.serial));
+				}
+			});
+			task_state = task_manager.task_state_options[2];
+			defered.reject(err);
+		});
+	});
+	return defered.promise;
+};
+
+/**
+ * Stop logging, waiting for any reads that are in progress, for the streams
+ * to stop and for the buffered rows to be written.
+ * @return {promise} q-promise resolving to the final status, see getStatus.
+ */
+var stopLogging = function() {
+	var defered = q.defer();
+	if(!isLogging()) {
+		defered.resolve(getStatus());
+		return defered.promise;
+	}
+	clearInterval(sampleIntervalHandler);
+	sampleIntervalHandler = undefined;
+	var pendingReads = [];
+	session.devices.forEach(function(loggedDevice) {
+		if(loggedDevice.pendingRead !== null) {
+			pendingReads.push(loggedDevice.pendingRead);
+		}
+	});
+	pendingReads.push(stopDeviceStreams(session.devices));
+	var outputTask = task_manager.getTask(OUTPUT_BUFFER_TASK_NAME);
+	q.all(pendingReads)
+	.then(function() {
+		var innerDefered = q.defer();
+		async.each(
+			session.devices,
+			function(loggedDevice, callback) {
+				outputTask.removeOutputBuffer(getBufferKey(loggedDevice.serial))
+				.then(function() {
+					callback();
+				}, function(err) {
+					console.error('Error removing buffer', loggedDevice.serial, err);
+					callback();
+				});
+			}, function(err) {
+				innerDefered.resolve();
+			});
+		return innerDefered.promise;
+	})
+	.then(function() {
+		session.stopTime = Date.now();
+		// Set state to 'idle'
+		task_state = task_manager.task_state_options[2];
+		defered.resolve(getStatus());
+	}, defered.reject);
+	return defered.promise;
+};
+exports.stopLogging = stopLogging;
+
+exports.stopTask = function() {
+	var defered = q.defer();
+	stopLogging()
+	.then(initTask)
+	.then(defered.resolve, defered.reject);
+	return defered.promise;
+};
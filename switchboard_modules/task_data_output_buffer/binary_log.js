@@ -0,0 +1,433 @@
+/**
+ * binary_log.js implements the compact binary log format written by
+ * data_buffer.js when a buffer's "format" is "binary", and a reader that can
+ * extract time ranges from those logs & convert them to text.  Intended for
+ * long-duration captures where text logs get too large to post-process.
+ *
+ * File layout (all numbers little-endian):
+ *     "KLOG" magic, uint16 version, uint32 header length, JSON header
+ *         The header describes the columns ({name, type}), the record size,
+ *         the index interval, and the log's metadata.
+ *     Fixed-width records, one per row:
+ *         float64 time (ms since the epoch), a validity bit-field with one bit
+ *         per column (cleared for missing values), and each column's value.
+ *     Trailing index, written when the file is closed:
+ *         {float64 record number, float64 time} every indexInterval records,
+ *         float64 number of records, uint32 number of index entries, "KIDX".
+ * Logs that were never closed (no trailing index) can still be read, the
+ * reader falls back to scanning the records.
+ */
+
+var fs = require('fs');
+var output_formats = require('./output_formats');
+
+var MAGIC = 'KLOG';
+var INDEX_MAGIC = 'KIDX';
+var VERSION = 1;
+// magic, version, header length
+var PREFIX_SIZE = 4 + 2 + 4;
+// number of records, number of index entries, index magic
+var FOOTER_SIZE = 8 + 4 + 4;
+var INDEX_ENTRY_SIZE = 8 + 8;
+var TIME_SIZE = 8;
+var DEFAULT_COLUMN_TYPE = 'float64';
+var DEFAULT_INDEX_INTERVAL = 1000;
+// Number of records read from disk at a time.
+var READ_CHUNK_RECORDS = 4096;
+
+var COLUMN_TYPES = {
+	'float64': {'size': 8, 'write': 'writeDoubleLE', 'read': 'readDoubleLE', 'isInteger': false},
+	'float32': {'size': 4, 'write': 'writeFloatLE', 'read': 'readFloatLE', 'isInteger': false},
+	'int32': {'size': 4, 'write': 'writeInt32LE', 'read': 'readInt32LE', 'isInteger': true},
+	'uint32': {'size': 4, 'write': 'writeUInt32LE', 'read': 'readUInt32LE', 'isInteger': true},
+	'int16': {'size': 2, 'write': 'writeInt16LE', 'read': 'readInt16LE', 'isInteger': true},
+	'uint16': {'size': 2, 'write': 'writeUInt16LE', 'read': 'readUInt16LE', 'isInteger': true},
+	'int8': {'size': 1, 'write': 'writeInt8', 'read': 'readInt8', 'isInteger': true},
+	'uint8': {'size': 1, 'write': 'writeUInt8', 'read': 'readUInt8', 'isInteger': true}
+};
+exports.COLUMN_TYPES = Object.keys(COLUMN_TYPES);
+
+/**
+ * Check the "columnTypes" formatting option of a binary buffer.
+ * @param  {object} columnTypes Object mapping data keys to column types.
+ * @return {string}             Description of the first invalid column type
+ *                              or null if they are all valid.
+ */
+exports.validateColumnTypes = function(columnTypes) {
+	var error = null;
+	Object.keys(columnTypes || {}).forEach(function(key) {
+		if(error === null && typeof(COLUMN_TYPES[columnTypes[key]]) === 'undefined') {
+			error = 'Invalid column type for ' + key + ': ' + columnTypes[key];
+		}
+	});
+	return error;
+};
+
+var getBitFieldSize = function(numColumns) {
+	return Math.ceil(numColumns / 8);
+};
+
+/**
+ * Work out where each column is stored in a record.
+ * @param  {array} columns List of {name, type} objects.
+ * @return {object}        The record size & the offset of each column.
+ */
+var getRecordLayout = function(columns) {
+	var offset = TIME_SIZE + getBitFieldSize(columns.length);
+	var offsets = columns.map(function(column) {
+		var columnOffset = offset;
+		offset += COLUMN_TYPES[column.type].size;
+		return columnOffset;
+	});
+	return {'recordSize': offset, 'offsets': offsets};
+};
+
+var createBuffer = function(size) {
+	var buffer = new Buffer(size);
+	buffer.fill(0);
+	return buffer;
+};
+
+/**
+ * BinaryLogEncoder creates the contents of a single binary log file.
+ * @param {array}  dataKeys   The keys of the values in each row.
+ * @param {object} formatting The buffer's formatting options.  Uses the
+ *                            optional "columnTypes" (object mapping data keys
+ *                            to one of COLUMN_TYPES, "float64" by default) and
+ *                            "indexInterval" (number of records between index
+ *                            entries) options.
+ */
+function BinaryLogEncoder(dataKeys, formatting) {
+	var columnTypes = formatting.columnTypes || {};
+	this.columns = dataKeys.map(function(dataKey) {
+		return {'name': dataKey, 'type': columnTypes[dataKey] || DEFAULT_COLUMN_TYPE};
+	});
+	this.indexInterval = formatting.indexInterval || DEFAULT_INDEX_INTERVAL;
+	this.numRecords = 0;
+	this.index = [];
+
+	var layout = getRecordLayout(this.columns);
+	this.recordSize = layout.recordSize;
+
+	/**
+	 * @param  {object} metadata Information about the log & device.
+	 * @return {Buffer}          The start of the file.
+	 */
+	this.createHeader = function(metadata) {
+		var header = new Buffer(JSON.stringify({
+			'columns': self.columns,
+			'recordSize': self.recordSize,
+			'indexInterval': self.indexInterval,
+			'metadata': metadata
+		}), 'utf8');
+		var prefix = createBuffer(PREFIX_SIZE);
+		prefix.write(MAGIC, 0, 4, 'ascii');
+		prefix.writeUInt16LE(VERSION, 4);
+		prefix.writeUInt32LE(header.length, 6);
+		return Buffer.concat([prefix, header]);
+	};
+
+	/**
+	 * @param  {object} rowData Object mapping data keys to values.  Missing,
+	 *                          non-numeric, & out of range values are stored
+	 *                          as missing.
+	 * @param  {number} time    When the row was recorded, milliseconds since
+	 *                          the epoch.
+	 * @return {Buffer}         The encoded record.
+	 */
+	this.encodeRecord = function(rowData, time) {
+		var record = createBuffer(self.recordSize);
+		record.writeDoubleLE(time, 0);
+		self.columns.forEach(function(column, i) {
+			var columnType = COLUMN_TYPES[column.type];
+			var value = rowData[column.name];
+			if(typeof(value) === 'undefined' || value === null || value === '') {
+				return;
+			}
+			value = Number(value);
+			if(isNaN(value)) {
+				return;
+			}
+			if(columnType.isInteger) {
+				value = Math.round(value);
+			}
+			try {
+				record[columnType.write](value, layout.offsets[i]);
+			} catch(err) {
+				return;
+			}
+			var bitFieldIndex = TIME_SIZE + Math.floor(i / 8);
+			record[bitFieldIndex] |= (1 << (i % 8));
+		});
+		if(self.numRecords % self.indexInterval === 0) {
+			self.index.push([self.numRecords, time]);
+		}
+		self.numRecords += 1;
+		return record;
+	};
+
+	/**
+	 * @return {Buffer} The index & footer written at the end of the file.
+	 */
+	this.createTrailer = function() {
+		var trailer = createBuffer(
+			self.index.length * INDEX_ENTRY_SIZE + FOOTER_SIZE
+		);
+		var offset = 0;
+		self.index.forEach(function(entry) {
+			trailer.writeDoubleLE(entry[0], offset);
+			trailer.writeDoubleLE(entry[1], offset + 8);
+			offset += INDEX_ENTRY_SIZE;
+		});
+		trailer.writeDoubleLE(self.numRecords, offset);
+		trailer.writeUInt32LE(self.index.length, offset + 8);
+		trailer.write(INDEX_MAGIC, offset + 12, 4, 'ascii');
+		return trailer;
+	};
+	var self = this;
+}
+exports.BinaryLogEncoder = BinaryLogEncoder;
+
+/**
+ * BinaryLogReader reads records from a binary log file without loading the
+ * entire file.
+ * @param {string} filePath The log file to read.
+ * @throws {Error} If the file isn't a binary log.
+ */
+function BinaryLogReader(filePath) {
+	this.filePath = filePath;
+	this.header = null;
+	this.columns = [];
+	this.metadata = {};
+	this.numRecords = 0;
+	this.index = [];
+	this.isIndexed = false;
+
+	var fd = null;
+	var dataStart = 0;
+	var layout = null;
+
+	var readBytes = function(position, length) {
+		var buffer = createBuffer(length);
+		var numRead = fs.readSync(fd, buffer, 0, length, position);
+		return buffer.slice(0, numRead);
+	};
+
+	var readTrailer = function(fileSize) {
+		if(fileSize - dataStart < FOOTER_SIZE) {
+			return false;
+		}
+		var footer = readBytes(fileSize - FOOTER_SIZE, FOOTER_SIZE);
+		if(footer.toString('ascii', 12, 16) !== INDEX_MAGIC) {
+			return false;
+		}
+		var numRecords = footer.readDoubleLE(0);
+		var numEntries = footer.readUInt32LE(8);
+		var indexStart = fileSize - FOOTER_SIZE - numEntries * INDEX_ENTRY_SIZE;
+		if(indexStart !== dataStart + numRecords * layout.recordSize) {
+			return false;
+		}
+		var indexData = readBytes(indexStart, numEntries * INDEX_ENTRY_SIZE);
+		self.index = [];
+		for(var i = 0; i < numEntries; i++) {
+			self.index.push([
+				indexData.readDoubleLE(i * INDEX_ENTRY_SIZE),
+				indexData.readDoubleLE(i * INDEX_ENTRY_SIZE + 8)
+			]);
+		}
+		self.numRecords = numRecords;
+		return true;
+	};
+
+	var decodeRecord = function(data, offset) {
+		var values = {};
+		self.columns.forEach(function(column, i) {
+			var bitField = data[offset + TIME_SIZE + Math.floor(i / 8)];
+			if(bitField & (1 << (i % 8))) {
+				var columnType = COLUMN_TYPES[column.type];
+				values[column.name] = data[columnType.read](offset + layout.offsets[i]);
+			} else {
+				values[column.name] = null;
+			}
+		});
+		return {'time': data.readDoubleLE(offset), 'values': values};
+	};
+
+	var readTime = function(recordNumber) {
+		var position = dataStart + recordNumber * layout.recordSize;
+		return readBytes(position, TIME_SIZE).readDoubleLE(0);
+	};
+
+	/**
+	 * Open the file & read its header & index.
+	 */
+	this.open = function() {
+		fd = fs.openSync(self.filePath, 'r');
+		var prefix = readBytes(0, PREFIX_SIZE);
+		if(prefix.length < PREFIX_SIZE || prefix.toString('ascii', 0, 4) !== MAGIC) {
+			self.close();
+			throw new Error('Not a binary log file: ' + self.filePath);
+		}
+		var headerLength = prefix.readUInt32LE(6);
+		self.header = JSON.parse(readBytes(PREFIX_SIZE, headerLength).toString('utf8'));
+		self.columns = self.header.columns;
+		self.metadata = self.header.metadata;
+		dataStart = PREFIX_SIZE + headerLength;
+		layout = getRecordLayout(self.columns);
+
+		var fileSize = fs.fstatSync(fd).size;
+		self.isIndexed = readTrailer(fileSize);
+		if(!self.isIndexed) {
+			self.numRecords = Math.floor((fileSize - dataStart) / layout.recordSize);
+			self.index = [];
+		}
+	};
+
+	/**
+	 * Close the file.
+	 */
+	this.close = function() {
+		if(fd !== null) {
+			fs.closeSync(fd);
+			fd = null;
+		}
+	};
+
+	/**
+	 * Find the first record recorded at or after a time.
+	 * @param  {number} time Milliseconds since the epoch.
+	 * @return {number}      The record number, equal to numRecords if every
+	 *                       record is older than the time.
+	 */
+	this.findRecord = function(time) {
+		// Use the index to narrow down the search, then binary search the
+		// records themselves.
+		var low = 0;
+		var high = self.numRecords;
+		self.index.forEach(function(entry) {
+			if(entry[1] < time) {
+				low = Math.max(low, entry[0]);
+			} else {
+				high = Math.min(high, entry[0]);
+			}
+		});
+		while(low < high) {
+			var mid = Math.floor((low + high) / 2);
+			if(readTime(mid) < time) {
+				low = mid + 1;
+			} else {
+				high = mid;
+			}
+		}
+		return low;
+	};
+
+	/**
+	 * Call a function with each record in a time range.
+	 * @param  {number}   startTime First time to include (ms since the epoch),
+	 *                              the start of the log if undefined.
+	 * @param  {number}   endTime   Last time to include (ms since the epoch),
+	 *                              the end of the log if undefined.
+	 * @param  {function} onRecord  Called with {time, values} for each record.
+	 * @return {number}             The number of records found.
+	 */
+	this.forEachRecord = function(startTime, endTime, onRecord) {
+		var recordNumber = 0;
+		if(typeof(startTime) !== 'undefined' && startTime !== null) {
+			recordNumber = self.findRecord(startTime);
+		}
+		var hasEndTime = typeof(endTime) !== 'undefined' && endTime !== null;
+		var numFound = 0;
+		while(recordNumber < self.numRecords) {
+			var numToRead = Math.min(READ_CHUNK_RECORDS, self.numRecords - recordNumber);
+			var data = readBytes(
+				dataStart + recordNumber * layout.recordSize,
+				numToRead * layout.recordSize
+			);
+			for(var i = 0; i < numToRead; i++) {
+				var record = decodeRecord(data, i * layout.recordSize);
+				if(hasEndTime && record.time > endTime) {
+					return numFound;
+				}
+				onRecord(record);
+				numFound += 1;
+			}
+			recordNumber += numToRead;
+		}
+		return numFound;
+	};
+
+	/**
+	 * @param  {number} startTime First time to include (ms since the epoch).
+	 * @param  {number} endTime   Last time to include (ms since the epoch).
+	 * @return {array}            The {time, values} records in the range.
+	 */
+	this.readRange = function(startTime, endTime) {
+		var records = [];
+		self.forEachRecord(startTime, endTime, function(record) {
+			records.push(record);
+		});
+		return records;
+	};
+
+	/**
+	 * Convert a time range of the log to a text log.
+	 * @param  {string} outputPath Where to write the text log.
+	 * @param  {object} options    Optional "startTime" & "endTime", and the
+	 *                             "formatting" options of output_formats.js
+	 *                             (csv with iso8601 timestamps by default).
+	 *                             When "includeHeaderInfo" is true the log's
+	 *                             metadata is written first.
+	 * @return {number}            The number of rows written.
+	 */
+	this.convertToText = function(outputPath, options) {
+		var opts = options || {};
+		var givenFormatting = opts.formatting || {};
+		var formatting = {'timestamp': 'iso8601'};
+		Object.keys(givenFormatting).forEach(function(key) {
+			formatting[key] = givenFormatting[key];
+		});
+		var error = output_formats.validateFormatting(formatting);
+		if(error !== null) {
+			throw new Error(error);
+		}
+		formatting = output_formats.resolveFormatting(formatting);
+		if(formatting.isBinary) {
+			throw new Error('Can not convert to a binary log');
+		}
+		var dataKeys = self.columns.map(function(column) {
+			return column.name;
+		});
+		var formatter = new output_formats.Formatter(formatting, dataKeys);
+
+		var outFD = fs.openSync(outputPath, 'w');
+		var lines = [];
+		var writeLines = function() {
+			if(lines.length > 0) {
+				fs.writeSync(outFD, lines.join(''));
+				lines = [];
+			}
+		};
+		var text = '';
+		if(opts.includeHeaderInfo) {
+			text += formatter.formatMetadata(self.metadata);
+		}
+		lines.push(text + formatter.formatColumnHeader());
+		var numRows;
+		try {
+			numRows = self.forEachRecord(opts.startTime, opts.endTime, function(record) {
+				lines.push(formatter.formatRow(record.values, record.time) + formatting.lineEnding);
+				if(lines.length >= READ_CHUNK_RECORDS) {
+					writeLines();
+				}
+			});
+			writeLines();
+		} finally {
+			fs.closeSync(outFD);
+		}
+		return numRows;
+	};
+	var self = this;
+	this.open();
+}
+exports.BinaryLogReader = BinaryLogReader;
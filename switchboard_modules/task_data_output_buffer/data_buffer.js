@@ -3,6 +3,10 @@ var os = require('os');             //Load OS module
 var path = require('path');
 var EventEmitter = require('events').EventEmitter;
 var util = require('util');
+var output_formats = require('./output_formats');
+var binary_log = require('./binary_log');
+var file_rotation = require('./file_rotation');
+var triggers = require('./triggers');
 
 // Make this modune an event-emitter:
 // module.exports = new EventEmitter();
@@ -39,11 +43,35 @@ function createNewBuffer(initData) {
 	this.inactiveBuffer = 1;
 
 	this.fileReferences = dict();
+	this.clock = new output_formats.Clock();
+	this.formatter = null;
+	this.binaryEncoders = dict();
+
+	// The file that new rows are being added to & what has been added to it,
+	// used to decide when to start a new file.
+	this.curFileNumber = 0;
+	this.curFileSize = 0;
+	this.curFilePeriod = null;
+	this.headerSize = 0;
+	this.isFileStarted = false;
+	// Log file from a previous session that is being continued, see the
+	// "onSessionStart" rotation option.
+	this.resumedFile = null;
+	// Paths of the open files, keyed like fileReferences.
+	this.filePaths = dict();
+	// Files are closed in parallel so retention is applied one file at a time.
+	var retentionQueue = null;
+	// Decides which rows get logged when the buffer has start/stop conditions,
+	// null if every row is logged.
+	this.triggerGate = null;
+	// Rows passed to the file streams & every file this buffer has written to,
+	// reported by getStatus.
+	this.numRowsWritten = 0;
+	this.writtenFilePaths = [];
 
 	var lastProcessTime = 0;
 	var getTimeDifference = function() {
-		var d = new Date();
-		var newTime = (d.getMinutes() * 60 + d.getSeconds())*1000 + d.getMilliseconds();
+		var newTime = self.clock.now();
 		var retTime = 0;
 		if(lastProcessTime === 0) {
 			lastProcessTime = newTime;
@@ -59,12 +87,12 @@ function createNewBuffer(initData) {
 
 		// Default values
 		var newBufferInfo = {
-			'formatting': {
-				'lineEnding': '\r\n',
-				'valueSeparation': ', ',
-				'misingValue': '0.000000001'
-			},
+			'formatting': {},
+			'rotation': {},
+			'retention': {},
+			'triggering': {},
 			'includeHeaderInfo': false,
+			'metadata': {},
 			'maxNumRows': 65535,
 			'writeDelay': 1,
 			'curDelay': 1,
@@ -87,13 +115,57 @@ function createNewBuffer(initData) {
 			newBufferInfo[transferKey] = undefined;
 			delete newBufferInfo[transferKey];
 		});
-		var keysList = newBufferInfo.dataKeys;
-		var lastKey = keysList[keysList.length - 1];
-		newBufferInfo.lastKey = lastKey;
+		newBufferInfo.formatting = output_formats.resolveFormatting(
+			newBufferInfo.formatting
+		);
+		self.formatter = new output_formats.Formatter(
+			newBufferInfo.formatting,
+			newBufferInfo.dataKeys
+		);
+		// Binary logs are seekable through their index so they don't get split
+		// into multiple files by row count.
+		if(newBufferInfo.formatting.isBinary) {
+			self.maxNumRows = Infinity;
+		}
+		newBufferInfo.rotation = file_rotation.resolveOptions(
+			newBufferInfo.rotation,
+			file_rotation.DEFAULT_ROTATION
+		);
+		newBufferInfo.retention = file_rotation.resolveOptions(
+			newBufferInfo.retention,
+			file_rotation.DEFAULT_RETENTION
+		);
+		newBufferInfo.triggering = file_rotation.resolveOptions(
+			newBufferInfo.triggering,
+			triggers.DEFAULT_TRIGGERING
+		);
+		if(triggers.hasConditions(newBufferInfo.triggering)) {
+			self.triggerGate = new triggers.TriggerGate(
+				newBufferInfo.triggering,
+				newBufferInfo.dataKeys
+			);
+		}
 
 		var uniqueFileName = newBufferInfo.fileName;
 		var uniqueStr = '';
 		var makeUnique = true;
+		// Continue the last file of the previous session instead of starting a
+		// new one.  Binary logs end with their index so they can't be continued.
+		var continueLastFile = !newBufferInfo.rotation.onSessionStart;
+		if(continueLastFile && !newBufferInfo.formatting.isBinary) {
+			var lastLogFile = file_rotation.findLastLogFile(
+				file_rotation.findLogFiles(
+					newBufferInfo.location,
+					newBufferInfo.fileName,
+					newBufferInfo.fileEnding
+				)
+			);
+			if(lastLogFile !== null) {
+				self.resumedFile = lastLogFile;
+				self.curNumFiles = lastLogFile.fileNumber;
+				makeUnique = false;
+			}
+		}
 		while(makeUnique) {
 			var fileName = newBufferInfo.fileName;
 			var fileEnding = newBufferInfo.fileEnding;
@@ -131,6 +203,11 @@ function createNewBuffer(initData) {
 		var fileNumber = bundle.fileNumber;
 		bundle.uniqueFilePath = '';
 		var defered = q.defer();
+		if(bundle.append) {
+			bundle.uniqueFilePath = self.resumedFile.path;
+			defered.resolve(bundle);
+			return defered.promise;
+		}
 		var buildUniqueFilePath = function(num, uniqStr) {
 			var fileName = self.bufferInfo.uniqueFileName;
 			var fileEnding = self.bufferInfo.fileEnding;
@@ -155,7 +232,10 @@ function createNewBuffer(initData) {
 	};
 	this.createFileStream = function(bundle) {
 		var defered = q.defer();
-		var newWriteStream = fs.createWriteStream(bundle.uniqueFilePath);
+		var newWriteStream = fs.createWriteStream(
+			bundle.uniqueFilePath,
+			{'flags': bundle.append ? 'a' : 'w'}
+		);
 		newWriteStream.once('open', function() {
 			self.curNumFiles += 1;
 			bundle.fileStream = newWriteStream;
@@ -167,6 +247,10 @@ function createNewBuffer(initData) {
 		var defered = q.defer();
 		var newFileRefKey = getIncrementalFileName(bundle.fileNumber);
 		self.fileReferences.set(newFileRefKey, bundle.fileStream);
+		self.filePaths.set(newFileRefKey, bundle.uniqueFilePath);
+		if(self.writtenFilePaths.indexOf(bundle.uniqueFilePath) < 0) {
+			self.writtenFilePaths.push(bundle.uniqueFilePath);
+		}
 		defered.resolve(bundle);
 		return defered.promise;
 	};
@@ -184,23 +268,70 @@ function createNewBuffer(initData) {
 		});
 		return defered.promise;
 	};
+	/**
+	 * getHeaderMetadata describes how a file is formatted along with the
+	 * "metadata" given to addOutputBuffer (device serial, firmware, channel
+	 * ranges/resolution, see collectDeviceMetadata).
+	 * @return {object} the metadata.
+	 */
+	this.getHeaderMetadata = function() {
+		var formatting = self.bufferInfo.formatting;
+		var metadata = {
+			'created': output_formats.formatTimestamp(self.clock.now(), 'iso8601'),
+			'format': formatting.format,
+			'timestamp': formatting.timestamp,
+			'missingValue': formatting.missingValue,
+			'columns': self.formatter.getColumns()
+		};
+		var givenMetadata = self.bufferInfo.metadata;
+		Object.keys(givenMetadata).forEach(function(key) {
+			metadata[key] = givenMetadata[key];
+		});
+		return metadata;
+	};
+	/**
+	 * stringifyHeaderData creates the metadata block written at the top of each
+	 * text file when "includeHeaderInfo" is true.
+	 * @return {string} the metadata block.
+	 */
 	this.stringifyHeaderData = function() {
-		return '';
+		return self.formatter.formatMetadata(self.getHeaderMetadata());
+	};
+	/**
+	 * getBinaryEncoder gets the encoder that creates the contents of a binary
+	 * log file, each file has its own index so it needs its own encoder.
+	 * @param  {number} fileNumber The number of the file.
+	 * @return {BinaryLogEncoder}  The file's encoder.
+	 */
+	this.getBinaryEncoder = function(fileNumber) {
+		var encoderKey = fileNumber.toString();
+		if(!self.binaryEncoders.has(encoderKey)) {
+			self.binaryEncoders.set(encoderKey, new binary_log.BinaryLogEncoder(
+				self.bufferInfo.dataKeys,
+				self.bufferInfo.formatting
+			));
+		}
+		return self.binaryEncoders.get(encoderKey);
 	};
 	this.writeFileHeader = function(bundle) {
 		var defered = q.defer();
 
 		var strData = '';
-		if(self.bufferInfo.includeHeaderInfo) {
-			strData += self.stringifyHeaderData();
-		}
-		self.bufferInfo.dataKeys.forEach(function(dataKey) {
-			if(dataKey !== self.bufferInfo.lastKey) {
-				strData += (dataKey + self.bufferInfo.formatting.valueSeparation);
-			} else {
-				strData += (dataKey + self.bufferInfo.formatting.lineEnding);
+		if(bundle.append) {
+			// The continued file already has a header.
+			defered.resolve(bundle);
+			return defered.promise;
+		} else if(self.bufferInfo.formatting.isBinary) {
+			// Binary logs always start with a header describing their columns.
+			var encoder = self.getBinaryEncoder(bundle.fileNumber);
+			strData = encoder.createHeader(self.getHeaderMetadata());
+		} else {
+			if(self.bufferInfo.includeHeaderInfo) {
+				strData += self.stringifyHeaderData();
 			}
-		});
+			strData += self.formatter.formatColumnHeader();
+		}
+		self.headerSize = strData.length;
 		self.writeToStream(bundle.fileNumber, strData)
 		.then(function() {
 			defered.resolve(bundle);
@@ -210,12 +341,13 @@ function createNewBuffer(initData) {
 		});
 		return defered.promise;
 	};
-	this.initFile = function(fileNumber) {
+	this.initFile = function(fileNumber, append) {
 		var defered = q.defer();
 		// console.log('--- Initializing File', self.curNumFiles, fileNumber);
 		
 		var initBundle = {
-			'fileNumber': fileNumber
+			'fileNumber': fileNumber,
+			'append': append === true
 		};
 		self.getUniqueFilePath(initBundle)
 		.then(self.createFileStream)
@@ -231,9 +363,18 @@ function createNewBuffer(initData) {
 		var fileRefKey = getIncrementalFileName(fileNumber);
 		if(self.fileReferences.has(fileRefKey)) {
 			var fileStream = self.fileReferences.get(fileRefKey);
+			var filePath = self.filePaths.get(fileRefKey);
+			if(self.bufferInfo.formatting.isBinary) {
+				// Binary logs end with the index of their records.
+				var encoder = self.getBinaryEncoder(fileNumber);
+				fileStream.write(encoder.createTrailer());
+				self.binaryEncoders.delete(fileNumber.toString());
+			}
 			fileStream.end(function() {
 				self.fileReferences.delete(fileRefKey);
-				defered.resolve();
+				self.filePaths.delete(fileRefKey);
+				self.applyRetention(filePath)
+				.then(defered.resolve, defered.resolve);
 			});
 		} else {
 			console.log('File Key:', fileRefKey, 'does not exist');
@@ -241,49 +382,160 @@ function createNewBuffer(initData) {
 		}
 		return defered.promise;
 	};
+	/**
+	 * applyRetention compresses a closed file & deletes old log files according
+	 * to the buffer's retention options.
+	 * @param  {string} closedFilePath The file that was just closed.
+	 * @return {promise}               q-promise resolved when finished.
+	 */
+	this.applyRetention = function(closedFilePath) {
+		if(retentionQueue === null) {
+			retentionQueue = q.resolve();
+		}
+		retentionQueue = retentionQueue.then(function() {
+			return retainFiles(closedFilePath);
+		});
+		return retentionQueue;
+	};
+	var retainFiles = function(closedFilePath) {
+		var defered = q.defer();
+		var retention = self.bufferInfo.retention;
+		var removeExpiredFiles = function() {
+			var protectedPaths = [];
+			self.filePaths.forEach(function(filePath) {
+				protectedPaths.push(filePath);
+			});
+			var expiredPaths = file_rotation.selectExpiredFiles(
+				file_rotation.findLogFiles(
+					self.bufferInfo.location,
+					self.bufferInfo.fileName,
+					self.bufferInfo.fileEnding
+				),
+				retention,
+				Date.now(),
+				protectedPaths
+			);
+			async.each(
+				expiredPaths,
+				function(expiredPath, callback) {
+					fs.unlink(expiredPath, function(err) {
+						if(err) {
+							console.log('Error removing old log file', expiredPath, err);
+						}
+						callback();
+					});
+				}, function(err) {
+					defered.resolve();
+				});
+		};
+		// The closed file may already have been removed by the retention of a
+		// file closed before it.
+		if(retention.compress && fs.existsSync(closedFilePath)) {
+			file_rotation.compressFile(closedFilePath, function(err) {
+				if(err) {
+					console.log('Error compressing log file', closedFilePath, err);
+				}
+				removeExpiredFiles();
+			});
+		} else {
+			removeExpiredFiles();
+		}
+		return defered.promise;
+	};
 	this.manageActiveFile = function() {
 		var defered = q.defer();
-		if(self.curNumFiles === 0) {
-			self.initFile(self.curNumFiles)
-			.then(defered.resolve, defered.reject);
+		if(!self.isFileStarted) {
+			var isResumed = self.resumedFile !== null;
+			self.isFileStarted = true;
+			self.curFileNumber = self.curNumFiles;
+			if(isResumed) {
+				self.curFileSize = self.resumedFile.size;
+				self.curFilePeriod = file_rotation.getPeriodKey(
+					self.resumedFile.mtime,
+					self.bufferInfo.rotation.interval
+				);
+			}
+			self.initFile(self.curNumFiles, isResumed)
+			.then(function() {
+				if(!isResumed) {
+					self.curFileSize = self.headerSize;
+				}
+				defered.resolve();
+			}, defered.reject);
 		} else {
 			defered.resolve();
 		}
 		return defered.promise;
 	};
-	var convertDataToString = function(dataType, data, curLineCount, maxLineCount) {
+	var appendData = function(existingData, newData) {
+		if(Buffer.isBuffer(newData)) {
+			if(existingData === '') {
+				return newData;
+			}
+			return Buffer.concat([existingData, newData]);
+		}
+		return existingData + newData;
+	};
+	var convertDataToString = function(dataType, data, time) {
 		var retObj = [''];
 		var curIndex = 0;
-		var addLine = function(str) {
-			if(self.curNumRows < (self.maxNumRows - 1)) {
-				str += self.bufferInfo.formatting.lineEnding;
-				retObj[curIndex] += str;
-				self.curNumRows += 1;
-			} else {
+		var isBinary = self.bufferInfo.formatting.isBinary;
+		var rotation = self.bufferInfo.rotation;
+		var periodKey = file_rotation.getPeriodKey(time, rotation.interval);
+		var shouldStartNewFile = function(size) {
+			if(self.curNumRows >= (self.maxNumRows - 1)) {
+				return true;
+			}
+			if(rotation.maxFileSize > 0 && self.curNumRows > 0) {
+				if(self.curFileSize + size > rotation.maxFileSize) {
+					return true;
+				}
+			}
+			if(self.curFilePeriod === null) {
+				self.curFilePeriod = periodKey;
+			}
+			return periodKey !== self.curFilePeriod;
+		};
+		// createData is called after deciding which file the data goes in, binary
+		// records are encoded differently for each file.
+		var addData = function(size, createData) {
+			if(shouldStartNewFile(size)) {
+				self.curFileNumber += 1;
 				self.curNumRows = 0;
-				self.curNumRows += 1;
+				// Every file's header is the same size.
+				self.curFileSize = self.headerSize;
+				self.curFilePeriod = periodKey;
 				curIndex += 1;
-				str += self.bufferInfo.formatting.lineEnding;
-				retObj.push(str);
+				retObj.push('');
 			}
+			retObj[curIndex] = appendData(retObj[curIndex], createData());
+			self.curNumRows += 1;
+			self.numRowsWritten += 1;
+			self.curFileSize += size;
 		};
-		var handleSingleType = function(newData) {
-			var newLine = '';
-			self.bufferInfo.dataKeys.forEach(function(dataKey) {
-				var newStr = '';
-				if(newData[dataKey]) {
-					newStr += newData[dataKey];
-				} else {
-					newStr += self.bufferInfo.formatting.misingValue;
-				}
-				if(dataKey !== self.bufferInfo.lastKey) {
-					newStr += self.bufferInfo.formatting.valueSeparation;
-				}
-				newLine += newStr;
+		var addRecord = function(newData) {
+			var encoder = self.getBinaryEncoder(self.curFileNumber);
+			addData(encoder.recordSize, function() {
+				var fileEncoder = self.getBinaryEncoder(self.curFileNumber);
+				return fileEncoder.encodeRecord(newData, time);
+			});
+		};
+		var addLine = function(str) {
+			var line = str + self.bufferInfo.formatting.lineEnding;
+			addData(Buffer.byteLength(line), function() {
+				return line;
 			});
-			addLine(newLine);
 		};
-		if(dataType === 'raw') {
+		var handleSingleType = function(newData) {
+			if(isBinary) {
+				addRecord(newData);
+			} else {
+				addLine(self.formatter.formatRow(newData, time));
+			}
+		};
+		if(dataType === 'raw' && isBinary) {
+			console.error('Raw data can not be saved to binary logs', self.key);
+		} else if(dataType === 'raw') {
 			var rawStr = '';
 			rawStr = data.toString();
 			var splitStr = rawStr.split(self.bufferInfo.formatting.lineEnding);
@@ -365,9 +617,9 @@ function createNewBuffer(initData) {
 		var curIndex = 0;
 		var addDataToFilesData = function(newFileData) {
 			if(newFileData.length === 1) {
-				filesData[curIndex].data += newFileData.pop();
+				filesData[curIndex].data = appendData(filesData[curIndex].data, newFileData.pop());
 			} else {
-				filesData[curIndex].data += newFileData[0];
+				filesData[curIndex].data = appendData(filesData[curIndex].data, newFileData[0]);
 				filesData[curIndex].closeFile = true;
 				for (i = 1; i < newFileData.length; i++) {
 					curIndex += 1;
@@ -380,20 +632,21 @@ function createNewBuffer(initData) {
 						'fileKey': fileKey,
 						'closeFile': false
 					});
-					filesData[curIndex].data += newFileData[i];
+					filesData[curIndex].data = appendData(filesData[curIndex].data, newFileData[i]);
 				}
 			}
 		};
 		newData.forEach(function(newDataObj) {
 			var data = newDataObj.data;
 			var dataType = newDataObj.dataType;
+			var time = newDataObj.time;
 			if(Array.isArray(data)) {
 				data.forEach(function(dataPoint) {
-					var newConvertedData = convertDataToString(dataType, dataPoint);
+					var newConvertedData = convertDataToString(dataType, dataPoint, time);
 					addDataToFilesData(newConvertedData);
 				});
 			} else {
-				var newConvertedData = convertDataToString(dataType, data);
+				var newConvertedData = convertDataToString(dataType, data, time);
 				addDataToFilesData(newConvertedData);
 			}
 			
@@ -563,13 +816,48 @@ function createNewBuffer(initData) {
 	};
 	this.saveDataToBuffer = function(data) {
 		var bufIndex = self.activeBuffer;
+		if(self.triggerGate !== null) {
+			data = self.triggerGate.filter([].concat(data));
+		}
 		self.dataBuffers[bufIndex] = self.dataBuffers[bufIndex].concat(data);
 	};
-	this.write = function(dataType, data) {
+	/**
+	 * Add data to the buffer.
+	 * @param  {string} dataType 'single', 'multiple' or 'raw'.
+	 * @param  {object} data     The data to write.
+	 * @param  {number} time     Optional, when the data was recorded in
+	 *                           milliseconds since the epoch (default now).
+	 */
+	this.write = function(dataType, data, time) {
 		// var newStr = convertDataToString(dataType, data);
-		var newDataPoint = {'dataType': dataType, 'data': data};
+		if(typeof(time) === 'undefined') {
+			time = self.clock.now();
+		}
+		var newDataPoint = {
+			'dataType': dataType,
+			'data': data,
+			'time': time
+		};
 		self.saveDataToBuffer(newDataPoint);
 	};
+	/**
+	 * Report the buffer's progress, used to show live logging statistics.
+	 * @return {object} The buffer's key, numRowsWritten, filePaths (every file
+	 *                  written to, oldest first), & isRecording (false while
+	 *                  waiting for a start condition).
+	 */
+	this.getStatus = function() {
+		var isRecording = true;
+		if(self.triggerGate !== null) {
+			isRecording = self.triggerGate.isRecording;
+		}
+		return {
+			'key': self.key,
+			'numRowsWritten': self.numRowsWritten,
+			'filePaths': self.writtenFilePaths.slice(),
+			'isRecording': isRecording
+		};
+	};
 	this.writeArray = function(dataType, data) {
 		//var newStr = '';
 		//data.forEach(function(dataPoint) {
@@ -577,8 +865,9 @@ function createNewBuffer(initData) {
 		//	newStr += tempStr;
 		//});
 		var newData = [];
+		var time = self.clock.now();
 		data.forEach(function(dataPoint) {
-			var newDataPoint = {'dataType': dataType, 'data': dataPoint};
+			var newDataPoint = {'dataType': dataType, 'data': dataPoint, 'time': time};
 			newData.push(newDataPoint);
 		});
 		self.saveDataToBuffer(newData);
@@ -812,16 +1101,52 @@ var updateDataBuffers = function() {
 	}
 };
 
+/**
+ * addOutputBuffer creates a new buffer that logs data to a file.
+ * @param {object} newBufferInfo Required keys are "key", "type", "dataKeys",
+ *     and for "localFile" buffers "location", "fileName", & "fileEnding".
+ *     The optional "formatting" object can have:
+ *         "format": "csv" (default), "tsv", "jsonl", "ndjson", or "binary"
+ *             (see binary_log.js, which can read & convert binary logs).
+ *         "columnTypes" & "indexInterval" for binary logs, see
+ *             binary_log.BinaryLogEncoder.
+ *         "timestamp": "none" (default), "iso8601", "epoch" (seconds), or
+ *             "epochMs", written to the "timestampKey" column (default
+ *             "timestamp").
+ *         "missingValue": "nan" (default), "empty", or a literal string to
+ *             write for missing values.  JSON output always uses null.
+ *         "lineEnding" & "valueSeparation" to override the format's defaults.
+ *     When "includeHeaderInfo" is true each file starts with a metadata block
+ *     that includes the optional "metadata" object.
+ *     A new file is started after "maxNumRows" rows (text formats only) and
+ *     according to the optional "rotation" object:
+ *         "interval": "none" (default), "hourly", or "daily" to start a new
+ *             file whenever the local hour/day changes.
+ *         "maxFileSize": start a new file before a file exceeds this many
+ *             bytes, 0 (default) for no limit.
+ *         "onSessionStart": true (default) to start a new file for each new
+ *             buffer, false to continue the last file of the previous buffer
+ *             with the same file name (text formats only).
+ *     Closed files are managed according to the optional "retention" object:
+ *         "maxFiles": keep only the newest N log files, 0 (default) keeps all.
+ *         "maxAgeDays": delete log files older than N days, 0 (default) keeps
+ *             all.
+ *         "compress": true to gzip files once they are closed.
+ *     Rows are only logged while recording when the optional "triggering"
+ *     object is given, see triggers.js for the conditions:
+ *         "start": condition(s) that start recording, recording starts right
+ *             away if none are given.
+ *         "stop": condition(s) that stop recording & wait for the next start.
+ *         "preTriggerTime" & "preTriggerRows": while waiting, keep the rows
+ *             written in the last N ms and/or the last N rows and log them
+ *             when recording starts.  0 (default) disables either limit, no
+ *             rows are kept if both are 0.
+ * @return {promise} q-promise resolving to the created buffer.
+ */
 exports.addOutputBuffer = function(newBufferInfo) {
 	var defered = q.defer();
 	var requiredKeys = ['key', 'type', 'dataKeys'];
 	var localFileKeys = ['location', 'fileName', 'fileEnding'];
-	// Formatting should have .csv (comma and semicolon separated) .tsb (tab separated)
-	// Should be able to configure time stamp: (http://www.epochconverter.com/epoch/batch-convert.php)
-	//     1. Unix/Epoc timestamp (Seconds since Jan 1 1970)
-	//     2. Human-Readable %Y-%m-%d %H:%M:%S
-	//     3. ISO 8601 format e.g. 2014-11-04T02:35:36+00:00
-	// maxNumRows should default to 65535 with options to go larger or smaler
 	var remoteFileKeys = ['service'];
 	var givenKeys = Object.keys(newBufferInfo);
 	var isValidInput = true;
@@ -846,6 +1171,27 @@ exports.addOutputBuffer = function(newBufferInfo) {
 			console.error('Missing Key:', requiredKey);
 		}
 	});
+	var formattingError = output_formats.validateFormatting(
+		newBufferInfo.formatting
+	);
+	if(formattingError === null && newBufferInfo.formatting) {
+		formattingError = binary_log.validateColumnTypes(
+			newBufferInfo.formatting.columnTypes
+		);
+	}
+	if(formattingError === null) {
+		formattingError = file_rotation.validateRotation(newBufferInfo.rotation);
+	}
+	if(formattingError === null) {
+		formattingError = file_rotation.validateRetention(newBufferInfo.retention);
+	}
+	if(formattingError === null) {
+		formattingError = triggers.validateTriggering(newBufferInfo.triggering);
+	}
+	if(formattingError !== null) {
+		isValidInput = false;
+		console.error(formattingError);
+	}
 	
 	if(isValidInput) {
 		// create a new buffer object
@@ -878,3 +1224,49 @@ exports.removeOutputBuffer = function(key) {
 	}
 	return defered.promise;
 };
+
+/**
+ * collectDeviceMetadata reads the information about a device & its analog
+ * input channels that makes a log self-describing.  The result can be given as
+ * the "metadata" of addOutputBuffer.
+ * @param  {object} device   An opened device_controller device.
+ * @param  {array} dataKeys  The keys being logged, any analog inputs (AINx)
+ *                           have their range & resolution index recorded.
+ * @return {promise}         q-promise resolving to the metadata object.
+ */
+exports.collectDeviceMetadata = function(device, dataKeys) {
+	var defered = q.defer();
+	var metadata = {
+		'deviceSerial': device.getSerial(),
+		'deviceType': device.getDeviceType(),
+		'deviceName': device.getName(),
+		'firmwareVersion': device.getFirmwareVersion(),
+		'channels': {}
+	};
+	var channels = dataKeys.filter(function(dataKey) {
+		return (/^AIN\d+$/).test(dataKey);
+	});
+	var registers = [];
+	channels.forEach(function(channel) {
+		registers.push(channel + '_RANGE');
+		registers.push(channel + '_RESOLUTION_INDEX');
+	});
+	if(registers.length === 0) {
+		defered.resolve(metadata);
+		return defered.promise;
+	}
+	device.readMany(registers)
+	.then(function(results) {
+		channels.forEach(function(channel, i) {
+			metadata.channels[channel] = {
+				'range': results[i * 2],
+				'resolutionIndex': results[i * 2 + 1]
+			};
+		});
+		defered.resolve(metadata);
+	}, function(err) {
+		console.log('Error reading channel metadata', err);
+		defered.resolve(metadata);
+	});
+	return defered.promise;
+};
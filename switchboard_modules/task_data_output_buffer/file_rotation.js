@@ -0,0 +1,281 @@
+/**
+ * file_rotation.js decides when data_buffer.js should start a new log file and
+ * which old log files should be compressed or deleted so that long-running,
+ * unattended loggers don't fill up their disks.
+ *
+ * Log files are named [*...]fileName[_...]_N.fileEnding, data_buffer.js adds
+ * the extra "*" & "_" characters to keep file names unique, and compressed
+ * files get an additional ".gz" ending.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var zlib = require('zlib');
+
+var ROTATION_INTERVALS = ['none', 'hourly', 'daily'];
+exports.ROTATION_INTERVALS = ROTATION_INTERVALS;
+
+var COMPRESSED_FILE_ENDING = '.gz';
+exports.COMPRESSED_FILE_ENDING = COMPRESSED_FILE_ENDING;
+
+var MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+var DEFAULT_ROTATION = {
+	'interval': 'none',
+	'maxFileSize': 0,
+	'onSessionStart': true
+};
+exports.DEFAULT_ROTATION = DEFAULT_ROTATION;
+
+var DEFAULT_RETENTION = {
+	'maxFiles': 0,
+	'maxAgeDays': 0,
+	'compress': false
+};
+exports.DEFAULT_RETENTION = DEFAULT_RETENTION;
+
+var isNonNegativeNumber = function(value) {
+	return typeof(value) === 'number' && !isNaN(value) && value >= 0;
+};
+
+/**
+ * Check a buffer's rotation options.
+ * @param  {object} rotation The rotation options given to addOutputBuffer.
+ * @return {string}          Description of the first invalid option or null
+ *                           if all of the options are valid.
+ */
+exports.validateRotation = function(rotation) {
+	if(typeof(rotation) === 'undefined') {
+		return null;
+	}
+	if(typeof(rotation.interval) !== 'undefined') {
+		if(ROTATION_INTERVALS.indexOf(rotation.interval) < 0) {
+			return 'Invalid rotation interval: ' + rotation.interval;
+		}
+	}
+	if(typeof(rotation.maxFileSize) !== 'undefined') {
+		if(!isNonNegativeNumber(rotation.maxFileSize)) {
+			return 'Invalid rotation maxFileSize: ' + rotation.maxFileSize;
+		}
+	}
+	return null;
+};
+
+/**
+ * Check a buffer's retention options.
+ * @param  {object} retention The retention options given to addOutputBuffer.
+ * @return {string}           Description of the first invalid option or null
+ *                            if all of the options are valid.
+ */
+exports.validateRetention = function(retention) {
+	if(typeof(retention) === 'undefined') {
+		return null;
+	}
+	var error = null;
+	['maxFiles', 'maxAgeDays'].forEach(function(key) {
+		if(error === null && typeof(retention[key]) !== 'undefined') {
+			if(!isNonNegativeNumber(retention[key])) {
+				error = 'Invalid retention ' + key + ': ' + retention[key];
+			}
+		}
+	});
+	return error;
+};
+
+/**
+ * Fill in the defaults for any options that weren't given.
+ * @param  {object} given    The options given to addOutputBuffer.
+ * @param  {object} defaults DEFAULT_ROTATION or DEFAULT_RETENTION.
+ * @return {object}          Complete set of options.
+ */
+exports.resolveOptions = function(given, defaults) {
+	var resolved = {};
+	Object.keys(defaults).forEach(function(key) {
+		resolved[key] = defaults[key];
+	});
+	Object.keys(given || {}).forEach(function(key) {
+		resolved[key] = given[key];
+	});
+	return resolved;
+};
+
+/**
+ * Get the wall-clock period that a time falls in.  A new file is started
+ * whenever a row falls in a different period than the previous row.
+ * @param  {number} time     Milliseconds since the epoch.
+ * @param  {string} interval One of ROTATION_INTERVALS.
+ * @return {string}          Key identifying the period (in local time), or
+ *                           null if files aren't rotated by time.
+ */
+exports.getPeriodKey = function(time, interval) {
+	var date = new Date(time);
+	var dayKey = [date.getFullYear(), date.getMonth() + 1, date.getDate()].join('-');
+	if(interval === 'daily') {
+		return dayKey;
+	} else if(interval === 'hourly') {
+		return dayKey + ' ' + date.getHours().toString();
+	}
+	return null;
+};
+
+var escapeRegExp = function(str) {
+	return str.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&');
+};
+
+/**
+ * Find the log files that buffers with a file name have created.
+ * @param  {string} location   The directory logs are saved in.
+ * @param  {string} fileName   The buffer's "fileName".
+ * @param  {string} fileEnding The buffer's "fileEnding".
+ * @return {array}             Objects with path, name, fileNumber, size,
+ *                             mtime (ms since the epoch), isCompressed, &
+ *                             isUnique (false if the name had to be changed to
+ *                             make it unique), sorted oldest first.  Files of
+ *                             the same buffer are written in parallel so they
+ *                             are sorted by file number rather than mtime.
+ */
+exports.findLogFiles = function(location, fileName, fileEnding) {
+	var logFileRegExp = new RegExp(
+		'^(\\**)' + escapeRegExp(fileName) + '(_*)_(\\d+)' +
+		escapeRegExp(fileEnding) + '(' + escapeRegExp(COMPRESSED_FILE_ENDING) + ')?$'
+	);
+	var fileNames = [];
+	try {
+		fileNames = fs.readdirSync(location);
+	} catch(err) {
+		console.error('Error reading log directory', location, err);
+	}
+	var logFiles = [];
+	fileNames.forEach(function(name) {
+		var match = logFileRegExp.exec(name);
+		if(match) {
+			var filePath = path.join(location, name);
+			var stats = fs.statSync(filePath);
+			logFiles.push({
+				'path': filePath,
+				'name': name,
+				'fileNumber': parseInt(match[3], 10),
+				'size': stats.size,
+				'mtime': stats.mtime.valueOf(),
+				'isCompressed': typeof(match[4]) !== 'undefined',
+				'isUnique': match[1] === '' && match[2] === '',
+				'sessionKey': match[1] + '|' + match[2]
+			});
+		}
+	});
+	// Order sessions by their newest file and the files of each session by
+	// file number.
+	var sessionMTimes = {};
+	logFiles.forEach(function(logFile) {
+		var sessionMTime = sessionMTimes[logFile.sessionKey] || 0;
+		sessionMTimes[logFile.sessionKey] = Math.max(sessionMTime, logFile.mtime);
+	});
+	logFiles.sort(function(a, b) {
+		if(a.sessionKey !== b.sessionKey) {
+			return sessionMTimes[a.sessionKey] - sessionMTimes[b.sessionKey];
+		}
+		return a.fileNumber - b.fileNumber;
+	});
+	logFiles.forEach(function(logFile) {
+		delete logFile.sessionKey;
+	});
+	return logFiles;
+};
+
+/**
+ * Find the newest uncompressed log file named exactly fileName_N.fileEnding,
+ * used to continue logging to the same file when a buffer is created with the
+ * "onSessionStart" rotation option set to false.
+ * @param  {array} logFiles Log files found by findLogFiles.
+ * @return {object}         The log file with the largest file number or null.
+ */
+exports.findLastLogFile = function(logFiles) {
+	var lastLogFile = null;
+	logFiles.forEach(function(logFile) {
+		if(logFile.isUnique && !logFile.isCompressed) {
+			if(lastLogFile === null || logFile.fileNumber > lastLogFile.fileNumber) {
+				lastLogFile = logFile;
+			}
+		}
+	});
+	return lastLogFile;
+};
+
+/**
+ * Decide which log files should be deleted.
+ * @param  {array}  logFiles       Log files found by findLogFiles.
+ * @param  {object} retention      The buffer's retention options.  Keeps the
+ *                                 newest "maxFiles" files and deletes files
+ *                                 older than "maxAgeDays", 0 disables either
+ *                                 limit.
+ * @param  {number} now            The current time in ms since the epoch.
+ * @param  {array}  protectedPaths Paths of files that are still being written
+ *                                 and must not be deleted.
+ * @return {array}                 Paths of the log files to delete.
+ */
+exports.selectExpiredFiles = function(logFiles, retention, now, protectedPaths) {
+	var expiredPaths = [];
+	var numToRemove = 0;
+	if(retention.maxFiles > 0) {
+		numToRemove = Math.max(logFiles.length - retention.maxFiles, 0);
+	}
+	logFiles.forEach(function(logFile) {
+		if(protectedPaths.indexOf(logFile.path) >= 0) {
+			return;
+		}
+		var isTooOld = false;
+		if(retention.maxAgeDays > 0) {
+			isTooOld = (now - logFile.mtime) > retention.maxAgeDays * MS_PER_DAY;
+		}
+		if(numToRemove > 0 || isTooOld) {
+			expiredPaths.push(logFile.path);
+			numToRemove = Math.max(numToRemove - 1, 0);
+		}
+	});
+	return expiredPaths;
+};
+
+/**
+ * gzip a closed log file, replacing it with filePath + ".gz".  The compressed
+ * file keeps the log file's modification time so that it ages the same way.
+ * @param  {string}   filePath The log file to compress.
+ * @param  {function} callback Called with an error or null & the path of the
+ *                             compressed file.
+ */
+exports.compressFile = function(filePath, callback) {
+	var compressedPath = filePath + COMPRESSED_FILE_ENDING;
+	var isFinished = false;
+	var finish = function(err) {
+		if(isFinished) {
+			return;
+		}
+		isFinished = true;
+		if(err) {
+			callback(err, null);
+			return;
+		}
+		try {
+			fs.utimesSync(compressedPath, stats.atime, stats.mtime);
+		} catch(utimesErr) {
+			console.error('Error setting log file time', compressedPath, utimesErr);
+		}
+		fs.unlink(filePath, function(unlinkErr) {
+			callback(unlinkErr || null, compressedPath);
+		});
+	};
+	var stats;
+	try {
+		stats = fs.statSync(filePath);
+	} catch(err) {
+		callback(err, null);
+		return;
+	}
+	var input = fs.createReadStream(filePath);
+	var output = fs.createWriteStream(compressedPath);
+	input.on('error', finish);
+	output.on('error', finish);
+	output.on('close', function() {
+		finish(null);
+	});
+	input.pipe(zlib.createGzip()).pipe(output);
+};
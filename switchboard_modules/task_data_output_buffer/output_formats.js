@@ -0,0 +1,311 @@
+/**
+ * output_formats.js converts the rows saved by data_buffer.js into the text
+ * written to log files.  Supports comma & tab separated values as well as
+ * JSON-lines (also known as NDJSON) output, ISO 8601 or epoch timestamps with
+ * sub-millisecond precision, configurable handling of missing values, and a
+ * metadata header block so that logs describe the device & channels they were
+ * recorded from.  The "binary" format is written with binary_log.js instead
+ * of a Formatter.
+ */
+
+var FORMATS = {
+	'csv': {
+		'valueSeparation': ',',
+		'isJSON': false,
+		'isBinary': false
+	},
+	'tsv': {
+		'valueSeparation': '\t',
+		'isJSON': false,
+		'isBinary': false
+	},
+	'jsonl': {
+		'valueSeparation': '',
+		'isJSON': true,
+		'isBinary': false
+	},
+	'ndjson': {
+		'valueSeparation': '',
+		'isJSON': true,
+		'isBinary': false
+	},
+	'binary': {
+		'valueSeparation': '',
+		'isJSON': false,
+		'isBinary': true
+	}
+};
+exports.FORMATS = Object.keys(FORMATS);
+
+var TIMESTAMP_FORMATS = ['none', 'iso8601', 'epoch', 'epochMs'];
+exports.TIMESTAMP_FORMATS = TIMESTAMP_FORMATS;
+
+// Named ways of writing missing values, anything else is written literally.
+var MISSING_VALUE_OPTIONS = {
+	'nan': 'NaN',
+	'empty': ''
+};
+exports.MISSING_VALUE_OPTIONS = Object.keys(MISSING_VALUE_OPTIONS);
+
+var METADATA_PREFIX = '# ';
+
+var DEFAULT_FORMATTING = {
+	'format': 'csv',
+	'lineEnding': '\r\n',
+	'timestamp': 'none',
+	'timestampKey': 'timestamp',
+	'missingValue': 'nan'
+};
+exports.DEFAULT_FORMATTING = DEFAULT_FORMATTING;
+
+/**
+ * Check a buffer's formatting options.
+ * @param  {object} formatting The formatting options given to addOutputBuffer.
+ * @return {string}            Description of the first invalid option or null
+ *                             if all of the options are valid.
+ */
+var validateFormatting = function(formatting) {
+	if(typeof(formatting) === 'undefined') {
+		return null;
+	}
+	if(typeof(formatting.format) !== 'undefined') {
+		if(typeof(FORMATS[formatting.format]) === 'undefined') {
+			return 'Invalid format: ' + formatting.format;
+		}
+	}
+	if(typeof(formatting.timestamp) !== 'undefined') {
+		if(TIMESTAMP_FORMATS.indexOf(formatting.timestamp) < 0) {
+			return 'Invalid timestamp: ' + formatting.timestamp;
+		}
+	}
+	return null;
+};
+exports.validateFormatting = validateFormatting;
+
+/**
+ * Fill in the defaults for any formatting options that weren't given.  The
+ * legacy "misingValue" option is still honored when "missingValue" isn't
+ * given.
+ * @param  {object} formatting The formatting options given to addOutputBuffer.
+ * @return {object}            Complete set of formatting options.
+ */
+var resolveFormatting = function(formatting) {
+	var given = formatting || {};
+	var resolved = {};
+	Object.keys(DEFAULT_FORMATTING).forEach(function(key) {
+		resolved[key] = DEFAULT_FORMATTING[key];
+	});
+	Object.keys(given).forEach(function(key) {
+		resolved[key] = given[key];
+	});
+	if(typeof(given.missingValue) === 'undefined') {
+		if(typeof(given.misingValue) !== 'undefined') {
+			resolved.missingValue = given.misingValue;
+		}
+	}
+	delete resolved.misingValue;
+	if(typeof(given.valueSeparation) === 'undefined') {
+		resolved.valueSeparation = FORMATS[resolved.format].valueSeparation;
+	}
+	resolved.isJSON = FORMATS[resolved.format].isJSON;
+	resolved.isBinary = FORMATS[resolved.format].isBinary;
+	return resolved;
+};
+exports.resolveFormatting = resolveFormatting;
+
+/**
+ * Clock that reports the current time with sub-millisecond precision by
+ * offsetting the system time with the high-resolution timer.
+ */
+function Clock() {
+	var startTime = Date.now();
+	var startHRTime = process.hrtime();
+
+	/**
+	 * @return {number} Milliseconds since the epoch, with a fractional part.
+	 */
+	this.now = function() {
+		var diff = process.hrtime(startHRTime);
+		return startTime + diff[0] * 1000 + diff[1] / 1000000;
+	};
+}
+exports.Clock = Clock;
+
+var padNumber = function(num, numDigits) {
+	var str = num.toString();
+	while(str.length < numDigits) {
+		str = '0' + str;
+	}
+	return str;
+};
+
+/**
+ * Format a time reported by a Clock.
+ * @param  {number} time            Milliseconds since the epoch.
+ * @param  {string} timestampFormat One of TIMESTAMP_FORMATS.
+ * @return {string}                 The formatted time, eg.
+ *                                  "2014-11-04T02:35:36.123456Z" (iso8601),
+ *                                  "1415068536.123456" (epoch), or
+ *                                  "1415068536123.456" (epochMs).
+ */
+var formatTimestamp = function(time, timestampFormat) {
+	var wholeMs = Math.floor(time);
+	if(timestampFormat === 'iso8601') {
+		var microseconds = Math.floor((time - wholeMs) * 1000);
+		var isoStr = new Date(wholeMs).toISOString();
+		return isoStr.replace('Z', padNumber(microseconds, 3) + 'Z');
+	} else if(timestampFormat === 'epoch') {
+		return (time / 1000).toFixed(6);
+	} else if(timestampFormat === 'epochMs') {
+		return time.toFixed(3);
+	}
+	return '';
+};
+exports.formatTimestamp = formatTimestamp;
+
+/**
+ * Flatten nested metadata into a list of dotted key & value pairs, eg.
+ * {'channels': {'AIN0': {'range': 10}}} -> [['channels.AIN0.range', 10]].
+ */
+var flattenMetadata = function(metadata, prefix) {
+	var pairs = [];
+	Object.keys(metadata).forEach(function(key) {
+		var value = metadata[key];
+		var fullKey = prefix + key;
+		if(value !== null && typeof(value) === 'object' && !Array.isArray(value)) {
+			pairs = pairs.concat(flattenMetadata(value, fullKey + '.'));
+		} else {
+			pairs.push([fullKey, value]);
+		}
+	});
+	return pairs;
+};
+
+/**
+ * Formatter creates the lines of a log file for a single buffer.
+ * @param {object} formatting The buffer's formatting options, as returned by
+ *                            resolveFormatting.
+ * @param {array}  dataKeys   The keys of the values in each row, in the order
+ *                            they should be written.
+ */
+function Formatter(formatting, dataKeys) {
+	this.formatting = formatting;
+	this.dataKeys = dataKeys;
+	this.hasTimestamp = formatting.timestamp !== 'none';
+
+	/**
+	 * @return {array} The names of the columns written for each row.
+	 */
+	this.getColumns = function() {
+		if(self.hasTimestamp) {
+			return [self.formatting.timestampKey].concat(self.dataKeys);
+		}
+		return self.dataKeys.slice();
+	};
+
+	var isMissing = function(value) {
+		if(typeof(value) === 'undefined' || value === null) {
+			return true;
+		}
+		return typeof(value) === 'number' && isNaN(value);
+	};
+
+	var getMissingValue = function() {
+		var missingValue = self.formatting.missingValue;
+		if(typeof(MISSING_VALUE_OPTIONS[missingValue]) !== 'undefined') {
+			return MISSING_VALUE_OPTIONS[missingValue];
+		}
+		return String(missingValue);
+	};
+
+	// Quote values that contain the separator, quotes, or line breaks so that
+	// csv & tsv files can be parsed.
+	var escapeValue = function(str) {
+		var valueSeparation = self.formatting.valueSeparation;
+		var separator = valueSeparation.trim() || valueSeparation;
+		var needsQuotes = /["\r\n]/.test(str) || str.indexOf(separator) >= 0;
+		if(needsQuotes) {
+			return '"' + str.replace(/"/g, '""') + '"';
+		}
+		return str;
+	};
+
+	/**
+	 * Create the metadata block written at the top of each file.  For csv &
+	 * tsv files each entry is a comment line, eg. "# deviceSerial: 470010001".
+	 * JSON-lines files get a single {"metadata": {...}} line.
+	 * @param  {object} metadata Information about the log & device.
+	 * @return {string}          Text for the metadata block, including the
+	 *                           trailing line ending.
+	 */
+	this.formatMetadata = function(metadata) {
+		var lineEnding = self.formatting.lineEnding;
+		if(self.formatting.isJSON) {
+			return JSON.stringify({'metadata': metadata}) + lineEnding;
+		}
+		return flattenMetadata(metadata, '').map(function(pair) {
+			var value = pair[1];
+			if(Array.isArray(value)) {
+				value = value.join(', ');
+			}
+			return METADATA_PREFIX + pair[0] + ': ' + value + lineEnding;
+		}).join('');
+	};
+
+	/**
+	 * Create the column header line.  JSON-lines rows name their own values so
+	 * they don't get one.
+	 * @return {string} Text for the column header, including the trailing
+	 *                  line ending.
+	 */
+	this.formatColumnHeader = function() {
+		if(self.formatting.isJSON) {
+			return '';
+		}
+		return self.getColumns().map(escapeValue).join(
+			self.formatting.valueSeparation
+		) + self.formatting.lineEnding;
+	};
+
+	/**
+	 * Create a single row of data.
+	 * @param  {object} rowData Object mapping data keys to values.
+	 * @param  {number} time    When the row was recorded, milliseconds since
+	 *                          the epoch as reported by a Clock.
+	 * @return {string}         The row, without a line ending.
+	 */
+	this.formatRow = function(rowData, time) {
+		var timestamp = formatTimestamp(time, self.formatting.timestamp);
+		if(self.formatting.isJSON) {
+			var rowObj = {};
+			if(self.hasTimestamp) {
+				if(self.formatting.timestamp === 'iso8601') {
+					rowObj[self.formatting.timestampKey] = timestamp;
+				} else {
+					rowObj[self.formatting.timestampKey] = Number(timestamp);
+				}
+			}
+			self.dataKeys.forEach(function(dataKey) {
+				var value = rowData[dataKey];
+				rowObj[dataKey] = isMissing(value) ? null : value;
+			});
+			return JSON.stringify(rowObj);
+		}
+
+		var values = [];
+		if(self.hasTimestamp) {
+			values.push(timestamp);
+		}
+		self.dataKeys.forEach(function(dataKey) {
+			var value = rowData[dataKey];
+			if(isMissing(value)) {
+				values.push(getMissingValue());
+			} else {
+				values.push(escapeValue(String(value)));
+			}
+		});
+		return values.join(self.formatting.valueSeparation);
+	};
+	var self = this;
+}
+exports.Formatter = Formatter;
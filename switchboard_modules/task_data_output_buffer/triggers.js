@@ -0,0 +1,447 @@
+/**
+ * triggers.js decides which of the rows written to a buffer get logged when a
+ * buffer is given start/stop conditions.  While waiting for a start condition
+ * rows are kept in a ring buffer so that the moments leading up to an event
+ * (the pre-trigger window) are logged along with the event itself.
+ *
+ * Conditions:
+ *     {"type": "threshold", "channel": "AIN0", "level": 1.5,
+ *         "edge": "rising" (default), "falling", or "either",
+ *         "hysteresis": 0 (default)}
+ *         Fires when the channel crosses the level.  After firing the channel
+ *         has to move back past the level by "hysteresis" before it can fire
+ *         again, so noise around the level doesn't fire repeatedly.
+ *     {"type": "dioChange", "channel": "FIO0",
+ *         "state": "any" (default), "high", or "low"}
+ *         Fires when the channel changes to the given state.
+ *     {"type": "schedule", "time": ms since the epoch or a date string,
+ *         "interval": 0 (default) or ms between repeats}
+ *         Fires for the first row at or after the scheduled time.
+ *     {"type": "duration", "duration": ms} (stop conditions only)
+ *         Fires once recording has lasted for the duration.
+ */
+
+var TRIGGER_TYPES = ['threshold', 'dioChange', 'schedule'];
+exports.TRIGGER_TYPES = TRIGGER_TYPES;
+
+var STOP_TRIGGER_TYPES = TRIGGER_TYPES.concat(['duration']);
+exports.STOP_TRIGGER_TYPES = STOP_TRIGGER_TYPES;
+
+var THRESHOLD_EDGES = ['rising', 'falling', 'either'];
+exports.THRESHOLD_EDGES = THRESHOLD_EDGES;
+
+var DIO_STATES = ['any', 'high', 'low'];
+exports.DIO_STATES = DIO_STATES;
+
+var DEFAULT_TRIGGERING = {
+	'start': [],
+	'stop': [],
+	'preTriggerTime': 0,
+	'preTriggerRows': 0
+};
+exports.DEFAULT_TRIGGERING = DEFAULT_TRIGGERING;
+
+var isNonNegativeNumber = function(value) {
+	return typeof(value) === 'number' && !isNaN(value) && value >= 0;
+};
+
+// Conditions can be given on their own or as an array of conditions where any
+// of them firing fires the trigger.
+var getConditionList = function(conditions) {
+	if(typeof(conditions) === 'undefined' || conditions === null) {
+		return [];
+	}
+	if(Array.isArray(conditions)) {
+		return conditions;
+	}
+	return [conditions];
+};
+
+var getScheduledTime = function(time) {
+	if(typeof(time) === 'number') {
+		return time;
+	}
+	return new Date(time).valueOf();
+};
+
+var validateCondition = function(condition, validTypes) {
+	if(validTypes.indexOf(condition.type) < 0) {
+		return 'Invalid trigger type: ' + condition.type;
+	}
+	if(condition.type === 'threshold') {
+		if(typeof(condition.channel) !== 'string') {
+			return 'Invalid threshold channel: ' + condition.channel;
+		}
+		if(typeof(condition.level) !== 'number' || isNaN(condition.level)) {
+			return 'Invalid threshold level: ' + condition.level;
+		}
+		if(typeof(condition.edge) !== 'undefined') {
+			if(THRESHOLD_EDGES.indexOf(condition.edge) < 0) {
+				return 'Invalid threshold edge: ' + condition.edge;
+			}
+		}
+		if(typeof(condition.hysteresis) !== 'undefined') {
+			if(!isNonNegativeNumber(condition.hysteresis)) {
+				return 'Invalid threshold hysteresis: ' + condition.hysteresis;
+			}
+		}
+	} else if(condition.type === 'dioChange') {
+		if(typeof(condition.channel) !== 'string') {
+			return 'Invalid dioChange channel: ' + condition.channel;
+		}
+		if(typeof(condition.state) !== 'undefined') {
+			if(DIO_STATES.indexOf(condition.state) < 0) {
+				return 'Invalid dioChange state: ' + condition.state;
+			}
+		}
+	} else if(condition.type === 'schedule') {
+		if(isNaN(getScheduledTime(condition.time))) {
+			return 'Invalid schedule time: ' + condition.time;
+		}
+		if(typeof(condition.interval) !== 'undefined') {
+			if(!isNonNegativeNumber(condition.interval)) {
+				return 'Invalid schedule interval: ' + condition.interval;
+			}
+		}
+	} else if(condition.type === 'duration') {
+		if(!isNonNegativeNumber(condition.duration)) {
+			return 'Invalid duration: ' + condition.duration;
+		}
+	}
+	return null;
+};
+
+/**
+ * Check a buffer's triggering options.
+ * @param  {object} triggering The triggering options given to addOutputBuffer.
+ * @return {string}            Description of the first invalid option or null
+ *                             if all of the options are valid.
+ */
+exports.validateTriggering = function(triggering) {
+	if(typeof(triggering) === 'undefined') {
+		return null;
+	}
+	var error = null;
+	getConditionList(triggering.start).forEach(function(condition) {
+		if(error === null) {
+			error = validateCondition(condition, TRIGGER_TYPES);
+		}
+	});
+	getConditionList(triggering.stop).forEach(function(condition) {
+		if(error === null) {
+			error = validateCondition(condition, STOP_TRIGGER_TYPES);
+		}
+	});
+	['preTriggerTime', 'preTriggerRows'].forEach(function(key) {
+		if(error === null && typeof(triggering[key]) !== 'undefined') {
+			if(!isNonNegativeNumber(triggering[key])) {
+				error = 'Invalid triggering ' + key + ': ' + triggering[key];
+			}
+		}
+	});
+	return error;
+};
+
+/**
+ * @param  {object}  triggering The triggering options given to addOutputBuffer.
+ * @return {boolean}            True if the options contain any start or stop
+ *                              conditions.
+ */
+exports.hasConditions = function(triggering) {
+	if(typeof(triggering) === 'undefined' || triggering === null) {
+		return false;
+	}
+	var numConditions = getConditionList(triggering.start).length;
+	numConditions += getConditionList(triggering.stop).length;
+	return numConditions > 0;
+};
+
+var getNumericValue = function(value) {
+	var num = Number(value);
+	if(value === null || typeof(value) === 'undefined' || isNaN(num)) {
+		return null;
+	}
+	return num;
+};
+
+/**
+ * Condition that fires when a channel crosses a level.
+ */
+function ThresholdCondition(options) {
+	this.channel = options.channel;
+	this.level = options.level;
+	this.edge = options.edge || 'rising';
+	this.hysteresis = options.hysteresis || 0;
+
+	// A crossing only counts once the channel has been on the other side of
+	// the level (by at least the hysteresis), so a channel that is already
+	// past the level when logging starts doesn't fire.
+	var isArmedRising = false;
+	var isArmedFalling = false;
+
+	this.check = function(row) {
+		var value = getNumericValue(row[self.channel]);
+		if(value === null) {
+			return false;
+		}
+		var checkRising = self.edge !== 'falling';
+		var checkFalling = self.edge !== 'rising';
+		var isFired = false;
+		if(checkRising) {
+			if(isArmedRising && value >= self.level) {
+				isArmedRising = false;
+				isFired = true;
+			} else if(value < self.level - self.hysteresis) {
+				isArmedRising = true;
+			}
+		}
+		if(checkFalling) {
+			if(isArmedFalling && value <= self.level) {
+				isArmedFalling = false;
+				isFired = true;
+			} else if(value > self.level + self.hysteresis) {
+				isArmedFalling = true;
+			}
+		}
+		return isFired;
+	};
+	var self = this;
+}
+
+/**
+ * Condition that fires when a digital channel changes state.
+ */
+function DIOChangeCondition(options) {
+	this.channel = options.channel;
+	this.state = options.state || 'any';
+
+	var lastState = null;
+
+	this.check = function(row) {
+		var value = getNumericValue(row[self.channel]);
+		if(value === null) {
+			return false;
+		}
+		var newState = (value !== 0) ? 'high' : 'low';
+		var isChanged = lastState !== null && newState !== lastState;
+		lastState = newState;
+		if(isChanged) {
+			return self.state === 'any' || self.state === newState;
+		}
+		return false;
+	};
+	var self = this;
+}
+
+/**
+ * Condition that fires at a scheduled time, optionally repeating.
+ */
+function ScheduleCondition(options) {
+	this.nextTime = getScheduledTime(options.time);
+	this.interval = options.interval || 0;
+
+	this.check = function(row, time) {
+		if(self.nextTime === null || time < self.nextTime) {
+			return false;
+		}
+		if(self.interval > 0) {
+			// Skip any repeats that were missed while no data was written.
+			var numMissed = Math.floor((time - self.nextTime) / self.interval);
+			self.nextTime += (numMissed + 1) * self.interval;
+		} else {
+			self.nextTime = null;
+		}
+		return true;
+	};
+	var self = this;
+}
+
+/**
+ * Condition that fires once recording has lasted for a duration.
+ */
+function DurationCondition(options) {
+	this.duration = options.duration;
+
+	this.check = function(row, time, recordingStartTime) {
+		if(recordingStartTime === null) {
+			return false;
+		}
+		return (time - recordingStartTime) >= self.duration;
+	};
+	var self = this;
+}
+
+var CONDITION_CONSTRUCTORS = {
+	'threshold': ThresholdCondition,
+	'dioChange': DIOChangeCondition,
+	'schedule': ScheduleCondition,
+	'duration': DurationCondition
+};
+
+var createConditions = function(conditions) {
+	return getConditionList(conditions).map(function(condition) {
+		return new CONDITION_CONSTRUCTORS[condition.type](condition);
+	});
+};
+
+/**
+ * Fixed size buffer holding the most recent rows, limited by age and/or
+ * number of rows.
+ * @param {number} maxTime Rows older than this many ms are dropped, 0 for no
+ *                         limit.
+ * @param {number} maxRows Maximum number of rows to keep, 0 for no limit.
+ */
+function RingBuffer(maxTime, maxRows) {
+	this.maxTime = maxTime;
+	this.maxRows = maxRows;
+	this.isEnabled = maxTime > 0 || maxRows > 0;
+
+	var rows = [];
+
+	this.push = function(dataPoint) {
+		if(!self.isEnabled) {
+			return;
+		}
+		rows.push(dataPoint);
+		if(self.maxRows > 0 && rows.length > self.maxRows) {
+			rows.shift();
+		}
+		if(self.maxTime > 0) {
+			var oldestTime = dataPoint.time - self.maxTime;
+			while(rows.length > 0 && rows[0].time < oldestTime) {
+				rows.shift();
+			}
+		}
+	};
+
+	/**
+	 * Remove & return all of the buffered rows, oldest first.
+	 */
+	this.drain = function() {
+		var drainedRows = rows;
+		rows = [];
+		return drainedRows;
+	};
+
+	this.getNumRows = function() {
+		return rows.length;
+	};
+	var self = this;
+}
+exports.RingBuffer = RingBuffer;
+
+/**
+ * Expand a buffered data point into the rows that conditions are checked
+ * against.  "multiple" data points hold arrays of values for each data key
+ * and become one "single" data point per row.
+ */
+var splitDataPoint = function(dataPoint, dataKeys) {
+	if(dataPoint.dataType !== 'multiple') {
+		return [dataPoint];
+	}
+	var dataPoints = [];
+	dataKeys.forEach(function(dataKey) {
+		var values = dataPoint.data[dataKey];
+		if(values) {
+			values.forEach(function(value, i) {
+				if(typeof(dataPoints[i]) === 'undefined') {
+					dataPoints[i] = {
+						'dataType': 'single',
+						'data': {},
+						'time': dataPoint.time
+					};
+				}
+				dataPoints[i].data[dataKey] = value;
+			});
+		}
+	});
+	return dataPoints;
+};
+
+/**
+ * TriggerGate passes rows through to a buffer only while recording.  It
+ * starts recording when any start condition fires (or right away if there are
+ * none) and stops when any stop condition fires, after which it waits for the
+ * next start condition.  Without start conditions it only records once.  The
+ * rows that fire the start & stop conditions are both recorded.
+ * @param {object} triggering The buffer's triggering options, see
+ *                            DEFAULT_TRIGGERING.
+ * @param {array}  dataKeys   The buffer's data keys.
+ */
+function TriggerGate(triggering, dataKeys) {
+	this.dataKeys = dataKeys;
+	this.startConditions = createConditions(triggering.start);
+	this.stopConditions = createConditions(triggering.stop);
+	this.preTriggerBuffer = new RingBuffer(
+		triggering.preTriggerTime || 0,
+		triggering.preTriggerRows || 0
+	);
+	this.isRecording = this.startConditions.length === 0;
+	this.recordingStartTime = null;
+	// Number of times recording has been started by a start condition.
+	this.numEvents = 0;
+
+	// Every condition sees every row so that thresholds stay armed & DIO
+	// states stay current regardless of whether data is being recorded.
+	var checkConditions = function(conditions, row, time) {
+		var isFired = false;
+		conditions.forEach(function(condition) {
+			if(condition.check(row, time, self.recordingStartTime)) {
+				isFired = true;
+			}
+		});
+		return isFired;
+	};
+
+	var handleDataPoint = function(dataPoint, recordedData) {
+		// Raw data can't be checked against conditions, it follows the current
+		// recording state.
+		if(dataPoint.dataType === 'raw') {
+			if(self.isRecording) {
+				recordedData.push(dataPoint);
+			}
+			return;
+		}
+		var row = dataPoint.data;
+		var time = dataPoint.time;
+		if(self.isRecording && self.recordingStartTime === null) {
+			self.recordingStartTime = time;
+		}
+		var isStarted = checkConditions(self.startConditions, row, time);
+		var isStopped = checkConditions(self.stopConditions, row, time);
+		if(self.isRecording) {
+			recordedData.push(dataPoint);
+			if(isStopped) {
+				self.isRecording = false;
+				self.recordingStartTime = null;
+			}
+		} else if(isStarted) {
+			self.isRecording = true;
+			self.recordingStartTime = time;
+			self.numEvents += 1;
+			self.preTriggerBuffer.drain().forEach(function(preTriggerPoint) {
+				recordedData.push(preTriggerPoint);
+			});
+			recordedData.push(dataPoint);
+		} else {
+			self.preTriggerBuffer.push(dataPoint);
+		}
+	};
+
+	/**
+	 * Filter data points written to a buffer.
+	 * @param  {array} dataPoints Objects with dataType, data, & time keys.
+	 * @return {array}            The data points that should be logged.
+	 */
+	this.filter = function(dataPoints) {
+		var recordedData = [];
+		dataPoints.forEach(function(dataPoint) {
+			splitDataPoint(dataPoint, self.dataKeys).forEach(function(row) {
+				handleDataPoint(row, recordedData);
+			});
+		});
+		return recordedData;
+	};
+	var self = this;
+}
+exports.TriggerGate = TriggerGate;
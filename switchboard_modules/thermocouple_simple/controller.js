@@ -8,28 +8,29 @@
  *  1. Read Device Information
  *  2. Periodically Refresh Device Information
  *  3. Accept user input to configure the device
- *  
+ *
  * Read Device Information:
- *  1. Read AINx_EF_INDEX register to determine what type is currently selected
- *  2. Read AINx_EF_CONFIG_A to determine temperature metric
+ *  1. Read the AINx_EF_INDEX, AINx_EF_CONFIG_A/B/D/E, AINx_NEGATIVE_CH and
+ *     AINx_RANGE registers of every channel to determine the thermocouple
+ *     type, unit, CJC source and differential pairing that are configured.
  *
  * Periodically Sample:
- *  1. AINx_EF_READ_A for a computed thermocouple reading
- *  2. Also sample AINx_EF_READ_B, _C, _D, AIN0, and AIN0_BINARY to give user
- *      more relevant channel information.
+ *  1. AINx_EF_READ_A for a computed thermocouple reading, shown as an open
+ *     circuit when the device reports -9999 or AINx_EF_READ_B is larger
+ *     than any thermocouple can put out.
+ *  2. Also sample AINx_EF_READ_B, _C and _D to give user more relevant
+ *     channel information.
  *
  * Configure AINx Channel for Thermocouple Reading:
  *  1. Write 0 to AINx_EF_INDEX in order to re-set all EF config values
- *  2. Write 0.1 to AINx_RANGE register to configure AINx gain settings
- *  3. Configure AINx_EF_INDEX to the proper thermocouple constant:
-        20: typeE
-        21: typeJ
-        22: typeK
-        23: typeR
-        24: typeT
- *  4. Set AINx_EF_CONFIG_B to 60052 to __XXXX-DESCRIPTION-XXXX__  
+ *  2. Write 0.1 to AINx_RANGE and set AINx_NEGATIVE_CH to the next channel
+ *     for a differential thermocouple or to 199 for a single-ended one.
+ *  3. Configure AINx_EF_INDEX to the thermocouple type and AINx_EF_CONFIG_A
+ *     to the temperature unit.
+ *  4. Set AINx_EF_CONFIG_B, _D and _E to the modbus address, slope and offset
+ *     of the CJC source. An LM34 CJC channel is set to the +/-10 V range.
 **/
-var sprintf = require('sprintf').sprintf;
+var thermocouple_config = require('./helper_scripts/thermocouple_config');
 
 // Constant that determines device polling rate.
 var MODULE_UPDATE_PERIOD_MS = 1000;
@@ -42,113 +43,212 @@ var DISABLE_AUTOMATIC_FRAMEWORK_LINKAGE = false;
  * When using the 'singleDevice' framework it is instantiated as sdModule.
  */
 function module() {
-    var nop = function(){};
     // Base-Register Variable for Configuring multiple thermocouples.
-    var baseReg = 'AIN#(0:13)';
+    var baseReg = 'AIN#(0:' + (thermocouple_config.NUM_CHANNELS - 1).toString() + ')';
 
     // Expand baseReg & create baseRegister list using ljmmm.
     // ex: ['AIN0', 'AIN1', ... 'AIN13']
     var baseRegisters = ljmmm_parse.expandLJMMMName(baseReg);
 
-    var ain_ef_types = globalDeviceConstants.t7DeviceConstants.ainEFTypeOptions;
+    // Value of the type menus for a channel that is not reading a
+    // thermocouple.
+    var TC_DISABLED_VALUE = 0;
+
+    // Thermocouple configuration of the selected device's channels, as read
+    // by thermocouple_config.readChannelConfigs, or null if the device could
+    // not be read.
+    this.channelConfigs = null;
+    this.framework = undefined;
+
+    // Read bindings of the configured channels, by AIN number.
+    this.readBindings = {};
+
+    // Last AINx_EF_READ_B value of each configured channel, by AIN number.
+    this.lastVolts = {};
+
+    var populateMenuArray = function(origArray, selectedValue) {
+        return origArray.map(function(option) {
+            return {
+                name: option.name,
+                value: option.value,
+                selected: option.value === selectedValue ? 'selected' : ''
+            };
+        });
+    };
 
-    // Supported thermocouple types & associated constants.
-    var thermocoupleTypes = globalDeviceConstants.t7DeviceConstants.thermocoupleTypes;
-    this.thermocoupleTypes = thermocoupleTypes;
+    var getChannelNumber = function(template) {
+        return Number(template.split('-')[0].replace('AIN', ''));
+    };
 
-    // Supported thermocouple temperature metrics & associated constants.
-    var tcTemperatureMetrics = globalDeviceConstants.t7DeviceConstants.thermocoupleTemperatureMetrics;
-    this.tcTemperatureMetrics = tcTemperatureMetrics;
+    var showMessage = function(message) {
+        if (message === null) {
+            $('#tc-message').hide();
+        } else {
+            $('#tc-message').text(String(message));
+            $('#tc-message').show();
+        }
+    };
 
-    var INITIALIZED_CLICK_HANDLERS = false;
+    var getConfiguredChannels = function() {
+        var configured = {};
+        self.channelConfigs.forEach(function(channelConfig) {
+            if (channelConfig.type !== null) {
+                configured[channelConfig.channel] = channelConfig;
+            }
+        });
+        return configured;
+    };
 
-    var AIN_EF_SETUP_CONFIG_STR = '_EF_INDEX';
+    /**
+     * Get the thermocouple settings entered for a channel.
+     * @param  {Number} channel The AIN number of the channel.
+     * @return {Object} The settings, as taken by
+     *      thermocouple_config.planChannelWrites.
+     */
+    var getChannelForm = function(channel) {
+        var channelName = thermocouple_config.getChannelName(channel);
+        var source = $('#' + channelName + '-tc-cjc-select').val();
+        var cjc = {source: source};
+        if (source === 'lm34') {
+            cjc.channel = Number($('#' + channelName + '-tc-cjc-channel-select').val());
+        } else if (source === 'custom') {
+            cjc.register = $('#' + channelName + '-tc-cjc-register-input').val();
+            cjc.slope = $('#' + channelName + '-tc-cjc-slope-input').val();
+            cjc.offset = $('#' + channelName + '-tc-cjc-offset-input').val();
+        }
+        return {
+            type: Number($('#' + channelName + '-tc-type-select').val()),
+            unit: Number($('#' + channelName + '-tc-unit-select').val()),
+            differential: $('#' + channelName + '-tc-differential-checkbox').prop('checked') === true,
+            cjc: cjc
+        };
+    };
 
     /**
-     * Function to handle thermocouple reading formatting & add conditional
-     * statements for determining whether a thermocouple reading is out of range
-     * or not connected vs it being a valid reading.
+     * Show the settings of the CJC source selected for a channel.
+     * @param  {Number} channel The AIN number of the channel.
      */
-    this.tcFormatFunc = function(info) {
-        var tcReading = info.value;
-        if(tcReading == -9999) {
-            return "TC Not Connected";
+    this.renderCJCOptions = function(channel) {
+        var channelName = thermocouple_config.getChannelName(channel);
+        var source = $('#' + channelName + '-tc-cjc-select').val();
+        var lm34Options = $('#' + channelName + '-tc-cjc-lm34-options');
+        var customOptions = $('#' + channelName + '-tc-cjc-custom-options');
+        if (source === 'lm34') {
+            lm34Options.show();
+        } else {
+            lm34Options.hide();
+        }
+        if (source === 'custom') {
+            customOptions.show();
         } else {
-            return sprintf('%.4f',tcReading);
+            customOptions.hide();
         }
     };
-    /** 
-     * Function to simplify configuring thermocouple channels.
-     * ex: configureChannel(device, 'AIN0', 'TypeK', 'K');
-     * ex: configureChannel(device, 'AIN0', 22, 0);
-    **/
-    this.configureChannel = function(device, channelName, type, metric) {
-        //Initialize values to defaults
-        var tcTypeVal = 0;
-        var tempMetricVal = 0;
-
-        // Check and see if a valid type was given, if so, use that type
-        // Can be a number or a string
-        if(type !== undefined) {
-            if(typeof(type) === "number") {
-                tcTypeVal = type;
-            } else {
-                thermocoupleTypes.forEach(function(tcType) {
-                    if(tcType.name === type) {
-                        tcTypeVal = tcType.value;
-                    }
-                });
-            }
+
+    /**
+     * Replace the read bindings of a channel with ones for the thermocouple
+     * configured on it.
+     * @param  {Number} channel The AIN number of the channel.
+     */
+    this.updateReadBindings = function(channel) {
+        var channelName = thermocouple_config.getChannelName(channel);
+        var oldBindings = self.readBindings[channel] || [];
+        if (oldBindings.length > 0) {
+            self.framework.deleteConfigBindings(oldBindings);
         }
-        // Check and see if a valid metric was given, if so, use that metric
-        // Can be a number or a string
-        if(metric !== undefined) {
-            if(typeof(metric) === "number") {
-                tempMetricVal = metric;
-            } else {
-                tcTemperatureMetrics.forEach(function(tcTempMetric) {
-                    if(tcTempMetric.name === metric) {
-                        tempMetricVal = tcTempMetric.value;
+        delete self.lastVolts[channel];
+
+        var current = self.channelConfigs[channel];
+        var bindings = [];
+        if (current.type !== null) {
+            bindings = [
+                {
+                    bindingClass: channelName + '_EF_READ_A',
+                    template: channelName + '_EF_READ_A',
+                    binding: channelName + '_EF_READ_A',
+                    direction: 'read',
+                    format: 'customFormat',
+                    customFormatFunc: function(info) {
+                        return thermocouple_config.formatTemperature(
+                            info.value,
+                            current.unit,
+                            self.lastVolts[channel]
+                        );
                     }
-                });
-            }
-        }
-
-        //Perform device I/O
-        if(tcTypeVal !== 0) {
-            device.write(channelName + AIN_EF_SETUP_CONFIG_STR,0);
-            device.write(channelName + '_RANGE',0.1);
-            device.write(channelName + AIN_EF_SETUP_CONFIG_STR,tcTypeVal);
-            device.write(channelName + '_EF_CONFIG_A',tempMetricVal);
-            device.write(channelName + '_EF_CONFIG_B',60052);
+                },
+                {
+                    bindingClass: channelName + '_EF_READ_B',
+                    template: channelName + '_EF_READ_B',
+                    binding: channelName + '_EF_READ_B',
+                    direction: 'read',
+                    format: '%.6f',
+                    execCallback: true,
+                    callback: function(data, onSuccess) {
+                        self.lastVolts[channel] = data.value;
+                        onSuccess();
+                    }
+                },
+                {bindingClass: channelName + '_EF_READ_C', template: channelName + '_EF_READ_C', binding: channelName + '_EF_READ_C', direction: 'read', format: '%.2f'},
+                {bindingClass: channelName + '_EF_READ_D', template: channelName + '_EF_READ_D', binding: channelName + '_EF_READ_D', direction: 'read', format: '%.6f'}
+            ];
+            $('#' + channelName + '-table-data .configuration-dependent-attribute').show();
         } else {
-            device.write(channelName + AIN_EF_SETUP_CONFIG_STR,0);
+            $('#' + channelName + '-table-data .configuration-dependent-attribute').hide();
+        }
+        $('#' + channelName + '-tc-range').text(String(current.range));
+        self.readBindings[channel] = bindings;
+        if (bindings.length > 0) {
+            self.framework.putConfigBindings(bindings);
         }
     };
 
-    this.editBindings = function(framework, method, channelNumber) {
-        var chNum;
-        if (typeof(channelNumber) === 'string') {
-            chNum = channelNumber;
-        } else if (typeof(channelNumber) === 'number'){
-            chNum = channelNumber.toString();
+    /**
+     * List the channel configurations that can not work together and mark
+     * the channels involved.
+     */
+    this.renderConflicts = function() {
+        if (self.channelConfigs === null) {
+            return;
         }
-        chNum = 'AIN' + chNum;
-        var bindings = [
-            {bindingClass: chNum, template: chNum,   binding: chNum,    direction: 'read',  format: '%.10f'},
-            {bindingClass: chNum+'_BINARY', template: chNum+'_BINARY',   binding: chNum+'_BINARY',    direction: 'read',  format: '%d'},
-            {bindingClass: chNum+'_EF_READ_A',  template: chNum+'_EF_READ_A', binding: chNum+'_EF_READ_A',  direction: 'read',  format: 'customFormat', customFormatFunc: self.tcFormatFunc},
-            {bindingClass: chNum+'_EF_READ_B',  template: chNum+'_EF_READ_B', binding: chNum+'_EF_READ_B',  direction: 'read',  format: '%.8f'},
-            {bindingClass: chNum+'_EF_READ_C',  template: chNum+'_EF_READ_C', binding: chNum+'_EF_READ_C',  direction: 'read',  format: '%.4f'},
-            {bindingClass: chNum+'_EF_READ_D',  template: chNum+'_EF_READ_D', binding: chNum+'_EF_READ_D',  direction: 'read',  format: '%.8f'}
-        ];
-        if(method === 'put') {
-            // Save the bindings to the framework instance.
-            framework.putConfigBindings(bindings);
-        } else if(method === 'delete') {
-            // Delete the bindings from the framework instance.
-            framework.deleteConfigBindings(bindings);
+        var conflicts = thermocouple_config.findConflicts(getConfiguredChannels());
+        var conflictChannels = [];
+        var list = $('#tc-conflicts');
+        list.empty();
+        conflicts.forEach(function(conflict) {
+            list.append($('<li>').text(conflict.message));
+            conflictChannels.push.apply(conflictChannels, conflict.channels);
+        });
+        if (conflicts.length > 0) {
+            list.show();
+        } else {
+            list.hide();
         }
+
+        self.channelConfigs.forEach(function(channelConfig) {
+            var channelName = thermocouple_config.getChannelName(channelConfig.channel);
+            var row = $('#' + channelName + '-table-data');
+            if (conflictChannels.indexOf(channelConfig.channel) >= 0) {
+                row.addClass('tc-conflict');
+            } else {
+                row.removeClass('tc-conflict');
+            }
+        });
+    };
+
+    /**
+     * Re-read the thermocouple configuration of a device and refresh the read
+     * bindings of the given channels.
+     * @param  {Object} device The selected device.
+     * @param  {Array} channels The AIN numbers of the channels to refresh.
+     * @return {q.promise} Promise that resolves after the refresh.
+     */
+    var refreshChannelConfigs = function(device, channels) {
+        return thermocouple_config.readChannelConfigs(device)
+        .then(function(channelConfigs) {
+            self.channelConfigs = channelConfigs;
+            channels.forEach(self.updateReadBindings);
+            self.renderConflicts();
+        });
     };
 
     /**
@@ -158,18 +258,19 @@ function module() {
      * @param  {[type]} onSuccess   Function to be called when complete.
     **/
     this.onModuleLoaded = function(framework, onError, onSuccess) {
+        // Read the EF index of every channel to check that the device
+        // supports AIN_EF.
         var setupBindings = [
-            {bindingClass: baseReg+AIN_EF_SETUP_CONFIG_STR, binding: baseReg+AIN_EF_SETUP_CONFIG_STR, direction: 'read'},
-            {bindingClass: baseReg+'_EF_CONFIG_A', binding: baseReg+'_EF_CONFIG_A', direction: 'read'}
+            {bindingClass: baseReg+'_EF_INDEX', binding: baseReg+'_EF_INDEX', direction: 'read'}
         ];
 
         // Save the setupBindings to the framework instance.
         framework.putSetupBindings(setupBindings);
         onSuccess();
     };
-    
+
     /**
-     * Function is called once every time a user selects a new device.  
+     * Function is called once every time a user selects a new device.
      * @param  {[type]} framework   The active framework instance.
      * @param  {[type]} device      The active framework instance.
      * @param  {[type]} onError     Function to be called if an error occurs.
@@ -178,212 +279,213 @@ function module() {
     this.onDeviceSelected = function(framework, device, onError, onSuccess) {
         framework.clearConfigBindings();
         onSuccess();
-
     };
 
     this.onDeviceConfigured = function(framework, device, setupBindings, onError, onSuccess) {
         // Initialize variable where module config data will go.
         var moduleContext = {};
-
-        // While configuring the device build a dict to be used for generating the
-        // module's template.
-        moduleContext.tcInputs = [];
-        var configuredEFType = [];
-        var configuredMetric = [];
-
-        //Loop through results and save them appropriately.  
-        setupBindings.forEach(function(binding, key){
-            // console.log('key',key,'Address',binding.address,', Result: ',binding.result);
-            if(key.search(AIN_EF_SETUP_CONFIG_STR) > 0) {
-                if(binding.status === 'success') {
-                    // Read was successful, parse configured tc type:
-                    var validTCType = false;
-                    ain_ef_types.forEach(function(type){
-                        if(type.value == binding.result){
-                            validTCType = true;
-                            configuredEFType.push(type.name);
-                        }
-                    });
-                } else {
-                    // Read was not successful, force display to be undefined:
-                    configuredEFType.push(ain_ef_types[0].name);
-                }
-            }
-            if(key.search('_EF_CONFIG_A') > 0) {
-                configuredMetric.push({
-                    result: binding.result, 
-                    status: binding.status
-                });
+        var hasAINEF = true;
+
+        //Loop through results and save them appropriately.
+        setupBindings.forEach(function(binding) {
+            if (binding.status !== 'success') {
+                console.log(
+                    'SetupBinding Read Fail',
+                    binding.address,
+                    binding.result
+                );
+                hasAINEF = false;
             }
         });
 
-        baseRegisters.forEach( function (reg, index) {
-            // self.configureChannel(device, reg, 'TypeK', 'K');
-            var style = "display:none";
-            var validTCType = false;
-            var confMetric = 'none';
-            var efTypeMenuOptions = [];
-            var tcMetricMenuOptions = [];
-
-            ain_ef_types.forEach(function(type){
-                efTypeMenuOptions.push({
-                    name:type.name,
-                    value:type.value,
-                    selected:''
-                });
-            });
-
-            tcTemperatureMetrics.forEach(function(type){
-                tcMetricMenuOptions.push({
-                    name:type.name,
-                    value:type.value,
-                    selected:''
-                });
-            });
-
-            if (configuredEFType[index] === ain_ef_types[0].name) {
-                style = "display:none";
-                validTCType = false;
-                confMetric = 'none';
-                efTypeMenuOptions[0].selected = 'selected';
-            } else {
-                var i;
-
-                // Populate efTypeMenuOptions
-                for(i = 0; i < thermocoupleTypes.length; i++) {
-                    var type = thermocoupleTypes[i];
-                    if(type.name === configuredEFType[index]){
-                        validTCType = true;
-                        style = '';
-                        efTypeMenuOptions[0].selected = '';
-                        efTypeMenuOptions[i+1].selected = 'selected';
-                        break;
-                    }
-                }
-
-                // Populate tcMetricMenuOptions
-                for(i = 0; i < tcTemperatureMetrics.length; i++) {
-                    var metric = tcTemperatureMetrics[i];
-                    if(metric.value === configuredMetric[index].result){
-                        tcMetricMenuOptions[i].selected = 'selected';
-                        break;
-                    }
-                }
+        var readConfigs;
+        if (hasAINEF) {
+            readConfigs = thermocouple_config.readChannelConfigs(device);
+        } else {
+            readConfigs = q.reject('AIN_EF is not supported');
+        }
+        readConfigs
+        .then(function(channelConfigs) {
+            self.channelConfigs = channelConfigs;
+        }, function(err) {
+            console.log('Failed to read the thermocouple configuration', err);
+            self.channelConfigs = null;
+        })
+        .then(function() {
+            moduleContext.hasAINEF = self.channelConfigs !== null;
+            if (moduleContext.hasAINEF) {
+                moduleContext.tcInputs = self.getChannelsContext();
             }
+            framework.setCustomContext(moduleContext);
+            onSuccess();
+        })
+        .done();
+    };
 
-            if(validTCType) {
-                self.editBindings(framework, 'put',index);
-            }
-            moduleContext.tcInputs.push({
-                "name": reg,
-                "types": thermocoupleTypes, 
-                "metrics": tcTemperatureMetrics,
-                "isConfigured": validTCType,
-                confMetric: true,
-                "style": style,
-                "typeOptions": efTypeMenuOptions,
-                "metricOptions": tcMetricMenuOptions
-            });
-            
+    /**
+     * Build the template data of the channels.
+     * @return {Array} One Object per channel.
+     */
+    this.getChannelsContext = function() {
+        var typeOptions = [{name: 'Disabled', value: TC_DISABLED_VALUE}].concat(
+            thermocouple_config.THERMOCOUPLE_TYPES.map(function(type) {
+                return {name: type.name, value: type.value};
+            })
+        );
+        var cjcOptions = thermocouple_config.CJC_SOURCES.map(function(source) {
+            return {name: source.humanName, value: source.name};
+        });
+        var channelOptions = baseRegisters.map(function(reg, index) {
+            return {name: reg, value: index};
+        });
+
+        return self.channelConfigs.map(function(current) {
+            var name = baseRegisters[current.channel];
+            var pair = thermocouple_config.getDifferentialPair(current.channel);
+            var cjc = current.cjc;
+            var isConfigured = current.type !== null;
+            return {
+                name: name,
+                isConfigured: isConfigured,
+                style: isConfigured ? '' : 'display:none',
+                typeOptions: populateMenuArray(
+                    typeOptions,
+                    isConfigured ? current.type : TC_DISABLED_VALUE
+                ),
+                metricOptions: populateMenuArray(thermocouple_config.TEMPERATURE_UNITS, current.unit),
+                canBeDifferential: pair !== null,
+                pairName: pair === null ? '' : baseRegisters[pair],
+                differentialChecked: current.differential ? 'checked' : '',
+                cjcOptions: populateMenuArray(cjcOptions, isConfigured ? cjc.source : 'device'),
+                cjcChannelOptions: populateMenuArray(
+                    channelOptions,
+                    cjc.source === 'lm34' ? cjc.channel : baseRegisters.length - 1
+                ),
+                cjcRegister: cjc.source === 'custom' ? cjc.register : '',
+                cjcSlope: cjc.source === 'custom' ? cjc.slope : 1,
+                cjcOffset: cjc.source === 'custom' ? cjc.offset : 0
+            };
         });
-        framework.setCustomContext(moduleContext);
-        onSuccess();
     };
 
     this.onTemplateLoaded = function(framework, onError, onSuccess) {
-        var moduleBindings = [
-            {bindingClass: baseReg+'-thermocouple-type-select',  template: baseReg+'-thermocouple-type-select', binding: baseReg+'_EF_INDEX',  direction: 'write', event: 'change'},
-            {
-                bindingClass: baseReg+'-thermocouple-metric-select',  
-                template: baseReg+'-thermocouple-metric-select', 
-                binding: baseReg+'-callback',  
-                direction: 'write', 
-                event: 'change',
-                execCallback: true,
-                callback: function(data, onSuccess) {
-                    var binding = data.binding;
-                    var value = data.value;
-                    //Get AIN channel name, 'AIN0'
-                    var reg = binding.binding.split('-callback')[0];
-
-                    //Get the selected thermocouple type number
-                    var tcTypeStr = $('#'+reg+'-thermocouple-type-select').val();
-                    var tcTypeNum = parseInt(tcTypeStr);
-
-                    //Get the selected thermocouple temperature metric
-                    var tcTempMetricNum = parseInt(value);
-                    
-                    //Perform device IO to configure channel
-                    self.configureChannel(
-                        framework.getSelectedDevice(),
-                        reg,
-                        tcTypeNum,
-                        tcTempMetricNum);
-                }
-            },
-            {
-                bindingClass: baseReg+'-options-toggle-button',  
-                template: baseReg+'-options-toggle-button', 
-                binding: baseReg+'-callback',  
-                direction: 'write', 
-                event: 'click',
-                execCallback: true,
-                callback: function(data, onSuccess) {
-                    var binding = data.binding;
-                    var value = data.value;
-                    var btnObj = $('#'+binding.template);
-                    // Switch based off icon state
-                    if(btnObj.hasClass('icon-plus'))  {
-                        btnObj.removeClass('icon-plus');
-                        btnObj.addClass('icon-minus');
-                        $('#'+binding.template+'-options').fadeIn(
-                            FADE_DURATION,
-                            onSuccess
-                            );
-                    } else if(btnObj.hasClass('icon-minus'))  {
-                        btnObj.removeClass('icon-minus');
-                        btnObj.addClass('icon-plus');
-                        $('#'+binding.template+'-options').fadeOut(
-                            FADE_DURATION,
-                            onSuccess
-                            );
-                    } else {
-                        onSuccess();
-                    }
+        var cjcChanged = function(data, onSuccess) {
+            self.renderCJCOptions(getChannelNumber(data.binding.template));
+            onSuccess();
+        };
+
+        var configureChannel = function(data, onSuccess) {
+            var channel = getChannelNumber(data.binding.template);
+            var channelName = thermocouple_config.getChannelName(channel);
+            var channelForm = getChannelForm(channel);
+            var writes;
+            try {
+                writes = thermocouple_config.planChannelWrites(channel, channelForm);
+            } catch (planError) {
+                showMessage(planError);
+                onSuccess();
+                return;
+            }
+            var channels = [channel];
+            if (channelForm.type !== TC_DISABLED_VALUE && channelForm.cjc.source === 'lm34') {
+                channels.push(channelForm.cjc.channel);
+            }
+            thermocouple_config.writePlan(data.device, writes)
+            .then(function() {
+                return refreshChannelConfigs(data.device, channels);
+            })
+            .then(function() {
+                if (channelForm.type === TC_DISABLED_VALUE) {
+                    showMessage('Disabled the thermocouple on ' + channelName + '.');
+                } else {
+                    var type = thermocouple_config.getThermocoupleType(channelForm.type);
+                    showMessage('Configured ' + channelName + ' for a ' + type.name + ' thermocouple.');
                 }
-            },
-        ];
+            }, function(err) {
+                showMessage('Failed to configure ' + channelName + ': ' + err);
+            })
+            .fin(onSuccess);
+        };
+
+        var toggleOptions = function(data, onSuccess) {
+            var btnObj = $('#'+data.binding.template);
+            // Switch based off icon state
+            if(btnObj.hasClass('icon-plus'))  {
+                btnObj.removeClass('icon-plus');
+                btnObj.addClass('icon-minus');
+                $('#'+data.binding.template+'-options').fadeIn(
+                    FADE_DURATION,
+                    onSuccess
+                    );
+            } else if(btnObj.hasClass('icon-minus'))  {
+                btnObj.removeClass('icon-minus');
+                btnObj.addClass('icon-plus');
+                $('#'+data.binding.template+'-options').fadeOut(
+                    FADE_DURATION,
+                    onSuccess
+                    );
+            } else {
+                onSuccess();
+            }
+        };
+
+        var moduleBindings = [];
+        if (self.channelConfigs !== null) {
+            baseRegisters.forEach(function(reg) {
+                moduleBindings.push({
+                    // Define binding to show the settings of the selected
+                    // CJC source.
+                    bindingClass: reg + '-tc-cjc-select',
+                    template: reg + '-tc-cjc-select',
+                    binding: reg + '-tc-cjc-callback',
+                    direction: 'write',
+                    event: 'change',
+                    execCallback: true,
+                    callback: cjcChanged
+                });
+                moduleBindings.push({
+                    // Define binding to configure the channel.
+                    bindingClass: reg + '-tc-configure-button',
+                    template: reg + '-tc-configure-button',
+                    binding: reg + '-tc-configure-callback',
+                    direction: 'write',
+                    event: 'click',
+                    execCallback: true,
+                    callback: configureChannel
+                });
+                moduleBindings.push({
+                    // Define binding to show the extra readings of the channel.
+                    bindingClass: reg + '-options-toggle-button',
+                    template: reg + '-options-toggle-button',
+                    binding: reg + '-options-toggle-callback',
+                    direction: 'write',
+                    event: 'click',
+                    execCallback: true,
+                    callback: toggleOptions
+                });
+            });
+        }
 
         // Save the bindings to the framework instance.
         framework.putConfigBindings(moduleBindings);
+        self.framework = framework;
+        self.readBindings = {};
+        self.lastVolts = {};
+        onSuccess();
+    };
+
+    this.onTemplateDisplayed = function(framework, onError, onSuccess) {
+        if (self.channelConfigs !== null) {
+            self.channelConfigs.forEach(function(channelConfig) {
+                self.renderCJCOptions(channelConfig.channel);
+                self.updateReadBindings(channelConfig.channel);
+            });
+            self.renderConflicts();
+        }
         onSuccess();
     };
     this.onRegisterWrite = function(framework, binding, value, onError, onSuccess) {
-        // console.log('in onRegisterWrite',binding);
-        var overRideWrite = false;
-        baseRegisters.forEach(function(reg) {
-            if(binding.template === (reg + '-thermocouple-type-select')) {
-                overRideWrite = true;
-                var tcTempMetric = parseInt($('#'+reg+'-thermocouple-metric-select').val());
-                var tcType = parseInt(value);
-                // console.log('overRidden',reg, 'type:',value, 'metric',tcTempMetric);
-                
-                // Delete active binding from framework:
-                self.editBindings(framework, 'delete',reg.split('AIN')[1]);
-
-                self.configureChannel(framework.getSelectedDevice(),reg,tcType,tcTempMetric);
-
-                //Add the binding back if it is a valid channel.
-                if(tcType !== 0) {
-                    self.editBindings(framework, 'put',reg.split('AIN')[1]);
-                    $('#'+reg+'-table-data'+' .configuration-dependent-attribute').show();
-                } else {
-                    $('#'+reg+'-table-data'+' .configuration-dependent-attribute').hide();
-                }
-                
-            }
-        });
-        onSuccess(overRideWrite);
+        onSuccess();
     };
     this.onRegisterWritten = function(framework, registerName, value, onError, onSuccess) {
         onSuccess();
@@ -0,0 +1,291 @@
+/**
+ * Logic for the virtual channels module.
+ *
+ * Lets the user define virtual channels that scale register readings into
+ * engineering units and saves them for the other modules.
+**/
+
+var ljmmm = require('./ljmmm');
+var virtual_channels = require('./helper_scripts/virtual_channels');
+
+var moduleData = {'channels': []};
+var registerNames = [];
+
+
+/**
+ * Expand the LJMMM names of all registers so that sources can be checked.
+**/
+function buildRegisterNames()
+{
+    registerNames = [];
+    device_controller.fullRegisterList.forEach(function (entry) {
+        ljmmm.expandLJMMMEntrySync(entry).forEach(function (register) {
+            registerNames.push(register.name);
+        });
+    });
+}
+
+
+/**
+ * Show a message about virtual channels or hide the message.
+ *
+ * @param {String} message The message to show or null to hide it.
+**/
+function showChannelMessage(message)
+{
+    if (message === null) {
+        $('#virtual-channel-message').hide();
+    } else {
+        $('#virtual-channel-message').text(String(message));
+        $('#virtual-channel-message').show();
+    }
+}
+
+
+function saveChannels()
+{
+    var globalDataManager;
+    if (typeof(GLOBAL_DATA_MANAGER) !== 'undefined') {
+        globalDataManager = GLOBAL_DATA_MANAGER;
+    }
+    return virtual_channels.saveModuleData(globalDataManager, moduleData)
+    .fail(function (err) {
+        showChannelMessage('Failed to save the virtual channels: ' + err);
+    });
+}
+
+
+/**
+ * Show the saved channels, one row per channel.
+**/
+function renderChannels()
+{
+    var rows = $('#virtual-channel-rows');
+    rows.empty();
+    var channels = virtual_channels.getChannels(moduleData);
+    if (channels.length === 0) {
+        rows.append($('<tr>').append(
+            $('<td colspan="7">').text('No virtual channels defined.')
+        ));
+        return;
+    }
+    channels.forEach(function (channel) {
+        var editButton = $('<button class="btn btn-small" type="button">');
+        editButton.text('Edit');
+        editButton.click(function () {
+            editChannel(channel);
+        });
+        var deleteButton = $('<button class="btn btn-small" type="button">');
+        deleteButton.text('Delete');
+        deleteButton.click(function () {
+            virtual_channels.deleteChannel(moduleData, channel.name);
+            renderChannels();
+            saveChannels();
+        });
+        rows.append($('<tr>').append(
+            $('<td>').text(channel.name),
+            $('<td>').text(channel.label),
+            $('<td>').text(channel.source),
+            $('<td>').text(virtual_channels.describeScaling(channel.scaling)),
+            $('<td class="virtual-raw-value">').attr('data-name', channel.name).text('-'),
+            $('<td class="virtual-scaled-value">').attr('data-name', channel.name).text('-'),
+            $('<td>').append(editButton, ' ', deleteButton)
+        ));
+    });
+}
+
+
+function showScalingOptions()
+{
+    var type = $('#virtual-scaling-select').val();
+    $('.virtual-scaling-options').hide();
+    $('#virtual-' + type + '-options').show();
+}
+
+
+/**
+ * Fill the form with a channel so that it can be changed.
+ *
+ * @param {Object} channel The channel to edit.
+**/
+function editChannel(channel)
+{
+    var scaling = channel.scaling;
+    $('#virtual-name-input').val(channel.name);
+    $('#virtual-label-input').val(channel.label);
+    $('#virtual-unit-input').val(channel.unit);
+    $('#virtual-source-input').val(channel.source);
+    $('#virtual-precision-input').val(channel.precision);
+    $('#virtual-scaling-select').val(scaling.type);
+    if (scaling.type === 'linear') {
+        $('#virtual-slope-input').val(scaling.slope);
+        $('#virtual-offset-input').val(scaling.offset);
+    } else if (scaling.type === 'polynomial') {
+        $('#virtual-coefficients-input').val(scaling.coefficients.join(', '));
+    } else {
+        $('#virtual-lookup-table-input').val(scaling.table.map(function (point) {
+            return point.join(', ');
+        }).join('\n'));
+    }
+    $('#virtual-test-result').text('');
+    showScalingOptions();
+    showChannelMessage(null);
+}
+
+
+function clearForm()
+{
+    $('#virtual-name-input').val('');
+    $('#virtual-label-input').val('');
+    $('#virtual-unit-input').val('');
+    $('#virtual-source-input').val('');
+    $('#virtual-precision-input').val(virtual_channels.DEFAULT_PRECISION);
+    $('#virtual-scaling-select').val('linear');
+    $('#virtual-slope-input').val(1);
+    $('#virtual-offset-input').val(0);
+    $('#virtual-coefficients-input').val('');
+    $('#virtual-lookup-table-input').val('');
+    $('#virtual-test-input').val('');
+    $('#virtual-test-result').text('');
+    showScalingOptions();
+    showChannelMessage(null);
+}
+
+
+/**
+ * Read the channel described by the form.
+ *
+ * @return {Object} The channel.
+ * @throws {String} A description of the problem if the channel is invalid.
+**/
+function readForm()
+{
+    var scaling = {'type': $('#virtual-scaling-select').val()};
+    if (scaling.type === 'linear') {
+        scaling.slope = Number($('#virtual-slope-input').val());
+        scaling.offset = Number($('#virtual-offset-input').val());
+    } else if (scaling.type === 'polynomial') {
+        scaling.coefficients = virtual_channels.parseCoefficients(
+            $('#virtual-coefficients-input').val()
+        );
+    } else {
+        scaling.table = virtual_channels.parseLookupTable(
+            $('#virtual-lookup-table-input').val()
+        );
+    }
+    var channel = virtual_channels.createChannel({
+        'name': $('#virtual-name-input').val().trim(),
+        'label': $('#virtual-label-input').val().trim(),
+        'unit': $('#virtual-unit-input').val().trim(),
+        'source': $('#virtual-source-input').val().trim().toUpperCase(),
+        'precision': Number($('#virtual-precision-input').val()),
+        'scaling': scaling
+    });
+    var channelError = virtual_channels.validateChannel(channel);
+    if (channelError !== null) {
+        throw channelError;
+    }
+    if (registerNames.indexOf(channel.source) < 0) {
+        throw 'Unknown register: ' + channel.source;
+    }
+    // Logged columns are named after the channel, so it can't hide a register.
+    if (registerNames.indexOf(channel.name) >= 0) {
+        throw channel.name + ' is a register name, please pick another name';
+    }
+    return channel;
+}
+
+
+function saveFormChannel()
+{
+    try {
+        virtual_channels.saveChannel(moduleData, readForm());
+    } catch (channelError) {
+        showChannelMessage(channelError);
+        return;
+    }
+    showChannelMessage(null);
+    renderChannels();
+    saveChannels();
+}
+
+
+/**
+ * Scale the raw test value with the scaling in the form.
+**/
+function testFormChannel()
+{
+    var channel;
+    try {
+        channel = readForm();
+    } catch (channelError) {
+        showChannelMessage(channelError);
+        return;
+    }
+    var raw = Number($('#virtual-test-input').val());
+    var value = virtual_channels.scaleChannel(channel, raw);
+    $('#virtual-test-result').text(virtual_channels.formatValue(channel, value));
+    showChannelMessage(null);
+}
+
+
+/**
+ * Read the source registers of every channel from the selected device and
+ * show the raw and scaled values.
+**/
+function readValues()
+{
+    var serial = $('#virtual-device-select').val();
+    var devices = device_controller.getDeviceKeeper().getDevices();
+    var device = devices.filter(function (device) {
+        return String(device.getSerial()) === serial;
+    })[0];
+    var channels = virtual_channels.getChannels(moduleData);
+    if (device === undefined || channels.length === 0) {
+        return;
+    }
+
+    var sources = virtual_channels.getSourceRegisters(channels);
+    $('#virtual-read-button').prop('disabled', true);
+    device.readMany(sources)
+    .then(function (values) {
+        channels.forEach(function (channel) {
+            var raw = values[sources.indexOf(channel.source)];
+            var value = virtual_channels.scaleChannel(channel, raw);
+            $('.virtual-raw-value[data-name="' + channel.name + '"]').text(String(raw));
+            $('.virtual-scaled-value[data-name="' + channel.name + '"]').text(
+                virtual_channels.formatValue(channel, value)
+            );
+        });
+        showChannelMessage(null);
+    }, function (err) {
+        showChannelMessage('Failed to read ' + sources.join(', ') + ': ' + err);
+    })
+    .fin(function () {
+        $('#virtual-read-button').prop('disabled', false);
+    });
+}
+
+
+$('#virtual-channels-module').ready(function () {
+    var globalDataManager;
+    if (typeof(GLOBAL_DATA_MANAGER) !== 'undefined') {
+        globalDataManager = GLOBAL_DATA_MANAGER;
+    }
+    buildRegisterNames();
+    clearForm();
+    $('#virtual-scaling-select').change(showScalingOptions);
+    $('#virtual-save-button').click(saveFormChannel);
+    $('#virtual-clear-button').click(clearForm);
+    $('#virtual-test-button').click(testFormChannel);
+    $('#virtual-read-button').click(readValues);
+
+    virtual_channels.loadModuleData(globalDataManager)
+    .then(function (savedData) {
+        moduleData = savedData;
+        renderChannels();
+    }, function (err) {
+        showChannelMessage('Failed to load the virtual channels: ' + err);
+        renderChannels();
+    });
+});